@@ -11,6 +11,8 @@ class AnalyticsDashboard {
         this.employees = [];
         this.analytics = {};
         this.charts = {};
+        this.reportingCurrency = 'USD';
+        this.rateInfo = null;
         this.filters = {
             country: 'all',
             department: 'all',
@@ -88,9 +90,9 @@ class AnalyticsDashboard {
                         </div>
                         
                         <div class="filter-group">
-                            <label for="department-filter">Department</label>
+                            <label for="department-filter">Job Function</label>
                             <select id="department-filter">
-                                <option value="all">All Departments</option>
+                                <option value="all">All Job Functions</option>
                                 <!-- Will be populated dynamically -->
                             </select>
                         </div>
@@ -295,39 +297,44 @@ class AnalyticsDashboard {
     attachEventListeners() {
         // Filter controls
         ['country-filter', 'department-filter', 'performance-filter'].forEach(id => {
-            document.getElementById(id).addEventListener('change', () => {
+            this.container.querySelector(`#${id}`).addEventListener('change', () => {
                 this.applyFilters();
             });
         });
         
         // Refresh analytics
-        document.getElementById('refresh-analytics').addEventListener('click', () => {
+        this.container.querySelector('#refresh-analytics').addEventListener('click', () => {
             this.refreshAnalytics();
         });
         
         // Tab navigation
-        document.querySelectorAll('.tab-button').forEach(button => {
+        this.container.querySelectorAll('.tab-button').forEach(button => {
             button.addEventListener('click', (e) => {
                 this.switchTab(e.target.dataset.tab);
             });
         });
         
         // Action buttons
-        document.getElementById('export-analytics').addEventListener('click', () => {
+        this.container.querySelector('#export-analytics').addEventListener('click', () => {
             this.exportAnalyticsReport();
         });
         
-        document.getElementById('schedule-report').addEventListener('click', () => {
+        this.container.querySelector('#schedule-report').addEventListener('click', () => {
             this.scheduleReport();
         });
         
-        document.getElementById('share-insights').addEventListener('click', () => {
+        this.container.querySelector('#share-insights').addEventListener('click', () => {
             this.shareInsights();
         });
     }
     
+    setReportingCurrency(currency, rateInfo = null) {
+        this.reportingCurrency = currency || 'USD';
+        this.rateInfo = rateInfo;
+    }
+    
     setEmployees(employees) {
-        this.employees = employees;
+        this.employees = employeeAdapter.toModels(employees);
         this.populateDepartmentFilter();
         this.calculateAnalytics();
         this.updateDashboard();
@@ -335,11 +342,11 @@ class AnalyticsDashboard {
     }
     
     populateDepartmentFilter() {
-        const departments = [...new Set(this.employees.map(emp => emp.department).filter(Boolean))];
-        const select = document.getElementById('department-filter');
+        const departments = [...new Set(this.employees.map(emp => emp.jobFunction).filter(Boolean))];
+        const select = this.container.querySelector('#department-filter');
         
         // Clear existing options except "All Departments"
-        select.innerHTML = '<option value="all">All Departments</option>';
+        select.innerHTML = '<option value="all">All Job Functions</option>';
         
         departments.forEach(dept => {
             const option = document.createElement('option');
@@ -374,8 +381,8 @@ class AnalyticsDashboard {
             };
         }
         
-        const salaries = employees.map(emp => emp.currentSalary).sort((a, b) => a - b);
-        const performances = employees.map(emp => emp.performance).filter(p => p);
+        const salaries = employees.map(emp => emp.normalizedSalary || 0).sort((a, b) => a - b);
+        const performances = employees.map(emp => emp.rating).filter(p => p);
         
         return {
             totalEmployees: employees.length,
@@ -402,7 +409,8 @@ class AnalyticsDashboard {
         };
         
         employees.forEach(emp => {
-            const salary = emp.currentSalary;
+            const salary = emp.normalizedSalary;
+            if (salary === null) return;
             if (salary < 50000) salaryRanges['0-50k']++;
             else if (salary < 75000) salaryRanges['50k-75k']++;
             else if (salary < 100000) salaryRanges['75k-100k']++;
@@ -416,8 +424,8 @@ class AnalyticsDashboard {
         };
         
         employees.forEach(emp => {
-            if (emp.performance) {
-                performanceDistribution[emp.performance]++;
+            if (emp.rating) {
+                performanceDistribution[Math.round(emp.rating)]++;
             }
         });
         
@@ -429,14 +437,14 @@ class AnalyticsDashboard {
     
     calculateCorrelations(employees) {
         // Calculate correlation between salary and performance
-        const validData = employees.filter(emp => emp.performance && emp.currentSalary);
+        const validData = employees.filter(emp => emp.rating && emp.normalizedSalary);
         
         if (validData.length < 2) {
             return { salaryPerformance: 0 };
         }
         
-        const salaries = validData.map(emp => emp.currentSalary);
-        const performances = validData.map(emp => emp.performance);
+        const salaries = validData.map(emp => emp.normalizedSalary);
+        const performances = validData.map(emp => emp.rating);
         
         const correlation = this.calculatePearsonCorrelation(salaries, performances);
         
@@ -467,7 +475,7 @@ class AnalyticsDashboard {
             emp.riskIndicators && emp.riskIndicators.includes('flight_risk')
         ).length;
         
-        const lowPerformers = employees.filter(emp => emp.performance && emp.performance <= 2).length;
+        const lowPerformers = employees.filter(emp => emp.rating && emp.rating <= 2).length;
         
         const underpaid = employees.filter(emp => 
             emp.comparatio && emp.comparatio < 0.9
@@ -493,7 +501,7 @@ class AnalyticsDashboard {
         };
         
         employees.forEach(emp => {
-            const tenure = emp.tenure || 0;
+            const tenure = emp.tenureYears || 0;
             if (tenure < 1) tenureGroups['0-1 years']++;
             else if (tenure < 3) tenureGroups['1-3 years']++;
             else if (tenure < 5) tenureGroups['3-5 years']++;
@@ -530,12 +538,12 @@ class AnalyticsDashboard {
     calculateCountryPayVariance(employees) {
         const countryGroups = {};
         
-        employees.forEach(emp => {
+        employees.filter(emp => emp.normalizedSalary !== null).forEach(emp => {
             const country = emp.country || 'Unknown';
             if (!countryGroups[country]) {
                 countryGroups[country] = [];
             }
-            countryGroups[country].push(emp.currentSalary);
+            countryGroups[country].push(emp.normalizedSalary);
         });
         
         const countryAverages = Object.entries(countryGroups).map(([country, salaries]) => ({
@@ -556,10 +564,10 @@ class AnalyticsDashboard {
             if (this.filters.country !== 'all' && emp.country !== this.filters.country) {
                 return false;
             }
-            if (this.filters.department !== 'all' && emp.department !== this.filters.department) {
+            if (this.filters.department !== 'all' && emp.jobFunction !== this.filters.department) {
                 return false;
             }
-            if (this.filters.performance !== 'all' && emp.performance?.toString() !== this.filters.performance) {
+            if (this.filters.performance !== 'all' && String(emp.rating) !== this.filters.performance) {
                 return false;
             }
             return true;
@@ -575,15 +583,15 @@ class AnalyticsDashboard {
     updateKeyMetrics() {
         const metrics = this.analytics.basic;
         
-        document.getElementById('total-employees').textContent = metrics.totalEmployees;
-        document.getElementById('average-salary').textContent = this.formatCurrency(metrics.averageSalary);
-        document.getElementById('median-salary').textContent = this.formatCurrency(metrics.medianSalary);
-        document.getElementById('total-payroll').textContent = this.formatCurrency(metrics.totalPayroll);
-        document.getElementById('average-performance').textContent = metrics.averagePerformance.toFixed(1);
-        document.getElementById('flight-risk-count').textContent = metrics.flightRiskCount;
+        this.container.querySelector('#total-employees').textContent = metrics.totalEmployees;
+        this.container.querySelector('#average-salary').textContent = this.formatCurrency(metrics.averageSalary);
+        this.container.querySelector('#median-salary').textContent = this.formatCurrency(metrics.medianSalary);
+        this.container.querySelector('#total-payroll').textContent = this.formatCurrency(metrics.totalPayroll);
+        this.container.querySelector('#average-performance').textContent = metrics.averagePerformance.toFixed(1);
+        this.container.querySelector('#flight-risk-count').textContent = metrics.flightRiskCount;
         
         // For now, show neutral changes since we don't have historical data
-        document.querySelectorAll('.metric-change').forEach(el => {
+        this.container.querySelectorAll('.metric-change').forEach(el => {
             el.textContent = '+0%';
             el.className = 'metric-change neutral';
         });
@@ -599,25 +607,18 @@ class AnalyticsDashboard {
     
     createSalaryDistributionChart() {
         try {
-            const canvas = document.getElementById('salary-distribution-chart');
-            if (!canvas) {
-                console.warn('Salary distribution chart canvas not found');
-                return;
-            }
-            
-            const ctx = canvas.getContext('2d');
             const data = this.analytics.distribution.salary;
             
-            // Simple bar chart implementation (would use Chart.js in production)
-            this.drawBarChart(ctx, {
+            this.drawChart('salaryDistribution', 'salary-distribution-chart', {
+                type: 'bar',
                 labels: Object.keys(data),
-                values: Object.values(data),
-                title: 'Salary Distribution'
+                datasets: [{ label: 'Employees', data: Object.values(data), color: '#3498db' }],
+                yLabel: 'Employees'
             });
             
             // Update insights
             const insights = this.generateSalaryInsights(data);
-            const insightsElement = document.getElementById('salary-insights');
+            const insightsElement = this.container.querySelector('#salary-insights');
             if (insightsElement) {
                 insightsElement.innerHTML = insights;
             }
@@ -628,23 +629,17 @@ class AnalyticsDashboard {
     
     createPerformanceDistributionChart() {
         try {
-            const canvas = document.getElementById('performance-distribution-chart');
-            if (!canvas) {
-                console.warn('Performance distribution chart canvas not found');
-                return;
-            }
-            
-            const ctx = canvas.getContext('2d');
             const data = this.analytics.distribution.performance;
             
-            this.drawBarChart(ctx, {
+            this.drawChart('performanceDistribution', 'performance-distribution-chart', {
+                type: 'bar',
                 labels: Object.keys(data).map(k => `Rating ${k}`),
-                values: Object.values(data),
-                title: 'Performance Distribution'
+                datasets: [{ label: 'Employees', data: Object.values(data), color: '#3498db' }],
+                yLabel: 'Employees'
             });
             
             const insights = this.generatePerformanceInsights(data);
-            const insightsElement = document.getElementById('performance-insights');
+            const insightsElement = this.container.querySelector('#performance-insights');
             if (insightsElement) {
                 insightsElement.innerHTML = insights;
             }
@@ -654,33 +649,39 @@ class AnalyticsDashboard {
     }
     
     createSalaryPerformanceChart() {
-        const ctx = document.getElementById('salary-performance-chart').getContext('2d');
         const filtered = this.getFilteredEmployees();
         
-        this.drawScatterPlot(ctx, {
-            data: filtered.map(emp => ({
-                x: emp.performance || 0,
-                y: emp.currentSalary
-            })),
-            title: 'Salary vs Performance'
+        this.drawChart('salaryPerformance', 'salary-performance-chart', {
+            type: 'scatter',
+            datasets: [{
+                label: 'Employees',
+                data: filtered.map(emp => ({
+                    x: emp.rating || 0,
+                    y: emp.normalizedSalary,
+                    label: emp.name
+                })),
+                color: '#e74c3c'
+            }],
+            xLabel: 'Performance',
+            yLabel: 'Salary (USD)',
+            tooltip: item => `${item.point.label}\nPerformance ${item.point.x}, ${this.formatCurrency(item.point.y)}`
         });
         
         const correlation = this.analytics.correlation.salaryPerformance;
         const insights = this.generateCorrelationInsights(correlation);
-        document.getElementById('correlation-insights').innerHTML = insights;
+        this.container.querySelector('#correlation-insights').innerHTML = insights;
     }
     
     createCountryComparisonChart() {
-        const ctx = document.getElementById('country-comparison-chart').getContext('2d');
         const filtered = this.getFilteredEmployees();
         
         const countryData = {};
-        filtered.forEach(emp => {
+        filtered.filter(emp => emp.normalizedSalary !== null).forEach(emp => {
             const country = emp.country || 'Unknown';
             if (!countryData[country]) {
                 countryData[country] = [];
             }
-            countryData[country].push(emp.currentSalary);
+            countryData[country].push(emp.normalizedSalary);
         });
         
         const countryAverages = Object.entries(countryData).map(([country, salaries]) => ({
@@ -688,90 +689,69 @@ class AnalyticsDashboard {
             average: salaries.reduce((sum, sal) => sum + sal, 0) / salaries.length
         }));
         
-        this.drawBarChart(ctx, {
+        this.drawChart('countryComparison', 'country-comparison-chart', {
+            type: 'bar',
             labels: countryAverages.map(item => item.country),
-            values: countryAverages.map(item => item.average),
-            title: 'Average Salary by Country'
+            datasets: [{ label: 'Average Salary', data: countryAverages.map(item => item.average), color: '#3498db' }],
+            yLabel: 'Average Salary (USD)',
+            tooltip: item => `${item.label}\nAverage Salary: ${this.formatCurrency(item.value)}`
         });
         
         const insights = this.generateCountryInsights(countryAverages);
-        document.getElementById('country-insights').innerHTML = insights;
+        this.container.querySelector('#country-insights').innerHTML = insights;
     }
     
     createTenureCompensationChart() {
-        const ctx = document.getElementById('tenure-compensation-chart').getContext('2d');
         const filtered = this.getFilteredEmployees();
         
-        this.drawScatterPlot(ctx, {
-            data: filtered.map(emp => ({
-                x: emp.tenure || 0,
-                y: emp.currentSalary
-            })),
-            title: 'Tenure vs Compensation'
+        this.drawChart('tenureCompensation', 'tenure-compensation-chart', {
+            type: 'scatter',
+            datasets: [{
+                label: 'Employees',
+                data: filtered.map(emp => ({
+                    x: emp.tenureYears || 0,
+                    y: emp.normalizedSalary,
+                    label: emp.name
+                })),
+                color: '#e74c3c'
+            }],
+            xLabel: 'Tenure (years)',
+            yLabel: 'Salary (USD)',
+            tooltip: item => `${item.point.label}\nTenure ${item.point.x} years, ${this.formatCurrency(item.point.y)}`
         });
         
         const insights = this.generateTenureInsights(filtered);
-        document.getElementById('tenure-insights').innerHTML = insights;
+        this.container.querySelector('#tenure-insights').innerHTML = insights;
     }
     
-    drawBarChart(ctx, config) {
-        const { labels, values, title } = config;
-        const canvas = ctx.canvas;
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        ctx.clearRect(0, 0, width, height);
-        
-        // Simple bar chart implementation
-        const maxValue = Math.max(...values);
-        const barWidth = width / labels.length * 0.8;
-        const barSpacing = width / labels.length * 0.2;
-        
-        ctx.fillStyle = '#3498db';
+    /**
+     * Draw a chart on a canvas, reusing the renderer already attached to it
+     * @param {string} key - Key in this.charts
+     * @param {string} canvasId - Canvas element ID
+     * @param {Object} config - ChartRenderer configuration
+     */
+    drawChart(key, canvasId, config) {
+        const canvas = this.container.querySelector(`#${canvasId}`);
+        if (!canvas) {
+            console.warn(`Chart canvas not found: ${canvasId}`);
+            return;
+        }
         
-        values.forEach((value, index) => {
-            const barHeight = (value / maxValue) * (height * 0.8);
-            const x = index * (barWidth + barSpacing) + barSpacing / 2;
-            const y = height - barHeight - 20;
-            
-            ctx.fillRect(x, y, barWidth, barHeight);
-            
-            // Draw labels
-            ctx.fillStyle = '#333';
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText(labels[index], x + barWidth / 2, height - 5);
-            ctx.fillText(value.toString(), x + barWidth / 2, y - 5);
-            
-            ctx.fillStyle = '#3498db';
-        });
+        if (this.charts[key] && this.charts[key].canvas === canvas) {
+            this.charts[key].update(config);
+        } else {
+            // The canvas was re-rendered - release the old renderer
+            if (this.charts[key]) this.charts[key].destroy();
+            this.charts[key] = new ChartRenderer(canvas, config);
+        }
     }
     
-    drawScatterPlot(ctx, config) {
-        const { data, title } = config;
-        const canvas = ctx.canvas;
-        const width = canvas.width;
-        const height = canvas.height;
-        
-        ctx.clearRect(0, 0, width, height);
-        
-        if (data.length === 0) return;
-        
-        const maxX = Math.max(...data.map(d => d.x));
-        const maxY = Math.max(...data.map(d => d.y));
-        const minX = Math.min(...data.map(d => d.x));
-        const minY = Math.min(...data.map(d => d.y));
-        
-        ctx.fillStyle = '#e74c3c';
-        
-        data.forEach(point => {
-            const x = ((point.x - minX) / (maxX - minX)) * (width * 0.8) + width * 0.1;
-            const y = height - (((point.y - minY) / (maxY - minY)) * (height * 0.8) + height * 0.1);
-            
-            ctx.beginPath();
-            ctx.arc(x, y, 3, 0, 2 * Math.PI);
-            ctx.fill();
-        });
+    /**
+     * Configurations of the charts drawn so far, e.g. to redraw them in a report
+     * @returns {Object[]} ChartRenderer configurations
+     */
+    getChartConfigs() {
+        return Object.values(this.charts).map(chart => chart.config);
     }
     
     generateSalaryInsights(data) {
@@ -836,8 +816,8 @@ class AnalyticsDashboard {
     }
     
     generateTenureInsights(employees) {
-        const avgTenure = employees.reduce((sum, emp) => sum + (emp.tenure || 0), 0) / employees.length;
-        const newHires = employees.filter(emp => (emp.tenure || 0) < 1).length;
+        const avgTenure = employees.reduce((sum, emp) => sum + (emp.tenureYears || 0), 0) / employees.length;
+        const newHires = employees.filter(emp => (emp.tenureYears || 0) < 1).length;
         
         return `
             <div class="insight">
@@ -859,28 +839,28 @@ class AnalyticsDashboard {
     updateEquityPanel() {
         const equity = this.analytics.equity;
         
-        document.getElementById('gender-gap').textContent = equity.genderGap;
-        document.getElementById('performance-correlation').textContent = equity.performanceCorrelation.toFixed(3);
-        document.getElementById('country-variance').textContent = (equity.countryVariance * 100).toFixed(1) + '%';
+        this.container.querySelector('#gender-gap').textContent = equity.genderGap;
+        this.container.querySelector('#performance-correlation').textContent = equity.performanceCorrelation.toFixed(3);
+        this.container.querySelector('#country-variance').textContent = (equity.countryVariance * 100).toFixed(1) + '%';
         
         // Generate equity recommendations
         const recommendations = this.generateEquityRecommendations(equity);
-        document.getElementById('equity-recommendations').innerHTML = recommendations;
+        this.container.querySelector('#equity-recommendations').innerHTML = recommendations;
     }
     
     updatePerformancePanel() {
         const breakdown = this.generatePerformanceBreakdown();
-        document.getElementById('performance-breakdown').innerHTML = breakdown;
+        this.container.querySelector('#performance-breakdown').innerHTML = breakdown;
     }
     
     updateRiskPanel() {
         const breakdown = this.generateRiskBreakdown();
-        document.getElementById('risk-breakdown').innerHTML = breakdown;
+        this.container.querySelector('#risk-breakdown').innerHTML = breakdown;
     }
     
     updateTrendsPanel() {
         const trends = this.generateTrendsContent();
-        document.getElementById('trends-content').innerHTML = trends;
+        this.container.querySelector('#trends-content').innerHTML = trends;
     }
     
     generateEquityRecommendations(equity) {
@@ -952,9 +932,9 @@ class AnalyticsDashboard {
     }
     
     applyFilters() {
-        this.filters.country = document.getElementById('country-filter').value;
-        this.filters.department = document.getElementById('department-filter').value;
-        this.filters.performance = document.getElementById('performance-filter').value;
+        this.filters.country = this.container.querySelector('#country-filter').value;
+        this.filters.department = this.container.querySelector('#department-filter').value;
+        this.filters.performance = this.container.querySelector('#performance-filter').value;
         
         this.calculateAnalytics();
         this.updateDashboard();
@@ -968,16 +948,16 @@ class AnalyticsDashboard {
     
     switchTab(tabName) {
         // Update tab buttons
-        document.querySelectorAll('.tab-button').forEach(btn => {
+        this.container.querySelectorAll('.tab-button').forEach(btn => {
             btn.classList.remove('active');
         });
-        document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+        this.container.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
         
         // Update tab panels
-        document.querySelectorAll('.tab-panel').forEach(panel => {
+        this.container.querySelectorAll('.tab-panel').forEach(panel => {
             panel.classList.remove('active');
         });
-        document.getElementById(`${tabName}-panel`).classList.add('active');
+        this.container.querySelector(`#${tabName}-panel`).classList.add('active');
     }
     
     exportAnalyticsReport() {
@@ -1009,6 +989,9 @@ Total Employees: ${basic.totalEmployees}
 Average Salary: ${this.formatCurrency(basic.averageSalary)}
 Median Salary: ${this.formatCurrency(basic.medianSalary)}
 Total Payroll: ${this.formatCurrency(basic.totalPayroll)}
+Reporting Currency: ${this.reportingCurrency}
+Exchange Rates: ${this.rateInfo ? this.rateInfo.description : 'Built-in approximate rates'}
+Salary Basis: ${this.rateInfo && this.rateInfo.salaryBasis === 'actual' ? 'Actual cost' : 'Annualized FTE'}
 Average Performance: ${basic.averagePerformance.toFixed(1)}/5
 Flight Risk Count: ${basic.flightRiskCount}
 
@@ -1038,7 +1021,7 @@ ${this.generateEquityRecommendations(equity).replace(/<[^>]*>/g, '')}
         this.showNotification('Insight sharing feature would be implemented here', 'info');
     }
     
-    formatCurrency(amount, currency = 'USD') {
+    formatCurrency(amount, currency = this.reportingCurrency) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: currency,
@@ -5,12 +5,18 @@
  * thresholds and require VP or executive approval.
  */
 
-// Note: This component depends on raiseCalculator.js being loaded first
+// Note: This component depends on raiseCalculator.js being loaded first,
+// and records decisions in the shared undo history (historyManager.js)
+
+// Approval item fields a decision changes
+const APPROVAL_DECISION_FIELDS = ['status', 'approver', 'approvalDate', 'comments'];
 
 class ApprovalWorkflow {
     constructor(container) {
         this.container = container;
         this.employees = [];
+        // Planned raise percentage by employee id, from the raise recommendations
+        this.raisePlan = new Map();
         this.approvalQueue = [];
         this.approvalHistory = [];
         this.currentApproval = null;
@@ -247,21 +253,84 @@ class ApprovalWorkflow {
     
     setEmployees(employees) {
         this.employees = employees;
+        this.relinkApprovalHistory();
         this.generateApprovalQueue();
         console.log(`Approval workflow loaded ${employees.length} employees`);
     }
     
+    /**
+     * Use the raises planned in the raise recommendations; call before setEmployees
+     * @param {Array} plan - Items { id, percentage, status }
+     */
+    setRaisePlan(plan) {
+        this.raisePlan = new Map(plan
+            .filter(item => item.status !== 'rejected')
+            .map(item => [item.id, item.percentage]));
+    }
+    
+    /**
+     * An employee's proposed raise - the planned raise, or one set on the record itself
+     * @param {Object} employee - Employee
+     * @returns {number} Raise as a fraction, 0 if none
+     */
+    getProposedRaise(employee) {
+        if (this.raisePlan.has(employee.id)) return this.raisePlan.get(employee.id);
+        return employee.proposedRaise || 0;
+    }
+    
+    getApprovals() {
+        return [...this.approvalQueue, ...this.approvalHistory];
+    }
+    
+    getSessionState() {
+        return {
+            approvalQueue: this.approvalQueue,
+            approvalHistory: this.approvalHistory
+        };
+    }
+    
+    restoreSessionState(state) {
+        if (!state) return;
+        
+        this.approvalQueue = state.approvalQueue || [];
+        this.approvalHistory = state.approvalHistory || [];
+        this.updateApprovalDisplay();
+    }
+    
+    /**
+     * Point decided approvals at the current record for their employee id, so decisions
+     * follow records that are edited, merged or split back into their originals
+     */
+    relinkApprovalHistory() {
+        const byId = new Map(this.employees.filter(employee => employee.id).map(employee => [employee.id, employee]));
+        
+        this.approvalHistory.forEach(item => {
+            const current = item.employee && byId.get(item.employee.id);
+            if (current) item.employee = current;
+        });
+    }
+    
     generateApprovalQueue() {
+        // Items for a raise that hasn't changed keep their status and comments
+        const existing = new Map(this.approvalQueue.map(item => [item.employee.id, item]));
+        const decided = new Set(this.approvalHistory.map(item => `${item.employee.id}:${item.proposedRaise}`));
         this.approvalQueue = [];
         
         this.employees.forEach(employee => {
             // Check if employee has a proposed raise that requires approval
-            if (employee.proposedRaise && employee.proposedRaise > 0) {
-                const validation = validateRaise(employee, employee.proposedRaise);
+            const proposedRaise = this.getProposedRaise(employee);
+            if (proposedRaise > 0 && !decided.has(`${employee.id}:${proposedRaise}`)) {
+                const validation = validateRaise(employee, proposedRaise);
                 
                 if (validation.requiresApproval) {
-                    const approvalItem = this.createApprovalItem(employee, validation);
-                    this.approvalQueue.push(approvalItem);
+                    const current = existing.get(employee.id);
+                    if (current && current.proposedRaise === proposedRaise) {
+                        current.employee = employee;
+                        current.validation = validation;
+                        this.approvalQueue.push(current);
+                    } else {
+                        this.approvalQueue.push(this.createApprovalItem(employee, proposedRaise, validation));
+                    }
                 }
             }
         });
@@ -278,10 +347,9 @@ class ApprovalWorkflow {
         this.updateApprovalDisplay();
     }
     
-    createApprovalItem(employee, validation) {
-        const country = employee.country || 'US';
-        const constraints = COUNTRY_CONSTRAINTS[country] || COUNTRY_CONSTRAINTS['US'];
-        const raisePercent = employee.proposedRaise * 100;
+    createApprovalItem(employee, proposedRaise, validation) {
+        const constraints = getCountryPolicy(employee);
+        const raisePercent = proposedRaise * 100;
         const thresholdPercent = constraints.vpApprovalThreshold * 100;
         
         // Calculate urgency based on various factors
@@ -293,7 +361,7 @@ class ApprovalWorkflow {
         return {
             id: `approval_${employee.id || employee.name.replace(/\s+/g, '_')}_${Date.now()}`,
             employee,
-            proposedRaise: employee.proposedRaise,
+            proposedRaise,
             validation,
             constraints,
             thresholdExceeded: raisePercent - thresholdPercent,
@@ -332,61 +400,64 @@ class ApprovalWorkflow {
         const tbody = document.getElementById('approval-queue-tbody');
         const filtered = this.getFilteredApprovals();
         
-        tbody.innerHTML = filtered.map(item => `
-            <tr class="approval-row ${item.urgency}-urgency ${item.status}">
-                <td>
-                    <input type="checkbox" class="approval-checkbox" data-id="${item.id}" ${item.selected ? 'checked' : ''}>
-                </td>
-                <td>
-                    <div class="employee-info">
-                        <strong>${item.employee.name}</strong>
-                        <small>${item.employee.title || 'N/A'}</small>
-                        <small>${item.employee.country || 'N/A'}</small>
-                    </div>
-                </td>
-                <td>${this.formatCurrency(item.employee.currentSalary)}</td>
-                <td>
-                    <div class="raise-info">
-                        <strong>${(item.proposedRaise * 100).toFixed(1)}%</strong>
-                        <small>${this.formatCurrency(item.employee.currentSalary * item.proposedRaise)}</small>
-                    </div>
-                </td>
-                <td>${this.formatCurrency(item.employee.currentSalary * (1 + item.proposedRaise))}</td>
-                <td>
-                    <span class="threshold-exceeded ${item.urgency}">
-                        +${item.thresholdExceeded.toFixed(1)}%
-                    </span>
-                </td>
-                <td>
-                    <span class="urgency-badge ${item.urgency}">
-                        ${item.urgency.toUpperCase()}
-                    </span>
-                </td>
-                <td>
-                    <div class="date-info">
-                        <span>${new Date(item.submittedDate).toLocaleDateString()}</span>
-                        <small>by ${item.submittedBy}</small>
-                    </div>
-                </td>
-                <td>
-                    <span class="status-badge ${item.status}">
-                        ${this.getStatusText(item.status)}
-                    </span>
-                </td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="btn btn-sm btn-outline review-approval" data-id="${item.id}">
-                            Review
-                        </button>
-                        ${item.status === 'pending' ? `
-                            <button class="btn btn-sm btn-success quick-approve" data-id="${item.id}">
-                                Quick Approve
+        tbody.innerHTML = filtered.map(item => {
+            const amounts = this.getRaiseAmounts(item);
+            return `
+                <tr class="approval-row ${item.urgency}-urgency ${item.status}">
+                    <td>
+                        <input type="checkbox" class="approval-checkbox" data-id="${item.id}" ${item.selected ? 'checked' : ''}>
+                    </td>
+                    <td>
+                        <div class="employee-info">
+                            <strong>${item.employee.name}</strong>
+                            <small>${item.employee.title || 'N/A'}</small>
+                            <small>${item.employee.country || 'N/A'}</small>
+                        </div>
+                    </td>
+                    <td>${this.formatCurrency(amounts.current, amounts.currency)}</td>
+                    <td>
+                        <div class="raise-info">
+                            <strong>${(item.proposedRaise * 100).toFixed(1)}%</strong>
+                            <small>${this.formatCurrency(amounts.raise, amounts.currency)}</small>
+                        </div>
+                    </td>
+                    <td>${this.formatCurrency(amounts.newSalary, amounts.currency)}</td>
+                    <td>
+                        <span class="threshold-exceeded ${item.urgency}">
+                            +${item.thresholdExceeded.toFixed(1)}%
+                        </span>
+                    </td>
+                    <td>
+                        <span class="urgency-badge ${item.urgency}">
+                            ${item.urgency.toUpperCase()}
+                        </span>
+                    </td>
+                    <td>
+                        <div class="date-info">
+                            <span>${new Date(item.submittedDate).toLocaleDateString()}</span>
+                            <small>by ${item.submittedBy}</small>
+                        </div>
+                    </td>
+                    <td>
+                        <span class="status-badge ${item.status}">
+                            ${this.getStatusText(item.status)}
+                        </span>
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn btn-sm btn-outline review-approval" data-id="${item.id}">
+                                Review
                             </button>
-                        ` : ''}
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+                            ${item.status === 'pending' ? `
+                                <button class="btn btn-sm btn-success quick-approve" data-id="${item.id}">
+                                    Quick Approve
+                                </button>
+                            ` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
         
         // Attach event listeners
         tbody.querySelectorAll('.review-approval').forEach(btn => {
@@ -443,8 +514,8 @@ class ApprovalWorkflow {
         const modal = document.getElementById('approval-modal');
         const content = document.getElementById('approval-detail-content');
         
-        const raiseAmount = item.employee.currentSalary * item.proposedRaise;
-        const newSalary = item.employee.currentSalary + raiseAmount;
+        const employee = toEmployeeModel(item.employee);
+        const amounts = this.getRaiseAmounts(item);
         
         content.innerHTML = `
             <div class="approval-detail">
@@ -460,7 +531,7 @@ class ApprovalWorkflow {
                         <div class="detail-grid">
                             <div class="detail-item">
                                 <label>Current Salary:</label>
-                                <span>${this.formatCurrency(item.employee.currentSalary)}</span>
+                                <span>${this.formatCurrency(amounts.current, amounts.currency)}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Proposed Raise:</label>
@@ -468,11 +539,11 @@ class ApprovalWorkflow {
                             </div>
                             <div class="detail-item">
                                 <label>Raise Amount:</label>
-                                <span>${this.formatCurrency(raiseAmount)}</span>
+                                <span>${this.formatCurrency(amounts.raise, amounts.currency)}</span>
                             </div>
                             <div class="detail-item">
                                 <label>New Salary:</label>
-                                <span>${this.formatCurrency(newSalary)}</span>
+                                <span>${this.formatCurrency(amounts.newSalary, amounts.currency)}</span>
                             </div>
                         </div>
                     </div>
@@ -508,17 +579,17 @@ class ApprovalWorkflow {
                         <div class="detail-grid">
                             <div class="detail-item">
                                 <label>Performance Rating:</label>
-                                <span class="performance-badge performance-${item.employee.performance}">
-                                    ${item.employee.performance}/5
+                                <span class="performance-badge performance-${employee.rating || 'none'}">
+                                    ${employee.rating ? `${employee.rating}/5` : 'Not rated'}
                                 </span>
                             </div>
                             <div class="detail-item">
                                 <label>Tenure:</label>
-                                <span>${item.employee.tenure || 'N/A'} years</span>
+                                <span>${employee.tenureYears !== null ? `${employee.tenureYears.toFixed(1)} years` : 'N/A'}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Market Position:</label>
-                                <span>${item.employee.comparatio ? (item.employee.comparatio * 100).toFixed(0) + '%' : 'N/A'}</span>
+                                <span>${employee.comparatio ? (employee.comparatio * 100).toFixed(0) + '%' : 'N/A'}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Risk Factors:</label>
@@ -623,6 +694,20 @@ class ApprovalWorkflow {
     }
     
     processApproval(item, status, comments) {
+        this.recordDecision(`${this.getStatusText(status)}: raise for ${item.employee.name}`, () => {
+            this.applyDecision(item, status, comments);
+        });
+        
+        this.updateApprovalDisplay();
+        this.showNotification(`Raise ${status} for ${item.employee.name}`, 'success');
+        
+        // Emit event for main app
+        if (window.app && window.app.onApprovalProcessed) {
+            window.app.onApprovalProcessed(item, status);
+        }
+    }
+    
+    applyDecision(item, status, comments) {
         item.status = status;
         item.approver = 'Current User'; // This would be the logged-in user
         item.approvalDate = new Date().toISOString();
@@ -641,14 +726,32 @@ class ApprovalWorkflow {
             this.approvalHistory.push({...item});
             this.approvalQueue = this.approvalQueue.filter(queueItem => queueItem.id !== item.id);
         }
-        
-        this.updateApprovalDisplay();
-        this.showNotification(`Raise ${status} for ${item.employee.name}`, 'success');
-        
-        // Emit event for main app
-        if (window.app && window.app.onApprovalProcessed) {
-            window.app.onApprovalProcessed(item, status);
-        }
+    }
+    
+    /**
+     * Make approval decisions and add them to the undo history as one entry
+     * @param {string} label - Description shown in the history panel
+     * @param {Function} change - Makes the change
+     */
+    recordDecision(label, change) {
+        window.historyManager.recordChange(label, {
+            capture: () => ({
+                queue: this.approvalQueue.slice(),
+                history: this.approvalHistory.slice(),
+                items: this.approvalQueue.map(item => [item, snapshotFields(item, APPROVAL_DECISION_FIELDS)])
+            }),
+            restore: state => {
+                this.approvalQueue = state.queue.slice();
+                this.approvalHistory = state.history.slice();
+                state.items.forEach(([item, snapshot]) => restoreFields(item, snapshot, APPROVAL_DECISION_FIELDS));
+                this.updateApprovalDisplay();
+                
+                const historySection = document.querySelector('.approval-history');
+                if (historySection && historySection.style.display !== 'none') {
+                    this.displayApprovalHistory();
+                }
+            }
+        }, change);
     }
     
     quickApprove(itemId) {
@@ -665,8 +768,10 @@ class ApprovalWorkflow {
             return;
         }
         
-        selected.forEach(item => {
-            this.processApproval(item, 'approved', 'Bulk approval');
+        this.recordDecision(`Bulk approve ${selected.length} raises`, () => {
+            selected.forEach(item => {
+                this.processApproval(item, 'approved', 'Bulk approval');
+            });
         });
         
         this.showNotification(`Bulk approved ${selected.length} raises`, 'success');
@@ -761,20 +866,23 @@ class ApprovalWorkflow {
             'Submitted Date', 'Submitted By'
         ];
         
-        const rows = this.approvalQueue.map(item => [
-            item.employee.name,
-            item.employee.title || '',
-            item.employee.country || '',
-            item.employee.currentSalary,
-            (item.proposedRaise * 100).toFixed(2),
-            (item.employee.currentSalary * item.proposedRaise).toFixed(2),
-            (item.employee.currentSalary * (1 + item.proposedRaise)).toFixed(2),
-            item.thresholdExceeded.toFixed(1),
-            item.urgency,
-            item.status,
-            new Date(item.submittedDate).toLocaleDateString(),
-            item.submittedBy
-        ]);
+        const rows = this.approvalQueue.map(item => {
+            const amounts = this.getRaiseAmounts(item);
+            return [
+                item.employee.name,
+                item.employee.title || '',
+                item.employee.country || '',
+                amounts.current === null ? '' : amounts.current,
+                (item.proposedRaise * 100).toFixed(2),
+                amounts.current === null ? '' : amounts.raise.toFixed(2),
+                amounts.current === null ? '' : amounts.newSalary.toFixed(2),
+                item.thresholdExceeded.toFixed(1),
+                item.urgency,
+                item.status,
+                new Date(item.submittedDate).toLocaleDateString(),
+                item.submittedBy
+            ];
+        });
         
         this.exportToCsv(headers, rows, 'approval-queue');
     }
@@ -831,7 +939,23 @@ class ApprovalWorkflow {
         return statusTexts[status] || status;
     }
     
+    /**
+     * Salary before and after an approval item's raise, in the employee's currency
+     * @returns {Object} { currency, current, raise, newSalary } - amounts are null without a salary
+     */
+    getRaiseAmounts(item) {
+        const employee = toEmployeeModel(item.employee);
+        const current = employee.baseSalary;
+        return {
+            currency: employee.currency,
+            current,
+            raise: current === null ? null : current * item.proposedRaise,
+            newSalary: current === null ? null : current * (1 + item.proposedRaise)
+        };
+    }
+    
     formatCurrency(amount, currency = 'USD') {
+        if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: currency,
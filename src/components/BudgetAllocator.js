@@ -0,0 +1,530 @@
+/**
+ * Budget Allocator Component
+ *
+ * Splits the raise budget down the management chain: the top of the tree gets
+ * the merit pool and each manager's allocation is divided between the managers
+ * under them and their own direct reports, by headcount, payroll or custom
+ * amounts. Planned raises are tracked against every allocation, budget can be
+ * moved between sibling managers, and the top row is the roll-up of the tree.
+ */
+
+// Note: This component depends on orgHierarchy.js and budgetAllocation.js being loaded first
+
+class BudgetAllocator {
+    constructor(container, options = {}) {
+        this.container = container;
+
+        // Hierarchy and raise plan from the app - amounts are in the reporting currency
+        this.hierarchy = null;
+        this.topNodeId = null;
+        this.currency = 'USD';
+        this.raiseBudget = 0;
+        this.spendById = new Map();
+        this.hasRaisePlan = false;
+
+        // Pool typed for the top of the tree, for the org it was typed for; otherwise the raise budget is used
+        this.total = null;
+        this.totalScope = null;
+        // Split method per manager and custom sub-allocation amounts, keyed by hierarchy node id
+        this.settings = { methods: {}, custom: {} };
+        this.collapsed = new Set();
+        this.allocation = null;
+
+        // Called when the pool, a split or a rebalance changes
+        this.onChange = options.onChange || (() => {});
+
+        this.init();
+    }
+
+    init() {
+        this.render();
+        this.attachEventListeners();
+        this.renderAllocation();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="budget-allocator">
+                <div class="budget-header">
+                    <h2>Budget Allocation</h2>
+                    <p>Split the merit pool down the management chain and track each manager's planned raises against their share</p>
+                </div>
+
+                <div class="allocation-controls">
+                    <div class="input-group">
+                        <label for="allocation-total">Merit pool</label>
+                        <input type="number" id="allocation-total" min="0" step="1000">
+                        <span id="allocation-currency" class="allocation-currency"></span>
+                    </div>
+                    <button id="allocation-use-budget" class="btn btn-secondary btn-sm" title="Use the raise budget % of salaries in scope">
+                        Use Raise Budget
+                    </button>
+                    <button id="allocation-reset-splits" class="btn btn-secondary btn-sm" title="Split every allocation by headcount again">
+                        Reset Splits
+                    </button>
+                </div>
+
+                <div id="allocation-summary" class="allocation-summary"></div>
+                <div id="allocation-warnings" class="allocation-warnings"></div>
+                <div id="allocation-table" class="allocation-table"></div>
+
+                <div class="allocation-rebalance">
+                    <h3>Rebalance Between Managers</h3>
+                    <p class="budget-pools-hint">Move budget from one manager's org to another who reports to the same manager. Their manager's split becomes custom amounts.</p>
+                    <div class="allocation-rebalance-form">
+                        <select id="rebalance-from"></select>
+                        <span>to</span>
+                        <select id="rebalance-to"></select>
+                        <input type="number" id="rebalance-amount" min="0" step="100" placeholder="Amount">
+                        <button id="rebalance-apply" class="btn btn-primary btn-sm">Move Budget</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        this.container.querySelector('#allocation-total').addEventListener('change', event => {
+            this.total = Math.max(0, parseFloat(event.target.value) || 0);
+            this.totalScope = this.topNodeId;
+            this.renderAllocation();
+            this.onChange();
+        });
+
+        this.container.querySelector('#allocation-use-budget').addEventListener('click', () => {
+            this.total = null;
+            this.renderAllocation();
+            this.onChange();
+        });
+
+        this.container.querySelector('#allocation-reset-splits').addEventListener('click', () => {
+            this.settings = { methods: {}, custom: {} };
+            this.renderAllocation();
+            this.onChange();
+        });
+
+        const table = this.container.querySelector('#allocation-table');
+        table.addEventListener('click', event => {
+            const toggle = event.target.closest('.allocation-toggle');
+            if (!toggle) return;
+
+            const nodeId = toggle.dataset.nodeId;
+            if (this.collapsed.has(nodeId)) {
+                this.collapsed.delete(nodeId);
+            } else {
+                this.collapsed.add(nodeId);
+            }
+            this.renderAllocation();
+        });
+
+        table.addEventListener('change', event => {
+            const input = event.target.closest('[data-node-id]');
+            if (!input) return;
+
+            if (input.classList.contains('allocation-method')) {
+                this.setMethod(input.dataset.nodeId, input.value);
+            } else if (input.classList.contains('allocation-amount')) {
+                this.setCustomAmount(input.dataset.nodeId, Math.max(0, parseFloat(input.value) || 0));
+            }
+        });
+
+        this.container.querySelector('#rebalance-from').addEventListener('change', () => this.renderRebalanceTargets());
+
+        this.container.querySelector('#rebalance-apply').addEventListener('click', () => {
+            const fromId = this.container.querySelector('#rebalance-from').value;
+            const toId = this.container.querySelector('#rebalance-to').value;
+            const amount = parseFloat(this.container.querySelector('#rebalance-amount').value);
+            this.rebalance(fromId, toId, amount);
+        });
+    }
+
+    /**
+     * Set the hierarchy and raise plan the allocation is made and tracked for
+     * @param {Object} data - Data
+     * @param {OrgHierarchy} data.hierarchy - Management hierarchy
+     * @param {string|null} data.topNodeId - Manager the org tree is scoped to, null for everyone
+     * @param {number} data.raiseBudget - Raise budget in the reporting currency
+     * @param {Array} data.raisePlan - Raise plan items { id, status, normalizedRaise }
+     * @param {string} data.currency - Reporting currency code
+     */
+    setData({ hierarchy, topNodeId = null, raiseBudget = 0, raisePlan = [], currency = 'USD' }) {
+        this.hierarchy = hierarchy;
+        this.topNodeId = topNodeId;
+        this.raiseBudget = raiseBudget || 0;
+        this.currency = currency;
+        this.spendById = new Map(raisePlan
+            .filter(item => item.status !== 'rejected')
+            .map(item => [item.id, item.normalizedRaise || 0]));
+        this.hasRaisePlan = raisePlan.length > 0;
+        this.renderAllocation();
+    }
+
+    /**
+     * Merit pool for the top of the tree - the typed amount, or the raise budget
+     */
+    getTotal() {
+        return this.total !== null && this.totalScope === this.topNodeId ? this.total : this.raiseBudget;
+    }
+
+    /**
+     * Allocate the pool down the hierarchy
+     * @returns {Object|null} allocateBudget result, or null without a hierarchy
+     */
+    calculate() {
+        if (!this.hierarchy || this.hierarchy.getRoots().length === 0) {
+            this.allocation = null;
+            return null;
+        }
+
+        this.allocation = allocateBudget({
+            hierarchy: this.hierarchy,
+            topNodeId: this.topNodeId,
+            total: this.getTotal(),
+            settings: this.settings,
+            getSalary: employee => toEmployeeModel(employee).normalizedSalary,
+            getSpend: employee => this.spendById.get(employee.id) || 0
+        });
+        return this.allocation;
+    }
+
+    /**
+     * Change how a manager's allocation is split
+     * @param {string} nodeId - Manager's hierarchy node id
+     * @param {string} method - Key of ALLOCATION_METHODS
+     */
+    setMethod(nodeId, method) {
+        if (!ALLOCATION_METHODS[method]) return;
+
+        // Custom splits start from the current amounts so switching doesn't move any budget
+        if (method === 'custom' && this.allocation && this.allocation.nodes.has(nodeId)) {
+            this.allocation.nodes.get(nodeId).childIds.forEach(childId => {
+                this.settings.custom[childId] = this.allocation.nodes.get(childId).amount;
+            });
+        }
+        this.settings.methods[nodeId] = method;
+        this.renderAllocation();
+        this.onChange();
+    }
+
+    /**
+     * Set a manager's sub-allocation when their manager splits by custom amounts
+     * @param {string} nodeId - Manager's hierarchy node id
+     * @param {number} amount - Amount in the reporting currency
+     */
+    setCustomAmount(nodeId, amount) {
+        if (!this.allocation) return;
+
+        try {
+            this.settings = setCustomAllocation(this.settings, this.allocation, nodeId, amount);
+        } catch (error) {
+            this.showNotification(error.message, 'warning');
+            // Put the input back to the amount that still applies
+            this.renderAllocation();
+            return;
+        }
+
+        this.renderAllocation();
+        this.onChange();
+    }
+
+    /**
+     * Move budget from one manager's org to a sibling's
+     * @param {string} fromId - Manager to take the budget from
+     * @param {string} toId - Manager to give it to
+     * @param {number} amount - Amount in the reporting currency
+     */
+    rebalance(fromId, toId, amount) {
+        if (!this.allocation) return;
+
+        try {
+            this.settings = rebalanceAllocation(this.settings, this.allocation, fromId, toId, amount);
+        } catch (error) {
+            this.showNotification(error.message, 'warning');
+            return;
+        }
+
+        const from = this.allocation.nodes.get(fromId);
+        const to = this.allocation.nodes.get(toId);
+        this.renderAllocation();
+        this.onChange();
+        this.showNotification(`Moved ${this.formatCurrency(amount)} from ${from.name} to ${to.name}`, 'success');
+    }
+
+    /**
+     * Render the summary, warnings, allocation tree and rebalance form
+     */
+    renderAllocation() {
+        const tableDiv = this.container.querySelector('#allocation-table');
+        if (!tableDiv) return;
+
+        const summaryDiv = this.container.querySelector('#allocation-summary');
+        const warningsDiv = this.container.querySelector('#allocation-warnings');
+        this.container.querySelector('#allocation-currency').textContent = this.currency;
+        this.container.querySelector('#allocation-total').value = Math.round(this.getTotal());
+
+        const allocation = this.calculate();
+        if (!allocation) {
+            summaryDiv.innerHTML = '';
+            warningsDiv.innerHTML = '';
+            tableDiv.innerHTML = '<p class="empty-state">Load employee data with a Manager Employee Number column to allocate budget by manager</p>';
+            this.renderRebalanceSources();
+            return;
+        }
+
+        this.renderSummary(allocation.top);
+        this.renderWarnings(allocation);
+
+        tableDiv.innerHTML = `
+            <table class="pool-table allocation-tree-table">
+                <thead>
+                    <tr>
+                        <th>Manager</th>
+                        <th>Employees</th>
+                        <th>Split by</th>
+                        <th>Allocated</th>
+                        <th>Planned</th>
+                        <th>Remaining</th>
+                        <th>Utilization</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.renderRows(allocation.top)}
+                </tbody>
+            </table>
+            ${this.hasRaisePlan ? '' : '<p class="budget-pools-hint">Planned raises come from the Recommendations tab.</p>'}
+        `;
+
+        this.renderRebalanceSources();
+    }
+
+    /**
+     * Roll-up cards for the top of the tree
+     */
+    renderSummary(top) {
+        const overspentCount = this.allocation.overspent.length;
+
+        this.container.querySelector('#allocation-summary').innerHTML = `
+            <div class="allocation-stat">
+                <span class="allocation-stat-label">Merit Pool</span>
+                <span class="allocation-stat-value">${this.formatCurrency(top.amount)}</span>
+                <span class="allocation-stat-note">${this.escapeHtml(top.name)} · ${top.headcount} employees</span>
+            </div>
+            <div class="allocation-stat">
+                <span class="allocation-stat-label">Planned Raises</span>
+                <span class="allocation-stat-value">${this.formatCurrency(top.spent)}</span>
+                <span class="allocation-stat-note">${this.formatUtilization(top.utilization)} of the pool</span>
+            </div>
+            <div class="allocation-stat ${top.overspent ? 'over-budget' : ''}">
+                <span class="allocation-stat-label">Remaining</span>
+                <span class="allocation-stat-value">${this.formatCurrency(top.remaining)}</span>
+            </div>
+            <div class="allocation-stat ${overspentCount > 0 ? 'over-budget' : ''}">
+                <span class="allocation-stat-label">Over Allocation</span>
+                <span class="allocation-stat-value">${overspentCount}</span>
+                <span class="allocation-stat-note">${overspentCount === 1 ? 'allocation' : 'allocations'} with more planned than allocated</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Warnings for overspent and over-allocated managers
+     */
+    renderWarnings(allocation) {
+        const warnings = [];
+
+        allocation.overspent.forEach(node => {
+            if (node.overspent) {
+                warnings.push(`${this.escapeHtml(node.name)}'s org has ${this.formatCurrency(node.spent)} of raises planned against ${this.formatCurrency(node.amount)}` +
+                    (node.id !== allocation.top.id && !allocation.top.overspent ? ', even though the top of the tree is within budget' : '') + '.');
+            } else if (node.direct.overspent) {
+                warnings.push(`${this.escapeHtml(node.name)}'s direct reports have ${this.formatCurrency(node.direct.spent)} planned against ${this.formatCurrency(node.direct.amount)} - rebalance within their org or raise their allocation.`);
+            }
+        });
+
+        allocation.nodes.forEach(node => {
+            if (node.overAllocated) {
+                warnings.push(`${this.escapeHtml(node.name)}'s custom amounts add up to ${this.formatCurrency(node.customTotal)}, more than their ${this.formatCurrency(node.amount)} - scaled down to fit.`);
+            }
+        });
+
+        this.container.querySelector('#allocation-warnings').innerHTML = warnings
+            .map(warning => `<div class="allocation-warning">⚠️ ${warning}</div>`)
+            .join('');
+    }
+
+    /**
+     * Rows for a manager, their direct reports' pool and, when expanded, their managers
+     */
+    renderRows(node) {
+        const parent = node.parentId !== null ? this.allocation.nodes.get(node.parentId) : null;
+        const hasManagers = node.childIds.length > 0;
+        const expanded = !this.collapsed.has(node.id);
+        const rowClass = [node.overspent ? 'over-budget' : '', node.depth === 0 ? 'allocation-top' : ''].join(' ').trim();
+
+        const amountCell = parent && parent.method === 'custom'
+            ? `<input type="number" class="allocation-amount" data-node-id="${this.escapeHtml(node.id)}"
+                    value="${Math.round(node.amount)}" min="0" step="100" title="Custom amount from ${this.escapeHtml(parent.name)}">`
+            : this.formatCurrency(node.amount);
+
+        const methodCell = hasManagers
+            ? `<select class="allocation-method" data-node-id="${this.escapeHtml(node.id)}">
+                    ${Object.values(ALLOCATION_METHODS).map(method => `
+                        <option value="${method.key}" ${method.key === node.method ? 'selected' : ''}>${method.label}</option>
+                    `).join('')}
+                </select>`
+            : '-';
+
+        const toggle = hasManagers
+            ? `<button class="allocation-toggle" data-node-id="${this.escapeHtml(node.id)}" title="${expanded ? 'Collapse' : 'Expand'}">${expanded ? '▾' : '▸'}</button>`
+            : '<span class="allocation-toggle-spacer"></span>';
+
+        let html = `
+            <tr class="${rowClass}">
+                <td style="padding-left: ${0.75 + node.depth * 1.25}rem">
+                    ${toggle}
+                    <span class="allocation-name">${this.escapeHtml(node.name)}</span>
+                    ${node.employee ? `<span class="allocation-title">${this.escapeHtml(toEmployeeModel(node.employee).title || '')}</span>` : ''}
+                </td>
+                <td>${node.headcount}</td>
+                <td>${methodCell}</td>
+                <td>${amountCell}</td>
+                <td>${this.formatCurrency(node.spent)}</td>
+                <td>${this.formatCurrency(node.remaining)}</td>
+                <td>${this.formatUtilization(node.utilization)}${node.overspent ? ' <span class="status-badge error">Overspent</span>' : ''}</td>
+            </tr>
+        `;
+
+        // Without managers under them the whole allocation is the direct reports' pool
+        if (hasManagers && expanded) {
+            const direct = node.direct;
+            html += `
+                <tr class="allocation-direct ${direct.overspent ? 'over-budget' : ''}">
+                    <td style="padding-left: ${2.5 + (node.depth + 1) * 1.25}rem">Direct reports</td>
+                    <td>${direct.headcount}</td>
+                    <td></td>
+                    <td>${this.formatCurrency(direct.amount)}</td>
+                    <td>${this.formatCurrency(direct.spent)}</td>
+                    <td>${this.formatCurrency(direct.remaining)}</td>
+                    <td>${this.formatUtilization(direct.amount > 0 ? direct.spent / direct.amount : null)}${direct.overspent ? ' <span class="status-badge error">Overspent</span>' : ''}</td>
+                </tr>
+            `;
+            html += node.childIds.map(childId => this.renderRows(this.allocation.nodes.get(childId))).join('');
+        }
+
+        return html;
+    }
+
+    /**
+     * Managers budget can be moved from - those with a sibling
+     */
+    renderRebalanceSources() {
+        const fromSelect = this.container.querySelector('#rebalance-from');
+        const selected = fromSelect.value;
+        const sources = this.allocation
+            ? [...this.allocation.nodes.values()].filter(node =>
+                node.parentId !== null && this.allocation.nodes.get(node.parentId).childIds.length > 1)
+            : [];
+
+        fromSelect.innerHTML = sources.length > 0
+            ? sources.map(node => `<option value="${this.escapeHtml(node.id)}">${this.escapeHtml(node.name)} (${this.formatCurrency(node.amount)})</option>`).join('')
+            : '<option value="">No managers with a sibling</option>';
+        if (sources.some(node => node.id === selected)) {
+            fromSelect.value = selected;
+        }
+        this.renderRebalanceTargets();
+    }
+
+    /**
+     * Siblings of the manager budget is moved from
+     */
+    renderRebalanceTargets() {
+        const toSelect = this.container.querySelector('#rebalance-to');
+        const selected = toSelect.value;
+        const from = this.allocation && this.allocation.nodes.get(this.container.querySelector('#rebalance-from').value);
+        const siblings = from
+            ? this.allocation.nodes.get(from.parentId).childIds.filter(id => id !== from.id).map(id => this.allocation.nodes.get(id))
+            : [];
+
+        toSelect.innerHTML = siblings
+            .map(node => `<option value="${this.escapeHtml(node.id)}">${this.escapeHtml(node.name)} (${this.formatCurrency(node.amount)})</option>`)
+            .join('');
+        if (siblings.some(node => node.id === selected)) {
+            toSelect.value = selected;
+        }
+        this.container.querySelector('#rebalance-apply').disabled = siblings.length === 0;
+    }
+
+    /**
+     * Get the allocation for other views - the top roll-up and every manager's allocation
+     */
+    getAllocation() {
+        return this.allocation;
+    }
+
+    /**
+     * Get the pool and splits for session persistence
+     */
+    getSessionState() {
+        return {
+            total: this.total,
+            totalScope: this.totalScope,
+            settings: this.settings
+        };
+    }
+
+    /**
+     * Restore a pool and splits saved with getSessionState
+     */
+    restoreSessionState(state) {
+        if (!state) return;
+
+        this.total = typeof state.total === 'number' ? state.total : null;
+        this.totalScope = state.totalScope || null;
+        this.settings = {
+            methods: (state.settings && state.settings.methods) || {},
+            custom: (state.settings && state.settings.custom) || {}
+        };
+        this.renderAllocation();
+    }
+
+    formatUtilization(utilization) {
+        return utilization === null || utilization === undefined ? '-' : `${(utilization * 100).toFixed(1)}%`;
+    }
+
+    formatCurrency(amount) {
+        if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showNotification(message, type = 'info') {
+        // Use the main app's notification system
+        if (window.app && window.app.showNotification) {
+            window.app.showNotification(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BudgetAllocator;
+} else {
+    window.BudgetAllocator = BudgetAllocator;
+}
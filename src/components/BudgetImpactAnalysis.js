@@ -20,14 +20,13 @@ class BudgetImpactAnalysis {
         this.data = [];
         this.scenarios = [];
         this.currentScenario = null;
-        this.budgetConstraints = {};
+        this.activeScenarioId = null;
         this.costBreakdowns = {};
+        this.reportingCurrency = 'USD';
         
         // Chart configuration
+        this.chart = null;
         this.chartConfig = {
-            width: 800,
-            height: 400,
-            margin: { top: 20, right: 80, bottom: 60, left: 80 },
             colors: {
                 current: '#6b7280',
                 proposed: '#2563eb',
@@ -45,6 +44,10 @@ class BudgetImpactAnalysis {
             countryVariance: 0.25,      // 25% variance allowed per country
             individualRaiseMax: 0.12    // 12% max individual raise
         };
+        this.budgetConstraints = { ...this.defaultConstraints };
+        
+        // Replacing an employee is commonly estimated at half a year's salary
+        this.replacementCostRate = 0.5;
     }
 
     /**
@@ -56,13 +59,32 @@ class BudgetImpactAnalysis {
         return this;
     }
 
+    /**
+     * Set the currency amounts are shown in (salaries and adjustments are already in it)
+     */
+    setReportingCurrency(currency) {
+        this.reportingCurrency = currency || 'USD';
+    }
+
     /**
      * Update component with new employee data and scenarios
+     * @param {Array} employees - Employee records
+     * @param {Array} scenarios - Raise scenarios { id, name, adjustments: [{ employeeId, currentSalary, newSalary }] }
+     * @param {string|null} activeScenarioId - Scenario chosen for Insights, shown when it changes
      */
-    updateData(employees, scenarios = []) {
-        this.data = employees.filter(emp => emp.salary && !isNaN(parseFloat(emp.salary)));
+    updateData(employees, scenarios = [], activeScenarioId = null) {
+        // Costs are compared in the reporting currency
+        this.data = employeeAdapter.toModels(employees).filter(emp => emp.normalizedSalary !== null);
         this.scenarios = scenarios;
-        this.currentScenario = scenarios.length > 0 ? scenarios[0] : null;
+        
+        // Keep the scenario picked here unless another one was made active since
+        const selectedId = activeScenarioId !== this.activeScenarioId
+            ? activeScenarioId
+            : this.currentScenario && this.currentScenario.id;
+        this.activeScenarioId = activeScenarioId;
+        this.currentScenario = scenarios.find(s => s.id === selectedId) ||
+            scenarios.find(s => s.id === activeScenarioId) ||
+            (scenarios.length > 0 ? scenarios[0] : null);
         
         this.calculateBudgetImpacts();
         this.updateCharts();
@@ -73,6 +95,8 @@ class BudgetImpactAnalysis {
      */
     setBudgetConstraints(constraints) {
         this.budgetConstraints = { ...this.defaultConstraints, ...constraints };
+        if (this.data.length === 0) return;
+        
         this.calculateBudgetImpacts();
         this.updateCharts();
     }
@@ -106,11 +130,11 @@ class BudgetImpactAnalysis {
         };
         
         employees.forEach(emp => {
-            const salary = parseFloat(emp.salary);
+            const salary = emp.normalizedSalary;
             breakdown.total += salary;
             
-            // By department
-            const dept = emp.department || 'Unknown';
+            // By department (job function)
+            const dept = emp.jobFunction || 'Unknown';
             breakdown.byDepartment[dept] = (breakdown.byDepartment[dept] || 0) + salary;
             
             // By country
@@ -118,16 +142,16 @@ class BudgetImpactAnalysis {
             breakdown.byCountry[country] = (breakdown.byCountry[country] || 0) + salary;
             
             // By role
-            const role = emp.jobTitle || 'Unknown';
+            const role = emp.title || 'Unknown';
             breakdown.byRole[role] = (breakdown.byRole[role] || 0) + salary;
             
             // By performance
-            const performance = emp.performanceRating || 'Unknown';
+            const performance = emp.ratingText || 'Unknown';
             breakdown.byPerformance[performance] = (breakdown.byPerformance[performance] || 0) + salary;
         });
         
         // Calculate statistics
-        const salaries = employees.map(emp => parseFloat(emp.salary));
+        const salaries = employees.map(emp => emp.normalizedSalary);
         breakdown.statistics = {
             count: employees.length,
             average: breakdown.total / employees.length,
@@ -149,9 +173,9 @@ class BudgetImpactAnalysis {
             if (adjustment) {
                 return {
                     ...emp,
-                    salary: adjustment.newSalary,
-                    raise: adjustment.newSalary - parseFloat(emp.salary),
-                    raisePercentage: ((adjustment.newSalary - parseFloat(emp.salary)) / parseFloat(emp.salary)) * 100
+                    normalizedSalary: adjustment.newSalary,
+                    raise: adjustment.newSalary - emp.normalizedSalary,
+                    raisePercentage: ((adjustment.newSalary - emp.normalizedSalary) / emp.normalizedSalary) * 100
                 };
             }
             return emp;
@@ -161,13 +185,15 @@ class BudgetImpactAnalysis {
         const currentBreakdown = this.costBreakdowns.current;
         
         // Calculate impact metrics
+        const adjusted = adjustedEmployees.filter(emp => emp.raise !== undefined);
         breakdown.impact = {
             totalIncrease: breakdown.total - currentBreakdown.total,
             percentageIncrease: ((breakdown.total - currentBreakdown.total) / currentBreakdown.total) * 100,
-            affectedEmployees: scenario.adjustments.length,
-            averageRaise: scenario.adjustments.reduce((sum, adj) => sum + (adj.newSalary - adj.currentSalary), 0) / scenario.adjustments.length,
+            affectedEmployees: adjusted.length,
+            averageRaise: adjusted.length > 0 ? adjusted.reduce((sum, emp) => sum + emp.raise, 0) / adjusted.length : 0,
             budgetCompliance: this.checkBudgetCompliance(breakdown, currentBreakdown)
         };
+        breakdown.adjustedEmployees = adjusted;
         
         return breakdown;
     }
@@ -392,7 +418,8 @@ class BudgetImpactAnalysis {
         const canvas = this.container.querySelector('#budgetChart');
         if (!canvas) return;
         
-        this.ctx = canvas.getContext('2d');
+        if (this.chart) this.chart.destroy();
+        this.chart = new ChartRenderer(canvas, { type: 'bar', datasets: [] });
     }
 
     /**
@@ -455,7 +482,7 @@ class BudgetImpactAnalysis {
             const increase = proposed.total - current.total;
             const increasePercent = (increase / current.total) * 100;
             this.container.querySelector('#budgetIncrease').textContent = 
-                `+${this.formatCurrency(increase)} (${increasePercent.toFixed(1)}%)`;
+                `${increase >= 0 ? '+' : ''}${this.formatCurrency(increase)} (${increasePercent.toFixed(1)}%)`;
             
             // Impact
             this.container.querySelector('#impactAmount').textContent = this.formatCurrency(increase);
@@ -470,8 +497,8 @@ class BudgetImpactAnalysis {
         } else {
             // Reset to current values
             this.container.querySelector('#proposedBudget').textContent = this.formatCurrency(current.total);
-            this.container.querySelector('#budgetIncrease').textContent = '+$0 (0%)';
-            this.container.querySelector('#impactAmount').textContent = '$0';
+            this.container.querySelector('#budgetIncrease').textContent = `+${this.formatCurrency(0)} (0%)`;
+            this.container.querySelector('#impactAmount').textContent = this.formatCurrency(0);
             this.container.querySelector('#affectedEmployees').textContent = '0 affected';
             this.container.querySelector('#complianceScore').textContent = '100%';
             this.container.querySelector('#complianceStatus').textContent = 'No Changes';
@@ -504,14 +531,7 @@ class BudgetImpactAnalysis {
      * Render budget comparison chart
      */
     renderComparisonChart() {
-        if (!this.ctx || !this.costBreakdowns.current) return;
-        
-        const { width, height, margin } = this.chartConfig;
-        const plotWidth = width - margin.left - margin.right;
-        const plotHeight = height - margin.top - margin.bottom;
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, width, height);
+        if (!this.chart || !this.costBreakdowns.current) return;
         
         const current = this.costBreakdowns.current;
         const proposed = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : current;
@@ -531,83 +551,16 @@ class BudgetImpactAnalysis {
             proposed.statistics.max
         ];
         
-        // Calculate scales
-        const maxValue = Math.max(...currentValues, ...proposedValues);
-        const yScale = {
-            min: 0,
-            max: maxValue * 1.1,
-            range: plotHeight
-        };
-        
-        // Draw bars
-        const barWidth = plotWidth / (categories.length * 3);
-        const groupWidth = barWidth * 2.5;
-        
-        categories.forEach((category, i) => {
-            const x = margin.left + i * groupWidth + groupWidth * 0.1;
-            
-            // Current bar
-            const currentHeight = (currentValues[i] / yScale.max) * yScale.range;
-            this.ctx.fillStyle = this.chartConfig.colors.current;
-            this.ctx.fillRect(x, margin.top + yScale.range - currentHeight, barWidth, currentHeight);
-            
-            // Proposed bar
-            const proposedHeight = (proposedValues[i] / yScale.max) * yScale.range;
-            this.ctx.fillStyle = this.chartConfig.colors.proposed;
-            this.ctx.fillRect(x + barWidth + 5, margin.top + yScale.range - proposedHeight, barWidth, proposedHeight);
-            
-            // Category label
-            this.ctx.fillStyle = '#374151';
-            this.ctx.font = '12px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(category, x + barWidth, margin.top + yScale.range + 20);
+        this.chart.update({
+            type: 'bar',
+            title: this.currentScenario ? `Current vs ${this.currentScenario.name}` : 'Current Budget',
+            labels: categories,
+            datasets: [
+                { label: 'Current', data: currentValues, color: this.chartConfig.colors.current },
+                { label: 'Proposed', data: proposedValues, color: this.chartConfig.colors.proposed }
+            ],
+            formatY: value => this.formatCurrency(value)
         });
-        
-        // Draw legend
-        this.drawLegend(['Current', 'Proposed'], [this.chartConfig.colors.current, this.chartConfig.colors.proposed]);
-        
-        // Draw y-axis labels
-        this.drawYAxisLabels(yScale, margin, true);
-    }
-
-    /**
-     * Draw legend
-     */
-    drawLegend(labels, colors) {
-        const legendX = this.chartConfig.width - 150;
-        const legendY = 30;
-        
-        labels.forEach((label, i) => {
-            const y = legendY + i * 20;
-            
-            // Color box
-            this.ctx.fillStyle = colors[i];
-            this.ctx.fillRect(legendX, y, 12, 12);
-            
-            // Label
-            this.ctx.fillStyle = '#374151';
-            this.ctx.font = '12px Arial';
-            this.ctx.textAlign = 'left';
-            this.ctx.fillText(label, legendX + 18, y + 9);
-        });
-    }
-
-    /**
-     * Draw Y-axis labels
-     */
-    drawYAxisLabels(yScale, margin, isCurrency = false) {
-        this.ctx.fillStyle = '#374151';
-        this.ctx.font = '12px Arial';
-        this.ctx.textAlign = 'right';
-        
-        const ticks = 5;
-        for (let i = 0; i <= ticks; i++) {
-            const value = yScale.min + (yScale.max - yScale.min) * (i / ticks);
-            const y = margin.top + yScale.range - (i / ticks) * yScale.range;
-            
-            const label = isCurrency ? this.formatCurrency(value) : value.toFixed(0);
-            this.ctx.fillText(label, margin.left - 10, y + 4);
-        }
     }
 
     /**
@@ -630,7 +583,7 @@ class BudgetImpactAnalysis {
                 const percentage = (amount / current.total) * 100;
                 html += `
                     <div class="breakdown-item">
-                        <span class="breakdown-label">${dept}</span>
+                        <span class="breakdown-label">${this.escapeHtml(dept)}</span>
                         <span class="breakdown-value">${this.formatCurrency(amount)}</span>
                         <span class="breakdown-percent">${percentage.toFixed(1)}%</span>
                     </div>
@@ -781,33 +734,52 @@ class BudgetImpactAnalysis {
      * Update department analysis
      */
     updateDepartmentAnalysis() {
-        const container = this.container.querySelector('#departmentAnalysisContent');
+        this.renderBreakdownTable('#departmentAnalysisContent', 'Job Function', 'byDepartment', emp => emp.jobFunction);
+    }
+
+    /**
+     * Update country analysis
+     */
+    updateCountryAnalysis() {
+        this.renderBreakdownTable('#countryAnalysisContent', 'Country', 'byCountry', emp => emp.country);
+    }
+
+    /**
+     * Update role analysis
+     */
+    updateRoleAnalysis() {
+        this.renderBreakdownTable('#roleAnalysisContent', 'Role', 'byRole', emp => emp.title);
+    }
+
+    /**
+     * Render current and proposed cost for each group of a breakdown
+     * @param {string} selector - Content element selector
+     * @param {string} heading - Group column heading
+     * @param {string} breakdownKey - Breakdown to show, e.g. 'byCountry'
+     * @param {Function} groupOf - Employee => group name, as used by calculateCostBreakdown
+     */
+    renderBreakdownTable(selector, heading, breakdownKey, groupOf) {
+        const container = this.container.querySelector(selector);
         if (!container) return;
         
         const current = this.costBreakdowns.current;
         if (!current) return;
         
-        const departments = Object.entries(current.byDepartment)
+        const proposedBreakdown = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : null;
+        
+        const groups = Object.entries(current[breakdownKey])
             .sort(([,a], [,b]) => b - a)
-            .map(([dept, amount]) => {
-                const employees = this.data.filter(emp => (emp.department || 'Unknown') === dept);
-                const avgSalary = amount / employees.length;
-                
-                let proposedAmount = amount;
-                let impact = 0;
-                
-                if (this.currentScenario && this.costBreakdowns[this.currentScenario.id]) {
-                    proposedAmount = this.costBreakdowns[this.currentScenario.id].byDepartment[dept] || amount;
-                    impact = proposedAmount - amount;
-                }
+            .map(([name, amount]) => {
+                const employees = this.data.filter(emp => (groupOf(emp) || 'Unknown') === name);
+                const proposedAmount = proposedBreakdown ? (proposedBreakdown[breakdownKey][name] || amount) : amount;
                 
                 return {
-                    name: dept,
+                    name,
                     current: amount,
                     proposed: proposedAmount,
-                    impact,
+                    impact: proposedAmount - amount,
                     employees: employees.length,
-                    avgSalary,
+                    avgSalary: amount / employees.length,
                     percentage: (amount / current.total) * 100
                 };
             });
@@ -817,7 +789,7 @@ class BudgetImpactAnalysis {
                 <table>
                     <thead>
                         <tr>
-                            <th>Department</th>
+                            <th>${heading}</th>
                             <th>Employees</th>
                             <th>Current Budget</th>
                             <th>Proposed Budget</th>
@@ -827,17 +799,105 @@ class BudgetImpactAnalysis {
                         </tr>
                     </thead>
                     <tbody>
-                        ${departments.map(dept => `
+                        ${groups.map(group => `
                             <tr>
-                                <td>${dept.name}</td>
-                                <td>${dept.employees}</td>
-                                <td>${this.formatCurrency(dept.current)}</td>
-                                <td>${this.formatCurrency(dept.proposed)}</td>
-                                <td class="${dept.impact >= 0 ? 'positive' : 'negative'}">
-                                    ${dept.impact >= 0 ? '+' : ''}${this.formatCurrency(dept.impact)}
+                                <td>${this.escapeHtml(group.name)}</td>
+                                <td>${group.employees}</td>
+                                <td>${this.formatCurrency(group.current)}</td>
+                                <td>${this.formatCurrency(group.proposed)}</td>
+                                <td class="${group.impact >= 0 ? 'positive' : 'negative'}">
+                                    ${group.impact >= 0 ? '+' : ''}${this.formatCurrency(group.impact)}
                                 </td>
-                                <td>${this.formatCurrency(dept.avgSalary)}</td>
-                                <td>${dept.percentage.toFixed(1)}%</td>
+                                <td>${this.formatCurrency(group.avgSalary)}</td>
+                                <td>${group.percentage.toFixed(1)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Update ROI analysis - where the raise spend goes by performance rating,
+     * and what it costs next to replacing the people it is meant to keep
+     */
+    updateROIAnalysis() {
+        const container = this.container.querySelector('#roiAnalysisContent');
+        if (!container) return;
+        
+        const proposed = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : null;
+        if (!proposed || proposed.impact.affectedEmployees === 0) {
+            container.innerHTML = '<div class="compliance-message">Select a scenario with raises to see where the spend goes</div>';
+            return;
+        }
+        
+        const totalSpend = proposed.impact.totalIncrease;
+        const raisedIds = new Set(proposed.adjustedEmployees.map(emp => emp.id));
+        const ratings = {};
+        
+        this.data.forEach(emp => {
+            const rating = emp.ratingText || 'Not rated';
+            if (!ratings[rating]) {
+                ratings[rating] = { rating, employees: 0, raised: 0, spend: 0, raisePercentages: [] };
+            }
+            ratings[rating].employees++;
+        });
+        proposed.adjustedEmployees.forEach(emp => {
+            const group = ratings[emp.ratingText || 'Not rated'];
+            group.raised++;
+            group.spend += emp.raise;
+            group.raisePercentages.push(emp.raisePercentage);
+        });
+        
+        const rows = Object.values(ratings).sort((a, b) => b.spend - a.spend);
+        const raisedPayroll = this.data
+            .filter(emp => raisedIds.has(emp.id))
+            .reduce((sum, emp) => sum + emp.normalizedSalary, 0);
+        const replacementCost = raisedPayroll * this.replacementCostRate;
+        const breakEven = (totalSpend / (raisedPayroll / raisedIds.size)) / this.replacementCostRate;
+        
+        container.innerHTML = `
+            <div class="roi-summary">
+                <div class="breakdown-item">
+                    <span class="breakdown-label">Raise spend (annual)</span>
+                    <span class="breakdown-value">${this.formatCurrency(totalSpend)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span class="breakdown-label">Cost to replace everyone receiving a raise</span>
+                    <span class="breakdown-value">${this.formatCurrency(replacementCost)}</span>
+                </div>
+                <div class="breakdown-item">
+                    <span class="breakdown-label">Break-even</span>
+                    <span class="breakdown-value">Keeping ${breakEven.toFixed(1)} of ${raisedIds.size} people who would otherwise leave</span>
+                </div>
+                <p class="roi-note">Replacement cost is estimated at ${(this.replacementCostRate * 100).toFixed(0)}% of annual salary.</p>
+            </div>
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Performance</th>
+                            <th>Employees</th>
+                            <th>Receiving Raises</th>
+                            <th>Raise Spend</th>
+                            <th>Avg Raise</th>
+                            <th>Share of Spend</th>
+                            <th>Share of Headcount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${this.escapeHtml(row.rating)}</td>
+                                <td>${row.employees}</td>
+                                <td>${row.raised}</td>
+                                <td>${this.formatCurrency(row.spend)}</td>
+                                <td>${row.raisePercentages.length > 0
+                                    ? (row.raisePercentages.reduce((sum, value) => sum + value, 0) / row.raisePercentages.length).toFixed(1) + '%'
+                                    : '-'}</td>
+                                <td>${totalSpend > 0 ? ((row.spend / totalSpend) * 100).toFixed(1) : '0.0'}%</td>
+                                <td>${((row.employees / this.data.length) * 100).toFixed(1)}%</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -883,7 +943,7 @@ class BudgetImpactAnalysis {
     formatCurrency(value) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency: this.reportingCurrency,
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
         }).format(value);
@@ -912,29 +972,128 @@ class BudgetImpactAnalysis {
         URL.revokeObjectURL(url);
     }
 
-    // Placeholder methods for remaining analysis tabs
-    updateCountryAnalysis() {
-        // Implementation similar to updateDepartmentAnalysis but for countries
-    }
-
-    updateRoleAnalysis() {
-        // Implementation similar to updateDepartmentAnalysis but for roles
-    }
-
-    updateROIAnalysis() {
-        // Implementation for ROI calculations and projections
+    /**
+     * Switch the chart and detail tab for a view
+     */
+    updateView(view) {
+        const views = {
+            overview: { chart: 'comparison', tab: 'department-analysis' },
+            comparison: { chart: 'breakdown', tab: 'country-analysis' },
+            breakdown: { chart: 'breakdown', tab: 'role-analysis' },
+            compliance: { chart: 'variance', tab: 'department-analysis' }
+        };
+        const { chart, tab } = views[view] || views.overview;
+        
+        this.switchChartTab(chart);
+        this.switchTab(tab);
+        
+        if (view === 'compliance') {
+            this.container.querySelector('.compliance-panel')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
     }
 
+    /**
+     * Render current vs proposed cost by country
+     */
     renderBreakdownChart() {
-        // Implementation for cost breakdown visualization
+        if (!this.chart || !this.costBreakdowns.current) return;
+        
+        const current = this.costBreakdowns.current;
+        const proposed = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : null;
+        const countries = Object.keys(current.byCountry).sort((a, b) => current.byCountry[b] - current.byCountry[a]);
+        
+        const datasets = [{ label: 'Current', data: countries.map(country => current.byCountry[country]), color: this.chartConfig.colors.current }];
+        if (proposed) {
+            datasets.push({ label: 'Proposed', data: countries.map(country => proposed.byCountry[country] || 0), color: this.chartConfig.colors.proposed });
+        }
+        
+        this.chart.update({
+            type: 'bar',
+            horizontal: true,
+            title: 'Payroll by Country',
+            labels: countries,
+            datasets,
+            formatX: value => this.formatCurrency(value),
+            tooltip: item => `${item.label}\n${item.dataset.label}: ${this.formatCurrency(item.value)}`
+        });
     }
 
+    /**
+     * Render each job function's budget increase against the department limit
+     */
     renderVarianceChart() {
-        // Implementation for variance analysis chart
+        if (!this.chart || !this.costBreakdowns.current) return;
+        
+        const proposed = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : null;
+        if (!proposed) {
+            this.chart.update({ type: 'bar', title: 'Budget Increase by Job Function', datasets: [], emptyMessage: 'Select a scenario to see its budget variance' });
+            return;
+        }
+        
+        const current = this.costBreakdowns.current;
+        const limit = this.budgetConstraints.departmentVariance * 100;
+        const departments = Object.keys(current.byDepartment);
+        const variances = departments.map(dept => ((proposed.byDepartment[dept] - current.byDepartment[dept]) / current.byDepartment[dept]) * 100);
+        
+        this.chart.update({
+            type: 'bar',
+            title: `Budget Increase by Job Function (limit ${limit.toFixed(0)}%)`,
+            labels: departments,
+            datasets: [{
+                label: 'Increase',
+                data: variances,
+                colors: value => value > limit ? this.chartConfig.colors.decrease :
+                    value > limit * 0.75 ? this.chartConfig.colors.warning : this.chartConfig.colors.increase
+            }],
+            yLabel: 'Increase %',
+            formatY: value => `${value.toFixed(1)}%`,
+            tooltip: item => `${item.label}\n${item.value.toFixed(1)}% increase (limit ${limit.toFixed(0)}%)`
+        });
     }
 
+    /**
+     * Render cumulative payroll over the next twelve months, with the raises effective from the first
+     */
     renderTimelineChart() {
-        // Implementation for timeline impact visualization
+        if (!this.chart || !this.costBreakdowns.current) return;
+        
+        const current = this.costBreakdowns.current;
+        const proposed = this.currentScenario ? this.costBreakdowns[this.currentScenario.id] : null;
+        const start = new Date();
+        const months = Array.from({ length: 12 }, (_, index) =>
+            new Date(start.getFullYear(), start.getMonth() + 1 + index, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }));
+        
+        const cumulative = annual => months.map((month, index) => (annual / 12) * (index + 1));
+        const datasets = [{ label: 'Current', data: cumulative(current.total), color: this.chartConfig.colors.current }];
+        if (proposed) {
+            datasets.push({ label: this.currentScenario.name, data: cumulative(proposed.total), color: this.chartConfig.colors.proposed, fill: true });
+        }
+        
+        this.chart.update({
+            type: 'line',
+            title: 'Cumulative Payroll, Next 12 Months',
+            labels: months,
+            datasets,
+            formatY: value => this.formatCurrency(value),
+            tooltip: item => {
+                const lines = [`${item.label}`, `${item.dataset.label}: ${this.formatCurrency(item.value)}`];
+                if (proposed && item.datasetIndex === 1) {
+                    lines.push(`Raises so far: ${this.formatCurrency(item.value - datasets[0].data[item.index])}`);
+                }
+                return lines;
+            }
+        });
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
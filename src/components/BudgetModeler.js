@@ -5,22 +5,40 @@
  * Includes total cost calculations, budget constraints, and optimization suggestions.
  */
 
-// Note: This component depends on raiseCalculator.js being loaded first
+// Note: This component depends on raiseCalculator.js and budgetPools.js being loaded first
 
 class BudgetModeler {
-    constructor(container) {
+    constructor(container, options = {}) {
         this.container = container;
         this.employees = [];
         this.budgetConstraints = {};
         this.currentScenario = null;
         this.scenarios = {};
         
+        // Currencies - rates are units per USD, for converting costs to the budget and pool currencies
+        this.reportingCurrency = 'USD';
+        this.rates = {};
+        this.budgetCurrencyChosen = false;
+        this.missingRates = new Set();
+        
+        // Budget pools - amounts typed for a pool, keyed by `${dimension}:${poolKey}`; others are suggested
+        this.budgetPercentage = 3;
+        this.poolDimension = 'team';
+        this.poolBudgets = {};
+        this.poolUtilization = null;
+        
+        // Called with { amount, currency } when the budget target changes
+        this.onBudgetChange = options.onBudgetChange || (() => {});
+        // Called when a pool's budget or the pooling changes
+        this.onPoolsChange = options.onPoolsChange || (() => {});
+        
         this.init();
     }
     
     init() {
         this.render();
         this.attachEventListeners();
+        this.renderPools();
     }
     
     render() {
@@ -68,6 +86,25 @@ class BudgetModeler {
                     </div>
                 </div>
                 
+                <div class="budget-pools">
+                    <div class="budget-pools-header">
+                        <h3>Budget Pools</h3>
+                        <div class="budget-pools-controls">
+                            <label for="pool-dimension">Pool by</label>
+                            <select id="pool-dimension">
+                                ${Object.values(BUDGET_POOL_DIMENSIONS).map(dimension => `
+                                    <option value="${dimension.key}">${dimension.label}</option>
+                                `).join('')}
+                            </select>
+                            <button id="suggest-pool-budgets" class="btn btn-secondary btn-sm" title="Set every pool to the raise budget % of its salaries">
+                                Reset to Budget %
+                            </button>
+                        </div>
+                    </div>
+                    <p class="budget-pools-hint">Each pool has its own budget and currency. Spend is tracked in the pool's currency and totalled in the budget currency.</p>
+                    <div id="budget-pools-table" class="budget-pools-table"></div>
+                </div>
+                
                 <div class="scenario-comparison" style="display: none;">
                     <h3>Scenario Comparison</h3>
                     <div class="scenarios-grid">
@@ -123,6 +160,10 @@ class BudgetModeler {
                                     <span>New Total Cost:</span>
                                     <span id="new-total-cost">$0</span>
                                 </div>
+                                <div class="cost-item">
+                                    <span>Variable Pay Increase:</span>
+                                    <span id="variable-increase-amount">$0</span>
+                                </div>
                                 <div class="cost-item">
                                     <span>Budget Increase:</span>
                                     <span id="budget-increase-amount">$0</span>
@@ -195,12 +236,284 @@ class BudgetModeler {
                 if (this.scenarios && Object.keys(this.scenarios).length > 0) {
                     this.updateBudgetAnalysis();
                 }
+                this.onBudgetChange(this.getBudgetTarget());
             });
         });
+        
+        document.getElementById('budget-currency').addEventListener('change', () => {
+            this.budgetCurrencyChosen = true;
+            this.onBudgetChange(this.getBudgetTarget());
+            this.renderPools();
+        });
+        
+        // Budget pools
+        this.container.querySelector('#pool-dimension').addEventListener('change', event => {
+            this.poolDimension = event.target.value;
+            this.renderPools();
+            this.displayOptimizationSuggestions();
+            this.onPoolsChange();
+        });
+        
+        this.container.querySelector('#suggest-pool-budgets').addEventListener('click', () => {
+            Object.keys(this.poolBudgets)
+                .filter(id => id.startsWith(`${this.poolDimension}:`))
+                .forEach(id => delete this.poolBudgets[id]);
+            this.renderPools();
+            this.displayOptimizationSuggestions();
+            this.onPoolsChange();
+        });
+        
+        this.container.querySelector('#budget-pools-table').addEventListener('change', event => {
+            const input = event.target.closest('[data-pool-key]');
+            if (!input) return;
+            
+            if (input.classList.contains('pool-amount')) {
+                this.setPoolBudget(input.dataset.poolKey, { amount: Math.max(0, parseFloat(input.value) || 0) });
+            } else if (input.classList.contains('pool-currency')) {
+                this.setPoolCurrency(input.dataset.poolKey, input.value);
+            }
+        });
+    }
+    
+    /**
+     * Set the reporting currency and the exchange rates costs are converted with
+     * @param {string} currency - Reporting currency code
+     * @param {Object} rateInfo - Rate info with rates in units per USD
+     */
+    setReportingCurrency(currency, rateInfo = {}) {
+        this.reportingCurrency = currency || 'USD';
+        this.rates = rateInfo.rates || {};
+        
+        // Offer the currencies there are rates for; the budget is in the reporting currency until one is picked
+        const select = document.getElementById('budget-currency');
+        const selected = this.budgetCurrencyChosen ? select.value : this.reportingCurrency;
+        const currencies = [...new Set([...Object.keys(this.rates).filter(code => this.rates[code]), selected])].sort();
+        select.innerHTML = currencies.map(code => `<option value="${code}">${code}</option>`).join('');
+        select.value = selected;
+        
+        this.renderPools();
+    }
+    
+    /**
+     * Set the raise budget % pools are suggested from
+     * @param {number} percentage - Raise budget as % of salaries
+     */
+    setBudgetPercentage(percentage) {
+        this.budgetPercentage = percentage;
+        this.renderPools();
+    }
+    
+    /**
+     * Currency the overall budget and scenario totals are in
+     */
+    getBudgetCurrency() {
+        return document.getElementById('budget-currency').value || this.reportingCurrency;
+    }
+    
+    /**
+     * Convert an amount to the budget currency, noting currencies without a rate
+     * @returns {number|null} Converted amount, or null if it can't be converted
+     */
+    toBudgetCurrency(amount, currency) {
+        const budgetCurrency = this.getBudgetCurrency();
+        const converted = convertPoolAmount(amount, currency, budgetCurrency, this.rates);
+        if (converted === null) {
+            [currency, budgetCurrency].filter(code => !this.rates[code]).forEach(code => this.missingRates.add(code));
+        }
+        return converted;
+    }
+    
+    /**
+     * The pools of the current dimension, each with its typed or suggested budget
+     * @returns {Array} Pools { key, name, currency, headcount, employees, amount, suggested }
+     */
+    getPools() {
+        return groupEmployeesIntoPools(this.employees, this.poolDimension, this.getBudgetCurrency()).map(pool => {
+            const budget = this.poolBudgets[`${this.poolDimension}:${pool.key}`] || {};
+            const currency = budget.currency || pool.currency;
+            return {
+                ...pool,
+                currency,
+                amount: budget.amount !== undefined
+                    ? budget.amount
+                    : suggestPoolAmount({ ...pool, currency }, this.budgetPercentage, this.reportingCurrency, this.rates),
+                suggested: budget.amount === undefined
+            };
+        });
+    }
+    
+    /**
+     * Change a pool's budget
+     * @param {string} poolKey - Pool key
+     * @param {Object} budget - { amount } and/or { currency }
+     */
+    setPoolBudget(poolKey, budget) {
+        const id = `${this.poolDimension}:${poolKey}`;
+        const pool = this.getPools().find(item => item.key === poolKey);
+        if (!pool) return;
+        
+        this.poolBudgets[id] = { amount: pool.amount, currency: pool.currency, ...this.poolBudgets[id], ...budget };
+        this.renderPools();
+        this.displayOptimizationSuggestions();
+        this.onPoolsChange();
+    }
+    
+    /**
+     * Change the currency a pool is budgeted in, converting its amount
+     */
+    setPoolCurrency(poolKey, currency) {
+        const pool = this.getPools().find(item => item.key === poolKey);
+        if (!pool) return;
+        
+        const amount = convertPoolAmount(pool.amount, pool.currency, currency, this.rates);
+        this.setPoolBudget(poolKey, { currency, amount: amount === null ? pool.amount : Math.round(amount) });
+    }
+    
+    /**
+     * Track the selected scenario's raise costs against each pool
+     */
+    calculatePoolUtilization() {
+        const costs = this.currentScenario
+            ? this.currentScenario.employees.map(emp => ({
+                employee: emp,
+                amount: emp.impact.totalCostIncrease,
+                currency: emp.impact.currency
+            }))
+            : [];
+        
+        this.poolUtilization = calculatePoolUtilization(this.getPools(), costs, this.poolDimension, this.getBudgetCurrency(), this.rates);
+        return this.poolUtilization;
+    }
+    
+    /**
+     * Render the pools table - budget, spend and utilization per pool in its own currency, with a converted total
+     */
+    renderPools() {
+        const tableDiv = this.container.querySelector('#budget-pools-table');
+        if (!tableDiv) return;
+        
+        this.container.querySelector('#pool-dimension').value = this.poolDimension;
+        
+        if (!this.employees || this.employees.length === 0) {
+            this.poolUtilization = null;
+            tableDiv.innerHTML = '<p class="empty-state">Load employee data to set up budget pools</p>';
+            return;
+        }
+        
+        const { pools, rollup, missingRates } = this.calculatePoolUtilization();
+        const budgetCurrency = rollup.currency;
+        const currencies = [...new Set([...Object.keys(this.rates).filter(code => this.rates[code]), ...pools.map(pool => pool.currency)])].sort();
+        const formatUtilization = utilization => utilization === null ? '-' : `${(utilization * 100).toFixed(1)}%`;
+        const spentNote = this.currentScenario ? '' : '<p class="budget-pools-hint">Calculate budget scenarios to track planned raises against each pool.</p>';
+        
+        tableDiv.innerHTML = `
+            <table class="pool-table">
+                <thead>
+                    <tr>
+                        <th>Pool</th>
+                        <th>Employees</th>
+                        <th>Budget</th>
+                        <th>Currency</th>
+                        <th>Planned</th>
+                        <th>Remaining</th>
+                        <th>Utilization</th>
+                        <th>Budget (${budgetCurrency})</th>
+                        <th>Planned (${budgetCurrency})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pools.map(pool => pool.unpooled ? `
+                        <tr class="pool-unpooled">
+                            <td>${this.escapeHtml(pool.name)}</td>
+                            <td>${pool.headcount}</td>
+                            <td>-</td>
+                            <td>${pool.currency}</td>
+                            <td>${this.formatCurrency(pool.spent, pool.currency)}</td>
+                            <td>-</td>
+                            <td class="pool-utilization">-</td>
+                            <td>-</td>
+                            <td>${this.formatCurrency(pool.convertedSpent, budgetCurrency)}</td>
+                        </tr>
+                    ` : `
+                        <tr class="${pool.overspent ? 'over-budget' : ''}">
+                            <td>${this.escapeHtml(pool.name)}</td>
+                            <td>${pool.headcount}</td>
+                            <td>
+                                <input type="number" class="pool-amount" data-pool-key="${this.escapeHtml(pool.key)}"
+                                    value="${Math.round(pool.amount)}" min="0" step="1000"
+                                    title="${pool.suggested ? `${this.budgetPercentage}% of salaries` : 'Set by you'}">
+                            </td>
+                            <td>
+                                <select class="pool-currency" data-pool-key="${this.escapeHtml(pool.key)}">
+                                    ${currencies.map(code => `<option value="${code}" ${code === pool.currency ? 'selected' : ''}>${code}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td>${this.formatCurrency(pool.spent, pool.currency)}</td>
+                            <td>${this.formatCurrency(pool.remaining, pool.currency)}</td>
+                            <td class="pool-utilization">${formatUtilization(pool.utilization)}${pool.overspent ? ' <span class="status-badge error">Overspent</span>' : ''}</td>
+                            <td>${this.formatCurrency(pool.convertedAmount, budgetCurrency)}</td>
+                            <td>${this.formatCurrency(pool.convertedSpent, budgetCurrency)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr class="${rollup.overspent ? 'over-budget' : ''}">
+                        <th colspan="6">All pools</th>
+                        <th>${formatUtilization(rollup.utilization)}</th>
+                        <th>${this.formatCurrency(rollup.amount, budgetCurrency)}</th>
+                        <th>${this.formatCurrency(rollup.spent, budgetCurrency)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+            ${missingRates.length > 0 ? `<p class="policy-uncovered">No exchange rate for ${missingRates.join(', ')} - amounts in ${missingRates.length === 1 ? 'it' : 'them'} are left out of the ${budgetCurrency} totals.</p>` : ''}
+            ${spentNote}
+        `;
+    }
+    
+    /**
+     * Get the pool setup for session persistence
+     */
+    getSessionState() {
+        return {
+            poolDimension: this.poolDimension,
+            poolBudgets: this.poolBudgets
+        };
+    }
+    
+    /**
+     * Restore a pool setup saved with getSessionState
+     */
+    restoreSessionState(state) {
+        if (!state) return;
+        
+        this.poolDimension = BUDGET_POOL_DIMENSIONS[state.poolDimension] ? state.poolDimension : 'team';
+        this.poolBudgets = state.poolBudgets || {};
+        this.renderPools();
+    }
+    
+    getBudgetTarget() {
+        // The maximum increase is the spend target; it defaults to the total budget
+        const totalBudget = parseFloat(document.getElementById('total-budget').value) || 0;
+        const maxIncrease = parseFloat(document.getElementById('budget-increase').value) || totalBudget;
+        
+        return {
+            amount: maxIncrease,
+            currency: this.getBudgetCurrency()
+        };
+    }
+    
+    getBudgetAnalysis() {
+        return {
+            target: this.getBudgetTarget(),
+            constraints: this.budgetConstraints,
+            scenario: this.currentScenario,
+            pools: this.poolUtilization
+        };
     }
     
     setEmployees(employees) {
         this.employees = employees;
+        this.renderPools();
         console.log(`Budget modeler loaded ${employees.length} employees`);
     }
     
@@ -213,7 +526,7 @@ class BudgetModeler {
         // Get budget constraints from inputs
         const totalBudget = parseFloat(document.getElementById('total-budget').value) || 0;
         const maxIncrease = parseFloat(document.getElementById('budget-increase').value) || totalBudget;
-        const currency = document.getElementById('budget-currency').value;
+        const currency = this.getBudgetCurrency();
         const period = document.getElementById('budget-period').value;
         
         this.budgetConstraints = {
@@ -223,8 +536,12 @@ class BudgetModeler {
             period
         };
         
-        // Generate scenarios
-        this.scenarios = generateRaiseScenarios(this.employees, maxIncrease);
+        // Generate scenarios, with each employee's costs converted from their pay currency
+        this.missingRates.clear();
+        this.scenarios = generateRaiseScenarios(this.employees, maxIncrease, (amount, fromCurrency) => this.toBudgetCurrency(amount, fromCurrency));
+        if (this.missingRates.size > 0) {
+            this.showNotification(`No exchange rate for ${[...this.missingRates].join(', ')} - those employees are left out of the ${currency} totals`, 'warning');
+        }
         
         // Show scenario comparison
         this.displayScenarioComparison();
@@ -249,7 +566,7 @@ class BudgetModeler {
             metricsDiv.innerHTML = `
                 <div class="metric">
                     <span class="metric-label">Budget Increase:</span>
-                    <span class="metric-value">${this.formatCurrency(scenario.totalBudgetIncrease)}</span>
+                    <span class="metric-value">${this.formatCurrency(scenario.totalBudgetIncrease, this.budgetConstraints.currency)}</span>
                 </div>
                 <div class="metric">
                     <span class="metric-label">Budget Utilization:</span>
@@ -283,6 +600,7 @@ class BudgetModeler {
         
         // Update analysis displays
         this.updateBudgetAnalysis();
+        this.renderPools();
         this.displayOptimizationSuggestions();
         this.displayDetailedBreakdown();
         
@@ -295,24 +613,29 @@ class BudgetModeler {
         const analysisSection = document.querySelector('.budget-analysis');
         analysisSection.style.display = 'block';
         
-        // Current costs
-        const currentSalaries = this.currentScenario.employees.reduce((sum, emp) => sum + emp.currentSalary, 0);
+        // Current costs, in the budget currency
+        const currency = this.budgetConstraints.currency;
+        const sumImpact = field => this.currentScenario.employees.reduce((sum, emp) =>
+            sum + (this.toBudgetCurrency(emp.impact[field], emp.impact.currency) || 0), 0);
+        const currentSalaries = sumImpact('currentSalary');
         const currentTotalCost = this.currentScenario.totalCurrentCost;
         const averageSalary = currentSalaries / this.currentScenario.employees.length;
         
         // Projected costs
-        const newSalaries = this.currentScenario.employees.reduce((sum, emp) => sum + emp.impact.newSalary, 0);
+        const newSalaries = sumImpact('newSalary');
         const newTotalCost = this.currentScenario.totalNewCost;
         const budgetIncrease = this.currentScenario.totalBudgetIncrease;
+        const variableIncrease = this.currentScenario.totalVariableIncrease || 0;
         
         // Update displays
-        document.getElementById('current-salaries').textContent = this.formatCurrency(currentSalaries);
-        document.getElementById('current-total-cost').textContent = this.formatCurrency(currentTotalCost);
-        document.getElementById('average-salary').textContent = this.formatCurrency(averageSalary);
+        document.getElementById('current-salaries').textContent = this.formatCurrency(currentSalaries, currency);
+        document.getElementById('current-total-cost').textContent = this.formatCurrency(currentTotalCost, currency);
+        document.getElementById('average-salary').textContent = this.formatCurrency(averageSalary, currency);
         
-        document.getElementById('new-salaries').textContent = this.formatCurrency(newSalaries);
-        document.getElementById('new-total-cost').textContent = this.formatCurrency(newTotalCost);
-        document.getElementById('budget-increase-amount').textContent = this.formatCurrency(budgetIncrease);
+        document.getElementById('new-salaries').textContent = this.formatCurrency(newSalaries, currency);
+        document.getElementById('new-total-cost').textContent = this.formatCurrency(newTotalCost, currency);
+        document.getElementById('variable-increase-amount').textContent = this.formatCurrency(variableIncrease, currency);
+        document.getElementById('budget-increase-amount').textContent = this.formatCurrency(budgetIncrease, currency);
         
         // Budget utilization
         const utilization = this.currentScenario.budgetUtilization * 100;
@@ -346,12 +669,37 @@ class BudgetModeler {
             const overageAmount = this.currentScenario.totalBudgetIncrease - this.budgetConstraints.maxIncrease;
             suggestions.push({
                 type: 'reduce_raises',
-                message: `Consider reducing raises by ${this.formatCurrency(overageAmount)} to stay within budget`,
+                message: `Consider reducing raises by ${this.formatCurrency(overageAmount, this.budgetConstraints.currency)} to stay within budget`,
                 severity: 'error',
                 actionable: true
             });
         }
         
+        // A pool can be overspent even when the total is within budget
+        const pools = this.poolUtilization;
+        if (pools) {
+            pools.overspent.forEach(pool => {
+                suggestions.push({
+                    type: 'pool_overspent',
+                    message: `${this.escapeHtml(pool.name)} pool is overspent by ${this.formatCurrency(pool.spent - pool.amount, pool.currency)} ` +
+                        `(${this.formatCurrency(pool.spent, pool.currency)} planned against ${this.formatCurrency(pool.amount, pool.currency)})` +
+                        (pools.rollup.overspent ? '' : ', even though all pools together are within budget'),
+                    severity: 'error',
+                    actionable: true
+                });
+            });
+            
+            if (pools.unpooled) {
+                suggestions.push({
+                    type: 'pool_unpooled',
+                    message: `${pools.unpooled.employeesWithRaises} planned raises (${this.formatCurrency(pools.unpooled.spent, pools.unpooled.currency)}) ` +
+                        'are for employees outside every pool - they count toward the total but no pool budget covers them',
+                    severity: 'warning',
+                    actionable: true
+                });
+            }
+        }
+        
         if (this.currentScenario.approvalRequired.length > 0) {
             suggestions.push({
                 type: 'approval_workflow',
@@ -363,7 +711,7 @@ class BudgetModeler {
         
         // Check for high performers with low raises
         const undervaluedPerformers = this.currentScenario.employees.filter(emp => 
-            emp.performance >= 4 && emp.recommendation.percentage < 0.05
+            toEmployeeModel(emp).rating >= 4 && emp.recommendation.percentage < 0.05
         );
         
         if (undervaluedPerformers.length > 0) {
@@ -414,6 +762,7 @@ class BudgetModeler {
                     <th>Current Salary</th>
                     <th>Recommended Raise</th>
                     <th>New Salary</th>
+                    <th>Variable Pay Impact</th>
                     <th>Total Cost Impact</th>
                     <th>Status</th>
                 </tr>
@@ -429,19 +778,18 @@ class BudgetModeler {
                         </td>
                         <td>${emp.country || 'N/A'}</td>
                         <td>
-                            <span class="performance-badge performance-${emp.performance}">
-                                ${emp.performance}/5
-                            </span>
+                            ${this.renderRatingBadge(emp)}
                         </td>
-                        <td>${this.formatCurrency(emp.currentSalary)}</td>
+                        <td>${this.formatCurrency(emp.impact.currentSalary, emp.impact.currency)}</td>
                         <td>
                             <div class="raise-info">
                                 <strong>${(emp.recommendation.percentage * 100).toFixed(1)}%</strong>
-                                <small>${this.formatCurrency(emp.impact.raiseAmount)}</small>
+                                <small>${this.formatCurrency(emp.impact.raiseAmount, emp.impact.currency)}</small>
                             </div>
                         </td>
-                        <td>${this.formatCurrency(emp.impact.newSalary)}</td>
-                        <td>${this.formatCurrency(emp.impact.totalCostIncrease)}</td>
+                        <td>${this.formatCurrency(emp.impact.newSalary, emp.impact.currency)}</td>
+                        <td>${this.formatCurrency(emp.impact.variableIncrease, emp.impact.currency)}</td>
+                        <td>${this.formatCurrency(emp.impact.totalCostIncrease, emp.impact.currency)}</td>
                         <td>
                             <div class="status-indicators">
                                 ${emp.validation.requiresApproval ? '<span class="status-badge approval">Approval Required</span>' : ''}
@@ -489,7 +837,7 @@ class BudgetModeler {
         const headers = [
             'Employee Name', 'Title', 'Country', 'Performance Rating',
             'Current Salary', 'Recommended Raise %', 'Raise Amount',
-            'New Salary', 'Total Cost Impact', 'Requires Approval',
+            'New Salary', 'Variable Pay Impact', 'Total Cost Impact', 'Requires Approval',
             'Warnings', 'Risk Factors'
         ];
         
@@ -497,25 +845,43 @@ class BudgetModeler {
             emp.name,
             emp.title || '',
             emp.country || '',
-            emp.performance,
-            emp.currentSalary,
+            toEmployeeModel(emp).rating || '',
+            emp.impact.currentSalary,
             (emp.recommendation.percentage * 100).toFixed(2),
             emp.impact.raiseAmount.toFixed(2),
             emp.impact.newSalary.toFixed(2),
+            emp.impact.variableIncrease.toFixed(2),
             emp.impact.totalCostIncrease.toFixed(2),
             emp.validation.requiresApproval ? 'Yes' : 'No',
             emp.validation.warnings.join('; '),
             emp.recommendation.appliedRiskFactors.join('; ')
         ]);
         
-        // Add summary row
+        // Add summary row - totals are in the budget currency
+        const currency = this.budgetConstraints.currency;
         rows.push([]);
         rows.push(['SUMMARY']);
-        rows.push(['Total Current Cost', '', '', '', this.currentScenario.totalCurrentCost.toFixed(2)]);
-        rows.push(['Total New Cost', '', '', '', this.currentScenario.totalNewCost.toFixed(2)]);
-        rows.push(['Total Budget Increase', '', '', '', this.currentScenario.totalBudgetIncrease.toFixed(2)]);
+        rows.push([`Total Current Cost (${currency})`, '', '', '', this.currentScenario.totalCurrentCost.toFixed(2)]);
+        rows.push([`Total New Cost (${currency})`, '', '', '', this.currentScenario.totalNewCost.toFixed(2)]);
+        rows.push([`Total Variable Pay Increase (${currency})`, '', '', '', (this.currentScenario.totalVariableIncrease || 0).toFixed(2)]);
+        rows.push([`Total Budget Increase (${currency})`, '', '', '', this.currentScenario.totalBudgetIncrease.toFixed(2)]);
         rows.push(['Budget Utilization', '', '', '', `${(this.currentScenario.budgetUtilization * 100).toFixed(1)}%`]);
         
+        // Add each pool in its own currency
+        if (this.poolUtilization) {
+            rows.push([]);
+            rows.push(['BUDGET POOLS', 'Currency', 'Budget', 'Planned', 'Utilization', `Budget (${this.poolUtilization.rollup.currency})`, `Planned (${this.poolUtilization.rollup.currency})`]);
+            this.poolUtilization.pools.forEach(pool => rows.push([
+                pool.name,
+                pool.currency,
+                pool.amount.toFixed(2),
+                pool.spent.toFixed(2),
+                pool.utilization === null ? '' : `${(pool.utilization * 100).toFixed(1)}%`,
+                pool.convertedAmount === null ? '' : pool.convertedAmount.toFixed(2),
+                pool.convertedSpent === null ? '' : pool.convertedSpent.toFixed(2)
+            ]));
+        }
+        
         // Create and download CSV
         const csvContent = [headers, ...rows]
             .map(row => row.map(cell => `"${cell}"`).join(','))
@@ -532,7 +898,18 @@ class BudgetModeler {
         this.showNotification('Budget plan exported successfully', 'success');
     }
     
+    /**
+     * Performance badge for an employee, or "Not rated"
+     */
+    renderRatingBadge(employee) {
+        const rating = toEmployeeModel(employee).rating;
+        return rating
+            ? `<span class="performance-badge performance-${rating}">${rating}/5</span>`
+            : '<span class="performance-badge">Not rated</span>';
+    }
+    
     formatCurrency(amount, currency = 'USD') {
+        if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: currency,
@@ -541,6 +918,17 @@ class BudgetModeler {
         }).format(amount);
     }
     
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
     getSuggestionIcon(severity) {
         const icons = {
             error: '⚠️',
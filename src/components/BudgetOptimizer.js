@@ -8,13 +8,29 @@
 // Note: This component depends on raiseCalculator.js being loaded first
 
 class BudgetOptimizer {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element the optimizer is rendered into
+     * @param {Object} options - { onApply: optimization => void } to turn a plan into raises
+     */
+    constructor(container, options = {}) {
         this.container = container;
         this.employees = [];
         this.budgetConstraints = {};
         this.optimizationResults = null;
         this.selectedOptimization = null;
         
+        // Budgets and costs are in the reporting currency, like normalizedSalary
+        this.reportingCurrency = 'USD';
+        // The budget follows the raise budget until it's typed over
+        this.budgetEdited = false;
+        // Raise costs include benefits and payroll taxes
+        this.benefitsLoad = 1.3;
+        // Balanced-strategy priority score by employee ID
+        this.balancedScores = new Map();
+        this.customizing = false;
+        
+        this.onApply = options.onApply || null;
+        
         this.init();
     }
     
@@ -38,13 +54,8 @@ class BudgetOptimizer {
                             <div class="parameter-group">
                                 <label for="budget-amount">Available Budget</label>
                                 <input type="number" id="budget-amount" placeholder="Enter budget amount" min="0" step="1000">
-                                <select id="budget-currency">
-                                    <option value="USD">USD</option>
-                                    <option value="EUR">EUR</option>
-                                    <option value="GBP">GBP</option>
-                                    <option value="INR">INR</option>
-                                    <option value="CAD">CAD</option>
-                                </select>
+                                <span id="optimizer-currency">${this.reportingCurrency}</span>
+                                <small class="parameter-hint">Raise costs include a ${((this.benefitsLoad - 1) * 100).toFixed(0)}% benefits load</small>
                             </div>
                             
                             <div class="parameter-group">
@@ -248,29 +259,57 @@ class BudgetOptimizer {
     
     attachEventListeners() {
         // Run optimization
-        document.getElementById('run-optimization').addEventListener('click', () => {
+        this.container.querySelector('#run-optimization').addEventListener('click', () => {
             this.runOptimization();
         });
         
+        this.container.querySelector('#budget-amount').addEventListener('input', () => {
+            this.budgetEdited = true;
+        });
+        
         // Export and apply actions
-        document.getElementById('export-optimization').addEventListener('click', () => {
+        this.container.querySelector('#export-optimization').addEventListener('click', () => {
             this.exportOptimization();
         });
         
-        document.getElementById('apply-optimization').addEventListener('click', () => {
+        this.container.querySelector('#apply-optimization').addEventListener('click', () => {
             this.applyOptimization();
         });
         
-        document.getElementById('customize-optimization').addEventListener('click', () => {
+        this.container.querySelector('#customize-optimization').addEventListener('click', () => {
             this.customizeOptimization();
         });
+        
+        // Raise edits while customizing
+        this.container.querySelector('#plan-tbody').addEventListener('change', (e) => {
+            const input = e.target.closest('input[data-employee-id]');
+            if (input) this.updateCustomRaise(input.dataset.employeeId, parseFloat(input.value));
+        });
     }
     
     setEmployees(employees) {
-        this.employees = employees;
+        this.employees = employeeAdapter.toModels(employees);
         console.log(`Budget optimizer loaded ${employees.length} employees`);
     }
     
+    /**
+     * Set the currency the budget and raise costs are in
+     * @param {string} currency - Reporting currency code
+     */
+    setReportingCurrency(currency) {
+        this.reportingCurrency = currency || 'USD';
+        this.container.querySelector('#optimizer-currency').textContent = this.reportingCurrency;
+    }
+    
+    /**
+     * Suggest the raise budget as the amount to optimize, unless one was typed in
+     * @param {Object} raiseBudget - { budget, currency }
+     */
+    setBudget(raiseBudget) {
+        if (this.budgetEdited || !raiseBudget || !raiseBudget.budget) return;
+        this.container.querySelector('#budget-amount').value = Math.round(raiseBudget.budget);
+    }
+    
     runOptimization() {
         if (!this.employees || this.employees.length === 0) {
             this.showNotification('Please load employee data first', 'warning');
@@ -278,11 +317,11 @@ class BudgetOptimizer {
         }
         
         // Get optimization parameters
-        const budgetAmount = parseFloat(document.getElementById('budget-amount').value);
-        const currency = document.getElementById('budget-currency').value;
-        const goal = document.getElementById('optimization-goal').value;
-        const minRaise = parseFloat(document.getElementById('min-raise').value) / 100;
-        const maxRaise = parseFloat(document.getElementById('max-raise').value) / 100;
+        const budgetAmount = parseFloat(this.container.querySelector('#budget-amount').value);
+        const currency = this.reportingCurrency;
+        const goal = this.container.querySelector('#optimization-goal').value;
+        const minRaise = parseFloat(this.container.querySelector('#min-raise').value) / 100;
+        const maxRaise = parseFloat(this.container.querySelector('#max-raise').value) / 100;
         
         if (!budgetAmount || budgetAmount <= 0) {
             this.showNotification('Please enter a valid budget amount', 'warning');
@@ -291,10 +330,10 @@ class BudgetOptimizer {
         
         // Get constraints
         const constraints = {
-            respectCountryLimits: document.getElementById('respect-country-limits').checked,
-            prioritizeHighPerformers: document.getElementById('prioritize-high-performers').checked,
-            addressFlightRisk: document.getElementById('address-flight-risk').checked,
-            maintainEquity: document.getElementById('maintain-equity').checked,
+            respectCountryLimits: this.container.querySelector('#respect-country-limits').checked,
+            prioritizeHighPerformers: this.container.querySelector('#prioritize-high-performers').checked,
+            addressFlightRisk: this.container.querySelector('#address-flight-risk').checked,
+            maintainEquity: this.container.querySelector('#maintain-equity').checked,
             minRaise,
             maxRaise
         };
@@ -307,6 +346,7 @@ class BudgetOptimizer {
         };
         
         // Run optimization algorithms
+        this.customizing = false;
         this.optimizationResults = this.generateOptimizationStrategies();
         
         // Display results
@@ -348,7 +388,7 @@ class BudgetOptimizer {
             if (aFlightRisk !== bFlightRisk) return bFlightRisk - aFlightRisk;
             
             // Secondary sort by performance
-            return b.performance - a.performance;
+            return (b.rating || 0) - (a.rating || 0);
         });
         
         return this.allocateBudget(employees, budget, 'retention');
@@ -360,10 +400,10 @@ class BudgetOptimizer {
         
         // Prioritize high performers
         employees.sort((a, b) => {
-            if (a.performance !== b.performance) return b.performance - a.performance;
+            if (a.rating !== b.rating) return (b.rating || 0) - (a.rating || 0);
             
             // Secondary sort by current salary (lower first for equity)
-            return a.currentSalary - b.currentSalary;
+            return (a.normalizedSalary || 0) - (b.normalizedSalary || 0);
         });
         
         return this.allocateBudget(employees, budget, 'performance');
@@ -383,7 +423,7 @@ class BudgetOptimizer {
             }
             
             // Secondary sort by performance
-            return b.performance - a.performance;
+            return (b.rating || 0) - (a.rating || 0);
         });
         
         return this.allocateBudget(employees, budget, 'equity');
@@ -393,12 +433,13 @@ class BudgetOptimizer {
         const budget = this.budgetConstraints.amount;
         const employees = [...this.employees];
         
-        // Calculate composite score for balanced approach
+        // Calculate composite score for balanced approach (kept here, not on the employee records)
+        this.balancedScores = new Map();
         employees.forEach(emp => {
             let score = 0;
             
             // Performance component (40%)
-            score += (emp.performance / 5) * 40;
+            score += ((emp.rating || 3) / 5) * 40;
             
             // Flight risk component (30%)
             if (emp.riskIndicators && emp.riskIndicators.includes('flight_risk')) {
@@ -411,10 +452,10 @@ class BudgetOptimizer {
                 score += 30 * (0.9 - comparatio) / 0.2; // More points for more underpaid
             }
             
-            emp.optimizationScore = score;
+            this.balancedScores.set(emp.id, score);
         });
         
-        employees.sort((a, b) => b.optimizationScore - a.optimizationScore);
+        employees.sort((a, b) => this.balancedScores.get(b.id) - this.balancedScores.get(a.id));
         
         return this.allocateBudget(employees, budget, 'balanced');
     }
@@ -462,19 +503,19 @@ class BudgetOptimizer {
             
             // Check country limits if enabled
             if (this.budgetConstraints.constraints.respectCountryLimits) {
-                const countryLimit = this.getCountryLimit(employee.country);
+                const countryLimit = this.getCountryLimit(employee);
                 optimalRaise = Math.min(optimalRaise, countryLimit);
             }
             
-            // Calculate cost
-            const raiseCost = employee.currentSalary * optimalRaise * 1.3; // Include benefits
+            // Calculate cost in the budget's (reporting) currency
+            const raiseCost = (employee.normalizedSalary || 0) * optimalRaise * this.benefitsLoad;
             
             if (raiseCost <= remainingBudget) {
                 result.employees.push({
                     ...employee,
                     optimizedRaise: optimalRaise,
                     raiseCost,
-                    newSalary: employee.currentSalary * (1 + optimalRaise),
+                    newSalary: (employee.baseSalary || 0) * (1 + optimalRaise),
                     priorityReason: this.getPriorityReason(employee, strategy),
                     impactScore: this.calculateImpactScore(employee, optimalRaise, strategy)
                 });
@@ -499,11 +540,11 @@ class BudgetOptimizer {
                 if (employee.riskIndicators && employee.riskIndicators.includes('flight_risk')) {
                     multiplier = 1.5;
                 }
-                multiplier *= (employee.performance / 5) * 0.8 + 0.6; // Performance factor
+                multiplier *= ((employee.rating || 3) / 5) * 0.8 + 0.6; // Performance factor
                 break;
                 
             case 'performance':
-                multiplier = employee.performance / 3; // Heavy performance weighting
+                multiplier = (employee.rating || 3) / 3; // Heavy performance weighting
                 break;
                 
             case 'equity':
@@ -511,32 +552,25 @@ class BudgetOptimizer {
                 if (comparatio < 0.9) {
                     multiplier = 1.5 * (0.9 - comparatio) / 0.2 + 1.0;
                 }
-                multiplier *= (employee.performance / 5) * 0.5 + 0.5; // Some performance factor
+                multiplier *= ((employee.rating || 3) / 5) * 0.5 + 0.5; // Some performance factor
                 break;
                 
             case 'balanced':
-                multiplier = (employee.optimizationScore || 50) / 50;
+                multiplier = (this.balancedScores.get(employee.id) || 50) / 50;
                 break;
         }
         
         return baseRaise * multiplier;
     }
     
-    getCountryLimit(country) {
-        const limits = {
-            'US': 0.12,
-            'India': 0.50,
-            'UK': 0.15,
-            'Canada': 0.12,
-            'Germany': 0.10
-        };
-        return limits[country] || 0.12;
+    getCountryLimit(employee) {
+        return getCountryPolicy(employee).maxRaise;
     }
     
     getPriorityReason(employee, strategy) {
         const reasons = [];
         
-        if (employee.performance >= 4) {
+        if (employee.rating >= 4) {
             reasons.push('High performer');
         }
         
@@ -562,7 +596,7 @@ class BudgetOptimizer {
         score += (raise / 0.1) * 20; // 20 points per 10% raise
         
         // Performance impact
-        score += employee.performance * 10;
+        score += (employee.rating || 0) * 10;
         
         // Flight risk impact
         if (employee.riskIndicators && employee.riskIndicators.includes('flight_risk')) {
@@ -597,8 +631,8 @@ class BudgetOptimizer {
         metrics.retentionScore = totalFlightRisk > 0 ? (flightRiskAddressed / totalFlightRisk) * 100 : 100;
         
         // Performance score
-        const highPerformersRewarded = employees.filter(emp => emp.performance >= 4).length;
-        const totalHighPerformers = this.employees.filter(emp => emp.performance >= 4).length;
+        const highPerformersRewarded = employees.filter(emp => emp.rating >= 4).length;
+        const totalHighPerformers = this.employees.filter(emp => emp.rating >= 4).length;
         metrics.performanceScore = totalHighPerformers > 0 ? (highPerformersRewarded / totalHighPerformers) * 100 : 100;
         
         // Equity score
@@ -618,7 +652,7 @@ class BudgetOptimizer {
     
     displayOptimizationResults() {
         // Show results section
-        document.querySelector('.optimization-results').style.display = 'block';
+        this.container.querySelector('.optimization-results').style.display = 'block';
         
         // Select best strategy based on goal
         const bestStrategy = this.selectBestStrategy();
@@ -658,13 +692,13 @@ class BudgetOptimizer {
             ? (strategy.employees.reduce((sum, emp) => sum + emp.optimizedRaise, 0) / strategy.employees.length * 100).toFixed(1)
             : 0;
         
-        document.getElementById('budget-utilization').textContent = `${utilization}%`;
-        document.getElementById('affected-employees').textContent = strategy.employees.length;
-        document.getElementById('average-raise').textContent = `${avgRaise}%`;
-        document.getElementById('optimization-score').textContent = `${strategy.metrics.overallScore.toFixed(0)}/100`;
+        this.container.querySelector('#budget-utilization').textContent = `${utilization}%`;
+        this.container.querySelector('#affected-employees').textContent = strategy.employees.length;
+        this.container.querySelector('#average-raise').textContent = `${avgRaise}%`;
+        this.container.querySelector('#optimization-score').textContent = `${strategy.metrics.overallScore.toFixed(0)}/100`;
         
         // Update utilization bar
-        const utilizationFill = document.getElementById('utilization-fill');
+        const utilizationFill = this.container.querySelector('#utilization-fill');
         utilizationFill.style.width = `${Math.min(parseFloat(utilization), 100)}%`;
         
         // Color coding
@@ -677,7 +711,7 @@ class BudgetOptimizer {
     }
     
     displayStrategies() {
-        const strategiesGrid = document.getElementById('strategies-grid');
+        const strategiesGrid = this.container.querySelector('#strategies-grid');
         const strategies = Object.entries(this.optimizationResults);
         
         strategiesGrid.innerHTML = strategies.map(([key, strategy]) => `
@@ -714,7 +748,7 @@ class BudgetOptimizer {
     }
     
     displayStrategyComparison() {
-        const tbody = document.getElementById('comparison-tbody');
+        const tbody = this.container.querySelector('#comparison-tbody');
         const strategies = Object.entries(this.optimizationResults);
         
         tbody.innerHTML = strategies.map(([key, strategy]) => `
@@ -745,26 +779,31 @@ class BudgetOptimizer {
     }
     
     displayDetailedPlan(strategy) {
-        document.querySelector('.optimization-details').style.display = 'block';
+        this.container.querySelector('.optimization-details').style.display = 'block';
+        this.container.querySelector('#customize-optimization').textContent = this.customizing ? 'Done Customizing' : 'Customize Plan';
         
-        const tbody = document.getElementById('plan-tbody');
+        const tbody = this.container.querySelector('#plan-tbody');
         tbody.innerHTML = strategy.employees.map(emp => `
             <tr>
                 <td>
                     <div class="employee-info">
-                        <strong>${emp.name}</strong>
-                        <small>${emp.title || 'N/A'}</small>
+                        <strong>${this.escapeHtml(emp.name)}</strong>
+                        <small>${this.escapeHtml(emp.title || 'N/A')}</small>
                     </div>
                 </td>
-                <td>${this.formatCurrency(emp.currentSalary)}</td>
+                <td>${this.formatCurrency(emp.baseSalary, emp.currency)}</td>
                 <td>
                     <div class="raise-info">
-                        <strong>${(emp.optimizedRaise * 100).toFixed(1)}%</strong>
-                        <small>${this.formatCurrency(emp.currentSalary * emp.optimizedRaise)}</small>
+                        ${this.customizing ? `
+                            <input type="number" class="custom-raise-input" data-employee-id="${this.escapeHtml(String(emp.id))}"
+                                value="${(emp.optimizedRaise * 100).toFixed(1)}" min="0" max="${(this.budgetConstraints.constraints.maxRaise * 100).toFixed(1)}" step="0.5"
+                                aria-label="Raise % for ${this.escapeHtml(emp.name)}">
+                        ` : `<strong>${(emp.optimizedRaise * 100).toFixed(1)}%</strong>`}
+                        <small>${this.formatCurrency(emp.baseSalary * emp.optimizedRaise, emp.currency)}</small>
                     </div>
                 </td>
-                <td>${this.formatCurrency(emp.newSalary)}</td>
-                <td>${emp.priorityReason}</td>
+                <td>${this.formatCurrency(emp.newSalary, emp.currency)}</td>
+                <td>${this.escapeHtml(emp.priorityReason)}</td>
                 <td>
                     <span class="impact-score score-${Math.floor(emp.impactScore / 20)}">
                         ${emp.impactScore.toFixed(0)}/100
@@ -782,20 +821,20 @@ class BudgetOptimizer {
             emp.riskIndicators && emp.riskIndicators.includes('flight_risk')
         ).length;
         
-        const highPerformersRewarded = strategy.employees.filter(emp => emp.performance >= 4).length;
+        const highPerformersRewarded = strategy.employees.filter(emp => emp.rating >= 4).length;
         
         const underpaidAddressed = strategy.employees.filter(emp => 
             emp.comparatio && emp.comparatio < 0.9
         ).length;
         
-        document.getElementById('flight-risk-addressed').textContent = flightRiskAddressed;
-        document.getElementById('retention-score').textContent = `${strategy.metrics.retentionScore.toFixed(0)}/100`;
+        this.container.querySelector('#flight-risk-addressed').textContent = flightRiskAddressed;
+        this.container.querySelector('#retention-score').textContent = `${strategy.metrics.retentionScore.toFixed(0)}/100`;
         
-        document.getElementById('high-performers-rewarded').textContent = highPerformersRewarded;
-        document.getElementById('performance-score').textContent = `${strategy.metrics.performanceScore.toFixed(0)}/100`;
+        this.container.querySelector('#high-performers-rewarded').textContent = highPerformersRewarded;
+        this.container.querySelector('#performance-score').textContent = `${strategy.metrics.performanceScore.toFixed(0)}/100`;
         
-        document.getElementById('underpaid-addressed').textContent = underpaidAddressed;
-        document.getElementById('equity-score').textContent = `${strategy.metrics.equityScore.toFixed(0)}/100`;
+        this.container.querySelector('#underpaid-addressed').textContent = underpaidAddressed;
+        this.container.querySelector('#equity-score').textContent = `${strategy.metrics.equityScore.toFixed(0)}/100`;
     }
     
     selectStrategy(strategyKey) {
@@ -837,10 +876,10 @@ class BudgetOptimizer {
             emp.name,
             emp.title || '',
             emp.country || '',
-            emp.performance,
-            emp.currentSalary,
+            emp.rating || '',
+            emp.baseSalary || '',
             (emp.optimizedRaise * 100).toFixed(2),
-            (emp.currentSalary * emp.optimizedRaise).toFixed(2),
+            ((emp.baseSalary || 0) * emp.optimizedRaise).toFixed(2),
             emp.newSalary.toFixed(2),
             emp.priorityReason,
             emp.impactScore.toFixed(0)
@@ -878,22 +917,60 @@ class BudgetOptimizer {
             this.showNotification('No optimization selected to apply', 'warning');
             return;
         }
+        if (!this.onApply) {
+            this.showNotification('Optimized plans can\'t be applied here', 'warning');
+            return;
+        }
         
-        // This would integrate with the main application to apply the optimized raises
+        this.onApply(this.selectedOptimization);
         this.showNotification(`Applied ${this.getStrategyName(this.selectedOptimization.strategy)} optimization to ${this.selectedOptimization.employees.length} employees`, 'success');
-        
-        // Emit event for main app to handle
-        if (window.app && window.app.applyOptimization) {
-            window.app.applyOptimization(this.selectedOptimization);
-        }
     }
     
+    /**
+     * Switch the detailed plan between showing and editing each raise
+     */
     customizeOptimization() {
-        this.showNotification('Customization interface would open here', 'info');
-        // This would open a detailed customization interface
+        if (!this.selectedOptimization) {
+            this.showNotification('Run an optimization before customizing it', 'warning');
+            return;
+        }
+        
+        this.customizing = !this.customizing;
+        this.displayDetailedPlan(this.selectedOptimization);
+    }
+    
+    /**
+     * Change one raise in the selected plan and recalculate its totals
+     * @param {string} employeeId - Employee whose raise changed
+     * @param {number} percent - New raise %
+     */
+    updateCustomRaise(employeeId, percent) {
+        const strategy = this.selectedOptimization;
+        const emp = strategy.employees.find(item => String(item.id) === employeeId);
+        if (!emp) return;
+        
+        const raise = Math.min(Math.max(isNaN(percent) ? 0 : percent, 0) / 100, this.budgetConstraints.constraints.maxRaise);
+        emp.optimizedRaise = raise;
+        emp.raiseCost = (emp.normalizedSalary || 0) * raise * this.benefitsLoad;
+        emp.newSalary = (emp.baseSalary || 0) * (1 + raise);
+        emp.impactScore = this.calculateImpactScore(emp, raise, strategy.strategy);
+        
+        strategy.totalBudgetUsed = strategy.employees.reduce((sum, item) => sum + item.raiseCost, 0);
+        strategy.budgetUtilization = strategy.totalBudgetUsed / this.budgetConstraints.amount;
+        strategy.metrics = this.calculateStrategyMetrics(strategy.employees.filter(item => item.optimizedRaise > 0), strategy.strategy);
+        
+        this.updateResultsSummary(strategy);
+        this.displayStrategies();
+        this.displayStrategyComparison();
+        this.displayDetailedPlan(strategy);
+        
+        if (strategy.totalBudgetUsed > this.budgetConstraints.amount) {
+            this.showNotification(`The customized plan is ${this.formatCurrency(strategy.totalBudgetUsed - this.budgetConstraints.amount, this.reportingCurrency)} over budget`, 'warning');
+        }
     }
     
-    formatCurrency(amount, currency = 'USD') {
+    formatCurrency(amount, currency = this.reportingCurrency) {
+        if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: currency,
@@ -904,12 +981,23 @@ class BudgetOptimizer {
     
     showNotification(message, type = 'info') {
         // Use the main app's notification system
-        if (window.app && window.app.showNotification) {
-            window.app.showNotification(message, type);
+        if (window.showNotification) {
+            window.showNotification(message, type);
         } else {
             console.log(`${type.toUpperCase()}: ${message}`);
         }
     }
+    
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,380 @@
+/**
+ * ColumnMappingWizard Component
+ *
+ * Mapping step shown after upload when a file's headers don't match the
+ * expected column names. Suggests a header for each column, lets the user
+ * reassign any of them, previews the first rows as they will be parsed, and
+ * saves the mapping as a named profile that is picked again for files with
+ * the same headers.
+ */
+
+class ColumnMappingWizard {
+    constructor(options = {}) {
+        this.fileName = options.fileName || '';
+        this.headers = options.headers || [];
+        this.sampleRows = options.sampleRows || [];
+        this.profiles = options.profiles || new ColumnMappingProfiles();
+        this.fields = new CSVParser().getMappableColumns();
+
+        // Callbacks
+        this.onConfirm = options.onConfirm || (() => {});
+        this.onCancel = options.onCancel || (() => {});
+
+        // State
+        this.assignments = {}; // Expected column -> file header
+        this.origins = {}; // Expected column -> 'exact' | 'suggested' | 'profile' | 'manual'
+        this.scores = {};
+        this.profileName = null;
+        this.modal = null;
+
+        const match = this.profiles.findForHeaders(this.headers);
+        if (match) {
+            this.applyProfile(match.profile.name);
+        } else {
+            this.applySuggestions();
+        }
+    }
+
+    /**
+     * Show the wizard
+     */
+    open() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal column-mapping-modal';
+        this.modal.addEventListener('click', this.handleClick.bind(this));
+        this.modal.addEventListener('change', this.handleChange.bind(this));
+        document.body.appendChild(this.modal);
+
+        this.render();
+    }
+
+    /**
+     * Remove the wizard
+     */
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+
+    /**
+     * Use the suggested header for every column
+     */
+    applySuggestions() {
+        const suggestion = suggestColumnAssignments(this.headers, this.fields);
+
+        this.assignments = suggestion.assignments;
+        this.scores = suggestion.scores;
+        this.origins = {};
+        Object.keys(this.assignments).forEach(column => {
+            this.origins[column] = this.scores[column] === 1 ? 'exact' : 'suggested';
+        });
+        this.profileName = null;
+    }
+
+    /**
+     * Use a saved profile's mapping, keeping suggestions for columns it doesn't cover
+     * @param {string} name - Profile name
+     */
+    applyProfile(name) {
+        const profile = this.profiles.get(name);
+        if (!profile) return;
+
+        this.applySuggestions();
+        Object.entries(profile.assignments).forEach(([column, header]) => {
+            if (!header) {
+                delete this.assignments[column];
+                this.origins[column] = 'profile';
+            } else if (this.headers.includes(header)) {
+                this.assignments[column] = header;
+                this.origins[column] = 'profile';
+            }
+        });
+        this.profileName = name;
+    }
+
+    /**
+     * Render the wizard
+     */
+    render() {
+        if (!this.modal) return;
+
+        const requiredFields = this.fields.filter(field => field.required);
+        const optionalFields = this.fields.filter(field => !field.required);
+        const mappedOptional = optionalFields.filter(field => this.assignments[field.column]).length;
+        const preview = new CSVParser().previewRecords(this.headers, this.sampleRows, this.getAssignments());
+        const profiles = this.profiles.list();
+        const signature = getHeaderSignature(this.headers);
+
+        this.modal.innerHTML = `
+            <div class="modal-content column-mapping-content">
+                <div class="modal-header">
+                    <h3>Map Columns${this.fileName ? ` - ${this.escapeHtml(this.fileName)}` : ''}</h3>
+                    <button type="button" class="modal-close" data-action="cancel" aria-label="Cancel upload">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="column-mapping-intro">
+                        Choose the column in your file for each field. Suggestions are based on the header names;
+                        ${this.headers.length} columns found.
+                    </p>
+
+                    <div class="column-mapping-profile-bar">
+                        <label for="column-mapping-profile">Mapping profile</label>
+                        <select id="column-mapping-profile" data-role="profile">
+                            <option value="">Suggested from headers</option>
+                            ${profiles.map(profile => `
+                                <option value="${this.escapeHtml(profile.name)}" ${profile.name === this.profileName ? 'selected' : ''}>
+                                    ${this.escapeHtml(profile.name)}${profile.signature === signature ? ' (matches this file)' : ''}
+                                </option>
+                            `).join('')}
+                        </select>
+                        ${this.profileName ? `
+                            <button type="button" class="btn btn-secondary btn-sm" data-action="delete-profile">Delete profile</button>
+                        ` : ''}
+                    </div>
+
+                    <table class="column-mapping-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Column in your file</th>
+                                <th>Match</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${requiredFields.map(field => this.renderFieldRow(field)).join('')}
+                        </tbody>
+                    </table>
+
+                    <details class="column-mapping-optional">
+                        <summary>Optional fields (${mappedOptional} of ${optionalFields.length} mapped)</summary>
+                        <table class="column-mapping-table">
+                            <tbody>
+                                ${optionalFields.map(field => this.renderFieldRow(field)).join('')}
+                            </tbody>
+                        </table>
+                    </details>
+
+                    ${this.renderPreview(preview)}
+
+                    <div class="column-mapping-save">
+                        <label for="column-mapping-profile-name">Save mapping as profile</label>
+                        <input type="text" id="column-mapping-profile-name" data-role="profile-name"
+                               placeholder="e.g. Acquired Co. HRIS export" value="${this.escapeHtml(this.profileName || '')}">
+                    </div>
+                </div>
+                <div class="column-mapping-footer">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="confirm" ${preview.missingColumns.length > 0 ? 'disabled' : ''}>
+                        Import
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the header picker for one field
+     * @param {Object} field - Expected column
+     * @returns {string} HTML string
+     */
+    renderFieldRow(field) {
+        const header = this.assignments[field.column] || '';
+        const missing = field.required && !header;
+
+        return `
+            <tr class="${missing ? 'column-mapping-missing' : ''}">
+                <td>
+                    <span class="column-mapping-field">${this.escapeHtml(field.column)}${field.required ? ' *' : ''}</span>
+                    <code>${this.escapeHtml(field.key)}</code>
+                </td>
+                <td>
+                    <select data-column="${this.escapeHtml(field.column)}">
+                        <option value="">— Not mapped —</option>
+                        ${this.headers.map(candidate => `
+                            <option value="${this.escapeHtml(candidate)}" ${candidate === header ? 'selected' : ''}>${this.escapeHtml(candidate)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>${this.renderMatchBadge(field.column, header)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Describe how a field's header was chosen
+     * @param {string} column - Expected column
+     * @param {string} header - Assigned header
+     * @returns {string} HTML string
+     */
+    renderMatchBadge(column, header) {
+        if (!header) return '';
+
+        switch (this.origins[column]) {
+            case 'exact':
+                return '<span class="mapping-badge exact">Exact</span>';
+            case 'profile':
+                return '<span class="mapping-badge profile">Profile</span>';
+            case 'manual':
+                return '<span class="mapping-badge manual">Manual</span>';
+            default:
+                return `<span class="mapping-badge suggested">Suggested ${Math.round((this.scores[column] || 0) * 100)}%</span>`;
+        }
+    }
+
+    /**
+     * Render the parsed preview of the sample rows
+     * @param {Object} preview - Result of CSVParser.previewRecords
+     * @returns {string} HTML string
+     */
+    renderPreview(preview) {
+        if (preview.missingColumns.length > 0) {
+            return `
+                <div class="column-mapping-preview">
+                    <h4>Preview</h4>
+                    <p class="column-mapping-error">Map the required fields to preview: ${preview.missingColumns.map(column => this.escapeHtml(column)).join(', ')}</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="column-mapping-preview">
+                <h4>Preview (first ${this.sampleRows.length} rows)</h4>
+                <table class="column-mapping-preview-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Name</th>
+                            <th>Title</th>
+                            <th>Country</th>
+                            <th>Base Pay</th>
+                            <th>Comparatio</th>
+                            <th>Rating</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.employees.map(employee => `
+                            <tr>
+                                <td>${employee.rowNumber}</td>
+                                <td>${this.escapeHtml(employee.name)}</td>
+                                <td>${this.escapeHtml(employee.title)}</td>
+                                <td>${this.escapeHtml(employee.country)}</td>
+                                <td>${this.escapeHtml(employee.salary ? employee.salary.formatted : '')}</td>
+                                <td>${employee.comparatio ? `${Math.round(employee.comparatio * 100)}%` : '—'}</td>
+                                <td>${this.escapeHtml(employee.performanceRating ? employee.performanceRating.text : '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${preview.errors.length + preview.warnings.length > 0 ? `
+                    <ul class="column-mapping-error">
+                        ${preview.errors.concat(preview.warnings).map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the mapping to import with. Columns left unmapped are sent as ''
+     * so a header that happens to share the expected name isn't picked up.
+     * @returns {Object} Expected column -> file header
+     */
+    getAssignments() {
+        const assignments = {};
+        this.fields.forEach(field => {
+            assignments[field.column] = this.assignments[field.column] || '';
+        });
+        return assignments;
+    }
+
+    /**
+     * Handle select changes
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        const target = event.target;
+
+        if (target.dataset.role === 'profile') {
+            if (target.value) {
+                this.applyProfile(target.value);
+            } else {
+                this.applySuggestions();
+            }
+            this.render();
+            return;
+        }
+
+        const column = target.dataset.column;
+        if (!column) return;
+
+        if (target.value) {
+            this.assignments[column] = target.value;
+        } else {
+            delete this.assignments[column];
+        }
+        this.origins[column] = 'manual';
+
+        // Keep the optional section open while editing it
+        const optionalOpen = this.modal.querySelector('.column-mapping-optional').open;
+        this.render();
+        this.modal.querySelector('.column-mapping-optional').open = optionalOpen;
+    }
+
+    /**
+     * Handle button clicks
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'cancel':
+                this.close();
+                this.onCancel();
+                break;
+            case 'delete-profile':
+                if (this.profileName && confirm(`Delete the mapping profile "${this.profileName}"?`)) {
+                    this.profiles.remove(this.profileName);
+                    this.applySuggestions();
+                    this.render();
+                }
+                break;
+            case 'confirm':
+                this.confirm();
+                break;
+        }
+    }
+
+    /**
+     * Save the profile if named and hand the mapping back
+     */
+    confirm() {
+        const assignments = this.getAssignments();
+        const profileName = this.modal.querySelector('[data-role="profile-name"]').value.trim();
+
+        if (profileName) {
+            this.profiles.save(profileName, this.headers, assignments);
+            window.TeamAnalyzer.showNotification(`Saved column mapping profile "${profileName}"`, 'success');
+        }
+
+        this.close();
+        this.onConfirm(assignments);
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.ColumnMappingWizard = ColumnMappingWizard;
@@ -22,11 +22,26 @@ class ComparativeBenchmarkingAnalysis {
         this.comparativeMetrics = {};
         this.marketData = {};
         
+        // How the comparison chart groups employees and what value it compares
+        this.comparisonType = 'country';
+        this.adjustmentType = 'nominal';
+        this.dimensions = {
+            country: { label: 'Country', groupOf: emp => emp.country || 'Unknown' },
+            role: { label: 'Role', groupOf: emp => emp.title || 'Unknown' },
+            department: { label: 'Job Function', groupOf: emp => emp.jobFunction || 'Unknown' }
+        };
+        
+        // Raise scenario the market analysis compares against
+        this.scenario = null;
+        
+        this.reportingCurrency = 'USD';
+        this.rateInfo = null;
+        // Country name -> ISO code, for the benchmark tables
+        this.countryCodes = new Map();
+        
         // Chart configuration
+        this.chart = null;
         this.chartConfig = {
-            width: 800,
-            height: 400,
-            margin: { top: 20, right: 80, bottom: 60, left: 80 },
             colors: {
                 primary: '#2563eb',
                 secondary: '#dc2626',
@@ -39,48 +54,48 @@ class ComparativeBenchmarkingAnalysis {
             }
         };
         
-        // Market data (simplified - in real implementation, this would come from external APIs)
+        // Market data in USD by ISO country code (simplified - in real implementation, this would come from external APIs)
         this.marketBenchmarks = {
             'Software Engineer': {
                 US: { p25: 85000, median: 95000, p75: 110000, avg: 98000 },
-                India: { p25: 20000, median: 25000, p75: 32000, avg: 27000 },
-                UK: { p25: 55000, median: 65000, p75: 75000, avg: 67000 },
-                Canada: { p25: 70000, median: 80000, p75: 92000, avg: 82000 }
+                IN: { p25: 20000, median: 25000, p75: 32000, avg: 27000 },
+                GB: { p25: 55000, median: 65000, p75: 75000, avg: 67000 },
+                CA: { p25: 70000, median: 80000, p75: 92000, avg: 82000 }
             },
             'Senior Software Engineer': {
                 US: { p25: 115000, median: 130000, p75: 150000, avg: 135000 },
-                India: { p25: 35000, median: 40000, p75: 48000, avg: 42000 },
-                UK: { p25: 75000, median: 85000, p75: 98000, avg: 88000 },
-                Canada: { p25: 95000, median: 110000, p75: 125000, avg: 112000 }
+                IN: { p25: 35000, median: 40000, p75: 48000, avg: 42000 },
+                GB: { p25: 75000, median: 85000, p75: 98000, avg: 88000 },
+                CA: { p25: 95000, median: 110000, p75: 125000, avg: 112000 }
             },
             'Engineering Manager': {
                 US: { p25: 140000, median: 160000, p75: 185000, avg: 165000 },
-                India: { p25: 55000, median: 60000, p75: 70000, avg: 63000 },
-                UK: { p25: 95000, median: 110000, p75: 130000, avg: 115000 },
-                Canada: { p25: 120000, median: 140000, p75: 160000, avg: 145000 }
+                IN: { p25: 55000, median: 60000, p75: 70000, avg: 63000 },
+                GB: { p25: 95000, median: 110000, p75: 130000, avg: 115000 },
+                CA: { p25: 120000, median: 140000, p75: 160000, avg: 145000 }
             },
             'Product Manager': {
                 US: { p25: 120000, median: 140000, p75: 165000, avg: 145000 },
-                India: { p25: 30000, median: 35000, p75: 42000, avg: 37000 },
-                UK: { p25: 80000, median: 90000, p75: 105000, avg: 93000 },
-                Canada: { p25: 100000, median: 115000, p75: 135000, avg: 118000 }
+                IN: { p25: 30000, median: 35000, p75: 42000, avg: 37000 },
+                GB: { p25: 80000, median: 90000, p75: 105000, avg: 93000 },
+                CA: { p25: 100000, median: 115000, p75: 135000, avg: 118000 }
             },
             'Data Scientist': {
                 US: { p25: 105000, median: 120000, p75: 140000, avg: 125000 },
-                India: { p25: 25000, median: 30000, p75: 38000, avg: 32000 },
-                UK: { p25: 65000, median: 75000, p75: 88000, avg: 78000 },
-                Canada: { p25: 85000, median: 95000, p75: 110000, avg: 98000 }
+                IN: { p25: 25000, median: 30000, p75: 38000, avg: 32000 },
+                GB: { p25: 65000, median: 75000, p75: 88000, avg: 78000 },
+                CA: { p25: 85000, median: 95000, p75: 110000, avg: 98000 }
             }
         };
         
         // Cost of living indices (base: US = 100)
         this.costOfLivingIndex = {
             US: 100,
-            India: 25,
-            UK: 85,
-            Canada: 90,
-            Germany: 80,
-            Australia: 95
+            IN: 25,
+            GB: 85,
+            CA: 90,
+            DE: 80,
+            AU: 95
         };
     }
 
@@ -93,16 +108,58 @@ class ComparativeBenchmarkingAnalysis {
         return this;
     }
 
+    /**
+     * Set the currency salaries are compared in; market data is converted from USD with the rates
+     * @param {string} currency - Reporting currency code
+     * @param {Object} rateInfo - Exchange rates in use ({ rates } in units per USD)
+     */
+    setReportingCurrency(currency, rateInfo) {
+        this.reportingCurrency = currency || 'USD';
+        this.rateInfo = rateInfo || null;
+    }
+
     /**
      * Update component with new employee data
+     * @param {Array} employees - Employee records
+     * @param {Object|null} scenario - Raise scenario to compare with the market ({ name, adjustments })
      */
-    updateData(employees) {
-        this.data = employees.filter(emp => emp.salary && !isNaN(parseFloat(emp.salary)));
+    updateData(employees, scenario = null) {
+        // Market benchmarks are in USD, so salaries are compared in the reporting currency
+        this.data = employeeAdapter.toModels(employees).filter(emp => emp.normalizedSalary !== null);
+        this.scenario = scenario && scenario.adjustments.length > 0 ? scenario : null;
+        this.countryCodes = new Map(this.data.map(emp => [emp.country, emp.countryCode]));
         this.calculateBenchmarks();
         this.calculateComparativeMetrics();
         this.updateCharts();
     }
 
+    /**
+     * Get market benchmarks for a role and country in the reporting currency
+     * @param {string} role - Job title
+     * @param {string} countryCode - ISO country code
+     * @returns {Object|null} { p25, median, p75, avg }, or null without data or an exchange rate
+     */
+    getMarketBenchmark(role, countryCode) {
+        const benchmark = this.marketBenchmarks[role]?.[countryCode];
+        const rate = this.rateInfo?.rates?.[this.reportingCurrency];
+        if (!benchmark || !rate) return null;
+        
+        return {
+            p25: benchmark.p25 * rate,
+            median: benchmark.median * rate,
+            p75: benchmark.p75 * rate,
+            avg: benchmark.avg * rate
+        };
+    }
+
+    /**
+     * Get a country's cost of living index (US = 100)
+     * @param {string} country - Country name as shown
+     */
+    getCostIndex(country) {
+        return this.costOfLivingIndex[this.countryCodes.get(country) || country] || 100;
+    }
+
     /**
      * Calculate benchmark comparisons
      */
@@ -123,16 +180,16 @@ class ComparativeBenchmarkingAnalysis {
         });
         
         // Calculate by role
-        const roles = [...new Set(this.data.map(emp => emp.jobTitle))];
+        const roles = [...new Set(this.data.map(emp => emp.title))];
         roles.forEach(role => {
-            const roleEmployees = this.data.filter(emp => emp.jobTitle === role);
+            const roleEmployees = this.data.filter(emp => emp.title === role);
             this.benchmarkData.byRole[role] = this.calculateRoleMetrics(roleEmployees, role);
         });
         
         // Calculate by department
-        const departments = [...new Set(this.data.map(emp => emp.department))];
+        const departments = [...new Set(this.data.map(emp => emp.jobFunction))];
         departments.forEach(dept => {
-            const deptEmployees = this.data.filter(emp => emp.department === dept);
+            const deptEmployees = this.data.filter(emp => emp.jobFunction === dept);
             this.benchmarkData.byDepartment[dept] = this.calculateDepartmentMetrics(deptEmployees);
         });
         
@@ -147,7 +204,7 @@ class ComparativeBenchmarkingAnalysis {
      * Calculate country-specific metrics
      */
     calculateCountryMetrics(employees) {
-        const salaries = employees.map(emp => parseFloat(emp.salary)).sort((a, b) => a - b);
+        const salaries = employees.map(emp => emp.normalizedSalary).sort((a, b) => a - b);
         
         return {
             count: employees.length,
@@ -167,7 +224,7 @@ class ComparativeBenchmarkingAnalysis {
      * Calculate role-specific metrics with market comparison
      */
     calculateRoleMetrics(employees, role) {
-        const salaries = employees.map(emp => parseFloat(emp.salary)).sort((a, b) => a - b);
+        const salaries = employees.map(emp => emp.normalizedSalary).sort((a, b) => a - b);
         const metrics = {
             count: employees.length,
             min: Math.min(...salaries),
@@ -185,7 +242,7 @@ class ComparativeBenchmarkingAnalysis {
         countries.forEach(country => {
             const countryRoleEmployees = employees.filter(emp => emp.country === country);
             if (countryRoleEmployees.length > 0) {
-                const countrySalaries = countryRoleEmployees.map(emp => parseFloat(emp.salary));
+                const countrySalaries = countryRoleEmployees.map(emp => emp.normalizedSalary);
                 metrics.byCountry[country] = {
                     count: countryRoleEmployees.length,
                     average: countrySalaries.reduce((sum, sal) => sum + sal, 0) / countrySalaries.length,
@@ -193,7 +250,7 @@ class ComparativeBenchmarkingAnalysis {
                 };
                 
                 // Compare to market data
-                const marketData = this.marketBenchmarks[role]?.[country];
+                const marketData = this.getMarketBenchmark(role, countryRoleEmployees[0].countryCode);
                 if (marketData) {
                     metrics.marketComparison[country] = {
                         ourAverage: metrics.byCountry[country].average,
@@ -219,7 +276,7 @@ class ComparativeBenchmarkingAnalysis {
      * Calculate department-specific metrics
      */
     calculateDepartmentMetrics(employees) {
-        const salaries = employees.map(emp => parseFloat(emp.salary)).sort((a, b) => a - b);
+        const salaries = employees.map(emp => emp.normalizedSalary).sort((a, b) => a - b);
         
         return {
             count: employees.length,
@@ -238,12 +295,13 @@ class ComparativeBenchmarkingAnalysis {
         this.benchmarkData.marketComparison = {};
         
         this.data.forEach(emp => {
-            const marketData = this.marketBenchmarks[emp.jobTitle]?.[emp.country];
+            const marketData = this.getMarketBenchmark(emp.title, emp.countryCode);
             if (marketData) {
-                const empSalary = parseFloat(emp.salary);
+                const empSalary = emp.normalizedSalary;
                 const comparison = {
+                    employeeId: emp.id,
                     employee: emp.name,
-                    role: emp.jobTitle,
+                    role: emp.title,
                     country: emp.country,
                     currentSalary: empSalary,
                     marketMedian: marketData.median,
@@ -256,7 +314,7 @@ class ComparativeBenchmarkingAnalysis {
                     competitiveness: this.calculateCompetitiveness(empSalary, marketData.median)
                 };
                 
-                const key = `${emp.jobTitle}_${emp.country}`;
+                const key = `${emp.title}_${emp.country}`;
                 if (!this.benchmarkData.marketComparison[key]) {
                     this.benchmarkData.marketComparison[key] = [];
                 }
@@ -274,13 +332,13 @@ class ComparativeBenchmarkingAnalysis {
         const countries = [...new Set(this.data.map(emp => emp.country))];
         countries.forEach(country => {
             const countryEmployees = this.data.filter(emp => emp.country === country);
-            const costIndex = this.costOfLivingIndex[country] || 100;
+            const costIndex = this.getCostIndex(country);
             
             this.benchmarkData.costAdjusted[country] = countryEmployees.map(emp => {
-                const adjustedSalary = (parseFloat(emp.salary) / costIndex) * 100; // Normalize to US cost
+                const adjustedSalary = (emp.normalizedSalary / costIndex) * 100; // Normalize to US cost
                 return {
                     ...emp,
-                    originalSalary: parseFloat(emp.salary),
+                    originalSalary: emp.normalizedSalary,
                     adjustedSalary: adjustedSalary,
                     costIndex: costIndex,
                     purchasingPower: adjustedSalary
@@ -311,8 +369,8 @@ class ComparativeBenchmarkingAnalysis {
                 averageSalary: metrics.average,
                 medianSalary: metrics.median,
                 employeeCount: metrics.count,
-                costIndex: this.costOfLivingIndex[country] || 100,
-                adjustedAverage: (metrics.average / (this.costOfLivingIndex[country] || 100)) * 100
+                costIndex: this.getCostIndex(country),
+                adjustedAverage: (metrics.average / this.getCostIndex(country)) * 100
             }))
             .sort((a, b) => b.adjustedAverage - a.adjustedAverage);
         
@@ -351,13 +409,13 @@ class ComparativeBenchmarkingAnalysis {
         Object.entries(this.benchmarkData.byDepartment).forEach(([dept, metrics]) => {
             // Calculate efficiency as average performance rating vs average salary
             const avgPerformance = this.calculateAveragePerformance(
-                this.data.filter(emp => emp.department === dept)
+                this.data.filter(emp => emp.jobFunction === dept)
             );
             
             efficiency[dept] = {
                 averageSalary: metrics.average,
                 averagePerformance: avgPerformance,
-                efficiency: avgPerformance / (metrics.average / 100000), // Performance per $100k
+                efficiency: avgPerformance / (metrics.average / 100000), // Performance per 100k of pay
                 employeeCount: metrics.count,
                 costPerEmployee: metrics.average
             };
@@ -371,7 +429,8 @@ class ComparativeBenchmarkingAnalysis {
      */
     calculateGlobalPositioning() {
         const totalEmployees = this.data.length;
-        const totalPayroll = this.data.reduce((sum, emp) => sum + parseFloat(emp.salary), 0);
+        if (totalEmployees === 0) return null;
+        const totalPayroll = this.data.reduce((sum, emp) => sum + emp.normalizedSalary, 0);
         const avgSalary = totalPayroll / totalEmployees;
         
         // Calculate positioning against market benchmarks
@@ -380,9 +439,9 @@ class ComparativeBenchmarkingAnalysis {
         let belowMarket = 0;
         
         this.data.forEach(emp => {
-            const marketData = this.marketBenchmarks[emp.jobTitle]?.[emp.country];
+            const marketData = this.getMarketBenchmark(emp.title, emp.countryCode);
             if (marketData) {
-                const empSalary = parseFloat(emp.salary);
+                const empSalary = emp.normalizedSalary;
                 const competitiveness = this.calculateCompetitiveness(empSalary, marketData.median);
                 
                 if (competitiveness > 5) aboveMarket++;
@@ -450,7 +509,7 @@ class ComparativeBenchmarkingAnalysis {
     getRoleDistribution(employees) {
         const distribution = {};
         employees.forEach(emp => {
-            distribution[emp.jobTitle] = (distribution[emp.jobTitle] || 0) + 1;
+            distribution[emp.title] = (distribution[emp.title] || 0) + 1;
         });
         return distribution;
     }
@@ -461,7 +520,7 @@ class ComparativeBenchmarkingAnalysis {
     getDepartmentDistribution(employees) {
         const distribution = {};
         employees.forEach(emp => {
-            distribution[emp.department] = (distribution[emp.department] || 0) + 1;
+            distribution[emp.jobFunction] = (distribution[emp.jobFunction] || 0) + 1;
         });
         return distribution;
     }
@@ -483,7 +542,8 @@ class ComparativeBenchmarkingAnalysis {
     getPerformanceDistribution(employees) {
         const distribution = {};
         employees.forEach(emp => {
-            distribution[emp.performanceRating] = (distribution[emp.performanceRating] || 0) + 1;
+            const rating = emp.ratingText || 'Not rated';
+            distribution[rating] = (distribution[rating] || 0) + 1;
         });
         return distribution;
     }
@@ -492,18 +552,9 @@ class ComparativeBenchmarkingAnalysis {
      * Calculate average performance
      */
     calculateAveragePerformance(employees) {
-        const performanceMap = {
-            'Exceeds Expectations': 5,
-            'Meets Expectations': 4,
-            'Below Expectations': 3,
-            'Needs Improvement': 2,
-            'Unsatisfactory': 1,
-            '5': 5, '4': 4, '3': 3, '2': 2, '1': 1
-        };
-        
         const validRatings = employees
-            .map(emp => performanceMap[emp.performanceRating])
-            .filter(rating => rating !== undefined);
+            .map(emp => emp.rating)
+            .filter(rating => rating !== null);
         
         return validRatings.length > 0 ? 
             validRatings.reduce((sum, rating) => sum + rating, 0) / validRatings.length : 0;
@@ -553,7 +604,7 @@ class ComparativeBenchmarkingAnalysis {
                         <div class="summary-card cost-efficiency">
                             <h4>Cost Efficiency</h4>
                             <div class="card-value" id="costEfficiency">0</div>
-                            <div class="card-subtitle">performance per $100k</div>
+                            <div class="card-subtitle" id="costEfficiencyUnit">performance per 100k</div>
                         </div>
                     </div>
                 </div>
@@ -668,7 +719,8 @@ class ComparativeBenchmarkingAnalysis {
         const canvas = this.container.querySelector('#benchmarkChart');
         if (!canvas) return;
         
-        this.ctx = canvas.getContext('2d');
+        if (this.chart) this.chart.destroy();
+        this.chart = new ChartRenderer(canvas, { type: 'bar', datasets: [] });
     }
 
     /**
@@ -702,6 +754,7 @@ class ComparativeBenchmarkingAnalysis {
         const avgEfficiency = deptEfficiencies.length > 0 ? 
             deptEfficiencies.reduce((sum, dept) => sum + dept.efficiency, 0) / deptEfficiencies.length : 0;
         this.container.querySelector('#costEfficiency').textContent = avgEfficiency.toFixed(2);
+        this.container.querySelector('#costEfficiencyUnit').textContent = `performance per ${this.formatCurrency(100000)}`;
     }
 
     /**
@@ -730,47 +783,81 @@ class ComparativeBenchmarkingAnalysis {
      * Render salary comparison chart
      */
     renderComparisonChart() {
-        if (!this.ctx || !this.benchmarkData.byCountry) return;
-        
-        const { width, height, margin } = this.chartConfig;
-        const plotWidth = width - margin.left - margin.right;
-        const plotHeight = height - margin.top - margin.bottom;
+        if (!this.chart || !this.benchmarkData.byCountry) return;
         
-        // Clear canvas
-        this.ctx.clearRect(0, 0, width, height);
+        const dimension = this.dimensions[this.comparisonType] || this.dimensions.country;
+        const groups = this.getGroupValues(dimension.groupOf);
+        const averages = groups.map(([, values]) => values.reduce((sum, value) => sum + value, 0) / values.length);
         
-        const countries = Object.keys(this.benchmarkData.byCountry);
-        const averages = countries.map(country => this.benchmarkData.byCountry[country].average);
-        const maxValue = Math.max(...averages) * 1.1;
-        
-        // Draw bars
-        const barWidth = plotWidth / (countries.length * 1.5);
-        const spacing = barWidth * 0.5;
-        
-        countries.forEach((country, i) => {
-            const x = margin.left + i * (barWidth + spacing);
-            const barHeight = (averages[i] / maxValue) * plotHeight;
-            const y = margin.top + plotHeight - barHeight;
-            
-            // Draw bar
-            this.ctx.fillStyle = this.chartConfig.colors.primary;
-            this.ctx.fillRect(x, y, barWidth, barHeight);
-            
-            // Add value label
-            this.ctx.fillStyle = '#374151';
-            this.ctx.font = '12px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(this.formatCurrency(averages[i]), x + barWidth / 2, y - 5);
+        this.chart.update({
+            type: 'bar',
+            title: `Average ${this.getValueLabel()} by ${dimension.label}`,
+            labels: groups.map(([group]) => group),
+            datasets: [{
+                label: `Average ${this.getValueLabel()}`,
+                data: averages,
+                colors: this.adjustmentType === 'market'
+                    ? value => value < 95 ? this.chartConfig.colors.below : value > 105 ? this.chartConfig.colors.above : this.chartConfig.colors.atMarket
+                    : [this.chartConfig.colors.primary]
+            }],
+            formatY: value => this.formatValue(value),
+            emptyMessage: 'No market data for these roles and countries',
+            tooltip: item => [item.label, `Average: ${this.formatValue(item.value)}`, `Employees: ${groups[item.index][1].length}`]
+        });
+    }
+
+    /**
+     * Value an employee is compared on for the adjustment type - salary, cost-of-living
+     * adjusted salary, or salary as a percentage of the market median
+     * @returns {number|null} Value, or null when it can't be worked out (no market data)
+     */
+    getEmployeeValue(emp) {
+        switch (this.adjustmentType) {
+            case 'adjusted':
+                return (emp.normalizedSalary / this.getCostIndex(emp.country)) * 100;
+            case 'market': {
+                const marketData = this.getMarketBenchmark(emp.title, emp.countryCode);
+                return marketData ? (emp.normalizedSalary / marketData.median) * 100 : null;
+            }
+            default:
+                return emp.normalizedSalary;
+        }
+    }
+
+    /**
+     * Group employees' values, largest group first
+     * @param {Function} groupOf - Employee => group name
+     * @returns {Array} [group, values] pairs, leaving out groups with no values
+     */
+    getGroupValues(groupOf) {
+        const groups = new Map();
+        this.data.forEach(emp => {
+            const value = this.getEmployeeValue(emp);
+            if (value === null) return;
             
-            // Add country label
-            this.ctx.fillText(country, x + barWidth / 2, margin.top + plotHeight + 20);
+            const group = groupOf(emp);
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(value);
         });
-        
-        // Add title
-        this.ctx.fillStyle = '#1f2937';
-        this.ctx.font = 'bold 16px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Average Salary by Country', width / 2, 20);
+        return [...groups.entries()].sort(([, a], [, b]) => b.length - a.length);
+    }
+
+    /**
+     * Name of the compared value, for titles
+     */
+    getValueLabel() {
+        return {
+            nominal: 'Salary',
+            adjusted: 'Cost-Adjusted Salary',
+            market: 'Pay vs Market Median'
+        }[this.adjustmentType];
+    }
+
+    /**
+     * Format a compared value
+     */
+    formatValue(value) {
+        return this.adjustmentType === 'market' ? `${value.toFixed(0)}%` : this.formatCurrency(value);
     }
 
     /**
@@ -786,7 +873,7 @@ class ComparativeBenchmarkingAnalysis {
             <div class="ranking-item">
                 <div class="ranking-position">${index + 1}</div>
                 <div class="ranking-details">
-                    <div class="country-name">${country.country}</div>
+                    <div class="country-name">${this.escapeHtml(country.country)}</div>
                     <div class="country-metrics">
                         <span class="metric">Avg: ${this.formatCurrency(country.averageSalary)}</span>
                         <span class="metric">Adjusted: ${this.formatCurrency(country.adjustedAverage)}</span>
@@ -808,7 +895,7 @@ class ComparativeBenchmarkingAnalysis {
         
         container.innerHTML = Object.entries(competitiveness).map(([role, data]) => `
             <div class="competitiveness-item ${data.marketPosition}">
-                <div class="role-name">${role}</div>
+                <div class="role-name">${this.escapeHtml(role)}</div>
                 <div class="competitiveness-score">${data.averageCompetitiveness.toFixed(1)}%</div>
                 <div class="market-position">${data.marketPosition} market</div>
             </div>
@@ -930,12 +1017,12 @@ class ComparativeBenchmarkingAnalysis {
                     </thead>
                     <tbody>
                         ${countries.map(([country, metrics]) => {
-                            const costIndex = this.costOfLivingIndex[country] || 100;
+                            const costIndex = this.getCostIndex(country);
                             const adjustedAvg = (metrics.average / costIndex) * 100;
                             
                             return `
                                 <tr>
-                                    <td>${country}</td>
+                                    <td>${this.escapeHtml(country)}</td>
                                     <td>${metrics.count}</td>
                                     <td>${this.formatCurrency(metrics.average)}</td>
                                     <td>${this.formatCurrency(metrics.median)}</td>
@@ -988,7 +1075,7 @@ class ComparativeBenchmarkingAnalysis {
     formatCurrency(value) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency: this.reportingCurrency,
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
         }).format(value);
@@ -1016,37 +1103,408 @@ class ComparativeBenchmarkingAnalysis {
         URL.revokeObjectURL(url);
     }
 
-    // Placeholder methods for remaining functionality
+    /**
+     * Change how the comparison chart groups employees, or switch to the market view
+     */
     updateComparisonType(type) {
-        // Implementation for different comparison types
+        this.comparisonType = type;
+
+        if (type === 'market') {
+            this.switchChartTab('market');
+            this.switchTab('market-analysis');
+            return;
+        }
+
+        this.switchTab(type === 'role' ? 'role-benchmarks' : 'country-details');
+        this.switchChartTab('comparison');
     }
 
+    /**
+     * Change the value the charts compare - nominal, cost-adjusted or market-relative pay
+     */
     updateAdjustmentType(type) {
-        // Implementation for different adjustment types
+        this.adjustmentType = type;
+        this.updateBenchmarkChart();
     }
 
+    /**
+     * Render the spread of the compared value in each group
+     */
     renderDistributionChart() {
-        // Implementation for distribution analysis
+        if (!this.chart) return;
+
+        const dimension = this.dimensions[this.comparisonType] || this.dimensions.country;
+        const groups = this.getGroupValues(dimension.groupOf);
+
+        this.chart.update({
+            type: 'boxplot',
+            title: `${this.getValueLabel()} Distribution by ${dimension.label}`,
+            labels: groups.map(([group]) => group),
+            datasets: [{ label: this.getValueLabel(), data: groups.map(([, values]) => values) }],
+            formatY: value => this.formatValue(value),
+            emptyMessage: 'No market data for these roles and countries'
+        });
     }
 
+    /**
+     * Render each benchmarked employee's salary against their market median,
+     * with their salary under the scenario when it gives them a raise
+     */
     renderMarketPositioningChart() {
-        // Implementation for market positioning visualization
+        if (!this.chart) return;
+
+        const rows = this.getMarketRows();
+        const toPoint = row => ({ x: row.marketMedian, y: row.currentSalary, label: row.employee, row });
+        const positions = [
+            { label: 'Below market', color: this.chartConfig.colors.below, test: row => row.competitiveness < -5 },
+            { label: 'At market', color: this.chartConfig.colors.atMarket, test: row => Math.abs(row.competitiveness) <= 5 },
+            { label: 'Above market', color: this.chartConfig.colors.above, test: row => row.competitiveness > 5 }
+        ];
+
+        const datasets = positions
+            .map(({ label, color, test }) => ({ label, color, data: rows.filter(test).map(toPoint) }))
+            .filter(dataset => dataset.data.length > 0);
+
+        if (this.scenario) {
+            const raised = rows.filter(row => row.afterSalary !== row.currentSalary);
+            if (raised.length > 0) {
+                datasets.push({
+                    label: `With ${this.scenario.name}`,
+                    color: '#667eea',
+                    pointStyle: 'ring',
+                    data: raised.map(row => ({ x: row.marketMedian, y: row.afterSalary, label: row.employee, row, after: true }))
+                });
+            }
+        }
+
+        if (rows.length > 0) {
+            const medians = rows.map(row => row.marketMedian);
+            const low = Math.min(...medians);
+            const high = Math.max(...medians);
+            datasets.push({
+                label: 'Market median',
+                color: this.chartConfig.colors.neutral,
+                showLine: true,
+                dashed: true,
+                data: [{ x: low, y: low }, { x: high, y: high }]
+            });
+        }
+
+        this.chart.update({
+            type: 'scatter',
+            title: 'Salary vs Market Median',
+            datasets: rows.length > 0 ? datasets : [],
+            xLabel: 'Market median',
+            yLabel: 'Salary',
+            formatX: value => this.formatCurrency(value),
+            formatY: value => this.formatCurrency(value),
+            emptyMessage: 'No market data for these roles and countries',
+            tooltip: item => {
+                const { point } = item;
+                if (!point.row) return `Market median: ${this.formatCurrency(point.x)}`;
+
+                const gap = ((point.y - point.x) / point.x) * 100;
+                return [
+                    point.label,
+                    `${point.row.role}, ${point.row.country}`,
+                    `${point.after ? `With ${this.scenario.name}` : 'Salary'}: ${this.formatCurrency(point.y)}`,
+                    `Market median: ${this.formatCurrency(point.x)}`,
+                    `${gap >= 0 ? '+' : ''}${gap.toFixed(1)}% vs market`
+                ];
+            }
+        });
     }
 
+    /**
+     * Render the average compared value by tenure band for each group - how pay
+     * progresses with time at the company
+     */
     renderTrendChart() {
-        // Implementation for trend analysis
+        if (!this.chart) return;
+
+        const bands = [
+            { label: '< 1 yr', below: 1 },
+            { label: '1-2 yrs', below: 2 },
+            { label: '2-5 yrs', below: 5 },
+            { label: '5-10 yrs', below: 10 },
+            { label: '10+ yrs', below: Infinity }
+        ];
+        const dimension = this.dimensions[this.comparisonType] || this.dimensions.country;
+        const groups = this.getGroupValues(dimension.groupOf).slice(0, 6).map(([group]) => group);
+
+        const datasets = groups.map(group => {
+            const totals = bands.map(() => ({ sum: 0, count: 0 }));
+            this.data.forEach(emp => {
+                if (dimension.groupOf(emp) !== group || emp.tenureYears === null) return;
+                const value = this.getEmployeeValue(emp);
+                if (value === null) return;
+
+                const band = totals[bands.findIndex(item => emp.tenureYears < item.below)];
+                band.sum += value;
+                band.count++;
+            });
+            return { label: group, data: totals.map(band => (band.count > 0 ? band.sum / band.count : null)) };
+        });
+
+        this.chart.update({
+            type: 'line',
+            title: `Average ${this.getValueLabel()} by Tenure`,
+            labels: bands.map(band => band.label),
+            datasets,
+            xLabel: 'Tenure',
+            formatY: value => this.formatValue(value),
+            emptyMessage: 'No market data for these roles and countries',
+            tooltip: item => [item.dataset.label, `${item.label}: ${this.formatValue(item.value)}`]
+        });
     }
 
+    /**
+     * Update role benchmarks tab - each role's median pay in each country against the market
+     */
     updateRoleBenchmarks() {
-        // Implementation for detailed role benchmarks
+        const container = this.container.querySelector('#roleBenchmarksContent');
+        if (!container) return;
+
+        const rows = [];
+        Object.entries(this.benchmarkData.byRole || {}).forEach(([role, metrics]) => {
+            Object.entries(metrics.byCountry).forEach(([country, countryMetrics]) => {
+                rows.push({
+                    role,
+                    country,
+                    count: countryMetrics.count,
+                    median: countryMetrics.median,
+                    market: this.getMarketBenchmark(role, this.countryCodes.get(country))
+                });
+            });
+        });
+        rows.sort((a, b) => a.role.localeCompare(b.role) || b.count - a.count);
+
+        container.innerHTML = `
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Role</th>
+                            <th>Country</th>
+                            <th>Employees</th>
+                            <th>Our Median</th>
+                            <th>Market P25</th>
+                            <th>Market Median</th>
+                            <th>Market P75</th>
+                            <th>vs Market Median</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => {
+                            const gap = row.market ? this.calculateCompetitiveness(row.median, row.market.median) : null;
+                            return `
+                                <tr>
+                                    <td>${this.escapeHtml(row.role)}</td>
+                                    <td>${this.escapeHtml(row.country)}</td>
+                                    <td>${row.count}</td>
+                                    <td>${this.formatCurrency(row.median)}</td>
+                                    <td>${row.market ? this.formatCurrency(row.market.p25) : '-'}</td>
+                                    <td>${row.market ? this.formatCurrency(row.market.median) : '-'}</td>
+                                    <td>${row.market ? this.formatCurrency(row.market.p75) : '-'}</td>
+                                    <td class="${gap === null ? '' : gap < 0 ? 'negative' : 'positive'}">
+                                        ${gap === null ? 'No market data' : `${gap >= 0 ? '+' : ''}${gap.toFixed(1)}%`}
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
+    /**
+     * Market comparison for every benchmarked employee, with their salary and
+     * gap under the scenario, most underpaid first
+     */
+    getMarketRows() {
+        const raises = new Map((this.scenario?.adjustments || []).map(adj => [adj.employeeId, adj.newSalary]));
+
+        return Object.values(this.benchmarkData.marketComparison || {})
+            .flat()
+            .map(comparison => {
+                const afterSalary = raises.get(comparison.employeeId) ?? comparison.currentSalary;
+                return {
+                    ...comparison,
+                    afterSalary,
+                    afterGapPercentage: this.calculateCompetitiveness(afterSalary, comparison.marketMedian)
+                };
+            })
+            .sort((a, b) => a.gapPercentage - b.gapPercentage);
+    }
+
+    /**
+     * Update market analysis tab - each employee against their market range,
+     * and the gaps left after the scenario's raises
+     */
     updateMarketAnalysis() {
-        // Implementation for market analysis details
+        const container = this.container.querySelector('#marketAnalysisContent');
+        if (!container) return;
+
+        const rows = this.getMarketRows();
+        if (rows.length === 0) {
+            container.innerHTML = `<div class="compliance-message">No market benchmarks for these roles and countries. Benchmarks cover ${Object.keys(this.marketBenchmarks).map(role => this.escapeHtml(role)).join(', ')}.</div>`;
+            return;
+        }
+
+        const belowP25 = rows.filter(row => row.currentSalary < row.marketP25);
+        const costToP25 = belowP25.reduce((sum, row) => sum + row.marketP25 - row.currentSalary, 0);
+        const belowP25After = rows.filter(row => row.afterSalary < row.marketP25);
+        const costToP25After = belowP25After.reduce((sum, row) => sum + row.marketP25 - row.afterSalary, 0);
+        const positions = { 25: 'Below P25', 50: 'P25 - Median', 75: 'Median - P75', 90: 'Above P75' };
+
+        container.innerHTML = `
+            <p class="model-note">
+                ${rows.length} of ${this.data.length} employees have a market benchmark.
+                ${belowP25.length} are below the market 25th percentile; bringing them to it costs ${this.formatCurrency(costToP25)}.
+                ${this.scenario ? `With <strong>${this.escapeHtml(this.scenario.name)}</strong>, ${belowP25After.length} remain below it, costing ${this.formatCurrency(costToP25After)} to close.` : ''}
+            </p>
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Role</th>
+                            <th>Country</th>
+                            <th>Salary</th>
+                            <th>Market Median</th>
+                            <th>Gap</th>
+                            <th>Position</th>
+                            ${this.scenario ? '<th>With Scenario</th><th>Gap with Scenario</th>' : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${this.escapeHtml(row.employee)}</td>
+                                <td>${this.escapeHtml(row.role)}</td>
+                                <td>${this.escapeHtml(row.country)}</td>
+                                <td>${this.formatCurrency(row.currentSalary)}</td>
+                                <td>${this.formatCurrency(row.marketMedian)}</td>
+                                <td class="${row.gapPercentage < 0 ? 'negative' : 'positive'}">${row.gapPercentage >= 0 ? '+' : ''}${row.gapPercentage.toFixed(1)}%</td>
+                                <td>${positions[row.percentilePosition]}</td>
+                                ${this.scenario ? `
+                                    <td>${this.formatCurrency(row.afterSalary)}</td>
+                                    <td class="${row.afterGapPercentage < 0 ? 'negative' : 'positive'}">${row.afterGapPercentage >= 0 ? '+' : ''}${row.afterGapPercentage.toFixed(1)}%</td>
+                                ` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
+    /**
+     * Update recommendations tab from the market gaps by role and country
+     */
     updateRecommendations() {
-        // Implementation for recommendations generation
+        const container = this.container.querySelector('#recommendationsContent');
+        if (!container) return;
+
+        const recommendations = [];
+
+        if (!this.rateInfo?.rates?.[this.reportingCurrency]) {
+            recommendations.push({
+                type: 'error',
+                icon: '💱',
+                title: 'No Exchange Rate',
+                description: `There is no USD rate for ${this.escapeHtml(this.reportingCurrency)}, so salaries can't be compared with market data.`
+            });
+        }
+
+        const groups = new Map();
+        this.getMarketRows().forEach(row => {
+            const key = `${row.role}_${row.country}`;
+            if (!groups.has(key)) groups.set(key, { role: row.role, country: row.country, rows: [] });
+            groups.get(key).rows.push(row);
+        });
+
+        groups.forEach(({ role, country, rows }) => {
+            const averageGap = rows.reduce((sum, row) => sum + row.gapPercentage, 0) / rows.length;
+            const belowP25 = rows.filter(row => row.afterSalary < row.marketP25);
+            const cost = belowP25.reduce((sum, row) => sum + row.marketP25 - row.afterSalary, 0);
+            const where = `${this.escapeHtml(role)} in ${this.escapeHtml(country)}`;
+
+            if (averageGap < -10) {
+                recommendations.push({
+                    type: 'warning',
+                    icon: '📉',
+                    title: `Raise ${where} toward market`,
+                    description: `${rows.length} employee(s) average ${Math.abs(averageGap).toFixed(1)}% below the market median.` +
+                        (belowP25.length > 0
+                            ? ` ${belowP25.length} ${this.scenario ? 'would still be' : 'are'} below the 25th percentile; bringing them to it costs ${this.formatCurrency(cost)}.`
+                            : '')
+                });
+            } else if (averageGap > 15) {
+                recommendations.push({
+                    type: 'info',
+                    icon: '💰',
+                    title: `Review the premium for ${where}`,
+                    description: `${rows.length} employee(s) average ${averageGap.toFixed(1)}% above the market median; check it reflects performance or scarcity.`
+                });
+            }
+        });
+
+        if (this.scenario) {
+            const stillBelow = this.getMarketRows().filter(row => row.afterSalary < row.marketP25).length;
+            recommendations.push(stillBelow > 0 ? {
+                type: 'warning',
+                icon: '🎯',
+                title: `${this.escapeHtml(this.scenario.name)} leaves market gaps`,
+                description: `${stillBelow} benchmarked employee(s) would stay below the market 25th percentile.`
+            } : {
+                type: 'success',
+                icon: '🎯',
+                title: `${this.escapeHtml(this.scenario.name)} closes market gaps`,
+                description: 'No benchmarked employee would be below the market 25th percentile.'
+            });
+        }
+
+        const unbenchmarked = this.data.length - this.getMarketRows().length;
+        if (unbenchmarked > 0) {
+            recommendations.push({
+                type: 'info',
+                icon: 'ℹ️',
+                title: 'Missing Benchmarks',
+                description: `${unbenchmarked} employee(s) have no market data for their role and country.`
+            });
+        }
+
+        if (recommendations.length === 0) {
+            recommendations.push({
+                type: 'success',
+                icon: '✅',
+                title: 'In Line with Market',
+                description: 'Every benchmarked role and country is within 10% below to 15% above the market median.'
+            });
+        }
+
+        container.innerHTML = recommendations.map(recommendation => `
+            <div class="insight-item ${recommendation.type}">
+                <div class="insight-icon">${recommendation.icon}</div>
+                <div class="insight-content">
+                    <div class="insight-title">${recommendation.title}</div>
+                    <div class="insight-description">${recommendation.description}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
@@ -0,0 +1,476 @@
+/**
+ * CountryPolicyEditor Component
+ *
+ * In-app editor for the country raise policy registry: per-country maximum
+ * raise, VP approval threshold and typical range, optional grade band
+ * overrides, and JSON import/export of the cycle's policy file.
+ */
+
+class CountryPolicyEditor {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.registry = options.registry || window.countryPolicyRegistry;
+        
+        // State
+        this.employees = [];
+        this.editingCode = null; // ISO2 code, 'new', or 'fallback'
+        
+        this.init();
+    }
+
+    /**
+     * Initialize the editor
+     */
+    init() {
+        this.container.addEventListener('click', this.handleClick.bind(this));
+        this.container.addEventListener('change', this.handleChange.bind(this));
+        this.unsubscribe = this.registry.subscribe(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Set employees so countries without a policy can be flagged
+     * @param {Array} employees - Employee data
+     */
+    setEmployees(employees) {
+        this.employees = employees || [];
+        this.render();
+    }
+
+    /**
+     * Render the editor
+     */
+    render() {
+        const policies = this.registry.getPolicies();
+        const codes = Object.keys(policies).sort();
+        
+        this.container.innerHTML = `
+            <div class="country-policy-editor">
+                <div class="policy-editor-header">
+                    <div>
+                        <h3>Country Raise Policies</h3>
+                        <p>Rates are applied by every raise tool. Import the cycle's policy file from HR or edit countries below.</p>
+                    </div>
+                    <div class="policy-editor-actions">
+                        <button type="button" class="btn btn-primary btn-sm" data-action="add">Add country</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="import">Import JSON</button>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="export">Export JSON</button>
+                        <button type="button" class="btn btn-danger btn-sm" data-action="reset">Reset to defaults</button>
+                        <input type="file" class="policy-import-input hidden" accept=".json,application/json">
+                    </div>
+                </div>
+                
+                ${this.renderUncoveredCountries()}
+                
+                <table class="policy-table">
+                    <thead>
+                        <tr>
+                            <th>ISO2</th>
+                            <th>Country</th>
+                            <th>Currency</th>
+                            <th>Max Raise</th>
+                            <th>VP Approval Above</th>
+                            <th>Typical Range</th>
+                            <th>Grade Bands</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${codes.map(code => this.renderPolicyRow(code, policies[code])).join('')}
+                        ${this.renderPolicyRow('fallback', this.registry.getFallbackPolicy())}
+                    </tbody>
+                </table>
+                
+                ${this.editingCode ? this.renderEditForm() : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a policy table row
+     * @param {string} code - ISO2 code or 'fallback'
+     * @param {Object} policy - Policy
+     * @returns {string} HTML string
+     */
+    renderPolicyRow(code, policy) {
+        const isFallback = code === 'fallback';
+        const bands = policy.gradeBands ? Object.keys(policy.gradeBands) : [];
+        
+        return `
+            <tr class="${isFallback ? 'fallback' : ''}${this.editingCode === code ? ' editing' : ''}">
+                <td>${isFallback ? '—' : this.escapeHtml(code)}</td>
+                <td>${this.escapeHtml(policy.name)}</td>
+                <td>${this.escapeHtml(policy.currency || '—')}</td>
+                <td>${this.formatRate(policy.maxRaise)}</td>
+                <td>${this.formatRate(policy.vpApprovalThreshold)}</td>
+                <td>${this.formatRate(policy.typicalRange.min)} – ${this.formatRate(policy.typicalRange.max)}</td>
+                <td>${bands.length > 0 ? this.escapeHtml(bands.join(', ')) : '—'}</td>
+                <td class="policy-row-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="edit" data-code="${this.escapeHtml(code)}">Edit</button>
+                    ${isFallback ? '' : `<button type="button" class="btn btn-danger btn-sm" data-action="delete" data-code="${this.escapeHtml(code)}">Delete</button>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a notice for countries in the data that fall back to the default policy
+     * @returns {string} HTML string
+     */
+    renderUncoveredCountries() {
+        const uncovered = {};
+        this.employees.forEach(employee => {
+            const policy = this.registry.getPolicyForEmployee(employee);
+            if (policy.isFallback) {
+                const label = employee.countryCode
+                    ? `${employee.country || employee.countryCode} (${employee.countryCode})`
+                    : employee.country || 'Unknown';
+                uncovered[label] = (uncovered[label] || 0) + 1;
+            }
+        });
+        
+        const entries = Object.entries(uncovered);
+        if (entries.length === 0) return '';
+        
+        return `
+            <div class="policy-uncovered">
+                ⚠️ No policy for ${entries.map(([label, count]) => `${this.escapeHtml(label)} – ${count} employee${count === 1 ? '' : 's'}`).join(', ')}.
+                These employees use the "${this.escapeHtml(this.registry.getFallbackPolicy().name)}" policy.
+            </div>
+        `;
+    }
+
+    /**
+     * Render the add/edit form
+     * @returns {string} HTML string
+     */
+    renderEditForm() {
+        const isNew = this.editingCode === 'new';
+        const isFallback = this.editingCode === 'fallback';
+        const policy = isNew
+            ? { name: '', currency: '', maxRaise: '', vpApprovalThreshold: '', typicalRange: { min: '', max: '' } }
+            : isFallback ? this.registry.getFallbackPolicy() : this.registry.getPolicies()[this.editingCode];
+        const bands = Object.entries(policy.gradeBands || {});
+        const knownBands = [...new Set(this.employees.map(employee => employee.gradeBand).filter(Boolean))].sort();
+        
+        return `
+            <form class="policy-edit-form" onsubmit="return false;">
+                <h4>${isNew ? 'Add country policy' : `Edit ${this.escapeHtml(policy.name)}`}</h4>
+                <div class="policy-form-grid">
+                    ${isFallback ? '' : `
+                        <label>ISO2 code
+                            <input type="text" name="code" maxlength="2" value="${isNew ? '' : this.escapeHtml(this.editingCode)}" ${isNew ? '' : 'readonly'} required>
+                        </label>
+                    `}
+                    <label>Country name
+                        <input type="text" name="name" value="${this.escapeHtml(policy.name)}" required>
+                    </label>
+                    <label>Currency
+                        <input type="text" name="currency" maxlength="3" value="${this.escapeHtml(policy.currency || '')}">
+                    </label>
+                    <label>Max raise (%)
+                        <input type="number" name="maxRaise" step="0.1" min="0" max="100" value="${this.toPercentInput(policy.maxRaise)}" required>
+                    </label>
+                    <label>VP approval above (%)
+                        <input type="number" name="vpApprovalThreshold" step="0.1" min="0" max="100" value="${this.toPercentInput(policy.vpApprovalThreshold)}" required>
+                    </label>
+                    <label>Typical min (%)
+                        <input type="number" name="typicalMin" step="0.1" min="0" max="100" value="${this.toPercentInput(policy.typicalRange.min)}" required>
+                    </label>
+                    <label>Typical max (%)
+                        <input type="number" name="typicalMax" step="0.1" min="0" max="100" value="${this.toPercentInput(policy.typicalRange.max)}" required>
+                    </label>
+                </div>
+                
+                <h5>Grade band overrides</h5>
+                <p class="policy-form-hint">Leave a field blank to use the country value.</p>
+                <datalist id="policy-grade-bands">
+                    ${knownBands.map(band => `<option value="${this.escapeHtml(band)}">`).join('')}
+                </datalist>
+                <table class="policy-band-table">
+                    <thead>
+                        <tr>
+                            <th>Grade band</th>
+                            <th>Max raise (%)</th>
+                            <th>VP approval above (%)</th>
+                            <th>Typical min (%)</th>
+                            <th>Typical max (%)</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${bands.map(([band, override]) => this.renderBandRow(band, override)).join('')}
+                    </tbody>
+                </table>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="add-band">Add grade band</button>
+                
+                <div class="policy-form-actions">
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="save">Save policy</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Render a grade band override row
+     * @param {string} band - Grade band
+     * @param {Object} override - Band override
+     * @returns {string} HTML string
+     */
+    renderBandRow(band = '', override = {}) {
+        const range = override.typicalRange || {};
+        return `
+            <tr class="policy-band-row">
+                <td><input type="text" name="band" list="policy-grade-bands" value="${this.escapeHtml(band)}"></td>
+                <td><input type="number" name="bandMaxRaise" step="0.1" min="0" max="100" value="${this.toPercentInput(override.maxRaise)}"></td>
+                <td><input type="number" name="bandVpApprovalThreshold" step="0.1" min="0" max="100" value="${this.toPercentInput(override.vpApprovalThreshold)}"></td>
+                <td><input type="number" name="bandTypicalMin" step="0.1" min="0" max="100" value="${this.toPercentInput(range.min)}"></td>
+                <td><input type="number" name="bandTypicalMax" step="0.1" min="0" max="100" value="${this.toPercentInput(range.max)}"></td>
+                <td><button type="button" class="btn btn-danger btn-sm" data-action="remove-band">✕</button></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Handle clicks on editor buttons
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const action = button.getAttribute('data-action');
+        const code = button.getAttribute('data-code');
+        
+        switch (action) {
+            case 'add':
+                this.openForm('new');
+                break;
+            case 'edit':
+                this.openForm(code);
+                break;
+            case 'delete':
+                this.deletePolicy(code);
+                break;
+            case 'import':
+                this.container.querySelector('.policy-import-input').click();
+                break;
+            case 'export':
+                this.exportPolicies();
+                break;
+            case 'reset':
+                if (confirm('Replace all country policies with the built-in defaults?')) {
+                    this.editingCode = null;
+                    this.registry.resetToDefaults();
+                    this.showNotification('Country policies reset to defaults', 'info');
+                }
+                break;
+            case 'add-band':
+                this.container.querySelector('.policy-band-table tbody')
+                    .insertAdjacentHTML('beforeend', this.renderBandRow());
+                break;
+            case 'remove-band':
+                button.closest('tr').remove();
+                break;
+            case 'cancel':
+                this.editingCode = null;
+                this.render();
+                break;
+            case 'save':
+                this.savePolicy();
+                break;
+        }
+    }
+
+    /**
+     * Handle the import file input
+     * @param {Event} event - Change event
+     */
+    handleChange(event) {
+        if (!event.target.classList.contains('policy-import-input')) return;
+        
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = this.registry.importJSON(reader.result);
+                this.editingCode = null;
+                this.showNotification(`Imported ${count} country policies from ${file.name}`, 'success');
+            } catch (error) {
+                console.error('Failed to import country policies:', error);
+                this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+            }
+        };
+        reader.onerror = () => this.showNotification(`Could not read ${file.name}`, 'error');
+        reader.readAsText(file);
+        
+        // Allow re-importing the same file
+        event.target.value = '';
+    }
+
+    /**
+     * Open the add/edit form
+     * @param {string} code - ISO2 code, 'new' or 'fallback'
+     */
+    openForm(code) {
+        this.editingCode = code;
+        this.render();
+        
+        const form = this.container.querySelector('.policy-edit-form');
+        if (form) {
+            form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * Read the form and save the policy
+     */
+    savePolicy() {
+        const form = this.container.querySelector('.policy-edit-form');
+        if (!form) return;
+        
+        const value = name => (form.elements[name] ? form.elements[name].value.trim() : '');
+        const rate = input => (input === '' ? '' : parseFloat(input) / 100);
+        
+        const policy = {
+            name: value('name'),
+            currency: value('currency') || null,
+            maxRaise: rate(value('maxRaise')),
+            vpApprovalThreshold: rate(value('vpApprovalThreshold')),
+            typicalRange: {
+                min: rate(value('typicalMin')),
+                max: rate(value('typicalMax'))
+            },
+            gradeBands: {}
+        };
+        
+        form.querySelectorAll('.policy-band-row').forEach(row => {
+            const field = name => row.querySelector(`[name="${name}"]`).value.trim();
+            const band = field('band');
+            if (!band) return;
+            
+            policy.gradeBands[band] = {
+                maxRaise: rate(field('bandMaxRaise')),
+                vpApprovalThreshold: rate(field('bandVpApprovalThreshold')),
+                typicalRange: {
+                    min: rate(field('bandTypicalMin')),
+                    max: rate(field('bandTypicalMax'))
+                }
+            };
+        });
+        
+        try {
+            if (this.editingCode === 'fallback') {
+                this.registry.setFallbackPolicy(policy);
+            } else {
+                const code = value('code').toUpperCase();
+                if (this.editingCode === 'new' && this.registry.getPolicies()[code]) {
+                    throw new Error(`A policy for ${code} already exists - edit it instead`);
+                }
+                this.registry.setPolicy(code, policy);
+            }
+        } catch (error) {
+            // Keep the form and what was typed, and show the error
+            let errorElement = form.querySelector('.policy-form-error');
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'policy-form-error';
+                form.querySelector('h4').insertAdjacentElement('afterend', errorElement);
+            }
+            errorElement.textContent = error.message;
+            return;
+        }
+        
+        this.editingCode = null;
+        this.render();
+        this.showNotification(`Saved policy for ${policy.name}`, 'success');
+    }
+
+    /**
+     * Delete a country policy after confirmation
+     * @param {string} code - ISO2 code
+     */
+    deletePolicy(code) {
+        const policy = this.registry.getPolicies()[code];
+        if (!policy) return;
+        if (!confirm(`Delete the policy for ${policy.name}? Employees there will use the fallback policy.`)) return;
+        
+        if (this.editingCode === code) {
+            this.editingCode = null;
+        }
+        this.registry.removePolicy(code);
+    }
+
+    /**
+     * Download the policies as a JSON file
+     */
+    exportPolicies() {
+        const blob = new Blob([this.registry.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `country-raise-policies-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Format a rate as a percentage
+     * @param {number} rate - Rate as a fraction
+     * @returns {string} Formatted percentage
+     */
+    formatRate(rate) {
+        return `${(rate * 100).toFixed(1)}%`;
+    }
+
+    /**
+     * Convert a rate to a percentage input value
+     * @param {number} rate - Rate as a fraction
+     * @returns {string} Input value
+     */
+    toPercentInput(rate) {
+        return rate === '' || rate === null || rate === undefined ? '' : String(Math.round(rate * 1000) / 10);
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show notification
+     * @param {string} message - Message
+     * @param {string} type - Notification type
+     */
+    showNotification(message, type = 'info') {
+        if (window.TeamAnalyzer && window.TeamAnalyzer.showNotification) {
+            window.TeamAnalyzer.showNotification(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    /**
+     * Destroy the editor
+     */
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.CountryPolicyEditor = CountryPolicyEditor;
@@ -25,20 +25,29 @@ class DataTable {
         this.sortColumn = null;
         this.sortDirection = 'asc';
         this.virtualScroll = null;
+        this.compensationView = options.compensationView || 'base'; // base, bonus or ote
+        this.salaryBasis = options.salaryBasis || 'fte'; // fte (annualized) or actual
         
         // Callbacks
         this.onRowSelect = options.onRowSelect || (() => {});
         this.onRowEdit = options.onRowEdit || (() => {});
         this.onRowMerge = options.onRowMerge || (() => {});
+        // Deletes employees from the data set; without it, deleting only hides rows from the table
+        this.onRowsDelete = options.onRowsDelete || null;
+        // Merging selected rows and splitting merged records are only offered when handled
+        this.onRowsMerge = options.onRowsMerge || null;
+        this.onRowUnmerge = options.onRowUnmerge || null;
         this.onSort = options.onSort || (() => {});
         
-        // Column definitions - ordered as requested: Name, Job title, Salary, Comparatio, Performance, Country
+        // Column definitions - ordered as requested: Name, Job title, Salary, Comparatio, Range Position, Performance, Country
+        // editFields are the employee change log fields shown in a column, for marking edited cells
         this.columns = [
             {
                 key: 'name',
                 title: 'Name',
                 sortable: true,
                 className: 'col-name',
+                editFields: ['name'],
                 render: this.renderNameCell.bind(this)
             },
             {
@@ -46,6 +55,7 @@ class DataTable {
                 title: 'Job Title',
                 sortable: true,
                 className: 'col-title',
+                editFields: ['title'],
                 render: this.renderTitleCell.bind(this)
             },
             {
@@ -53,6 +63,7 @@ class DataTable {
                 title: 'Salary',
                 sortable: true,
                 className: 'col-salary',
+                editFields: ['salary.amount', 'salary.currency', 'fte'],
                 render: this.renderSalaryCell.bind(this)
             },
             {
@@ -60,13 +71,22 @@ class DataTable {
                 title: 'Comparatio',
                 sortable: true,
                 className: 'col-comparatio',
+                editFields: ['comparatio'],
                 render: this.renderComparatioCell.bind(this)
             },
+            {
+                key: 'rangePosition',
+                title: 'Range Position',
+                sortable: true,
+                className: 'col-range',
+                render: this.renderRangePositionCell.bind(this)
+            },
             {
                 key: 'performanceRating',
                 title: 'Performance',
                 sortable: true,
                 className: 'col-performance',
+                editFields: ['performanceRating'],
                 render: this.renderPerformanceCell.bind(this)
             },
             {
@@ -74,6 +94,7 @@ class DataTable {
                 title: 'Country',
                 sortable: true,
                 className: 'col-country',
+                editFields: ['country'],
                 render: this.renderCountryCell.bind(this)
             }
         ];
@@ -106,6 +127,24 @@ class DataTable {
         this.container.innerHTML = '';
         this.container.className = 'data-table-container';
         
+        // Create toolbar with the compensation view switch
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'data-table-toolbar';
+        this.toolbar.innerHTML = `
+            ${this.onRowsMerge ? `
+                <button type="button" class="data-table-merge-selected" disabled
+                    title="Select two or more rows to merge them into one record">🔗 Merge selected</button>
+            ` : ''}
+            <label class="data-table-view-switch">
+                Pay shown
+                <select class="data-table-compensation-view" aria-label="Compensation shown in the salary column">
+                    ${Object.values(COMPENSATION_VIEWS).map(view => `
+                        <option value="${view.key}" ${view.key === this.compensationView ? 'selected' : ''}>${view.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+        
         // Create header
         this.header = document.createElement('div');
         this.header.className = 'data-table-header';
@@ -132,6 +171,7 @@ class DataTable {
         `;
         
         // Assemble table
+        this.container.appendChild(this.toolbar);
         this.container.appendChild(this.header);
         this.container.appendChild(this.bodyContainer);
         this.container.appendChild(this.infoBar);
@@ -205,6 +245,69 @@ class DataTable {
         // Row selection
         this.bodyContainer.addEventListener('click', this.handleRowClick.bind(this));
         this.bodyContainer.addEventListener('keydown', this.handleRowKeydown.bind(this));
+        
+        // Merge selected rows
+        this.toolbar.addEventListener('click', event => {
+            if (event.target.closest('.data-table-merge-selected') && this.selectedRows.size >= 2) {
+                this.onRowsMerge(this.getSelectedEmployees());
+            }
+        });
+        
+        // Compensation view switch
+        this.toolbar.addEventListener('change', event => {
+            if (event.target.classList.contains('data-table-compensation-view')) {
+                this.setCompensationView(event.target.value);
+            }
+        });
+    }
+
+    /**
+     * Switch the salary column between base salary, target bonus and OTE
+     * @param {string} view - Compensation view key
+     */
+    setCompensationView(view) {
+        if (!COMPENSATION_VIEWS[view]) return;
+        
+        this.compensationView = view;
+        const select = this.toolbar.querySelector('.data-table-compensation-view');
+        if (select) select.value = view;
+        
+        const salaryColumn = this.columns.find(column => column.key === 'salary');
+        salaryColumn.title = view === 'base' ? 'Salary' : COMPENSATION_VIEWS[view].label;
+        this.createHeader();
+        
+        if (this.sortColumn === 'salary') {
+            this.applySorting();
+        } else {
+            this.virtualScroll.updateData(this.filteredData);
+        }
+    }
+
+    /**
+     * Show part-time salaries annualized to full time ('fte') or at actual cost ('actual')
+     * @param {string} basis - Salary basis key
+     */
+    setSalaryBasis(basis) {
+        if (!SALARY_BASES[basis] || basis === this.salaryBasis) return;
+        
+        this.salaryBasis = basis;
+        if (this.sortColumn === 'salary') {
+            this.applySorting();
+        } else {
+            this.virtualScroll.updateData(this.filteredData);
+        }
+    }
+
+    /**
+     * Get the salary column amount for the current compensation view and salary basis
+     * @param {Object} employee - Employee data
+     * @returns {number} Amount in the employee's currency
+     */
+    getSalaryAmount(employee) {
+        if (this.compensationView === 'base') {
+            return prorateAmount(employee.salary?.amount || 0, employee, this.salaryBasis);
+        }
+        return getCompensationAmount(employee, this.compensationView, this.salaryBasis);
     }
 
     /**
@@ -273,6 +376,9 @@ class DataTable {
             case 'merge':
                 this.onRowMerge(employee, index);
                 break;
+            case 'unmerge':
+                this.onRowUnmerge(employee, index);
+                break;
             case 'delete':
                 this.deleteRow(index);
                 break;
@@ -445,6 +551,7 @@ class DataTable {
                 try {
                     const cell = column.render(employee, index);
                     if (cell) {
+                        this.markEditedCell(cell, employee, column);
                         row.appendChild(cell);
                         console.log('✅ Column', column.key, 'rendered successfully');
                     } else {
@@ -465,6 +572,27 @@ class DataTable {
         return row;
     }
 
+    /**
+     * Mark a cell whose fields were edited, with the edits in its tooltip
+     * @param {HTMLElement} cell - Cell element
+     * @param {Object} employee - Employee data
+     * @param {Object} column - Column definition
+     */
+    markEditedCell(cell, employee, column) {
+        if (!column.editFields || !employee.changeLog || employee.changeLog.length === 0) return;
+        
+        const edits = employee.changeLog.filter(entry => column.editFields.includes(entry.field));
+        if (edits.length === 0) return;
+        
+        const format = value => value === null || value === undefined ? '—' : String(value);
+        const details = edits.map(entry =>
+            `${entry.label}: ${format(entry.oldValue)} → ${format(entry.newValue)} (${new Date(entry.changedAt).toLocaleDateString()})`
+        );
+        
+        cell.classList.add('cell-edited');
+        cell.title = [cell.title, 'Edited:', ...details].filter(Boolean).join('\n');
+    }
+
     /**
      * Render name cell
      * @param {Object} employee - Employee data
@@ -512,8 +640,17 @@ class DataTable {
         const cell = document.createElement('div');
         cell.className = 'data-table-cell cell-salary col-salary';
         
-        if (employee.salary) {
-            cell.textContent = employee.salary.formatted || `${employee.salary.amount}`;
+        const fte = getFte(employee);
+        
+        if (employee.salary && this.compensationView !== 'base') {
+            const compensation = getTotalCompensation(employee);
+            cell.textContent = this.formatAmount(this.getSalaryAmount(employee), compensation.currency);
+            cell.title = `Base ${this.formatAmount(compensation.basePay, compensation.currency)} · ` +
+                `Variable ${(getVariableRate(employee) * 100).toFixed(1)}% of base`;
+        } else if (employee.salary) {
+            cell.textContent = fte !== 1 && this.salaryBasis === 'fte'
+                ? this.formatAmount(this.getSalaryAmount(employee), employee.salary.currency)
+                : employee.salary.formatted || `${employee.salary.amount}`;
             
             // Add multi-currency indicator if needed
             if (window.AppState?.currencyAnalysis?.statistics?.uniqueCurrencies > 1) {
@@ -523,6 +660,20 @@ class DataTable {
             cell.textContent = 'N/A';
         }
         
+        // Flag part-time employees and show the other basis on hover
+        if (employee.salary && fte !== 1) {
+            const badge = document.createElement('span');
+            badge.className = 'fte-badge';
+            badge.textContent = `${fte.toFixed(2).replace(/\.?0+$/, '')} FTE`;
+            cell.appendChild(badge);
+            
+            const actual = this.compensationView === 'base'
+                ? employee.salary.amount
+                : getCompensationAmount(employee, this.compensationView, 'actual');
+            cell.title = [cell.title, `Actual cost ${this.formatAmount(actual, employee.salary.currency)} at ${Math.round(fte * 100)}% FTE`]
+                .filter(Boolean).join('\n');
+        }
+        
         return cell;
     }
 
@@ -557,6 +708,13 @@ class DataTable {
                 cell.classList.add('critical'); // Significantly below midpoint (<80%)
                 cell.title = 'Significantly below midpoint - requires attention';
             }
+            
+            // Flag rows where the supplied comparatio disagrees with salary ÷ midpoint
+            if (employee.comparatioMismatch) {
+                cell.classList.add('mismatch');
+                cell.textContent += ' ⚠';
+                cell.title = `Supplied comparatio ${(employee.comparatioMismatch.supplied * 100).toFixed(0)}% does not match salary ÷ midpoint (${(employee.comparatioMismatch.calculated * 100).toFixed(0)}%)`;
+            }
         } else {
             cell.textContent = 'N/A';
             cell.title = 'Comparatio data not available';
@@ -565,6 +723,68 @@ class DataTable {
         return cell;
     }
 
+    /**
+     * Render range position cell (penetration into the pay grade range)
+     * @param {Object} employee - Employee data
+     * @returns {HTMLElement} Cell element
+     */
+    renderRangePositionCell(employee) {
+        const cell = document.createElement('div');
+        cell.className = 'data-table-cell cell-range col-range';
+        
+        const position = employee.rangePosition;
+        if (!position || !employee.payRange) {
+            cell.textContent = 'N/A';
+            cell.title = 'Pay range data not available';
+            return cell;
+        }
+        
+        const currency = employee.payRange.currency;
+        cell.textContent = `${(position.penetration * 100).toFixed(0)}%`;
+        
+        if (position.belowMin) {
+            cell.classList.add('below-min');
+            cell.textContent += ' ↓';
+        } else if (position.aboveMax) {
+            cell.classList.add('above-max');
+            cell.textContent += ' ↑';
+        }
+        
+        const details = [
+            `Range: ${this.formatAmount(employee.payRange.min, currency)} – ${this.formatAmount(employee.payRange.max, currency)}`,
+            position.belowMin
+                ? `Raise needed to reach min: ${this.formatAmount(position.distanceToMin, currency)}`
+                : `Above min by ${this.formatAmount(-position.distanceToMin, currency)}`,
+            position.distanceToMid > 0
+                ? `To midpoint: ${this.formatAmount(position.distanceToMid, currency)}`
+                : `Above midpoint by ${this.formatAmount(-position.distanceToMid, currency)}`,
+            position.aboveMax
+                ? `Above max by ${this.formatAmount(-position.distanceToMax, currency)}`
+                : `Headroom to max: ${this.formatAmount(position.distanceToMax, currency)}`
+        ];
+        cell.title = details.join('\n');
+        
+        return cell;
+    }
+
+    /**
+     * Format an amount in local currency for cell details
+     * @param {number} amount - Amount to format
+     * @param {string} currency - Currency code
+     * @returns {string} Formatted amount
+     */
+    formatAmount(amount, currency = 'USD') {
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency,
+                maximumFractionDigits: 0
+            }).format(amount);
+        } catch (error) {
+            return `${Math.round(amount).toLocaleString()} ${currency}`;
+        }
+    }
+
     /**
      * Render performance cell
      * @param {Object} employee - Employee data
@@ -650,6 +870,16 @@ class DataTable {
             cell.appendChild(mergeBtn);
         }
         
+        // Split button (if merged)
+        if (employee.isMerged && this.onRowUnmerge) {
+            const unmergeBtn = document.createElement('button');
+            unmergeBtn.className = 'action-btn unmerge';
+            unmergeBtn.setAttribute('data-action', 'unmerge');
+            unmergeBtn.setAttribute('title', `Split back into the ${(employee.mergedFrom || []).length || 'original'} merged records`);
+            unmergeBtn.textContent = '✂️';
+            cell.appendChild(unmergeBtn);
+        }
+        
         return cell;
     }
 
@@ -724,9 +954,11 @@ class DataTable {
             case 'country':
                 return employee.country?.toLowerCase();
             case 'salary':
-                return employee.salary?.amount || 0;
+                return this.getSalaryAmount(employee);
             case 'comparatio':
                 return employee.comparatio || 0;
+            case 'rangePosition':
+                return employee.rangePosition ? employee.rangePosition.penetration : null;
             case 'performanceRating':
                 return employee.performanceRating?.numeric || 0;
             case 'futureTalent':
@@ -854,6 +1086,13 @@ class DataTable {
         const selectedIndices = Array.from(this.selectedRows).sort((a, b) => b - a);
         const selectedEmployees = selectedIndices.map(index => this.filteredData[index]);
         
+        // Deletion can be undone, so it doesn't need confirming
+        if (this.onRowsDelete) {
+            this.clearSelection();
+            this.onRowsDelete(selectedEmployees.reverse());
+            return;
+        }
+        
         // Confirm deletion
         const confirmMessage = selectedIndices.length === 1 
             ? `Delete ${selectedEmployees[0].name}?`
@@ -936,6 +1175,12 @@ class DataTable {
             <div class="data-table-count">${countText}</div>
             <div class="data-table-scroll-info">${scrollText}</div>
         `;
+        
+        const mergeButton = this.toolbar && this.toolbar.querySelector('.data-table-merge-selected');
+        if (mergeButton) {
+            mergeButton.disabled = selectedCount < 2;
+            mergeButton.textContent = selectedCount >= 2 ? `🔗 Merge ${selectedCount} selected` : '🔗 Merge selected';
+        }
     }
 
     /**
@@ -2,7 +2,9 @@
  * DuplicateMerger Component
  * 
  * Provides interface for reviewing and merging duplicate employee records
- * with conflict resolution and data validation.
+ * with conflict resolution and data validation. Groups come from duplicate
+ * detection ({ employees, confidence }) or from rows picked in the table
+ * ({ employees, manual: true }).
  */
 
 class DuplicateMerger {
@@ -207,19 +209,29 @@ class DuplicateMerger {
     renderComparison() {
         if (!this.currentGroup) return;
         
-        const { employees, similarity } = this.currentGroup;
+        const { employees } = this.currentGroup;
+        // Detected groups carry the detector's confidence; manually picked rows have no score
+        const similarity = this.currentGroup.similarity !== undefined ? this.currentGroup.similarity : this.currentGroup.confidence;
         
         // Update similarity score
         if (this.options.showSimilarityScore) {
-            this.similarityScore.textContent = `${Math.round(similarity * 100)}%`;
-            this.similarityScore.className = `score-value ${this.getSimilarityClass(similarity)}`;
+            if (typeof similarity === 'number') {
+                this.similarityScore.textContent = `${Math.round(similarity * 100)}%`;
+                this.similarityScore.className = `score-value ${this.getSimilarityClass(similarity)}`;
+            } else {
+                this.similarityScore.textContent = 'Manual selection';
+                this.similarityScore.className = 'score-value';
+            }
         }
         
         // Clear previous comparison
         this.comparisonGrid.innerHTML = '';
         
         // Create field comparison rows
+        // The record chosen for the employee number is the primary record: the merged
+        // record keeps its id, so its raises and approvals stay linked
         const fields = [
+            { key: 'employeeNumber', label: 'Employee Number (kept as ID)', type: 'text' },
             { key: 'name', label: 'Full Name', type: 'text' },
             { key: 'title', label: 'Job Title', type: 'text' },
             { key: 'country', label: 'Country', type: 'text' },
@@ -262,10 +274,11 @@ class DuplicateMerger {
             const option = document.createElement('label');
             option.className = 'value-option';
             
+            // The value is the index of the first record holding it, so the whole field is copied from that record
             const radio = document.createElement('input');
             radio.type = 'radio';
             radio.name = `field-${field.key}`;
-            radio.value = JSON.stringify(valueInfo.value);
+            radio.value = String(valueInfo.recordIndex);
             radio.checked = index === 0; // Select first option by default
             
             const valueDisplay = document.createElement('span');
@@ -303,6 +316,7 @@ class DuplicateMerger {
             if (!valueMap.has(valueKey)) {
                 valueMap.set(valueKey, {
                     value: value,
+                    recordIndex: index,
                     sources: []
                 });
             }
@@ -322,7 +336,7 @@ class DuplicateMerger {
     getFieldValue(employee, fieldKey) {
         switch (fieldKey) {
             case 'salary':
-                return employee.salary?.amount || null;
+                return employee.salary ? { amount: employee.salary.amount, currency: employee.salary.currency } : null;
             case 'performanceRating':
                 return employee.performanceRating?.text || null;
             default:
@@ -343,18 +357,31 @@ class DuplicateMerger {
         
         switch (type) {
             case 'currency':
-                return typeof value === 'number' ? `$${value.toLocaleString()}` : value;
+                return typeof value.amount === 'number'
+                    ? `${this.escapeHtml(value.currency || '')} ${value.amount.toLocaleString()}`
+                    : '<em>Not specified</em>';
             case 'number':
                 return typeof value === 'number' ? value.toFixed(2) : value;
             case 'boolean':
                 return value ? '✓ Yes' : '✗ No';
             case 'rating':
-                return value;
+                return this.escapeHtml(value);
             default:
-                return String(value);
+                return this.escapeHtml(String(value));
         }
     }
 
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Get similarity class for styling
      * @param {number} similarity - Similarity score (0-1)
@@ -379,7 +406,7 @@ class DuplicateMerger {
     mergeGroup() {
         if (!this.currentGroup) return;
         
-        const mergedRecord = this.collectMergedValues();
+        const { selections, primaryIndex } = this.collectSelections();
         
         if (this.options.requireConfirmation) {
             const confirmMessage = `Merge ${this.currentGroup.employees.length} duplicate records into one?`;
@@ -389,7 +416,8 @@ class DuplicateMerger {
         // Store merge decision
         this.mergeDecisions.set(this.currentGroupIndex, {
             action: 'merge',
-            mergedRecord: mergedRecord,
+            selections,
+            primaryIndex,
             originalRecords: this.currentGroup.employees
         });
         
@@ -417,39 +445,25 @@ class DuplicateMerger {
     }
 
     /**
-     * Collect merged values from form
-     * @returns {Object} Merged employee record
+     * Collect which record each field's value is taken from
+     * @returns {Object} { selections: field -> record index, primaryIndex: record providing the id }
      */
-    collectMergedValues() {
-        const mergedRecord = {};
+    collectSelections() {
+        const selections = {};
         
         this.comparisonGrid.querySelectorAll('.comparison-row').forEach(row => {
             const fieldKey = row.getAttribute('data-field');
             const selectedRadio = row.querySelector('input[type="radio"]:checked');
             
             if (selectedRadio) {
-                const value = JSON.parse(selectedRadio.value);
-                
-                // Handle special field types
-                switch (fieldKey) {
-                    case 'salary':
-                        mergedRecord.salary = { amount: value };
-                        break;
-                    case 'performanceRating':
-                        mergedRecord.performanceRating = { text: value };
-                        break;
-                    default:
-                        mergedRecord[fieldKey] = value;
-                }
+                selections[fieldKey] = parseInt(selectedRadio.value, 10);
             }
         });
         
-        // Add metadata
-        mergedRecord.id = `merged_${Date.now()}`;
-        mergedRecord.isMerged = true;
-        mergedRecord.mergedFrom = this.currentGroup.employees.map(emp => emp.id || emp.name);
+        const primaryIndex = selections.employeeNumber !== undefined ? selections.employeeNumber : 0;
+        delete selections.employeeNumber;
         
-        return mergedRecord;
+        return { selections, primaryIndex };
     }
 
     /**
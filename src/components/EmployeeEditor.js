@@ -0,0 +1,466 @@
+/**
+ * EmployeeEditor Component
+ *
+ * Side drawer for correcting an employee's data after upload. Every change is
+ * checked against DataIntegrityChecker's field rules as it is typed (errors
+ * block saving, warnings don't), derived fields such as time in role and risk
+ * indicators are recalculated on save, and each changed field is added to the
+ * employee's change log with its old and new value.
+ *
+ * Change log entries (employee.changeLog):
+ *   { field: 'salary.amount', label: 'Salary', oldValue: 95000, newValue: 99000, changedAt: ISO string }
+ */
+
+// Editable fields. group is where validation issues are shown; rules are the
+// DataIntegrityChecker fields checked for the field.
+const EMPLOYEE_EDIT_FIELDS = [
+    { key: 'name', label: 'Name', type: 'text', group: 'name', rules: ['name'] },
+    { key: 'title', label: 'Job title', type: 'text', group: 'title', rules: ['title'] },
+    { key: 'country', label: 'Country', type: 'text', group: 'country', rules: ['country'] },
+    { key: 'salary.amount', label: 'Salary', type: 'number', step: 'any', group: 'salary', rules: ['salary'] },
+    { key: 'salary.currency', label: 'Currency', type: 'currency', group: 'salary', rules: ['salary'] },
+    { key: 'fte', label: 'FTE', type: 'number', step: '0.05', group: 'fte', rules: ['fte'] },
+    { key: 'performanceRating', label: 'Performance rating', type: 'rating', group: 'performanceRating', rules: ['performanceRating'] },
+    { key: 'comparatio', label: 'Comparatio', type: 'number', step: '0.01', group: 'comparatio', rules: ['comparatio'] },
+    { key: 'latestHireDate', label: 'Latest hire date', type: 'date', group: 'latestHireDate', rules: ['latestHireDate', 'timeInRole'] },
+    { key: 'lastSalaryChangeDate', label: 'Last salary change', type: 'date', group: 'lastSalaryChangeDate', rules: ['lastSalaryChangeDate', 'timeSinceRaise'] },
+    { key: 'futureTalent', label: 'Future talent', type: 'checkbox', group: 'futureTalent', rules: [] }
+];
+
+// Issue severities that block saving
+const BLOCKING_SEVERITIES = ['critical', 'high'];
+
+class EmployeeEditor {
+    /**
+     * @param {HTMLElement} container - Element the drawer is rendered into
+     * @param {Object} options - {
+     *     integrityChecker: DataIntegrityChecker, parser: CSVParser (rating texts and derived fields),
+     *     getEmployees: () => all employees, onSave: (employee, changes) => void,
+     *     recordEdit: (label, employee, edit) => wraps applying the edit, e.g. to add it to the undo history
+     * }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.integrityChecker = options.integrityChecker;
+        this.parser = options.parser;
+        this.getEmployees = options.getEmployees || (() => []);
+        this.onSave = options.onSave || (() => {});
+        this.recordEdit = options.recordEdit || ((label, employee, edit) => edit());
+
+        // State
+        this.employee = null;
+        this.issues = [];
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.init();
+    }
+
+    /**
+     * Initialize the editor
+     */
+    init() {
+        this.container.addEventListener('click', this.handleClick.bind(this));
+        this.container.addEventListener('input', () => this.validate());
+        this.container.addEventListener('change', () => this.validate());
+    }
+
+    /**
+     * Open the drawer for an employee
+     * @param {Object} employee - Employee to edit (changed in place on save)
+     */
+    open(employee) {
+        this.employee = employee;
+        this.render();
+        this.validate();
+        document.addEventListener('keydown', this.handleKeydown);
+
+        const firstInput = this.container.querySelector('.edit-drawer-form input');
+        if (firstInput) firstInput.focus();
+    }
+
+    /**
+     * Close the drawer without saving
+     */
+    close() {
+        this.employee = null;
+        this.issues = [];
+        this.container.innerHTML = '';
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Whether the drawer is open
+     */
+    isOpen() {
+        return this.employee !== null;
+    }
+
+    /**
+     * Render the drawer
+     */
+    render() {
+        const employee = this.employee;
+        const changeLog = employee.changeLog || [];
+
+        this.container.innerHTML = `
+            <div class="edit-drawer-overlay" data-action="close"></div>
+            <aside class="edit-drawer" role="dialog" aria-modal="true" aria-labelledby="edit-drawer-title">
+                <div class="edit-drawer-header">
+                    <div>
+                        <h3 id="edit-drawer-title">Edit ${this.escapeHtml(employee.name || 'employee')}</h3>
+                        <p>${this.escapeHtml([employee.employeeNumber, employee.title].filter(Boolean).join(' · '))}</p>
+                    </div>
+                    <button type="button" class="modal-close" data-action="close" aria-label="Close">×</button>
+                </div>
+
+                <form class="edit-drawer-form" onsubmit="return false;">
+                    ${this.renderFields()}
+                </form>
+
+                <div class="edit-drawer-history">
+                    <h4>Change log</h4>
+                    ${changeLog.length === 0 ? '<p class="edit-history-empty">No edits yet.</p>' : `
+                        <ul>
+                            ${changeLog.slice().reverse().map(entry => `
+                                <li>
+                                    <span class="edit-history-field">${this.escapeHtml(entry.label)}</span>
+                                    <span class="edit-history-values">${this.escapeHtml(this.formatLogValue(entry.oldValue))} → ${this.escapeHtml(this.formatLogValue(entry.newValue))}</span>
+                                    <span class="edit-history-date">${this.escapeHtml(new Date(entry.changedAt).toLocaleString())}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    `}
+                </div>
+
+                <div class="edit-drawer-footer">
+                    <span class="edit-drawer-status"></span>
+                    <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-action="save">Save changes</button>
+                </div>
+            </aside>
+        `;
+    }
+
+    /**
+     * Render the form fields, grouped by where their issues are shown
+     * @returns {string} HTML string
+     */
+    renderFields() {
+        const groups = [];
+        EMPLOYEE_EDIT_FIELDS.forEach(field => {
+            const group = groups.find(existing => existing.name === field.group);
+            if (group) {
+                group.fields.push(field);
+            } else {
+                groups.push({ name: field.group, fields: [field] });
+            }
+        });
+
+        return groups.map(group => `
+            <div class="edit-field" data-group="${group.name}">
+                <div class="edit-field-inputs">
+                    ${group.fields.map(field => `
+                        <label>${this.escapeHtml(field.label)}
+                            ${this.renderInput(field, this.getValue(this.employee, field.key))}
+                        </label>
+                    `).join('')}
+                </div>
+                <ul class="edit-field-issues"></ul>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the input for a field
+     * @returns {string} HTML string
+     */
+    renderInput(field, value) {
+        const name = `name="${field.key}"`;
+
+        switch (field.type) {
+            case 'checkbox':
+                return `<input type="checkbox" ${name} ${value ? 'checked' : ''}>`;
+            case 'date':
+                return `<input type="date" ${name} value="${this.toDateInput(value)}">`;
+            case 'number':
+                return `<input type="number" ${name} step="${field.step}" value="${value === null || value === undefined ? '' : value}">`;
+            case 'rating': {
+                const current = value ? value.text : '';
+                const texts = [5, 4, 3, 2, 1].map(rating => this.parser.getPerformanceText(rating));
+                if (current && !texts.includes(current)) texts.unshift(current);
+                return `
+                    <select ${name}>
+                        <option value="">Not rated</option>
+                        ${texts.map(text => `<option value="${this.escapeHtml(text)}" ${text === current ? 'selected' : ''}>${this.escapeHtml(text)}</option>`).join('')}
+                    </select>
+                `;
+            }
+            case 'currency': {
+                const codes = window.ISO_4217_CURRENCIES ? Object.keys(window.ISO_4217_CURRENCIES) : [];
+                if (value && !codes.includes(value)) codes.unshift(value);
+                return codes.length === 0
+                    ? `<input type="text" ${name} maxlength="3" value="${this.escapeHtml(value || '')}">`
+                    : `<select ${name}>${codes.map(code => `<option value="${code}" ${code === value ? 'selected' : ''}>${code}</option>`).join('')}</select>`;
+            }
+            default:
+                return `<input type="text" ${name} value="${this.escapeHtml(value || '')}">`;
+        }
+    }
+
+    /**
+     * Read the form into field values
+     * @returns {Object} Values keyed by field key
+     */
+    readForm() {
+        const form = this.container.querySelector('.edit-drawer-form');
+        const values = {};
+
+        EMPLOYEE_EDIT_FIELDS.forEach(field => {
+            const input = form.elements[field.key];
+            switch (field.type) {
+                case 'checkbox':
+                    values[field.key] = input.checked;
+                    break;
+                case 'date':
+                    values[field.key] = this.fromDateInput(input.value);
+                    break;
+                case 'number':
+                    values[field.key] = input.value === '' ? null : parseFloat(input.value);
+                    break;
+                case 'rating':
+                    values[field.key] = input.value ? this.parser.parsePerformanceRating(input.value) : null;
+                    break;
+                case 'currency':
+                    values[field.key] = input.value.trim().toUpperCase();
+                    break;
+                default:
+                    values[field.key] = input.value.trim();
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Fields whose value differs from the employee's
+     * @param {Object} values - Form values
+     * @returns {Array} Changes { field, oldValue, newValue } (the field definition, raw values)
+     */
+    getChanges(values) {
+        return EMPLOYEE_EDIT_FIELDS
+            .map(field => ({ field, oldValue: this.getValue(this.employee, field.key), newValue: values[field.key] }))
+            .filter(change => this.toLogValue(change.field, change.oldValue) !== this.toLogValue(change.field, change.newValue));
+    }
+
+    /**
+     * Copy of the employee with the form values applied and derived fields recalculated
+     * @param {Array} changes - Changes from getChanges
+     * @returns {Object} Candidate employee
+     */
+    buildCandidate(changes) {
+        const candidate = {
+            ...this.employee,
+            salary: { ...this.employee.salary },
+            rangePosition: this.employee.rangePosition ? { ...this.employee.rangePosition } : this.employee.rangePosition
+        };
+        this.applyChanges(candidate, changes);
+        return candidate;
+    }
+
+    /**
+     * Apply changes to an employee and recalculate its derived fields
+     */
+    applyChanges(employee, changes) {
+        const changedKeys = changes.map(change => change.field.key);
+        const previousSalaryAmount = employee.salary ? employee.salary.amount : null;
+
+        changes.forEach(change => this.setValue(employee, change.field.key, change.newValue));
+
+        this.parser.recalculateDerivedFields(employee, {
+            previousSalaryAmount,
+            // A new salary or FTE moves comparatio unless it was corrected by hand too
+            syncComparatio: (changedKeys.includes('salary.amount') || changedKeys.includes('fte')) && !changedKeys.includes('comparatio')
+        });
+    }
+
+    /**
+     * Validate the form and show issues under each field
+     * @returns {Array} Issues
+     */
+    validate() {
+        if (!this.employee) return [];
+
+        const changes = this.getChanges(this.readForm());
+        const candidate = this.buildCandidate(changes);
+        const ruleFields = [...new Set(EMPLOYEE_EDIT_FIELDS.flatMap(field => field.rules))];
+        const employees = this.getEmployees().filter(employee => employee !== this.employee);
+
+        this.issues = this.integrityChecker.validateEmployeeFields(candidate, [...employees, candidate], ruleFields);
+
+        this.container.querySelectorAll('.edit-field').forEach(fieldElement => {
+            const group = fieldElement.dataset.group;
+            const fields = EMPLOYEE_EDIT_FIELDS.filter(field => field.group === group);
+            const issues = this.issues.filter(issue => fields.some(field => field.rules.includes(issue.field)));
+            const list = fieldElement.querySelector('.edit-field-issues');
+
+            list.innerHTML = issues.map(issue => `
+                <li class="${this.isBlocking(issue) ? 'edit-issue-error' : 'edit-issue-warning'}">${this.escapeHtml(issue.message)}</li>
+            `).join('');
+            fieldElement.classList.toggle('has-error', issues.some(issue => this.isBlocking(issue)));
+            fieldElement.classList.toggle('changed', changes.some(change => change.field.group === group));
+        });
+
+        const errors = this.issues.filter(issue => this.isBlocking(issue)).length;
+        const status = this.container.querySelector('.edit-drawer-status');
+        status.textContent = errors > 0
+            ? `Fix ${errors} error${errors === 1 ? '' : 's'} to save`
+            : `${changes.length} field${changes.length === 1 ? '' : 's'} changed`;
+        this.container.querySelector('[data-action="save"]').disabled = errors > 0 || changes.length === 0;
+
+        return this.issues;
+    }
+
+    /**
+     * Save the changes to the employee and record them in its change log
+     */
+    save() {
+        const issues = this.validate();
+        if (issues.some(issue => this.isBlocking(issue))) return;
+
+        const changes = this.getChanges(this.readForm());
+        if (changes.length === 0) {
+            this.close();
+            return;
+        }
+
+        const employee = this.employee;
+        const changedAt = new Date().toISOString();
+        const entries = changes.map(change => ({
+            field: change.field.key,
+            label: change.field.label,
+            oldValue: this.toLogValue(change.field, change.oldValue),
+            newValue: this.toLogValue(change.field, change.newValue),
+            changedAt
+        }));
+
+        this.recordEdit(`Edit ${employee.name}: ${entries.map(entry => entry.label).join(', ')}`, employee, () => {
+            this.applyChanges(employee, changes);
+            employee.changeLog = [...(employee.changeLog || []), ...entries];
+        });
+
+        this.close();
+        this.onSave(employee, entries);
+    }
+
+    /**
+     * Handle clicks in the drawer
+     */
+    handleClick(event) {
+        const target = event.target.closest('[data-action]');
+        if (!target) return;
+
+        if (target.dataset.action === 'close') {
+            this.close();
+        } else if (target.dataset.action === 'save') {
+            this.save();
+        }
+    }
+
+    /**
+     * Close on Escape
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    /**
+     * Whether an issue blocks saving
+     */
+    isBlocking(issue) {
+        return BLOCKING_SEVERITIES.includes(issue.severity);
+    }
+
+    /**
+     * Read a (dotted) field from an employee
+     */
+    getValue(employee, key) {
+        return key.split('.').reduce((value, part) => value === null || value === undefined ? value : value[part], employee);
+    }
+
+    /**
+     * Write a (dotted) field on an employee
+     */
+    setValue(employee, key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        const target = parts.reduce((object, part) => {
+            if (!object[part]) object[part] = {};
+            return object[part];
+        }, employee);
+        target[last] = value;
+    }
+
+    /**
+     * Plain value recorded in the change log and used to detect changes
+     */
+    toLogValue(field, value) {
+        if (field.type === 'checkbox') return !!value;
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (field.type) {
+            case 'date':
+                return this.toDateInput(value) || null;
+            case 'rating':
+                return value.text || null;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Display a change log value
+     */
+    formatLogValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        if (typeof value === 'number') return value.toLocaleString();
+        return String(value);
+    }
+
+    /**
+     * Format a date (or date string) for a date input, in local time
+     * @returns {string} YYYY-MM-DD, or '' when there is no valid date
+     */
+    toDateInput(value) {
+        if (!value) return '';
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Parse a date input value as a local date
+     * @returns {Date|null} Date
+     */
+    fromDateInput(value) {
+        if (!value) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.EmployeeEditor = EmployeeEditor;
@@ -381,11 +381,17 @@ class ExportInterface {
         const employees = this.dataManager.getEmployees();
         const raiseRecommendations = this.dataManager.getRaiseRecommendations();
         const budgetAnalysis = this.dataManager.getBudgetAnalysis();
+        const rateInfo = this.dataManager.getRateInfo ? this.dataManager.getRateInfo() : null;
+        const approvals = this.dataManager.getApprovals ? this.dataManager.getApprovals() : [];
+        const charts = this.dataManager.getCharts ? this.dataManager.getCharts() : [];
         
         return {
             employees,
             raiseRecommendations,
             budgetAnalysis,
+            approvals,
+            charts,
+            rateInfo,
             metadata: {
                 exportDate: new Date().toISOString(),
                 totalEmployees: employees.length,
@@ -1,8 +1,11 @@
 /**
  * FileUpload Component
  * 
- * Handles CSV file upload with drag-and-drop functionality,
- * progress indication, and file validation.
+ * Handles CSV and Excel (.xlsx, .xls) file upload with drag-and-drop
+ * functionality, progress indication, sheet selection and file validation.
+ * Files are parsed in a Web Worker (falling back to the main thread) with
+ * real byte-level progress. Files whose headers don't match the expected
+ * columns go through the ColumnMappingWizard first.
  */
 
 class FileUpload {
@@ -10,7 +13,17 @@ class FileUpload {
         this.container = document.getElementById(containerId);
         this.onFileProcessed = null; // Callback for when file is processed
         this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
-        this.allowedTypes = ['.csv', 'text/csv', 'application/csv'];
+        this.allowedTypes = ['.csv', 'text/csv', 'application/csv', ...WORKBOOK_EXTENSIONS, ...WORKBOOK_MIME_TYPES];
+        this.workerUrl = 'src/utils/csvParserWorker.js';
+        this.worker = null; // Worker parsing the current file
+        this.useMainThread = false; // Set once the worker fails to load
+        this.parser = null; // Main-thread parser for the current file
+        this.mappingProfiles = new ColumnMappingProfiles();
+        this.mappingWizard = null;
+        this.rejectTask = null; // Rejects the current worker task on cancel
+        this.rejectSheetChoice = null; // Rejects a pending sheet choice on cancel
+        this.rejectColumnMapping = null; // Rejects a pending column mapping on cancel
+        this.cancelled = false;
         
         this.init();
     }
@@ -45,20 +58,25 @@ class FileUpload {
                                 <polyline points="10,9 9,9 8,9"></polyline>
                             </svg>
                         </div>
-                        <h3>Upload Your Team CSV File</h3>
+                        <h3>Upload Your Team CSV or Excel File</h3>
                         <p class="upload-description">
-                            Drag and drop your CSV file here, or click to browse
+                            Drag and drop your CSV or Excel file here, or click to browse
                         </p>
                         <p class="upload-requirements">
-                            Supports CSV files up to 50MB with employee data
+                            Supports CSV and Excel (.xlsx, .xls) files up to 50MB with employee data
                         </p>
                         <button type="button" class="upload-button" id="file-browse-btn">
                             Choose File
                         </button>
-                        <input type="file" id="file-input" accept=".csv" style="display: none;">
+                        <input type="file" id="file-input" accept=".csv,.xlsx,.xls" style="display: none;">
                     </div>
                 </div>
 
+                <label class="review-mapping-option" id="review-mapping-option">
+                    <input type="checkbox" id="review-mapping">
+                    Review column mapping before import
+                </label>
+
                 <!-- Progress Section (initially hidden) -->
                 <div class="upload-progress-section hidden" id="upload-progress">
                     <div class="progress-info">
@@ -70,6 +88,13 @@ class FileUpload {
                             <div class="progress-bar" id="progress-bar"></div>
                         </div>
                         <div class="progress-status" id="progress-status">Preparing to upload...</div>
+                        <div class="sheet-picker hidden" id="sheet-picker">
+                            <label for="sheet-select">This workbook has several sheets. Choose the one to import:</label>
+                            <div class="sheet-picker-controls">
+                                <select id="sheet-select"></select>
+                                <button type="button" class="upload-another-button" id="sheet-import">Import Sheet</button>
+                            </div>
+                        </div>
                     </div>
                     <button type="button" class="cancel-button" id="cancel-upload">Cancel</button>
                 </div>
@@ -220,6 +245,41 @@ class FileUpload {
                 margin-bottom: 1rem;
             }
 
+            .sheet-picker {
+                margin-bottom: 1rem;
+            }
+
+            .sheet-picker label {
+                display: block;
+                font-size: 0.875rem;
+                color: #2d3748;
+                margin-bottom: 0.5rem;
+            }
+
+            .sheet-picker-controls {
+                display: flex;
+                gap: 0.5rem;
+            }
+
+            .sheet-picker-controls select {
+                flex: 1;
+                padding: 0.5rem;
+                border: 1px solid #cbd5e0;
+                border-radius: 6px;
+                font-size: 0.875rem;
+            }
+
+            .review-mapping-option {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 0.5rem;
+                margin-top: 0.75rem;
+                font-size: 0.875rem;
+                color: #4a5568;
+                cursor: pointer;
+            }
+
             .cancel-button {
                 background: #e53e3e;
                 color: white;
@@ -380,7 +440,7 @@ class FileUpload {
         // Validate file type
         if (!this.isValidFileType(file)) {
             window.TeamAnalyzer.showNotification(
-                'Please select a valid CSV file.',
+                'Please select a CSV or Excel (.xlsx, .xls) file.',
                 'error'
             );
             return;
@@ -409,6 +469,7 @@ class FileUpload {
         const fileType = file.type.toLowerCase();
         
         return fileName.endsWith('.csv') || 
+               isWorkbookFile(file) ||
                this.allowedTypes.includes(fileType) ||
                fileType.includes('csv');
     }
@@ -421,39 +482,62 @@ class FileUpload {
         try {
             // Show progress section
             this.showProgressSection(file.name);
+            this.cancelled = false;
+            this.updateProgress({ bytesRead: 0, totalBytes: file.size, employees: 0 });
             
-            // Simulate file reading progress
-            await this.simulateProgress();
+            // Read the headers and a few rows, then settle the column mapping
+            const inspection = await this.runTask({ type: 'inspect', file });
+            const columnAssignments = await this.resolveColumns(file, inspection);
             
-            // Read file content
-            const content = await this.readFileContent(file);
+            // Parse the file, reporting real progress as it streams
+            const parsedData = await this.runTask({
+                type: 'parse',
+                file,
+                sheetName: inspection.sheet,
+                columnAssignments
+            });
+            this.stopWorker();
             
             // Show completion
-            this.showFileInfo(file, content);
+            this.showFileInfo(file, parsedData);
             
             // Notify parent component and wait for processing
             if (this.onFileProcessed) {
-                await this.onFileProcessed(file, content);
+                await this.onFileProcessed(file, parsedData);
             }
             
         } catch (error) {
+            this.stopWorker();
+
+            if (error.cancelled) {
+                console.log('File upload cancelled:', file.name);
+                return;
+            }
+
             console.error('File processing error:', {
                 file: file ? file.name : 'unknown',
                 message: error.message,
+                parseErrors: error.parseErrors,
                 stack: error.stack
             });
 
+            const parseErrors = error.parseErrors || [];
+            const firstErrors = parseErrors.length > 0 ?
+                ` Errors: ${parseErrors.slice(0, 3).join('; ')}${parseErrors.length > 3 ? '...' : ''}` : '';
+
             window.TeamAnalyzer.showNotification(
-                `Error processing ${file.name}: ${error.message}`,
+                `Error processing ${file.name}: ${error.message}${firstErrors}`,
                 'error',
-                8000
+                10000
             );
 
             window.TeamAnalyzer.handleError(error, 'File Upload', {
                 category: 'file_processing',
                 severity: 'high',
+                showNotification: false,
                 details: {
                     fileName: file ? file.name : 'unknown',
+                    parseErrors,
                     stack: error.stack
                 }
             });
@@ -462,47 +546,211 @@ class FileUpload {
     }
 
     /**
-     * Read file content as text
-     * @param {File} file - The file to read
-     * @returns {Promise<string>} File content
+     * Decide the column mapping for a file. Files with the expected headers
+     * import straight away and a profile saved for the same headers is
+     * applied as is; anything else (or "Review column mapping") opens the wizard.
+     * @param {File} file - The uploaded file
+     * @param {Object} inspection - { headers, sampleRows } from CSVParser.inspectFile
+     * @returns {Promise<Object|null>} Expected column -> file header, or null for the default mapping
      */
-    readFileContent(file) {
+    resolveColumns(file, inspection) {
+        const reviewCheckbox = document.getElementById('review-mapping');
+        const review = reviewCheckbox ? reviewCheckbox.checked : false;
+        const match = this.mappingProfiles.findForHeaders(inspection.headers);
+
+        if (!review && match && match.exact) {
+            console.log('Applying column mapping profile:', match.profile.name);
+            window.TeamAnalyzer.showNotification(`Using column mapping profile "${match.profile.name}"`, 'info');
+            return Promise.resolve(match.profile.assignments);
+        }
+
+        const fields = new CSVParser().getMappableColumns();
+        const { scores } = suggestColumnAssignments(inspection.headers, fields);
+        const allRequiredExact = fields
+            .filter(field => field.required)
+            .every(field => scores[field.column] === 1);
+
+        if (!review && !match && allRequiredExact) {
+            return Promise.resolve(null);
+        }
+
+        const progressStatus = document.getElementById('progress-status');
+        if (progressStatus) progressStatus.textContent = 'Waiting for column mapping...';
+
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                resolve(e.target.result);
+            this.rejectColumnMapping = reject;
+            this.mappingWizard = new ColumnMappingWizard({
+                fileName: file.name,
+                headers: inspection.headers,
+                sampleRows: inspection.sampleRows,
+                profiles: this.mappingProfiles,
+                onConfirm: assignments => {
+                    this.mappingWizard = null;
+                    this.rejectColumnMapping = null;
+                    resolve(assignments);
+                },
+                onCancel: () => {
+                    this.mappingWizard = null;
+                    this.cancelUpload();
+                }
+            });
+            this.mappingWizard.open();
+        });
+    }
+
+    /**
+     * Run an inspect or parse task in the Web Worker, or on the main thread
+     * where workers are unavailable (e.g. the app opened from file://). The
+     * worker is kept between the two tasks so a workbook is only read once.
+     * @param {Object} task - { type: 'inspect' | 'parse', file, sheetName, columnAssignments }
+     * @returns {Promise<Object>} Inspection or parsed data from CSVParser
+     */
+    runTask(task) {
+        if (this.useMainThread || typeof Worker === 'undefined') {
+            return this.runTaskOnMainThread(task);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                try {
+                    this.worker = new Worker(this.workerUrl);
+                } catch (error) {
+                    console.warn('CSV parser worker unavailable, parsing on the main thread:', error.message);
+                    this.useMainThread = true;
+                    resolve(this.runTaskOnMainThread(task));
+                    return;
+                }
+            }
+
+            const worker = this.worker;
+            this.rejectTask = reject;
+
+            worker.onmessage = (event) => {
+                const message = event.data || {};
+
+                if (message.type === 'progress') {
+                    this.updateProgress(message);
+                } else if (message.type === 'sheets') {
+                    this.chooseSheet(message.sheets)
+                        .then(name => worker.postMessage({ type: 'sheet', name }))
+                        .catch(() => {}); // Cancelled - the worker is terminated
+                } else if (message.type === 'inspected') {
+                    this.rejectTask = null;
+                    resolve(message.inspection);
+                } else if (message.type === 'done') {
+                    this.rejectTask = null;
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    this.rejectTask = null;
+                    const error = new Error(message.message);
+                    error.parseErrors = message.parseErrors;
+                    reject(error);
+                }
             };
-            
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
+
+            worker.onerror = (event) => {
+                // The worker script failed to load or crashed - parse here instead
+                event.preventDefault();
+                console.warn('CSV parser worker failed, parsing on the main thread:', event.message);
+                this.stopWorker();
+                this.useMainThread = true;
+                resolve(this.runTaskOnMainThread(task));
+            };
+
+            worker.postMessage(task);
+        });
+    }
+
+    /**
+     * Run an inspect or parse task on the main thread in small slices
+     * @param {Object} task - { type: 'inspect' | 'parse', file, sheetName, columnAssignments }
+     * @returns {Promise<Object>} Inspection or parsed data from CSVParser
+     */
+    async runTaskOnMainThread(task) {
+        if (!this.parser || task.type === 'inspect') {
+            this.parser = new CSVParser();
+        }
+
+        const options = {
+            chunkSize: 256 * 1024,
+            sheetName: task.sheetName,
+            columnAssignments: task.columnAssignments,
+            chooseSheet: sheets => this.chooseSheet(sheets),
+            isCancelled: () => this.cancelled,
+            onProgress: progress => this.updateProgress(progress)
+        };
+
+        try {
+            return task.type === 'inspect'
+                ? await this.parser.inspectFile(task.file, options)
+                : await this.parser.parseUploadedFile(task.file, options);
+        } catch (error) {
+            error.parseErrors = this.parser.parseErrors;
+            throw error;
+        }
+    }
+
+    /**
+     * Ask which sheet of a workbook to import
+     * @param {Array} sheets - Sheets as { name }
+     * @returns {Promise<string>} Chosen sheet name
+     */
+    chooseSheet(sheets) {
+        const picker = document.getElementById('sheet-picker');
+        const select = document.getElementById('sheet-select');
+        const importButton = document.getElementById('sheet-import');
+        const progressStatus = document.getElementById('progress-status');
+        
+        select.replaceChildren(...sheets.map(sheet => new Option(sheet.name, sheet.name)));
+        picker.classList.remove('hidden');
+        if (progressStatus) progressStatus.textContent = 'Waiting for sheet selection...';
+        
+        return new Promise((resolve, reject) => {
+            this.rejectSheetChoice = reject;
+            importButton.onclick = () => {
+                this.rejectSheetChoice = null;
+                picker.classList.add('hidden');
+                if (progressStatus) progressStatus.textContent = `Reading sheet "${select.value}"...`;
+                resolve(select.value);
             };
-            
-            reader.readAsText(file);
         });
     }
 
     /**
-     * Simulate upload progress for better UX
+     * Terminate the parser worker
      */
-    async simulateProgress() {
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectTask = null;
+        this.parser = null;
+    }
+
+    /**
+     * Show parsing progress
+     * @param {Object} progress - { bytesRead, totalBytes, employees }
+     */
+    updateProgress(progress) {
         const progressBar = document.getElementById('progress-bar');
         const progressPercentage = document.getElementById('progress-percentage');
         const progressStatus = document.getElementById('progress-status');
         
-        const steps = [
-            { progress: 20, status: 'Reading file...' },
-            { progress: 50, status: 'Validating format...' },
-            { progress: 80, status: 'Processing data...' },
-            { progress: 100, status: 'Complete!' }
-        ];
+        const percent = progress.totalBytes > 0
+            ? Math.round((progress.bytesRead / progress.totalBytes) * 100)
+            : 100;
         
-        for (const step of steps) {
-            await new Promise(resolve => setTimeout(resolve, 300));
-            
-            progressBar.style.width = `${step.progress}%`;
-            progressPercentage.textContent = `${step.progress}%`;
-            progressStatus.textContent = step.status;
+        if (progressBar) progressBar.style.width = `${percent}%`;
+        if (progressPercentage) progressPercentage.textContent = `${percent}%`;
+        if (progressStatus) {
+            if (progress.bytesRead < progress.totalBytes) {
+                progressStatus.textContent = `Parsing... ${this.formatFileSize(progress.bytesRead)} of ${this.formatFileSize(progress.totalBytes)} • ${progress.employees || 0} employees`;
+            } else {
+                progressStatus.textContent = progress.employees
+                    ? `Parsed ${progress.employees} employees`
+                    : 'Reading rows...';
+            }
         }
     }
 
@@ -515,7 +763,10 @@ class FileUpload {
         const progressSection = document.getElementById('upload-progress');
         const filenameElement = document.getElementById('progress-filename');
         
+        const reviewOption = document.getElementById('review-mapping-option');
+        
         uploadArea.style.display = 'none';
+        if (reviewOption) reviewOption.classList.add('hidden');
         progressSection.classList.remove('hidden');
         filenameElement.textContent = filename;
     }
@@ -523,16 +774,16 @@ class FileUpload {
     /**
      * Show file info after successful upload
      * @param {File} file - The uploaded file
-     * @param {string} content - File content
+     * @param {Object} parsedData - Parsed data from CSVParser
      */
-    showFileInfo(file, content) {
+    showFileInfo(file, parsedData) {
         const progressSection = document.getElementById('upload-progress');
         const fileInfoSection = document.getElementById('file-info');
         const filenameElement = document.getElementById('uploaded-filename');
         const statsElement = document.getElementById('file-stats');
         
         // Calculate basic stats
-        const lines = content.split('\n').length - 1; // Subtract header
+        const lines = parsedData.employees.length;
         const fileSize = this.formatFileSize(file.size);
         
         progressSection.classList.add('hidden');
@@ -550,6 +801,26 @@ class FileUpload {
      * Cancel file upload
      */
     cancelUpload() {
+        this.cancelled = true;
+        
+        // Stop the worker; a main-thread parse stops at its next slice
+        if (this.rejectSheetChoice) {
+            this.rejectSheetChoice(createCancelError());
+            this.rejectSheetChoice = null;
+        }
+        if (this.rejectColumnMapping) {
+            this.rejectColumnMapping(createCancelError());
+            this.rejectColumnMapping = null;
+        }
+        if (this.mappingWizard) {
+            this.mappingWizard.close();
+            this.mappingWizard = null;
+        }
+        if (this.rejectTask) {
+            this.rejectTask(createCancelError());
+        }
+        this.stopWorker();
+        
         this.resetUpload();
         window.TeamAnalyzer.showNotification('Upload cancelled', 'warning');
     }
@@ -563,8 +834,13 @@ class FileUpload {
         const fileInfoSection = document.getElementById('file-info');
         const fileInput = document.getElementById('file-input');
         
+        const sheetPicker = document.getElementById('sheet-picker');
+        const reviewOption = document.getElementById('review-mapping-option');
+        
         uploadArea.style.display = 'block';
+        if (reviewOption) reviewOption.classList.remove('hidden');
         progressSection.classList.add('hidden');
+        if (sheetPicker) sheetPicker.classList.add('hidden');
         fileInfoSection.classList.add('hidden');
         
         if (fileInput) fileInput.value = '';
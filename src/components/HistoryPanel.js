@@ -0,0 +1,131 @@
+/**
+ * HistoryPanel Component
+ *
+ * Undo and redo buttons for the shared history, and a list of the recorded
+ * operations (newest first) with "roll back to here" on each one.
+ */
+
+class HistoryPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {Object} options - { history: HistoryManager, onUndo, onRedo, onGoTo: position => void }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.history = options.history;
+
+        // State
+        this.expanded = false;
+
+        // Callbacks
+        this.onUndo = options.onUndo || (() => this.history.undo());
+        this.onRedo = options.onRedo || (() => this.history.redo());
+        this.onGoTo = options.onGoTo || (position => this.history.goTo(position));
+
+        this.init();
+    }
+
+    /**
+     * Initialize the history panel
+     */
+    init() {
+        this.container.className = 'history-panel';
+        this.container.addEventListener('click', this.handleClick.bind(this));
+        this.history.subscribe(() => this.render());
+
+        this.render();
+    }
+
+    /**
+     * Render the panel
+     */
+    render() {
+        const entries = this.history.getEntries();
+        const position = this.history.getPosition();
+
+        this.container.innerHTML = `
+            <div class="history-controls">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="undo" title="Undo (Ctrl+Z)"
+                    ${this.history.canUndo() ? '' : 'disabled'}>↶ Undo</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="redo" title="Redo (Ctrl+Shift+Z)"
+                    ${this.history.canRedo() ? '' : 'disabled'}>↷ Redo</button>
+                <button type="button" class="history-link" data-action="toggle" aria-expanded="${this.expanded}"
+                    ${entries.length === 0 ? 'disabled' : ''}>
+                    History (${entries.length})
+                </button>
+            </div>
+            ${this.expanded && entries.length > 0 ? `
+                <ol class="history-list" reversed>
+                    ${entries.slice().reverse().map((entry, reverseIndex) => {
+                        const index = entries.length - 1 - reverseIndex;
+                        const current = index === position - 1;
+                        return `
+                            <li class="history-entry ${entry.applied ? 'applied' : 'undone'} ${current ? 'current' : ''}">
+                                <span class="history-entry-label">${this.escapeHtml(entry.label)}</span>
+                                <span class="history-entry-time">${this.formatTime(entry.timestamp)}</span>
+                                ${current ? '<span class="history-entry-current">Current</span>' : `
+                                    <button type="button" class="history-link" data-action="goto" data-position="${index + 1}">
+                                        ${entry.applied ? 'Roll back to here' : 'Redo to here'}
+                                    </button>
+                                `}
+                            </li>
+                        `;
+                    }).join('')}
+                    <li class="history-entry ${position === 0 ? 'current' : ''}">
+                        <span class="history-entry-label">Data as loaded</span>
+                        ${position === 0 ? '<span class="history-entry-current">Current</span>' : `
+                            <button type="button" class="history-link" data-action="goto" data-position="0">Roll back to here</button>
+                        `}
+                    </li>
+                </ol>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Handle clicks on the panel's buttons
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'undo':
+                this.onUndo();
+                break;
+            case 'redo':
+                this.onRedo();
+                break;
+            case 'toggle':
+                this.expanded = !this.expanded;
+                this.render();
+                break;
+            case 'goto':
+                this.onGoTo(parseInt(button.dataset.position, 10));
+                break;
+        }
+    }
+
+    /**
+     * Format an entry's time, e.g. "14:05:12"
+     * @param {string} isoDate - ISO timestamp
+     * @returns {string} Formatted time
+     */
+    formatTime(isoDate) {
+        return new Date(isoDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,268 @@
+/**
+ * OrgTree Component
+ *
+ * Collapsible management hierarchy with rolled-up headcount, payroll and
+ * average comparatio per manager. Selecting a manager scopes the rest of the
+ * application to that manager's full subtree.
+ */
+
+class OrgTree {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            initialExpandDepth: 6,
+            ...options
+        };
+        
+        // State
+        this.hierarchy = null;
+        this.selectedNodeId = null;
+        this.expandedNodes = new Set();
+        
+        // Callbacks
+        this.onNodeSelect = options.onNodeSelect || (() => {});
+        
+        this.init();
+    }
+
+    /**
+     * Initialize the org tree
+     */
+    init() {
+        this.container.className = 'org-tree';
+        
+        this.container.innerHTML = `
+            <div class="org-tree-header">
+                <h3>Organization</h3>
+                <button type="button" class="org-tree-clear hidden" title="Show all employees">Show all</button>
+            </div>
+            <div class="org-tree-scope"></div>
+            <div class="org-tree-body">
+                <div class="org-tree-empty">Upload a file to see the management hierarchy</div>
+            </div>
+        `;
+        
+        this.scopeElement = this.container.querySelector('.org-tree-scope');
+        this.bodyElement = this.container.querySelector('.org-tree-body');
+        this.clearButton = this.container.querySelector('.org-tree-clear');
+        
+        this.clearButton.addEventListener('click', () => this.selectNode(null));
+        this.bodyElement.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    /**
+     * Set the hierarchy to display
+     * @param {OrgHierarchy} hierarchy - Org hierarchy built from the employee data
+     * @param {string|null} selectedNodeId - Node to show as selected (does not trigger onNodeSelect)
+     */
+    setHierarchy(hierarchy, selectedNodeId = null) {
+        this.hierarchy = hierarchy;
+        this.selectedNodeId = hierarchy && hierarchy.getNode(selectedNodeId) ? selectedNodeId : null;
+        this.expandedNodes.clear();
+        
+        // Expand the chain above the first real managers so the tree opens on something useful
+        if (hierarchy) {
+            hierarchy.nodes.forEach(node => {
+                if (node.children.length > 0 && node.depth < this.options.initialExpandDepth && !node.employee) {
+                    this.expandedNodes.add(node.id);
+                }
+            });
+            
+            if (this.selectedNodeId) {
+                hierarchy.getPath(this.selectedNodeId).slice(0, -1).forEach(node => this.expandedNodes.add(node.id));
+            }
+        }
+        
+        this.render();
+    }
+
+    /**
+     * Select a node, or clear the selection with null
+     * @param {string|null} nodeId - Node id
+     */
+    selectNode(nodeId) {
+        if (nodeId && (!this.hierarchy || !this.hierarchy.getNode(nodeId))) {
+            return;
+        }
+        
+        this.selectedNodeId = nodeId;
+        
+        // Make sure the selected node is visible
+        if (nodeId) {
+            this.hierarchy.getPath(nodeId).slice(0, -1).forEach(node => this.expandedNodes.add(node.id));
+        }
+        
+        this.render();
+        this.onNodeSelect(nodeId);
+    }
+
+    /**
+     * Handle clicks inside the tree body
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const toggle = event.target.closest('.org-node-toggle');
+        const row = event.target.closest('.org-node-row');
+        if (!row) return;
+        
+        const nodeId = row.getAttribute('data-node-id');
+        
+        if (toggle) {
+            if (this.expandedNodes.has(nodeId)) {
+                this.expandedNodes.delete(nodeId);
+            } else {
+                this.expandedNodes.add(nodeId);
+            }
+            this.render();
+            return;
+        }
+        
+        // Only managers can scope the view
+        const node = this.hierarchy.getNode(nodeId);
+        if (node && node.children.length > 0) {
+            this.selectNode(nodeId === this.selectedNodeId ? null : nodeId);
+        }
+    }
+
+    /**
+     * Render the tree
+     */
+    render() {
+        if (!this.hierarchy || this.hierarchy.getRoots().length === 0) {
+            this.bodyElement.innerHTML = '<div class="org-tree-empty">No management hierarchy found in this file</div>';
+            this.scopeElement.innerHTML = '';
+            this.clearButton.classList.add('hidden');
+            return;
+        }
+        
+        this.bodyElement.innerHTML = `
+            <ul class="org-tree-list">
+                ${this.hierarchy.getRoots().map(node => this.renderNode(node)).join('')}
+            </ul>
+        `;
+        
+        this.renderScope();
+    }
+
+    /**
+     * Render a single node and its expanded children
+     * @param {Object} node - Hierarchy node
+     * @returns {string} HTML string
+     */
+    renderNode(node) {
+        const managers = node.children.filter(child => child.children.length > 0);
+        const isManager = node.children.length > 0;
+        
+        // Individual contributors are counted in the roll-ups but not listed
+        if (!isManager) return '';
+        
+        const isExpanded = this.expandedNodes.has(node.id);
+        const isSelected = node.id === this.selectedNodeId;
+        const rollup = node.rollup;
+        
+        const toggle = managers.length > 0
+            ? `<button type="button" class="org-node-toggle" title="${isExpanded ? 'Collapse' : 'Expand'}">${isExpanded ? '▾' : '▸'}</button>`
+            : '<span class="org-node-toggle-spacer"></span>';
+        
+        return `
+            <li class="org-node${isSelected ? ' selected' : ''}${node.employee ? '' : ' external'}">
+                <div class="org-node-row" data-node-id="${this.escapeHtml(node.id)}" title="${this.escapeHtml(this.getNodeTooltip(node))}">
+                    ${toggle}
+                    <span class="org-node-name">${this.escapeHtml(node.name)}</span>
+                    <span class="org-node-count">${rollup.headcount}</span>
+                </div>
+                <div class="org-node-stats">
+                    ${this.formatPayroll(rollup.payroll, rollup.currency)} · CR ${this.formatComparatio(rollup.averageComparatio)}
+                </div>
+                ${isExpanded && managers.length > 0 ? `
+                    <ul class="org-tree-list">
+                        ${managers.map(child => this.renderNode(child)).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Render the current scope indicator
+     */
+    renderScope() {
+        const node = this.selectedNodeId ? this.hierarchy.getNode(this.selectedNodeId) : null;
+        this.clearButton.classList.toggle('hidden', !node);
+        
+        if (!node) {
+            this.scopeElement.innerHTML = '';
+            return;
+        }
+        
+        this.scopeElement.innerHTML = `
+            Showing <strong>${node.rollup.headcount}</strong> employees under
+            <strong>${this.escapeHtml(node.name)}</strong>
+        `;
+    }
+
+    /**
+     * Build the tooltip for a node
+     * @param {Object} node - Hierarchy node
+     * @returns {string} Tooltip text
+     */
+    getNodeTooltip(node) {
+        const rollup = node.rollup;
+        const lines = [
+            node.employee ? `${node.name} — ${node.employee.title || ''}` : `${node.name} (not in this file)`,
+            `Headcount: ${rollup.headcount} (${rollup.directReports} direct)`,
+            `Payroll: ${this.formatPayroll(rollup.payroll, rollup.currency)}`,
+            `Average comparatio: ${this.formatComparatio(rollup.averageComparatio)}`
+        ];
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a payroll amount compactly
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {string} Formatted amount
+     */
+    formatPayroll(amount, currency) {
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency || 'USD',
+                notation: 'compact',
+                maximumFractionDigits: 1
+            }).format(amount || 0);
+        } catch (error) {
+            return `${currency || ''} ${Math.round(amount || 0).toLocaleString()}`;
+        }
+    }
+
+    /**
+     * Format a comparatio ratio as a percentage
+     * @param {number|null} comparatio - Comparatio ratio
+     * @returns {string} Formatted comparatio
+     */
+    formatComparatio(comparatio) {
+        return comparatio ? `${Math.round(comparatio * 100)}%` : 'N/A';
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Destroy the org tree
+     */
+    destroy() {
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.OrgTree = OrgTree;
@@ -16,24 +16,9 @@ class PerformanceAnalysis {
     }
     
     init() {
-        this.loadChartJS();
         this.render();
         this.attachEventListeners();
-    }
-    
-    loadChartJS() {
-        // Load Chart.js from CDN if not already loaded
-        if (typeof Chart === 'undefined') {
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js';
-            script.onload = () => {
-                console.log('Chart.js loaded for performance analysis');
-                this.createCharts();
-            };
-            document.head.appendChild(script);
-        } else {
-            this.createCharts();
-        }
+        this.createCharts();
     }
     
     render() {
@@ -54,9 +39,9 @@ class PerformanceAnalysis {
                         </div>
                         
                         <div class="control-group">
-                            <label for="perf-department-filter">Department</label>
+                            <label for="perf-department-filter">Job Function</label>
                             <select id="perf-department-filter">
-                                <option value="all">All Departments</option>
+                                <option value="all">All Job Functions</option>
                             </select>
                         </div>
                         
@@ -196,7 +181,7 @@ class PerformanceAnalysis {
     }
     
     setEmployees(employees) {
-        this.employees = employees || [];
+        this.employees = employeeAdapter.toModels(employees || []);
         this.populateFilters();
         this.updateCharts();
     }
@@ -212,17 +197,27 @@ class PerformanceAnalysis {
             });
         }
         
-        // Populate department filter
-        const departments = [...new Set(this.employees.map(emp => emp.department || emp.title).filter(Boolean))];
+        // Populate job function filter
+        const departments = [...new Set(this.employees.map(emp => emp.jobFunction || emp.title).filter(Boolean))];
         const deptSelect = document.getElementById('perf-department-filter');
         if (deptSelect) {
-            deptSelect.innerHTML = '<option value="all">All Departments</option>';
+            deptSelect.innerHTML = '<option value="all">All Job Functions</option>';
             departments.forEach(dept => {
                 deptSelect.innerHTML += `<option value="${dept}">${dept}</option>`;
             });
         }
     }
     
+    /**
+     * Salary in the reporting currency, or in the employee's own currency
+     * @param {EmployeeModel} emp - Employee
+     * @param {string} salaryType - 'normalized' or 'original'
+     * @returns {number} Salary
+     */
+    getSalary(emp, salaryType) {
+        return salaryType === 'normalized' ? emp.normalizedSalary : (emp.baseSalary || 0);
+    }
+    
     getFilteredEmployees() {
         const countryFilter = document.getElementById('perf-country-filter')?.value || 'all';
         const deptFilter = document.getElementById('perf-department-filter')?.value || 'all';
@@ -230,20 +225,15 @@ class PerformanceAnalysis {
         return this.employees.filter(emp => {
             if (countryFilter !== 'all' && emp.country !== countryFilter) return false;
             if (deptFilter !== 'all' && 
-                emp.department !== deptFilter && 
+                emp.jobFunction !== deptFilter && 
                 emp.title !== deptFilter) return false;
             
             // Only include employees with both performance rating and salary data
-            return emp.performanceRating && (emp.normalizedSalary || emp.salary);
+            return emp.rating !== null && emp.normalizedSalary !== null;
         });
     }
     
     createCharts() {
-        if (typeof Chart === 'undefined') {
-            console.log('Chart.js not loaded yet, waiting...');
-            return;
-        }
-        
         this.createScatterPlot();
         this.createPerformanceDistribution();
         this.createSalaryByPerformance();
@@ -254,96 +244,65 @@ class PerformanceAnalysis {
     }
     
     updateCharts() {
-        if (typeof Chart === 'undefined') return;
-        
-        // Destroy existing charts
-        Object.values(this.charts).forEach(chart => {
-            if (chart && typeof chart.destroy === 'function') {
-                chart.destroy();
-            }
-        });
-        this.charts = {};
-        
-        // Recreate charts with filtered data
+        // Charts redraw in place with the filtered data
         this.createCharts();
     }
     
-    createScatterPlot() {
-        const canvas = document.getElementById('performance-salary-scatter');
+    /**
+     * Draw a chart on a canvas, reusing the renderer already attached to it
+     * @param {string} key - Key in this.charts
+     * @param {string} canvasId - Canvas element ID
+     * @param {Object} config - ChartRenderer configuration
+     */
+    drawChart(key, canvasId, config) {
+        const canvas = document.getElementById(canvasId);
         if (!canvas) return;
         
-        const ctx = canvas.getContext('2d');
+        if (this.charts[key] && this.charts[key].canvas === canvas) {
+            this.charts[key].update(config);
+        } else {
+            // The canvas was re-rendered - release the old renderer
+            if (this.charts[key]) this.charts[key].destroy();
+            this.charts[key] = new ChartRenderer(canvas, config);
+        }
+    }
+    
+    createScatterPlot() {
         const employees = this.getFilteredEmployees();
         const salaryType = document.getElementById('salary-type')?.value || 'normalized';
         
         // Prepare scatter plot data
         const scatterData = employees.map(emp => ({
-            x: emp.performanceRating,
-            y: salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary,
+            x: emp.rating,
+            y: this.getSalary(emp, salaryType),
             employee: emp
         }));
         
         // Calculate trend line
         const trendLine = this.calculateTrendLine(scatterData);
         
-        this.charts.scatter = new Chart(ctx, {
+        this.drawChart('scatter', 'performance-salary-scatter', {
             type: 'scatter',
-            data: {
-                datasets: [{
-                    label: 'Employees',
-                    data: scatterData,
-                    backgroundColor: 'rgba(54, 162, 235, 0.6)',
-                    borderColor: 'rgba(54, 162, 235, 1)',
-                    borderWidth: 1,
-                    pointRadius: 6,
-                    pointHoverRadius: 8
-                }, {
-                    label: 'Trend Line',
-                    data: trendLine,
-                    type: 'line',
-                    borderColor: 'rgba(255, 99, 132, 1)',
-                    backgroundColor: 'rgba(255, 99, 132, 0.1)',
-                    borderWidth: 2,
-                    pointRadius: 0,
-                    fill: false
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Performance Rating vs Salary'
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                if (context.datasetIndex === 0) {
-                                    const emp = context.raw.employee;
-                                    return `${emp.name}: Performance ${context.raw.x}, Salary $${Math.round(context.raw.y).toLocaleString()}`;
-                                }
-                                return context.dataset.label;
-                            }
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Performance Rating'
-                        },
-                        min: 0.5,
-                        max: 5.5
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: `Salary (${salaryType === 'normalized' ? 'USD' : 'Original Currency'})`
-                        }
-                    }
-                }
+            title: 'Performance Rating vs Salary',
+            datasets: [{
+                label: 'Employees',
+                data: scatterData,
+                color: '#2563eb',
+                pointRadius: 6
+            }, {
+                label: 'Trend Line',
+                data: trendLine,
+                color: '#ef4444',
+                showLine: true
+            }],
+            xMin: 0.5,
+            xMax: 5.5,
+            xTicks: [1, 2, 3, 4, 5],
+            xLabel: 'Performance Rating',
+            yLabel: `Salary (${salaryType === 'normalized' ? 'USD' : 'Original Currency'})`,
+            tooltip: item => {
+                if (!item.point.employee) return item.dataset.label;
+                return `${item.point.employee.name}\nPerformance ${item.point.x}, Salary $${Math.round(item.point.y).toLocaleString()}`;
             }
         });
         
@@ -421,62 +380,23 @@ class PerformanceAnalysis {
     }
     
     createPerformanceDistribution() {
-        const canvas = document.getElementById('performance-distribution');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Count performance ratings
         const ratingCounts = [1, 2, 3, 4, 5].map(rating => {
-            return employees.filter(emp => emp.performanceRating === rating).length;
+            return employees.filter(emp => emp.rating === rating).length;
         });
         
-        this.charts.perfDist = new Chart(ctx, {
+        this.drawChart('perfDist', 'performance-distribution', {
             type: 'bar',
-            data: {
-                labels: ['1 - Below', '2 - Meets Some', '3 - Meets', '4 - Exceeds', '5 - Far Exceeds'],
-                datasets: [{
-                    label: 'Employee Count',
-                    data: ratingCounts,
-                    backgroundColor: [
-                        'rgba(255, 99, 132, 0.6)',
-                        'rgba(255, 159, 64, 0.6)',
-                        'rgba(255, 206, 86, 0.6)',
-                        'rgba(75, 192, 192, 0.6)',
-                        'rgba(54, 162, 235, 0.6)'
-                    ],
-                    borderColor: [
-                        'rgba(255, 99, 132, 1)',
-                        'rgba(255, 159, 64, 1)',
-                        'rgba(255, 206, 86, 1)',
-                        'rgba(75, 192, 192, 1)',
-                        'rgba(54, 162, 235, 1)'
-                    ],
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Performance Rating Distribution'
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Number of Employees'
-                        }
-                    }
-                }
-            }
+            title: 'Performance Rating Distribution',
+            labels: ['1 - Below', '2 - Meets Some', '3 - Meets', '4 - Exceeds', '5 - Far Exceeds'],
+            datasets: [{
+                label: 'Employee Count',
+                data: ratingCounts,
+                colors: ['#ef4444', '#f97316', '#eab308', '#14b8a6', '#3b82f6']
+            }],
+            yLabel: 'Number of Employees'
         });
         
         this.updatePerfDistInsights(ratingCounts, employees.length);
@@ -509,58 +429,32 @@ class PerformanceAnalysis {
     }
     
     createSalaryByPerformance() {
-        const canvas = document.getElementById('salary-by-performance');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         const salaryType = document.getElementById('salary-type')?.value || 'normalized';
         
         // Calculate average salary by performance rating
         const salaryByRating = [1, 2, 3, 4, 5].map(rating => {
-            const ratingEmployees = employees.filter(emp => emp.performanceRating === rating);
+            const ratingEmployees = employees.filter(emp => emp.rating === rating);
             if (ratingEmployees.length === 0) return 0;
             
             const totalSalary = ratingEmployees.reduce((sum, emp) => {
-                return sum + (salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary);
+                return sum + this.getSalary(emp, salaryType);
             }, 0);
             
             return totalSalary / ratingEmployees.length;
         });
         
-        this.charts.salaryPerf = new Chart(ctx, {
+        this.drawChart('salaryPerf', 'salary-by-performance', {
             type: 'bar',
-            data: {
-                labels: ['1 - Below', '2 - Meets Some', '3 - Meets', '4 - Exceeds', '5 - Far Exceeds'],
-                datasets: [{
-                    label: 'Average Salary',
-                    data: salaryByRating,
-                    backgroundColor: 'rgba(75, 192, 192, 0.6)',
-                    borderColor: 'rgba(75, 192, 192, 1)',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Average Salary by Performance Rating'
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        title: {
-                            display: true,
-                            text: `Average Salary (${salaryType === 'normalized' ? 'USD' : 'Original Currency'})`
-                        }
-                    }
-                }
-            }
+            title: 'Average Salary by Performance Rating',
+            labels: ['1 - Below', '2 - Meets Some', '3 - Meets', '4 - Exceeds', '5 - Far Exceeds'],
+            datasets: [{
+                label: 'Average Salary',
+                data: salaryByRating,
+                color: '#14b8a6'
+            }],
+            yLabel: `Average Salary (${salaryType === 'normalized' ? 'USD' : 'Original Currency'})`,
+            formatY: value => `$${Math.round(value).toLocaleString()}`
         });
         
         this.updateSalaryPerfInsights(salaryByRating);
@@ -598,56 +492,27 @@ class PerformanceAnalysis {
     }
     
     createPerformanceTrend() {
-        const canvas = document.getElementById('performance-trend');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Group by tenure and calculate average performance
         const tenureGroups = this.groupByTenure(employees);
         
-        this.charts.trend = new Chart(ctx, {
+        this.drawChart('trend', 'performance-trend', {
             type: 'line',
-            data: {
-                labels: Object.keys(tenureGroups),
-                datasets: [{
-                    label: 'Average Performance',
-                    data: Object.values(tenureGroups).map(group => {
-                        return group.reduce((sum, emp) => sum + emp.performanceRating, 0) / group.length;
-                    }),
-                    borderColor: 'rgba(153, 102, 255, 1)',
-                    backgroundColor: 'rgba(153, 102, 255, 0.1)',
-                    borderWidth: 2,
-                    fill: true
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Performance by Tenure'
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Years in Role'
-                        }
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Average Performance Rating'
-                        },
-                        min: 1,
-                        max: 5
-                    }
-                }
-            }
+            title: 'Performance by Tenure',
+            labels: Object.keys(tenureGroups),
+            datasets: [{
+                label: 'Average Performance',
+                data: Object.values(tenureGroups).map(group => {
+                    return group.reduce((sum, emp) => sum + emp.rating, 0) / group.length;
+                }),
+                color: '#8b5cf6',
+                fill: true
+            }],
+            xLabel: 'Years in Role',
+            yLabel: 'Average Performance Rating',
+            yMin: 1,
+            yMax: 5
         });
         
         this.updateTrendInsights(tenureGroups);
@@ -676,7 +541,7 @@ class PerformanceAnalysis {
         
         const groupKeys = Object.keys(tenureGroups);
         const avgPerformances = Object.values(tenureGroups).map(group => {
-            return group.reduce((sum, emp) => sum + emp.performanceRating, 0) / group.length;
+            return group.reduce((sum, emp) => sum + emp.rating, 0) / group.length;
         });
         
         const trend = avgPerformances.length > 1 ? 
@@ -712,8 +577,8 @@ class PerformanceAnalysis {
         }
         
         const data = employees.map(emp => ({
-            x: emp.performanceRating,
-            y: salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary
+            x: emp.rating,
+            y: this.getSalary(emp, salaryType)
         }));
         
         const correlation = this.calculateCorrelation(data);
@@ -809,8 +674,8 @@ class PerformanceAnalysis {
         
         // Overall correlation
         const overallData = employees.map(emp => ({
-            x: emp.performanceRating,
-            y: salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary
+            x: emp.rating,
+            y: this.getSalary(emp, salaryType)
         }));
         correlations.push({
             segment: 'Overall',
@@ -824,8 +689,8 @@ class PerformanceAnalysis {
             const countryEmployees = employees.filter(emp => emp.country === country);
             if (countryEmployees.length > 2) {
                 const data = countryEmployees.map(emp => ({
-                    x: emp.performanceRating,
-                    y: salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary
+                    x: emp.rating,
+                    y: this.getSalary(emp, salaryType)
                 }));
                 correlations.push({
                     segment: country,
@@ -857,7 +722,7 @@ class PerformanceAnalysis {
                     ${outliers.slice(0, 5).map(outlier => `
                         <div class="outlier-item">
                             <span class="outlier-name">${outlier.name}</span>
-                            <span class="outlier-details">Performance: ${outlier.performanceRating}, Salary: $${Math.round(outlier.salary).toLocaleString()}</span>
+                            <span class="outlier-details">Performance: ${outlier.rating}, Salary: $${Math.round(outlier.salary).toLocaleString()}</span>
                             <span class="outlier-reason">${outlier.reason}</span>
                         </div>
                     `).join('')}
@@ -876,9 +741,9 @@ class PerformanceAnalysis {
         // Calculate expected salary for each performance rating
         const performanceGroups = {};
         employees.forEach(emp => {
-            const rating = emp.performanceRating;
+            const rating = emp.rating;
             if (!performanceGroups[rating]) performanceGroups[rating] = [];
-            performanceGroups[rating].push(salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary);
+            performanceGroups[rating].push(this.getSalary(emp, salaryType));
         });
         
         // Calculate median and IQR for each performance group
@@ -891,8 +756,8 @@ class PerformanceAnalysis {
             const upperBound = q3 + 1.5 * iqr;
             
             employees.forEach(emp => {
-                if (emp.performanceRating == rating) {
-                    const salary = salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary;
+                if (emp.rating === Number(rating)) {
+                    const salary = this.getSalary(emp, salaryType);
                     if (salary < lowerBound) {
                         outliers.push({
                             ...emp,
@@ -919,8 +784,8 @@ class PerformanceAnalysis {
         
         const employees = this.getFilteredEmployees();
         const correlation = this.calculateCorrelation(employees.map(emp => ({
-            x: emp.performanceRating,
-            y: emp.normalizedSalary || emp.salary
+            x: emp.rating,
+            y: emp.normalizedSalary
         })));
         
         const recommendations = [];
@@ -954,8 +819,8 @@ class PerformanceAnalysis {
         }
         
         // Performance distribution recommendations
-        const highPerformers = employees.filter(emp => emp.performanceRating >= 4).length;
-        const lowPerformers = employees.filter(emp => emp.performanceRating <= 2).length;
+        const highPerformers = employees.filter(emp => emp.rating >= 4).length;
+        const lowPerformers = employees.filter(emp => emp.rating <= 2).length;
         
         if (lowPerformers > employees.length * 0.2) {
             recommendations.push({
@@ -1021,8 +886,8 @@ class PerformanceAnalysis {
         const salaryType = document.getElementById('salary-type')?.value || 'normalized';
         
         const data = employees.map(emp => ({
-            x: emp.performanceRating,
-            y: salaryType === 'normalized' ? (emp.normalizedSalary || emp.salary) : emp.salary
+            x: emp.rating,
+            y: this.getSalary(emp, salaryType)
         }));
         
         const correlation = this.calculateCorrelation(data);
@@ -22,12 +22,13 @@ class PerformanceCompensationAnalysis {
         this.correlationData = {};
         this.outliers = [];
         this.trendLines = {};
+        this.currentGrouping = 'overall';
+        this.reportingCurrency = 'USD';
+        this.onEmployeeSelect = null;
         
         // Chart configuration
+        this.chart = null;
         this.chartConfig = {
-            width: 800,
-            height: 500,
-            margin: { top: 20, right: 80, bottom: 60, left: 80 },
             colors: {
                 primary: '#2563eb',
                 secondary: '#dc2626',
@@ -38,34 +39,34 @@ class PerformanceCompensationAnalysis {
             }
         };
         
-        // Performance rating mappings
-        this.performanceMap = {
-            'Exceeds Expectations': 5,
-            'Meets Expectations': 4,
-            'Below Expectations': 3,
-            'Needs Improvement': 2,
-            'Unsatisfactory': 1,
-            '5': 5, '4': 4, '3': 3, '2': 2, '1': 1
-        };
     }
 
     /**
      * Initialize the component with container element
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - { onEmployeeSelect: employeeId => void } for clicks on an employee
      */
-    init(container) {
+    init(container, options = {}) {
         this.container = container;
+        this.onEmployeeSelect = options.onEmployeeSelect || null;
         this.render();
         return this;
     }
 
+    /**
+     * Set the currency amounts are shown in (salaries are already in it)
+     */
+    setReportingCurrency(currency) {
+        this.reportingCurrency = currency || 'USD';
+    }
+
     /**
      * Update component with new employee data
      */
     updateData(employees) {
-        this.data = employees.filter(emp => 
-            emp.salary && emp.performanceRating && 
-            !isNaN(parseFloat(emp.salary)) && 
-            this.performanceMap[emp.performanceRating]
+        // Salaries are compared in the reporting currency
+        this.data = employeeAdapter.toModels(employees).filter(emp => 
+            emp.normalizedSalary !== null && emp.rating !== null
         );
         
         this.filteredData = [...this.data];
@@ -86,12 +87,12 @@ class PerformanceCompensationAnalysis {
             
             // Role filter
             if (filters.roles && filters.roles.length > 0) {
-                if (!filters.roles.includes(emp.jobTitle)) return false;
+                if (!filters.roles.includes(emp.title)) return false;
             }
             
             // Salary range filter
             if (filters.salaryRange) {
-                const salary = parseFloat(emp.salary);
+                const salary = emp.normalizedSalary;
                 if (salary < filters.salaryRange.min || salary > filters.salaryRange.max) {
                     return false;
                 }
@@ -99,7 +100,7 @@ class PerformanceCompensationAnalysis {
             
             // Performance filter
             if (filters.performance && filters.performance.length > 0) {
-                if (!filters.performance.includes(emp.performanceRating)) return false;
+                if (!filters.performance.includes(emp.rating)) return false;
             }
             
             return true;
@@ -121,8 +122,8 @@ class PerformanceCompensationAnalysis {
         
         // Overall correlation
         this.correlationData.overall = this.calculatePearsonCorrelation(
-            this.filteredData.map(emp => this.performanceMap[emp.performanceRating]),
-            this.filteredData.map(emp => parseFloat(emp.salary))
+            this.filteredData.map(emp => emp.rating),
+            this.filteredData.map(emp => emp.normalizedSalary)
         );
         
         // By country
@@ -132,21 +133,21 @@ class PerformanceCompensationAnalysis {
             const countryData = this.filteredData.filter(emp => emp.country === country);
             if (countryData.length >= 2) {
                 this.correlationData.byCountry[country] = this.calculatePearsonCorrelation(
-                    countryData.map(emp => this.performanceMap[emp.performanceRating]),
-                    countryData.map(emp => parseFloat(emp.salary))
+                    countryData.map(emp => emp.rating),
+                    countryData.map(emp => emp.normalizedSalary)
                 );
             }
         });
         
         // By role
         this.correlationData.byRole = {};
-        const roles = [...new Set(this.filteredData.map(emp => emp.jobTitle))];
+        const roles = [...new Set(this.filteredData.map(emp => emp.title))];
         roles.forEach(role => {
-            const roleData = this.filteredData.filter(emp => emp.jobTitle === role);
+            const roleData = this.filteredData.filter(emp => emp.title === role);
             if (roleData.length >= 2) {
                 this.correlationData.byRole[role] = this.calculatePearsonCorrelation(
-                    roleData.map(emp => this.performanceMap[emp.performanceRating]),
-                    roleData.map(emp => parseFloat(emp.salary))
+                    roleData.map(emp => emp.rating),
+                    roleData.map(emp => emp.normalizedSalary)
                 );
             }
         });
@@ -186,12 +187,12 @@ class PerformanceCompensationAnalysis {
         
         performanceLevels.forEach(level => {
             const levelData = this.filteredData.filter(emp => 
-                this.performanceMap[emp.performanceRating] === level
+                emp.rating === level
             );
             
             if (levelData.length < 4) return;
             
-            const salaries = levelData.map(emp => parseFloat(emp.salary)).sort((a, b) => a - b);
+            const salaries = levelData.map(emp => emp.normalizedSalary).sort((a, b) => a - b);
             const q1 = this.calculateQuartile(salaries, 0.25);
             const q3 = this.calculateQuartile(salaries, 0.75);
             const iqr = q3 - q1;
@@ -199,7 +200,7 @@ class PerformanceCompensationAnalysis {
             const upperBound = q3 + 1.5 * iqr;
             
             levelData.forEach(emp => {
-                const salary = parseFloat(emp.salary);
+                const salary = emp.normalizedSalary;
                 if (salary < lowerBound || salary > upperBound) {
                     this.outliers.push({
                         ...emp,
@@ -335,47 +336,8 @@ class PerformanceCompensationAnalysis {
         const canvas = this.container.querySelector('#performanceChart');
         if (!canvas) return;
         
-        this.ctx = canvas.getContext('2d');
-        this.setupCanvasInteraction(canvas);
-    }
-
-    /**
-     * Setup canvas interaction (hover, click)
-     */
-    setupCanvasInteraction(canvas) {
-        let tooltip = null;
-        
-        canvas.addEventListener('mousemove', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const hoveredPoint = this.findPointAtPosition(x, y);
-            
-            if (hoveredPoint) {
-                this.showTooltip(e, hoveredPoint);
-                canvas.style.cursor = 'pointer';
-            } else {
-                this.hideTooltip();
-                canvas.style.cursor = 'default';
-            }
-        });
-        
-        canvas.addEventListener('mouseleave', () => {
-            this.hideTooltip();
-            canvas.style.cursor = 'default';
-        });
-        
-        canvas.addEventListener('click', (e) => {
-            const rect = canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            const clickedPoint = this.findPointAtPosition(x, y);
-            if (clickedPoint) {
-                this.showEmployeeDetails(clickedPoint);
-            }
-        });
+        if (this.chart) this.chart.destroy();
+        this.chart = new ChartRenderer(canvas, { type: 'scatter', datasets: [] });
     }
 
     /**
@@ -422,127 +384,86 @@ class PerformanceCompensationAnalysis {
      * Render scatter plot
      */
     renderScatterPlot() {
-        if (!this.ctx || this.filteredData.length === 0) return;
-        
-        const { width, height, margin } = this.chartConfig;
-        const plotWidth = width - margin.left - margin.right;
-        const plotHeight = height - margin.top - margin.bottom;
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, width, height);
+        if (!this.chart) return;
         
-        // Calculate scales
-        const performanceValues = this.filteredData.map(emp => this.performanceMap[emp.performanceRating]);
-        const salaryValues = this.filteredData.map(emp => parseFloat(emp.salary));
-        
-        const xScale = {
-            min: Math.min(...performanceValues) - 0.5,
-            max: Math.max(...performanceValues) + 0.5,
-            range: plotWidth
-        };
-        
-        const yScale = {
-            min: Math.min(...salaryValues) * 0.9,
-            max: Math.max(...salaryValues) * 1.1,
-            range: plotHeight
-        };
-        
-        // Draw axes
-        this.drawAxes(xScale, yScale, margin);
-        
-        // Draw trend line
-        this.drawTrendLine(xScale, yScale, margin);
-        
-        // Draw data points
-        this.drawDataPoints(xScale, yScale, margin);
-        
-        // Draw outliers
-        this.drawOutliers(xScale, yScale, margin);
-    }
-
-    /**
-     * Draw chart axes
-     */
-    drawAxes(xScale, yScale, margin) {
-        const { ctx } = this;
-        
-        ctx.strokeStyle = '#e5e7eb';
-        ctx.lineWidth = 1;
-        
-        // X-axis
-        ctx.beginPath();
-        ctx.moveTo(margin.left, margin.top + yScale.range);
-        ctx.lineTo(margin.left + xScale.range, margin.top + yScale.range);
-        ctx.stroke();
-        
-        // Y-axis
-        ctx.beginPath();
-        ctx.moveTo(margin.left, margin.top);
-        ctx.lineTo(margin.left, margin.top + yScale.range);
-        ctx.stroke();
+        const toPoint = emp => ({
+            x: emp.rating,
+            y: emp.normalizedSalary,
+            employee: emp
+        });
+        const performanceValues = this.filteredData.map(emp => emp.rating);
+        const xMin = Math.min(...performanceValues) - 0.5;
+        const xMax = Math.max(...performanceValues) + 0.5;
         
-        // X-axis labels (Performance ratings)
-        ctx.fillStyle = '#374151';
-        ctx.font = '12px Arial';
-        ctx.textAlign = 'center';
+        // One dataset per group so the legend names the colours
+        const groups = {};
+        this.filteredData.forEach(emp => {
+            let group = 'Employees';
+            if (this.currentGrouping === 'country') {
+                group = emp.country;
+            } else if (this.currentGrouping === 'role') {
+                group = emp.title;
+            }
+            if (!groups[group]) groups[group] = [];
+            groups[group].push(emp);
+        });
         
-        for (let i = 1; i <= 5; i++) {
-            const x = margin.left + ((i - xScale.min) / (xScale.max - xScale.min)) * xScale.range;
-            ctx.fillText(i.toString(), x, margin.top + yScale.range + 20);
+        const datasets = Object.entries(groups).map(([group, employees]) => ({
+            label: group,
+            data: employees.map(toPoint),
+            color: this.currentGrouping === 'country' ? this.getCountryColor(group) :
+                   this.currentGrouping === 'role' ? this.getRoleColor(group) :
+                   this.chartConfig.colors.primary
+        }));
+        
+        if (this.filteredData.length >= 2) {
+            const regression = this.calculateLinearRegression(
+                performanceValues,
+                this.filteredData.map(emp => emp.normalizedSalary)
+            );
+            datasets.push({
+                label: 'Trend',
+                data: [xMin, xMax].map(x => ({ x, y: regression.slope * x + regression.intercept })),
+                color: this.chartConfig.colors.primary,
+                showLine: true,
+                dashed: true
+            });
         }
         
-        // Y-axis labels (Salary)
-        ctx.textAlign = 'right';
-        const yTicks = 5;
-        for (let i = 0; i <= yTicks; i++) {
-            const value = yScale.min + (yScale.max - yScale.min) * (i / yTicks);
-            const y = margin.top + yScale.range - (i / yTicks) * yScale.range;
-            ctx.fillText(this.formatCurrency(value), margin.left - 10, y + 4);
+        if (this.outliers.length > 0) {
+            datasets.push({
+                label: 'Outliers',
+                data: this.outliers.map(toPoint),
+                color: this.chartConfig.colors.outlier,
+                pointStyle: 'ring',
+                pointRadius: 8
+            });
         }
         
-        // Axis titles
-        ctx.textAlign = 'center';
-        ctx.font = '14px Arial';
-        ctx.fillText('Performance Rating', margin.left + xScale.range / 2, margin.top + yScale.range + 50);
-        
-        ctx.save();
-        ctx.translate(20, margin.top + yScale.range / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Salary', 0, 0);
-        ctx.restore();
-    }
-
-    /**
-     * Draw trend line
-     */
-    drawTrendLine(xScale, yScale, margin) {
-        if (this.filteredData.length < 2) return;
-        
-        const performanceValues = this.filteredData.map(emp => this.performanceMap[emp.performanceRating]);
-        const salaryValues = this.filteredData.map(emp => parseFloat(emp.salary));
-        
-        // Calculate linear regression
-        const regression = this.calculateLinearRegression(performanceValues, salaryValues);
-        
-        this.ctx.strokeStyle = this.chartConfig.colors.primary;
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
-        
-        this.ctx.beginPath();
-        
-        const x1 = margin.left;
-        const y1 = margin.top + yScale.range - 
-            ((regression.slope * xScale.min + regression.intercept - yScale.min) / (yScale.max - yScale.min)) * yScale.range;
-        
-        const x2 = margin.left + xScale.range;
-        const y2 = margin.top + yScale.range - 
-            ((regression.slope * xScale.max + regression.intercept - yScale.min) / (yScale.max - yScale.min)) * yScale.range;
-        
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.stroke();
-        
-        this.ctx.setLineDash([]);
+        this.chart.update({
+            type: 'scatter',
+            datasets: this.filteredData.length > 0 ? datasets : [],
+            xMin,
+            xMax,
+            xTicks: [1, 2, 3, 4, 5],
+            xLabel: 'Performance Rating',
+            yLabel: 'Salary',
+            formatY: value => this.formatCurrency(value),
+            tooltip: item => {
+                const emp = item.point.employee;
+                if (!emp) return item.dataset.label;
+                return [
+                    emp.name,
+                    `Role: ${emp.title}`,
+                    `Performance: ${emp.rating}`,
+                    `Salary: ${this.formatCurrency(emp.normalizedSalary)}`,
+                    `Country: ${emp.country}`
+                ];
+            },
+            onClick: item => {
+                if (item.point.employee) this.showEmployeeDetails(item.point);
+            }
+        });
     }
 
     /**
@@ -561,62 +482,6 @@ class PerformanceCompensationAnalysis {
         return { slope, intercept };
     }
 
-    /**
-     * Draw data points
-     */
-    drawDataPoints(xScale, yScale, margin) {
-        this.dataPoints = []; // Store for interaction
-        
-        this.filteredData.forEach(emp => {
-            const performance = this.performanceMap[emp.performanceRating];
-            const salary = parseFloat(emp.salary);
-            
-            const x = margin.left + ((performance - xScale.min) / (xScale.max - xScale.min)) * xScale.range;
-            const y = margin.top + yScale.range - ((salary - yScale.min) / (yScale.max - yScale.min)) * yScale.range;
-            
-            // Store point for interaction
-            this.dataPoints.push({ x, y, employee: emp });
-            
-            // Determine color based on country or role
-            let color = this.chartConfig.colors.primary;
-            if (this.currentGrouping === 'country') {
-                color = this.getCountryColor(emp.country);
-            } else if (this.currentGrouping === 'role') {
-                color = this.getRoleColor(emp.jobTitle);
-            }
-            
-            this.ctx.fillStyle = color;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 4, 0, 2 * Math.PI);
-            this.ctx.fill();
-            
-            // Add border for better visibility
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 1;
-            this.ctx.stroke();
-        });
-    }
-
-    /**
-     * Draw outliers with special highlighting
-     */
-    drawOutliers(xScale, yScale, margin) {
-        this.outliers.forEach(outlier => {
-            const performance = this.performanceMap[outlier.performanceRating];
-            const salary = parseFloat(outlier.salary);
-            
-            const x = margin.left + ((performance - xScale.min) / (xScale.max - xScale.min)) * xScale.range;
-            const y = margin.top + yScale.range - ((salary - yScale.min) / (yScale.max - yScale.min)) * yScale.range;
-            
-            // Draw outlier ring
-            this.ctx.strokeStyle = this.chartConfig.colors.outlier;
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.arc(x, y, 8, 0, 2 * Math.PI);
-            this.ctx.stroke();
-        });
-    }
-
     /**
      * Get color for country grouping
      */
@@ -637,7 +502,7 @@ class PerformanceCompensationAnalysis {
             '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2',
             '#be185d', '#059669', '#ea580c', '#4338ca'
         ];
-        const roles = [...new Set(this.filteredData.map(emp => emp.jobTitle))];
+        const roles = [...new Set(this.filteredData.map(emp => emp.title))];
         const index = roles.indexOf(role) % colors.length;
         return colors[index];
     }
@@ -669,7 +534,7 @@ class PerformanceCompensationAnalysis {
                 const strength = this.getCorrelationStrength(correlation);
                 html += `
                     <div class="stat-item">
-                        <span class="stat-label">${country}:</span>
+                        <span class="stat-label">${this.escapeHtml(country)}:</span>
                         <span class="stat-value ${strength.class}">${correlation.toFixed(3)}</span>
                     </div>
                 `;
@@ -717,7 +582,7 @@ class PerformanceCompensationAnalysis {
             </div>
             <div class="stat-item">
                 <span class="stat-label">Outlier Rate:</span>
-                <span class="stat-value">${((totalOutliers / this.filteredData.length) * 100).toFixed(1)}%</span>
+                <span class="stat-value">${this.filteredData.length > 0 ? ((totalOutliers / this.filteredData.length) * 100).toFixed(1) : '0.0'}%</span>
             </div>
         `;
     }
@@ -878,7 +743,7 @@ class PerformanceCompensationAnalysis {
     calculatePerformanceDistribution() {
         const distribution = {};
         this.filteredData.forEach(emp => {
-            const rating = emp.performanceRating;
+            const rating = emp.rating;
             distribution[rating] = (distribution[rating] || 0) + 1;
         });
         return distribution;
@@ -890,11 +755,11 @@ class PerformanceCompensationAnalysis {
     calculateSalaryStatistics() {
         const stats = {};
         
-        const performanceRatings = [...new Set(this.filteredData.map(emp => emp.performanceRating))];
+        const performanceRatings = [...new Set(this.filteredData.map(emp => emp.rating))];
         
         performanceRatings.forEach(rating => {
-            const ratingData = this.filteredData.filter(emp => emp.performanceRating === rating);
-            const salaries = ratingData.map(emp => parseFloat(emp.salary)).sort((a, b) => a - b);
+            const ratingData = this.filteredData.filter(emp => emp.rating === rating);
+            const salaries = ratingData.map(emp => emp.normalizedSalary).sort((a, b) => a - b);
             
             if (salaries.length > 0) {
                 stats[rating] = {
@@ -916,7 +781,7 @@ class PerformanceCompensationAnalysis {
     formatCurrency(value) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency: this.reportingCurrency,
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
         }).format(value);
@@ -940,64 +805,310 @@ class PerformanceCompensationAnalysis {
     }
 
     /**
-     * Find point at canvas position
+     * Show detailed employee information
      */
-    findPointAtPosition(x, y) {
-        if (!this.dataPoints) return null;
+    showEmployeeDetails(point) {
+        const emp = point.employee;
+        const isOutlier = this.outliers.find(o => o.id === emp.id);
         
-        return this.dataPoints.find(point => {
-            const distance = Math.sqrt(Math.pow(point.x - x, 2) + Math.pow(point.y - y, 2));
-            return distance <= 6; // 6px tolerance
+        console.log('Employee details:', emp.name, isOutlier ? `(${isOutlier.outlierType} outlier)` : '');
+        if (this.onEmployeeSelect) {
+            this.onEmployeeSelect(emp.id);
+        }
+    }
+
+    /**
+     * Render the performance-pay correlation of each country or role
+     */
+    renderCorrelationChart() {
+        if (!this.chart) return;
+
+        const byGroup = this.currentGrouping === 'role' ? this.correlationData.byRole : this.correlationData.byCountry;
+        const groups = Object.entries(byGroup || {});
+        if (this.correlationData.overall !== undefined) {
+            groups.unshift(['Overall', this.correlationData.overall]);
+        }
+
+        this.chart.update({
+            type: 'bar',
+            title: `Performance-Pay Correlation by ${this.currentGrouping === 'role' ? 'Role' : 'Country'}`,
+            labels: groups.map(([group]) => group),
+            datasets: [{
+                label: 'Correlation',
+                data: groups.map(([, correlation]) => correlation),
+                colors: value => this.getCorrelationColor(value)
+            }],
+            yMin: -1,
+            yMax: 1,
+            yLabel: 'Correlation',
+            formatY: value => value.toFixed(1),
+            emptyMessage: 'At least two rated employees are needed for a correlation',
+            tooltip: item => [item.label, `Correlation: ${item.value.toFixed(3)}`, this.getCorrelationStrength(item.value).description]
         });
     }
 
     /**
-     * Show tooltip for hovered point
+     * Colour for a correlation - green when pay follows performance, red when it doesn't
      */
-    showTooltip(event, point) {
-        let tooltip = document.querySelector('.chart-tooltip');
-        if (!tooltip) {
-            tooltip = document.createElement('div');
-            tooltip.className = 'chart-tooltip';
-            document.body.appendChild(tooltip);
+    getCorrelationColor(correlation) {
+        if (correlation >= 0.5) return this.chartConfig.colors.success;
+        if (correlation >= 0.3) return this.chartConfig.colors.warning;
+        return this.chartConfig.colors.secondary;
+    }
+
+    /**
+     * Render everyone's salary by rating with the outliers for their rating picked out
+     */
+    renderOutlierChart() {
+        if (!this.chart) return;
+
+        const outlierIds = new Set(this.outliers.map(outlier => outlier.id));
+        const toPoint = emp => ({ x: emp.rating, y: emp.normalizedSalary, employee: emp });
+
+        const datasets = [
+            { label: 'Within range', color: this.chartConfig.colors.neutral, data: this.filteredData.filter(emp => !outlierIds.has(emp.id)).map(toPoint) },
+            { label: 'Low for rating', color: this.chartConfig.colors.outlier, data: this.outliers.filter(o => o.outlierType === 'low').map(toPoint) },
+            { label: 'High for rating', color: this.chartConfig.colors.warning, data: this.outliers.filter(o => o.outlierType === 'high').map(toPoint) }
+        ].filter(dataset => dataset.data.length > 0);
+
+        this.chart.update({
+            type: 'scatter',
+            title: `Salary Outliers by Rating (${this.outliers.length})`,
+            datasets: this.filteredData.length > 0 ? datasets : [],
+            xMin: 0.5,
+            xMax: 5.5,
+            xTicks: [1, 2, 3, 4, 5],
+            xLabel: 'Performance Rating',
+            yLabel: 'Salary',
+            formatY: value => this.formatCurrency(value),
+            tooltip: item => {
+                const emp = item.point.employee;
+                const lines = [emp.name, `${emp.title}, ${emp.country}`, `Performance: ${emp.rating}`, `Salary: ${this.formatCurrency(emp.normalizedSalary)}`];
+                if (emp.expectedRange) {
+                    lines.push(`Expected: ${this.formatCurrency(Math.max(0, emp.expectedRange.min))} - ${this.formatCurrency(emp.expectedRange.max)}`);
+                }
+                return lines;
+            },
+            onClick: item => this.showEmployeeDetails(item.point)
+        });
+    }
+
+    /**
+     * Render the salary range of each performance rating
+     */
+    renderPerformanceBands() {
+        if (!this.chart) return;
+
+        const ratings = [...new Set(this.filteredData.map(emp => emp.rating))].sort((a, b) => a - b);
+        const medians = ratings.map(rating => this.calculateQuartile(
+            this.filteredData.filter(emp => emp.rating === rating).map(emp => emp.normalizedSalary).sort((a, b) => a - b), 0.5));
+
+        this.chart.update({
+            type: 'boxplot',
+            title: 'Salary Bands by Performance Rating',
+            labels: ratings.map(rating => `Rating ${rating}`),
+            datasets: [{
+                label: 'Salary',
+                data: ratings.map(rating => this.filteredData.filter(emp => emp.rating === rating).map(emp => emp.normalizedSalary)),
+                // Amber when a rating's median pay is below the rating under it
+                colors: (stats, index) => index > 0 && medians[index] < medians[index - 1]
+                    ? this.chartConfig.colors.warning
+                    : this.chartConfig.colors.primary
+            }],
+            formatY: value => this.formatCurrency(value)
+        });
+    }
+
+    /**
+     * Update correlation details tab - correlation and pay per rating point for each group
+     */
+    updateCorrelationAnalysis() {
+        const container = this.container.querySelector('#correlationAnalysis');
+        if (!container) return;
+
+        if (this.correlationData.overall === undefined) {
+            container.innerHTML = '<p>At least two rated employees are needed for a correlation.</p>';
+            return;
         }
-        
-        const emp = point.employee;
-        tooltip.innerHTML = `
-            <div class="tooltip-header">${emp.name}</div>
-            <div class="tooltip-content">
-                <div>Role: ${emp.jobTitle}</div>
-                <div>Performance: ${emp.performanceRating}</div>
-                <div>Salary: ${this.formatCurrency(emp.salary)}</div>
-                <div>Country: ${emp.country}</div>
+
+        const row = (label, employees, correlation) => {
+            const strength = this.getCorrelationStrength(correlation);
+            const { slope } = this.calculateLinearRegression(employees.map(emp => emp.rating), employees.map(emp => emp.normalizedSalary));
+            return `
+                <tr>
+                    <td>${this.escapeHtml(label)}</td>
+                    <td>${employees.length}</td>
+                    <td class="stat-value ${strength.class}">${correlation.toFixed(3)}</td>
+                    <td>${strength.description}</td>
+                    <td>${isFinite(slope) ? this.formatCurrency(slope) : '-'}</td>
+                </tr>
+            `;
+        };
+        const section = (title, correlations, groupOf) => Object.keys(correlations).length === 0 ? '' : `
+            <tr class="group-row"><th colspan="5">${title}</th></tr>
+            ${Object.entries(correlations).map(([group, correlation]) =>
+                row(group, this.filteredData.filter(emp => groupOf(emp) === group), correlation)).join('')}
+        `;
+
+        container.innerHTML = `
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Group</th>
+                            <th>Employees</th>
+                            <th>Correlation</th>
+                            <th>Strength</th>
+                            <th>Pay per Rating Point</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Overall', this.filteredData, this.correlationData.overall)}
+                        ${section('By Country', this.correlationData.byCountry || {}, emp => emp.country)}
+                        ${section('By Role', this.correlationData.byRole || {}, emp => emp.title)}
+                    </tbody>
+                </table>
             </div>
+            <p class="model-note">Pay per rating point is the slope of the trend line: how much more each extra rating point is paid.</p>
         `;
-        
-        tooltip.style.display = 'block';
-        tooltip.style.left = event.pageX + 10 + 'px';
-        tooltip.style.top = event.pageY - 10 + 'px';
     }
 
     /**
-     * Hide tooltip
+     * Update outlier details tab
      */
-    hideTooltip() {
-        const tooltip = document.querySelector('.chart-tooltip');
-        if (tooltip) {
-            tooltip.style.display = 'none';
+    updateOutlierAnalysis() {
+        const container = this.container.querySelector('#outlierAnalysis');
+        if (!container) return;
+
+        if (this.outliers.length === 0) {
+            container.innerHTML = '<p>No salary outliers - everyone is paid within the usual range for their rating (ratings need four or more employees to be checked).</p>';
+            return;
         }
+
+        const outliers = [...this.outliers].sort((a, b) => b.deviation - a.deviation);
+
+        container.innerHTML = `
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Employee</th>
+                            <th>Role</th>
+                            <th>Country</th>
+                            <th>Rating</th>
+                            <th>Salary</th>
+                            <th>Expected Range</th>
+                            <th>Outside By</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${outliers.map(outlier => `
+                            <tr class="clickable-row" data-employee-id="${this.escapeHtml(String(outlier.id))}">
+                                <td>${this.escapeHtml(outlier.name)}</td>
+                                <td>${this.escapeHtml(outlier.title)}</td>
+                                <td>${this.escapeHtml(outlier.country)}</td>
+                                <td>${outlier.rating}</td>
+                                <td>${this.formatCurrency(outlier.normalizedSalary)}</td>
+                                <td>${this.formatCurrency(Math.max(0, outlier.expectedRange.min))} - ${this.formatCurrency(outlier.expectedRange.max)}</td>
+                                <td class="${outlier.outlierType === 'low' ? 'negative' : 'positive'}">
+                                    ${outlier.outlierType === 'low' ? '-' : '+'}${outlier.deviation.toFixed(1)}%
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('tr[data-employee-id]').forEach(rowElement => {
+            rowElement.addEventListener('click', () => {
+                const outlier = this.outliers.find(o => String(o.id) === rowElement.dataset.employeeId);
+                if (outlier) this.showEmployeeDetails({ employee: outlier });
+            });
+        });
     }
 
     /**
-     * Show detailed employee information
+     * Update recommendations tab
      */
-    showEmployeeDetails(point) {
-        const emp = point.employee;
-        const isOutlier = this.outliers.find(o => o.name === emp.name);
-        
-        // Create modal or detailed view
-        console.log('Employee details:', emp, isOutlier);
-        // Implementation would show a detailed modal
+    updateRecommendations() {
+        const container = this.container.querySelector('#recommendationsContent');
+        if (!container) return;
+
+        const recommendations = [];
+        const names = employees => employees.slice(0, 5).map(emp => this.escapeHtml(emp.name)).join(', ') +
+            (employees.length > 5 ? ` and ${employees.length - 5} more` : '');
+
+        const lowOutliers = this.outliers.filter(o => o.outlierType === 'low');
+        if (lowOutliers.length > 0) {
+            recommendations.push({
+                type: 'warning',
+                icon: '📉',
+                title: 'Review Underpaid Employees',
+                description: `${names(lowOutliers)} ${lowOutliers.length === 1 ? 'is' : 'are'} paid well below others with the same rating. Consider equity adjustments in this raise cycle.`
+            });
+        }
+
+        const highOutliers = this.outliers.filter(o => o.outlierType === 'high');
+        if (highOutliers.length > 0) {
+            recommendations.push({
+                type: 'info',
+                icon: '💰',
+                title: 'Check High Earners for Their Rating',
+                description: `${names(highOutliers)} ${highOutliers.length === 1 ? 'is' : 'are'} paid well above others with the same rating. Check the premium is intended before adding to it.`
+            });
+        }
+
+        if (this.correlationData.overall !== undefined && this.correlationData.overall < 0.3) {
+            recommendations.push({
+                type: 'warning',
+                icon: '🎯',
+                title: 'Tie Raises to Performance',
+                description: 'Pay barely follows performance. Use a merit matrix so higher ratings get larger raises and close the gap over time.'
+            });
+        }
+
+        const weakCountries = Object.entries(this.correlationData.byCountry || {})
+            .filter(([, correlation]) => correlation < 0.3)
+            .map(([country]) => this.escapeHtml(country));
+        if (weakCountries.length > 0 && Object.keys(this.correlationData.byCountry).length > 1) {
+            recommendations.push({
+                type: 'info',
+                icon: '🌍',
+                title: 'Countries with Weak Alignment',
+                description: `Pay follows performance weakly in ${weakCountries.join(', ')}. Review these with the local managers.`
+            });
+        }
+
+        if (recommendations.length === 0) {
+            recommendations.push({
+                type: 'success',
+                icon: '✅',
+                title: 'Pay Follows Performance',
+                description: 'No outliers and no weak performance-pay alignment found.'
+            });
+        }
+
+        container.innerHTML = recommendations.map(recommendation => `
+            <div class="insight-item ${recommendation.type}">
+                <div class="insight-icon">${recommendation.icon}</div>
+                <div class="insight-content">
+                    <div class="insight-title">${recommendation.title}</div>
+                    <div class="insight-description">${recommendation.description}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
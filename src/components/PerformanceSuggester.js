@@ -12,6 +12,7 @@ class SalaryRaiseSuggesterComponent {
         this.onSuggestionApplied = null;
         this.onSuggestionSkipped = null;
         this.onAllCompleted = null;
+        this.recordChange = (label, employees, change) => change();
     }
 
     /**
@@ -27,6 +28,8 @@ class SalaryRaiseSuggesterComponent {
         this.onSuggestionApplied = callbacks.onApplied;
         this.onSuggestionSkipped = callbacks.onSkipped;
         this.onAllCompleted = callbacks.onCompleted;
+        // Wraps salary changes, e.g. to add them to the undo history
+        this.recordChange = callbacks.recordChange || ((label, employees, change) => change());
 
         this.render();
         this.attachEventListeners();
@@ -261,20 +264,24 @@ class SalaryRaiseSuggesterComponent {
             return;
         }
 
+        const employeeName = current.employeeName || current.employee?.name || 'Employee';
+
         // Apply the raise to the employee
-        if (current.employee && current.employee.salary) {
-            const newSalary = current.employee.salary.amount + finalRaise;
-            current.employee.salary = {
-                ...current.employee.salary,
-                amount: newSalary,
-                formatted: new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: current.employee.salary.currency || 'USD',
-                    minimumFractionDigits: 0,
-                    maximumFractionDigits: 0
-                }).format(newSalary)
-            };
-        }
+        this.recordChange(`Apply suggested raise to ${employeeName}`, current.employee ? [current.employee] : [], () => {
+            if (current.employee && current.employee.salary) {
+                const newSalary = current.employee.salary.amount + finalRaise;
+                current.employee.salary = {
+                    ...current.employee.salary,
+                    amount: newSalary,
+                    formatted: new Intl.NumberFormat('en-US', {
+                        style: 'currency',
+                        currency: current.employee.salary.currency || 'USD',
+                        minimumFractionDigits: 0,
+                        maximumFractionDigits: 0
+                    }).format(newSalary)
+                };
+            }
+        });
         current.applied = true;
         current.appliedRaise = finalRaise;
 
@@ -283,7 +290,6 @@ class SalaryRaiseSuggesterComponent {
             this.onSuggestionApplied(current, finalRaise);
         }
 
-        const employeeName = current.employeeName || current.employee?.name || 'Employee';
         const raiseFormatted = new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: current.employee?.salary?.currency || 'USD',
@@ -321,10 +327,14 @@ class SalaryRaiseSuggesterComponent {
             return;
         }
 
+        const remaining = this.suggestions.slice(this.currentIndex)
+            .filter(suggestion => !suggestion.applied && !suggestion.skipped && suggestion.suggestedRaise?.rawAmount);
+        const employees = remaining.map(suggestion => suggestion.employee).filter(Boolean);
+
         let appliedCount = 0;
-        for (let i = this.currentIndex; i < this.suggestions.length; i++) {
-            const suggestion = this.suggestions[i];
-            if (!suggestion.applied && !suggestion.skipped && suggestion.suggestedRaise?.rawAmount) {
+        // One history entry, so a single undo takes back all of them
+        this.recordChange(`Apply ${remaining.length} suggested raises`, employees, () => {
+            remaining.forEach(suggestion => {
                 const raiseAmount = suggestion.suggestedRaise.rawAmount;
                 if (suggestion.employee && suggestion.employee.salary) {
                     const newSalary = suggestion.employee.salary.amount + raiseAmount;
@@ -342,11 +352,11 @@ class SalaryRaiseSuggesterComponent {
                 suggestion.applied = true;
                 suggestion.appliedRaise = raiseAmount;
                 appliedCount++;
+            });
+        });
 
-                if (this.onSuggestionApplied) {
-                    this.onSuggestionApplied(suggestion, raiseAmount);
-                }
-            }
+        if (this.onSuggestionApplied) {
+            remaining.forEach(suggestion => this.onSuggestionApplied(suggestion, suggestion.appliedRaise));
         }
 
         this.showNotification(`Applied ${appliedCount} salary raises`, 'success');
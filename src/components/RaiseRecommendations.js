@@ -5,14 +5,27 @@
  * justifications, and interactive editing capabilities.
  */
 
-// Note: This component depends on raiseCalculator.js being loaded first
+// Note: This component depends on raiseCalculator.js being loaded first,
+// and records decisions in the shared undo history (historyManager.js)
+
+// Recommendation fields a custom raise, approval or rejection changes
+const DECISION_FIELDS = ['recommendation', 'validation', 'status', 'justification'];
 
 class RaiseRecommendations {
-    constructor(container) {
+    /**
+     * @param {HTMLElement} container - Element the recommendations are rendered into
+     * @param {Object} options - { onChange: () => void, called when recommendations or decisions change }
+     */
+    constructor(container, options = {}) {
         this.container = container;
+        this.onChange = options.onChange || (() => {});
         this.employees = [];
         this.recommendations = [];
+        // Decisions for employees no longer in the data (e.g. merged away), by employee id
+        this.detachedDecisions = new Map();
         this.selectedEmployee = null;
+        this.raiseSettings = { ...DEFAULT_RAISE_SETTINGS };
+        this.referenceScore = null;
         this.filters = {
             performance: 'all',
             country: 'all',
@@ -223,6 +236,41 @@ class RaiseRecommendations {
     setEmployees(employees) {
         this.employees = employees;
         console.log(`Raise recommendations loaded ${employees.length} employees`);
+        
+        if (this.recommendations.length > 0) {
+            this.recalculateRecommendations();
+        }
+    }
+    
+    setRaiseSettings(settings) {
+        this.raiseSettings = { ...DEFAULT_RAISE_SETTINGS, ...settings };
+        
+        if (this.recommendations.length > 0) {
+            this.recalculateRecommendations();
+        }
+    }
+    
+    getRecommendations() {
+        return this.recommendations;
+    }
+    
+    getSessionState() {
+        return {
+            recommendations: this.recommendations,
+            detachedDecisions: [...this.detachedDecisions.values()]
+        };
+    }
+    
+    restoreSessionState(state) {
+        if (!state || !Array.isArray(state.recommendations)) return;
+        
+        // Restores custom raises and approval status set during the session
+        this.recommendations = state.recommendations;
+        this.detachedDecisions = new Map((state.detachedDecisions || []).map(rec => [rec.id, rec]));
+        if (this.recommendations.length > 0) {
+            this.displayRecommendations();
+        }
+        this.onChange();
     }
     
     generateRecommendations() {
@@ -231,36 +279,82 @@ class RaiseRecommendations {
             return;
         }
         
+        this.referenceScore = calculateAverageRaiseScore(this.employees, this.raiseSettings);
+        this.recommendations = this.employees.map(employee => this.buildRecommendation(employee));
+        
+        this.displayRecommendations();
+        this.onChange();
+        console.log('Generated recommendations:', this.recommendations);
+    }
+    
+    recalculateRecommendations() {
+        // Approved, rejected and custom raises are decisions - only pending ones follow the settings
+        const decided = new Map(this.detachedDecisions);
+        this.recommendations
+            .filter(rec => rec.status !== 'pending')
+            .forEach(rec => decided.set(rec.id, rec));
+        
+        this.referenceScore = calculateAverageRaiseScore(this.employees, this.raiseSettings);
         this.recommendations = this.employees.map(employee => {
-            const country = employee.country || 'US';
-            const constraints = COUNTRY_CONSTRAINTS[country] || COUNTRY_CONSTRAINTS['US'];
-            
-            // Calculate recommended raise
-            const recommendation = calculateRecommendedRaise(employee, constraints);
-            
-            // Validate the recommendation
-            const validation = validateRaise(employee, recommendation.percentage);
-            
-            // Generate justification
-            const justification = this.generateJustification(employee, recommendation, constraints);
-            
-            // Calculate risk level
-            const riskLevel = this.calculateRiskLevel(employee);
-            
-            return {
-                ...employee,
-                recommendation,
-                validation,
-                justification,
-                riskLevel,
-                constraints,
-                status: 'pending', // pending, approved, rejected, custom
-                selected: false
-            };
+            const existing = decided.get(employee.id);
+            decided.delete(employee.id);
+            return existing ? this.relinkDecision(existing, employee) : this.buildRecommendation(employee);
         });
         
+        // Keep decisions for employees merged away, so splitting the merged record brings them back
+        this.detachedDecisions = decided;
+        
         this.displayRecommendations();
-        console.log('Generated recommendations:', this.recommendations);
+        this.onChange();
+        console.log(`Recalculated recommendations, ${decided.size} decisions kept for employees no longer in the data`);
+    }
+    
+    /**
+     * Carry a decided recommendation over to the employee's current record
+     * @param {Object} rec - Decided recommendation
+     * @param {Object} employee - Current employee record with the same id
+     * @returns {Object} Recommendation with the employee's current data and the decision
+     */
+    relinkDecision(rec, employee) {
+        const decision = {};
+        DECISION_FIELDS.forEach(field => {
+            if (field in rec) decision[field] = rec[field];
+        });
+        
+        return {
+            ...employee,
+            ...decision,
+            riskLevel: this.calculateRiskLevel(employee),
+            constraints: getCountryPolicy(employee),
+            selected: rec.selected || false
+        };
+    }
+    
+    buildRecommendation(employee) {
+        const constraints = getCountryPolicy(employee);
+        
+        // Calculate recommended raise from the weighted raise score
+        const recommendation = calculateRecommendedRaise(employee, constraints, this.raiseSettings, this.referenceScore);
+        
+        // Validate the recommendation
+        const validation = validateRaise(employee, recommendation.percentage);
+        
+        // Generate justification
+        const justification = this.generateJustification(employee, recommendation, constraints);
+        
+        // Calculate risk level
+        const riskLevel = this.calculateRiskLevel(employee);
+        
+        return {
+            ...employee,
+            recommendation,
+            validation,
+            justification,
+            riskLevel,
+            constraints,
+            status: 'pending', // pending, approved, rejected, custom
+            selected: false
+        };
     }
     
     generateJustification(employee, recommendation, constraints) {
@@ -275,7 +369,7 @@ class RaiseRecommendations {
             1: 'performance below expectations requiring development'
         };
         
-        justifications.push(`Based on ${performanceText[employee.performance] || 'performance rating'}`);
+        justifications.push(`Based on ${performanceText[toEmployeeModel(employee).rating] || 'performance rating'}`);
         
         // Risk factor justifications
         if (employee.riskIndicators && employee.riskIndicators.length > 0) {
@@ -306,20 +400,30 @@ class RaiseRecommendations {
             }
         }
         
+        // Pay range adjustments
+        if (recommendation.rangeAdjustment === 'raised_to_min') {
+            justifications.push(recommendation.reachesRangeMin
+                ? 'raised to reach pay range minimum'
+                : `raise needed to reach pay range minimum (${(recommendation.rangeTargets.toMin * 100).toFixed(1)}%) exceeds country maximum`);
+        } else if (recommendation.rangeAdjustment === 'capped_at_max') {
+            justifications.push('raise capped at pay range maximum');
+        }
+        
         // Country-specific context
         const raisePercent = (recommendation.percentage * 100).toFixed(1);
         const typicalRange = `${(constraints.typicalRange.min * 100).toFixed(1)}%-${(constraints.typicalRange.max * 100).toFixed(1)}%`;
-        justifications.push(`${raisePercent}% raise within ${employee.country || 'US'} typical range (${typicalRange})`);
+        justifications.push(`${raisePercent}% raise within ${constraints.countryName} typical range (${typicalRange})`);
         
         return justifications.join('; ');
     }
     
     calculateRiskLevel(employee) {
+        const model = toEmployeeModel(employee);
         let riskScore = 0;
         
         // Performance risk
-        if (employee.performance <= 2) riskScore += 2;
-        else if (employee.performance >= 4) riskScore -= 1;
+        if (model.rating !== null && model.rating <= 2) riskScore += 2;
+        else if (model.rating >= 4) riskScore -= 1;
         
         // Flight risk indicators
         if (employee.riskIndicators && employee.riskIndicators.includes('flight_risk')) {
@@ -327,11 +431,11 @@ class RaiseRecommendations {
         }
         
         // Tenure risk
-        if (employee.tenure && employee.tenure < 1) riskScore += 1;
-        else if (employee.tenure && employee.tenure > 5) riskScore -= 1;
+        if (model.tenureYears !== null && model.tenureYears < 1) riskScore += 1;
+        else if (model.tenureYears > 5) riskScore -= 1;
         
         // Salary positioning risk
-        if (employee.comparatio && employee.comparatio < 0.8) riskScore += 2;
+        if (model.comparatio && model.comparatio < 0.8) riskScore += 2;
         
         if (riskScore >= 3) return 'high';
         if (riskScore >= 1) return 'medium';
@@ -358,7 +462,7 @@ class RaiseRecommendations {
             ? (filtered.reduce((sum, rec) => sum + rec.recommendation.percentage, 0) / filtered.length * 100).toFixed(1)
             : 0;
         const approvalCount = filtered.filter(rec => rec.validation.requiresApproval).length;
-        const highPerformers = filtered.filter(rec => rec.performance >= 4).length;
+        const highPerformers = filtered.filter(rec => toEmployeeModel(rec).rating >= 4).length;
         
         document.getElementById('total-employees').textContent = totalEmployees;
         document.getElementById('average-raise').textContent = `${averageRaise}%`;
@@ -370,55 +474,59 @@ class RaiseRecommendations {
         const tbody = document.getElementById('recommendations-tbody');
         const filtered = this.getFilteredRecommendations();
         
-        tbody.innerHTML = filtered.map((rec, index) => `
-            <tr class="recommendation-row ${rec.validation.requiresApproval ? 'requires-approval' : ''} ${rec.status}">
-                <td>
-                    <input type="checkbox" class="employee-checkbox" data-index="${index}" ${rec.selected ? 'checked' : ''}>
-                </td>
-                <td>
-                    <div class="employee-info">
-                        <strong>${rec.name}</strong>
-                        <small>${rec.title || 'N/A'}</small>
-                        <small>${rec.country || 'N/A'}</small>
-                    </div>
-                </td>
-                <td>
-                    <span class="performance-badge performance-${rec.performance}">
-                        ${rec.performance}/5
-                    </span>
-                </td>
-                <td>${this.formatCurrency(rec.currentSalary)}</td>
-                <td>
-                    <div class="raise-recommendation">
-                        <strong>${(rec.recommendation.percentage * 100).toFixed(1)}%</strong>
-                        <small>${this.formatCurrency(rec.currentSalary * rec.recommendation.percentage)}</small>
-                    </div>
-                </td>
-                <td>${this.formatCurrency(rec.currentSalary * (1 + rec.recommendation.percentage))}</td>
-                <td>
-                    <div class="justification-text">
-                        ${rec.justification}
-                    </div>
-                </td>
-                <td>
-                    <span class="risk-badge risk-${rec.riskLevel}">${rec.riskLevel.toUpperCase()}</span>
-                    ${rec.recommendation.appliedRiskFactors.map(factor => 
-                        `<span class="risk-factor">${factor.replace('_', ' ')}</span>`
-                    ).join('')}
-                </td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="btn btn-sm btn-outline view-detail" data-index="${index}">
-                            View Details
-                        </button>
-                        <button class="btn btn-sm btn-success approve-btn" data-index="${index}" 
-                                ${rec.status === 'approved' ? 'disabled' : ''}>
-                            ${rec.status === 'approved' ? 'Approved' : 'Approve'}
-                        </button>
-                    </div>
-                </td>
-            </tr>
-        `).join('');
+        tbody.innerHTML = filtered.map((rec, index) => {
+            const rating = toEmployeeModel(rec).rating;
+            const amounts = this.getRaiseAmounts(rec);
+            return `
+                <tr class="recommendation-row ${rec.validation.requiresApproval ? 'requires-approval' : ''} ${rec.status}">
+                    <td>
+                        <input type="checkbox" class="employee-checkbox" data-index="${index}" ${rec.selected ? 'checked' : ''}>
+                    </td>
+                    <td>
+                        <div class="employee-info">
+                            <strong>${rec.name}</strong>
+                            <small>${rec.title || 'N/A'}</small>
+                            <small>${rec.country || 'N/A'}</small>
+                        </div>
+                    </td>
+                    <td>
+                        <span class="performance-badge performance-${rating || 'none'}">
+                            ${rating ? `${rating}/5` : 'Not rated'}
+                        </span>
+                    </td>
+                    <td>${this.formatCurrency(amounts.current, amounts.currency)}</td>
+                    <td>
+                        <div class="raise-recommendation" title="${this.getBreakdownTooltip(rec.recommendation)}">
+                            <strong>${(rec.recommendation.percentage * 100).toFixed(1)}%</strong>
+                            <small>${this.formatCurrency(amounts.raise, amounts.currency)}</small>
+                        </div>
+                    </td>
+                    <td>${this.formatCurrency(amounts.newSalary, amounts.currency)}</td>
+                    <td>
+                        <div class="justification-text">
+                            ${rec.justification}
+                        </div>
+                    </td>
+                    <td>
+                        <span class="risk-badge risk-${rec.riskLevel}">${rec.riskLevel.toUpperCase()}</span>
+                        ${rec.recommendation.appliedRiskFactors.map(factor => 
+                            `<span class="risk-factor">${factor.replace('_', ' ')}</span>`
+                        ).join('')}
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn btn-sm btn-outline view-detail" data-index="${index}">
+                                View Details
+                            </button>
+                            <button class="btn btn-sm btn-success approve-btn" data-index="${index}" 
+                                    ${rec.status === 'approved' ? 'disabled' : ''}>
+                                ${rec.status === 'approved' ? 'Approved' : 'Approve'}
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
         
         // Attach event listeners for action buttons
         tbody.querySelectorAll('.view-detail').forEach(btn => {
@@ -445,7 +553,7 @@ class RaiseRecommendations {
     
     getFilteredRecommendations() {
         return this.recommendations.filter(rec => {
-            if (this.filters.performance !== 'all' && rec.performance.toString() !== this.filters.performance) {
+            if (this.filters.performance !== 'all' && String(toEmployeeModel(rec).rating) !== this.filters.performance) {
                 return false;
             }
             if (this.filters.country !== 'all' && rec.country !== this.filters.country) {
@@ -500,6 +608,8 @@ class RaiseRecommendations {
         this.selectedEmployee = recommendation;
         const modal = document.getElementById('detail-modal');
         const content = document.getElementById('employee-detail-content');
+        const employee = toEmployeeModel(recommendation);
+        const amounts = this.getRaiseAmounts(recommendation);
         
         content.innerHTML = `
             <div class="employee-detail">
@@ -514,19 +624,35 @@ class RaiseRecommendations {
                         <div class="detail-grid">
                             <div class="detail-item">
                                 <label>Current Salary:</label>
-                                <span>${this.formatCurrency(recommendation.currentSalary)}</span>
+                                <span>${this.formatCurrency(amounts.current, amounts.currency)}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Performance Rating:</label>
-                                <span>${recommendation.performance}/5</span>
+                                <span>${employee.rating ? `${employee.rating}/5` : 'Not rated'}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Tenure:</label>
-                                <span>${recommendation.tenure || 'N/A'} years</span>
+                                <span>${employee.tenureYears !== null ? `${employee.tenureYears.toFixed(1)} years` : 'N/A'}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Market Position:</label>
-                                <span>${recommendation.comparatio ? (recommendation.comparatio * 100).toFixed(0) + '%' : 'N/A'}</span>
+                                <span>${employee.comparatio ? (employee.comparatio * 100).toFixed(0) + '%' : 'N/A'}</span>
+                            </div>
+                            <div class="detail-item">
+                                <label>Range Position:</label>
+                                <span>${recommendation.rangePosition ? (recommendation.rangePosition.penetration * 100).toFixed(0) + '%' : 'N/A'}</span>
+                            </div>
+                            <div class="detail-item">
+                                <label>Raise to Reach Min:</label>
+                                <span>${recommendation.recommendation.rangeTargets ? (recommendation.recommendation.rangeTargets.toMin * 100).toFixed(1) + '%' : 'N/A'}</span>
+                            </div>
+                            <div class="detail-item">
+                                <label>Raise to Reach Mid:</label>
+                                <span>${recommendation.recommendation.rangeTargets ? (Math.max(recommendation.recommendation.rangeTargets.toMid, 0) * 100).toFixed(1) + '%' : 'N/A'}</span>
+                            </div>
+                            <div class="detail-item">
+                                <label>Headroom to Max:</label>
+                                <span>${recommendation.recommendation.rangeTargets ? (Math.max(recommendation.recommendation.rangeTargets.toMax, 0) * 100).toFixed(1) + '%' : 'N/A'}</span>
                             </div>
                         </div>
                     </div>
@@ -540,11 +666,11 @@ class RaiseRecommendations {
                             </div>
                             <div class="detail-item">
                                 <label>Raise Amount:</label>
-                                <span>${this.formatCurrency(recommendation.currentSalary * recommendation.recommendation.percentage)}</span>
+                                <span>${this.formatCurrency(amounts.raise, amounts.currency)}</span>
                             </div>
                             <div class="detail-item">
                                 <label>New Salary:</label>
-                                <span>${this.formatCurrency(recommendation.currentSalary * (1 + recommendation.recommendation.percentage))}</span>
+                                <span>${this.formatCurrency(amounts.newSalary, amounts.currency)}</span>
                             </div>
                             <div class="detail-item">
                                 <label>Risk Level:</label>
@@ -553,6 +679,8 @@ class RaiseRecommendations {
                         </div>
                     </div>
                     
+                    ${this.renderBreakdown(recommendation.recommendation)}
+                    
                     <div class="detail-section">
                         <h5>Justification</h5>
                         <p>${recommendation.justification}</p>
@@ -607,6 +735,82 @@ class RaiseRecommendations {
         modal.style.display = 'block';
     }
     
+    renderBreakdown(recommendation) {
+        const breakdown = recommendation.breakdown;
+        if (!breakdown) return '';
+        
+        const formatPoints = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)} pts`;
+        
+        return `
+            <div class="detail-section">
+                <h5>Raise Breakdown</h5>
+                ${breakdown.budgetAdjustment ? `
+                    <p class="breakdown-budget-adjustment">${this.getBudgetAdjustmentText(recommendation)}</p>
+                ` : ''}
+                <p class="breakdown-summary">
+                    Merit budget ${(breakdown.baseRaise * 100).toFixed(1)}% × score ${(recommendation.score * 100).toFixed(0)}
+                    / team average ${(breakdown.referenceScore * 100).toFixed(0)}
+                </p>
+                <table class="raise-breakdown-table">
+                    <thead>
+                        <tr>
+                            <th>Factor</th>
+                            <th>Value</th>
+                            <th>Weight</th>
+                            <th>Score</th>
+                            <th>Contribution</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${breakdown.factors.map(factor => `
+                            <tr class="${factor.hasData ? '' : 'no-data'}">
+                                <td>${factor.label}</td>
+                                <td>${factor.value}</td>
+                                <td>${(factor.weight * 100).toFixed(0)}%</td>
+                                <td>${(factor.score * 100).toFixed(0)}</td>
+                                <td>${formatPoints(factor.contribution)}</td>
+                            </tr>
+                        `).join('')}
+                        ${breakdown.adjustments.map(adjustment => `
+                            <tr class="adjustment">
+                                <td colspan="4">${adjustment.label}</td>
+                                <td>${formatPoints(adjustment.contribution)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colspan="4">Recommended raise</td>
+                            <td>${(recommendation.percentage * 100).toFixed(2)}%</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+    
+    getBreakdownTooltip(recommendation) {
+        const breakdown = recommendation.breakdown;
+        if (!breakdown) return '';
+        
+        return [
+            ...(breakdown.budgetAdjustment ? [this.getBudgetAdjustmentText(recommendation)] : []),
+            ...[...breakdown.factors, ...breakdown.adjustments]
+                .map(item => `${item.label}: ${item.contribution >= 0 ? '+' : ''}${(item.contribution * 100).toFixed(2)} pts`)
+        ].join('&#10;');
+    }
+    
+    /**
+     * Describe how the merit budget was moved into the country's typical range
+     */
+    getBudgetAdjustmentText(recommendation) {
+        const { budgetRaise, baseRaise, budgetAdjustment, typicalRange } = recommendation.breakdown;
+        const range = `${(typicalRange.min * 100).toFixed(1)}%-${(typicalRange.max * 100).toFixed(1)}%`;
+        
+        return `Merit budget ${(budgetRaise * 100).toFixed(1)}% ${budgetAdjustment === 'raised_to_typical_min' ? 'raised' : 'lowered'} ` +
+            `to ${(baseRaise * 100).toFixed(1)}% to fit the country's typical range (${range})`;
+    }
+    
     validateCustomRaise(recommendation, customPercentage) {
         const validation = validateRaise(recommendation, customPercentage);
         const validationDiv = document.getElementById('custom-validation');
@@ -631,14 +835,17 @@ class RaiseRecommendations {
         if (!this.selectedEmployee) return;
         
         const customPercent = parseFloat(document.getElementById('custom-raise-percent').value) / 100;
+        const recommendation = this.selectedEmployee;
         
-        // Update the recommendation
-        this.selectedEmployee.recommendation.percentage = customPercent;
-        this.selectedEmployee.validation = validateRaise(this.selectedEmployee, customPercent);
-        this.selectedEmployee.status = 'custom';
-        
-        // Regenerate justification for custom raise
-        this.selectedEmployee.justification = `Custom raise of ${(customPercent * 100).toFixed(1)}% set by manager override`;
+        this.recordDecision(`Custom raise of ${(customPercent * 100).toFixed(1)}% for ${recommendation.name}`, [recommendation], () => {
+            // Update the recommendation
+            recommendation.recommendation.percentage = customPercent;
+            recommendation.validation = validateRaise(recommendation, customPercent);
+            recommendation.status = 'custom';
+            
+            // Regenerate justification for custom raise
+            recommendation.justification = `Custom raise of ${(customPercent * 100).toFixed(1)}% set by manager override`;
+        });
         
         this.updateRecommendationsList();
         this.closeDetailModal();
@@ -649,7 +856,7 @@ class RaiseRecommendations {
     approveRecommendation() {
         if (!this.selectedEmployee) return;
         
-        this.selectedEmployee.status = 'approved';
+        this.setStatus(`Approve raise for ${this.selectedEmployee.name}`, [this.selectedEmployee], 'approved');
         this.updateRecommendationsList();
         this.closeDetailModal();
         
@@ -659,7 +866,7 @@ class RaiseRecommendations {
     rejectRecommendation() {
         if (!this.selectedEmployee) return;
         
-        this.selectedEmployee.status = 'rejected';
+        this.setStatus(`Reject raise for ${this.selectedEmployee.name}`, [this.selectedEmployee], 'rejected');
         this.updateRecommendationsList();
         this.closeDetailModal();
         
@@ -667,7 +874,7 @@ class RaiseRecommendations {
     }
     
     approveIndividualRecommendation(recommendation) {
-        recommendation.status = 'approved';
+        this.setStatus(`Approve raise for ${recommendation.name}`, [recommendation], 'approved');
         this.updateRecommendationsList();
         this.showNotification(`Recommendation approved for ${recommendation.name}`, 'success');
     }
@@ -685,12 +892,48 @@ class RaiseRecommendations {
             return;
         }
         
-        selected.forEach(rec => rec.status = 'approved');
+        this.setStatus(`Bulk approve ${selected.length} raises`, selected, 'approved');
         this.updateRecommendationsList();
         
         this.showNotification(`Approved recommendations for ${selected.length} employees`, 'success');
     }
     
+    setStatus(label, recommendations, status) {
+        this.recordDecision(label, recommendations, () => {
+            recommendations.forEach(rec => rec.status = status);
+        });
+    }
+    
+    /**
+     * Make a decision on recommendations and add it to the undo history
+     * @param {string} label - Description shown in the history panel
+     * @param {Array} recommendations - Recommendations the decision changes
+     * @param {Function} change - Makes the change
+     */
+    recordDecision(label, recommendations, change) {
+        const ids = recommendations.map(rec => rec.id);
+        
+        window.historyManager.recordChange(label, {
+            capture: () => ids.map(id => {
+                const rec = this.recommendations.find(item => item.id === id);
+                return rec ? snapshotFields(rec, DECISION_FIELDS) : null;
+            }),
+            // Looked up by id - recalculation replaces pending recommendations with new objects
+            restore: snapshots => {
+                const byId = new Map(this.recommendations.map(rec => [rec.id, rec]));
+                snapshots.forEach((snapshot, index) => {
+                    const rec = byId.get(ids[index]);
+                    if (rec && snapshot) restoreFields(rec, snapshot, DECISION_FIELDS);
+                });
+                this.updateSummary();
+                this.updateRecommendationsList();
+                this.onChange();
+            }
+        }, change);
+        
+        this.onChange();
+    }
+    
     exportRecommendations() {
         if (!this.recommendations || this.recommendations.length === 0) {
             this.showNotification('No recommendations to export', 'warning');
@@ -704,21 +947,24 @@ class RaiseRecommendations {
             'Status', 'Justification', 'Risk Factors'
         ];
         
-        const rows = this.recommendations.map(rec => [
-            rec.name,
-            rec.title || '',
-            rec.country || '',
-            rec.performance,
-            rec.currentSalary,
-            (rec.recommendation.percentage * 100).toFixed(2),
-            (rec.currentSalary * rec.recommendation.percentage).toFixed(2),
-            (rec.currentSalary * (1 + rec.recommendation.percentage)).toFixed(2),
-            rec.riskLevel,
-            rec.validation.requiresApproval ? 'Yes' : 'No',
-            rec.status,
-            rec.justification,
-            rec.recommendation.appliedRiskFactors.join('; ')
-        ]);
+        const rows = this.recommendations.map(rec => {
+            const amounts = this.getRaiseAmounts(rec);
+            return [
+                rec.name,
+                rec.title || '',
+                rec.country || '',
+                toEmployeeModel(rec).rating || '',
+                amounts.current === null ? '' : amounts.current,
+                (rec.recommendation.percentage * 100).toFixed(2),
+                amounts.current === null ? '' : amounts.raise.toFixed(2),
+                amounts.current === null ? '' : amounts.newSalary.toFixed(2),
+                rec.riskLevel,
+                rec.validation.requiresApproval ? 'Yes' : 'No',
+                rec.status,
+                rec.justification,
+                rec.recommendation.appliedRiskFactors.join('; ')
+            ];
+        });
         
         const csvContent = [headers, ...rows]
             .map(row => row.map(cell => `"${cell}"`).join(','))
@@ -735,7 +981,24 @@ class RaiseRecommendations {
         this.showNotification('Recommendations exported successfully', 'success');
     }
     
+    /**
+     * Salary before and after a recommendation's raise, in the employee's currency
+     * @returns {Object} { currency, current, raise, newSalary } - amounts are null without a salary
+     */
+    getRaiseAmounts(rec) {
+        const employee = toEmployeeModel(rec);
+        const current = employee.baseSalary;
+        const percentage = rec.recommendation.percentage;
+        return {
+            currency: employee.currency,
+            current,
+            raise: current === null ? null : current * percentage,
+            newSalary: current === null ? null : current * (1 + percentage)
+        };
+    }
+    
     formatCurrency(amount, currency = 'USD') {
+        if (amount === null || amount === undefined || isNaN(amount)) return 'N/A';
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
             currency: currency,
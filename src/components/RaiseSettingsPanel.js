@@ -0,0 +1,135 @@
+/**
+ * RaiseSettingsPanel Component
+ *
+ * Sliders for the raise scoring weights (performance, time in role, time since
+ * last raise, comparatio) and the merit budget percentage. Changes are applied
+ * as the user drags so recommendations recalculate live.
+ */
+
+class RaiseSettingsPanel {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.settings = { ...DEFAULT_RAISE_SETTINGS, ...(options.settings || {}) };
+
+        // Callbacks
+        this.onChange = options.onChange || (() => {});
+
+        this.init();
+    }
+
+    /**
+     * Initialize the settings panel
+     */
+    init() {
+        this.container.className = 'raise-settings-panel';
+        this.container.addEventListener('input', this.handleInput.bind(this));
+        this.container.addEventListener('click', this.handleClick.bind(this));
+
+        this.render();
+    }
+
+    /**
+     * Replace the current settings without triggering onChange
+     * @param {Object} settings - Raise settings
+     */
+    setSettings(settings) {
+        this.settings = { ...DEFAULT_RAISE_SETTINGS, ...(settings || {}) };
+        this.render();
+    }
+
+    /**
+     * Render the panel
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="raise-settings-header">
+                <div>
+                    <h3>Raise Scoring</h3>
+                    <p>Weight each factor in the recommended raise. Weights are relative to each other.</p>
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="reset">Reset to defaults</button>
+            </div>
+            <div class="raise-settings-grid">
+                ${Object.values(RAISE_FACTORS).map(factor => this.renderWeightControl(factor)).join('')}
+                <label class="raise-setting">
+                    <span class="raise-setting-label">Merit budget</span>
+                    <span class="raise-setting-input">
+                        <input type="number" name="budgetPercentage" min="0" max="50" step="0.1" value="${this.settings.budgetPercentage}">
+                        <span>%</span>
+                    </span>
+                    <small>Raise for a team-average score, kept within each country's typical range</small>
+                </label>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a weight slider
+     * @param {Object} factor - Raise factor definition
+     * @returns {string} HTML string
+     */
+    renderWeightControl(factor) {
+        const weight = Number(this.settings[factor.weightKey]) || 0;
+
+        return `
+            <label class="raise-setting">
+                <span class="raise-setting-label">${factor.label}</span>
+                <input type="range" name="${factor.weightKey}" min="0" max="100" step="5" value="${Math.round(weight * 100)}">
+                <small class="raise-setting-share" data-share-for="${factor.weightKey}">${this.formatShare(factor.weightKey)}</small>
+            </label>
+        `;
+    }
+
+    /**
+     * Describe a weight as its share of the total
+     * @param {string} weightKey - Settings key
+     * @returns {string} Share text
+     */
+    formatShare(weightKey) {
+        const total = Object.values(RAISE_FACTORS)
+            .reduce((sum, factor) => sum + (Number(this.settings[factor.weightKey]) || 0), 0);
+        if (total === 0) return 'All weights are 0 — factors count equally';
+
+        const share = (Number(this.settings[weightKey]) || 0) / total;
+        return `${Math.round(share * 100)}% of score`;
+    }
+
+    /**
+     * Handle slider and budget input
+     * @param {Event} event - Input event
+     */
+    handleInput(event) {
+        const input = event.target;
+        if (!input.name || !(input.name in DEFAULT_RAISE_SETTINGS)) return;
+
+        if (input.name === 'budgetPercentage') {
+            const budget = parseFloat(input.value);
+            if (isNaN(budget) || budget < 0) return;
+            this.settings.budgetPercentage = budget;
+        } else {
+            this.settings[input.name] = (parseInt(input.value, 10) || 0) / 100;
+        }
+
+        // Update the shares in place so the slider being dragged keeps focus
+        this.container.querySelectorAll('[data-share-for]').forEach(element => {
+            element.textContent = this.formatShare(element.getAttribute('data-share-for'));
+        });
+
+        this.onChange({ ...this.settings });
+    }
+
+    /**
+     * Handle button clicks
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action="reset"]');
+        if (!button) return;
+
+        this.setSettings(DEFAULT_RAISE_SETTINGS);
+        this.onChange({ ...this.settings });
+    }
+}
+
+// Export for use in other modules
+window.RaiseSettingsPanel = RaiseSettingsPanel;
@@ -23,6 +23,18 @@ class RiskRetentionAnalysis {
         this.riskFactors = {};
         this.interventionCosts = {};
         
+        // Raise scenario the retention model applies, and the scores with it applied
+        this.scenario = null;
+        this.scenarioRiskScores = [];
+        this.scenarioRetention = [];
+        
+        this.timeHorizon = 'oneYear';
+        this.reportingCurrency = 'USD';
+        this.rateInfo = null;
+        
+        // Replacing an employee is commonly estimated at half a year's salary
+        this.replacementCostRate = 0.5;
+        
         // Risk scoring weights
         this.riskWeights = {
             performanceRating: 0.25,
@@ -34,11 +46,37 @@ class RiskRetentionAnalysis {
             departmentTurnover: 0.05
         };
         
+        // Weight name -> key in a score's factors
+        this.factorKeys = {
+            performanceRating: 'performance',
+            salaryComparison: 'salary',
+            tenure: 'tenure',
+            lastRaise: 'lastRaise',
+            marketComparison: 'market',
+            roleLevel: 'roleLevel',
+            departmentTurnover: 'departmentTurnover'
+        };
+        this.factorLabels = {
+            performance: 'Performance',
+            salary: 'Pay vs Peers',
+            tenure: 'Tenure',
+            lastRaise: 'Time Since Raise',
+            market: 'Pay vs Market',
+            roleLevel: 'Role Seniority',
+            departmentTurnover: 'Function Turnover'
+        };
+        
+        // Retention time horizons, in order, with their offset from the 1-year probability
+        this.horizons = {
+            sixMonths: { label: '6 months', offset: 10 },
+            oneYear: { label: '1 year', offset: 0 },
+            twoYears: { label: '2 years', offset: -15 },
+            threeYears: { label: '3 years', offset: -25 }
+        };
+        
         // Chart configuration
+        this.chart = null;
         this.chartConfig = {
-            width: 800,
-            height: 400,
-            margin: { top: 20, right: 80, bottom: 60, left: 80 },
             colors: {
                 lowRisk: '#16a34a',
                 mediumRisk: '#d97706',
@@ -66,13 +104,28 @@ class RiskRetentionAnalysis {
         return this;
     }
 
+    /**
+     * Set the currency salaries are compared in; market data is converted from USD with the rates
+     * @param {string} currency - Reporting currency code
+     * @param {Object} rateInfo - Exchange rates in use ({ rates } in units per USD)
+     */
+    setReportingCurrency(currency, rateInfo) {
+        this.reportingCurrency = currency || 'USD';
+        this.rateInfo = rateInfo || null;
+    }
+
     /**
      * Update component with new employee data
+     * @param {Array} employees - Employee records
+     * @param {Object|null} scenario - Raise scenario to model retention with ({ name, adjustments })
      */
-    updateData(employees) {
-        this.data = employees.filter(emp => emp.salary && !isNaN(parseFloat(emp.salary)));
+    updateData(employees, scenario = null) {
+        // Market data is in USD, so salaries are compared in the reporting currency
+        this.data = employeeAdapter.toModels(employees).filter(emp => emp.normalizedSalary !== null);
+        this.scenario = scenario && scenario.adjustments.length > 0 ? scenario : null;
         this.calculateRiskScores();
         this.calculateRetentionProbabilities();
+        this.calculateScenarioRetention();
         this.analyzeRiskFactors();
         this.updateCharts();
     }
@@ -81,88 +134,81 @@ class RiskRetentionAnalysis {
      * Calculate flight risk scores for all employees
      */
     calculateRiskScores() {
-        this.riskScores = this.data.map(emp => {
-            const scores = {
-                employeeId: emp.id,
-                name: emp.name,
-                department: emp.department,
-                role: emp.jobTitle,
-                factors: {},
-                totalScore: 0,
-                riskLevel: 'low'
-            };
-            
-            // Performance rating factor (lower performance = higher risk)
-            scores.factors.performance = this.calculatePerformanceRisk(emp.performanceRating);
-            
-            // Salary comparison factor (underpaid = higher risk)
-            scores.factors.salary = this.calculateSalaryRisk(emp);
-            
-            // Tenure factor (very new or very long = higher risk)
-            scores.factors.tenure = this.calculateTenureRisk(emp.tenure);
-            
-            // Last raise factor (no recent raise = higher risk)
-            scores.factors.lastRaise = this.calculateLastRaiseRisk(emp.lastRaiseDate);
-            
-            // Market comparison factor (below market = higher risk)
-            scores.factors.market = this.calculateMarketRisk(emp);
-            
-            // Role level factor (senior roles = higher impact)
-            scores.factors.roleLevel = this.calculateRoleLevelRisk(emp.jobTitle);
-            
-            // Department turnover factor
-            scores.factors.departmentTurnover = this.calculateDepartmentTurnoverRisk(emp.department);
-            
-            // Calculate weighted total score
-            scores.totalScore = Object.keys(this.riskWeights).reduce((total, factor) => {
-                const factorKey = factor === 'performanceRating' ? 'performance' :
-                                factor === 'salaryComparison' ? 'salary' :
-                                factor === 'lastRaise' ? 'lastRaise' :
-                                factor === 'marketComparison' ? 'market' :
-                                factor === 'departmentTurnover' ? 'departmentTurnover' :
-                                factor;
-                
-                return total + (scores.factors[factorKey] || 0) * this.riskWeights[factor];
-            }, 0);
-            
-            // Determine risk level
-            scores.riskLevel = this.determineRiskLevel(scores.totalScore);
-            
-            return scores;
-        });
+        this.riskScores = this.data.map(emp => this.scoreEmployee(emp, this.data));
     }
 
     /**
-     * Calculate performance-based risk
+     * Calculate an employee's flight risk score
+     * @param {Object} emp - Employee model (or a copy with proposed pay)
+     * @param {Array} population - Employees their pay is compared with
+     * @returns {Object} Risk score
      */
-    calculatePerformanceRisk(performanceRating) {
-        const performanceMap = {
-            'Exceeds Expectations': 10,
-            'Meets Expectations': 30,
-            'Below Expectations': 70,
-            'Needs Improvement': 85,
-            'Unsatisfactory': 95,
-            '5': 10, '4': 30, '3': 50, '2': 70, '1': 90
+    scoreEmployee(emp, population) {
+        const scores = {
+            employeeId: emp.id,
+            name: emp.name,
+            department: emp.jobFunction,
+            role: emp.title,
+            factors: {},
+            totalScore: 0,
+            riskLevel: 'low'
         };
         
-        return performanceMap[performanceRating] || 50;
+        // Performance rating factor (lower performance = higher risk)
+        scores.factors.performance = this.calculatePerformanceRisk(emp.rating);
+        
+        // Salary comparison factor (underpaid = higher risk)
+        scores.factors.salary = this.calculateSalaryRisk(emp, population);
+        
+        // Tenure factor (very new or very long = higher risk)
+        scores.factors.tenure = this.calculateTenureRisk(emp.tenureYears);
+        
+        // Last raise factor (no recent raise = higher risk)
+        scores.factors.lastRaise = this.calculateLastRaiseRisk(emp.lastSalaryChangeDate);
+        
+        // Market comparison factor (below market = higher risk)
+        scores.factors.market = this.calculateMarketRisk(emp);
+        
+        // Role level factor (senior roles = higher impact)
+        scores.factors.roleLevel = this.calculateRoleLevelRisk(emp.title);
+        
+        // Department turnover factor
+        scores.factors.departmentTurnover = this.calculateDepartmentTurnoverRisk(emp.jobFunction);
+        
+        // Calculate weighted total score
+        scores.totalScore = Object.keys(this.riskWeights).reduce((total, factor) => 
+            total + (scores.factors[this.factorKeys[factor]] || 0) * this.riskWeights[factor], 0);
+        
+        // Determine risk level
+        scores.riskLevel = this.determineRiskLevel(scores.totalScore);
+        
+        return scores;
+    }
+
+    /**
+     * Calculate performance-based risk
+     */
+    calculatePerformanceRisk(rating) {
+        const performanceMap = { 5: 10, 4: 30, 3: 50, 2: 70, 1: 90 };
+        
+        return performanceMap[Math.round(rating)] || 50;
     }
 
     /**
      * Calculate salary-based risk
      */
-    calculateSalaryRisk(employee) {
+    calculateSalaryRisk(employee, population = this.data) {
         // Compare to department/role average
-        const similarEmployees = this.data.filter(emp => 
-            emp.department === employee.department && 
-            emp.jobTitle === employee.jobTitle &&
+        const similarEmployees = population.filter(emp => 
+            emp.jobFunction === employee.jobFunction && 
+            emp.title === employee.title &&
             emp.id !== employee.id
         );
         
         if (similarEmployees.length === 0) return 30; // Default moderate risk
         
-        const avgSalary = similarEmployees.reduce((sum, emp) => sum + parseFloat(emp.salary), 0) / similarEmployees.length;
-        const empSalary = parseFloat(employee.salary);
+        const avgSalary = similarEmployees.reduce((sum, emp) => sum + emp.normalizedSalary, 0) / similarEmployees.length;
+        const empSalary = employee.normalizedSalary;
         const salaryRatio = empSalary / avgSalary;
         
         // Lower salary relative to peers = higher risk
@@ -176,10 +222,8 @@ class RiskRetentionAnalysis {
     /**
      * Calculate tenure-based risk
      */
-    calculateTenureRisk(tenure) {
-        if (!tenure) return 40;
-        
-        const years = parseFloat(tenure);
+    calculateTenureRisk(years) {
+        if (years === null || years === undefined) return 40;
         
         // U-shaped curve: very new and very long tenure have higher risk
         if (years < 0.5) return 70; // Very new
@@ -213,8 +257,8 @@ class RiskRetentionAnalysis {
      */
     calculateMarketRisk(employee) {
         // Simplified market comparison based on role and location
-        const marketData = this.getMarketData(employee.jobTitle, employee.country);
-        const empSalary = parseFloat(employee.salary);
+        const marketData = this.getMarketData(employee.title, employee.countryCode || employee.country);
+        const empSalary = employee.normalizedSalary;
         
         if (!marketData) return 40; // No market data
         
@@ -228,32 +272,37 @@ class RiskRetentionAnalysis {
     }
 
     /**
-     * Get market data for role and location
+     * Get market data for role and location, in the reporting currency
+     * @param {string} role - Job title
+     * @param {string} country - ISO country code
+     * @returns {Object|null} { median, p25, p75 }, or null without data or an exchange rate
      */
     getMarketData(role, country) {
-        // Simplified market data - in real implementation, this would come from external sources
+        // Simplified market data (USD medians) - in real implementation, this would come from external sources
         const marketRanges = {
-            'Software Engineer': { US: 95000, India: 25000, UK: 65000 },
-            'Senior Software Engineer': { US: 130000, India: 40000, UK: 85000 },
-            'Engineering Manager': { US: 160000, India: 60000, UK: 110000 },
-            'Product Manager': { US: 140000, India: 35000, UK: 90000 },
-            'Data Scientist': { US: 120000, India: 30000, UK: 75000 }
+            'Software Engineer': { US: 95000, IN: 25000, GB: 65000 },
+            'Senior Software Engineer': { US: 130000, IN: 40000, GB: 85000 },
+            'Engineering Manager': { US: 160000, IN: 60000, GB: 110000 },
+            'Product Manager': { US: 140000, IN: 35000, GB: 90000 },
+            'Data Scientist': { US: 120000, IN: 30000, GB: 75000 }
         };
         
         const roleData = marketRanges[role];
-        if (!roleData || !roleData[country]) return null;
+        const rate = this.rateInfo?.rates?.[this.reportingCurrency];
+        if (!roleData || !roleData[country] || !rate) return null;
         
+        const median = roleData[country] * rate;
         return {
-            median: roleData[country],
-            p25: roleData[country] * 0.85,
-            p75: roleData[country] * 1.15
+            median,
+            p25: median * 0.85,
+            p75: median * 1.15
         };
     }
 
     /**
      * Calculate role level risk
      */
-    calculateRoleLevelRisk(jobTitle) {
+    calculateRoleLevelRisk(jobTitle = '') {
         // Senior roles have higher impact when they leave
         const seniorityMap = {
             'intern': 20,
@@ -311,22 +360,45 @@ class RiskRetentionAnalysis {
      * Calculate retention probabilities
      */
     calculateRetentionProbabilities() {
-        this.retentionProbabilities = this.riskScores.map(riskData => {
-            // Convert risk score to retention probability (inverse relationship)
-            const retentionScore = 100 - riskData.totalScore;
-            
-            // Calculate probabilities for different time horizons
-            const probabilities = {
-                employeeId: riskData.employeeId,
-                name: riskData.name,
-                sixMonths: Math.max(0, Math.min(100, retentionScore + 10)),
-                oneYear: Math.max(0, Math.min(100, retentionScore)),
-                twoYears: Math.max(0, Math.min(100, retentionScore - 15)),
-                threeYears: Math.max(0, Math.min(100, retentionScore - 25))
-            };
-            
-            return probabilities;
+        this.retentionProbabilities = this.riskScores.map(riskData => this.getRetention(riskData));
+    }
+
+    /**
+     * Convert a risk score to retention probabilities (inverse relationship) for each time horizon
+     */
+    getRetention(riskData) {
+        const retentionScore = 100 - riskData.totalScore;
+        const probabilities = {
+            employeeId: riskData.employeeId,
+            name: riskData.name
+        };
+        
+        Object.entries(this.horizons).forEach(([horizon, { offset }]) => {
+            probabilities[horizon] = Math.max(0, Math.min(100, retentionScore + offset));
         });
+        return probabilities;
+    }
+
+    /**
+     * Re-score everyone with the scenario's raises applied - the raised employees'
+     * pay moves against peers and the market, and their last raise becomes today
+     */
+    calculateScenarioRetention() {
+        this.scenarioRiskScores = [];
+        this.scenarioRetention = [];
+        if (!this.scenario) return;
+        
+        const adjustments = new Map(this.scenario.adjustments.map(adj => [adj.employeeId, adj]));
+        const today = new Date().toISOString();
+        const adjustedData = this.data.map(emp => {
+            const adjustment = adjustments.get(emp.id);
+            return adjustment
+                ? { ...emp, normalizedSalary: adjustment.newSalary, lastSalaryChangeDate: today }
+                : emp;
+        });
+        
+        this.scenarioRiskScores = adjustedData.map(emp => this.scoreEmployee(emp, adjustedData));
+        this.scenarioRetention = this.scenarioRiskScores.map(riskData => this.getRetention(riskData));
     }
 
     /**
@@ -342,9 +414,10 @@ class RiskRetentionAnalysis {
         };
         
         // Analyze by department
-        const departments = [...new Set(this.data.map(emp => emp.department))];
+        const departments = [...new Set(this.data.map(emp => emp.jobFunction))];
         departments.forEach(dept => {
             const deptEmployees = this.riskScores.filter(emp => emp.department === dept);
+            if (deptEmployees.length === 0) return;
             this.riskFactors.byDepartment[dept] = {
                 totalEmployees: deptEmployees.length,
                 avgRiskScore: deptEmployees.reduce((sum, emp) => sum + emp.totalScore, 0) / deptEmployees.length,
@@ -354,7 +427,7 @@ class RiskRetentionAnalysis {
         });
         
         // Analyze by role
-        const roles = [...new Set(this.data.map(emp => emp.jobTitle))];
+        const roles = [...new Set(this.data.map(emp => emp.title))];
         roles.forEach(role => {
             const roleEmployees = this.riskScores.filter(emp => emp.role === role);
             this.riskFactors.byRole[role] = {
@@ -365,24 +438,27 @@ class RiskRetentionAnalysis {
         });
         
         // Identify top risk factors
-        const factorAverages = {};
-        Object.keys(this.riskWeights).forEach(factor => {
-            const factorKey = factor === 'performanceRating' ? 'performance' :
-                            factor === 'salaryComparison' ? 'salary' :
-                            factor === 'lastRaise' ? 'lastRaise' :
-                            factor === 'marketComparison' ? 'market' :
-                            factor === 'departmentTurnover' ? 'departmentTurnover' :
-                            factor;
-            
-            factorAverages[factor] = this.riskScores.reduce((sum, emp) => 
-                sum + (emp.factors[factorKey] || 0), 0) / this.riskScores.length;
-        });
+        if (this.riskScores.length === 0) return;
+        
+        const factorAverages = this.getFactorAverages(this.riskScores);
         
         this.riskFactors.topFactors = Object.entries(factorAverages)
             .sort(([,a], [,b]) => b - a)
             .slice(0, 5);
     }
 
+    /**
+     * Average score of each risk factor, keyed by weight name
+     */
+    getFactorAverages(riskScores) {
+        const factorAverages = {};
+        Object.keys(this.riskWeights).forEach(factor => {
+            factorAverages[factor] = riskScores.reduce((sum, emp) => 
+                sum + (emp.factors[this.factorKeys[factor]] || 0), 0) / riskScores.length;
+        });
+        return factorAverages;
+    }
+
     /**
      * Render the main component structure
      */
@@ -428,7 +504,7 @@ class RiskRetentionAnalysis {
                         <div class="summary-card avg-retention">
                             <h4>Avg Retention Probability</h4>
                             <div class="card-value" id="avgRetention">0%</div>
-                            <div class="card-subtitle">next 12 months</div>
+                            <div class="card-subtitle" id="retentionHorizon">next 1 year</div>
                         </div>
                     </div>
                 </div>
@@ -543,7 +619,8 @@ class RiskRetentionAnalysis {
         const canvas = this.container.querySelector('#riskChart');
         if (!canvas) return;
         
-        this.ctx = canvas.getContext('2d');
+        if (this.chart) this.chart.destroy();
+        this.chart = new ChartRenderer(canvas, { type: 'bar', datasets: [] });
     }
 
     /**
@@ -573,10 +650,18 @@ class RiskRetentionAnalysis {
         this.container.querySelector('#highRiskCount').textContent = riskCounts.high;
         this.container.querySelector('#mediumRiskCount').textContent = riskCounts.medium;
         
-        // Calculate average retention probability
-        const avgRetention = this.retentionProbabilities.reduce((sum, emp) => 
-            sum + emp.oneYear, 0) / this.retentionProbabilities.length;
-        this.container.querySelector('#avgRetention').textContent = `${avgRetention.toFixed(1)}%`;
+        // Calculate average retention probability over the chosen horizon
+        const avgRetention = this.getAverageRetention(this.retentionProbabilities, this.timeHorizon);
+        this.container.querySelector('#avgRetention').textContent = avgRetention === null ? '-' : `${avgRetention.toFixed(1)}%`;
+        this.container.querySelector('#retentionHorizon').textContent = `next ${this.horizons[this.timeHorizon].label}`;
+    }
+
+    /**
+     * Average retention probability over a horizon, or null with no employees
+     */
+    getAverageRetention(retention, horizon) {
+        if (retention.length === 0) return null;
+        return retention.reduce((sum, emp) => sum + emp[horizon], 0) / retention.length;
     }
 
     /**
@@ -605,14 +690,7 @@ class RiskRetentionAnalysis {
      * Render risk distribution chart
      */
     renderRiskDistribution() {
-        if (!this.ctx || this.riskScores.length === 0) return;
-        
-        const { width, height, margin } = this.chartConfig;
-        const plotWidth = width - margin.left - margin.right;
-        const plotHeight = height - margin.top - margin.bottom;
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, width, height);
+        if (!this.chart || this.riskScores.length === 0) return;
         
         // Count employees by risk level
         const riskCounts = {
@@ -623,38 +701,18 @@ class RiskRetentionAnalysis {
         };
         
         const categories = Object.keys(riskCounts);
-        const values = Object.values(riskCounts);
-        const maxValue = Math.max(...values);
-        
-        // Draw bars
-        const barWidth = plotWidth / (categories.length * 1.5);
-        const spacing = barWidth * 0.5;
-        
-        categories.forEach((category, i) => {
-            const x = margin.left + i * (barWidth + spacing);
-            const barHeight = (values[i] / maxValue) * plotHeight;
-            const y = margin.top + plotHeight - barHeight;
-            
-            // Set color based on risk level
-            this.ctx.fillStyle = this.chartConfig.colors[category + 'Risk'] || this.chartConfig.colors.neutral;
-            this.ctx.fillRect(x, y, barWidth, barHeight);
-            
-            // Add value label on top of bar
-            this.ctx.fillStyle = '#374151';
-            this.ctx.font = '14px Arial';
-            this.ctx.textAlign = 'center';
-            this.ctx.fillText(values[i].toString(), x + barWidth / 2, y - 5);
-            
-            // Add category label
-            this.ctx.fillText(category.charAt(0).toUpperCase() + category.slice(1), 
-                            x + barWidth / 2, margin.top + plotHeight + 20);
-        });
         
-        // Add title
-        this.ctx.fillStyle = '#1f2937';
-        this.ctx.font = 'bold 16px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Employee Risk Distribution', width / 2, 20);
+        this.chart.update({
+            type: 'bar',
+            title: 'Employee Risk Distribution',
+            labels: categories.map(category => category.charAt(0).toUpperCase() + category.slice(1)),
+            datasets: [{
+                label: 'Employees',
+                data: Object.values(riskCounts),
+                colors: categories.map(category => this.chartConfig.colors[category + 'Risk'] || this.chartConfig.colors.neutral)
+            }],
+            yLabel: 'Employees'
+        });
     }
 
     /**
@@ -677,8 +735,8 @@ class RiskRetentionAnalysis {
         container.innerHTML = highRiskEmployees.map(emp => `
             <div class="risk-employee-item ${emp.riskLevel}">
                 <div class="employee-info">
-                    <div class="employee-name">${emp.name}</div>
-                    <div class="employee-details">${emp.role} • ${emp.department}</div>
+                    <div class="employee-name">${this.escapeHtml(emp.name)}</div>
+                    <div class="employee-details">${this.escapeHtml(emp.role)} • ${this.escapeHtml(emp.department)}</div>
                 </div>
                 <div class="risk-score">
                     <div class="score-value">${emp.totalScore.toFixed(0)}</div>
@@ -807,6 +865,7 @@ class RiskRetentionAnalysis {
         const totalEmployees = this.riskScores.length;
         const highRiskCount = this.riskScores.filter(emp => 
             emp.riskLevel === 'high' || emp.riskLevel === 'critical').length;
+        if (totalEmployees === 0) return insights;
         const riskPercentage = (highRiskCount / totalEmployees) * 100;
         
         if (riskPercentage > 20) {
@@ -901,7 +960,7 @@ class RiskRetentionAnalysis {
                             <th>Risk Score</th>
                             <th>Risk Level</th>
                             <th>Top Risk Factor</th>
-                            <th>Retention (1yr)</th>
+                            <th>Retention (${this.horizons[this.timeHorizon].label})</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -912,13 +971,13 @@ class RiskRetentionAnalysis {
                             
                             return `
                                 <tr class="risk-${emp.riskLevel}">
-                                    <td>${emp.name}</td>
-                                    <td>${emp.department}</td>
-                                    <td>${emp.role}</td>
+                                    <td>${this.escapeHtml(emp.name)}</td>
+                                    <td>${this.escapeHtml(emp.department)}</td>
+                                    <td>${this.escapeHtml(emp.role)}</td>
                                     <td>${emp.totalScore.toFixed(1)}</td>
                                     <td><span class="risk-badge ${emp.riskLevel}">${emp.riskLevel}</span></td>
-                                    <td>${topFactor[0]} (${topFactor[1].toFixed(0)})</td>
-                                    <td>${retention ? retention.oneYear.toFixed(1) + '%' : 'N/A'}</td>
+                                    <td>${this.factorLabels[topFactor[0]]} (${topFactor[1].toFixed(0)})</td>
+                                    <td>${retention ? retention[this.timeHorizon].toFixed(1) + '%' : 'N/A'}</td>
                                 </tr>
                             `;
                         }).join('')}
@@ -990,37 +1049,386 @@ class RiskRetentionAnalysis {
         URL.revokeObjectURL(url);
     }
 
-    // Placeholder methods for remaining functionality
+    /**
+     * Switch the chart and detail tab for a view
+     */
     updateView(view) {
-        // Implementation for different view types
+        const views = {
+            overview: { chart: 'distribution', tab: 'individual-scores' },
+            individual: { chart: 'distribution', tab: 'individual-scores' },
+            retention: { chart: 'retention', tab: 'retention-modeling' },
+            factors: { chart: 'factors', tab: 'factor-analysis' }
+        };
+        const { chart, tab } = views[view] || views.overview;
+
+        this.switchChartTab(chart);
+        this.switchTab(tab);
+
+        if (view !== 'overview') {
+            this.container.querySelector('.detailed-analysis')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
     }
 
+    /**
+     * Show retention probabilities over another time horizon
+     */
     updateTimeHorizon(horizon) {
-        // Implementation for time horizon changes
+        if (!this.horizons[horizon]) return;
+        this.timeHorizon = horizon;
+
+        this.updateSummaryCards();
+        this.updateIndividualScores();
+        this.updateRetentionModeling();
     }
 
+    /**
+     * Render average retention over time for each risk level, and with the scenario applied
+     */
     renderRetentionCurves() {
-        // Implementation for retention probability curves
+        if (!this.chart || this.retentionProbabilities.length === 0) return;
+
+        const horizons = Object.keys(this.horizons);
+        const curve = retention => [100, ...horizons.map(horizon => this.getAverageRetention(retention, horizon))];
+
+        const datasets = ['low', 'medium', 'high', 'critical']
+            .map(level => ({
+                level,
+                retention: this.retentionProbabilities.filter((emp, index) => this.riskScores[index].riskLevel === level)
+            }))
+            .filter(({ retention }) => retention.length > 0)
+            .map(({ level, retention }) => ({
+                label: `${level.charAt(0).toUpperCase() + level.slice(1)} risk (${retention.length})`,
+                data: curve(retention),
+                color: this.chartConfig.colors[level + 'Risk']
+            }));
+
+        datasets.push({ label: 'Everyone', data: curve(this.retentionProbabilities), color: this.chartConfig.colors.neutral });
+        if (this.scenario) {
+            datasets.push({ label: `Everyone with ${this.scenario.name}`, data: curve(this.scenarioRetention), color: '#667eea', fill: true });
+        }
+
+        this.chart.update({
+            type: 'line',
+            title: 'Expected Retention Over Time',
+            labels: ['Today', ...horizons.map(horizon => this.horizons[horizon].label)],
+            datasets,
+            yMin: 0,
+            yMax: 100,
+            yLabel: 'Still employed %',
+            formatY: value => `${value.toFixed(0)}%`,
+            tooltip: item => [item.dataset.label, `${item.label}: ${item.value.toFixed(1)}%`]
+        });
     }
 
+    /**
+     * Render the organization's average score on each risk factor
+     */
     renderRiskFactors() {
-        // Implementation for risk factors visualization
+        if (!this.chart || this.riskScores.length === 0) return;
+
+        const factors = Object.entries(this.getFactorAverages(this.riskScores)).sort(([,a], [,b]) => b - a);
+
+        this.chart.update({
+            type: 'bar',
+            horizontal: true,
+            title: 'Average Risk Factor Scores',
+            labels: factors.map(([factor]) => this.factorLabels[this.factorKeys[factor]]),
+            datasets: [{
+                label: 'Average score',
+                data: factors.map(([, average]) => average),
+                colors: value => this.chartConfig.colors[this.determineRiskLevel(value) + 'Risk']
+            }],
+            xMin: 0,
+            xMax: 100,
+            formatX: value => value.toFixed(0),
+            tooltip: item => {
+                const factor = factors[item.index][0];
+                return [item.label, `Average score: ${item.value.toFixed(1)}`, `Weight: ${(this.riskWeights[factor] * 100).toFixed(0)}%`];
+            }
+        });
     }
 
+    /**
+     * Render average risk and high-risk headcount by job function
+     */
     renderDepartmentRisk() {
-        // Implementation for department risk comparison
+        if (!this.chart || this.riskScores.length === 0) return;
+
+        const departments = Object.entries(this.riskFactors.byDepartment)
+            .sort(([,a], [,b]) => b.avgRiskScore - a.avgRiskScore);
+
+        this.chart.update({
+            type: 'bar',
+            title: 'Average Risk Score by Job Function',
+            labels: departments.map(([dept]) => dept),
+            datasets: [{
+                label: 'Average risk score',
+                data: departments.map(([, data]) => data.avgRiskScore),
+                colors: value => this.chartConfig.colors[this.determineRiskLevel(value) + 'Risk']
+            }],
+            yMin: 0,
+            yMax: 100,
+            yLabel: 'Risk score',
+            formatY: value => value.toFixed(0),
+            tooltip: item => {
+                const data = departments[item.index][1];
+                return [
+                    item.label,
+                    `Average risk score: ${item.value.toFixed(1)}`,
+                    `Employees: ${data.totalEmployees}`,
+                    `High or critical risk: ${data.highRiskCount}`
+                ];
+            }
+        });
     }
 
+    /**
+     * Update factor analysis tab - how much each factor adds to the average risk score
+     */
     updateFactorAnalysis() {
-        // Implementation for detailed factor analysis
+        const container = this.container.querySelector('#factorAnalysisContent');
+        if (!container) return;
+
+        if (this.riskScores.length === 0) {
+            container.innerHTML = '<div class="no-risk-message">No employees to analyze</div>';
+            return;
+        }
+
+        const factorAverages = this.getFactorAverages(this.riskScores);
+        const averageScore = this.riskScores.reduce((sum, emp) => sum + emp.totalScore, 0) / this.riskScores.length;
+        const rows = Object.entries(factorAverages)
+            .map(([factor, average]) => {
+                const factorKey = this.factorKeys[factor];
+                return {
+                    label: this.factorLabels[factorKey],
+                    weight: this.riskWeights[factor],
+                    average,
+                    contribution: average * this.riskWeights[factor],
+                    elevated: this.riskScores.filter(emp => emp.factors[factorKey] >= this.riskThresholds.medium + 10).length
+                };
+            })
+            .sort((a, b) => b.contribution - a.contribution);
+
+        container.innerHTML = `
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Factor</th>
+                            <th>Weight</th>
+                            <th>Average Score</th>
+                            <th>Employees Scoring 60+</th>
+                            <th>Points of Risk Score</th>
+                            <th>Share of Risk</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${row.label}</td>
+                                <td>${(row.weight * 100).toFixed(0)}%</td>
+                                <td><span class="risk-badge ${this.determineRiskLevel(row.average)}">${row.average.toFixed(1)}</span></td>
+                                <td>${row.elevated}</td>
+                                <td>${row.contribution.toFixed(1)}</td>
+                                <td>${((row.contribution / averageScore) * 100).toFixed(1)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
+    /**
+     * Update retention modeling tab - expected departures and their replacement
+     * cost over each horizon, today and with the scenario's raises
+     */
     updateRetentionModeling() {
-        // Implementation for retention modeling details
+        const container = this.container.querySelector('#retentionModelingContent');
+        if (!container) return;
+
+        if (this.retentionProbabilities.length === 0) {
+            container.innerHTML = '<div class="no-risk-message">No employees to model</div>';
+            return;
+        }
+
+        const salaries = new Map(this.data.map(emp => [emp.id, emp.normalizedSalary]));
+        const expected = (retention, horizon) => retention.reduce((totals, emp) => {
+            const leaving = 1 - emp[horizon] / 100;
+            totals.leavers += leaving;
+            totals.cost += leaving * salaries.get(emp.employeeId) * this.replacementCostRate;
+            return totals;
+        }, { leavers: 0, cost: 0 });
+
+        const rows = Object.entries(this.horizons).map(([horizon, { label }]) => ({
+            horizon,
+            label,
+            current: expected(this.retentionProbabilities, horizon),
+            scenario: this.scenario ? expected(this.scenarioRetention, horizon) : null
+        }));
+
+        // Raised employees whose retention over the chosen horizon improves most
+        const improved = this.scenario ? this.scenarioRetention
+            .map((retention, index) => ({
+                name: retention.name,
+                before: this.retentionProbabilities[index][this.timeHorizon],
+                after: retention[this.timeHorizon],
+                levelBefore: this.riskScores[index].riskLevel,
+                levelAfter: this.scenarioRiskScores[index].riskLevel
+            }))
+            .filter(emp => emp.after > emp.before)
+            .sort((a, b) => (b.after - b.before) - (a.after - a.before))
+            .slice(0, 10) : [];
+
+        container.innerHTML = `
+            <p class="model-note">
+                ${this.scenario
+                    ? `Compares today's pay with <strong>${this.escapeHtml(this.scenario.name)}</strong> applied (${this.scenario.adjustments.length} raises).`
+                    : 'Choose a raise scenario to use in Insights to compare it with today\'s pay.'}
+                Replacement cost is estimated at ${(this.replacementCostRate * 100).toFixed(0)}% of annual salary.
+            </p>
+            <div class="analysis-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Horizon</th>
+                            <th>Expected Departures</th>
+                            <th>Replacement Cost</th>
+                            ${this.scenario ? `
+                                <th>Departures with Scenario</th>
+                                <th>Replacement Cost with Scenario</th>
+                                <th>Cost Avoided</th>
+                            ` : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr class="${row.horizon === this.timeHorizon ? 'selected-row' : ''}">
+                                <td>${row.label}</td>
+                                <td>${row.current.leavers.toFixed(1)}</td>
+                                <td>${this.formatCurrency(row.current.cost)}</td>
+                                ${row.scenario ? `
+                                    <td>${row.scenario.leavers.toFixed(1)}</td>
+                                    <td>${this.formatCurrency(row.scenario.cost)}</td>
+                                    <td class="positive">${this.formatCurrency(row.current.cost - row.scenario.cost)}</td>
+                                ` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${improved.length > 0 ? `
+                <h5>Largest retention gains (${this.horizons[this.timeHorizon].label})</h5>
+                <div class="analysis-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Employee</th>
+                                <th>Today</th>
+                                <th>With Scenario</th>
+                                <th>Risk Level</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${improved.map(emp => `
+                                <tr>
+                                    <td>${this.escapeHtml(emp.name)}</td>
+                                    <td>${emp.before.toFixed(1)}%</td>
+                                    <td class="positive">${emp.after.toFixed(1)}%</td>
+                                    <td>
+                                        <span class="risk-badge ${emp.levelBefore}">${emp.levelBefore}</span>
+                                        ${emp.levelAfter !== emp.levelBefore ? `→ <span class="risk-badge ${emp.levelAfter}">${emp.levelAfter}</span>` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
     }
 
+    /**
+     * Update action plan tab - next steps for each high and critical risk
+     * employee from their highest factors, and whether the scenario gives them a raise
+     */
     updateActionPlan() {
-        // Implementation for action plan generation
+        const container = this.container.querySelector('#actionPlanContent');
+        if (!container) return;
+
+        const actions = {
+            performance: 'Agree a development plan with their manager',
+            salary: 'Review pay against peers in the same role',
+            tenure: 'Hold a career conversation about growth in the role',
+            lastRaise: 'Consider an off-cycle raise',
+            market: 'Bring pay toward the market median',
+            roleLevel: 'Plan succession and knowledge sharing for the role',
+            departmentTurnover: 'Review workload and turnover in the function'
+        };
+        const scenarioRaises = new Map((this.scenario?.adjustments || [])
+            .map(adj => [adj.employeeId, ((adj.newSalary - adj.currentSalary) / adj.currentSalary) * 100]));
+
+        const atRisk = this.riskScores
+            .filter(emp => emp.riskLevel === 'high' || emp.riskLevel === 'critical')
+            .sort((a, b) => b.totalScore - a.totalScore);
+
+        if (atRisk.length === 0) {
+            container.innerHTML = '<div class="no-risk-message">No high-risk employees need an action plan</div>';
+            return;
+        }
+
+        container.innerHTML = atRisk.map(emp => {
+            const topFactors = Object.entries(emp.factors)
+                .filter(([, score]) => score >= this.riskThresholds.medium)
+                .sort(([,a], [,b]) => b - a)
+                .slice(0, 3);
+            const raise = scenarioRaises.get(emp.employeeId);
+
+            return `
+                <div class="intervention-item ${emp.riskLevel}">
+                    <div class="intervention-header">
+                        <div class="intervention-title">${this.escapeHtml(emp.name)}</div>
+                        <div class="intervention-priority">${emp.riskLevel} (${emp.totalScore.toFixed(0)})</div>
+                    </div>
+                    <div class="intervention-description">${this.escapeHtml(emp.role)} • ${this.escapeHtml(emp.department)}</div>
+                    <ul class="action-list">
+                        ${topFactors.map(([factor, score]) => `
+                            <li>${actions[factor]} <span class="action-reason">(${this.factorLabels[factor]}: ${score.toFixed(0)})</span></li>
+                        `).join('')}
+                    </ul>
+                    ${this.scenario ? `
+                        <div class="intervention-impact">
+                            ${raise !== undefined
+                                ? `${this.escapeHtml(this.scenario.name)} gives them a ${raise.toFixed(1)}% raise`
+                                : `No raise in ${this.escapeHtml(this.scenario.name)}`}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Format currency value
+     */
+    formatCurrency(value) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: this.reportingCurrency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(value);
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
@@ -13,6 +13,9 @@ class SalaryVisualization {
         this.container = container;
         this.employees = [];
         this.charts = {};
+        this.reportingCurrency = 'USD';
+        this.compensationView = 'base'; // base, bonus or ote
+        this.salaryBasis = 'fte'; // fte (annualized) or actual
         this.filters = {
             country: 'all',
             department: 'all',
@@ -24,40 +27,10 @@ class SalaryVisualization {
     }
     
     init() {
-        this.loadChartJS();
         this.render();
         this.attachEventListeners();
     }
     
-    loadChartJS() {
-        // Load Chart.js from CDN if not already loaded
-        if (typeof Chart === 'undefined') {
-            this.showLoadingState();
-            const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js';
-            script.onload = () => {
-                console.log('Chart.js loaded successfully');
-                this.hideLoadingState();
-                if (this.employees && this.employees.length > 0) {
-                    this.createCharts();
-                } else {
-                    this.showEmptyState();
-                }
-            };
-            script.onerror = () => {
-                console.error('Failed to load Chart.js');
-                this.showErrorState('Failed to load charting library. Please check your internet connection.');
-            };
-            document.head.appendChild(script);
-        } else {
-            if (this.employees && this.employees.length > 0) {
-                this.createCharts();
-            } else {
-                this.showEmptyState();
-            }
-        }
-    }
-    
     render() {
         this.container.innerHTML = `
             <div class="visualizations-container">
@@ -98,6 +71,15 @@ class SalaryVisualization {
                             </select>
                         </div>
                         
+                        <div class="filter-group">
+                            <label for="viz-compensation-view">Pay</label>
+                            <select id="viz-compensation-view">
+                                ${Object.values(COMPENSATION_VIEWS).map(view => `
+                                    <option value="${view.key}" ${view.key === this.compensationView ? 'selected' : ''}>${view.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        
                         <div class="filter-group">
                             <button id="refresh-viz" class="btn btn-primary">
                                 Refresh Charts
@@ -215,14 +197,50 @@ class SalaryVisualization {
             this.updateCharts();
         });
         
+        document.getElementById('viz-compensation-view')?.addEventListener('change', () => {
+            this.setCompensationView(document.getElementById('viz-compensation-view').value);
+        });
+        
         // Refresh button
         document.getElementById('refresh-viz')?.addEventListener('click', () => {
             this.updateCharts();
         });
     }
     
+    setReportingCurrency(currency, salaryBasis = 'fte') {
+        this.reportingCurrency = currency || 'USD';
+        this.salaryBasis = salaryBasis;
+    }
+    
+    setCompensationView(view) {
+        if (!COMPENSATION_VIEWS[view]) return;
+        this.compensationView = view;
+        this.updateCharts();
+    }
+    
+    getSalary(emp, basis = null) {
+        // Base salary, target bonus or OTE in the reporting currency, on the selected
+        // salary basis unless one is asked for (pay gaps always compare FTE pay)
+        const compensation = emp.normalizedCompensation;
+        if (!compensation) {
+            return emp.normalizedSalary || 0;
+        }
+        
+        const amount = compensation[this.compensationView] || 0;
+        if (!basis || basis === compensation.basis) return amount;
+        return basis === 'fte' ? amount / getFte(emp) : amount * getFte(emp);
+    }
+    
+    getCompensationLabel() {
+        return this.compensationView === 'base' ? 'Salary' : COMPENSATION_VIEWS[this.compensationView].label;
+    }
+    
+    getAxisLabel(suffix = '') {
+        return `${this.getCompensationLabel()}${suffix} (${this.reportingCurrency}, ${SALARY_BASES[this.salaryBasis].label.toLowerCase()})`;
+    }
+    
     setEmployees(employees) {
-        this.employees = employees || [];
+        this.employees = employeeAdapter.toModels(employees);
         this.populateFilters();
         this.updateCharts();
     }
@@ -239,7 +257,7 @@ class SalaryVisualization {
         }
         
         // Populate department filter
-        const departments = [...new Set(this.employees.map(emp => emp.department || emp.title).filter(Boolean))];
+        const departments = [...new Set(this.employees.map(emp => emp.jobFunction || emp.title).filter(Boolean))];
         const deptSelect = document.getElementById('viz-department-filter');
         if (deptSelect) {
             deptSelect.innerHTML = '<option value="all">All Departments</option>';
@@ -285,7 +303,7 @@ class SalaryVisualization {
         return this.employees.filter(emp => {
             if (this.filters.country !== 'all' && emp.country !== this.filters.country) return false;
             if (this.filters.department !== 'all' && 
-                emp.department !== this.filters.department && 
+                emp.jobFunction !== this.filters.department && 
                 emp.title !== this.filters.department) return false;
             if (this.filters.level !== 'all' && this.extractLevel(emp.title) !== this.filters.level) return false;
             return true;
@@ -293,11 +311,6 @@ class SalaryVisualization {
     }
     
     createCharts() {
-        if (typeof Chart === 'undefined') {
-            console.log('Chart.js not loaded yet, waiting...');
-            return;
-        }
-        
         this.createSalaryHistogram();
         this.createSalaryBoxPlot();
         this.createEquityGapChart();
@@ -307,110 +320,49 @@ class SalaryVisualization {
     }
     
     updateCharts() {
-        if (typeof Chart === 'undefined') return;
-        
-        // Destroy existing charts
-        Object.values(this.charts).forEach(chart => {
-            if (chart && typeof chart.destroy === 'function') {
-                chart.destroy();
-            }
-        });
-        this.charts = {};
-        
-        // Recreate charts with filtered data
+        // Charts redraw in place with the filtered data
         this.createCharts();
     }
     
-    showLoadingState() {
-        const container = this.container.querySelector('.visualizations-container') || this.container;
-        container.innerHTML = `
-            <div class="viz-loading-state">
-                <div class="loading-spinner"></div>
-                <h3>Loading Visualizations...</h3>
-                <p>Please wait while we load the charting library and prepare your data visualizations.</p>
-            </div>
-        `;
-    }
-    
-    hideLoadingState() {
-        // Re-render the component
-        this.render();
-        this.attachEventListeners();
-    }
-    
-    showErrorState(message) {
-        const container = this.container.querySelector('.visualizations-container') || this.container;
-        container.innerHTML = `
-            <div class="viz-error-state">
-                <div class="error-icon">⚠️</div>
-                <h3>Visualization Error</h3>
-                <p>${message}</p>
-                <button class="btn btn-primary" onclick="window.location.reload()">Reload Page</button>
-            </div>
-        `;
+    /**
+     * Draw a chart on a canvas, reusing the renderer already attached to it
+     * @param {string} key - Key in this.charts
+     * @param {string} canvasId - Canvas element ID
+     * @param {Object} config - ChartRenderer configuration
+     */
+    drawChart(key, canvasId, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+        
+        if (this.charts[key] && this.charts[key].canvas === canvas) {
+            this.charts[key].update(config);
+        } else {
+            // The canvas was re-rendered - release the old renderer
+            if (this.charts[key]) this.charts[key].destroy();
+            this.charts[key] = new ChartRenderer(canvas, config);
+        }
     }
     
-    showEmptyState() {
-        const container = this.container.querySelector('.visualizations-container') || this.container;
-        container.innerHTML = `
-            <div class="viz-empty-state">
-                <div class="empty-icon">📊</div>
-                <h3>No Data Available</h3>
-                <p>Upload employee data to view salary visualizations and analytics.</p>
-            </div>
-        `;
+    /**
+     * Configurations of the charts drawn so far, e.g. to redraw them in a report
+     * @returns {Object[]} ChartRenderer configurations
+     */
+    getChartConfigs() {
+        return Object.values(this.charts).map(chart => chart.config);
     }
     
     createSalaryHistogram() {
-        const canvas = document.getElementById('salary-histogram');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
-        const salaries = employees.map(emp => emp.normalizedSalary || emp.salary || 0);
-        
-        // Create histogram bins
-        const bins = this.createHistogramBins(salaries, 20);
-        
-        this.charts.histogram = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: bins.labels,
-                datasets: [{
-                    label: 'Employee Count',
-                    data: bins.counts,
-                    backgroundColor: 'rgba(54, 162, 235, 0.6)',
-                    borderColor: 'rgba(54, 162, 235, 1)',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Salary Distribution Histogram'
-                    },
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Salary Range (USD)'
-                        }
-                    },
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Number of Employees'
-                        }
-                    }
-                }
-            }
+        const salaries = employees.map(emp => this.getSalary(emp));
+        
+        this.drawChart('histogram', 'salary-histogram', {
+            type: 'histogram',
+            title: `${this.getCompensationLabel()} Distribution Histogram`,
+            values: salaries,
+            binCount: 20,
+            xLabel: this.getAxisLabel(' Range'),
+            yLabel: 'Number of Employees',
+            formatX: value => this.formatSalary(value, true)
         });
         
         // Update statistics
@@ -431,7 +383,7 @@ class SalaryVisualization {
         for (let i = 0; i < binCount; i++) {
             const start = min + i * binWidth;
             const end = min + (i + 1) * binWidth;
-            labels.push(`$${Math.round(start/1000)}k-${Math.round(end/1000)}k`);
+            labels.push(`${this.formatSalary(start, true)}-${this.formatSalary(end, true)}`);
         }
         
         // Count data points in each bin
@@ -456,85 +408,41 @@ class SalaryVisualization {
             <div class="stats-grid">
                 <div class="stat-item">
                     <span class="stat-label">Mean:</span>
-                    <span class="stat-value">$${Math.round(mean).toLocaleString()}</span>
+                    <span class="stat-value">${this.formatSalary(mean)}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Median:</span>
-                    <span class="stat-value">$${Math.round(median).toLocaleString()}</span>
+                    <span class="stat-value">${this.formatSalary(median)}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Std Dev:</span>
-                    <span class="stat-value">$${Math.round(stdDev).toLocaleString()}</span>
+                    <span class="stat-value">${this.formatSalary(stdDev)}</span>
                 </div>
                 <div class="stat-item">
                     <span class="stat-label">Range:</span>
-                    <span class="stat-value">$${Math.round(Math.min(...salaries)).toLocaleString()} - $${Math.round(Math.max(...salaries)).toLocaleString()}</span>
+                    <span class="stat-value">${this.formatSalary(Math.min(...salaries))} - ${this.formatSalary(Math.max(...salaries))}</span>
                 </div>
             </div>
         `;
     }
     
     createSalaryBoxPlot() {
-        const canvas = document.getElementById('salary-boxplot');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Group by department or country for comparison
         const groups = this.groupEmployeesForBoxPlot(employees);
         
-        // Create box plot data (simplified as bar chart with error bars)
-        const datasets = Object.keys(groups).map((groupName, index) => {
-            const salaries = groups[groupName].map(emp => emp.normalizedSalary || emp.salary || 0);
-            const stats = this.calculateBoxPlotStats(salaries);
-            
-            return {
-                label: groupName,
-                data: [stats.median],
-                backgroundColor: `hsla(${index * 60}, 70%, 50%, 0.6)`,
-                borderColor: `hsla(${index * 60}, 70%, 50%, 1)`,
-                borderWidth: 2,
-                errorBars: {
-                    plus: stats.q3 - stats.median,
-                    minus: stats.median - stats.q1
-                }
-            };
-        });
-        
-        this.charts.boxplot = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels: Object.keys(groups),
-                datasets: [{
-                    label: 'Median Salary',
-                    data: Object.values(groups).map(group => {
-                        const salaries = group.map(emp => emp.normalizedSalary || emp.salary || 0);
-                        return this.calculateBoxPlotStats(salaries).median;
-                    }),
-                    backgroundColor: 'rgba(75, 192, 192, 0.6)',
-                    borderColor: 'rgba(75, 192, 192, 1)',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Salary Distribution by Group'
-                    }
-                },
-                scales: {
-                    y: {
-                        title: {
-                            display: true,
-                            text: 'Salary (USD)'
-                        }
-                    }
-                }
-            }
+        this.drawChart('boxplot', 'salary-boxplot', {
+            type: 'boxplot',
+            title: 'Salary Distribution by Group',
+            labels: Object.keys(groups),
+            datasets: [{
+                label: this.getCompensationLabel(),
+                data: Object.values(groups).map(group => this.calculateBoxPlotStats(group.map(emp => this.getSalary(emp)))),
+                colors: Object.keys(groups).map((groupName, index) => `hsl(${index * 60}, 70%, 45%)`)
+            }],
+            yLabel: this.getAxisLabel(),
+            formatY: value => this.formatSalary(value, true)
         });
         
         this.updateBoxPlotStats(groups);
@@ -574,16 +482,16 @@ class SalaryVisualization {
         let statsHtml = '<div class="group-stats">';
         
         Object.entries(groups).forEach(([groupName, employees]) => {
-            const salaries = employees.map(emp => emp.normalizedSalary || emp.salary || 0);
+            const salaries = employees.map(emp => this.getSalary(emp));
             const stats = this.calculateBoxPlotStats(salaries);
             
             statsHtml += `
                 <div class="group-stat">
                     <h5>${groupName}</h5>
                     <div class="stat-details">
-                        <span>Q1: $${Math.round(stats.q1).toLocaleString()}</span>
-                        <span>Median: $${Math.round(stats.median).toLocaleString()}</span>
-                        <span>Q3: $${Math.round(stats.q3).toLocaleString()}</span>
+                        <span>Q1: ${this.formatSalary(stats.q1)}</span>
+                        <span>Median: ${this.formatSalary(stats.median)}</span>
+                        <span>Q3: ${this.formatSalary(stats.q3)}</span>
                     </div>
                 </div>
             `;
@@ -594,10 +502,6 @@ class SalaryVisualization {
     }
     
     createEquityGapChart() {
-        const canvas = document.getElementById('equity-gaps');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Calculate pay gaps by different demographics
@@ -609,41 +513,18 @@ class SalaryVisualization {
         const labels = ['Gender Gap', ...Object.keys(countryGaps), ...Object.keys(levelGaps)];
         const data = [genderGap.gap, ...Object.values(countryGaps), ...Object.values(levelGaps)];
         
-        this.charts.equity = new Chart(ctx, {
+        this.drawChart('equity', 'equity-gaps', {
             type: 'bar',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Pay Gap (%)',
-                    data: data,
-                    backgroundColor: data.map(gap => gap > 10 ? 'rgba(255, 99, 132, 0.6)' : 
-                                                   gap > 5 ? 'rgba(255, 206, 86, 0.6)' : 
-                                                   'rgba(75, 192, 192, 0.6)'),
-                    borderColor: data.map(gap => gap > 10 ? 'rgba(255, 99, 132, 1)' : 
-                                                 gap > 5 ? 'rgba(255, 206, 86, 1)' : 
-                                                 'rgba(75, 192, 192, 1)'),
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                indexAxis: 'y',
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Pay Equity Gap Analysis'
-                    }
-                },
-                scales: {
-                    x: {
-                        title: {
-                            display: true,
-                            text: 'Pay Gap Percentage'
-                        }
-                    }
-                }
-            }
+            horizontal: true,
+            title: 'Pay Equity Gap Analysis',
+            labels: labels,
+            datasets: [{
+                label: 'Pay Gap',
+                data: data,
+                colors: data.map(gap => gap > 10 ? '#ef4444' : gap > 5 ? '#f59e0b' : '#14b8a6')
+            }],
+            xLabel: 'Pay Gap Percentage',
+            formatX: value => `${value.toFixed(value % 1 === 0 ? 0 : 1)}%`
         });
         
         this.updateEquityStats({ genderGap, countryGaps, levelGaps });
@@ -659,8 +540,8 @@ class SalaryVisualization {
             return { gap: 0, maleAvg: 0, femaleAvg: 0 };
         }
         
-        const maleAvg = maleEmployees.reduce((sum, emp) => sum + (emp.normalizedSalary || emp.salary || 0), 0) / maleEmployees.length;
-        const femaleAvg = femaleEmployees.reduce((sum, emp) => sum + (emp.normalizedSalary || emp.salary || 0), 0) / femaleEmployees.length;
+        const maleAvg = maleEmployees.reduce((sum, emp) => sum + this.getSalary(emp, 'fte'), 0) / maleEmployees.length;
+        const femaleAvg = femaleEmployees.reduce((sum, emp) => sum + this.getSalary(emp, 'fte'), 0) / femaleEmployees.length;
         
         const gap = ((maleAvg - femaleAvg) / maleAvg) * 100;
         
@@ -695,7 +576,7 @@ class SalaryVisualization {
         // Calculate gaps relative to highest paying country
         const countryAverages = {};
         countries.forEach(country => {
-            const salaries = countryGroups[country].map(emp => emp.normalizedSalary || emp.salary || 0);
+            const salaries = countryGroups[country].map(emp => this.getSalary(emp, 'fte'));
             countryAverages[country] = salaries.reduce((sum, sal) => sum + sal, 0) / salaries.length;
         });
         
@@ -723,7 +604,7 @@ class SalaryVisualization {
         
         // Calculate gaps within each level (simplified)
         levels.forEach(level => {
-            const salaries = levelGroups[level].map(emp => emp.normalizedSalary || emp.salary || 0);
+            const salaries = levelGroups[level].map(emp => this.getSalary(emp, 'fte'));
             if (salaries.length > 1) {
                 const max = Math.max(...salaries);
                 const min = Math.min(...salaries);
@@ -762,53 +643,24 @@ class SalaryVisualization {
     }
     
     createDemographicDistribution() {
-        const canvas = document.getElementById('demographic-distribution');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Create demographic breakdown
         const countryDistribution = this.calculateDistribution(employees, 'country');
+        const total = employees.length;
         
-        this.charts.demographic = new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels: Object.keys(countryDistribution),
-                datasets: [{
-                    data: Object.values(countryDistribution),
-                    backgroundColor: [
-                        'rgba(255, 99, 132, 0.6)',
-                        'rgba(54, 162, 235, 0.6)',
-                        'rgba(255, 206, 86, 0.6)',
-                        'rgba(75, 192, 192, 0.6)',
-                        'rgba(153, 102, 255, 0.6)',
-                        'rgba(255, 159, 64, 0.6)'
-                    ],
-                    borderColor: [
-                        'rgba(255, 99, 132, 1)',
-                        'rgba(54, 162, 235, 1)',
-                        'rgba(255, 206, 86, 1)',
-                        'rgba(75, 192, 192, 1)',
-                        'rgba(153, 102, 255, 1)',
-                        'rgba(255, 159, 64, 1)'
-                    ],
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Employee Distribution by Country'
-                    },
-                    legend: {
-                        position: 'bottom'
-                    }
-                }
-            }
+        this.drawChart('demographic', 'demographic-distribution', {
+            type: 'bar',
+            horizontal: true,
+            title: 'Employee Distribution by Country',
+            labels: Object.keys(countryDistribution),
+            datasets: [{
+                label: 'Employees',
+                data: Object.values(countryDistribution),
+                colors: CHART_COLORS
+            }],
+            xLabel: 'Number of Employees',
+            tooltip: item => `${item.label}\n${item.value} employees (${((item.value / total) * 100).toFixed(1)}%)`
         });
         
         this.updateDemographicStats(countryDistribution);
@@ -844,43 +696,24 @@ class SalaryVisualization {
     }
     
     createComparativeAnalysis() {
-        const canvas = document.getElementById('comparative-analysis');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
         const employees = this.getFilteredEmployees();
         
         // Create comparative analysis across multiple dimensions
         const countryData = this.getCountryComparison(employees);
         
-        this.charts.comparative = new Chart(ctx, {
-            type: 'radar',
-            data: {
-                labels: ['Avg Salary', 'Performance', 'Tenure', 'Satisfaction', 'Growth'],
-                datasets: countryData.map((country, index) => ({
-                    label: country.name,
-                    data: country.metrics,
-                    backgroundColor: `hsla(${index * 72}, 70%, 50%, 0.2)`,
-                    borderColor: `hsla(${index * 72}, 70%, 50%, 1)`,
-                    borderWidth: 2
-                }))
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Comparative Analysis by Country'
-                    }
-                },
-                scales: {
-                    r: {
-                        beginAtZero: true,
-                        max: 100
-                    }
-                }
-            }
+        this.drawChart('comparative', 'comparative-analysis', {
+            type: 'bar',
+            title: 'Comparative Analysis by Country',
+            labels: ['Avg Salary', 'Performance', 'Tenure', 'Satisfaction', 'Growth'],
+            datasets: countryData.map((country, index) => ({
+                label: country.name,
+                data: country.metrics,
+                color: `hsl(${index * 72}, 70%, 45%)`
+            })),
+            yMin: 0,
+            yMax: 100,
+            yLabel: 'Score (0-100)',
+            formatY: value => value.toFixed(0)
         });
         
         this.updateComparativeStats(countryData);
@@ -893,12 +726,12 @@ class SalaryVisualization {
             const countryEmployees = employees.filter(emp => emp.country === country);
             
             // Calculate normalized metrics (0-100 scale)
-            const avgSalary = countryEmployees.reduce((sum, emp) => sum + (emp.normalizedSalary || emp.salary || 0), 0) / countryEmployees.length;
-            const avgPerformance = countryEmployees.reduce((sum, emp) => sum + (emp.performanceRating || 3), 0) / countryEmployees.length;
-            const avgTenure = countryEmployees.reduce((sum, emp) => sum + (emp.timeInRole || 2), 0) / countryEmployees.length;
+            const avgSalary = countryEmployees.reduce((sum, emp) => sum + this.getSalary(emp), 0) / countryEmployees.length;
+            const avgPerformance = countryEmployees.reduce((sum, emp) => sum + (emp.rating || 3), 0) / countryEmployees.length;
+            const avgTenure = countryEmployees.reduce((sum, emp) => sum + (emp.tenureYears || 2), 0) / countryEmployees.length;
             
             // Normalize to 0-100 scale
-            const maxSalary = Math.max(...employees.map(emp => emp.normalizedSalary || emp.salary || 0));
+            const maxSalary = Math.max(...employees.map(emp => this.getSalary(emp)));
             
             return {
                 name: country,
@@ -961,7 +794,7 @@ class SalaryVisualization {
         }, {});
         
         const countryAverages = Object.values(countryGroups).map(group => {
-            return group.reduce((sum, emp) => sum + (emp.normalizedSalary || emp.salary || 0), 0) / group.length;
+            return group.reduce((sum, emp) => sum + this.getSalary(emp, 'fte'), 0) / group.length;
         });
         
         if (countryAverages.length < 2) return 0;
@@ -975,7 +808,7 @@ class SalaryVisualization {
     calculateDepartmentEquity(employees) {
         // Simplified equity score based on salary distribution within departments
         const deptGroups = employees.reduce((groups, emp) => {
-            const dept = emp.department || emp.title || 'Unknown';
+            const dept = emp.jobFunction || emp.title || 'Unknown';
             if (!groups[dept]) groups[dept] = [];
             groups[dept].push(emp);
             return groups;
@@ -986,7 +819,7 @@ class SalaryVisualization {
         
         Object.values(deptGroups).forEach(group => {
             if (group.length > 1) {
-                const salaries = group.map(emp => emp.normalizedSalary || emp.salary || 0);
+                const salaries = group.map(emp => this.getSalary(emp, 'fte'));
                 const mean = salaries.reduce((sum, sal) => sum + sal, 0) / salaries.length;
                 const variance = salaries.reduce((sum, sal) => sum + Math.pow(sal - mean, 2), 0) / salaries.length;
                 const cv = Math.sqrt(variance) / mean; // Coefficient of variation
@@ -1003,13 +836,13 @@ class SalaryVisualization {
     
     calculatePerformanceCorrelation(employees) {
         const validEmployees = employees.filter(emp => 
-            emp.performanceRating && (emp.normalizedSalary || emp.salary)
+            emp.rating && this.getSalary(emp, 'fte')
         );
         
         if (validEmployees.length < 2) return 0;
         
-        const performance = validEmployees.map(emp => emp.performanceRating);
-        const salaries = validEmployees.map(emp => emp.normalizedSalary || emp.salary);
+        const performance = validEmployees.map(emp => emp.rating);
+        const salaries = validEmployees.map(emp => this.getSalary(emp, 'fte'));
         
         return this.calculatePearsonCorrelation(performance, salaries);
     }
@@ -1062,17 +895,29 @@ class SalaryVisualization {
         return 'Large pay gap - immediate attention required';
     }
     
+    formatSalary(amount, compact = false) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: this.reportingCurrency,
+            notation: compact ? 'compact' : 'standard',
+            maximumFractionDigits: 0
+        }).format(amount || 0);
+    }
+    
     exportVisualizationData() {
         const employees = this.getFilteredEmployees();
         
         return {
             summary: {
                 totalEmployees: employees.length,
+                reportingCurrency: this.reportingCurrency,
+                compensationView: this.compensationView,
+                salaryBasis: this.salaryBasis,
                 filters: this.filters,
                 timestamp: new Date().toISOString()
             },
             salaryDistribution: this.createHistogramBins(
-                employees.map(emp => emp.normalizedSalary || emp.salary || 0), 
+                employees.map(emp => this.getSalary(emp)), 
                 20
             ),
             equityMetrics: {
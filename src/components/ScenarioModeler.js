@@ -7,24 +7,23 @@
  */
 
 class ScenarioModeler {
-    constructor() {
+    /**
+     * @param {Object} options - { onChange: called when scenarios, their results or the active scenario change }
+     */
+    constructor(options = {}) {
         this.scenarios = new Map();
-        this.activeScenario = null;
+        this.activeScenario = null; // Scenario the Insights views analyze
+        this.onChange = options.onChange || (() => {});
         this.baselineData = null;
         this.constraints = {
             totalBudget: 0,
-            maxRaisePercent: 12,
-            vpApprovalThreshold: 12,
-            countryConstraints: {
-                'US': { min: 0, max: 12, vpApprovalRequired: 12 },
-                'India': { min: 0, max: 50, vpApprovalRequired: 25 },
-                'UK': { min: 0, max: 15, vpApprovalRequired: 15 },
-                'Canada': { min: 0, max: 12, vpApprovalRequired: 12 },
-                'Germany': { min: 0, max: 10, vpApprovalRequired: 10 }
-            }
+            budgetTarget: null // Budget Planning target, used by merit matrix "solve to budget"
         };
+        this.meritMatrixCountry = {}; // Grid shown per merit matrix scenario
         this.comparisonMetrics = [
             'totalCost',
+            'baseCost',
+            'variableCost',
             'averageRaise',
             'medianRaise',
             'employeesWithRaises',
@@ -51,6 +50,104 @@ class ScenarioModeler {
         this.render();
     }
 
+    /**
+     * Replace the employee set (e.g. when the org scope changes) and recalculate existing scenarios
+     */
+    setEmployees(employeeData, budgetConstraints = {}) {
+        if (this.scenarios.size === 0) {
+            this.initialize(employeeData, budgetConstraints);
+            this.onChange();
+            return;
+        }
+        
+        this.baselineData = employeeData.map(emp => ({ ...emp }));
+        this.constraints = { ...this.constraints, ...budgetConstraints };
+        
+        this.scenarios.forEach((scenario, scenarioId) => this.calculateScenarioResults(scenarioId));
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Set the budget target from Budget Planning and re-solve merit matrix scenarios
+     */
+    setBudgetTarget(budgetTarget) {
+        this.constraints.budgetTarget = budgetTarget && budgetTarget.amount > 0 ? budgetTarget : null;
+        
+        this.scenarios.forEach((scenario, scenarioId) => {
+            if (scenario.config.strategy === 'merit_matrix' && scenario.config.parameters.solveToBudget) {
+                this.calculateScenarioResults(scenarioId);
+            }
+        });
+        this.onChange();
+    }
+
+    /**
+     * Get the scenarios for session persistence
+     */
+    getSessionState() {
+        return {
+            scenarios: Array.from(this.scenarios.values()).map(scenario => ({
+                ...scenario,
+                results: null
+            })),
+            activeScenario: this.activeScenario
+        };
+    }
+
+    /**
+     * Restore scenarios saved with getSessionState and recalculate them against the current employees
+     */
+    restoreSessionState(state) {
+        if (!state || !Array.isArray(state.scenarios)) return;
+        
+        this.scenarios = new Map(state.scenarios.map(scenario => [scenario.id, scenario]));
+        this.activeScenario = this.scenarios.has(state.activeScenario) ? state.activeScenario : null;
+        
+        this.scenarios.forEach((scenario, scenarioId) => this.calculateScenarioResults(scenarioId));
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Get the scenario the Insights views analyze
+     * @returns {Object|null} Scenario, or null when none is chosen
+     */
+    getActiveScenario() {
+        return this.scenarios.get(this.activeScenario) || null;
+    }
+
+    /**
+     * Choose the scenario the Insights views analyze
+     * @param {string|null} scenarioId - Scenario ID, or null for none
+     */
+    setActiveScenario(scenarioId) {
+        const activeScenario = this.scenarios.has(scenarioId) ? scenarioId : null;
+        if (activeScenario === this.activeScenario) return;
+        
+        this.activeScenario = activeScenario;
+        this.updateScenarioDisplay();
+        this.onChange();
+    }
+
+    /**
+     * Add a scenario with a set raise for each employee (e.g. an applied budget optimization)
+     * @param {string} name - Scenario name
+     * @param {string} description - Scenario description
+     * @param {Object} raises - Raise percentage by employee ID
+     * @returns {string} Scenario ID
+     */
+    addFixedRaiseScenario(name, description, raises) {
+        const scenarioId = this.createScenario(name, description, {
+            strategy: 'fixed',
+            parameters: { raises }
+        });
+        
+        this.updateScenarioDisplay();
+        this.onChange();
+        return scenarioId;
+    }
+
     /**
      * Create a new scenario
      */
@@ -84,7 +181,7 @@ class ScenarioModeler {
     calculateScenarioResults(scenarioId) {
         const scenario = this.scenarios.get(scenarioId);
         if (!scenario || !this.baselineData) return;
-
+        
         const employeeData = this.baselineData.map(emp => ({ ...emp }));
         const results = this.applyScenarioStrategy(employeeData, scenario.config);
         
@@ -101,8 +198,9 @@ class ScenarioModeler {
      * Apply scenario strategy to employee data
      */
     applyScenarioStrategy(employeeData, config) {
-        const { strategy, parameters } = config;
+        const { strategy, parameters, raiseTarget = 'base' } = config;
         let modifiedData = [...employeeData];
+        let meritMatrixSolution = null;
         
         switch (strategy) {
             case 'none':
@@ -129,11 +227,66 @@ class ScenarioModeler {
                 modifiedData = this.applyCustomRaises(modifiedData, parameters);
                 break;
                 
+            case 'merit_matrix':
+                meritMatrixSolution = this.solveMeritMatrix(modifiedData, parameters, raiseTarget);
+                modifiedData = this.applyMeritMatrixRaises(modifiedData, parameters, meritMatrixSolution.scale);
+                break;
+                
+            case 'fixed':
+                modifiedData = this.applyFixedRaises(modifiedData, parameters);
+                break;
+                
             default:
                 console.warn('Unknown scenario strategy:', strategy);
         }
         
-        return this.calculateScenarioMetrics(modifiedData);
+        modifiedData = this.applyRaiseTarget(modifiedData, raiseTarget);
+        
+        const metrics = this.calculateScenarioMetrics(modifiedData);
+        metrics.adjustments = this.getSalaryAdjustments(modifiedData);
+        if (meritMatrixSolution) {
+            metrics.meritMatrix = meritMatrixSolution;
+        }
+        return metrics;
+    }
+
+    /**
+     * The base salary change for each employee with a raise, in the reporting currency
+     * @returns {Array} Adjustments { employeeId, name, raisePercent, currentSalary, newSalary }
+     */
+    getSalaryAdjustments(employeeData) {
+        return employeeData
+            .filter(emp => (emp.proposedRaisePercent || 0) > 0 && emp.compensationChange)
+            .map(emp => {
+                const employee = toEmployeeModel(emp);
+                const change = emp.compensationChange;
+                const basePay = change.newBasePay - change.baseIncrease;
+                const currentSalary = employee.normalizedSalary;
+                
+                return {
+                    employeeId: employee.id,
+                    name: employee.name,
+                    raisePercent: emp.proposedRaisePercent,
+                    currentSalary,
+                    newSalary: basePay > 0 ? currentSalary * change.newBasePay / basePay : currentSalary
+                };
+            })
+            .filter(adjustment => adjustment.currentSalary !== null);
+    }
+
+    /**
+     * Apply each proposed raise to base salary or target bonus and work out the change in total cash
+     */
+    applyRaiseTarget(employeeData, raiseTarget) {
+        return employeeData.map(emp => {
+            const compensationChange = calculateCompensationChange(emp, (emp.proposedRaisePercent || 0) / 100, raiseTarget);
+            
+            return {
+                ...emp,
+                compensationChange,
+                proposedNewSalary: compensationChange.newBasePay
+            };
+        });
     }
 
     /**
@@ -143,7 +296,7 @@ class ScenarioModeler {
         const { budgetLimit = this.constraints.totalBudget, performanceWeighting = 0.8 } = parameters;
         
         return employeeData.map(emp => {
-            const performance = parseFloat(emp.performanceRating) || 3;
+            const performance = toEmployeeModel(emp).rating || 3;
             let raisePercent = 0;
             
             // Performance-based raise calculation
@@ -155,15 +308,14 @@ class ScenarioModeler {
                 raisePercent = 1 + (performance - 2.5) * 3; // 1-4% for average performers
             }
             
-            // Apply country constraints
-            const country = emp.country || 'US';
-            const countryConstraint = this.constraints.countryConstraints[country] || this.constraints.countryConstraints['US'];
-            raisePercent = Math.min(raisePercent, countryConstraint.max);
+            // Apply country policy (registry rates are fractions, raisePercent is a percentage)
+            const countryPolicy = getCountryPolicy(emp);
+            raisePercent = Math.min(raisePercent, countryPolicy.maxRaise * 100);
             
             return {
                 ...emp,
                 proposedRaisePercent: raisePercent,
-                proposedNewSalary: emp.currentSalary * (1 + raisePercent / 100),
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
                 raiseReason: this.generateRaiseReason('performance', performance, raisePercent)
             };
         });
@@ -191,18 +343,17 @@ class ScenarioModeler {
                 raisePercent = Math.min(8, (0.95 - marketRatio) * 40);
             } else {
                 // At or above market - small raise
-                raisePercent = Math.min(3, 3 * (emp.performanceRating / 5));
+                raisePercent = Math.min(3, 3 * ((toEmployeeModel(emp).rating || 3) / 5));
             }
             
-            // Apply country constraints
-            const country = emp.country || 'US';
-            const countryConstraint = this.constraints.countryConstraints[country] || this.constraints.countryConstraints['US'];
-            raisePercent = Math.min(raisePercent, countryConstraint.max);
+            // Apply country policy (registry rates are fractions, raisePercent is a percentage)
+            const countryPolicy = getCountryPolicy(emp);
+            raisePercent = Math.min(raisePercent, countryPolicy.maxRaise * 100);
             
             return {
                 ...emp,
                 proposedRaisePercent: raisePercent,
-                proposedNewSalary: emp.currentSalary * (1 + raisePercent / 100),
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
                 raiseReason: this.generateRaiseReason('equity', marketRatio, raisePercent)
             };
         });
@@ -216,7 +367,7 @@ class ScenarioModeler {
         
         return employeeData.map(emp => {
             const retentionRisk = this.calculateRetentionRisk(emp);
-            const performance = parseFloat(emp.performanceRating) || 3;
+            const performance = toEmployeeModel(emp).rating || 3;
             let raisePercent = 0;
             
             // Retention-focused raise calculation
@@ -234,15 +385,14 @@ class ScenarioModeler {
                 raisePercent = Math.max(0, performance - 2.5);
             }
             
-            // Apply country constraints
-            const country = emp.country || 'US';
-            const countryConstraint = this.constraints.countryConstraints[country] || this.constraints.countryConstraints['US'];
-            raisePercent = Math.min(raisePercent, countryConstraint.max);
+            // Apply country policy (registry rates are fractions, raisePercent is a percentage)
+            const countryPolicy = getCountryPolicy(emp);
+            raisePercent = Math.min(raisePercent, countryPolicy.maxRaise * 100);
             
             return {
                 ...emp,
                 proposedRaisePercent: raisePercent,
-                proposedNewSalary: emp.currentSalary * (1 + raisePercent / 100),
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
                 raiseReason: this.generateRaiseReason('retention', retentionRisk, raisePercent)
             };
         });
@@ -254,7 +404,8 @@ class ScenarioModeler {
     applyBudgetMaximizedRaises(employeeData, parameters) {
         const { budgetLimit = this.constraints.totalBudget, distributionMethod = 'proportional' } = parameters;
         
-        const totalCurrentSalary = employeeData.reduce((sum, emp) => sum + emp.currentSalary, 0);
+        // Budgets are in the reporting currency, so compare them with normalized salaries
+        const totalCurrentSalary = employeeData.reduce((sum, emp) => sum + (toEmployeeModel(emp).normalizedSalary || 0), 0);
         const targetBudgetPercent = (budgetLimit / totalCurrentSalary) * 100;
         
         return employeeData.map(emp => {
@@ -266,28 +417,46 @@ class ScenarioModeler {
             } else if (distributionMethod === 'equal') {
                 // Equal dollar amount for all employees
                 const equalAmount = budgetLimit / employeeData.length;
-                raisePercent = (equalAmount / emp.currentSalary) * 100;
+                const salary = toEmployeeModel(emp).normalizedSalary;
+                raisePercent = salary ? (equalAmount / salary) * 100 : 0;
             } else if (distributionMethod === 'performance_weighted') {
                 // Weight by performance rating
-                const performance = parseFloat(emp.performanceRating) || 3;
+                const performance = toEmployeeModel(emp).rating || 3;
                 const performanceWeight = performance / 5;
                 raisePercent = targetBudgetPercent * performanceWeight * 1.5;
             }
             
-            // Apply country constraints
-            const country = emp.country || 'US';
-            const countryConstraint = this.constraints.countryConstraints[country] || this.constraints.countryConstraints['US'];
-            raisePercent = Math.min(raisePercent, countryConstraint.max);
+            // Apply country policy (registry rates are fractions, raisePercent is a percentage)
+            const countryPolicy = getCountryPolicy(emp);
+            raisePercent = Math.min(raisePercent, countryPolicy.maxRaise * 100);
             
             return {
                 ...emp,
                 proposedRaisePercent: raisePercent,
-                proposedNewSalary: emp.currentSalary * (1 + raisePercent / 100),
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
                 raiseReason: this.generateRaiseReason('budget', targetBudgetPercent, raisePercent)
             };
         });
     }
 
+    /**
+     * Apply a set raise percentage per employee
+     */
+    applyFixedRaises(employeeData, parameters) {
+        const { raises = {}, reason = 'Applied budget optimization' } = parameters;
+        
+        return employeeData.map(emp => {
+            const raisePercent = raises[emp.id] || 0;
+            
+            return {
+                ...emp,
+                proposedRaisePercent: raisePercent,
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
+                raiseReason: raisePercent > 0 ? reason : 'No raise in this plan'
+            };
+        });
+    }
+
     /**
      * Apply custom raise strategy
      */
@@ -307,36 +476,118 @@ class ScenarioModeler {
                 }
             }
             
-            // Apply country constraints
-            const country = emp.country || 'US';
-            const countryConstraint = this.constraints.countryConstraints[country] || this.constraints.countryConstraints['US'];
-            raisePercent = Math.min(raisePercent, countryConstraint.max);
+            // Apply country policy (registry rates are fractions, raisePercent is a percentage)
+            const countryPolicy = getCountryPolicy(emp);
+            raisePercent = Math.min(raisePercent, countryPolicy.maxRaise * 100);
             
             return {
                 ...emp,
                 proposedRaisePercent: raisePercent,
-                proposedNewSalary: emp.currentSalary * (1 + raisePercent / 100),
+                proposedNewSalary: this.getBaseSalary(emp) * (1 + raisePercent / 100),
                 raiseReason
             };
         });
     }
 
+    /**
+     * Apply merit matrix strategy (performance rating x range position quartile)
+     */
+    applyMeritMatrixRaises(employeeData, parameters, scale = 1) {
+        return employeeData.map(emp => {
+            const meritRaise = calculateMeritRaise(emp, parameters, scale);
+            const salary = getMeritMatrixSalary(emp);
+            
+            return {
+                ...emp,
+                proposedRaisePercent: meritRaise.percent,
+                proposedNewSalary: salary * (1 + meritRaise.percent / 100),
+                meritCell: meritRaise.cell,
+                raiseReason: meritRaise.cell
+                    ? this.generateRaiseReason('merit_matrix', meritRaise, meritRaise.percent)
+                    : 'No performance rating or range position - not placed in the merit matrix'
+            };
+        });
+    }
+
+    /**
+     * Find the merit matrix scale - 1 unless the scenario solves to the Budget Planning target
+     */
+    solveMeritMatrix(employeeData, parameters, raiseTarget = 'base') {
+        const budgetTarget = this.constraints.budgetTarget;
+        if (!parameters.solveToBudget || !budgetTarget) {
+            return { scale: 1, solved: false, budgetTarget: null };
+        }
+        
+        // Same cost measure as Budget Planning: raise including benefits and variable pay, in the budget currency
+        const costFn = (emp, raisePercent) => this.calculateRaiseCost(emp, raisePercent, raiseTarget);
+        
+        const solution = solveMeritMatrixScale(employeeData, parameters, budgetTarget.amount, costFn);
+        return {
+            scale: solution.scale,
+            solved: true,
+            reachable: solution.reachable,
+            cost: solution.cost,
+            budgetTarget
+        };
+    }
+
+    /**
+     * Calculate the budget cost of a raise: base increase including benefits plus the variable pay increase
+     */
+    calculateRaiseCost(emp, raisePercent, raiseTarget = 'base') {
+        const change = calculateCompensationChange(emp, raisePercent / 100, raiseTarget);
+        const baseRaise = raiseTarget === 'base' ? raisePercent / 100 : 0;
+        const baseCost = calculateSalaryImpact(getMeritMatrixSalary(emp), baseRaise).totalCostIncrease;
+        
+        return this.convertToBudgetCurrency(baseCost + change.variableIncrease, change.currency);
+    }
+
+    /**
+     * Get the currency scenario costs are reported in - the budget target's, else the reporting currency
+     */
+    getBudgetCurrency() {
+        if (this.constraints.budgetTarget) return this.constraints.budgetTarget.currency;
+        return (window.TeamAnalyzer && window.TeamAnalyzer.AppState.reportingCurrency) || 'USD';
+    }
+
+    /**
+     * Convert an amount to the budget currency, leaving it unchanged if it can't be converted
+     */
+    convertToBudgetCurrency(amount, currency) {
+        const budgetCurrency = this.getBudgetCurrency();
+        if (!currency || currency === budgetCurrency || !window.CurrencyUtils) return amount;
+        
+        try {
+            this.currencyUtils = this.currencyUtils || new CurrencyUtils();
+            return this.currencyUtils.convertCurrency(amount, currency, budgetCurrency).convertedAmount;
+        } catch (error) {
+            return amount;
+        }
+    }
+
     /**
      * Calculate scenario metrics
      */
     calculateScenarioMetrics(employeeData) {
-        const totalCurrentSalary = employeeData.reduce((sum, emp) => sum + emp.currentSalary, 0);
-        const totalNewSalary = employeeData.reduce((sum, emp) => sum + (emp.proposedNewSalary || emp.currentSalary), 0);
-        const totalCost = totalNewSalary - totalCurrentSalary;
+        // Total cash cost of the scenario (base plus variable pay) in the budget currency
+        const sumChange = field => employeeData.reduce((sum, emp) => emp.compensationChange
+            ? sum + this.convertToBudgetCurrency(emp.compensationChange[field], emp.compensationChange.currency)
+            : sum, 0);
+        const baseCost = sumChange('baseIncrease');
+        const variableCost = sumChange('variableIncrease');
+        const totalCost = baseCost + variableCost;
         
         const raises = employeeData.filter(emp => (emp.proposedRaisePercent || 0) > 0);
         const raisePercentages = raises.map(emp => emp.proposedRaisePercent || 0);
         
-        const highPerformers = employeeData.filter(emp => parseFloat(emp.performanceRating) >= 4.0);
+        const highPerformers = employeeData.filter(emp => toEmployeeModel(emp).rating >= 4.0);
         const highPerformerRaises = highPerformers.filter(emp => (emp.proposedRaisePercent || 0) > 0);
         
         return {
             totalCost,
+            baseCost,
+            variableCost,
+            currency: this.getBudgetCurrency(),
             budgetUtilization: (totalCost / this.constraints.totalBudget) * 100,
             averageRaise: raisePercentages.length > 0 ? raisePercentages.reduce((a, b) => a + b, 0) / raisePercentages.length : 0,
             medianRaise: this.calculateMedian(raisePercentages),
@@ -345,7 +596,7 @@ class ScenarioModeler {
             highPerformerRetention: highPerformers.length > 0 ? (highPerformerRaises.length / highPerformers.length) * 100 : 0,
             equityScore: this.calculateEquityScore(employeeData),
             riskScore: this.calculateRiskScore(employeeData),
-            vpApprovalsRequired: employeeData.filter(emp => (emp.proposedRaisePercent || 0) >= this.constraints.vpApprovalThreshold).length,
+            vpApprovalsRequired: employeeData.filter(emp => (emp.proposedRaisePercent || 0) > getCountryPolicy(emp).vpApprovalThreshold * 100).length,
             countryBreakdown: this.calculateCountryBreakdown(employeeData),
             performanceBreakdown: this.calculatePerformanceBreakdown(employeeData)
         };
@@ -361,12 +612,15 @@ class ScenarioModeler {
         const roleGroups = this.groupByRole(employeeData);
         
         roleGroups.forEach((employees, role) => {
-            const salaries = employees.map(emp => emp.currentSalary).sort((a, b) => a - b);
+            // Roles span countries, so compare salaries in the reporting currency
+            const salaries = employees.map(emp => toEmployeeModel(emp).normalizedSalary).filter(salary => salary !== null);
             const median = this.calculateMedian(salaries);
             
             employees.forEach(emp => {
-                const ratio = emp.currentSalary / median;
-                marketRatios.set(emp.id, ratio);
+                const salary = toEmployeeModel(emp).normalizedSalary;
+                if (salary !== null && median > 0) {
+                    marketRatios.set(emp.id, salary / median);
+                }
             });
         });
         
@@ -377,24 +631,25 @@ class ScenarioModeler {
      * Calculate retention risk for an employee
      */
     calculateRetentionRisk(employee) {
+        const model = toEmployeeModel(employee);
         let risk = 0.3; // Base risk
         
         // Performance factor
-        const performance = parseFloat(employee.performanceRating) || 3;
+        const performance = model.rating || 3;
         if (performance >= 4.0) risk += 0.2; // High performers more likely to leave
         
         // Tenure factor
-        const tenure = parseFloat(employee.tenure) || 1;
+        const tenure = model.tenureYears !== null ? model.tenureYears : 1;
         if (tenure < 2) risk += 0.2; // New employees higher risk
         if (tenure > 5) risk -= 0.1; // Longer tenure lower risk
         
         // Salary factor (below market increases risk)
-        const comparatio = parseFloat(employee.comparatio) || 1.0;
+        const comparatio = model.comparatio || 1.0;
         if (comparatio < 0.9) risk += 0.3;
         else if (comparatio < 0.95) risk += 0.1;
         
         // Future talent factor
-        if (employee.futureTalent === 'Yes' || employee.futureTalent === 'High') {
+        if (model.futureTalent) {
             risk += 0.2;
         }
         
@@ -414,6 +669,8 @@ class ScenarioModeler {
                 return `Retention-focused raise (${(metric * 100).toFixed(0)}% risk, ${raisePercent.toFixed(1)}% increase)`;
             case 'budget':
                 return `Budget optimization (${metric.toFixed(1)}% target, ${raisePercent.toFixed(1)}% increase)`;
+            case 'merit_matrix':
+                return `Merit matrix (rating ${MERIT_MATRIX_RATINGS[metric.cell.row]}, ${MERIT_MATRIX_QUARTILES[metric.cell.column].label} of range${metric.capped ? ', capped at country maximum' : ''}, ${raisePercent.toFixed(1)}% increase)`;
             default:
                 return `${raisePercent.toFixed(1)}% salary increase`;
         }
@@ -427,7 +684,8 @@ class ScenarioModeler {
         
         return conditions.every(condition => {
             const { field, operator, value } = condition;
-            const empValue = employee[field];
+            // Rules name model fields, e.g. rating, baseSalary or country
+            const empValue = toEmployeeModel(employee)[field];
             
             switch (operator) {
                 case 'equals':
@@ -444,6 +702,13 @@ class ScenarioModeler {
         });
     }
 
+    /**
+     * Annual base salary in the employee's currency, 0 if the record has none
+     */
+    getBaseSalary(employee) {
+        return toEmployeeModel(employee).baseSalary || 0;
+    }
+
     /**
      * Calculate various metrics
      */
@@ -457,7 +722,7 @@ class ScenarioModeler {
     calculateEquityScore(employeeData) {
         // Calculate how equitable the raise distribution is
         const raises = employeeData.map(emp => emp.proposedRaisePercent || 0);
-        const performances = employeeData.map(emp => parseFloat(emp.performanceRating) || 3);
+        const performances = employeeData.map(emp => toEmployeeModel(emp).rating || 3);
         
         // Correlation between performance and raises
         const correlation = this.calculateCorrelation(performances, raises);
@@ -507,7 +772,9 @@ class ScenarioModeler {
             breakdown[country].totalEmployees++;
             if ((emp.proposedRaisePercent || 0) > 0) {
                 breakdown[country].employeesWithRaises++;
-                breakdown[country].totalCost += (emp.proposedNewSalary || emp.currentSalary) - emp.currentSalary;
+                breakdown[country].totalCost += emp.compensationChange
+                    ? this.convertToBudgetCurrency(emp.compensationChange.totalCashIncrease, emp.compensationChange.currency)
+                    : 0;
             }
         });
         
@@ -531,7 +798,7 @@ class ScenarioModeler {
         };
         
         employeeData.forEach(emp => {
-            const performance = parseFloat(emp.performanceRating) || 0;
+            const performance = toEmployeeModel(emp).rating || 0;
             const raisePercent = emp.proposedRaisePercent || 0;
             
             let bucket;
@@ -632,10 +899,13 @@ class ScenarioModeler {
         }
         
         return Array.from(this.scenarios.values()).map(scenario => `
-            <div class="scenario-card" data-scenario-id="${scenario.id}">
+            <div class="scenario-card ${scenario.id === this.activeScenario ? 'active' : ''}" data-scenario-id="${scenario.id}">
                 <div class="scenario-card-header">
                     <h4>${scenario.name}</h4>
                     <div class="scenario-actions">
+                        ${scenario.id === this.activeScenario
+                            ? `<button class="btn btn-sm btn-primary" onclick="scenarioModeler.setActiveScenario(null)" title="Stop analyzing this scenario in Insights">Shown in Insights</button>`
+                            : `<button class="btn btn-sm" onclick="scenarioModeler.setActiveScenario('${scenario.id}')" title="Analyze this scenario's raises in Insights">Use in Insights</button>`}
                         <button class="btn btn-sm" onclick="scenarioModeler.editScenario('${scenario.id}')">Edit</button>
                         <button class="btn btn-sm" onclick="scenarioModeler.duplicateScenario('${scenario.id}')">Duplicate</button>
                         <button class="btn btn-sm btn-danger" onclick="scenarioModeler.deleteScenario('${scenario.id}')">Delete</button>
@@ -644,6 +914,7 @@ class ScenarioModeler {
                 <div class="scenario-card-body">
                     <p class="scenario-description">${scenario.description}</p>
                     ${scenario.results ? this.renderScenarioResults(scenario.results) : '<p class="calculating">Calculating results...</p>'}
+                    ${scenario.config.strategy === 'merit_matrix' ? this.renderMeritMatrix(scenario) : ''}
                 </div>
                 <div class="scenario-card-footer">
                     <small>Created: ${scenario.createdAt.toLocaleDateString()}</small>
@@ -661,8 +932,12 @@ class ScenarioModeler {
             <div class="scenario-results">
                 <div class="results-grid">
                     <div class="result-item">
-                        <span class="result-label">Total Cost:</span>
-                        <span class="result-value">${this.formatCurrency(results.totalCost)}</span>
+                        <span class="result-label">Total Cash Cost:</span>
+                        <span class="result-value">${this.formatCurrency(results.totalCost, results.currency)}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Base / Variable:</span>
+                        <span class="result-value">${this.formatCurrency(results.baseCost, results.currency)} / ${this.formatCurrency(results.variableCost, results.currency)}</span>
                     </div>
                     <div class="result-item">
                         <span class="result-label">Budget Utilization:</span>
@@ -712,10 +987,19 @@ class ScenarioModeler {
                         <option value="equity_focused">Equity-Focused Raises</option>
                         <option value="retention_focused">Retention-Focused Raises</option>
                         <option value="budget_maximized">Budget-Maximized Distribution</option>
+                        <option value="merit_matrix">Merit Matrix (Performance × Range Position)</option>
                         <option value="custom">Custom Rules</option>
                     </select>
                 </div>
                 
+                <div class="form-group">
+                    <label for="scenario-raise-target">Apply Raises To</label>
+                    <select id="scenario-raise-target" name="raiseTarget">
+                        ${Object.values(RAISE_TARGETS).map(target => `<option value="${target.key}">${target.label}</option>`).join('')}
+                    </select>
+                    <small>Base raises also lift variable pay set as a % of base; bonus raises add the amount to the target bonus</small>
+                </div>
+                
                 <div id="strategy-parameters">
                     ${this.renderStrategyParameters('performance_based')}
                 </div>
@@ -785,6 +1069,21 @@ class ScenarioModeler {
                     </div>
                 `;
                 
+            case 'merit_matrix':
+                return `
+                    <div class="form-group">
+                        <label>Default Merit Grid (raise %)</label>
+                        ${this.renderMeritGridInputs(DEFAULT_MERIT_GRID)}
+                        <small>Add per-country grids and see the heatmap on the scenario card once it is created.</small>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" name="solveToBudget" value="true">
+                            Solve to budget - scale the grid to spend the Budget Planning target
+                        </label>
+                    </div>
+                `;
+                
             case 'custom':
                 return `
                     <div class="form-group">
@@ -836,13 +1135,18 @@ class ScenarioModeler {
         const formData = new FormData(form);
         const config = {
             strategy: formData.get('strategy'),
+            raiseTarget: formData.get('raiseTarget') || 'base',
             parameters: {}
         };
         
         // Collect strategy-specific parameters
-        for (const [key, value] of formData.entries()) {
-            if (key !== 'name' && key !== 'description' && key !== 'strategy') {
-                config.parameters[key] = value;
+        if (config.strategy === 'merit_matrix') {
+            config.parameters = this.readMeritMatrixForm(formData);
+        } else {
+            for (const [key, value] of formData.entries()) {
+                if (key !== 'name' && key !== 'description' && key !== 'strategy' && key !== 'raiseTarget') {
+                    config.parameters[key] = value;
+                }
             }
         }
         
@@ -854,11 +1158,222 @@ class ScenarioModeler {
         
         this.hideCreateScenarioModal();
         this.updateScenarioDisplay();
+        this.onChange();
         
         // Show success notification
         window.showNotification('Scenario created successfully', 'success');
     }
 
+    /**
+     * Read the merit grid and solve-to-budget option from the create form
+     */
+    readMeritMatrixForm(formData) {
+        const matrix = createMeritMatrix();
+        
+        matrix.default = MERIT_MATRIX_RATINGS.map((rating, row) =>
+            MERIT_MATRIX_QUARTILES.map((quartile, column) => {
+                const value = parseFloat(formData.get(`merit_${row}_${column}`));
+                return isNaN(value) ? DEFAULT_MERIT_GRID[row][column] : Math.max(value, 0);
+            })
+        );
+        matrix.solveToBudget = formData.get('solveToBudget') === 'true';
+        
+        return matrix;
+    }
+
+    /**
+     * Render merit grid inputs for the create form
+     */
+    renderMeritGridInputs(grid) {
+        return `
+            <table class="merit-matrix-table">
+                <thead>
+                    <tr>
+                        <th>Rating</th>
+                        ${MERIT_MATRIX_QUARTILES.map(quartile => `<th title="${quartile.description}">${quartile.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${MERIT_MATRIX_RATINGS.map((rating, row) => `
+                        <tr>
+                            <th>${rating}</th>
+                            ${MERIT_MATRIX_QUARTILES.map((quartile, column) => `
+                                <td><input type="number" name="merit_${row}_${column}" value="${grid[row][column]}" min="0" max="100" step="0.1"></td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the editable merit grid and employee heatmap for a scenario
+     */
+    renderMeritMatrix(scenario) {
+        const matrix = scenario.config.parameters;
+        const employees = this.baselineData || [];
+        const countryCodes = [...new Set(employees.map(emp => getMeritMatrixCountry(emp)).filter(Boolean))].sort();
+        
+        // Grid being viewed: 'default' or an ISO2 code
+        let selected = this.meritMatrixCountry[scenario.id] || 'default';
+        if (selected !== 'default' && !countryCodes.includes(selected) && !matrix.countries[selected]) {
+            selected = 'default';
+        }
+        
+        const hasOwnGrid = selected === 'default' || !!matrix.countries[selected];
+        const grid = selected === 'default' ? matrix.default : (matrix.countries[selected] || matrix.default);
+        
+        // Heatmap covers the employees who use the grid being viewed
+        const gridEmployees = employees.filter(emp => selected === 'default'
+            ? getMeritGrid(matrix, emp).gridKey === 'default'
+            : getMeritMatrixCountry(emp) === selected);
+        const { counts, unplaced } = countMeritMatrixCells(gridEmployees);
+        const maxCount = Math.max(1, ...counts.map(row => Math.max(...row)));
+        
+        const solution = scenario.results && scenario.results.meritMatrix;
+        let solveStatus = '';
+        if (matrix.solveToBudget) {
+            if (!solution || !solution.budgetTarget) {
+                solveStatus = 'Set a maximum budget increase on the Budget Planning tab to solve to budget.';
+            } else {
+                const target = `${this.formatBudgetAmount(solution.budgetTarget.amount, solution.budgetTarget.currency)}`;
+                solveStatus = solution.reachable
+                    ? `Grid scaled ×${solution.scale.toFixed(2)} to spend ${target} (including benefits).`
+                    : `Country caps limit spend to ${this.formatBudgetAmount(solution.cost, solution.budgetTarget.currency)} - below the ${target} target.`;
+            }
+        }
+        
+        return `
+            <div class="merit-matrix" data-scenario-id="${scenario.id}">
+                <div class="merit-matrix-controls">
+                    <label>
+                        Grid
+                        <select onchange="scenarioModeler.selectMeritMatrixCountry('${scenario.id}', this.value)">
+                            <option value="default" ${selected === 'default' ? 'selected' : ''}>Default (all other countries)</option>
+                            ${countryCodes.map(code => `
+                                <option value="${code}" ${selected === code ? 'selected' : ''}>${code}${matrix.countries[code] ? ' (own grid)' : ''}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${selected === 'default' ? '' : hasOwnGrid
+                        ? `<button type="button" class="btn btn-sm" onclick="scenarioModeler.removeMeritMatrixCountry('${scenario.id}', '${selected}')">Use default grid for ${selected}</button>`
+                        : `<button type="button" class="btn btn-sm" onclick="scenarioModeler.addMeritMatrixCountry('${scenario.id}', '${selected}')">Customize grid for ${selected}</button>`}
+                    <label>
+                        <input type="checkbox" ${matrix.solveToBudget ? 'checked' : ''} onchange="scenarioModeler.setMeritMatrixSolveToBudget('${scenario.id}', this.checked)">
+                        Solve to budget
+                    </label>
+                </div>
+                ${solveStatus ? `<p class="merit-matrix-status">${solveStatus}</p>` : ''}
+                ${hasOwnGrid ? '' : `<p class="merit-matrix-status">${selected} uses the default grid.</p>`}
+                <table class="merit-matrix-table heatmap">
+                    <thead>
+                        <tr>
+                            <th>Rating</th>
+                            ${MERIT_MATRIX_QUARTILES.map(quartile => `<th title="${quartile.description}">${quartile.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${MERIT_MATRIX_RATINGS.map((rating, row) => `
+                            <tr>
+                                <th>${rating}</th>
+                                ${MERIT_MATRIX_QUARTILES.map((quartile, column) => `
+                                    <td style="background-color: rgba(102, 126, 234, ${(counts[row][column] / maxCount * 0.6).toFixed(2)});">
+                                        <input type="number" value="${grid[row][column]}" min="0" max="100" step="0.1" ${hasOwnGrid ? '' : 'disabled'}
+                                               onchange="scenarioModeler.updateMeritMatrixCell('${scenario.id}', '${selected}', ${row}, ${column}, this.value)">
+                                        <span class="merit-cell-count" title="Employees in this cell">${counts[row][column]}</span>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${unplaced > 0 ? `<p class="merit-matrix-status">${unplaced} employee${unplaced === 1 ? '' : 's'} without a rating or range position receive no merit raise.</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Show a different merit grid on a scenario card
+     */
+    selectMeritMatrixCountry(scenarioId, countryCode) {
+        this.meritMatrixCountry[scenarioId] = countryCode;
+        this.updateScenarioDisplay();
+    }
+
+    /**
+     * Update a merit grid cell and recalculate the scenario
+     */
+    updateMeritMatrixCell(scenarioId, gridKey, row, column, value) {
+        const scenario = this.scenarios.get(scenarioId);
+        const percent = parseFloat(value);
+        if (!scenario || isNaN(percent) || percent < 0 || percent > 100) {
+            this.updateScenarioDisplay();
+            return;
+        }
+        
+        const matrix = scenario.config.parameters;
+        const grid = gridKey === 'default' ? matrix.default : matrix.countries[gridKey];
+        if (!grid) return;
+        
+        grid[row][column] = percent;
+        this.calculateScenarioResults(scenarioId);
+        this.onChange();
+    }
+
+    /**
+     * Give a country its own merit grid, starting from the default grid
+     */
+    addMeritMatrixCountry(scenarioId, countryCode) {
+        const scenario = this.scenarios.get(scenarioId);
+        if (!scenario) return;
+        
+        const matrix = scenario.config.parameters;
+        matrix.countries[countryCode] = matrix.default.map(row => [...row]);
+        this.meritMatrixCountry[scenarioId] = countryCode;
+        this.calculateScenarioResults(scenarioId);
+        this.onChange();
+    }
+
+    /**
+     * Remove a country's merit grid so it uses the default grid again
+     */
+    removeMeritMatrixCountry(scenarioId, countryCode) {
+        const scenario = this.scenarios.get(scenarioId);
+        if (!scenario) return;
+        
+        delete scenario.config.parameters.countries[countryCode];
+        this.calculateScenarioResults(scenarioId);
+        this.onChange();
+    }
+
+    /**
+     * Turn solve-to-budget on or off for a merit matrix scenario
+     */
+    setMeritMatrixSolveToBudget(scenarioId, solveToBudget) {
+        const scenario = this.scenarios.get(scenarioId);
+        if (!scenario) return;
+        
+        scenario.config.parameters.solveToBudget = solveToBudget;
+        this.calculateScenarioResults(scenarioId);
+        this.onChange();
+    }
+
+    /**
+     * Format a budget amount in its own currency
+     */
+    formatBudgetAmount(amount, currency) {
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency || 'USD',
+                maximumFractionDigits: 0
+            }).format(amount);
+        } catch (error) {
+            return `${currency || ''} ${Math.round(amount).toLocaleString()}`;
+        }
+    }
+
     /**
      * Update scenario display
      */
@@ -872,10 +1387,10 @@ class ScenarioModeler {
     /**
      * Format currency for display
      */
-    formatCurrency(amount) {
+    formatCurrency(amount, currency = this.getBudgetCurrency()) {
         return new Intl.NumberFormat('en-US', {
             style: 'currency',
-            currency: 'USD',
+            currency: currency,
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
         }).format(amount);
@@ -898,9 +1413,10 @@ class ScenarioModeler {
             this.createScenario(
                 scenario.name + ' (Copy)',
                 scenario.description,
-                { ...scenario.config }
+                JSON.parse(JSON.stringify(scenario.config))
             );
             this.updateScenarioDisplay();
+            this.onChange();
         }
     }
 
@@ -910,7 +1426,11 @@ class ScenarioModeler {
     deleteScenario(scenarioId) {
         if (confirm('Are you sure you want to delete this scenario?')) {
             this.scenarios.delete(scenarioId);
+            if (this.activeScenario === scenarioId) {
+                this.activeScenario = null;
+            }
             this.updateScenarioDisplay();
+            this.onChange();
         }
     }
 
@@ -960,7 +1480,9 @@ class ScenarioModeler {
      */
     getMetricLabel(metric) {
         const labels = {
-            totalCost: 'Total Cost',
+            totalCost: 'Total Cash Cost',
+            baseCost: 'Base Salary Cost',
+            variableCost: 'Variable Pay Cost',
             averageRaise: 'Average Raise %',
             medianRaise: 'Median Raise %',
             employeesWithRaises: 'Employees with Raises',
@@ -980,6 +1502,8 @@ class ScenarioModeler {
         
         switch (metric) {
             case 'totalCost':
+            case 'baseCost':
+            case 'variableCost':
                 return this.formatCurrency(value);
             case 'averageRaise':
             case 'medianRaise':
@@ -0,0 +1,345 @@
+/**
+ * SessionManager Component
+ *
+ * Lists saved sessions on the upload screen with resume, rename and delete
+ * actions, a "wipe all local data" control, and a status bar showing the
+ * current session and when it was last saved.
+ */
+
+class SessionManager {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.statusContainer = options.statusContainer || null;
+        this.sessionStore = options.sessionStore || null;
+
+        // State
+        this.sessions = [];
+        this.currentSession = null;
+
+        // Callbacks
+        this.onResume = options.onResume || (() => {});
+        this.onRename = options.onRename || (() => {});
+        this.onDelete = options.onDelete || (() => {});
+        this.onWipe = options.onWipe || (() => {});
+        this.onShowSessions = options.onShowSessions || (() => {});
+
+        this.init();
+    }
+
+    /**
+     * Initialize the session manager
+     */
+    init() {
+        this.container.className = 'session-manager';
+        this.container.addEventListener('click', this.handleClick.bind(this));
+
+        if (this.statusContainer) {
+            this.statusContainer.className = 'session-status hidden';
+            this.statusContainer.addEventListener('click', this.handleStatusClick.bind(this));
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Reload the session list from the store and re-render
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.sessionStore) {
+            this.renderUnsupported();
+            return;
+        }
+
+        try {
+            this.sessions = await this.sessionStore.listSessions();
+        } catch (error) {
+            console.error('Failed to list saved sessions:', error);
+            this.sessions = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Set the session currently loaded in the app
+     * @param {Object|null} session - Session metadata
+     */
+    setCurrentSession(session) {
+        this.currentSession = session;
+        this.renderStatus();
+
+        if (session) {
+            const index = this.sessions.findIndex(item => item.id === session.id);
+            if (index >= 0) {
+                this.sessions[index] = session;
+            } else {
+                this.sessions.unshift(session);
+            }
+            this.sessions.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+            this.render();
+        }
+    }
+
+    /**
+     * Render the saved session list
+     */
+    render() {
+        if (this.sessions.length === 0) {
+            this.container.innerHTML = `
+                <div class="session-manager-empty">
+                    Sessions are saved automatically, encrypted, in this browser only.
+                </div>
+                ${this.renderWipeControl()}
+            `;
+            return;
+        }
+
+        const lastSession = this.sessions[0];
+
+        this.container.innerHTML = `
+            <div class="session-manager-header">
+                <h3>Saved Sessions</h3>
+                <button type="button" class="btn btn-primary" data-action="resume" data-session-id="${this.escapeHtml(lastSession.id)}">
+                    Resume last session
+                </button>
+            </div>
+            <p class="session-manager-note">
+                Resume “${this.escapeHtml(lastSession.name)}” or pick another review cycle below.
+                Sessions are encrypted and stored only in this browser.
+            </p>
+            <ul class="session-list">
+                ${this.sessions.map(session => this.renderSession(session)).join('')}
+            </ul>
+            ${this.renderWipeControl()}
+        `;
+    }
+
+    /**
+     * Render a single saved session
+     * @param {Object} session - Session metadata
+     * @returns {string} HTML string
+     */
+    renderSession(session) {
+        const isCurrent = this.currentSession && this.currentSession.id === session.id;
+        const id = this.escapeHtml(session.id);
+
+        return `
+            <li class="session-item${isCurrent ? ' current' : ''}">
+                <div class="session-info">
+                    <span class="session-name">${this.escapeHtml(session.name)}</span>
+                    ${isCurrent ? '<span class="session-badge">Current</span>' : ''}
+                    <span class="session-details">
+                        ${session.employeeCount} employees · Saved ${this.formatDate(session.updatedAt)}
+                    </span>
+                </div>
+                <div class="session-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="resume" data-session-id="${id}">Resume</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="rename" data-session-id="${id}">Rename</button>
+                    <button type="button" class="btn btn-danger btn-sm" data-action="delete" data-session-id="${id}">Delete</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Render the wipe control
+     * @returns {string} HTML string
+     */
+    renderWipeControl() {
+        return `
+            <div class="session-wipe">
+                <button type="button" class="btn btn-danger btn-sm" data-action="wipe">Wipe all local data</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a notice when sessions cannot be stored
+     */
+    renderUnsupported() {
+        this.container.innerHTML = `
+            <div class="session-manager-empty">
+                This browser does not support encrypted local storage, so sessions will not be saved.
+            </div>
+        `;
+    }
+
+    /**
+     * Render the current session status bar
+     */
+    renderStatus() {
+        if (!this.statusContainer) return;
+
+        const session = this.currentSession;
+        this.statusContainer.classList.toggle('hidden', !session);
+        if (!session) {
+            this.statusContainer.innerHTML = '';
+            return;
+        }
+
+        this.statusContainer.innerHTML = `
+            <span class="session-status-name">💾 ${this.escapeHtml(session.name)}</span>
+            <span class="session-status-saved">Saved ${this.formatDate(session.updatedAt)}</span>
+            <button type="button" class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+            <button type="button" class="btn btn-secondary btn-sm" data-action="sessions">Sessions</button>
+        `;
+    }
+
+    /**
+     * Handle clicks in the session list
+     * @param {Event} event - Click event
+     */
+    async handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.getAttribute('data-action');
+        const sessionId = button.getAttribute('data-session-id');
+        const session = this.sessions.find(item => item.id === sessionId);
+
+        switch (action) {
+            case 'resume':
+                this.onResume(sessionId);
+                break;
+            case 'rename':
+                await this.renameSession(session);
+                break;
+            case 'delete':
+                await this.deleteSession(session);
+                break;
+            case 'wipe':
+                await this.wipeAll();
+                break;
+        }
+    }
+
+    /**
+     * Handle clicks in the status bar
+     * @param {Event} event - Click event
+     */
+    async handleStatusClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.getAttribute('data-action');
+        if (action === 'rename') {
+            await this.renameSession(this.currentSession);
+        } else if (action === 'sessions') {
+            this.onShowSessions();
+        }
+    }
+
+    /**
+     * Rename a session
+     * @param {Object} session - Session metadata
+     */
+    async renameSession(session) {
+        if (!session) return;
+
+        const name = prompt('Session name (e.g. the review cycle):', session.name);
+        if (!name || !name.trim() || name.trim() === session.name) return;
+
+        try {
+            const updated = await this.sessionStore.renameSession(session.id, name.trim());
+            this.sessions = this.sessions.map(item => item.id === updated.id ? updated : item);
+            if (this.currentSession && this.currentSession.id === updated.id) {
+                this.currentSession = updated;
+                this.renderStatus();
+            }
+            this.render();
+            this.onRename(updated);
+        } catch (error) {
+            console.error('Failed to rename session:', error);
+            this.showNotification(`Could not rename session: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete a session after confirmation
+     * @param {Object} session - Session metadata
+     */
+    async deleteSession(session) {
+        if (!session) return;
+        if (!confirm(`Delete the saved session "${session.name}"? This cannot be undone.`)) return;
+
+        try {
+            await this.sessionStore.deleteSession(session.id);
+            this.sessions = this.sessions.filter(item => item.id !== session.id);
+            if (this.currentSession && this.currentSession.id === session.id) {
+                this.currentSession = null;
+                this.renderStatus();
+            }
+            this.render();
+            this.onDelete(session);
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.showNotification(`Could not delete session: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Wipe every saved session and the encryption key after confirmation
+     */
+    async wipeAll() {
+        const confirmMessage = 'Wipe all locally stored Team Analyzer data?\n\n' +
+            'This permanently deletes every saved session, the encryption key and cached logs from this browser.';
+        if (!confirm(confirmMessage)) return;
+
+        try {
+            if (this.sessionStore) {
+                await this.sessionStore.wipeAll();
+            }
+            this.sessions = [];
+            this.currentSession = null;
+            this.renderStatus();
+            this.render();
+            this.onWipe();
+        } catch (error) {
+            console.error('Failed to wipe local data:', error);
+            this.showNotification(`Could not wipe local data: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoDate - ISO date string
+     * @returns {string} Formatted date
+     */
+    formatDate(isoDate) {
+        if (!isoDate) return 'never';
+
+        const date = new Date(isoDate);
+        const isToday = date.toDateString() === new Date().toDateString();
+        return isToday
+            ? `at ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : `on ${date.toLocaleDateString()}`;
+    }
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show notification
+     * @param {string} message - Message
+     * @param {string} type - Notification type
+     */
+    showNotification(message, type = 'info') {
+        if (window.TeamAnalyzer && window.TeamAnalyzer.showNotification) {
+            window.TeamAnalyzer.showNotification(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+window.SessionManager = SessionManager;
@@ -6,6 +6,15 @@
  * Cache bust: 2024-12-19T21:30:00Z
  */
 
+// Delay before autosaving the session after a change
+const SESSION_AUTOSAVE_DELAY = 2000;
+
+// Version of the saved session state shape
+const SESSION_STATE_VERSION = 1;
+
+// Insights sub-tabs, in the order they're shown
+const INSIGHTS_VIEWS = ['overview', 'budget-impact', 'retention', 'benchmarking', 'pay-performance', 'optimizer'];
+
 // Application state
 const AppState = {
     currentTab: 'table',
@@ -18,6 +27,17 @@ const AppState = {
     performanceSuggester: null,
     currencyUtils: null,
     currencyAnalysis: null,
+    reportingCurrency: 'USD',
+    salaryBasis: 'fte', // 'fte' (annualized full-time equivalent) or 'actual' (actual cost)
+    orgHierarchy: null,
+    orgScope: null,
+    filteredEmployees: null, // Employees shown after the table's search and filters, null when none apply
+    staleViews: new Set(), // Tabs (and 'insights/<view>' sub-tabs) whose views missed changes while hidden
+    insightsView: 'overview', // Insights sub-tab shown
+    sessionStore: null,
+    sessionManager: null,
+    currentSession: null,
+    sessionSaveTimer: null,
     raiseSettings: {
         performanceWeight: 0.4,
         timeInRoleWeight: 0.3,
@@ -28,6 +48,9 @@ const AppState = {
     isLoading: false
 };
 
+// Change events and derived values over the app state
+const dataStore = new DataStore(AppState);
+
 /**
  * Initialize the application when DOM is loaded
  */
@@ -60,14 +83,29 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize file upload component
     initializeFileUpload();
     
+    // Initialize saved sessions
+    initializeSessionManager();
+    
+    // Initialize the data store that keeps every view up to date
+    initializeDataStore();
+    
+    // Initialize undo/redo history
+    initializeHistory();
+    
+    // Show data warnings from the employee model
+    initializeEmployeeModel();
+    
+    // Initialize reporting currency selector
+    initializeReportingCurrency();
+    
     // Initialize data table component
     initializeDataTable();
     
     // Initialize raise components
     initializeRaiseComponents();
     
-    // Initialize analytics dashboard
-    initializeAnalyticsDashboard();
+    // Initialize the Insights analyses
+    initializeInsights();
     
     // Initialize visualizations
     initializeVisualizations();
@@ -139,12 +177,18 @@ function setupRaisesTab() {
                 <p>Plan and model different raise scenarios for your team</p>
             </div>
             
+            <div id="raise-settings-panel">
+                <!-- Raise scoring settings will be rendered here -->
+            </div>
+            
             <div class="raises-tabs">
                 <nav class="sub-tabs-nav">
                     <button class="sub-tab-button active" data-subtab="scenarios">Scenario Modeling</button>
                     <button class="sub-tab-button" data-subtab="budget">Budget Planning</button>
+                    <button class="sub-tab-button" data-subtab="allocation">Allocation</button>
                     <button class="sub-tab-button" data-subtab="recommendations">Recommendations</button>
                     <button class="sub-tab-button" data-subtab="approvals">Approvals</button>
+                    <button class="sub-tab-button" data-subtab="policies">Country Policies</button>
                 </nav>
                 
                 <div class="sub-tab-content">
@@ -158,6 +202,11 @@ function setupRaisesTab() {
                             <!-- Budget modeler will be rendered here -->
                         </div>
                     </div>
+                    <div id="allocation-subtab" class="sub-tab-panel">
+                        <div id="budget-allocator">
+                            <!-- Budget allocator will be rendered here -->
+                        </div>
+                    </div>
                     <div id="recommendations-subtab" class="sub-tab-panel">
                         <div id="raise-recommendations">
                             <!-- Raise recommendations will be rendered here -->
@@ -168,21 +217,28 @@ function setupRaisesTab() {
                             <!-- Approval workflow will be rendered here -->
                         </div>
                     </div>
+                    <div id="policies-subtab" class="sub-tab-panel">
+                        <div id="country-policy-editor">
+                            <!-- Country policy editor will be rendered here -->
+                        </div>
+                    </div>
                 </div>
             </div>
         </div>
     `;
     
     // Initialize sub-tab navigation
-    initializeSubTabNavigation();
+    initializeSubTabNavigation(raisesTab);
 }
 
 /**
- * Initialize sub-tab navigation for raises tab
+ * Initialize sub-tab navigation within a tab
+ * @param {HTMLElement} root - Tab whose sub-tabs to switch between
+ * @param {Function} onSwitch - Called with the sub-tab switched to
  */
-function initializeSubTabNavigation() {
-    const subTabButtons = document.querySelectorAll('.sub-tab-button');
-    const subTabPanels = document.querySelectorAll('.sub-tab-panel');
+function initializeSubTabNavigation(root, onSwitch = () => {}) {
+    const subTabButtons = root.querySelectorAll('.sub-tab-button');
+    const subTabPanels = root.querySelectorAll('.sub-tab-panel');
     
     subTabButtons.forEach(button => {
         button.addEventListener('click', function() {
@@ -194,11 +250,12 @@ function initializeSubTabNavigation() {
             
             // Update sub-tab panels
             subTabPanels.forEach(panel => panel.classList.remove('active'));
-            const targetPanel = document.getElementById(`${targetSubTab}-subtab`);
+            const targetPanel = root.querySelector(`#${targetSubTab}-subtab`);
             if (targetPanel) {
                 targetPanel.classList.add('active');
             }
             
+            onSwitch(targetSubTab);
             console.log(`Switched to sub-tab: ${targetSubTab}`);
         });
     });
@@ -208,8 +265,8 @@ function initializeSubTabNavigation() {
  * Initialize tab navigation functionality
  */
 function initializeTabNavigation() {
-    const tabButtons = document.querySelectorAll('.tab-button');
-    const tabPanels = document.querySelectorAll('.tab-panel');
+    // Only the page's own tabs - components have tab buttons and panels of their own
+    const tabButtons = document.querySelectorAll('.tabs-nav > .tab-button');
     
     tabButtons.forEach(button => {
         button.addEventListener('click', function() {
@@ -229,7 +286,7 @@ function switchTab(tabName) {
         AppState.currentTab = tabName;
         
         // Update tab buttons
-        document.querySelectorAll('.tab-button').forEach(button => {
+        document.querySelectorAll('.tabs-nav > .tab-button').forEach(button => {
             button.classList.remove('active');
             if (button.getAttribute('data-tab') === tabName) {
                 button.classList.add('active');
@@ -237,7 +294,7 @@ function switchTab(tabName) {
         });
         
         // Update tab panels
-        document.querySelectorAll('.tab-panel').forEach(panel => {
+        document.querySelectorAll('.tabs-container > .tab-content > .tab-panel').forEach(panel => {
             panel.classList.remove('active');
         });
         
@@ -259,34 +316,95 @@ function switchTab(tabName) {
 }
 
 /**
- * Initialize tab components if needed when switching tabs
+ * Bring a tab's views up to date if they missed changes while the tab was hidden
  * @param {string} tabName - The name of the tab being switched to
  */
 function initializeTabIfNeeded(tabName) {
     try {
-        switch (tabName) {
-            case 'insights':
-                if (AppState.analyticsDashboard && AppState.employeeData) {
-                    AppState.analyticsDashboard.setEmployees(AppState.employeeData.employees);
-                }
-                break;
-            case 'visualizations':
-                if (AppState.salaryVisualization && AppState.employeeData) {
-                    AppState.salaryVisualization.setEmployees(AppState.employeeData.employees);
-                }
-                break;
-            case 'raises':
-                // Raises tab has sub-tabs that are handled separately
-                break;
-            case 'export':
-                // Export interface should be ready to use
-                break;
+        if (AppState.staleViews.has(tabName)) {
+            refreshChartTab(tabName);
         }
     } catch (error) {
         console.error(`Error initializing ${tabName} tab:`, error);
     }
 }
 
+/**
+ * Push the scoped employees to the chart views on a tab
+ * @param {string} tabName - 'insights' or 'visualizations'
+ */
+function refreshChartTab(tabName) {
+    const employees = dataStore.select('scopedEmployees');
+    
+    if (tabName === 'insights' && AppState.analyticsDashboard) {
+        // Only the shown sub-tab is redrawn; the others catch up when switched to
+        INSIGHTS_VIEWS.forEach(view => AppState.staleViews.add(`insights/${view}`));
+        refreshInsightsView(AppState.insightsView);
+        AppState.staleViews.delete(tabName);
+    } else if (tabName === 'visualizations' && AppState.salaryVisualization) {
+        AppState.salaryVisualization.setReportingCurrency(AppState.reportingCurrency, AppState.salaryBasis);
+        AppState.salaryVisualization.setEmployees(employees);
+        AppState.staleViews.delete(tabName);
+    }
+}
+
+/**
+ * Push the scoped employees, raise scenarios and budget to one Insights sub-tab
+ * @param {string} view - Insights sub-tab name
+ */
+function refreshInsightsView(view) {
+    const employees = dataStore.select('scopedEmployees');
+    const scenarios = dataStore.select('raiseScenarios');
+    const chosenScenario = AppState.scenarioModeler && AppState.scenarioModeler.getActiveScenario();
+    const activeScenarioId = chosenScenario ? chosenScenario.id : null;
+    const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId) || null;
+    const rateInfo = getRateInfo();
+    
+    const scenarioLabel = document.getElementById('insights-scenario');
+    if (scenarioLabel) {
+        if (activeScenario) {
+            const name = document.createElement('strong');
+            name.textContent = activeScenario.name;
+            scenarioLabel.replaceChildren('Scenario: ', name, ` (${activeScenario.adjustments.length} raises)`);
+        } else {
+            scenarioLabel.textContent = 'No scenario chosen - pick one with "Use in Insights" under Raises';
+        }
+    }
+    
+    switch (view) {
+        case 'overview':
+            AppState.analyticsDashboard.setReportingCurrency(AppState.reportingCurrency, rateInfo);
+            AppState.analyticsDashboard.setEmployees(employees);
+            break;
+        case 'budget-impact':
+            AppState.budgetImpactAnalysis.setReportingCurrency(AppState.reportingCurrency);
+            AppState.budgetImpactAnalysis.updateData(employees, scenarios, activeScenarioId);
+            AppState.budgetImpactAnalysis.setBudgetConstraints({
+                totalBudgetIncrease: dataStore.select('raiseBudget').budgetPercentage / 100
+            });
+            break;
+        case 'retention':
+            AppState.riskRetentionAnalysis.setReportingCurrency(AppState.reportingCurrency, rateInfo);
+            AppState.riskRetentionAnalysis.updateData(employees, activeScenario);
+            break;
+        case 'benchmarking':
+            AppState.benchmarkingAnalysis.setReportingCurrency(AppState.reportingCurrency, rateInfo);
+            AppState.benchmarkingAnalysis.updateData(employees, activeScenario);
+            break;
+        case 'pay-performance':
+            AppState.payPerformanceAnalysis.setReportingCurrency(AppState.reportingCurrency);
+            AppState.payPerformanceAnalysis.updateData(employees);
+            break;
+        case 'optimizer':
+            AppState.budgetOptimizer.setReportingCurrency(AppState.reportingCurrency);
+            AppState.budgetOptimizer.setEmployees(employees);
+            AppState.budgetOptimizer.setBudget(dataStore.select('raiseBudget'));
+            break;
+    }
+    
+    AppState.staleViews.delete(`insights/${view}`);
+}
+
 /**
  * Show the upload section and hide analysis section
  */
@@ -326,10 +444,17 @@ function initializeNotifications() {
  * Initialize file upload component
  */
 function initializeFileUpload() {
-    // Load FileUpload component script
-    const script = document.createElement('script');
-    script.src = 'src/components/FileUpload.js';
-    script.onload = function() {
+    // The parser scripts back the main-thread fallback when the parser worker is unavailable
+    const scripts = [
+        'src/utils/csvStreamReader.js',
+        'src/utils/workbookReader.js',
+        'src/utils/csvParser.js',
+        'src/utils/columnMapping.js',
+        'src/components/ColumnMappingWizard.js',
+        'src/components/FileUpload.js'
+    ];
+    
+    loadScriptsSequentially(scripts).then(() => {
         // Initialize file upload component
         const fileUpload = new FileUpload('file-upload-container');
         
@@ -338,8 +463,375 @@ function initializeFileUpload() {
         
         // Store reference for later use
         AppState.fileUpload = fileUpload;
+    }).catch(error => {
+        console.error('❌ Failed to load file upload:', error);
+    });
+}
+
+/**
+ * Define the derived values views read from the data store, and subscribe each
+ * view to the changes it shows. Topics published:
+ * - employees: records added, removed or edited (detail.reason says how)
+ * - orgScope, reportingCurrency, salaryBasis, raiseSettings: the AppState value changed
+ * - filters: the table's search and filters picked other employees
+ * - policies: a country raise policy changed
+ * - recommendations: raise recommendations were generated, recalculated or decided
+ * - scenarios: a raise scenario or its results changed, or another was chosen for Insights
+ */
+function initializeDataStore() {
+    // Salaries normalized on the records change with the reporting currency and salary basis
+    dataStore.defineSelector('scopedEmployees', ['employees', 'orgScope', 'reportingCurrency', 'salaryBasis'],
+        () => getScopedEmployees());
+    
+    dataStore.defineSelector('filteredEmployees', ['scopedEmployees', 'filters'], state => {
+        const scoped = dataStore.select('scopedEmployees');
+        if (!state.filteredEmployees) return scoped;
+        
+        const shown = new Set(state.filteredEmployees);
+        return scoped.filter(employee => shown.has(employee));
+    });
+    
+    dataStore.defineSelector('raisePlan', ['recommendations', 'scopedEmployees'], () => getRaisePlan());
+    
+    dataStore.defineSelector('raiseBudget', ['scopedEmployees', 'raiseSettings'], state => {
+        const employees = dataStore.select('scopedEmployees');
+        const totalSalary = employees.reduce((sum, emp) => sum + (window.toEmployeeModel(emp).normalizedSalary || 0), 0);
+        return {
+            currency: state.reportingCurrency,
+            headcount: employees.length,
+            totalSalary,
+            budgetPercentage: state.raiseSettings.budgetPercentage,
+            budget: totalSalary * state.raiseSettings.budgetPercentage / 100
+        };
+    });
+    
+    dataStore.defineSelector('budgetTotals', ['raiseBudget', 'raisePlan'], () => {
+        const raiseBudget = dataStore.select('raiseBudget');
+        const planned = dataStore.select('raisePlan')
+            .filter(item => item.status !== 'rejected')
+            .reduce((sum, item) => sum + (item.normalizedRaise || 0), 0);
+        return { ...raiseBudget, planned, remaining: raiseBudget.budget - planned };
+    });
+    
+    dataStore.defineSelector('raiseScenarios', ['scenarios', 'raisePlan'], () => getRaiseScenarios());
+    
+    // Table, search and filters
+    dataStore.subscribe(['scopedEmployees'], () => {
+        const employees = dataStore.select('scopedEmployees');
+        console.log(`Refreshing views for org scope ${AppState.orgScope || 'all'}: ${employees.length} employees`);
+        
+        if (AppState.dataTable) {
+            AppState.dataTable.setSalaryBasis(AppState.salaryBasis);
+            AppState.dataTable.updateData(employees);
+        }
+        if (AppState.searchBar) {
+            AppState.searchBar.updateData(employees);
+        }
+        if (AppState.filterPanel) {
+            AppState.filterPanel.updateData(employees);
+            // Re-apply any active search and filters to the new data
+            AppState.filterPanel.applyFilters();
+        }
+    });
+    
+    // Raise planning
+    dataStore.subscribe(['scopedEmployees', 'raiseBudget'], () => {
+        if (AppState.scenarioModeler) {
+            AppState.scenarioModeler.setEmployees(dataStore.select('scopedEmployees'), {
+                totalBudget: dataStore.select('raiseBudget').budget
+            });
+        }
+    });
+    
+    // Budget pools are suggested from the raise budget % and converted with the current rates
+    dataStore.subscribe(['scopedEmployees', 'raiseBudget'], () => {
+        if (AppState.budgetModeler) {
+            AppState.budgetModeler.setReportingCurrency(AppState.reportingCurrency, getRateInfo());
+            AppState.budgetModeler.setBudgetPercentage(AppState.raiseSettings.budgetPercentage);
+            AppState.budgetModeler.setEmployees(dataStore.select('scopedEmployees'));
+        }
+    });
+    
+    // The raise budget is allocated down the org tree from the scoped manager and tracked against the raise plan
+    dataStore.subscribe(['scopedEmployees', 'raisePlan', 'raiseBudget'], () => {
+        if (AppState.budgetAllocator) {
+            AppState.budgetAllocator.setData({
+                hierarchy: AppState.orgHierarchy,
+                topNodeId: AppState.orgScope,
+                raiseBudget: dataStore.select('raiseBudget').budget,
+                raisePlan: dataStore.select('raisePlan'),
+                currency: AppState.reportingCurrency
+            });
+        }
+    });
+    
+    dataStore.subscribe(['scopedEmployees'], () => {
+        const employees = dataStore.select('scopedEmployees');
+        
+        if (AppState.countryPolicyEditor) {
+            AppState.countryPolicyEditor.setEmployees(employees);
+        }
+    });
+    
+    dataStore.subscribe(['scopedEmployees', 'policies', 'raiseSettings'], (changes, affected) => {
+        if (!AppState.raiseRecommendations) return;
+        
+        if (affected.has('raiseSettings')) {
+            AppState.raiseRecommendations.setRaiseSettings(AppState.raiseSettings);
+        }
+        if (affected.has('scopedEmployees') || affected.has('policies')) {
+            AppState.raiseRecommendations.setEmployees(dataStore.select('scopedEmployees'));
+        }
+    });
+    
+    dataStore.subscribe(['scopedEmployees', 'raisePlan', 'policies'], () => {
+        if (AppState.approvalWorkflow) {
+            AppState.approvalWorkflow.setRaisePlan(dataStore.select('raisePlan'));
+            AppState.approvalWorkflow.setEmployees(dataStore.select('scopedEmployees'));
+        }
+    });
+    
+    // Charts are only redrawn on the visible tab; hidden ones catch up when shown
+    const refreshWhenShown = tabName => {
+        if (AppState.currentTab === tabName) {
+            refreshChartTab(tabName);
+        } else {
+            AppState.staleViews.add(tabName);
+        }
     };
-    document.head.appendChild(script);
+    dataStore.subscribe(['scopedEmployees', 'raiseScenarios', 'raiseBudget'], () => refreshWhenShown('insights'));
+    dataStore.subscribe(['scopedEmployees'], () => refreshWhenShown('visualizations'));
+    
+    // Decisions on recommendations and raise scenarios are part of the saved session
+    dataStore.subscribe(['recommendations', 'scenarios'], () => scheduleSessionSave());
+}
+
+/**
+ * The raise planned for each employee in scope, from the raise recommendations
+ * @returns {Array} Items { id, employee, percentage, status, currency, raise, normalizedRaise }
+ */
+function getRaisePlan() {
+    if (!AppState.raiseRecommendations) return [];
+    
+    const inScope = new Set(dataStore.select('scopedEmployees').map(employee => employee.id));
+    
+    return AppState.raiseRecommendations.getRecommendations()
+        .filter(rec => inScope.has(rec.id))
+        .map(rec => {
+            const employee = window.toEmployeeModel(rec);
+            const percentage = rec.recommendation.percentage;
+            return {
+                id: rec.id,
+                employee: rec,
+                percentage,
+                status: rec.status,
+                currency: employee.currency,
+                raise: employee.baseSalary === null ? null : employee.baseSalary * percentage,
+                normalizedRaise: employee.normalizedSalary === null ? null : employee.normalizedSalary * percentage
+            };
+        });
+}
+
+/**
+ * The raise scenarios the Insights analyses compare: each calculated scenario
+ * from the scenario modeler, and the raise recommendations when any are planned
+ * @returns {Array} Scenarios { id, name, adjustments: [{ employeeId, raisePercent, currentSalary, newSalary }] }
+ */
+function getRaiseScenarios() {
+    const scenarios = AppState.scenarioModeler
+        ? [...AppState.scenarioModeler.scenarios.values()]
+            .filter(scenario => scenario.results)
+            .map(scenario => ({ id: scenario.id, name: scenario.name, adjustments: scenario.results.adjustments || [] }))
+        : [];
+    
+    const adjustments = dataStore.select('raisePlan')
+        .filter(item => item.status !== 'rejected' && item.percentage > 0 && item.normalizedRaise !== null)
+        .map(item => {
+            const currentSalary = window.toEmployeeModel(item.employee).normalizedSalary;
+            return {
+                employeeId: item.id,
+                raisePercent: item.percentage * 100,
+                currentSalary,
+                newSalary: currentSalary + item.normalizedRaise
+            };
+        });
+    if (adjustments.length > 0) {
+        scenarios.push({ id: 'recommendations', name: 'Raise Recommendations', adjustments });
+    }
+    
+    return scenarios;
+}
+
+/**
+ * Show a notification when components read employee data that's missing or
+ * named differently from the employee model
+ */
+function initializeEmployeeModel() {
+    window.employeeAdapter.subscribe(warning => {
+        // Shown after the current render, so the count covers every employee it affects
+        setTimeout(() => showNotification(`Data warning: ${warning.message}`, 'warning', 8000), 0);
+    });
+}
+
+/**
+ * Initialize the undo/redo history panel and its keyboard shortcuts
+ */
+function initializeHistory() {
+    const history = window.historyManager;
+    
+    // Every recorded, undone or redone change is saved like any other edit
+    history.subscribe((manager, action, entry) => {
+        if (action === 'error') {
+            showNotification(`Could not undo or redo "${entry.label}"`, 'error');
+        } else if (action !== 'clear') {
+            scheduleSessionSave();
+        }
+    });
+    
+    document.addEventListener('keydown', handleHistoryKeydown);
+    
+    loadScriptsSequentially(['src/components/HistoryPanel.js']).then(() => {
+        const container = document.getElementById('history-panel-container');
+        if (!container) return;
+        
+        AppState.historyPanel = new HistoryPanel(container, {
+            history,
+            onUndo: undoLastChange,
+            onRedo: redoLastChange,
+            onGoTo: rollBackHistory
+        });
+    }).catch(error => {
+        console.error('Failed to load history panel:', error);
+    });
+}
+
+/**
+ * Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes - except in text fields, which keep their own undo
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleHistoryKeydown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoLastChange();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoLastChange();
+    }
+}
+
+/**
+ * Undo the latest change
+ */
+function undoLastChange() {
+    const history = window.historyManager;
+    if (!history.canUndo()) {
+        showNotification('Nothing to undo', 'info', 2000);
+        return;
+    }
+    
+    const entry = history.getEntries()[history.getPosition() - 1];
+    if (history.undo()) {
+        showNotification(`Undid: ${entry.label}`, 'info', 3000);
+    }
+}
+
+/**
+ * Redo the latest undone change
+ */
+function redoLastChange() {
+    const history = window.historyManager;
+    if (!history.canRedo()) {
+        showNotification('Nothing to redo', 'info', 2000);
+        return;
+    }
+    
+    const entry = history.getEntries()[history.getPosition()];
+    if (history.redo()) {
+        showNotification(`Redid: ${entry.label}`, 'info', 3000);
+    }
+}
+
+/**
+ * Undo or redo changes until the given number of them are applied
+ * @param {number} position - Number of changes to keep applied
+ */
+function rollBackHistory(position) {
+    const history = window.historyManager;
+    const steps = position - history.getPosition();
+    if (steps === 0) return;
+    
+    if (history.goTo(position)) {
+        const count = `${Math.abs(steps)} change${Math.abs(steps) === 1 ? '' : 's'}`;
+        showNotification(steps < 0 ? `Rolled back ${count}` : `Re-applied ${count}`, 'info', 3000);
+    }
+}
+
+/**
+ * Initialize encrypted session persistence and the saved sessions list
+ */
+function initializeSessionManager() {
+    const scripts = [
+        'src/utils/sessionStore.js',
+        'src/components/SessionManager.js'
+    ];
+    
+    loadScriptsSequentially(scripts).then(() => {
+        const container = document.getElementById('session-manager-container');
+        if (!container) return;
+        
+        if (SessionStore.isSupported()) {
+            AppState.sessionStore = new SessionStore();
+        } else {
+            console.warn('Encrypted session storage not supported - sessions will not be saved');
+        }
+        
+        AppState.sessionManager = new SessionManager(container, {
+            sessionStore: AppState.sessionStore,
+            statusContainer: document.getElementById('session-status-container'),
+            onResume: resumeSession,
+            onRename: session => {
+                AppState.currentSession = AppState.currentSession && AppState.currentSession.id === session.id
+                    ? session
+                    : AppState.currentSession;
+            },
+            onDelete: session => {
+                if (AppState.currentSession && AppState.currentSession.id === session.id) {
+                    AppState.currentSession = null;
+                }
+            },
+            onWipe: handleSessionWipe,
+            onShowSessions: () => {
+                saveCurrentSession();
+                showUploadSection();
+            }
+        });
+        
+        // Autosave after interactions in the analysis views
+        const analysisSection = document.getElementById('analysis-section');
+        if (analysisSection) {
+            ['click', 'change'].forEach(eventName => {
+                analysisSection.addEventListener(eventName, scheduleSessionSave);
+            });
+        }
+        
+        // Flush pending changes when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                saveCurrentSession();
+            }
+        });
+        
+        console.log('Session manager initialized');
+    }).catch(error => {
+        console.error('Failed to load session manager:', error);
+        handleError(error, 'Session Manager Initialization');
+    });
 }
 
 /**
@@ -348,16 +840,29 @@ function initializeFileUpload() {
 function initializeRaiseComponents() {
     // Load required scripts for raise components
     const scripts = [
+        'src/utils/countryPolicy.js',
         'src/utils/raiseCalculator.js',
+        'src/utils/budgetPools.js',
+        'src/utils/budgetAllocation.js',
+        'src/utils/meritMatrix.js',
         'src/components/ScenarioModeler.js',
         'src/components/BudgetModeler.js',
+        'src/components/BudgetAllocator.js',
         'src/components/RaiseRecommendations.js',
-        'src/components/ApprovalWorkflow.js'
+        'src/components/RaiseSettingsPanel.js',
+        'src/components/ApprovalWorkflow.js',
+        'src/components/CountryPolicyEditor.js'
     ];
     
     loadScriptsSequentially(scripts).then(() => {
+        // Setup raises tab content first so the component containers exist
+        setupRaisesTab();
+        
         // Initialize scenario modeler (it finds its own container)
-        const scenarioModeler = new ScenarioModeler();
+        const scenarioModeler = new ScenarioModeler({
+            // Scenario results and the active scenario feed the Insights analyses
+            onChange: () => dataStore.emit('scenarios')
+        });
         AppState.scenarioModeler = scenarioModeler;
         // Make it globally available for its HTML event handlers
         window.scenarioModeler = scenarioModeler;
@@ -367,17 +872,46 @@ function initializeRaiseComponents() {
         // Initialize budget modeler with its container
         const budgetContainer = document.getElementById('budget-modeler');
         if (budgetContainer) {
-            const budgetModeler = new BudgetModeler(budgetContainer);
+            const budgetModeler = new BudgetModeler(budgetContainer, {
+                // Merit matrix scenarios can solve their grid to this target
+                onBudgetChange: budgetTarget => scenarioModeler.setBudgetTarget(budgetTarget),
+                // Pool budgets are part of the saved session
+                onPoolsChange: () => scheduleSessionSave()
+            });
             AppState.budgetModeler = budgetModeler;
         }
         
+        // Initialize budget allocator with its container
+        const allocatorContainer = document.getElementById('budget-allocator');
+        if (allocatorContainer) {
+            const budgetAllocator = new BudgetAllocator(allocatorContainer, {
+                // The pool and splits are part of the saved session
+                onChange: () => scheduleSessionSave()
+            });
+            AppState.budgetAllocator = budgetAllocator;
+        }
+        
         // Initialize raise recommendations with its container
         const recommendationsContainer = document.getElementById('raise-recommendations');
         if (recommendationsContainer) {
-            const raiseRecommendations = new RaiseRecommendations(recommendationsContainer);
+            const raiseRecommendations = new RaiseRecommendations(recommendationsContainer, {
+                // Custom raises and decisions reach approvals, budget totals and exports
+                onChange: () => dataStore.emit('recommendations')
+            });
+            raiseRecommendations.setRaiseSettings(AppState.raiseSettings);
             AppState.raiseRecommendations = raiseRecommendations;
         }
         
+        // Initialize raise scoring settings with its container
+        const settingsContainer = document.getElementById('raise-settings-panel');
+        if (settingsContainer) {
+            const raiseSettingsPanel = new RaiseSettingsPanel(settingsContainer, {
+                settings: AppState.raiseSettings,
+                onChange: handleRaiseSettingsChange
+            });
+            AppState.raiseSettingsPanel = raiseSettingsPanel;
+        }
+        
         // Initialize approval workflow with its container
         const approvalContainer = document.getElementById('approval-workflow');
         if (approvalContainer) {
@@ -385,8 +919,21 @@ function initializeRaiseComponents() {
             AppState.approvalWorkflow = approvalWorkflow;
         }
         
-        // Setup raises tab content
-        setupRaisesTab();
+        // Initialize country policy editor with its container
+        const policyContainer = document.getElementById('country-policy-editor');
+        if (policyContainer) {
+            const countryPolicyEditor = new CountryPolicyEditor(policyContainer, {
+                registry: window.countryPolicyRegistry
+            });
+            AppState.countryPolicyEditor = countryPolicyEditor;
+        }
+        
+        // Recalculate raise views whenever a country policy changes
+        window.countryPolicyRegistry.subscribe(() => {
+            if (AppState.employeeData) {
+                dataStore.emit('policies');
+            }
+        });
         
         console.log('Raise components initialized successfully');
     }).catch(error => {
@@ -396,26 +943,148 @@ function initializeRaiseComponents() {
 }
 
 /**
- * Initialize analytics dashboard component
+ * Setup the insights tab with a sub-tab for each analysis
  */
-function initializeAnalyticsDashboard() {
-    // Load analytics dashboard script
-    const script = document.createElement('script');
-    script.src = 'src/components/AnalyticsDashboard.js';
-    script.onload = () => {
-        // Initialize analytics dashboard
-        const insightsTab = document.getElementById('insights-tab');
-        if (insightsTab) {
-            const analyticsDashboard = new AnalyticsDashboard(insightsTab);
-            AppState.analyticsDashboard = analyticsDashboard;
-            console.log('Analytics dashboard initialized successfully');
+function setupInsightsTab() {
+    const insightsTab = document.getElementById('insights-tab');
+    if (!insightsTab) return;
+    
+    insightsTab.innerHTML = `
+        <div class="insights-workspace">
+            <div class="insights-header">
+                <div>
+                    <h2>Compensation Insights</h2>
+                    <p>Analyze pay, retention and budgets, with or without a raise scenario</p>
+                </div>
+                <div id="insights-scenario" class="insights-scenario"></div>
+            </div>
+            
+            <nav class="sub-tabs-nav">
+                <button class="sub-tab-button active" data-subtab="overview">Overview</button>
+                <button class="sub-tab-button" data-subtab="budget-impact">Budget Impact</button>
+                <button class="sub-tab-button" data-subtab="retention">Retention Risk</button>
+                <button class="sub-tab-button" data-subtab="benchmarking">Benchmarking</button>
+                <button class="sub-tab-button" data-subtab="pay-performance">Pay & Performance</button>
+                <button class="sub-tab-button" data-subtab="optimizer">Budget Optimizer</button>
+            </nav>
+            
+            <div class="sub-tab-content">
+                ${INSIGHTS_VIEWS.map(view => `
+                    <div id="${view}-subtab" class="sub-tab-panel${view === 'overview' ? ' active' : ''}">
+                        <div id="insights-${view}"></div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    
+    // Sub-tabs that missed changes while hidden catch up when shown
+    initializeSubTabNavigation(insightsTab, view => {
+        AppState.insightsView = view;
+        if (AppState.staleViews.has(`insights/${view}`)) {
+            refreshInsightsView(view);
         }
-    };
-    script.onerror = (error) => {
-        console.error('Error loading analytics dashboard:', error);
-        handleError(error, 'Analytics Dashboard Initialization');
-    };
-    document.head.appendChild(script);
+    });
+}
+
+/**
+ * Initialize the Insights tab's analysis components
+ */
+function initializeInsights() {
+    // Load insights styles
+    const styleLink = document.createElement('link');
+    styleLink.rel = 'stylesheet';
+    styleLink.href = 'src/styles/insights.css';
+    document.head.appendChild(styleLink);
+    
+    const scripts = [
+        'src/components/AnalyticsDashboard.js',
+        'src/components/BudgetImpactAnalysis.js',
+        'src/components/RiskRetentionAnalysis.js',
+        'src/components/ComparativeBenchmarkingAnalysis.js',
+        'src/components/PerformanceCompensationAnalysis.js',
+        'src/components/BudgetOptimizer.js'
+    ];
+    
+    loadScriptsSequentially(scripts).then(() => {
+        // Setup insights tab content first so the component containers exist
+        setupInsightsTab();
+        const viewContainer = view => document.getElementById(`insights-${view}`);
+        
+        AppState.analyticsDashboard = new AnalyticsDashboard(viewContainer('overview'));
+        
+        AppState.budgetImpactAnalysis = new BudgetImpactAnalysis();
+        AppState.budgetImpactAnalysis.init(viewContainer('budget-impact'));
+        
+        AppState.riskRetentionAnalysis = new RiskRetentionAnalysis();
+        AppState.riskRetentionAnalysis.init(viewContainer('retention'));
+        
+        AppState.benchmarkingAnalysis = new ComparativeBenchmarkingAnalysis();
+        AppState.benchmarkingAnalysis.init(viewContainer('benchmarking'));
+        
+        // Outliers open in the employee editor
+        AppState.payPerformanceAnalysis = new PerformanceCompensationAnalysis();
+        AppState.payPerformanceAnalysis.init(viewContainer('pay-performance'), {
+            onEmployeeSelect: handleInsightsEmployeeSelect
+        });
+        
+        // Applied plans become a raise scenario the other analyses can use
+        AppState.budgetOptimizer = new BudgetOptimizer(viewContainer('optimizer'), {
+            onApply: handleOptimizationApplied
+        });
+        
+        // Catch up on data loaded while the scripts were loading
+        if (AppState.employeeData) {
+            AppState.staleViews.add('insights');
+            if (AppState.currentTab === 'insights') {
+                refreshChartTab('insights');
+            }
+        }
+        
+        console.log('Insights components initialized successfully');
+    }).catch(error => {
+        console.error('Error loading insights components:', error);
+        handleError(error, 'Insights Initialization');
+    });
+}
+
+/**
+ * Open the employee picked in an Insights analysis in the employee editor
+ * @param {string} employeeId - Employee ID
+ */
+function handleInsightsEmployeeSelect(employeeId) {
+    const employees = (AppState.employeeData && AppState.employeeData.employees) || [];
+    const index = employees.findIndex(employee => String(window.toEmployeeModel(employee).id) === String(employeeId));
+    
+    if (index !== -1) {
+        handleRowEdit(employees[index], index);
+    }
+}
+
+/**
+ * Turn an applied budget optimization into a raise scenario and analyze it in Insights
+ * @param {Object} optimization - Optimized strategy { strategy, employees: [{ id, optimizedRaise }] }
+ */
+function handleOptimizationApplied(optimization) {
+    if (!AppState.scenarioModeler) {
+        showNotification('Raise planning is still loading - please try again in a moment', 'warning');
+        return;
+    }
+    
+    const raises = {};
+    optimization.employees
+        .filter(employee => employee.optimizedRaise > 0)
+        .forEach(employee => {
+            raises[employee.id] = employee.optimizedRaise * 100;
+        });
+    
+    const strategyName = AppState.budgetOptimizer.getStrategyName(optimization.strategy);
+    const scenarioId = AppState.scenarioModeler.addFixedRaiseScenario(
+        `Optimized: ${strategyName}`,
+        `Budget optimizer plan raising ${Object.keys(raises).length} employees`,
+        raises
+    );
+    AppState.scenarioModeler.setActiveScenario(scenarioId);
 }
 
 /**
@@ -457,7 +1126,7 @@ function initializeExportInterface() {
     if (exportTab) {
         // Create a simple data manager interface for the export component
         const dataManager = {
-            getEmployees: () => AppState.employeeData || [],
+            getEmployees: () => dataStore.select('scopedEmployees'),
             getRaiseRecommendations: () => {
                 // Get recommendations from raise recommendations component
                 if (AppState.raiseRecommendations && AppState.raiseRecommendations.getRecommendations) {
@@ -466,12 +1135,27 @@ function initializeExportInterface() {
                 return [];
             },
             getBudgetAnalysis: () => {
-                // Get budget analysis from budget modeler
+                // Get budget analysis from budget modeler; the raise settings' budget % applies when no target is set
+                const budgetPercentage = AppState.raiseSettings.budgetPercentage;
                 if (AppState.budgetModeler && AppState.budgetModeler.getBudgetAnalysis) {
-                    return AppState.budgetModeler.getBudgetAnalysis();
+                    return { ...AppState.budgetModeler.getBudgetAnalysis(), budgetPercentage };
                 }
-                return {};
-            }
+                return { budgetPercentage };
+            },
+            getApprovals: () => {
+                // Pending and decided approvals from the approval workflow
+                if (AppState.approvalWorkflow && AppState.approvalWorkflow.getApprovals) {
+                    return AppState.approvalWorkflow.getApprovals();
+                }
+                return [];
+            },
+            getCharts: () => {
+                // Charts drawn by the visualization components, redrawn in PDF reports
+                return [AppState.analyticsDashboard, AppState.salaryVisualization]
+                    .filter(component => component && component.getChartConfigs)
+                    .flatMap(component => component.getChartConfigs());
+            },
+            getRateInfo: () => getRateInfo()
         };
         
         // Initialize export interface
@@ -492,7 +1176,10 @@ function initializeDataTable() {
         'src/components/FilterPanel.js',
         'src/components/SearchBar.js',
         'src/components/DuplicateMerger.js',
-        'src/components/PerformanceSuggester.js'
+        'src/components/EmployeeEditor.js',
+        'src/components/PerformanceSuggester.js',
+        'src/utils/orgHierarchy.js',
+        'src/components/OrgTree.js'
     ];
     
     loadScriptsSequentially(scripts).then(() => {
@@ -508,6 +1195,9 @@ function initializeDataTable() {
                 onRowSelect: handleRowSelect,
                 onRowEdit: handleRowEdit,
                 onRowMerge: handleRowMerge,
+                onRowsDelete: handleRowsDelete,
+                onRowsMerge: handleRowsMerge,
+                onRowUnmerge: handleRowUnmerge,
                 onSort: handleTableSort
             });
             
@@ -542,6 +1232,17 @@ function initializeDataTable() {
                 AppState.filterPanel = filterPanel;
             }
             
+            // Initialize org tree
+            const orgTreeContainer = document.getElementById('org-tree-container');
+            if (orgTreeContainer) {
+                const orgTree = new OrgTree(orgTreeContainer, {
+                    onNodeSelect: handleOrgNodeSelect
+                });
+                
+                // Store reference for later use
+                AppState.orgTree = orgTree;
+            }
+            
             // Initialize duplicate merger
             const duplicateMergerContainer = document.getElementById('duplicate-merger-container');
             if (duplicateMergerContainer) {
@@ -564,7 +1265,8 @@ function initializeDataTable() {
                     {
                         onApplied: handleSuggestionApplied,
                         onSkipped: handleSuggestionSkipped,
-                        onCompleted: handleSuggestionsCompleted
+                        onCompleted: handleSuggestionsCompleted,
+                        recordChange: recordEmployeeChange
                     }
                 );
                 
@@ -621,40 +1323,14 @@ function loadScriptsSequentially(scripts) {
 /**
  * Handle processed file data
  * @param {File} file - The uploaded file
- * @param {string} content - File content
+ * @param {Object} parsedData - Employees and metadata parsed by FileUpload
  */
-async function handleFileProcessed(file, content) {
+async function handleFileProcessed(file, parsedData) {
     console.log('🚀 File processed:', file.name);
     console.log('🔍 IMMEDIATE CHECK - window.PerformanceSuggester:', typeof window.PerformanceSuggester);
     console.log('🔍 IMMEDIATE CHECK - All window properties with "Performance":', Object.keys(window).filter(k => k.includes('Performance')));
     
     try {
-        setLoading(true, 'Parsing CSV data...');
-        
-        // Load CSV parser if not already loaded
-        if (!window.CSVParser) {
-            await loadCSVParser();
-        }
-        
-        // Parse CSV content with verbose error handling
-        const parser = new CSVParser();
-        let parsedData;
-        try {
-            parsedData = await parser.parseCSV(content);
-        } catch (parseError) {
-            const firstErrors = parser.parseErrors && parser.parseErrors.length > 0 ?
-                ` Errors: ${parser.parseErrors.slice(0, 3).join('; ')}${parser.parseErrors.length > 3 ? '...' : ''}` : '';
-            const message = `Failed to parse ${file.name}. ${parseError.message}.${firstErrors}`;
-            showNotification(message, 'error', 10000);
-            handleError(parseError, 'CSV Parsing', {
-                category: 'file_processing',
-                severity: 'high',
-                showNotification: false,
-                details: parser.parseErrors
-            });
-            return;
-        }
-        
         // Load data validator and detect duplicates
         if (!window.DataValidator) {
             await loadDataValidator();
@@ -662,7 +1338,13 @@ async function handleFileProcessed(file, content) {
         
         setLoading(true, 'Detecting duplicates...');
         const validator = new DataValidator();
-        const duplicateResults = validator.detectDuplicates(parsedData.employees);
+        const duplicateResults = await validator.detectDuplicatesAsync(parsedData.employees, {
+            onProgress: progress => setLoading(true, `Detecting duplicates... ${progress.percent}%`)
+        });
+        // Flag detected duplicates so the table offers to review them
+        duplicateResults.duplicateGroups.forEach(group => {
+            group.employees.forEach(employee => employee.isDuplicate = true);
+        });
         
         // Load performance suggester and generate suggestions
         setLoading(true, 'Loading performance suggester...');
@@ -767,7 +1449,12 @@ async function handleFileProcessed(file, content) {
         
         setLoading(true, 'Processing currency data...');
         const currencyUtils = new CurrencyUtils();
-        const currencyAnalysis = analyzeCurrencyData(parsedData.employees, currencyUtils);
+        applyFileCurrencyRates(currencyUtils, parsedData.metadata.currencyRates, file.name, new Date());
+        window.employeeAdapter.clearWarnings();
+        window.employeeAdapter.upgradeRecords(parsedData.employees);
+        window.employeeAdapter.setReportingCurrency(AppState.reportingCurrency);
+        normalizeEmployeeSalaries(parsedData.employees, currencyUtils, AppState.reportingCurrency, AppState.salaryBasis);
+        const currencyAnalysis = analyzeCurrencyData(parsedData.employees, currencyUtils, AppState.reportingCurrency);
         
         // Enhanced data validation and integrity checking
         setLoading(true, 'Performing comprehensive data validation...');
@@ -844,11 +1531,13 @@ async function handleFileProcessed(file, content) {
         AppState.uploadedFile = {
             name: file.name,
             size: file.size,
-            content: content,
+            encoding: parsedData.metadata.encoding,
             uploadedAt: new Date()
         };
         
         AppState.employeeData = parsedData;
+        AppState.currentSession = null; // A new upload starts a new session
+        window.historyManager.clear();
         AppState.duplicateResults = duplicateResults;
         AppState.dataValidator = validator;
         AppState.performanceSuggestions = performanceSuggestions;
@@ -856,6 +1545,7 @@ async function handleFileProcessed(file, content) {
         AppState.currencyUtils = currencyUtils;
         AppState.currencyAnalysis = currencyAnalysis;
         AppState.dataIntegrityReport = dataIntegrityReport;
+        renderReportingCurrency();
         
         setLoading(false);
         
@@ -878,9 +1568,9 @@ async function handleFileProcessed(file, content) {
                 setTimeout(() => reject(new Error('Data table initialization timeout after 30 seconds')), 30000);
             });
             
-            const dataTable = await Promise.race([dataTablePromise, timeoutPromise]);
+            await Promise.race([dataTablePromise, timeoutPromise]);
             
-            console.log('🔍 About to call dataTable.updateData...');
+            console.log('🔍 Data table ready, employee data:');
             console.log('🔍 parsedData structure:', parsedData);
             console.log('🔍 parsedData.employees:', parsedData.employees);
             console.log('🔍 parsedData.employees type:', typeof parsedData.employees);
@@ -892,19 +1582,15 @@ async function handleFileProcessed(file, content) {
                 console.log('🔍 Sample employee keys:', Object.keys(parsedData.employees[0]));
             }
             
-            console.log('🔍 Calling dataTable.updateData...');
-            dataTable.updateData(parsedData.employees);
-            console.log('✅ Data table updated successfully');
+            // Build the management hierarchy (scripts are loaded with the data table)
+            AppState.orgScope = null;
+            AppState.orgHierarchy = window.OrgHierarchy
+                ? new OrgHierarchy(parsedData.employees, { currencyUtils, reportingCurrency: AppState.reportingCurrency })
+                : null;
             
-            // Update search bar and filter panel with data
-            if (AppState.searchBar) {
-                AppState.searchBar.updateData(parsedData.employees);
-                console.log('✅ Search bar updated');
-            }
-
-            if (AppState.filterPanel) {
-                AppState.filterPanel.updateData(parsedData.employees);
-                console.log('✅ Filter panel updated');
+            if (AppState.orgTree) {
+                AppState.orgTree.setHierarchy(AppState.orgHierarchy);
+                console.log('✅ Org tree updated');
             }
             
             // Clear loading state after successful data table initialization
@@ -949,38 +1635,9 @@ async function handleFileProcessed(file, content) {
             console.log('⚠️ Performance suggester component not available');
         }
         
-        // Initialize scenario modeler with employee data
-        if (AppState.scenarioModeler) {
-            const budgetConstraints = {
-                totalBudget: calculateTotalBudget(parsedData.employees),
-                maxRaisePercent: 12,
-                vpApprovalThreshold: 12
-            };
-            AppState.scenarioModeler.initialize(parsedData.employees, budgetConstraints);
-        }
-        
-        // Initialize other raise components with data
-        if (AppState.budgetModeler) {
-            AppState.budgetModeler.initialize(parsedData.employees);
-        }
-        
-        if (AppState.raiseRecommendations) {
-            AppState.raiseRecommendations.initialize(parsedData.employees);
-        }
-        
-        if (AppState.approvalWorkflow) {
-            AppState.approvalWorkflow.initialize(parsedData.employees);
-        }
-        
-        // Initialize analytics dashboard with employee data
-        if (AppState.analyticsDashboard) {
-            AppState.analyticsDashboard.setEmployees(parsedData.employees);
-        }
-        
-        // Initialize salary visualization with employee data
-        if (AppState.salaryVisualization) {
-            AppState.salaryVisualization.setEmployees(parsedData.employees);
-        }
+        // Fill the table and every other view with the new data
+        AppState.filteredEmployees = null;
+        dataStore.emit('employees', { reason: 'load' });
         
         // Show analysis section
         showAnalysisSection();
@@ -993,6 +1650,9 @@ async function handleFileProcessed(file, content) {
             'success'
         );
         
+        // Save the new session straight away
+        saveCurrentSession();
+        
     } catch (error) {
         setLoading(false);
         console.error('Post-upload processing error:', {
@@ -1000,13 +1660,13 @@ async function handleFileProcessed(file, content) {
             message: error.message,
             stack: error.stack
         });
-
+        
         showNotification(
             `Error processing ${file.name}: ${error.message}`,
             'error',
             10000
         );
-
+        
         handleError(error, 'CSV Parsing', {
             category: 'file_processing',
             severity: 'high',
@@ -1018,25 +1678,6 @@ async function handleFileProcessed(file, content) {
     }
 }
 
-/**
- * Load CSV parser script
- * @returns {Promise} Promise that resolves when script is loaded
- */
-function loadCSVParser() {
-    return new Promise((resolve, reject) => {
-        if (window.CSVParser) {
-            resolve();
-            return;
-        }
-        
-        const script = document.createElement('script');
-        script.src = `src/utils/csvParser.js?v=${Date.now()}`; // Cache busting
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-    });
-}
-
 /**
  * Load data validator script
  * @returns {Promise} Promise that resolves when script is loaded
@@ -1206,22 +1847,18 @@ function loadPerformanceSuggester() {
     }
 
     /**
-     * Load currency utilities script
+     * Load currency utilities script and the ISO 4217 table it reads
      * @returns {Promise} Promise that resolves when script is loaded
      */
     function loadCurrencyUtils() {
-    return new Promise((resolve, reject) => {
-        if (window.CurrencyUtils) {
-            resolve();
-            return;
-        }
-        
-        const script = document.createElement('script');
-        script.src = 'src/utils/currencyUtils.js';
-        script.onload = resolve;
-        script.onerror = reject;
-        document.head.appendChild(script);
-    });
+    if (window.CurrencyUtils) {
+        return Promise.resolve();
+    }
+    
+    return loadScriptsSequentially([
+        'src/utils/iso4217.js',
+        'src/utils/currencyUtils.js'
+    ]);
 }
 
 /**
@@ -1280,59 +1917,256 @@ function showParsingResults(metadata, duplicateResults, performanceSuggestions,
         console.log('All employees have performance ratings');
     }
     
-    // Show currency analysis results
-    if (currencyAnalysis.statistics.uniqueCurrencies > 1) {
-        const currencyList = currencyAnalysis.statistics.currencyDistribution
-            .map(c => `${c.currency} (${c.count})`)
-            .join(', ');
-        showNotification(
-            `Multi-currency data detected: ${currencyList}. Salaries normalized to USD for comparison.`,
-            'info',
-            8000
-        );
+    // Show currency analysis results
+    if (currencyAnalysis.statistics.uniqueCurrencies > 1) {
+        const currencyList = currencyAnalysis.statistics.currencyDistribution
+            .map(c => `${c.currency} (${c.count})`)
+            .join(', ');
+        showNotification(
+            `Multi-currency data detected: ${currencyList}. Salaries normalized to ${currencyAnalysis.reportingCurrency} for comparison (${currencyAnalysis.rateInfo.description}).`,
+            'info',
+            8000
+        );
+    }
+    
+    const rateConflicts = (metadata.currencyRates && metadata.currencyRates.conflicts) || [];
+    if (rateConflicts.length > 0) {
+        showNotification(
+            `Conflicting exchange rates in file for ${rateConflicts.map(c => c.currency).join(', ')}. ` +
+            `Using the most common rate: ${rateConflicts.map(c => `${c.currency} ${c.rate}`).join(', ')}.`,
+            'warning',
+            10000
+        );
+    }
+    
+    if (currencyAnalysis.validationResults.length > 0) {
+        showNotification(
+            `${currencyAnalysis.validationResults.length} salary amounts have validation warnings. Check the data table for details.`,
+            'warning',
+            6000
+        );
+    }
+    
+    console.log('Currency analysis:', currencyAnalysis);
+}
+
+/**
+ * Handle row selection in data table
+ * @param {Object} employee - Selected employee data
+ * @param {number} index - Row index
+ */
+function handleRowSelect(employee, index) {
+    console.log('Row selected:', employee.name, 'at index', index);
+    // Future: Update selection-based UI elements
+}
+
+/**
+ * Handle row edit action
+ * @param {Object} employee - Employee to edit
+ * @param {number} index - Row index
+ */
+function handleRowEdit(employee, index) {
+    console.log('Edit employee:', employee.name);
+    
+    if (!window.EmployeeEditor || !window.CSVParser || !window.DataIntegrityChecker) {
+        showNotification('Employee editing is still loading - please try again in a moment', 'warning');
+        return;
+    }
+    
+    if (!AppState.employeeEditor) {
+        AppState.employeeEditor = new EmployeeEditor(document.getElementById('employee-editor-container'), {
+            parser: new CSVParser(),
+            integrityChecker: new DataIntegrityChecker(),
+            getEmployees: () => (AppState.employeeData && AppState.employeeData.employees) || [],
+            recordEdit: (label, employee, edit) => recordEmployeeChange(label, [employee], edit),
+            onSave: handleEmployeeEdited
+        });
+    }
+    
+    AppState.employeeEditor.open(employee);
+}
+
+/**
+ * Refresh everything derived from an employee after it was edited
+ * @param {Object} employee - Edited employee (changed in place)
+ * @param {Array} changes - Change log entries added by the edit
+ */
+function handleEmployeeEdited(employee, changes) {
+    refreshEmployeeData();
+    showNotification(`Updated ${changes.length} field${changes.length === 1 ? '' : 's'} for ${employee.name}`, 'success', 3000);
+}
+
+/**
+ * Delete employees from the data set (undoable)
+ * @param {Array} employees - Employees to delete
+ */
+function handleRowsDelete(employees) {
+    if (!AppState.employeeData || employees.length === 0) return;
+    
+    const deleted = new Set(employees);
+    const label = employees.length === 1 ? `Delete ${employees[0].name}` : `Delete ${employees.length} employees`;
+    
+    recordEmployeeChange(label, [], () => {
+        const remaining = AppState.employeeData.employees.filter(employee => !deleted.has(employee));
+        replaceEmployees(remaining);
+    });
+    
+    refreshEmployeeData();
+    showNotification(`${label} - press Ctrl+Z to undo`, 'success', 4000);
+}
+
+/**
+ * Make a change to the employee data and add it to the undo history
+ * @param {string} label - Description shown in the history panel
+ * @param {Array} employees - Employees whose fields the change modifies (added and removed ones needn't be listed)
+ * @param {Function} change - Makes the change
+ * @returns {*} Result of change()
+ */
+function recordEmployeeChange(label, employees, change) {
+    return window.historyManager.recordChange(label, {
+        capture: () => ({
+            list: AppState.employeeData.employees.slice(),
+            states: employees.map(employee => [employee, snapshotFields(employee)])
+        }),
+        restore: state => {
+            replaceEmployees(state.list);
+            state.states.forEach(([employee, snapshot]) => restoreFields(employee, snapshot));
+            refreshEmployeeData();
+        }
+    }, change);
+}
+
+/**
+ * Replace the employee list in place, so everything holding the array sees the change
+ * @param {Array} employees - New employee list
+ */
+function replaceEmployees(employees) {
+    const list = AppState.employeeData.employees;
+    list.length = 0;
+    employees.forEach(employee => list.push(employee));
+}
+
+/**
+ * Refresh everything derived from the employee data after it changed
+ * @param {string} reason - What changed, passed on to data store listeners
+ */
+function refreshEmployeeData(reason = 'edit') {
+    const employees = (AppState.employeeData && AppState.employeeData.employees) || [];
+    
+    if (AppState.currencyUtils) {
+        normalizeEmployeeSalaries(employees, AppState.currencyUtils, AppState.reportingCurrency, AppState.salaryBasis);
+        AppState.currencyAnalysis = analyzeCurrencyData(employees, AppState.currencyUtils, AppState.reportingCurrency);
     }
     
-    if (currencyAnalysis.validationResults.length > 0) {
-        showNotification(
-            `${currencyAnalysis.validationResults.length} salary amounts have validation warnings. Check the data table for details.`,
-            'warning',
-            6000
-        );
+    // Added, removed and edited employees change the org tree's labels and roll-ups
+    if (window.OrgHierarchy) {
+        AppState.orgHierarchy = new OrgHierarchy(employees, {
+            currencyUtils: AppState.currencyUtils,
+            reportingCurrency: AppState.reportingCurrency
+        });
+        if (AppState.orgScope && !AppState.orgHierarchy.getNode(AppState.orgScope)) {
+            AppState.orgScope = null;
+        }
+        if (AppState.orgTree) {
+            AppState.orgTree.setHierarchy(AppState.orgHierarchy, AppState.orgScope);
+        }
     }
     
-    console.log('Currency analysis:', currencyAnalysis);
+    dataStore.emit('employees', { reason });
+    scheduleSessionSave();
 }
 
 /**
- * Handle row selection in data table
- * @param {Object} employee - Selected employee data
+ * Handle row merge action for duplicates - reviews the detected duplicate group the employee is in
+ * @param {Object} employee - Employee to merge
  * @param {number} index - Row index
  */
-function handleRowSelect(employee, index) {
-    console.log('Row selected:', employee.name, 'at index', index);
-    // Future: Update selection-based UI elements
+function handleRowMerge(employee, index) {
+    console.log('Merge employee:', employee.name);
+    
+    // Groups whose records were merged or deleted since detection are stale
+    const employees = new Set((AppState.employeeData && AppState.employeeData.employees) || []);
+    const group = ((AppState.duplicateResults && AppState.duplicateResults.duplicateGroups) || [])
+        .find(item => item.employees.includes(employee) && item.employees.every(record => employees.has(record)));
+    
+    if (!group) {
+        showNotification(`No duplicate group found for ${employee.name} - select the rows to merge and use "Merge selected"`, 'info');
+        return;
+    }
+    
+    openDuplicateMerger([group]);
 }
 
 /**
- * Handle row edit action
- * @param {Object} employee - Employee to edit
- * @param {number} index - Row index
+ * Merge rows picked in the table, whether or not duplicate detection paired them
+ * @param {Array} employees - Selected employees
  */
-function handleRowEdit(employee, index) {
-    console.log('Edit employee:', employee.name);
-    // Future: Open edit modal/form
-    showNotification(`Edit functionality for ${employee.name} coming soon!`, 'info');
+function handleRowsMerge(employees) {
+    if (employees.length < 2) {
+        showNotification('Select two or more rows to merge', 'warning');
+        return;
+    }
+    
+    openDuplicateMerger([{ employees, manual: true }]);
 }
 
 /**
- * Handle row merge action for duplicates
- * @param {Object} employee - Employee to merge
+ * Show the duplicate merger for some groups of records
+ * @param {Array} groups - Groups { employees, confidence } or { employees, manual: true }
+ */
+function openDuplicateMerger(groups) {
+    if (!AppState.duplicateMerger) {
+        showNotification('The merge tool is still loading - please try again in a moment', 'warning');
+        return;
+    }
+    
+    // Merged records are built by the data validator
+    loadDataValidator().then(() => {
+        AppState.duplicateMerger.loadDuplicateGroups(groups);
+        AppState.duplicateMerger.show();
+        AppState.duplicateMerger.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }).catch(error => {
+        console.error('Failed to load data validator:', error);
+        handleError(error, 'Duplicate Merge');
+    });
+}
+
+/**
+ * Split a merged record back into the records it was merged from (undoable)
+ * @param {Object} employee - Merged record
  * @param {number} index - Row index
  */
-function handleRowMerge(employee, index) {
-    console.log('Merge employee:', employee.name);
-    // Future: Open merge interface
-    showNotification(`Merge functionality for ${employee.name} coming soon!`, 'info');
+function handleRowUnmerge(employee, index) {
+    loadDataValidator().then(() => {
+        const validator = getDataValidator();
+        if (!validator.canSplit(employee)) {
+            showNotification(`${employee.name} was merged without keeping the original records, so it can't be split`, 'warning');
+            return;
+        }
+        
+        const count = validator.getLastMerge(employee).originals.length;
+        recordEmployeeChange(`Split ${employee.name} into ${count} records`, [], () => {
+            replaceEmployees(validator.executeUnmerge(AppState.employeeData.employees, employee));
+        });
+        
+        // Raises and approvals follow the employee ids, so they re-attach to the originals
+        refreshEmployeeData();
+        showNotification(`Split ${employee.name} back into ${count} records`, 'success', 4000);
+    }).catch(error => {
+        console.error('Failed to split merged record:', error);
+        handleError(error, 'Split Merged Record');
+    });
+}
+
+/**
+ * The data validator for merges, created if no file was processed in this page load
+ * @returns {DataValidator} Data validator
+ */
+function getDataValidator() {
+    if (!AppState.dataValidator) {
+        AppState.dataValidator = new DataValidator();
+    }
+    return AppState.dataValidator;
 }
 
 /**
@@ -1381,33 +2215,16 @@ function handleMergeComplete(results) {
     console.log('Merge completed:', results);
     
     // Apply merge decisions to employee data
-    if (results.decisions && results.decisions.length > 0) {
-        const updatedData = applyMergeDecisions(AppState.employeeData, results.decisions);
-        
-        // Update all components with merged data
-        AppState.employeeData = updatedData;
-        
-        if (AppState.searchBar) {
-            AppState.searchBar.updateData(updatedData);
-        }
-        
-        if (AppState.filterPanel) {
-            AppState.filterPanel.updateData(updatedData);
-        }
+    if (results.decisions && results.decisions.length > 0 && AppState.employeeData) {
+        // Keep-separate decisions clear the duplicate flag on the records they name
+        const flagged = results.decisions.flatMap(decision => decision.records || []);
         
-        if (AppState.dataTable) {
-            AppState.dataTable.updateData(updatedData);
-        }
-        
-        // Update analytics dashboard with merged data
-        if (AppState.analyticsDashboard) {
-            AppState.analyticsDashboard.setEmployees(updatedData);
-        }
+        recordEmployeeChange(`Merge duplicates: ${results.mergedGroups} merged, ${results.keptSeparate} kept separate`, flagged, () => {
+            replaceEmployees(applyMergeDecisions(AppState.employeeData.employees, results.decisions));
+        });
         
-        // Update salary visualization with merged data
-        if (AppState.salaryVisualization) {
-            AppState.salaryVisualization.setEmployees(updatedData);
-        }
+        // Update all components with merged data
+        refreshEmployeeData();
         
         // Show success notification
         showNotification(
@@ -1434,15 +2251,9 @@ function handleMergeCancel() {
 function handleSuggestionApplied(suggestion, rating) {
     console.log('Performance suggestion applied:', suggestion.employee.name, rating);
     
-    // Update the employee data in the table
-    if (AppState.dataTable) {
-        AppState.dataTable.updateData(AppState.employeeData.employees);
-    }
-    
-    // Update filter panel if needed
-    if (AppState.filterPanel) {
-        AppState.filterPanel.updateData(AppState.employeeData.employees);
-    }
+    // Ratings feed raise recommendations, approvals and charts as well as the table
+    dataStore.emit('employees', { reason: 'rating', employees: [suggestion.employee] });
+    scheduleSessionSave();
 }
 
 /**
@@ -1621,36 +2432,33 @@ function addSuggestionButtonToNotifications(suggestionCount) {
 /**
  * Apply merge decisions to employee data
  * @param {Array} employeeData - Original employee data
- * @param {Array} decisions - Merge decisions
+ * @param {Array} decisions - Merge decisions from the duplicate merger
  * @returns {Array} Updated employee data
  */
 function applyMergeDecisions(employeeData, decisions) {
     let updatedData = [...employeeData];
-    
-    // Process decisions in reverse order to maintain indices
-    decisions.sort((a, b) => b.groupIndex - a.groupIndex);
+    const validator = getDataValidator();
     
     decisions.forEach(decision => {
         if (decision.action === 'merge') {
-            // Remove original records and add merged record
-            const originalIds = decision.originalRecords.map(record => record.id || record.name);
+            const originals = decision.originalRecords.filter(record => updatedData.includes(record));
+            if (originals.length < 2) return;
             
-            // Remove original records
-            updatedData = updatedData.filter(emp => 
-                !originalIds.includes(emp.id || emp.name)
+            // The merged record takes the place of the first original and keeps the primary record's id
+            const primaryIndex = Math.max(0, originals.indexOf(decision.originalRecords[decision.primaryIndex]));
+            const mergedRecord = validator.createMergedRecord(
+                originals,
+                remapSelections(decision.selections, decision.originalRecords, originals),
+                primaryIndex
             );
+            const position = Math.min(...originals.map(record => updatedData.indexOf(record)));
             
-            // Add merged record
-            updatedData.push(decision.mergedRecord);
+            updatedData = updatedData.filter(record => !originals.includes(record));
+            updatedData.splice(position, 0, mergedRecord);
         } else if (decision.action === 'keep_separate') {
             // Mark records as not duplicates
             decision.records.forEach(record => {
-                const index = updatedData.findIndex(emp => 
-                    (emp.id && emp.id === record.id) || emp.name === record.name
-                );
-                if (index !== -1) {
-                    updatedData[index].isDuplicate = false;
-                }
+                record.isDuplicate = false;
             });
         }
     });
@@ -1658,6 +2466,22 @@ function applyMergeDecisions(employeeData, decisions) {
     return updatedData;
 }
 
+/**
+ * Point field selections at records' positions among the originals still present
+ * @param {Object} selections - Field -> index into allRecords
+ * @param {Array} allRecords - Records the selections were made on
+ * @param {Array} originals - Records still present
+ * @returns {Object} Field -> index into originals
+ */
+function remapSelections(selections = {}, allRecords, originals) {
+    const remapped = {};
+    Object.entries(selections).forEach(([field, index]) => {
+        const position = originals.indexOf(allRecords[index]);
+        if (position !== -1) remapped[field] = position;
+    });
+    return remapped;
+}
+
 /**
  * Handle filter changes from filter panel
  * @param {Array} filteredData - Filtered employee data
@@ -1671,9 +2495,12 @@ function handleFiltersChange(filteredData, activeFilterCount) {
         AppState.dataTable.applyFilters(filteredData);
     }
     
+    AppState.filteredEmployees = activeFilterCount > 0 ? filteredData : null;
+    dataStore.emit('filters', { activeFilterCount });
+    
     // Show notification if significant filtering occurred
     if (activeFilterCount > 0 && AppState.employeeData) {
-        const totalCount = AppState.employeeData.length;
+        const totalCount = dataStore.select('scopedEmployees').length;
         const filteredCount = filteredData.length;
         const percentage = Math.round((filteredCount / totalCount) * 100);
         
@@ -1688,23 +2515,411 @@ function handleFiltersChange(filteredData, activeFilterCount) {
 }
 
 /**
- * Calculate total budget for raises (typically 3-5% of total salary cost)
- * @param {Array} employees - Employee data
- * @returns {number} Total budget amount
+ * Get the employees in the current org scope (all employees when no manager is selected)
+ * @returns {Array} Scoped employee data
+ */
+function getScopedEmployees() {
+    const employees = AppState.employeeData ? AppState.employeeData.employees || [] : [];
+    
+    if (!AppState.orgScope || !AppState.orgHierarchy) {
+        return employees;
+    }
+    
+    return AppState.orgHierarchy.getSubtreeEmployees(AppState.orgScope);
+}
+
+/**
+ * Handle manager selection in the org tree
+ * @param {string|null} nodeId - Selected node id, or null to clear the scope
+ */
+function handleOrgNodeSelect(nodeId) {
+    dataStore.set('orgScope', nodeId);
+    scheduleSessionSave();
+    
+    const node = nodeId && AppState.orgHierarchy ? AppState.orgHierarchy.getNode(nodeId) : null;
+    if (node) {
+        showNotification(`Scoped to ${node.name}'s organization (${node.rollup.headcount} employees)`, 'info', 3000);
+    } else {
+        showNotification('Showing all employees', 'info', 3000);
+    }
+}
+
+/**
+ * Apply changed raise scoring settings and recalculate recommendations
+ * @param {Object} settings - Raise settings from the settings panel
+ */
+function handleRaiseSettingsChange(settings) {
+    // Recalculates recommendations and the raise budget
+    dataStore.set('raiseSettings', { ...AppState.raiseSettings, ...settings });
+    
+    scheduleSessionSave();
+}
+
+/**
+ * Schedule a debounced autosave of the current session
+ */
+function scheduleSessionSave() {
+    if (!AppState.sessionStore || !AppState.employeeData) return;
+    
+    clearTimeout(AppState.sessionSaveTimer);
+    AppState.sessionSaveTimer = setTimeout(saveCurrentSession, SESSION_AUTOSAVE_DELAY);
+}
+
+/**
+ * Collect everything needed to restore the working session
+ * @returns {Object} Session state
+ */
+function collectSessionState() {
+    const uploadedFile = AppState.uploadedFile || {};
+    
+    return {
+        version: SESSION_STATE_VERSION,
+        uploadedFile: {
+            name: uploadedFile.name,
+            size: uploadedFile.size,
+            uploadedAt: uploadedFile.uploadedAt
+        },
+        employeeData: AppState.employeeData,
+        raiseSettings: AppState.raiseSettings,
+        reportingCurrency: AppState.reportingCurrency,
+        salaryBasis: AppState.salaryBasis,
+        orgScope: AppState.orgScope,
+        scenarios: AppState.scenarioModeler ? AppState.scenarioModeler.getSessionState() : null,
+        budgetPools: AppState.budgetModeler ? AppState.budgetModeler.getSessionState() : null,
+        budgetAllocation: AppState.budgetAllocator ? AppState.budgetAllocator.getSessionState() : null,
+        recommendations: AppState.raiseRecommendations ? AppState.raiseRecommendations.getSessionState() : null,
+        approvals: AppState.approvalWorkflow ? AppState.approvalWorkflow.getSessionState() : null
+    };
+}
+
+/**
+ * Save the current session to the encrypted local store
+ * @returns {Promise<void>}
+ */
+async function saveCurrentSession() {
+    clearTimeout(AppState.sessionSaveTimer);
+    if (!AppState.sessionStore || !AppState.employeeData) return;
+    
+    const employees = AppState.employeeData.employees || [];
+    const fileName = AppState.uploadedFile ? AppState.uploadedFile.name : 'Team data';
+    
+    const meta = AppState.currentSession || {
+        id: SessionStore.generateId(),
+        name: `${fileName} — ${new Date().toLocaleDateString()}`
+    };
+    
+    try {
+        const saved = await AppState.sessionStore.saveSession(
+            { id: meta.id, name: meta.name, employeeCount: employees.length },
+            collectSessionState()
+        );
+        AppState.currentSession = saved;
+        
+        if (AppState.sessionManager) {
+            AppState.sessionManager.setCurrentSession(saved);
+        }
+    } catch (error) {
+        console.error('Failed to save session:', error);
+        showNotification(`Autosave failed: ${error.message}`, 'warning');
+    }
+}
+
+/**
+ * Restore a saved session
+ * @param {string} sessionId - Session id
+ * @returns {Promise<void>}
+ */
+async function resumeSession(sessionId) {
+    if (!AppState.sessionStore) return;
+    
+    // Already loaded - just go back to it
+    if (AppState.currentSession && AppState.currentSession.id === sessionId && AppState.employeeData) {
+        showAnalysisSection();
+        return;
+    }
+    
+    // Keep unsaved changes to the session being left
+    await saveCurrentSession();
+    
+    try {
+        setLoading(true, 'Restoring session...');
+        
+        const { meta, state } = await AppState.sessionStore.loadSession(sessionId);
+        if (!state || state.version !== SESSION_STATE_VERSION) {
+            throw new Error('Saved session format is not supported by this version');
+        }
+        
+        if (!window.CurrencyUtils) {
+            await loadCurrencyUtils();
+        }
+        await ensureDataTableReady();
+        
+        const employees = state.employeeData.employees || [];
+        const currencyUtils = new CurrencyUtils();
+        const uploadedFile = state.uploadedFile || {};
+        applyFileCurrencyRates(currencyUtils, state.employeeData.metadata && state.employeeData.metadata.currencyRates,
+            uploadedFile.name, uploadedFile.uploadedAt);
+        
+        AppState.uploadedFile = state.uploadedFile;
+        AppState.employeeData = state.employeeData;
+        window.historyManager.clear();
+        AppState.raiseSettings = { ...AppState.raiseSettings, ...state.raiseSettings };
+        AppState.reportingCurrency = currencyUtils.isValidCurrency(state.reportingCurrency) ? state.reportingCurrency : 'USD';
+        AppState.salaryBasis = SALARY_BASES[state.salaryBasis] ? state.salaryBasis : 'fte';
+        AppState.currencyUtils = currencyUtils;
+        // Sessions saved before the employee model are brought up to its schema
+        window.employeeAdapter.clearWarnings();
+        window.employeeAdapter.upgradeRecords(employees);
+        window.employeeAdapter.setReportingCurrency(AppState.reportingCurrency);
+        normalizeEmployeeSalaries(employees, currencyUtils, AppState.reportingCurrency, AppState.salaryBasis);
+        AppState.currencyAnalysis = analyzeCurrencyData(employees, currencyUtils, AppState.reportingCurrency);
+        AppState.orgHierarchy = window.OrgHierarchy
+            ? new OrgHierarchy(employees, { currencyUtils, reportingCurrency: AppState.reportingCurrency })
+            : null;
+        AppState.orgScope = AppState.orgHierarchy && AppState.orgHierarchy.getNode(state.orgScope) ? state.orgScope : null;
+        AppState.currentSession = meta;
+        
+        if (AppState.orgTree) {
+            AppState.orgTree.setHierarchy(AppState.orgHierarchy, AppState.orgScope);
+        }
+        if (AppState.raiseSettingsPanel) {
+            AppState.raiseSettingsPanel.setSettings(AppState.raiseSettings);
+        }
+        renderReportingCurrency();
+        
+        AppState.filteredEmployees = null;
+        dataStore.batch(() => {
+            dataStore.emit('employees', { reason: 'resume' });
+            dataStore.emit('raiseSettings');
+        });
+        
+        // Restore component state after the employee data so it isn't regenerated over
+        if (AppState.scenarioModeler) {
+            AppState.scenarioModeler.restoreSessionState(state.scenarios);
+        }
+        if (AppState.raiseRecommendations) {
+            AppState.raiseRecommendations.restoreSessionState(state.recommendations);
+        }
+        if (AppState.approvalWorkflow) {
+            AppState.approvalWorkflow.restoreSessionState(state.approvals);
+        }
+        if (AppState.budgetModeler) {
+            AppState.budgetModeler.restoreSessionState(state.budgetPools);
+        }
+        if (AppState.budgetAllocator) {
+            AppState.budgetAllocator.restoreSessionState(state.budgetAllocation);
+        }
+        
+        if (AppState.sessionManager) {
+            AppState.sessionManager.setCurrentSession(meta);
+        }
+        
+        setLoading(false);
+        showAnalysisSection();
+        switchTab('table');
+        
+        showNotification(`Resumed "${meta.name}" (${employees.length} employees)`, 'success');
+    } catch (error) {
+        setLoading(false);
+        console.error('Failed to restore session:', error);
+        showNotification(`Could not resume session: ${error.message}`, 'error', 8000);
+    }
+}
+
+/**
+ * Clear in-memory and cached data after all local data has been wiped
+ */
+function handleSessionWipe() {
+    // Stop autosave from recreating the database before the reload
+    clearTimeout(AppState.sessionSaveTimer);
+    AppState.sessionStore = null;
+    
+    // Error logs and persistent notifications can contain employee details too
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('teamAnalyzer_'))
+        .forEach(key => localStorage.removeItem(key));
+    
+    showNotification('All local data wiped. Reloading...', 'success', 2000);
+    
+    // Reload so no employee data is left in memory
+    setTimeout(() => window.location.reload(), 1000);
+}
+
+/**
+ * Use the exchange rates harvested from the uploaded file instead of the built-in rates
+ * @param {CurrencyUtils} currencyUtils - Currency utilities instance
+ * @param {Object} currencyRates - Rate summary from the CSV parser metadata
+ * @param {string} fileName - Uploaded file name, shown as the rate source
+ * @param {Date|string} loadedAt - When the file was uploaded
+ */
+function applyFileCurrencyRates(currencyUtils, currencyRates, fileName, loadedAt) {
+    if (!currencyRates || Object.keys(currencyRates.rates || {}).length === 0) {
+        console.log('No exchange rates in file - using built-in rates');
+        return;
+    }
+    
+    const source = currencyRates.effectiveDate
+        ? `File: ${fileName}`
+        : `File: ${fileName}, loaded ${new Date(loadedAt || Date.now()).toLocaleDateString()}`;
+    
+    currencyUtils.updateExchangeRates(currencyRates.rates, {
+        source,
+        asOf: currencyRates.effectiveDate
+    });
+    console.log('Using exchange rates from file:', currencyRates.rates);
+}
+
+/**
+ * Set each employee's annual base salary in the reporting currency (normalizedSalary),
+ * which totals, charts and exports use to compare employees across currencies, along
+ * with their base, target bonus and OTE in that currency (normalizedCompensation).
+ * Amounts are annualized to full time or left at actual cost depending on the salary basis.
+ * @param {Array} employees - Array of employees
+ * @param {CurrencyUtils} currencyUtils - Currency utilities instance
+ * @param {string} reportingCurrency - Currency code to report in
+ * @param {string} salaryBasis - 'fte' or 'actual'
+ */
+function normalizeEmployeeSalaries(employees, currencyUtils, reportingCurrency, salaryBasis = 'fte') {
+    employees.forEach(employee => {
+        const salary = employee.salary || {};
+        const amount = prorateAmount(
+            (employee.rangePosition && employee.rangePosition.basisAmount) || salary.amount || 0,
+            employee,
+            salaryBasis
+        );
+        
+        const convert = value => salary.currency
+            ? currencyUtils.convertCurrency(value, salary.currency, reportingCurrency).convertedAmount
+            : value;
+        
+        try {
+            employee.normalizedSalary = convert(amount);
+            employee.normalizedCompensation = {
+                basis: salaryBasis,
+                base: employee.normalizedSalary,
+                bonus: convert(getCompensationAmount(employee, 'bonus', salaryBasis)),
+                ote: convert(getCompensationAmount(employee, 'ote', salaryBasis))
+            };
+        } catch (error) {
+            console.warn(`Cannot convert ${salary.currency} salary for ${employee.name} to ${reportingCurrency}:`, error.message);
+            employee.normalizedSalary = null;
+            employee.normalizedCompensation = null;
+        }
+    });
+}
+
+/**
+ * Get the reporting currency and the exchange rates behind it, for reports and exports
+ * @returns {Object} { reportingCurrency, salaryBasis, source, asOf, rates, description }
+ */
+function getRateInfo() {
+    const rateInfo = AppState.currencyUtils ? AppState.currencyUtils.getRateInfo() : {};
+    return { reportingCurrency: AppState.reportingCurrency, salaryBasis: AppState.salaryBasis, ...rateInfo };
+}
+
+/**
+ * Initialize the reporting currency and salary basis selectors
+ */
+function initializeReportingCurrency() {
+    const select = document.getElementById('reporting-currency');
+    if (!select) return;
+    
+    select.addEventListener('change', event => setReportingCurrency(event.target.value));
+    
+    const basisSelect = document.getElementById('salary-basis');
+    if (basisSelect) {
+        basisSelect.innerHTML = Object.values(SALARY_BASES).map(basis =>
+            `<option value="${basis.key}" title="${basis.description}">${basis.label}</option>`
+        ).join('');
+        basisSelect.value = AppState.salaryBasis;
+        basisSelect.addEventListener('change', event => setSalaryBasis(event.target.value));
+    }
+}
+
+/**
+ * Refresh the reporting currency options and the rate source line
+ */
+function renderReportingCurrency() {
+    const select = document.getElementById('reporting-currency');
+    const sourceElement = document.getElementById('rate-source');
+    if (!select || !AppState.currencyUtils) return;
+    
+    const currencyUtils = AppState.currencyUtils;
+    select.innerHTML = currencyUtils.getRatedCurrencies().map(code => {
+        const name = currencyUtils.supportedCurrencies[code].name;
+        return `<option value="${code}"${code === AppState.reportingCurrency ? ' selected' : ''}>${code}${name !== code ? ` — ${name}` : ''}</option>`;
+    }).join('');
+    
+    if (sourceElement) {
+        sourceElement.textContent = `Exchange rates: ${currencyUtils.getRateInfo().description}`;
+    }
+    
+    const basisSelect = document.getElementById('salary-basis');
+    if (basisSelect) {
+        basisSelect.value = AppState.salaryBasis;
+    }
+}
+
+/**
+ * Switch every total, chart and export between annualized FTE and actual cost.
+ * Comparatio and range position always use FTE; raise costs always use actual cost.
+ * @param {string} salaryBasis - 'fte' or 'actual'
+ */
+function setSalaryBasis(salaryBasis) {
+    if (!SALARY_BASES[salaryBasis]) return;
+    
+    AppState.salaryBasis = salaryBasis;
+    
+    if (AppState.employeeData && AppState.currencyUtils) {
+        normalizeEmployeeSalaries(AppState.employeeData.employees || [], AppState.currencyUtils,
+            AppState.reportingCurrency, salaryBasis);
+    }
+    dataStore.emit('salaryBasis');
+    
+    scheduleSessionSave();
+    showNotification(`Showing salaries as ${SALARY_BASES[salaryBasis].label.toLowerCase()}`, 'info', 3000);
+}
+
+/**
+ * Change the currency every total, chart and export is reported in
+ * @param {string} currencyCode - Currency code
  */
-function calculateTotalBudget(employees) {
-    const totalSalary = employees.reduce((sum, emp) => sum + (emp.currentSalary || 0), 0);
-    // Default to 3% of total salary as budget
-    return totalSalary * 0.03;
+function setReportingCurrency(currencyCode) {
+    if (!AppState.currencyUtils || !AppState.currencyUtils.isValidCurrency(currencyCode)) return;
+    
+    AppState.reportingCurrency = currencyCode;
+    window.employeeAdapter.setReportingCurrency(currencyCode);
+    
+    if (AppState.employeeData) {
+        const employees = AppState.employeeData.employees || [];
+        normalizeEmployeeSalaries(employees, AppState.currencyUtils, currencyCode, AppState.salaryBasis);
+        AppState.currencyAnalysis = analyzeCurrencyData(employees, AppState.currencyUtils, currencyCode);
+        
+        if (window.OrgHierarchy) {
+            AppState.orgHierarchy = new OrgHierarchy(employees, {
+                currencyUtils: AppState.currencyUtils,
+                reportingCurrency: currencyCode
+            });
+            if (AppState.orgTree) {
+                AppState.orgTree.setHierarchy(AppState.orgHierarchy, AppState.orgScope);
+            }
+        }
+    }
+    dataStore.emit('reportingCurrency');
+    
+    renderReportingCurrency();
+    scheduleSessionSave();
+    showNotification(`Reporting in ${currencyCode}`, 'info', 3000);
 }
 
 /**
  * Analyze currency data across employees
  * @param {Array} employees - Array of employees
  * @param {CurrencyUtils} currencyUtils - Currency utilities instance
+ * @param {string} reportingCurrency - Currency to normalize salaries to
  * @returns {Object} Currency analysis results
  */
-function analyzeCurrencyData(employees, currencyUtils) {
+function analyzeCurrencyData(employees, currencyUtils, reportingCurrency = 'USD') {
     const currencyBreakdown = {};
     const salaries = [];
     const validationResults = [];
@@ -1735,8 +2950,8 @@ function analyzeCurrencyData(employees, currencyUtils) {
                 formatted: employee.salary.formatted
             });
             
-            // Validate salary amount
-            const validation = currencyUtils.validateSalaryAmount(employee.salary.amount, currency);
+            // Validate salary amount against full-time ranges
+            const validation = currencyUtils.validateSalaryAmount(prorateAmount(employee.salary.amount, employee, 'fte'), currency);
             if (!validation.isValid || validation.warnings.length > 0) {
                 validationResults.push({
                     employeeId: employee.id,
@@ -1747,8 +2962,8 @@ function analyzeCurrencyData(employees, currencyUtils) {
         }
     }
 
-    // Normalize salaries to USD for comparison
-    const normalizedSalaries = currencyUtils.normalizeSalaries(salaries, 'USD');
+    // Normalize salaries to the reporting currency for comparison
+    const normalizedSalaries = currencyUtils.normalizeSalaries(salaries, reportingCurrency);
     
     // Calculate statistics
     const totalEmployeesWithSalary = salaries.length;
@@ -1771,6 +2986,8 @@ function analyzeCurrencyData(employees, currencyUtils) {
                 percentage: Math.round((data.count / totalEmployeesWithSalary) * 100)
             }))
         },
+        reportingCurrency: reportingCurrency,
+        rateInfo: currencyUtils.getRateInfo(),
         supportedCurrencies: currencyUtils.getSupportedCurrencies()
     };
 }
@@ -2075,7 +3292,10 @@ async function ensureDataTableReady() {
         'src/components/FilterPanel.js',
         'src/components/SearchBar.js',
         'src/components/DuplicateMerger.js',
-        'src/components/PerformanceSuggester.js'
+        'src/components/EmployeeEditor.js',
+        'src/components/PerformanceSuggester.js',
+        'src/utils/orgHierarchy.js',
+        'src/components/OrgTree.js'
     ];
     
     try {
@@ -2116,6 +3336,9 @@ async function ensureDataTableReady() {
                 onRowSelect: handleRowSelect,
                 onRowEdit: handleRowEdit,
                 onRowMerge: handleRowMerge,
+                onRowsDelete: handleRowsDelete,
+                onRowsMerge: handleRowsMerge,
+                onRowUnmerge: handleRowUnmerge,
                 onSort: handleTableSort
             });
             
@@ -2168,6 +3391,23 @@ async function ensureDataTableReady() {
             // Don't throw, filter panel is not critical
         }
         
+        // Initialize org tree
+        try {
+            const orgTreeContainer = document.getElementById('org-tree-container');
+            if (orgTreeContainer && window.OrgTree) {
+                const orgTree = new OrgTree(orgTreeContainer, {
+                    onNodeSelect: handleOrgNodeSelect
+                });
+                AppState.orgTree = orgTree;
+                console.log('✅ Org tree initialized');
+            } else {
+                console.log('⚠️ Org tree container or class not available');
+            }
+        } catch (orgTreeError) {
+            console.error('❌ Error initializing org tree:', orgTreeError);
+            // Don't throw, org tree is not critical
+        }
+        
         // Initialize duplicate merger
         try {
             const duplicateMergerContainer = document.getElementById('duplicate-merger-container');
@@ -2197,7 +3437,8 @@ async function ensureDataTableReady() {
                     {
                         onApplied: handleSuggestionApplied,
                         onSkipped: handleSuggestionSkipped,
-                        onCompleted: handleSuggestionsCompleted
+                        onCompleted: handleSuggestionsCompleted,
+                        recordChange: recordEmployeeChange
                     }
                 );
                 AppState.performanceSuggesterComponent = performanceSuggesterComponent;
@@ -2230,6 +3471,7 @@ window.TeamAnalyzer = {
     switchTab,
     showUploadSection,
     showAnalysisSection,
+    getScopedEmployees,
     showNotification,
     setLoading,
     handleError
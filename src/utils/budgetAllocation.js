@@ -0,0 +1,224 @@
+/**
+ * Budget Allocation Utility
+ *
+ * Splits a merit pool top-down along the management hierarchy (orgHierarchy.js).
+ * Each manager's allocation is divided between the orgs of the managers under
+ * them and a direct pool for the raises they decide themselves - those of their
+ * direct reports, managers included. Splits are by headcount, payroll or custom
+ * amounts, and planned raises are tracked against every allocation so a manager
+ * can be overspent while the top of the tree is within budget.
+ *
+ * Amounts are in the reporting currency, like the raise budget they come from.
+ */
+
+// Ways a manager's allocation can be split
+const ALLOCATION_METHODS = {
+    headcount: { key: 'headcount', label: 'Headcount' },
+    payroll: { key: 'payroll', label: 'Payroll' },
+    custom: { key: 'custom', label: 'Custom amounts' }
+};
+
+// Id of the allocation above the roots when the whole file is shown
+const ALLOCATION_TOP_ID = '__top__';
+
+/**
+ * Managers and the direct pool an allocation is split between
+ * @param {Object} node - Hierarchy node
+ * @returns {Object} { managers: child nodes with reports, direct: direct reports with an employee row }
+ */
+function getAllocationUnits(node) {
+    return {
+        managers: node.children.filter(child => child.children.length > 0),
+        direct: node.children.filter(child => child.employee).map(child => child.employee)
+    };
+}
+
+/**
+ * Split a merit pool down the hierarchy and track planned raises against each allocation
+ * @param {Object} options - Options
+ * @param {OrgHierarchy} options.hierarchy - Management hierarchy
+ * @param {string|null} options.topNodeId - Manager whose org the pool is for, null for everyone
+ * @param {number} options.total - Merit pool for the top of the tree
+ * @param {Object} options.settings - { methods: { nodeId: method }, custom: { nodeId: amount } }
+ * @param {Function} options.getSalary - employee => salary in the reporting currency
+ * @param {Function} options.getSpend - employee => planned raise in the reporting currency
+ * @returns {Object} { top, nodes: Map of nodeId => allocation, overspent }
+ */
+function allocateBudget({ hierarchy, topNodeId = null, total = 0, settings = {}, getSalary, getSpend }) {
+    const methods = settings.methods || {};
+    const custom = settings.custom || {};
+    const nodes = new Map();
+
+    const scopedNode = topNodeId && hierarchy.getNode(topNodeId);
+    const top = scopedNode || { id: ALLOCATION_TOP_ID, name: 'All employees', employee: null, children: hierarchy.getRoots() };
+
+    const sumOf = (employees, valueOf) => employees.reduce((sum, employee) => sum + (valueOf(employee) || 0), 0);
+
+    const allocate = (node, amount, parentId, depth) => {
+        const units = getAllocationUnits(node);
+        const method = methods[node.id] || 'headcount';
+        const subtree = node.id === ALLOCATION_TOP_ID
+            ? top.children.flatMap(root => [root.employee, ...hierarchy.getSubtreeEmployees(root.id)]).filter(Boolean)
+            : hierarchy.getSubtreeEmployees(node.id);
+
+        // Weights of each sub-org and of the direct pool
+        const managerOrgs = units.managers.map(child => hierarchy.getSubtreeEmployees(child.id));
+        const weightOf = employees => method === 'payroll' ? sumOf(employees, getSalary) : employees.length;
+        const weights = [...managerOrgs.map(weightOf), weightOf(units.direct)];
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const share = index => totalWeight > 0 ? amount * weights[index] / totalWeight : 0;
+
+        // Custom splits give each sub-org its amount and leave the rest to the direct pool;
+        // sub-orgs without an amount get their headcount share
+        const requestedAmounts = units.managers.map((child, index) => {
+            if (method !== 'custom') return share(index);
+            if (typeof custom[child.id] === 'number') return custom[child.id];
+            return subtree.length > 0 ? amount * managerOrgs[index].length / subtree.length : 0;
+        });
+        const customTotal = requestedAmounts.reduce((sum, value) => sum + value, 0);
+
+        // Amounts saved before the pool shrank are scaled down so the split never exceeds it
+        const overAllocated = customTotal > amount + 0.005;
+        const managerAmounts = overAllocated
+            ? requestedAmounts.map(value => customTotal > 0 ? amount * value / customTotal : 0)
+            : requestedAmounts;
+        const directAmount = method !== 'custom' ? share(units.managers.length)
+            : overAllocated ? 0 : Math.max(0, amount - customTotal);
+
+        const directSpent = sumOf(units.direct, getSpend);
+        const allocation = {
+            id: node.id,
+            name: node.name,
+            employee: node.employee,
+            parentId,
+            depth,
+            method,
+            amount,
+            headcount: subtree.length,
+            payroll: sumOf(subtree, getSalary),
+            childIds: units.managers.map(child => child.id),
+            customTotal,
+            overAllocated,
+            direct: {
+                amount: directAmount,
+                headcount: units.direct.length,
+                payroll: sumOf(units.direct, getSalary),
+                spent: directSpent,
+                remaining: directAmount - directSpent,
+                overspent: directSpent > directAmount + 0.005
+            }
+        };
+        nodes.set(node.id, allocation);
+
+        const childSpent = units.managers.reduce((sum, child, index) =>
+            sum + allocate(child, managerAmounts[index], node.id, depth + 1).spent, 0);
+
+        allocation.spent = directSpent + childSpent;
+        allocation.remaining = amount - allocation.spent;
+        allocation.utilization = amount > 0 ? allocation.spent / amount : null;
+        allocation.overspent = allocation.spent > amount + 0.005;
+        return allocation;
+    };
+
+    const topAllocation = allocate(top, total, null, 0);
+
+    return {
+        top: topAllocation,
+        nodes,
+        overspent: [...nodes.values()].filter(allocation => allocation.overspent || allocation.direct.overspent)
+    };
+}
+
+/**
+ * Set a manager's custom amount. The parent's split becomes custom, starting from
+ * the current amounts of the other managers under it.
+ * @param {Object} settings - Allocation settings { methods, custom } (not changed)
+ * @param {Object} result - Current allocateBudget result
+ * @param {string} nodeId - Manager whose org the amount is for
+ * @param {number} amount - Amount for their org
+ * @returns {Object} New settings
+ * @throws {Error} If the manager has no parent allocation or the managers under it would get more than it has
+ */
+function setCustomAllocation(settings, result, nodeId, amount) {
+    const node = result.nodes.get(nodeId);
+    const parent = node && result.nodes.get(node.parentId);
+    if (!parent) {
+        throw new Error('Only the orgs of managers under another manager can be given a custom amount');
+    }
+
+    const others = parent.childIds
+        .filter(childId => childId !== nodeId)
+        .reduce((sum, childId) => sum + result.nodes.get(childId).amount, 0);
+    const available = Math.max(0, parent.amount - others);
+    if (!(amount >= 0) || amount > available + 0.005) {
+        throw new Error(`${parent.name} has ${Math.round(available).toLocaleString()} left for ${node.name}'s org - choose an amount between 0 and that`);
+    }
+
+    const custom = { ...(settings.custom || {}) };
+    parent.childIds.forEach(childId => {
+        custom[childId] = childId === nodeId ? amount : result.nodes.get(childId).amount;
+    });
+
+    return {
+        methods: { ...(settings.methods || {}), [parent.id]: 'custom' },
+        custom
+    };
+}
+
+/**
+ * Move budget from one manager's org to a sibling's. The parent's split becomes
+ * custom, starting from the current amounts so nothing else changes.
+ * @param {Object} settings - Allocation settings { methods, custom } (not changed)
+ * @param {Object} result - Current allocateBudget result
+ * @param {string} fromId - Manager to take the budget from
+ * @param {string} toId - Sibling manager to give it to
+ * @param {number} amount - Amount to move
+ * @returns {Object} New settings
+ * @throws {Error} If the managers aren't siblings or the amount is more than the first has
+ */
+function rebalanceAllocation(settings, result, fromId, toId, amount) {
+    const from = result.nodes.get(fromId);
+    const to = result.nodes.get(toId);
+
+    if (!from || !to || from === to || from.parentId !== to.parentId || from.parentId === null) {
+        throw new Error('Budget can only be moved between managers who report to the same manager');
+    }
+    if (!(amount > 0) || amount > from.amount + 0.005) {
+        throw new Error(`Choose an amount between 0 and ${Math.round(from.amount).toLocaleString()}`);
+    }
+
+    const parent = result.nodes.get(from.parentId);
+    const custom = { ...(settings.custom || {}) };
+    parent.childIds.forEach(childId => {
+        custom[childId] = result.nodes.get(childId).amount;
+    });
+    custom[fromId] -= amount;
+    custom[toId] += amount;
+
+    return {
+        methods: { ...(settings.methods || {}), [parent.id]: 'custom' },
+        custom
+    };
+}
+
+/**
+ * Export the budget allocation functions
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ALLOCATION_METHODS,
+        ALLOCATION_TOP_ID,
+        getAllocationUnits,
+        allocateBudget,
+        setCustomAllocation,
+        rebalanceAllocation
+    };
+} else {
+    // Make functions available globally
+    window.ALLOCATION_METHODS = ALLOCATION_METHODS;
+    window.ALLOCATION_TOP_ID = ALLOCATION_TOP_ID;
+    window.getAllocationUnits = getAllocationUnits;
+    window.allocateBudget = allocateBudget;
+    window.setCustomAllocation = setCustomAllocation;
+    window.rebalanceAllocation = rebalanceAllocation;
+}
@@ -0,0 +1,237 @@
+/**
+ * Budget Pool Utility
+ *
+ * Raise budgets split into pools - by country, pay currency or cost center -
+ * each with its own amount and currency. Spend is tracked in each pool's own
+ * currency, so an India pool is measured in INR, and rolled up into the budget
+ * currency with the exchange rates. A pool can be overspent while the total is
+ * within budget, so each pool is checked on its own.
+ */
+
+// What employees can be pooled by
+const BUDGET_POOL_DIMENSIONS = {
+    team: { key: 'team', label: 'Whole team' },
+    country: { key: 'country', label: 'Country' },
+    currency: { key: 'currency', label: 'Pay currency' },
+    costCenter: { key: 'costCenter', label: 'Cost center' }
+};
+
+// Pool for employees without a value for the pooling dimension (e.g. no cost center)
+const UNASSIGNED_POOL_KEY = '(none)';
+
+// Bucket for raise costs whose pool isn't set up (e.g. a country added after the pools were saved)
+const UNPOOLED_POOL_KEY = '(unpooled)';
+
+/**
+ * Read an employee through the shared employee model (employeeModel.js)
+ */
+function getPoolEmployeeModel(employee) {
+    const toModel = typeof window !== 'undefined'
+        ? window.toEmployeeModel
+        : require('./employeeModel.js').toEmployeeModel;
+    return toModel(employee);
+}
+
+/**
+ * Get the pool an employee's raise is paid from
+ * @param {Object} employee - Employee record or model
+ * @param {string} dimension - Key of BUDGET_POOL_DIMENSIONS
+ * @returns {string} Pool key
+ */
+function getPoolKey(employee, dimension) {
+    const model = getPoolEmployeeModel(employee);
+
+    switch (dimension) {
+        case 'country':
+            return model.countryCode || model.country || UNASSIGNED_POOL_KEY;
+        case 'currency':
+            return model.currency;
+        case 'costCenter':
+            return model.costCenter || UNASSIGNED_POOL_KEY;
+        default:
+            return 'team';
+    }
+}
+
+/**
+ * Convert an amount between currencies with rates in units per USD
+ * @param {number} amount - Amount to convert
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Currency wanted
+ * @param {Object} rates - Units of each currency per USD
+ * @returns {number|null} Converted amount, or null if either rate is missing
+ */
+function convertPoolAmount(amount, fromCurrency, toCurrency, rates = {}) {
+    if (fromCurrency === toCurrency) return amount;
+
+    const fromRate = rates[fromCurrency];
+    const toRate = rates[toCurrency];
+    if (!fromRate || !toRate) return null;
+
+    return amount / fromRate * toRate;
+}
+
+/**
+ * Group employees into the pools of a dimension. A pool's currency defaults to the
+ * pay currency most of its employees share; the whole team pool uses the budget currency.
+ * @param {Array} employees - Employee records
+ * @param {string} dimension - Key of BUDGET_POOL_DIMENSIONS
+ * @param {string} budgetCurrency - Currency of the overall budget
+ * @returns {Array} Pools { key, name, currency, headcount, employees } sorted by headcount
+ */
+function groupEmployeesIntoPools(employees, dimension, budgetCurrency) {
+    const pools = new Map();
+
+    employees.forEach(employee => {
+        const key = getPoolKey(employee, dimension);
+        if (!pools.has(key)) {
+            const model = getPoolEmployeeModel(employee);
+            pools.set(key, {
+                key,
+                name: dimension === 'team' ? 'Whole team'
+                    : dimension === 'country' && key !== UNASSIGNED_POOL_KEY ? (model.country || key)
+                    : key === UNASSIGNED_POOL_KEY ? 'Unassigned' : key,
+                employees: [],
+                currencyCounts: {}
+            });
+        }
+
+        const pool = pools.get(key);
+        const currency = getPoolEmployeeModel(employee).currency;
+        pool.employees.push(employee);
+        pool.currencyCounts[currency] = (pool.currencyCounts[currency] || 0) + 1;
+    });
+
+    return [...pools.values()]
+        .map(({ currencyCounts, ...pool }) => ({
+            ...pool,
+            currency: dimension === 'team'
+                ? budgetCurrency
+                : Object.keys(currencyCounts).sort((a, b) => currencyCounts[b] - currencyCounts[a])[0],
+            headcount: pool.employees.length
+        }))
+        .sort((a, b) => b.headcount - a.headcount || a.name.localeCompare(b.name));
+}
+
+/**
+ * Suggest a pool budget: the budget % of its employees' salaries, in the pool currency.
+ * Salaries are taken in the reporting currency so the pools add up to the overall raise budget.
+ * @param {Object} pool - Pool from groupEmployeesIntoPools
+ * @param {number} budgetPercentage - Raise budget as % of salaries
+ * @param {string} reportingCurrency - Currency of normalizedSalary
+ * @param {Object} rates - Units of each currency per USD
+ * @returns {number} Suggested amount in the pool currency
+ */
+function suggestPoolAmount(pool, budgetPercentage, reportingCurrency, rates) {
+    const salaries = pool.employees.reduce((sum, employee) => {
+        const salary = convertPoolAmount(getPoolEmployeeModel(employee).normalizedSalary || 0, reportingCurrency, pool.currency, rates);
+        return sum + (salary || 0);
+    }, 0);
+
+    return Math.round(salaries * budgetPercentage / 100);
+}
+
+/**
+ * Track each pool's spend in its own currency, with a roll-up in the budget currency.
+ * Costs of employees outside every pool go to an unbudgeted "Not in a pool" bucket
+ * in the budget currency, so the roll-up still counts them.
+ * @param {Array} pools - Pools { key, name, currency, amount }
+ * @param {Array} costs - Raise costs { employee, amount, currency }
+ * @param {string} dimension - Key of BUDGET_POOL_DIMENSIONS
+ * @param {string} budgetCurrency - Currency to roll up in
+ * @param {Object} rates - Units of each currency per USD
+ * @returns {Object} { pools, rollup, overspent, unpooled (the bucket, or null), missingRates }
+ */
+function calculatePoolUtilization(pools, costs, dimension, budgetCurrency, rates = {}) {
+    const missingRates = new Set();
+    const convert = (amount, from, to) => {
+        const converted = convertPoolAmount(amount, from, to, rates);
+        if (converted === null) [from, to].filter(code => !rates[code]).forEach(code => missingRates.add(code));
+        return converted;
+    };
+
+    const byKey = new Map(pools.map(pool => [pool.key, {
+        ...pool,
+        amount: pool.amount || 0,
+        spent: 0,
+        employeesWithRaises: 0
+    }]));
+
+    costs.forEach(cost => {
+        const key = getPoolKey(cost.employee, dimension);
+        if (!byKey.has(key) && !byKey.has(UNPOOLED_POOL_KEY)) {
+            byKey.set(UNPOOLED_POOL_KEY, {
+                key: UNPOOLED_POOL_KEY,
+                name: 'Not in a pool',
+                currency: budgetCurrency,
+                amount: 0,
+                headcount: 0,
+                spent: 0,
+                employeesWithRaises: 0,
+                unpooled: true
+            });
+        }
+
+        const pool = byKey.get(key) || byKey.get(UNPOOLED_POOL_KEY);
+        if (pool.unpooled) pool.headcount++;
+
+        const spent = convert(cost.amount, cost.currency, pool.currency);
+        pool.employeesWithRaises++;
+        if (spent !== null) pool.spent += spent;
+    });
+
+    const results = [...byKey.values()].map(pool => {
+        const convertedAmount = convert(pool.amount, pool.currency, budgetCurrency);
+        const convertedSpent = convert(pool.spent, pool.currency, budgetCurrency);
+        return {
+            ...pool,
+            remaining: pool.amount - pool.spent,
+            utilization: pool.amount > 0 ? pool.spent / pool.amount : null,
+            overspent: !pool.unpooled && pool.spent > pool.amount,
+            convertedAmount,
+            convertedSpent
+        };
+    });
+
+    const amount = results.reduce((sum, pool) => sum + (pool.convertedAmount || 0), 0);
+    const spent = results.reduce((sum, pool) => sum + (pool.convertedSpent || 0), 0);
+
+    return {
+        pools: results,
+        rollup: {
+            currency: budgetCurrency,
+            amount,
+            spent,
+            remaining: amount - spent,
+            utilization: amount > 0 ? spent / amount : null,
+            overspent: spent > amount
+        },
+        overspent: results.filter(pool => pool.overspent),
+        unpooled: results.find(pool => pool.unpooled) || null,
+        missingRates: [...missingRates]
+    };
+}
+
+/**
+ * Export the budget pool functions
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUDGET_POOL_DIMENSIONS,
+        UNASSIGNED_POOL_KEY,
+        getPoolKey,
+        convertPoolAmount,
+        groupEmployeesIntoPools,
+        suggestPoolAmount,
+        calculatePoolUtilization
+    };
+} else {
+    // Make functions available globally
+    window.BUDGET_POOL_DIMENSIONS = BUDGET_POOL_DIMENSIONS;
+    window.UNASSIGNED_POOL_KEY = UNASSIGNED_POOL_KEY;
+    window.getPoolKey = getPoolKey;
+    window.convertPoolAmount = convertPoolAmount;
+    window.groupEmployeesIntoPools = groupEmployeesIntoPools;
+    window.suggestPoolAmount = suggestPoolAmount;
+    window.calculatePoolUtilization = calculatePoolUtilization;
+}
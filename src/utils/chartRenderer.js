@@ -0,0 +1,1033 @@
+/**
+ * Chart Renderer Utility
+ *
+ * Small canvas charting module shared by the analysis components, so charts
+ * work offline and no data or code is fetched from a CDN. Draws bar
+ * (grouped or horizontal), histogram, box plot, scatter and line charts with
+ * axes, a legend and hover tooltips, and redraws when its container resizes.
+ *
+ * Usage:
+ *   const chart = new ChartRenderer(canvas, {
+ *       type: 'bar',
+ *       title: 'Average Salary by Country',
+ *       labels: ['US', 'UK'],
+ *       datasets: [{ label: 'Average', data: [120000, 90000] }],
+ *       formatY: value => formatCurrency(value)
+ *   });
+ *   chart.update(newConfig);
+ *   chart.destroy();
+ *
+ * Dataset data by type:
+ *   bar, line  - numbers, one per label
+ *   histogram  - config.values (raw numbers) with config.binCount, or config.bins [{ start, end, count }]
+ *   boxplot    - { min, q1, median, q3, max } or a raw array of numbers, one per label
+ *   scatter    - points { x, y, ... }; dataset.showLine joins them (e.g. a trend line),
+ *                dataset.pointStyle 'ring' draws hollow highlight rings
+ *
+ * ChartRenderer.toImage(config, width, height) draws a chart off-screen and
+ * returns a JPEG data URL, for reports.
+ */
+
+// Default series colours
+const CHART_COLORS = ['#2563eb', '#16a34a', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#be185d', '#4b5563'];
+
+const CHART_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+class ChartRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on; it is sized to its parent element
+     * @param {Object} config - Chart configuration (see above)
+     */
+    constructor(canvas, config = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.config = config;
+        this.hitRegions = [];
+        this.hoveredItem = null;
+        this.size = { width: 0, height: 0 };
+
+        // Fallback size when the container has no layout yet
+        this.defaultWidth = canvas.width || 600;
+        this.defaultHeight = canvas.height || 300;
+        this.canvas.style.display = 'block';
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseLeave = this.handleMouseLeave.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.canvas.addEventListener('mousemove', this.handleMouseMove);
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave);
+        this.canvas.addEventListener('click', this.handleClick);
+
+        if (typeof ResizeObserver !== 'undefined' && this.canvas.parentElement) {
+            this.resizeObserver = new ResizeObserver(() => {
+                const size = this.measure();
+                if (size.width !== this.size.width || size.height !== this.size.height) {
+                    this.render();
+                }
+            });
+            this.resizeObserver.observe(this.canvas.parentElement);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Replace the configuration and redraw
+     * @param {Object} config - Chart configuration
+     */
+    update(config) {
+        this.config = config || {};
+        this.render();
+    }
+
+    /**
+     * Stop listening for events and clear the canvas
+     */
+    destroy() {
+        this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
+        this.canvas.removeEventListener('click', this.handleClick);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.hideTooltip();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.hitRegions = [];
+    }
+
+    /**
+     * Get the size to draw at - the parent's content box, or the canvas'
+     * own width/height attributes when the parent has no size
+     * @returns {Object} { width, height } in CSS pixels
+     */
+    measure() {
+        const container = this.canvas.parentElement;
+        let width = 0;
+        let height = 0;
+
+        if (container && typeof getComputedStyle !== 'undefined') {
+            const style = getComputedStyle(container);
+            width = container.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+            height = container.clientHeight - parseFloat(style.paddingTop || 0) - parseFloat(style.paddingBottom || 0);
+        }
+
+        return {
+            width: Math.floor(width > 0 ? width : this.defaultWidth),
+            height: Math.floor(this.config.height || (height > 0 ? height : this.defaultHeight))
+        };
+    }
+
+    /**
+     * Draw the chart
+     */
+    render() {
+        const container = this.canvas.parentElement;
+        if (container && container.clientWidth === 0 && container.clientHeight === 0 && this.resizeObserver) {
+            // Hidden (e.g. an inactive tab) - drawn when the container gets a size
+            return;
+        }
+
+        const { width, height } = this.measure();
+        const ratio = this.config.pixelRatio || (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+        this.size = { width, height };
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        this.hitRegions = [];
+        this.hoveredItem = null;
+
+        const config = this.config;
+        const datasets = config.datasets || [];
+        let top = 10;
+
+        if (config.title) {
+            ctx.fillStyle = '#1f2937';
+            ctx.font = `600 14px ${CHART_FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(config.title, width / 2, top);
+            top += 24;
+        }
+
+        if (config.legend !== false && (config.legend || datasets.length > 1)) {
+            top = this.drawLegend(datasets, width, top);
+        }
+
+        if (!this.hasData()) {
+            ctx.fillStyle = '#6b7280';
+            ctx.font = `13px ${CHART_FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(config.emptyMessage || 'No data to display', width / 2, (top + height) / 2);
+            return;
+        }
+
+        switch (config.type) {
+            case 'histogram':
+                this.drawHistogram(top);
+                break;
+            case 'boxplot':
+                this.drawBoxPlot(top);
+                break;
+            case 'scatter':
+                this.drawScatter(top);
+                break;
+            case 'line':
+                this.drawLine(top);
+                break;
+            default:
+                if (config.horizontal) {
+                    this.drawHorizontalBars(top);
+                } else {
+                    this.drawBars(top);
+                }
+        }
+    }
+
+    /**
+     * Whether there is anything to plot
+     */
+    hasData() {
+        const config = this.config;
+        if (config.type === 'histogram') {
+            return (config.bins || config.values || []).length > 0;
+        }
+        return (config.datasets || []).some(dataset => (dataset.data || []).length > 0);
+    }
+
+    /**
+     * Draw the legend
+     * @returns {number} Top of the remaining space
+     */
+    drawLegend(datasets, width, top) {
+        const ctx = this.ctx;
+        ctx.font = `12px ${CHART_FONT}`;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+
+        const items = datasets.filter(dataset => dataset.label).map((dataset, index) => ({
+            label: dataset.label,
+            color: this.getColor(dataset, index),
+            width: ctx.measureText(dataset.label).width + 26
+        }));
+        if (items.length === 0) return top;
+
+        // Centre each row of legend items
+        const rows = [[]];
+        let rowWidth = 0;
+        items.forEach(item => {
+            if (rowWidth + item.width > width - 20 && rows[rows.length - 1].length > 0) {
+                rows.push([]);
+                rowWidth = 0;
+            }
+            rows[rows.length - 1].push(item);
+            rowWidth += item.width;
+        });
+
+        rows.forEach(row => {
+            let x = (width - row.reduce((sum, item) => sum + item.width, 0)) / 2;
+            row.forEach(item => {
+                ctx.fillStyle = item.color;
+                ctx.fillRect(x, top + 2, 12, 12);
+                ctx.fillStyle = '#374151';
+                ctx.fillText(item.label, x + 16, top + 8);
+                x += item.width;
+            });
+            top += 20;
+        });
+
+        return top + 4;
+    }
+
+    /**
+     * Work out the plot area, leaving room for tick labels and axis titles
+     * @param {number} top - Top of the space below the title and legend
+     * @param {Array} yTickLabels - Formatted y tick labels
+     * @returns {Object} { left, top, right, bottom, width, height }
+     */
+    getPlotArea(top, yTickLabels) {
+        const ctx = this.ctx;
+        ctx.font = `11px ${CHART_FONT}`;
+        const tickWidth = Math.max(0, ...yTickLabels.map(label => ctx.measureText(label).width));
+
+        const left = 12 + tickWidth + (this.config.yLabel ? 20 : 0);
+        const bottom = this.size.height - 24 - (this.config.xLabel ? 18 : 0);
+        const right = this.size.width - 16;
+        const plotTop = top + 6;
+
+        return { left, top: plotTop, right, bottom, width: right - left, height: bottom - plotTop };
+    }
+
+    /**
+     * Draw the axis titles
+     */
+    drawAxisTitles(area) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#4b5563';
+        ctx.font = `12px ${CHART_FONT}`;
+        ctx.textAlign = 'center';
+
+        if (this.config.xLabel) {
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(this.config.xLabel, area.left + area.width / 2, this.size.height - 2);
+        }
+        if (this.config.yLabel) {
+            ctx.save();
+            ctx.translate(10, area.top + area.height / 2);
+            ctx.rotate(-Math.PI / 2);
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.config.yLabel, 0, 0);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draw horizontal grid lines and value ticks on the y axis
+     */
+    drawValueAxis(area, scale, format) {
+        const ctx = this.ctx;
+        ctx.font = `11px ${CHART_FONT}`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+
+        scale.ticks.forEach(tick => {
+            const y = Math.round(this.scaleValue(tick, scale, area.bottom, area.top)) + 0.5;
+            ctx.strokeStyle = tick === 0 ? '#9ca3af' : '#e5e7eb';
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.right, y);
+            ctx.stroke();
+            ctx.fillStyle = '#6b7280';
+            ctx.fillText(format(tick), area.left - 6, y);
+        });
+    }
+
+    /**
+     * Draw category labels under the plot, skipping some when they would overlap
+     */
+    drawCategoryLabels(area, labels, bandWidth) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#4b5563';
+        ctx.font = `11px ${CHART_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        const widest = Math.max(0, ...labels.map(label => ctx.measureText(String(label)).width));
+        const step = Math.max(1, Math.ceil((Math.min(widest, 120) + 8) / Math.max(bandWidth, 1)));
+
+        labels.forEach((label, index) => {
+            if (index % step !== 0) return;
+            const x = area.left + bandWidth * (index + 0.5);
+            ctx.fillText(this.truncate(String(label), bandWidth * step - 4), x, area.bottom + 6);
+        });
+    }
+
+    /**
+     * Draw a vertical bar chart (grouped when there are several datasets)
+     */
+    drawBars(top) {
+        const config = this.config;
+        const labels = config.labels || [];
+        const datasets = config.datasets || [];
+        const formatY = config.formatY || this.formatNumber;
+        const values = datasets.flatMap(dataset => dataset.data || []);
+        const scale = this.createScale(values, { includeZero: true, min: config.yMin, max: config.yMax });
+        const area = this.getPlotArea(top, scale.ticks.map(formatY));
+
+        this.drawValueAxis(area, scale, formatY);
+
+        const bandWidth = area.width / Math.max(labels.length, 1);
+        const groupWidth = bandWidth * 0.8;
+        const barWidth = groupWidth / Math.max(datasets.length, 1);
+        const zero = this.scaleValue(0, scale, area.bottom, area.top);
+
+        datasets.forEach((dataset, datasetIndex) => {
+            (dataset.data || []).forEach((value, index) => {
+                if (value == null || isNaN(value)) return;
+                const x = area.left + bandWidth * index + (bandWidth - groupWidth) / 2 + barWidth * datasetIndex;
+                const y = this.scaleValue(value, scale, area.bottom, area.top);
+                const rect = { x: x + 1, y: Math.min(y, zero), w: Math.max(barWidth - 2, 1), h: Math.abs(zero - y) };
+
+                this.ctx.fillStyle = this.getColor(dataset, datasetIndex, index);
+                this.ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+
+                this.addHitRegion({ type: 'rect', ...rect }, {
+                    datasetIndex, index, dataset, label: labels[index], value
+                });
+            });
+        });
+
+        this.drawCategoryLabels(area, labels, bandWidth);
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Draw a horizontal bar chart - long category names read better this way
+     */
+    drawHorizontalBars(top) {
+        const ctx = this.ctx;
+        const config = this.config;
+        const labels = config.labels || [];
+        const datasets = config.datasets || [];
+        const formatX = config.formatX || config.formatY || this.formatNumber;
+        const values = datasets.flatMap(dataset => dataset.data || []);
+        const scale = this.createScale(values, { includeZero: true, min: config.xMin, max: config.xMax });
+
+        ctx.font = `11px ${CHART_FONT}`;
+        const labelWidth = Math.min(160, Math.max(0, ...labels.map(label => ctx.measureText(String(label)).width)));
+        const area = {
+            left: 12 + labelWidth + 8,
+            top: top + 6,
+            right: this.size.width - 16,
+            bottom: this.size.height - 24 - (config.xLabel ? 18 : 0)
+        };
+        area.width = area.right - area.left;
+        area.height = area.bottom - area.top;
+
+        // Vertical grid lines with value ticks
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        scale.ticks.forEach(tick => {
+            const x = Math.round(this.scaleValue(tick, scale, area.left, area.right)) + 0.5;
+            ctx.strokeStyle = tick === 0 ? '#9ca3af' : '#e5e7eb';
+            ctx.beginPath();
+            ctx.moveTo(x, area.top);
+            ctx.lineTo(x, area.bottom);
+            ctx.stroke();
+            ctx.fillStyle = '#6b7280';
+            ctx.fillText(formatX(tick), x, area.bottom + 6);
+        });
+
+        const bandHeight = area.height / Math.max(labels.length, 1);
+        const groupHeight = bandHeight * 0.8;
+        const barHeight = groupHeight / Math.max(datasets.length, 1);
+        const zero = this.scaleValue(0, scale, area.left, area.right);
+
+        datasets.forEach((dataset, datasetIndex) => {
+            (dataset.data || []).forEach((value, index) => {
+                if (value == null || isNaN(value)) return;
+                const y = area.top + bandHeight * index + (bandHeight - groupHeight) / 2 + barHeight * datasetIndex;
+                const x = this.scaleValue(value, scale, area.left, area.right);
+                const rect = { x: Math.min(x, zero), y: y + 1, w: Math.abs(x - zero), h: Math.max(barHeight - 2, 1) };
+
+                ctx.fillStyle = this.getColor(dataset, datasetIndex, index);
+                ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+
+                this.addHitRegion({ type: 'rect', ...rect }, {
+                    datasetIndex, index, dataset, label: labels[index], value
+                });
+            });
+        });
+
+        ctx.fillStyle = '#4b5563';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        if (bandHeight >= 10) {
+            labels.forEach((label, index) => {
+                ctx.fillText(this.truncate(String(label), labelWidth), area.left - 8, area.top + bandHeight * (index + 0.5));
+            });
+        }
+
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Draw a histogram - contiguous bars over a numeric axis
+     */
+    drawHistogram(top) {
+        const ctx = this.ctx;
+        const config = this.config;
+        const bins = config.bins || ChartRenderer.histogramBins(config.values || [], config.binCount || 20);
+        const formatX = config.formatX || this.formatNumber;
+        const formatY = config.formatY || this.formatNumber;
+        const color = config.color || CHART_COLORS[0];
+
+        const scale = this.createScale(bins.map(bin => bin.count), { includeZero: true, integer: true });
+        const area = this.getPlotArea(top, scale.ticks.map(formatY));
+        this.drawValueAxis(area, scale, formatY);
+
+        const start = bins[0].start;
+        const end = bins[bins.length - 1].end;
+        const xScale = { min: start, max: end === start ? start + 1 : end };
+        const zero = this.scaleValue(0, scale, area.bottom, area.top);
+
+        bins.forEach((bin, index) => {
+            const x1 = this.scaleValue(bin.start, xScale, area.left, area.right);
+            const x2 = this.scaleValue(bin.end, xScale, area.left, area.right);
+            const y = this.scaleValue(bin.count, scale, area.bottom, area.top);
+            const rect = { x: x1 + 0.5, y, w: Math.max(x2 - x1 - 1, 1), h: zero - y };
+
+            ctx.fillStyle = color;
+            ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+
+            this.addHitRegion({ type: 'rect', x: x1, y: area.top, w: x2 - x1, h: area.height }, {
+                datasetIndex: 0,
+                index,
+                bin,
+                label: `${formatX(bin.start)} – ${formatX(bin.end)}`,
+                value: bin.count
+            });
+        });
+
+        // Numeric ticks along the bottom
+        const xTicks = this.createScale([start, end], { count: Math.max(2, Math.floor(area.width / 90)) }).ticks
+            .filter(tick => tick >= start && tick <= end);
+        ctx.fillStyle = '#4b5563';
+        ctx.font = `11px ${CHART_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        xTicks.forEach(tick => {
+            ctx.fillText(formatX(tick), this.scaleValue(tick, xScale, area.left, area.right), area.bottom + 6);
+        });
+
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Draw box plots - whiskers at min and max, box from Q1 to Q3, line at the median
+     */
+    drawBoxPlot(top) {
+        const ctx = this.ctx;
+        const config = this.config;
+        const labels = config.labels || [];
+        const dataset = (config.datasets || [])[0] || { data: [] };
+        const formatY = config.formatY || this.formatNumber;
+        const stats = dataset.data.map(item => (Array.isArray(item) ? ChartRenderer.boxPlotStats(item) : item));
+
+        const values = stats.filter(Boolean).flatMap(stat => [stat.min, stat.max]);
+        const scale = this.createScale(values, { min: config.yMin, max: config.yMax });
+        const area = this.getPlotArea(top, scale.ticks.map(formatY));
+        this.drawValueAxis(area, scale, formatY);
+
+        const bandWidth = area.width / Math.max(labels.length, 1);
+        const boxWidth = Math.min(bandWidth * 0.5, 60);
+
+        stats.forEach((stat, index) => {
+            if (!stat) return;
+            const center = area.left + bandWidth * (index + 0.5);
+            const y = value => this.scaleValue(value, scale, area.bottom, area.top);
+            const color = this.getColor(dataset, 0, index);
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+
+            // Whiskers
+            ctx.beginPath();
+            ctx.moveTo(center, y(stat.min));
+            ctx.lineTo(center, y(stat.q1));
+            ctx.moveTo(center, y(stat.q3));
+            ctx.lineTo(center, y(stat.max));
+            ctx.moveTo(center - boxWidth / 4, y(stat.min));
+            ctx.lineTo(center + boxWidth / 4, y(stat.min));
+            ctx.moveTo(center - boxWidth / 4, y(stat.max));
+            ctx.lineTo(center + boxWidth / 4, y(stat.max));
+            ctx.stroke();
+
+            // Box and median
+            const boxTop = y(stat.q3);
+            const boxHeight = Math.max(y(stat.q1) - boxTop, 1);
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = color;
+            ctx.fillRect(center - boxWidth / 2, boxTop, boxWidth, boxHeight);
+            ctx.globalAlpha = 1;
+            ctx.strokeRect(center - boxWidth / 2, boxTop, boxWidth, boxHeight);
+
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            ctx.moveTo(center - boxWidth / 2, y(stat.median));
+            ctx.lineTo(center + boxWidth / 2, y(stat.median));
+            ctx.stroke();
+
+            this.addHitRegion({ type: 'rect', x: center - bandWidth / 2, y: area.top, w: bandWidth, h: area.height }, {
+                datasetIndex: 0, index, dataset, label: labels[index], value: stat.median, stats: stat
+            });
+        });
+
+        this.drawCategoryLabels(area, labels, bandWidth);
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Draw a scatter plot
+     */
+    drawScatter(top) {
+        const ctx = this.ctx;
+        const config = this.config;
+        const datasets = config.datasets || [];
+        const formatX = config.formatX || this.formatNumber;
+        const formatY = config.formatY || this.formatNumber;
+        const points = datasets.flatMap(dataset => dataset.data || []);
+
+        const yScale = this.createScale(points.map(point => point.y), { min: config.yMin, max: config.yMax });
+        const xScale = this.createScale(points.map(point => point.x), {
+            min: config.xMin,
+            max: config.xMax,
+            count: config.xTicks ? null : 6,
+            ticks: config.xTicks
+        });
+        const area = this.getPlotArea(top, yScale.ticks.map(formatY));
+        this.drawValueAxis(area, yScale, formatY);
+
+        // X ticks and vertical grid lines
+        ctx.font = `11px ${CHART_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        xScale.ticks.forEach(tick => {
+            const x = Math.round(this.scaleValue(tick, xScale, area.left, area.right)) + 0.5;
+            ctx.strokeStyle = '#f3f4f6';
+            ctx.beginPath();
+            ctx.moveTo(x, area.top);
+            ctx.lineTo(x, area.bottom);
+            ctx.stroke();
+            ctx.fillStyle = '#6b7280';
+            ctx.fillText(formatX(tick), x, area.bottom + 6);
+        });
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, area.top, area.width, area.height);
+        ctx.clip();
+
+        datasets.forEach((dataset, datasetIndex) => {
+            const color = this.getColor(dataset, datasetIndex);
+            const data = dataset.data || [];
+            const position = point => ({
+                x: this.scaleValue(point.x, xScale, area.left, area.right),
+                y: this.scaleValue(point.y, yScale, area.bottom, area.top)
+            });
+
+            if (dataset.showLine) {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = dataset.lineWidth || 2;
+                ctx.setLineDash(dataset.dashed ? [6, 4] : []);
+                ctx.beginPath();
+                data.forEach((point, index) => {
+                    const { x, y } = position(point);
+                    if (index === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+                });
+                ctx.stroke();
+                ctx.setLineDash([]);
+                if (!dataset.pointRadius) return;
+            }
+
+            const radius = dataset.pointRadius || 4;
+            data.forEach((point, index) => {
+                const { x, y } = position(point);
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                if (dataset.pointStyle === 'ring') {
+                    ctx.strokeStyle = this.getColor(dataset, datasetIndex, index, point);
+                    ctx.lineWidth = 2;
+                    ctx.stroke();
+                } else {
+                    ctx.globalAlpha = 0.75;
+                    ctx.fillStyle = this.getColor(dataset, datasetIndex, index, point);
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                }
+
+                this.addHitRegion({ type: 'point', x, y, r: Math.max(radius, 4) + 2 }, {
+                    datasetIndex, index, dataset, point, label: dataset.label, value: point.y
+                });
+            });
+        });
+
+        ctx.restore();
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Draw a line chart over categories
+     */
+    drawLine(top) {
+        const ctx = this.ctx;
+        const config = this.config;
+        const labels = config.labels || [];
+        const datasets = config.datasets || [];
+        const formatY = config.formatY || this.formatNumber;
+        const values = datasets.flatMap(dataset => dataset.data || []);
+        const scale = this.createScale(values, { includeZero: config.beginAtZero, min: config.yMin, max: config.yMax });
+        const area = this.getPlotArea(top, scale.ticks.map(formatY));
+        this.drawValueAxis(area, scale, formatY);
+
+        const step = labels.length > 1 ? area.width / (labels.length - 1) : 0;
+        const xAt = index => (labels.length > 1 ? area.left + step * index : area.left + area.width / 2);
+
+        datasets.forEach((dataset, datasetIndex) => {
+            const color = this.getColor(dataset, datasetIndex);
+            const points = (dataset.data || [])
+                .map((value, index) => ({ value, index, x: xAt(index), y: this.scaleValue(value, scale, area.bottom, area.top) }))
+                .filter(point => point.value != null && !isNaN(point.value));
+            if (points.length === 0) return;
+
+            if (dataset.fill) {
+                ctx.globalAlpha = 0.12;
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, area.bottom);
+                points.forEach(point => ctx.lineTo(point.x, point.y));
+                ctx.lineTo(points[points.length - 1].x, area.bottom);
+                ctx.closePath();
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            }
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((point, index) => {
+                if (index === 0) ctx.moveTo(point.x, point.y); else ctx.lineTo(point.x, point.y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+                this.addHitRegion({ type: 'point', x: point.x, y: point.y, r: 8 }, {
+                    datasetIndex, index: point.index, dataset, label: labels[point.index], value: point.value
+                });
+            });
+        });
+
+        this.drawCategoryLabels(
+            { ...area, left: area.left - step / 2 },
+            labels,
+            step || area.width
+        );
+        this.drawAxisTitles(area);
+    }
+
+    /**
+     * Build a linear scale with round tick values
+     * @param {Array} values - Values to fit
+     * @param {Object} options - { includeZero, min, max, count, integer, ticks }
+     * @returns {Object} { min, max, ticks }
+     */
+    createScale(values, options = {}) {
+        const finite = values.filter(value => typeof value === 'number' && isFinite(value));
+        let min = options.min != null ? options.min : Math.min(...finite);
+        let max = options.max != null ? options.max : Math.max(...finite);
+
+        if (!isFinite(min) || !isFinite(max)) {
+            min = 0;
+            max = 1;
+        }
+        if (options.includeZero) {
+            min = Math.min(min, 0);
+            max = Math.max(max, 0);
+        }
+        if (min === max) {
+            const pad = Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+
+        if (options.ticks) {
+            return { min, max, ticks: options.ticks };
+        }
+
+        const count = options.count || 5;
+        let step = this.niceStep((max - min) / count);
+        if (options.integer) step = Math.max(1, Math.round(step));
+
+        const niceMin = options.min != null ? min : Math.floor(min / step) * step;
+        const niceMax = options.max != null ? max : Math.ceil(max / step) * step;
+        const ticks = [];
+        for (let tick = Math.ceil(niceMin / step) * step; tick <= niceMax + step / 1e6; tick += step) {
+            ticks.push(Math.abs(tick) < step / 1e6 ? 0 : parseFloat(tick.toPrecision(12)));
+        }
+
+        return { min: niceMin, max: niceMax, ticks };
+    }
+
+    /**
+     * Round a tick step to 1, 2, 2.5 or 5 times a power of ten
+     */
+    niceStep(rough) {
+        if (!(rough > 0)) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const fraction = rough / power;
+        const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 2.5 ? 2.5 : fraction <= 5 ? 5 : 10;
+        return nice * power;
+    }
+
+    /**
+     * Map a value onto a pixel range
+     */
+    scaleValue(value, scale, from, to) {
+        return from + ((value - scale.min) / (scale.max - scale.min)) * (to - from);
+    }
+
+    /**
+     * Get a dataset's colour - dataset.colors (array or function) picks per item
+     */
+    getColor(dataset, datasetIndex, index, point) {
+        if (typeof dataset.colors === 'function' && index != null) {
+            return dataset.colors(point || dataset.data[index], index);
+        }
+        if (Array.isArray(dataset.colors) && index != null) {
+            return dataset.colors[index % dataset.colors.length];
+        }
+        return dataset.color || CHART_COLORS[datasetIndex % CHART_COLORS.length];
+    }
+
+    /**
+     * Default number format for ticks and tooltips (compact: 1.2K, 3.4M)
+     */
+    formatNumber(value) {
+        if (Math.abs(value) >= 1000) {
+            return new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+        }
+        return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, '');
+    }
+
+    /**
+     * Shorten text to fit a width
+     */
+    truncate(text, maxWidth) {
+        if (this.ctx.measureText(text).width <= maxWidth) return text;
+        let truncated = text;
+        while (truncated.length > 1 && this.ctx.measureText(`${truncated}…`).width > maxWidth) {
+            truncated = truncated.slice(0, -1);
+        }
+        return `${truncated}…`;
+    }
+
+    /**
+     * Remember where an item was drawn, for tooltips and clicks
+     */
+    addHitRegion(shape, item) {
+        this.hitRegions.push({ ...shape, item });
+    }
+
+    /**
+     * Find the item under a position (topmost first)
+     */
+    findItemAt(x, y) {
+        for (let i = this.hitRegions.length - 1; i >= 0; i--) {
+            const region = this.hitRegions[i];
+            if (region.type === 'point') {
+                if ((region.x - x) ** 2 + (region.y - y) ** 2 <= region.r ** 2) return region.item;
+            } else if (x >= region.x && x <= region.x + region.w && y >= region.y && y <= region.y + region.h) {
+                return region.item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the position of a mouse event on the canvas
+     */
+    getEventPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Show the tooltip for the hovered item
+     */
+    handleMouseMove(event) {
+        const { x, y } = this.getEventPosition(event);
+        const item = this.findItemAt(x, y);
+
+        this.canvas.style.cursor = item && this.config.onClick ? 'pointer' : 'default';
+        if (!item) {
+            this.hideTooltip();
+            return;
+        }
+
+        this.hoveredItem = item;
+        this.showTooltip(item, event);
+    }
+
+    handleMouseLeave() {
+        this.hoveredItem = null;
+        this.hideTooltip();
+    }
+
+    handleClick(event) {
+        if (!this.config.onClick) return;
+        const { x, y } = this.getEventPosition(event);
+        const item = this.findItemAt(x, y);
+        if (item) this.config.onClick(item, event);
+    }
+
+    /**
+     * Get the tooltip lines for an item - config.tooltip(item) may return a
+     * string (lines split on \n) or an array of lines
+     */
+    getTooltipLines(item) {
+        if (this.config.tooltip) {
+            const content = this.config.tooltip(item);
+            if (content == null || content === '') return [];
+            return Array.isArray(content) ? content : String(content).split('\n');
+        }
+
+        const formatX = this.config.formatX || this.formatNumber;
+        const formatY = this.config.formatY || this.formatNumber;
+
+        if (item.stats) {
+            return [
+                item.label,
+                `Max: ${formatY(item.stats.max)}`,
+                `Q3: ${formatY(item.stats.q3)}`,
+                `Median: ${formatY(item.stats.median)}`,
+                `Q1: ${formatY(item.stats.q1)}`,
+                `Min: ${formatY(item.stats.min)}`
+            ];
+        }
+        if (item.point) {
+            return [item.point.label || item.label || '', `${formatX(item.point.x)}, ${formatY(item.point.y)}`].filter(Boolean);
+        }
+        if (item.bin) {
+            return [item.label, `${formatY(item.value)} ${item.value === 1 ? 'employee' : 'employees'}`];
+        }
+        if (this.config.horizontal) {
+            return [item.label, `${item.dataset.label ? `${item.dataset.label}: ` : ''}${formatX(item.value)}`];
+        }
+        return [item.label, `${item.dataset.label ? `${item.dataset.label}: ` : ''}${formatY(item.value)}`];
+    }
+
+    /**
+     * Show the shared tooltip element next to the pointer
+     */
+    showTooltip(item, event) {
+        const lines = this.getTooltipLines(item).filter(line => line != null && line !== '');
+        if (lines.length === 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        let tooltip = document.querySelector('.chart-tooltip');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.className = 'chart-tooltip';
+            document.body.appendChild(tooltip);
+        }
+
+        tooltip.replaceChildren(...lines.map((line, index) => {
+            const row = document.createElement('div');
+            row.className = index === 0 ? 'tooltip-header' : 'tooltip-content';
+            row.textContent = line;
+            return row;
+        }));
+        tooltip.style.display = 'block';
+
+        // Keep the tooltip on screen
+        const offset = 12;
+        const left = event.clientX + offset + tooltip.offsetWidth > window.innerWidth
+            ? event.clientX - offset - tooltip.offsetWidth
+            : event.clientX + offset;
+        tooltip.style.left = `${left + window.scrollX}px`;
+        tooltip.style.top = `${event.clientY + window.scrollY + offset}px`;
+    }
+
+    hideTooltip() {
+        if (typeof document === 'undefined') return;
+        const tooltip = document.querySelector('.chart-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+    }
+
+    /**
+     * Draw a chart off-screen as a JPEG on white, e.g. to embed in a PDF report
+     * @param {Object} config - Chart configuration
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @param {number} pixelRatio - Resolution multiplier
+     * @returns {Object|null} { dataUrl, width, height } - width and height in image pixels;
+     *     null when the chart has nothing to plot
+     */
+    static toImage(config, width = 720, height = 360, pixelRatio = 2) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const chart = new ChartRenderer(canvas, { ...config, height, pixelRatio });
+        if (!chart.hasData()) {
+            chart.destroy();
+            return null;
+        }
+
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.restore();
+
+        const image = { dataUrl: canvas.toDataURL('image/jpeg', 0.92), width: canvas.width, height: canvas.height };
+        chart.destroy();
+        return image;
+    }
+
+    /**
+     * Split values into equal-width bins
+     * @param {Array} values - Numbers
+     * @param {number} binCount - Number of bins
+     * @returns {Array} Bins as { start, end, count }
+     */
+    static histogramBins(values, binCount = 20) {
+        const finite = values.filter(value => typeof value === 'number' && isFinite(value));
+        if (finite.length === 0) return [];
+
+        const min = Math.min(...finite);
+        const max = Math.max(...finite);
+        const width = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (unused, index) => ({
+            start: min + index * width,
+            end: min + (index + 1) * width,
+            count: 0
+        }));
+
+        finite.forEach(value => {
+            bins[Math.min(Math.floor((value - min) / width), binCount - 1)].count++;
+        });
+
+        return bins;
+    }
+
+    /**
+     * Five-number summary of values, with interpolated quartiles
+     * @param {Array} values - Numbers
+     * @returns {Object|null} { min, q1, median, q3, max }
+     */
+    static boxPlotStats(values) {
+        const sorted = values.filter(value => typeof value === 'number' && isFinite(value)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+
+        const quantile = q => {
+            const position = (sorted.length - 1) * q;
+            const lower = Math.floor(position);
+            const upper = Math.ceil(position);
+            return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+        };
+
+        return {
+            min: sorted[0],
+            q1: quantile(0.25),
+            median: quantile(0.5),
+            q3: quantile(0.75),
+            max: sorted[sorted.length - 1]
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartRenderer;
+} else {
+    window.ChartRenderer = ChartRenderer;
+    window.CHART_COLORS = CHART_COLORS;
+}
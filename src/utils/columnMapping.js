@@ -0,0 +1,292 @@
+/**
+ * Column Mapping Utility
+ *
+ * Matches the headers of an uploaded file to the columns CSVParser expects
+ * (the Red Hat report names), so exports from other HRIS systems can be
+ * imported. Suggests a mapping by exact name, known synonyms and fuzzy
+ * similarity, and stores named mapping profiles that are picked again when a
+ * file with the same headers is uploaded.
+ */
+
+// Storage key for saved mapping profiles
+const COLUMN_MAPPING_STORAGE_KEY = 'teamAnalyzer_columnMappingProfiles';
+
+// Lowest score a fuzzy header match needs to be suggested
+const FUZZY_MATCH_THRESHOLD = 0.65;
+
+// Other names HR systems use for the expected columns
+const COLUMN_SYNONYMS = {
+    'Employee Full name': ['employee name', 'full name', 'name', 'employee', 'worker', 'worker name', 'legal name', 'preferred name'],
+    'Business Title': ['job title', 'title', 'position', 'position title', 'role', 'job name'],
+    'Country': ['country name', 'work country', 'location country'],
+    'Total Base Pay': ['base salary', 'salary', 'annual salary', 'base pay', 'annual base salary', 'current salary', 'current base salary'],
+    'Comparatio': ['compa ratio', 'compa-ratio', 'compratio', 'cr', 'compa'],
+    'Overall Performance Rating': ['performance rating', 'performance', 'rating', 'perf rating', 'review rating', 'last rating'],
+    'Manager Full name': ['manager', 'manager name', 'supervisor', 'supervisor name', 'reports to', 'line manager'],
+    'Employee Number': ['employee id', 'emp id', 'employee no', 'worker id', 'id', 'employee #'],
+    'Manager Employee Number': ['manager id', 'manager employee id', 'supervisor id'],
+    'Currency': ['currency code', 'pay currency', 'salary currency'],
+    'Latest Hire Date': ['hire date', 'start date', 'date of hire', 'most recent hire date'],
+    'Original Hire Date': ['original start date', 'first hire date'],
+    'Last Salary Change Date': ['last raise date', 'last increase date', 'salary change date', 'last pay change date'],
+    'Grade Band': ['grade', 'pay grade', 'salary grade', 'job grade', 'band'],
+    'Job Function': ['function', 'job family group'],
+    'Location': ['office', 'work location', 'site', 'city'],
+    'Employee Cost Center Code': ['cost center', 'cost centre', 'cost center code', 'cost centre code', 'cc code'],
+    'Country ISO2': ['country code', 'iso country code', 'iso2'],
+    'Min Pay Grade Value': ['range min', 'range minimum', 'salary range min', 'pay range min', 'grade min'],
+    'Mid Pay Grade Value': ['range mid', 'midpoint', 'range midpoint', 'pay range mid', 'salary range midpoint', 'grade mid'],
+    'Max Pay Grade Value': ['range max', 'range maximum', 'salary range max', 'pay range max', 'grade max'],
+    'Variable Comp %': ['bonus %', 'bonus percent', 'target bonus %', 'bonus target %'],
+    'Variable Comp Amt (FTE)': ['bonus amount', 'target bonus', 'target bonus amount'],
+    'Sales TIC': ['tic', 'target incentive', 'commission target'],
+    'Annual Calculated OTE': ['ote', 'on target earnings'],
+    'Currency Rate to USD as of Effective Date (USD=1)': ['exchange rate', 'usd rate', 'fx rate'],
+    'FTE': ['fte %', 'full time equivalent'],
+    'Time Type': ['full/part time', 'full or part time'],
+    'Scheduled Weekly Hours': ['weekly hours', 'hours per week', 'scheduled hours'],
+    'Identified as Future Talent?': ['future talent', 'high potential', 'hipo'],
+    'Management Level': ['manager level', 'people manager level']
+};
+
+/**
+ * Normalize a header for comparison - case, spacing and punctuation are ignored
+ */
+function normalizeHeader(header) {
+    return (header || '')
+        .toString()
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/%/g, 'pct')
+        .replace(/#/g, 'number')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get a signature identifying a file layout - the same headers in any order
+ */
+function getHeaderSignature(headers) {
+    return [...new Set(headers.map(normalizeHeader).filter(Boolean))].sort().join('|');
+}
+
+/**
+ * Dice coefficient of two strings' character bigrams (0 - 1)
+ */
+function diceSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Score how well a file header matches an expected column
+ * @param {Object} field - { column, key } from CSVParser.getMappableColumns
+ * @param {string} header - File header
+ * @returns {number} 1 for the exact name, 0.95 for a field key or synonym, else fuzzy similarity
+ */
+function scoreHeaderMatch(field, header) {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return 0;
+    if (normalized === normalizeHeader(field.column)) return 1;
+
+    const names = [field.key, ...(COLUMN_SYNONYMS[field.column] || [])].map(normalizeHeader);
+    if (names.includes(normalized)) return 0.95;
+
+    // Fuzzy matches only on names long enough for bigrams to mean something
+    return Math.max(0, ...[normalizeHeader(field.column), ...names]
+        .filter(name => name.length >= 4 && normalized.length >= 4)
+        .map(name => diceSimilarity(name, normalized) * 0.9));
+}
+
+/**
+ * Suggest a header for each expected column. Best scores are assigned first
+ * and each header is used at most once.
+ * @param {Array} headers - File headers
+ * @param {Array} fields - Expected columns from CSVParser.getMappableColumns
+ * @returns {Object} { assignments: column -> header, scores: column -> score }
+ */
+function suggestColumnAssignments(headers, fields) {
+    const candidates = [];
+    fields.forEach(field => {
+        headers.forEach(header => {
+            const score = scoreHeaderMatch(field, header);
+            if (score >= FUZZY_MATCH_THRESHOLD) {
+                candidates.push({ column: field.column, header, score });
+            }
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    const assignments = {};
+    const scores = {};
+    const usedHeaders = new Set();
+    candidates.forEach(candidate => {
+        if (candidate.column in assignments || usedHeaders.has(candidate.header)) return;
+        assignments[candidate.column] = candidate.header;
+        scores[candidate.column] = candidate.score;
+        usedHeaders.add(candidate.header);
+    });
+
+    return { assignments, scores };
+}
+
+/**
+ * Saved column mapping profiles, persisted to localStorage
+ */
+class ColumnMappingProfiles {
+    /**
+     * @param {Object} options - Options
+     * @param {boolean} options.persist - Save profiles to localStorage (default true)
+     */
+    constructor(options = {}) {
+        this.persist = options.persist !== false && typeof localStorage !== 'undefined';
+        this.profiles = [];
+
+        if (this.persist) {
+            this.loadFromStorage();
+        }
+    }
+
+    /**
+     * List profiles by name
+     * @returns {Array} Profiles
+     */
+    list() {
+        return [...this.profiles].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a profile by name
+     * @param {string} name - Profile name
+     * @returns {Object|null} Profile
+     */
+    get(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Save (or replace) a named profile for a file layout
+     * @param {string} name - Profile name
+     * @param {Array} headers - Headers of the file the mapping was made for
+     * @param {Object} assignments - Expected column -> file header
+     * @returns {Object} Saved profile
+     */
+    save(name, headers, assignments) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Mapping profile name is required');
+        }
+
+        const profile = {
+            name: trimmed,
+            signature: getHeaderSignature(headers),
+            headers: [...headers],
+            assignments: { ...assignments },
+            updatedAt: new Date().toISOString()
+        };
+
+        this.profiles = this.profiles.filter(existing => existing.name !== trimmed).concat(profile);
+        this.saveToStorage();
+        return profile;
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} name - Profile name
+     */
+    remove(name) {
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        this.saveToStorage();
+    }
+
+    /**
+     * Find the profile to pre-select for a file: the latest one saved for the
+     * same header signature, otherwise one whose mapped headers are all present
+     * @param {Array} headers - File headers
+     * @returns {Object|null} { profile, exact } or null
+     */
+    findForHeaders(headers) {
+        const signature = getHeaderSignature(headers);
+        const byRecent = [...this.profiles].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+        const exact = byRecent.find(profile => profile.signature === signature);
+        if (exact) return { profile: exact, exact: true };
+
+        const available = new Set(headers);
+        const compatible = byRecent.find(profile => {
+            const mapped = Object.values(profile.assignments).filter(Boolean);
+            return mapped.length > 0 && mapped.every(header => available.has(header));
+        });
+        return compatible ? { profile: compatible, exact: false } : null;
+    }
+
+    /**
+     * Load profiles from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY);
+            const data = saved ? JSON.parse(saved) : [];
+            this.profiles = Array.isArray(data)
+                ? data.filter(profile => profile && profile.name && profile.assignments)
+                : [];
+        } catch (error) {
+            console.warn('Failed to load column mapping profiles:', error);
+            this.profiles = [];
+        }
+    }
+
+    /**
+     * Save profiles to localStorage
+     */
+    saveToStorage() {
+        if (!this.persist) return;
+
+        try {
+            localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.warn('Failed to save column mapping profiles:', error);
+        }
+    }
+}
+
+/**
+ * Export the column mapping functions
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLUMN_MAPPING_STORAGE_KEY,
+        COLUMN_SYNONYMS,
+        normalizeHeader,
+        getHeaderSignature,
+        scoreHeaderMatch,
+        suggestColumnAssignments,
+        ColumnMappingProfiles
+    };
+} else {
+    // Make functions available globally
+    window.COLUMN_MAPPING_STORAGE_KEY = COLUMN_MAPPING_STORAGE_KEY;
+    window.COLUMN_SYNONYMS = COLUMN_SYNONYMS;
+    window.normalizeHeader = normalizeHeader;
+    window.getHeaderSignature = getHeaderSignature;
+    window.scoreHeaderMatch = scoreHeaderMatch;
+    window.suggestColumnAssignments = suggestColumnAssignments;
+    window.ColumnMappingProfiles = ColumnMappingProfiles;
+}
@@ -0,0 +1,543 @@
+/**
+ * Country Raise Policy Registry
+ *
+ * Single source of country raise rules (maximum raise, VP approval threshold,
+ * typical range), keyed by ISO 3166-1 alpha-2 code, with optional per grade
+ * band overrides. Policies can be edited in the app and imported/exported as
+ * JSON so HR can distribute the policy file for each review cycle.
+ */
+
+// Storage key for edited policies
+const COUNTRY_POLICY_STORAGE_KEY = 'teamAnalyzer_countryPolicies';
+
+// Version of the exported policy file format
+const COUNTRY_POLICY_FILE_VERSION = 1;
+
+// Default policies - replace with the cycle's policy file via import
+const DEFAULT_COUNTRY_POLICIES = {
+    'US': {
+        name: 'United States',
+        currency: 'USD',
+        maxRaise: 0.12, // 12% maximum without VP approval
+        vpApprovalThreshold: 0.12,
+        typicalRange: { min: 0.03, max: 0.08 },
+        budgetCycle: 'annual'
+    },
+    'IN': {
+        name: 'India',
+        currency: 'INR',
+        maxRaise: 0.50, // 50% maximum
+        vpApprovalThreshold: 0.25, // VP approval for raises > 25%
+        typicalRange: { min: 0.10, max: 0.20 },
+        budgetCycle: 'annual'
+    },
+    'GB': {
+        name: 'United Kingdom',
+        currency: 'GBP',
+        maxRaise: 0.15,
+        vpApprovalThreshold: 0.12,
+        typicalRange: { min: 0.03, max: 0.10 },
+        budgetCycle: 'annual'
+    },
+    'CA': {
+        name: 'Canada',
+        currency: 'CAD',
+        maxRaise: 0.12,
+        vpApprovalThreshold: 0.10,
+        typicalRange: { min: 0.03, max: 0.08 },
+        budgetCycle: 'annual'
+    },
+    'DE': {
+        name: 'Germany',
+        currency: 'EUR',
+        maxRaise: 0.10,
+        vpApprovalThreshold: 0.08,
+        typicalRange: { min: 0.02, max: 0.06 },
+        budgetCycle: 'annual'
+    },
+    'IE': {
+        name: 'Ireland',
+        currency: 'EUR',
+        maxRaise: 0.12,
+        vpApprovalThreshold: 0.10,
+        typicalRange: { min: 0.03, max: 0.07 },
+        budgetCycle: 'annual'
+    },
+    'CZ': {
+        name: 'Czechia',
+        currency: 'CZK',
+        maxRaise: 0.15,
+        vpApprovalThreshold: 0.12,
+        typicalRange: { min: 0.04, max: 0.08 },
+        budgetCycle: 'annual'
+    },
+    'BR': {
+        name: 'Brazil',
+        currency: 'BRL',
+        maxRaise: 0.20,
+        vpApprovalThreshold: 0.15,
+        typicalRange: { min: 0.05, max: 0.10 },
+        budgetCycle: 'annual'
+    },
+    'FR': {
+        name: 'France',
+        currency: 'EUR',
+        maxRaise: 0.10,
+        vpApprovalThreshold: 0.08,
+        typicalRange: { min: 0.02, max: 0.05 },
+        budgetCycle: 'annual'
+    },
+    'NL': {
+        name: 'Netherlands',
+        currency: 'EUR',
+        maxRaise: 0.10,
+        vpApprovalThreshold: 0.08,
+        typicalRange: { min: 0.02, max: 0.06 },
+        budgetCycle: 'annual'
+    },
+    'ES': {
+        name: 'Spain',
+        currency: 'EUR',
+        maxRaise: 0.10,
+        vpApprovalThreshold: 0.08,
+        typicalRange: { min: 0.02, max: 0.05 },
+        budgetCycle: 'annual'
+    },
+    'IL': {
+        name: 'Israel',
+        currency: 'ILS',
+        maxRaise: 0.12,
+        vpApprovalThreshold: 0.10,
+        typicalRange: { min: 0.03, max: 0.07 },
+        budgetCycle: 'annual'
+    },
+    'AU': {
+        name: 'Australia',
+        currency: 'AUD',
+        maxRaise: 0.12,
+        vpApprovalThreshold: 0.10,
+        typicalRange: { min: 0.03, max: 0.06 },
+        budgetCycle: 'annual'
+    },
+    'JP': {
+        name: 'Japan',
+        currency: 'JPY',
+        maxRaise: 0.08,
+        vpApprovalThreshold: 0.06,
+        typicalRange: { min: 0.02, max: 0.04 },
+        budgetCycle: 'annual'
+    },
+    'SG': {
+        name: 'Singapore',
+        currency: 'SGD',
+        maxRaise: 0.12,
+        vpApprovalThreshold: 0.10,
+        typicalRange: { min: 0.03, max: 0.06 },
+        budgetCycle: 'annual'
+    },
+    'MX': {
+        name: 'Mexico',
+        currency: 'MXN',
+        maxRaise: 0.15,
+        vpApprovalThreshold: 0.12,
+        typicalRange: { min: 0.04, max: 0.08 },
+        budgetCycle: 'annual'
+    }
+};
+
+// Policy used for countries without their own entry
+const DEFAULT_FALLBACK_POLICY = {
+    name: 'Other countries',
+    currency: null,
+    maxRaise: 0.12,
+    vpApprovalThreshold: 0.10,
+    typicalRange: { min: 0.03, max: 0.08 },
+    budgetCycle: 'annual'
+};
+
+// Alternative country spellings found in HR exports, mapped to ISO2
+const COUNTRY_NAME_ALIASES = {
+    'usa': 'US',
+    'united states of america': 'US',
+    'america': 'US',
+    'uk': 'GB',
+    'great britain': 'GB',
+    'britain': 'GB',
+    'england': 'GB',
+    'united kingdom of great britain and northern ireland': 'GB',
+    'czech republic': 'CZ',
+    'republic of ireland': 'IE',
+    'brasil': 'BR',
+    'the netherlands': 'NL',
+    'holland': 'NL',
+    'ind': 'IN'
+};
+
+class CountryPolicyRegistry {
+    /**
+     * @param {Object} options - Options
+     * @param {boolean} options.persist - Save edits to localStorage (default true)
+     */
+    constructor(options = {}) {
+        this.persist = options.persist !== false && typeof localStorage !== 'undefined';
+        this.listeners = [];
+
+        this.policies = {};
+        this.fallbackPolicy = null;
+
+        this.resetToDefaults({ silent: true, save: false });
+
+        if (this.persist) {
+            this.loadFromStorage();
+        }
+    }
+
+    /**
+     * Resolve a country code or name to an ISO2 code
+     * @param {string} country - ISO2 code or country name
+     * @returns {string|null} ISO2 code, or null if unknown
+     */
+    resolveCountryCode(country) {
+        const value = (country || '').toString().trim();
+        if (!value) return null;
+
+        const lower = value.toLowerCase();
+        if (COUNTRY_NAME_ALIASES[lower]) {
+            return COUNTRY_NAME_ALIASES[lower];
+        }
+
+        if (/^[A-Za-z]{2}$/.test(value)) {
+            return value.toUpperCase();
+        }
+
+        const match = Object.keys(this.policies).find(code =>
+            (this.policies[code].name || '').toLowerCase() === lower
+        );
+        return match || null;
+    }
+
+    /**
+     * Get the effective policy for a country and optional grade band
+     * @param {string} country - ISO2 code or country name
+     * @param {string} gradeBand - Grade band for band-specific overrides
+     * @returns {Object} Policy with countryCode, countryName and isFallback
+     */
+    getPolicy(country, gradeBand = null) {
+        const countryCode = this.resolveCountryCode(country);
+        const countryPolicy = countryCode ? this.policies[countryCode] : null;
+        const base = countryPolicy || this.fallbackPolicy;
+
+        const bandOverride = gradeBand && base.gradeBands ? base.gradeBands[gradeBand] : null;
+
+        return {
+            ...base,
+            ...(bandOverride || {}),
+            typicalRange: { ...base.typicalRange, ...((bandOverride && bandOverride.typicalRange) || {}) },
+            countryCode: countryCode,
+            countryName: countryPolicy ? countryPolicy.name : (country || base.name),
+            gradeBand: bandOverride ? gradeBand : null,
+            isFallback: !countryPolicy
+        };
+    }
+
+    /**
+     * Get the effective policy for an employee
+     * @param {Object} employee - Employee object
+     * @returns {Object} Policy
+     */
+    getPolicyForEmployee(employee) {
+        if (!employee) return this.getPolicy(null);
+
+        const policy = this.getPolicy(employee.countryCode || employee.country, employee.gradeBand);
+        if (policy.isFallback && employee.country) {
+            policy.countryName = employee.country;
+        }
+        return policy;
+    }
+
+    /**
+     * Get all country policies
+     * @returns {Object} Policies keyed by ISO2 code
+     */
+    getPolicies() {
+        return this.policies;
+    }
+
+    /**
+     * Get the policy used for countries without their own entry
+     * @returns {Object} Fallback policy
+     */
+    getFallbackPolicy() {
+        return this.fallbackPolicy;
+    }
+
+    /**
+     * Add or replace a country policy
+     * @param {string} countryCode - ISO2 code
+     * @param {Object} policy - Policy
+     */
+    setPolicy(countryCode, policy) {
+        const code = (countryCode || '').toString().trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(code)) {
+            throw new Error(`"${countryCode}" is not an ISO 3166-1 alpha-2 country code`);
+        }
+
+        this.policies[code] = this.validatePolicy(policy, code);
+        this.saveAndNotify();
+    }
+
+    /**
+     * Replace the fallback policy
+     * @param {Object} policy - Policy
+     */
+    setFallbackPolicy(policy) {
+        this.fallbackPolicy = this.validatePolicy(policy, 'fallback');
+        this.saveAndNotify();
+    }
+
+    /**
+     * Remove a country policy (the country then uses the fallback policy)
+     * @param {string} countryCode - ISO2 code
+     */
+    removePolicy(countryCode) {
+        delete this.policies[countryCode];
+        this.saveAndNotify();
+    }
+
+    /**
+     * Restore the built-in default policies
+     * @param {Object} options - { silent, save }
+     */
+    resetToDefaults(options = {}) {
+        this.policies = JSON.parse(JSON.stringify(DEFAULT_COUNTRY_POLICIES));
+        this.fallbackPolicy = JSON.parse(JSON.stringify(DEFAULT_FALLBACK_POLICY));
+
+        if (options.save !== false && this.persist) {
+            localStorage.removeItem(COUNTRY_POLICY_STORAGE_KEY);
+        }
+        if (!options.silent) {
+            this.notify();
+        }
+    }
+
+    /**
+     * Validate and normalize a policy
+     * @param {Object} policy - Policy to validate
+     * @param {string} label - Country code or label for error messages
+     * @returns {Object} Normalized policy
+     */
+    validatePolicy(policy, label) {
+        if (!policy || typeof policy !== 'object') {
+            throw new Error(`Policy for ${label} must be an object`);
+        }
+
+        const checkRate = (value, field) => {
+            const number = Number(value);
+            if (value === null || value === undefined || value === '' || isNaN(number) || number < 0 || number > 1) {
+                throw new Error(`${label}: ${field} must be a fraction between 0 and 1 (e.g. 0.12 for 12%)`);
+            }
+            return number;
+        };
+
+        const range = policy.typicalRange || {};
+        const normalized = {
+            name: (policy.name || label).toString(),
+            currency: policy.currency ? policy.currency.toString().toUpperCase() : null,
+            maxRaise: checkRate(policy.maxRaise, 'maxRaise'),
+            vpApprovalThreshold: checkRate(policy.vpApprovalThreshold, 'vpApprovalThreshold'),
+            typicalRange: {
+                min: checkRate(range.min, 'typicalRange.min'),
+                max: checkRate(range.max, 'typicalRange.max')
+            },
+            budgetCycle: policy.budgetCycle || 'annual'
+        };
+
+        if (normalized.typicalRange.min > normalized.typicalRange.max) {
+            throw new Error(`${label}: typicalRange.min cannot be greater than typicalRange.max`);
+        }
+        if (normalized.typicalRange.max > normalized.maxRaise) {
+            throw new Error(`${label}: typicalRange.max cannot be greater than maxRaise`);
+        }
+
+        if (policy.gradeBands && Object.keys(policy.gradeBands).length > 0) {
+            normalized.gradeBands = {};
+            Object.entries(policy.gradeBands).forEach(([band, override]) => {
+                normalized.gradeBands[band] = this.validateBandOverride(override, `${label} / ${band}`);
+            });
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a grade band override (every field optional)
+     * @param {Object} override - Band override
+     * @param {string} label - Label for error messages
+     * @returns {Object} Normalized override
+     */
+    validateBandOverride(override, label) {
+        if (!override || typeof override !== 'object') {
+            throw new Error(`Grade band override for ${label} must be an object`);
+        }
+
+        const normalized = {};
+        ['maxRaise', 'vpApprovalThreshold'].forEach(field => {
+            if (override[field] !== undefined && override[field] !== null && override[field] !== '') {
+                const number = Number(override[field]);
+                if (isNaN(number) || number < 0 || number > 1) {
+                    throw new Error(`${label}: ${field} must be a fraction between 0 and 1`);
+                }
+                normalized[field] = number;
+            }
+        });
+
+        if (override.typicalRange) {
+            normalized.typicalRange = {};
+            ['min', 'max'].forEach(field => {
+                const value = override.typicalRange[field];
+                if (value !== undefined && value !== null && value !== '') {
+                    const number = Number(value);
+                    if (isNaN(number) || number < 0 || number > 1) {
+                        throw new Error(`${label}: typicalRange.${field} must be a fraction between 0 and 1`);
+                    }
+                    normalized.typicalRange[field] = number;
+                }
+            });
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Export all policies as a JSON policy file
+     * @returns {string} JSON string
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: COUNTRY_POLICY_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            fallback: this.fallbackPolicy,
+            countries: this.policies
+        }, null, 2);
+    }
+
+    /**
+     * Import a JSON policy file, replacing the current policies
+     * @param {string} json - JSON string
+     * @returns {number} Number of country policies imported
+     */
+    importJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Policy file is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || typeof data.countries !== 'object' || data.countries === null) {
+            throw new Error('Policy file must contain a "countries" object keyed by ISO2 code');
+        }
+        if (data.version && data.version > COUNTRY_POLICY_FILE_VERSION) {
+            throw new Error(`Policy file version ${data.version} is newer than this app supports`);
+        }
+
+        // Validate everything before replacing anything
+        const policies = {};
+        Object.entries(data.countries).forEach(([code, policy]) => {
+            const normalizedCode = code.trim().toUpperCase();
+            if (!/^[A-Z]{2}$/.test(normalizedCode)) {
+                throw new Error(`"${code}" is not an ISO 3166-1 alpha-2 country code`);
+            }
+            policies[normalizedCode] = this.validatePolicy(policy, normalizedCode);
+        });
+        const fallbackPolicy = data.fallback
+            ? this.validatePolicy(data.fallback, 'fallback')
+            : this.fallbackPolicy;
+
+        this.policies = policies;
+        this.fallbackPolicy = fallbackPolicy;
+        this.saveAndNotify();
+
+        return Object.keys(policies).length;
+    }
+
+    /**
+     * Load edited policies from localStorage
+     */
+    loadFromStorage() {
+        try {
+            const saved = localStorage.getItem(COUNTRY_POLICY_STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                const policies = {};
+                Object.entries(data.countries || {}).forEach(([code, policy]) => {
+                    policies[code] = this.validatePolicy(policy, code);
+                });
+                this.policies = policies;
+                if (data.fallback) {
+                    this.fallbackPolicy = this.validatePolicy(data.fallback, 'fallback');
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load saved country policies, using defaults:', error);
+            this.resetToDefaults({ silent: true, save: false });
+        }
+    }
+
+    /**
+     * Save policies and notify listeners
+     */
+    saveAndNotify() {
+        if (this.persist) {
+            try {
+                localStorage.setItem(COUNTRY_POLICY_STORAGE_KEY, JSON.stringify({
+                    fallback: this.fallbackPolicy,
+                    countries: this.policies
+                }));
+            } catch (error) {
+                console.warn('Failed to save country policies:', error);
+            }
+        }
+        this.notify();
+    }
+
+    /**
+     * Subscribe to policy changes
+     * @param {Function} listener - Called with the registry after each change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Country policy listener failed:', error);
+            }
+        });
+    }
+}
+
+// Shared registry used by the raise calculator and components
+const countryPolicyRegistry = new CountryPolicyRegistry();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CountryPolicyRegistry,
+        countryPolicyRegistry,
+        DEFAULT_COUNTRY_POLICIES
+    };
+} else {
+    window.CountryPolicyRegistry = CountryPolicyRegistry;
+    window.countryPolicyRegistry = countryPolicyRegistry;
+    window.DEFAULT_COUNTRY_POLICIES = DEFAULT_COUNTRY_POLICIES;
+}
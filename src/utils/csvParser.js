@@ -24,10 +24,28 @@ class CSVParser {
             'Manager Full name',
             'Latest Hire Date',
             'Currency',
+            'Currency Rate to USD as of Effective Date (USD=1)',
+            'Effective Date',
             'Grade Band',
             'Job Function',
             'Location',
-            'Management Level'
+            'Employee Cost Center Code',
+            'Country ISO2',
+            'Management Level',
+            'Min Pay Grade Value',
+            'Mid Pay Grade Value',
+            'Max Pay Grade Value',
+            'Base Pay All Countries',
+            'Variable Comp %',
+            'Variable Comp Amt (FTE)',
+            'Sales TIC',
+            'Annual Calculated OTE',
+            'Base % of OTE',
+            'TIC % of OTE',
+            'FTE',
+            'Time Type',
+            'Scheduled Weekly Hours',
+            'Default Hours'
         ];
 
         // Column name mappings for Red Hat CSV format
@@ -41,18 +59,33 @@ class CSVParser {
             
             // Location and organization
             'Country': 'country',
+            'Country ISO2': 'countryCode',
             'Location': 'location',
             'Region': 'region',
+            'Employee Cost Center Code': 'costCenter',
             
             // Compensation
             'Total Base Pay': 'totalBasePay',
             'Base Pay All Countries': 'basePayAllCountries',
             'Salary': 'salary',
             'Currency': 'currency',
+            'Currency Rate to USD as of Effective Date (USD=1)': 'currencyRateToUSD',
+            'Effective Date': 'effectiveDate',
             'Comparatio': 'comparatio',
             'Grade Band': 'gradeBand',
             'Salary Range Segment': 'salaryRangeSegment',
             'Below Range Minimum?': 'belowRangeMinimum',
+            'Min Pay Grade Value': 'payRangeMin',
+            'Mid Pay Grade Value': 'payRangeMid',
+            'Max Pay Grade Value': 'payRangeMax',
+            
+            // Variable compensation
+            'Variable Comp %': 'variableCompPercent',
+            'Variable Comp Amt (FTE)': 'variableCompAmount',
+            'Sales TIC': 'salesTIC',
+            'Annual Calculated OTE': 'annualOTE',
+            'Base % of OTE': 'baseShareOfOte',
+            'TIC % of OTE': 'ticShareOfOte',
             
             // Performance and talent
             'Overall Performance Rating': 'performanceRating',
@@ -74,14 +107,35 @@ class CSVParser {
             'Employee Number': 'employeeNumber',
             'FTE': 'fte',
             'Time Type': 'timeType',
-            'Scheduled Weekly Hours': 'scheduledWeeklyHours'
+            'Scheduled Weekly Hours': 'scheduledWeeklyHours',
+            'Default Hours': 'defaultHours'
         };
 
+        // Org chain columns, top of the organisation first
+        this.orgLevelColumns = Array.from({ length: 11 }, (_, i) => `Level${i + 2} Full Name`);
+
         this.parseErrors = [];
         this.parseWarnings = [];
 
+        // Exchange rates found in the file: currency -> Map(rate -> row numbers)
+        this.currencyRates = new Map();
+        this.rateEffectiveDate = null;
+
+        // Allowed difference between the supplied Comparatio and salary ÷ midpoint
+        // (the export rounds Comparatio to whole percentages)
+        this.comparatioTolerance = 0.02;
+
         // Delimiter used for parsing, default to comma
         this.delimiter = ',';
+
+        // Headers picked in the column mapping step: expected column -> file header
+        this.columnAssignments = null;
+
+        // Workbook kept between inspecting and parsing an upload
+        this.workbookCache = null;
+
+        // Data rows returned by inspectFile for the mapping preview
+        this.previewRowCount = 5;
     }
 
     /**
@@ -91,134 +145,338 @@ class CSVParser {
      */
     async parseCSV(csvContent) {
         try {
-            this.parseErrors = [];
-            this.parseWarnings = [];
+            this.beginParse();
 
-            // Split into lines and handle different line endings
-            const lines = csvContent.split(/\r?\n/).filter(line => line.trim());
+            // Tokenize the whole text - quoted fields may contain newlines
+            const tokenizer = new (this.getTokenizerClass())();
+            const content = csvContent.replace(/^\uFEFF/, '');
+            const records = tokenizer.push(content).concat(tokenizer.flush());
+            this.delimiter = tokenizer.delimiter || ',';
 
-            // Detect delimiter from header row (supports comma, semicolon, tab)
-            this.delimiter = this.detectDelimiter(lines[0]);
-            
-            if (lines.length < 2) {
-                throw new Error('CSV file must contain at least a header row and one data row');
-            }
+            records.forEach(record => this.parseRecord(record.cells, record.line));
 
-            // Parse header row
-            const headers = this.parseCSVRow(lines[0], this.delimiter);
-            console.log('CSV headers found:', headers);
-            
-            const columnMapping = this.mapColumns(headers);
-            console.log('Column mapping:', columnMapping);
-
-            // Validate required columns
-            this.validateRequiredColumns(columnMapping, headers);
-
-            // Parse data rows
-            const employees = [];
-            for (let i = 1; i < lines.length; i++) {
-                try {
-                    const rowData = this.parseCSVRow(lines[i], this.delimiter);
-                    if (rowData.length === 0 || rowData.every(cell => !cell.trim())) {
-                        continue; // Skip empty rows
-                    }
+            return this.finishParse({ encoding: 'utf-8', delimiter: this.delimiter });
 
-                    const employee = this.parseEmployeeRow(rowData, columnMapping, headers, i + 1);
-                    if (employee) {
-                        employees.push(employee);
-                    }
-                } catch (error) {
-                    this.parseErrors.push(`Row ${i + 1}: ${error.message}`);
-                }
-            }
+        } catch (error) {
+            this.logParseFailure(error);
+            throw new Error(`CSV parsing failed: ${error.message}`);
+        }
+    }
 
-            // Post-processing and validation
-            const processedEmployees = this.postProcessEmployees(employees);
+    /**
+     * Stream a CSV file into structured employee data without loading the
+     * whole text into memory
+     * @param {File|Blob} file - CSV file
+     * @param {Object} options - { chunkSize, onProgress, isCancelled } (see streamCSVFile)
+     * @returns {Promise<Object>} Parsed data with employees array and metadata
+     */
+    async parseFile(file, options = {}) {
+        try {
+            this.beginParse();
 
-            return {
-                employees: processedEmployees,
-                metadata: {
-                    totalRows: lines.length - 1,
-                    validEmployees: processedEmployees.length,
-                    columns: Object.keys(columnMapping),
-                    errors: this.parseErrors,
-                    warnings: this.parseWarnings,
-                    parsedAt: new Date().toISOString()
+            const stream = await this.getReaders().streamCSVFile(file, record => this.parseRecord(record.cells, record.line), {
+                ...options,
+                onProgress: progress => {
+                    if (options.onProgress) {
+                        options.onProgress({ ...progress, employees: this.employees.length });
+                    }
                 }
-            };
+            });
+            this.delimiter = stream.delimiter || ',';
+
+            return this.finishParse({ encoding: stream.encoding, delimiter: this.delimiter });
 
         } catch (error) {
-            console.error('CSV parsing error details:', {
-                error: error.message,
-                stack: error.stack,
-                parseErrors: this.parseErrors,
-                parseWarnings: this.parseWarnings
-            });
+            if (error.cancelled) throw error;
+
+            this.logParseFailure(error);
             throw new Error(`CSV parsing failed: ${error.message}`);
         }
     }
 
     /**
-     * Detect the delimiter used in a CSV line
-     * @param {string} line - Header line of the CSV
-     * @returns {string} Detected delimiter (default ',')
+     * Parse an uploaded CSV or Excel file
+     * @param {File|Blob} file - Uploaded file
+     * @param {Object} options - { columnAssignments, sheetName, chooseSheet, onProgress, isCancelled, chunkSize }
+     * @returns {Promise<Object>} Parsed data with employees array and metadata
      */
-    detectDelimiter(line) {
-        const commaCount = (line.match(/,/g) || []).length;
-        const semicolonCount = (line.match(/;/g) || []).length;
-        const tabCount = (line.match(/\t/g) || []).length;
+    async parseUploadedFile(file, options = {}) {
+        if (options.columnAssignments !== undefined) {
+            this.setColumnAssignments(options.columnAssignments);
+        }
+
+        return this.getReaders().isWorkbookFile(file)
+            ? this.parseWorkbook(file, options)
+            : this.parseFile(file, options);
+    }
 
-        if (semicolonCount > commaCount && semicolonCount >= tabCount) {
-            return ';';
+    /**
+     * Read the headers and first rows of an upload for the column mapping step.
+     * CSV files are only read as far as needed; workbooks are kept for parsing.
+     * @param {File|Blob} file - Uploaded file
+     * @param {Object} options - { sheetName, chooseSheet, onProgress, isCancelled }
+     * @returns {Promise<Object>} { format, sheet, encoding, headers, sampleRows }
+     */
+    async inspectFile(file, options = {}) {
+        const readers = this.getReaders();
+        const isBlank = record => record.cells.every(cell => !cell.trim());
+        let records;
+        let source;
+
+        if (readers.isWorkbookFile(file)) {
+            const sheet = await this.loadWorkbookSheet(file, options);
+            records = sheet.records.filter(record => !isBlank(record)).slice(0, this.previewRowCount + 1);
+            source = { format: sheet.format, sheet: sheet.sheetName, encoding: null };
+        } else {
+            records = [];
+            const stream = await readers.streamCSVFile(file, record => {
+                if (!isBlank(record)) records.push(record);
+            }, {
+                chunkSize: 64 * 1024,
+                isCancelled: options.isCancelled,
+                isDone: () => records.length > this.previewRowCount
+            });
+            records = records.slice(0, this.previewRowCount + 1);
+            source = { format: 'csv', sheet: null, encoding: stream.encoding };
         }
 
-        if (tabCount > commaCount && tabCount > semicolonCount) {
-            return '\t';
+        if (records.length < 2) {
+            throw new Error('File must contain at least a header row and one data row');
         }
 
-        return ',';
+        return {
+            ...source,
+            headers: records[0].cells.map(cell => cell.trim()),
+            sampleRows: records.slice(1)
+        };
     }
 
     /**
-     * Parse a single CSV row handling quoted fields and delimiters
-     * @param {string} row - CSV row string
-     * @param {string} delimiter - Delimiter to use
-     * @returns {Array} Array of cell values
+     * Parse a sheet of an Excel workbook (.xlsx or .xls) with the same column
+     * mapping and validation as CSV files
+     * @param {File|Blob} file - Workbook file
+     * @param {Object} options - { sheetName, chooseSheet(sheets) => Promise<name>, onProgress, isCancelled }
+     * @returns {Promise<Object>} Parsed data with employees array and metadata
      */
-    parseCSVRow(row, delimiter = this.delimiter || ',') {
-        const cells = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
+    async parseWorkbook(file, options = {}) {
+        try {
+            this.beginParse();
+
+            const sheet = await this.loadWorkbookSheet(file, options);
+            sheet.records.forEach(record => this.parseRecord(record.cells, record.line));
+            this.delimiter = null;
+
+            return this.finishParse({ format: sheet.format, sheet: sheet.sheetName });
+
+        } catch (error) {
+            if (error.cancelled) throw error;
 
-        while (i < row.length) {
-            const char = row[i];
-            const nextChar = row[i + 1];
+            this.logParseFailure(error);
+            throw new Error(`Workbook parsing failed: ${error.message}`);
+        }
+    }
 
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
+    /**
+     * Read a workbook sheet's records, reusing the workbook when the same file
+     * was already opened (e.g. by inspectFile)
+     * @param {File|Blob} file - Workbook file
+     * @param {Object} options - { sheetName, chooseSheet, onProgress, isCancelled }
+     * @returns {Promise<Object>} { format, sheetName, records }
+     */
+    async loadWorkbookSheet(file, options = {}) {
+        const readers = this.getReaders();
+        const fileKey = `${file.name}|${file.size}|${file.lastModified}`;
+
+        if (!this.workbookCache || this.workbookCache.fileKey !== fileKey) {
+            const bytes = await readers.readFileBytes(file, {
+                isCancelled: options.isCancelled,
+                onProgress: progress => {
+                    if (options.onProgress) {
+                        options.onProgress({ ...progress, employees: 0 });
+                    }
                 }
-            } else if (char === delimiter && !inQuotes) {
-                // End of cell
-                cells.push(current.trim());
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
+            });
+            this.workbookCache = { fileKey, workbook: await readers.readWorkbook(bytes), records: {} };
+        }
+
+        const { workbook, records } = this.workbookCache;
+
+        // Hidden sheets are only used when nothing else is there
+        const sheets = workbook.sheets.filter(sheet => !sheet.hidden);
+        const candidates = sheets.length > 0 ? sheets : workbook.sheets;
+        if (candidates.length === 0) {
+            throw new Error('Workbook contains no worksheets');
+        }
+
+        let sheetName = options.sheetName;
+        if (!sheetName) {
+            sheetName = candidates.length > 1 && options.chooseSheet
+                ? await options.chooseSheet(candidates)
+                : candidates[0].name;
+        }
+        if (options.isCancelled && options.isCancelled()) {
+            throw readers.createCancelError();
+        }
+
+        if (!records[sheetName]) {
+            records[sheetName] = await workbook.readSheet(sheetName);
+        }
+
+        return { format: workbook.format, sheetName, records: records[sheetName] };
+    }
+
+    /**
+     * Get the file reading helpers (globals in the browser and worker)
+     */
+    getReaders() {
+        if (typeof readWorkbook !== 'undefined') {
+            return { isWorkbookFile, readWorkbook, readFileBytes, streamCSVFile, createCancelError };
+        }
+        return { ...require('./workbookReader.js'), ...require('./csvStreamReader.js') };
+    }
+
+    /**
+     * Get the streaming tokenizer class (a global in the browser and worker)
+     */
+    getTokenizerClass() {
+        return typeof CSVTokenizer !== 'undefined'
+            ? CSVTokenizer
+            : require('./csvStreamReader.js').CSVTokenizer;
+    }
+
+    /**
+     * Reset state before parsing a file
+     */
+    beginParse() {
+        this.parseErrors = [];
+        this.parseWarnings = [];
+        this.currencyRates = new Map();
+        this.rateEffectiveDate = null;
+
+        this.headers = null;
+        this.columnMapping = null;
+        this.employees = [];
+        this.dataRowCount = 0;
+    }
+
+    /**
+     * Parse the header row and check the required columns are present
+     * @param {Array} headers - Header cells
+     */
+    parseHeader(headers) {
+        console.log('CSV headers found:', headers);
+
+        const columnMapping = this.mapColumns(headers);
+        console.log('Column mapping:', columnMapping);
+
+        // Validate required columns
+        this.validateRequiredColumns(columnMapping, headers);
+
+        this.headers = headers;
+        this.columnMapping = columnMapping;
+    }
+
+    /**
+     * Parse one CSV record - the first non-empty record is the header row.
+     * Row errors are collected in parseErrors rather than thrown.
+     * @param {Array} cells - Raw cell values
+     * @param {number} rowNumber - Line the record starts on
+     * @returns {Object|null} Parsed employee, or null for header/empty/invalid rows
+     */
+    parseRecord(cells, rowNumber) {
+        const rowData = cells.map(cell => cell.trim());
+        if (rowData.every(cell => !cell)) {
+            return null; // Skip empty rows
+        }
+
+        if (!this.headers) {
+            this.parseHeader(rowData);
+            return null;
+        }
+
+        this.dataRowCount++;
+
+        try {
+            const employee = this.parseEmployeeRow(rowData, this.columnMapping, this.headers, rowNumber);
+            if (employee) {
+                this.employees.push(employee);
             }
+            return employee;
+        } catch (error) {
+            this.parseErrors.push(`Row ${rowNumber}: ${error.message}`);
+            return null;
         }
+    }
 
-        // Add the last cell
-        cells.push(current.trim());
-        return cells;
+    /**
+     * Post-process the parsed rows and build the result
+     * @param {Object} source - { format, sheet, encoding, delimiter } of the input
+     * @returns {Object} Parsed data with employees array and metadata
+     */
+    finishParse(source = {}) {
+        if (!this.headers || this.dataRowCount === 0) {
+            throw new Error('CSV file must contain at least a header row and one data row');
+        }
+
+        // Post-processing and validation
+        const processedEmployees = this.postProcessEmployees(this.employees);
+
+        return {
+            employees: processedEmployees,
+            metadata: {
+                totalRows: this.dataRowCount,
+                validEmployees: processedEmployees.length,
+                columns: Object.keys(this.columnMapping),
+                errors: this.parseErrors,
+                warnings: this.parseWarnings,
+                currencyRates: this.summarizeCurrencyRates(),
+                format: source.format || 'csv',
+                sheet: source.sheet || null,
+                encoding: source.encoding || null,
+                delimiter: source.delimiter || this.delimiter,
+                columnAssignments: this.columnAssignments,
+                parsedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Log the details of a failed parse
+     */
+    logParseFailure(error) {
+        console.error('CSV parsing error details:', {
+            error: error.message,
+            stack: error.stack,
+            parseErrors: this.parseErrors,
+            parseWarnings: this.parseWarnings
+        });
+    }
+
+    /**
+     * Set the headers to read each expected column from
+     * @param {Object|null} assignments - Expected column -> file header ('' to ignore a column)
+     */
+    setColumnAssignments(assignments) {
+        this.columnAssignments = assignments ? { ...assignments } : null;
+    }
+
+    /**
+     * List the columns a file can be mapped to
+     * @returns {Array} { column, key, required } for each expected column
+     */
+    getMappableColumns() {
+        const columns = new Set([
+            ...this.requiredColumns,
+            ...this.optionalColumns,
+            ...Object.keys(this.columnMappings),
+            ...this.orgLevelColumns
+        ]);
+
+        return [...columns].map(column => ({
+            column,
+            key: this.columnMappings[column] || `orgLevel${this.orgLevelColumns.indexOf(column) + 2}`,
+            required: this.requiredColumns.includes(column)
+        }));
     }
 
     /**
@@ -237,22 +495,57 @@ class CSVParser {
             }
         });
 
+        // Columns mapped in the column mapping step take precedence
+        Object.entries(this.columnAssignments || {}).forEach(([column, header]) => {
+            const index = header ? headers.findIndex(candidate => candidate.trim() === header) : -1;
+            if (index >= 0) {
+                mapping[column] = index;
+            } else {
+                delete mapping[column];
+            }
+        });
+
         return mapping;
     }
 
+    /**
+     * List the required columns a mapping is missing
+     * @param {Object} columnMapping - Column mapping object
+     * @returns {Array} Missing column names
+     */
+    getMissingRequiredColumns(columnMapping) {
+        return this.requiredColumns.filter(column => !(column in columnMapping));
+    }
+
+    /**
+     * Parse sample rows with a column mapping, for the mapping preview
+     * @param {Array} headers - File headers
+     * @param {Array} records - Sample records ({ cells, line })
+     * @param {Object} assignments - Expected column -> file header
+     * @returns {Object} { employees, errors, warnings, missingColumns }
+     */
+    previewRecords(headers, records, assignments) {
+        this.beginParse();
+        this.setColumnAssignments(assignments);
+
+        const missingColumns = this.getMissingRequiredColumns(this.mapColumns(headers));
+        if (missingColumns.length > 0) {
+            return { employees: [], errors: [], warnings: [], missingColumns };
+        }
+
+        this.parseHeader(headers);
+        records.forEach(record => this.parseRecord(record.cells, record.line));
+
+        return { employees: this.employees, errors: this.parseErrors, warnings: this.parseWarnings, missingColumns };
+    }
+
     /**
      * Validate that required columns are present
      * @param {Object} columnMapping - Column mapping object
      * @param {Array} headers - Original headers array
      */
     validateRequiredColumns(columnMapping, headers) {
-        const missingColumns = [];
-        
-        for (const requiredCol of this.requiredColumns) {
-            if (!(requiredCol in columnMapping)) {
-                missingColumns.push(requiredCol);
-            }
-        }
+        const missingColumns = this.getMissingRequiredColumns(columnMapping);
 
         if (missingColumns.length > 0) {
             console.log('Available columns:', Object.keys(columnMapping));
@@ -288,6 +581,7 @@ class CSVParser {
             employee.country = this.parseCountryField(
                 this.getColumnValue(rowData, columnMapping, 'Country')
             );
+            employee.countryCode = this.getColumnValue(rowData, columnMapping, 'Country ISO2').toUpperCase() || null;
 
             // Parse salary information
             employee.salary = this.parseSalaryField(
@@ -295,10 +589,43 @@ class CSVParser {
                 this.getColumnValue(rowData, columnMapping, 'Currency')
             );
 
-            // Parse comparatio
-            employee.comparatio = this.parseComparatio(
-                this.getColumnValue(rowData, columnMapping, 'Comparatio')
+            // Parse FTE - pay amounts in the file are actual pay, so part-time employees
+            // are annualized (amount ÷ FTE) wherever they are compared with full-time pay
+            const fteValue = this.getColumnValue(rowData, columnMapping, 'FTE');
+            employee.timeType = this.getColumnValue(rowData, columnMapping, 'Time Type') || null;
+            employee.scheduledWeeklyHours = this.parseAmountField(
+                this.getColumnValue(rowData, columnMapping, 'Scheduled Weekly Hours')
+            );
+            employee.fte = this.parseFTE(
+                fteValue,
+                employee.scheduledWeeklyHours,
+                this.parseAmountField(this.getColumnValue(rowData, columnMapping, 'Default Hours'))
+            );
+            if (employee.fte === null) {
+                this.parseWarnings.push(`Row ${rowNumber}: Invalid FTE "${fteValue}" - treated as full time`);
+                employee.fte = 1;
+            } else if (employee.fte === 1 && /part/i.test(employee.timeType || '')) {
+                this.parseWarnings.push(`Row ${rowNumber}: Time Type is "${employee.timeType}" but FTE is 1`);
+            }
+
+            // Record the file's exchange rate for this currency
+            employee.currencyRateToUSD = this.parseAmountField(
+                this.getColumnValue(rowData, columnMapping, 'Currency Rate to USD as of Effective Date (USD=1)')
+            );
+            if (employee.currencyRateToUSD) {
+                this.recordCurrencyRate(employee.salary.currency, employee.currencyRateToUSD, rowNumber);
+            }
+
+            const effectiveDate = this.parseDateField(
+                this.getColumnValue(rowData, columnMapping, 'Effective Date')
             );
+            if (effectiveDate && (!this.rateEffectiveDate || effectiveDate > this.rateEffectiveDate)) {
+                this.rateEffectiveDate = effectiveDate;
+            }
+
+            // Parse comparatio
+            const comparatioValue = this.getColumnValue(rowData, columnMapping, 'Comparatio');
+            employee.comparatio = this.parseComparatio(comparatioValue);
 
             // Parse performance rating
             employee.performanceRating = this.parsePerformanceRating(
@@ -311,7 +638,11 @@ class CSVParser {
             );
 
             employee.managerName = this.getColumnValue(rowData, columnMapping, 'Manager Full name') || null;
+            employee.employeeNumber = this.getColumnValue(rowData, columnMapping, 'Employee Number') || null;
+            employee.managerEmployeeNumber = this.getColumnValue(rowData, columnMapping, 'Manager Employee Number') || null;
+            employee.orgPath = this.parseOrgPath(rowData, columnMapping);
             employee.location = this.getColumnValue(rowData, columnMapping, 'Location') || null;
+            employee.costCenter = this.getColumnValue(rowData, columnMapping, 'Employee Cost Center Code') || null;
             employee.gradeBand = this.getColumnValue(rowData, columnMapping, 'Grade Band') || null;
             employee.managementLevel = this.getColumnValue(rowData, columnMapping, 'Management Level') || null;
             employee.jobFunction = this.getColumnValue(rowData, columnMapping, 'Job Function') || null;
@@ -339,6 +670,43 @@ class CSVParser {
                 this.getColumnValue(rowData, columnMapping, 'Below Range Minimum?')
             );
 
+            // Parse pay grade range and derive range position
+            employee.payRange = this.parsePayRange(
+                this.getColumnValue(rowData, columnMapping, 'Min Pay Grade Value'),
+                this.getColumnValue(rowData, columnMapping, 'Mid Pay Grade Value'),
+                this.getColumnValue(rowData, columnMapping, 'Max Pay Grade Value'),
+                employee.salary.currency
+            );
+
+            if (employee.payRange) {
+                // Ranges are expressed against annual base pay, which can differ from Total Base Pay
+                // (e.g. India reports only the basic component there)
+                const rangeBasis = this.parseAmountField(
+                    this.getColumnValue(rowData, columnMapping, 'Base Pay All Countries')
+                ) || employee.salary.amount;
+                employee.rangePosition = this.calculateRangePosition(rangeBasis, employee.payRange, employee.fte);
+
+                if (employee.rangePosition.belowMin) {
+                    employee.belowRangeMinimum = true;
+                }
+
+                if (!comparatioValue) {
+                    // No supplied comparatio - derive it from the midpoint
+                    employee.comparatio = employee.rangePosition.comparatio;
+                } else if (Math.abs(employee.comparatio - employee.rangePosition.comparatio) > this.comparatioTolerance) {
+                    employee.comparatioMismatch = {
+                        supplied: employee.comparatio,
+                        calculated: employee.rangePosition.comparatio
+                    };
+                    this.parseWarnings.push(
+                        `Row ${rowNumber}: Comparatio ${(employee.comparatio * 100).toFixed(0)}% does not match salary ÷ midpoint (${(employee.rangePosition.comparatio * 100).toFixed(0)}%)`
+                    );
+                }
+            }
+
+            // Parse variable pay (target bonus, Sales TIC and OTE)
+            employee.totalCompensation = this.parseTotalCompensation(rowData, columnMapping, employee.salary, employee.fte);
+
         } catch (error) {
             this.parseWarnings.push(`Row ${rowNumber}: ${error.message}`);
             
@@ -353,6 +721,75 @@ class CSVParser {
         return employee;
     }
 
+    /**
+     * Record a row's currency rate to USD
+     * @param {string} currency - Salary currency code
+     * @param {number} rate - Units of the currency per USD
+     * @param {number} rowNumber - Row number for conflict reporting
+     */
+    recordCurrencyRate(currency, rate, rowNumber) {
+        if (!this.currencyRates.has(currency)) {
+            this.currencyRates.set(currency, new Map());
+        }
+
+        const rates = this.currencyRates.get(currency);
+        if (!rates.has(rate)) {
+            rates.set(rate, []);
+        }
+        rates.get(rate).push(rowNumber);
+    }
+
+    /**
+     * Summarize the exchange rates harvested from the file. When a currency has
+     * more than one rate, the rate used by the most rows wins and the conflict
+     * is reported as a warning.
+     * @returns {Object} { rates, conflicts, effectiveDate }
+     */
+    summarizeCurrencyRates() {
+        const rates = {};
+        const conflicts = [];
+
+        this.currencyRates.forEach((rateRows, currency) => {
+            const ranked = Array.from(rateRows.entries())
+                .map(([rate, rows]) => ({ rate, rows }))
+                .sort((a, b) => b.rows.length - a.rows.length);
+
+            rates[currency] = ranked[0].rate;
+
+            if (ranked.length > 1) {
+                conflicts.push({ currency, rate: ranked[0].rate, rates: ranked });
+                this.parseWarnings.push(
+                    `${currency} has ${ranked.length} different rates to USD in this file: ` +
+                    ranked.map(entry => `${entry.rate} (${entry.rows.length} row${entry.rows.length === 1 ? '' : 's'}` +
+                        `${entry === ranked[0] ? ', used' : `: ${entry.rows.slice(0, 5).join(', ')}${entry.rows.length > 5 ? '…' : ''}`})`).join('; ')
+                );
+            }
+        });
+
+        return {
+            rates,
+            conflicts,
+            effectiveDate: this.rateEffectiveDate ? this.rateEffectiveDate.toISOString() : null
+        };
+    }
+
+    /**
+     * Parse the Level2-Level12 columns into the employee's management chain
+     * @param {Array} rowData - Row data array
+     * @param {Object} columnMapping - Column mapping
+     * @returns {Array} Manager names from the top of the organisation down
+     */
+    parseOrgPath(rowData, columnMapping) {
+        const path = [];
+        this.orgLevelColumns.forEach(columnName => {
+            const value = this.getColumnValue(rowData, columnMapping, columnName);
+            if (value && path[path.length - 1] !== value) {
+                path.push(value);
+            }
+        });
+        return path;
+    }
+
     /**
      * Get column value by header name
      * @param {Array} rowData - Row data array
@@ -471,6 +908,151 @@ class CSVParser {
         };
     }
 
+    /**
+     * Parse a plain amount field (e.g. "116,270.00")
+     * @param {string} value - Amount value
+     * @returns {number|null} Parsed amount or null if empty/invalid
+     */
+    parseAmountField(value) {
+        if (!value || !value.toString().trim()) {
+            return null;
+        }
+
+        const amount = parseFloat(value.toString().replace(/["',\s]/g, ''));
+        return isNaN(amount) ? null : amount;
+    }
+
+    /**
+     * Parse a percentage field (e.g. "15.00%") into a fraction
+     * @param {string} value - Percentage value
+     * @returns {number|null} Fraction (0.15) or null if empty/invalid
+     */
+    parsePercentField(value) {
+        const number = this.parseAmountField(value ? value.toString().replace('%', '') : value);
+        return number === null ? null : number / 100;
+    }
+
+    /**
+     * Parse the variable pay columns into a total cash compensation breakdown
+     * @param {Object} rowData - Raw row data
+     * @param {Object} columnMapping - Column mapping
+     * @param {Object} salary - Parsed salary object
+     * @param {number} fte - Full-time equivalent (1 = full time)
+     * @returns {Object} Base pay, target bonus, Sales TIC and OTE in the salary currency, as actual pay
+     */
+    parseTotalCompensation(rowData, columnMapping, salary, fte = 1) {
+        const basePay = this.parseAmountField(
+            this.getColumnValue(rowData, columnMapping, 'Base Pay All Countries')
+        ) || salary.amount;
+        const variablePercent = this.parsePercentField(
+            this.getColumnValue(rowData, columnMapping, 'Variable Comp %')
+        ) || 0;
+        const salesTIC = this.parseAmountField(
+            this.getColumnValue(rowData, columnMapping, 'Sales TIC')
+        ) || 0;
+
+        // Prefer the supplied amount - it is quoted at full time, so scale it to actual pay
+        // like the other amounts; otherwise derive it from the percentage of actual base pay
+        const fteBonus = this.parseAmountField(
+            this.getColumnValue(rowData, columnMapping, 'Variable Comp Amt (FTE)')
+        );
+        const targetBonus = fteBonus ? fteBonus * fte : basePay * variablePercent;
+
+        // The export leaves OTE at 0 for people without a sales plan
+        const ote = this.parseAmountField(
+            this.getColumnValue(rowData, columnMapping, 'Annual Calculated OTE')
+        ) || basePay + targetBonus + salesTIC;
+
+        return {
+            currency: salary.currency,
+            basePay,
+            variablePercent,
+            targetBonus,
+            salesTIC,
+            ote,
+            baseShareOfOte: this.parsePercentField(
+                this.getColumnValue(rowData, columnMapping, 'Base % of OTE')
+            ) || null,
+            ticShareOfOte: this.parsePercentField(
+                this.getColumnValue(rowData, columnMapping, 'TIC % of OTE')
+            ) || null
+        };
+    }
+
+    /**
+     * Parse the FTE, falling back to scheduled ÷ default weekly hours
+     * @param {string} fteValue - FTE value (e.g. "0.5" or "50%")
+     * @param {number|null} scheduledHours - Scheduled weekly hours
+     * @param {number|null} defaultHours - Full-time weekly hours for the location
+     * @returns {number|null} FTE (1 = full time), or null if invalid
+     */
+    parseFTE(fteValue, scheduledHours, defaultHours) {
+        let fte = this.parseAmountField(fteValue ? fteValue.toString().replace('%', '') : fteValue);
+        if (fte !== null && fteValue.toString().includes('%')) {
+            fte /= 100;
+        }
+
+        if (fte === null) {
+            fte = scheduledHours ? scheduledHours / (defaultHours || 40) : 1;
+        }
+
+        return fte > 0 && fte <= 1.5 ? fte : null;
+    }
+
+    /**
+     * Parse pay grade range from the Min/Mid/Max Pay Grade Value columns
+     * @param {string} minValue - Range minimum
+     * @param {string} midValue - Range midpoint
+     * @param {string} maxValue - Range maximum
+     * @param {string} currency - Currency of the range (same as salary)
+     * @returns {Object|null} Pay range object or null if not available
+     */
+    parsePayRange(minValue, midValue, maxValue, currency) {
+        const min = this.parseAmountField(minValue);
+        const max = this.parseAmountField(maxValue);
+        let mid = this.parseAmountField(midValue);
+
+        if (!min || !max) {
+            return null;
+        }
+
+        if (min >= max) {
+            throw new Error('Invalid pay range: minimum must be below maximum');
+        }
+
+        // Fall back to the arithmetic midpoint when the column is missing
+        if (!mid) {
+            mid = (min + max) / 2;
+        }
+
+        return { min, mid, max, currency };
+    }
+
+    /**
+     * Calculate where a salary sits within its pay range. Ranges are full-time,
+     * so the position uses the FTE-annualized amount.
+     * @param {number} amount - Actual annual base pay amount the range applies to
+     * @param {Object} payRange - Pay range object with min, mid and max
+     * @param {number} fte - Full-time equivalent (1 = full time)
+     * @returns {Object} Range penetration, calculated comparatio and FTE distances in local currency
+     */
+    calculateRangePosition(amount, payRange, fte = 1) {
+        const { min, mid, max } = payRange;
+        const fteAmount = amount / fte;
+
+        return {
+            basisAmount: amount,
+            fteAmount,
+            penetration: (fteAmount - min) / (max - min), // 0 = at minimum, 1 = at maximum
+            comparatio: fteAmount / mid,
+            distanceToMin: min - fteAmount, // positive = below minimum
+            distanceToMid: mid - fteAmount,
+            distanceToMax: max - fteAmount, // negative = above maximum
+            belowMin: fteAmount < min,
+            aboveMax: fteAmount > max
+        };
+    }
+
     /**
      * Parse comparatio field
      * @param {string} value - Comparatio value
@@ -679,6 +1261,76 @@ class CSVParser {
         return `${symbol}${amount.toLocaleString()}`;
     }
 
+    /**
+     * Recalculate the fields derived from an employee's source fields, e.g. after an edit
+     * @param {Object} employee - Employee object (updated in place)
+     * @param {Object} options - { previousSalaryAmount, syncComparatio }: the salary before the
+     *     edit keeps the range basis in proportion; syncComparatio resets comparatio to the range position
+     * @returns {Object} The employee
+     */
+    recalculateDerivedFields(employee, options = {}) {
+        // Dates restored from a saved session are strings
+        const toDate = value => value ? new Date(value) : null;
+        
+        employee.timeSinceRaise = this.calculateMonthsSince(toDate(employee.lastSalaryChangeDate));
+        employee.timeInRole = this.calculateMonthsSince(toDate(employee.latestHireDate));
+        
+        if (employee.salary) {
+            employee.salary.formatted = this.formatSalary(employee.salary.amount, employee.salary.currency);
+            this.recalculateTotalCompensation(employee, options.previousSalaryAmount);
+        }
+        
+        if (employee.payRange && employee.salary) {
+            // The range basis can differ from Total Base Pay (e.g. India) - keep its ratio to the salary
+            const previous = employee.rangePosition;
+            const basis = previous && options.previousSalaryAmount
+                ? previous.basisAmount * employee.salary.amount / options.previousSalaryAmount
+                : employee.salary.amount;
+            
+            employee.rangePosition = this.calculateRangePosition(basis, employee.payRange, employee.fte || 1);
+            employee.belowRangeMinimum = employee.rangePosition.belowMin;
+            if (options.syncComparatio) {
+                employee.comparatio = employee.rangePosition.comparatio;
+            }
+            employee.comparatioMismatch = Math.abs(employee.comparatio - employee.rangePosition.comparatio) > this.comparatioTolerance
+                ? { supplied: employee.comparatio, calculated: employee.rangePosition.comparatio }
+                : null;
+        }
+        
+        employee.riskIndicators = this.calculateRiskIndicators(employee);
+        return employee;
+    }
+
+    /**
+     * Bring total compensation in line with an edited salary. Base pay and the target
+     * bonus (a percentage of base) move with the salary; Sales TIC is a plan amount of
+     * its own and is only carried over when the salary changes currency
+     * @param {Object} employee - Employee object (updated in place)
+     * @param {number} previousSalaryAmount - Salary amount before the edit
+     */
+    recalculateTotalCompensation(employee, previousSalaryAmount) {
+        const compensation = employee.totalCompensation;
+        if (!compensation) return;
+        
+        const ratio = previousSalaryAmount > 0 ? employee.salary.amount / previousSalaryAmount : 1;
+        const currencyChanged = compensation.currency !== employee.salary.currency;
+        if (ratio === 1 && !currencyChanged) return;
+        
+        const basePay = compensation.basePay * ratio;
+        const targetBonus = compensation.targetBonus * ratio;
+        const salesTIC = currencyChanged ? compensation.salesTIC * ratio : compensation.salesTIC;
+        
+        employee.totalCompensation = {
+            ...compensation,
+            currency: employee.salary.currency,
+            basePay,
+            targetBonus,
+            salesTIC,
+            ote: compensation.ote + (basePay - compensation.basePay) + (targetBonus - compensation.targetBonus) +
+                (salesTIC - compensation.salesTIC)
+        };
+    }
+
     /**
      * Post-process employees for additional validation and enhancement
      * @param {Array} employees - Array of employee objects
@@ -740,9 +1392,10 @@ class CSVParser {
             risks.push('well_positioned');
         }
 
-        // Low pay based on currency and amount
+        // Low pay based on currency and FTE-annualized amount
         if (employee.salary) {
-            const { amount, currency } = employee.salary;
+            const currency = employee.salary.currency;
+            const amount = employee.salary.amount / (employee.fte || 1);
             if (currency === 'USD' && amount < 50000) {
                 risks.push('low_pay');
             } else if (currency === 'INR' && amount < 1000000) {
@@ -765,5 +1418,11 @@ class CSVParser {
     }
 }
 
-// Export for use in other modules
-window.CSVParser = CSVParser; 
\ No newline at end of file
+// Export for use in other modules (the page or the parser worker)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVParser;
+} else if (typeof window !== 'undefined') {
+    window.CSVParser = CSVParser;
+} else {
+    self.CSVParser = CSVParser;
+}
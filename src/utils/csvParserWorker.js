@@ -0,0 +1,68 @@
+/**
+ * CSV Parser Worker
+ *
+ * Parses an uploaded CSV or Excel file off the main thread so large exports
+ * don't freeze the UI. An upload is inspected first (headers and sample rows
+ * for the column mapping step), then parsed with the chosen mapping; the same
+ * CSVParser is kept in between so a workbook is only read once.
+ *
+ * Messages in:  { type: 'inspect', file }, { type: 'parse', file, sheetName, columnAssignments, chunkSize },
+ *               { type: 'sheet', name }
+ * Messages out: { type: 'progress', bytesRead, totalBytes, records, employees, encoding },
+ *               { type: 'sheets', sheets } - asks FileUpload which workbook sheet to import,
+ *               { type: 'inspected', inspection }, { type: 'done', result },
+ *               { type: 'error', message, parseErrors }
+ *
+ * FileUpload cancels by terminating the worker.
+ */
+
+importScripts('csvStreamReader.js', 'workbookReader.js', 'csvParser.js');
+
+// Parser for the current upload
+let parser = null;
+
+// Resolves the sheet choice FileUpload is asked for
+let resolveSheetChoice = null;
+
+self.onmessage = async (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'sheet') {
+        if (resolveSheetChoice) resolveSheetChoice(message.name);
+        resolveSheetChoice = null;
+        return;
+    }
+
+    if (message.type !== 'inspect' && message.type !== 'parse') return;
+
+    if (!parser || message.type === 'inspect') {
+        parser = new CSVParser();
+    }
+
+    const options = {
+        chunkSize: message.chunkSize,
+        sheetName: message.sheetName,
+        columnAssignments: message.columnAssignments,
+        onProgress: progress => self.postMessage({ type: 'progress', ...progress }),
+        chooseSheet: sheets => new Promise(resolve => {
+            resolveSheetChoice = resolve;
+            self.postMessage({ type: 'sheets', sheets });
+        })
+    };
+
+    try {
+        if (message.type === 'inspect') {
+            const inspection = await parser.inspectFile(message.file, options);
+            self.postMessage({ type: 'inspected', inspection });
+        } else {
+            const result = await parser.parseUploadedFile(message.file, options);
+            self.postMessage({ type: 'done', result });
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            message: error.message,
+            parseErrors: parser.parseErrors || []
+        });
+    }
+};
@@ -0,0 +1,357 @@
+/**
+ * CSV Stream Reader Utility
+ *
+ * Streaming RFC 4180 CSV reading: a tokenizer that accepts text in chunks
+ * (quoted fields may span chunks and contain delimiters, newlines and ""
+ * escapes), byte order mark / encoding detection, and a file reader that
+ * decodes a File in slices and reports byte-level progress. Runs on the main
+ * thread or inside the CSV parser Web Worker.
+ */
+
+// Bytes read from the file per slice
+const DEFAULT_CSV_CHUNK_SIZE = 1024 * 1024;
+
+// Bytes used to sniff the encoding of files without a byte order mark
+const ENCODING_SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Detect the delimiter used in a CSV header line (comma, semicolon or tab)
+ */
+function detectDelimiter(line) {
+    const commaCount = (line.match(/,/g) || []).length;
+    const semicolonCount = (line.match(/;/g) || []).length;
+    const tabCount = (line.match(/\t/g) || []).length;
+
+    if (semicolonCount > commaCount && semicolonCount >= tabCount) {
+        return ';';
+    }
+
+    if (tabCount > commaCount && tabCount > semicolonCount) {
+        return '\t';
+    }
+
+    return ',';
+}
+
+/**
+ * Detect the text encoding of a file from its first bytes. A byte order mark
+ * wins; otherwise the sample is checked as UTF-8 and falls back to
+ * Windows-1252, which is what spreadsheet tools write for "CSV" on Windows.
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @returns {Object} { encoding, bom }
+ */
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { encoding: 'utf-8', bom: true };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { encoding: 'utf-16le', bom: true };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { encoding: 'utf-16be', bom: true };
+    }
+
+    try {
+        // stream: true so a multi-byte character cut off at the end of the sample is not an error
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, ENCODING_SAMPLE_SIZE), { stream: true });
+        return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+        return { encoding: 'windows-1252', bom: false };
+    }
+}
+
+/**
+ * Create the error thrown when a read is cancelled
+ */
+function createCancelError() {
+    const error = new Error('CSV parsing cancelled');
+    error.name = 'AbortError';
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Incremental RFC 4180 tokenizer. push() text as it arrives and collect the
+ * completed records; flush() at the end of input for the last record.
+ * Records are { cells, line } where line is the physical line the record starts on.
+ */
+class CSVTokenizer {
+    constructor(options = {}) {
+        // Detected from the first line when not given
+        this.delimiter = options.delimiter || null;
+
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.quoteInQuotes = false; // Saw a quote inside a quoted field - escape or closing quote
+        this.skipLineFeed = false; // Saw \r - a following \n belongs to the same line break
+        this.line = 1;
+        this.recordLine = 1;
+        this.pending = ''; // Text held back until the delimiter is known
+    }
+
+    /**
+     * Tokenize a chunk of text
+     * @param {string} text - Next chunk of the input
+     * @returns {Array} Records completed by this chunk
+     */
+    push(text) {
+        const records = [];
+
+        if (!this.delimiter) {
+            this.pending += text;
+            const lineEnd = this.pending.search(/[\r\n]/);
+            if (lineEnd < 0) return records;
+
+            this.delimiter = detectDelimiter(this.pending.slice(0, lineEnd));
+            text = this.pending;
+            this.pending = '';
+        }
+
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.quoteInQuotes) {
+                this.quoteInQuotes = false;
+                if (char === '"') {
+                    // "" inside a quoted field is an escaped quote
+                    this.field += '"';
+                    continue;
+                }
+                this.inQuotes = false;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.quoteInQuotes = true;
+                } else {
+                    if (char === '\n' || char === '\r') {
+                        this.countLineBreak(char);
+                    }
+                    this.field += char;
+                }
+                // Only a \n straight after a \r is part of the same line break
+                if (char !== '\n' && char !== '\r') {
+                    this.skipLineFeed = false;
+                }
+                continue;
+            }
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (char === '"' && !this.field.trim()) {
+                // A quote opens a quoted field only at its start; elsewhere it is literal
+                this.inQuotes = true;
+                this.field = '';
+            } else if (char === delimiter) {
+                this.record.push(this.field);
+                this.field = '';
+            } else if (char === '\n' || char === '\r') {
+                records.push(this.endRecord());
+                this.countLineBreak(char);
+                this.recordLine = this.line;
+            } else {
+                this.field += char;
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Finish the input and return the last record, if any
+     * @returns {Array} Remaining records
+     */
+    flush() {
+        const records = [];
+
+        if (!this.delimiter) {
+            // Single-line input
+            const pending = this.pending;
+            this.pending = '';
+            this.delimiter = detectDelimiter(pending);
+            records.push(...this.push(pending));
+        }
+
+        if (this.field !== '' || this.record.length > 0 || this.inQuotes) {
+            // An unterminated quote keeps what was read rather than dropping the row
+            this.inQuotes = false;
+            this.quoteInQuotes = false;
+            records.push(this.endRecord());
+        }
+
+        return records;
+    }
+
+    /**
+     * Close the current record
+     */
+    endRecord() {
+        this.record.push(this.field);
+        const record = { cells: this.record, line: this.recordLine };
+        this.record = [];
+        this.field = '';
+        return record;
+    }
+
+    /**
+     * Count a line break, treating \r\n as one
+     */
+    countLineBreak(char) {
+        if (char === '\r') {
+            this.line++;
+            this.skipLineFeed = true;
+        } else if (this.skipLineFeed) {
+            this.skipLineFeed = false;
+        } else {
+            this.line++;
+        }
+    }
+}
+
+/**
+ * Read a slice of a File or Blob as bytes
+ */
+function readFileSlice(file, start, end) {
+    const slice = file.slice(start, end);
+    if (typeof slice.arrayBuffer === 'function') {
+        return slice.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        reader.readAsArrayBuffer(slice);
+    });
+}
+
+/**
+ * Read a whole file into memory in slices, reporting progress - for formats
+ * such as workbooks that can't be decoded a piece at a time
+ * @param {File|Blob} file - File to read
+ * @param {Object} options - { chunkSize, onProgress({ bytesRead, totalBytes }), isCancelled() }
+ * @returns {Promise<Uint8Array>} File contents
+ */
+async function readFileBytes(file, options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CSV_CHUNK_SIZE;
+    const onProgress = options.onProgress || (() => {});
+    const isCancelled = options.isCancelled || (() => false);
+
+    const bytes = new Uint8Array(file.size);
+    let bytesRead = 0;
+
+    while (bytesRead < file.size) {
+        if (isCancelled()) throw createCancelError();
+
+        const slice = await readFileSlice(file, bytesRead, Math.min(bytesRead + chunkSize, file.size));
+        bytes.set(slice, bytesRead);
+        bytesRead += slice.length;
+        onProgress({ bytesRead, totalBytes: file.size });
+    }
+
+    return bytes;
+}
+
+/**
+ * Stream a CSV file through the tokenizer without holding the whole text in memory
+ * @param {File|Blob} file - CSV file
+ * @param {Function} onRecord - Called with each record ({ cells, line })
+ * @param {Object} options - { chunkSize, delimiter, onProgress({ bytesRead, totalBytes, records, encoding }),
+ *                           isCancelled(), isDone() - stop early once enough has been read }
+ * @returns {Promise<Object>} { encoding, bom, delimiter, bytesRead, totalBytes, records, complete }
+ */
+async function streamCSVFile(file, onRecord, options = {}) {
+    const chunkSize = options.chunkSize || DEFAULT_CSV_CHUNK_SIZE;
+    const onProgress = options.onProgress || (() => {});
+    const isCancelled = options.isCancelled || (() => false);
+    const isDone = options.isDone || (() => false);
+
+    const tokenizer = new CSVTokenizer({ delimiter: options.delimiter });
+    const totalBytes = file.size;
+    let bytesRead = 0;
+    let records = 0;
+    let detected = { encoding: 'utf-8', bom: false };
+    let decoder = null;
+
+    const emit = batch => {
+        batch.forEach(record => {
+            records++;
+            onRecord(record);
+        });
+    };
+
+    while (bytesRead < totalBytes) {
+        if (isCancelled()) throw createCancelError();
+
+        const bytes = await readFileSlice(file, bytesRead, Math.min(bytesRead + chunkSize, totalBytes));
+        if (!decoder) {
+            detected = detectEncoding(bytes);
+            // The decoder strips the byte order mark itself
+            decoder = new TextDecoder(detected.encoding);
+        }
+
+        bytesRead += bytes.length;
+        emit(tokenizer.push(decoder.decode(bytes, { stream: true })));
+        onProgress({ bytesRead, totalBytes, records, encoding: detected.encoding });
+
+        if (isDone()) {
+            return {
+                encoding: detected.encoding,
+                bom: detected.bom,
+                delimiter: tokenizer.delimiter,
+                bytesRead,
+                totalBytes,
+                records,
+                complete: false
+            };
+        }
+    }
+
+    if (isCancelled()) throw createCancelError();
+
+    if (decoder) {
+        emit(tokenizer.push(decoder.decode()));
+    }
+    emit(tokenizer.flush());
+
+    return {
+        encoding: detected.encoding,
+        bom: detected.bom,
+        delimiter: tokenizer.delimiter,
+        bytesRead,
+        totalBytes,
+        records,
+        complete: true
+    };
+}
+
+/**
+ * Export the CSV stream reader
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_CSV_CHUNK_SIZE,
+        detectDelimiter,
+        detectEncoding,
+        createCancelError,
+        CSVTokenizer,
+        readFileBytes,
+        streamCSVFile
+    };
+} else {
+    // Make available globally - on the page and inside the parser worker
+    const scope = typeof window !== 'undefined' ? window : self;
+    scope.DEFAULT_CSV_CHUNK_SIZE = DEFAULT_CSV_CHUNK_SIZE;
+    scope.detectDelimiter = detectDelimiter;
+    scope.detectEncoding = detectEncoding;
+    scope.createCancelError = createCancelError;
+    scope.CSVTokenizer = CSVTokenizer;
+    scope.readFileBytes = readFileBytes;
+    scope.streamCSVFile = streamCSVFile;
+}
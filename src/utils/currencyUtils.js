@@ -6,64 +6,33 @@
  */
 
 class CurrencyUtils {
-    constructor() {
-        // Supported currencies with their properties
-        this.supportedCurrencies = {
-            'USD': {
-                name: 'US Dollar',
-                symbol: '$',
-                code: 'USD',
-                decimalPlaces: 2,
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            },
-            'EUR': {
-                name: 'Euro',
-                symbol: '€',
-                code: 'EUR',
-                decimalPlaces: 2,
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            },
-            'GBP': {
-                name: 'British Pound',
-                symbol: '£',
-                code: 'GBP',
-                decimalPlaces: 2,
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            },
-            'INR': {
-                name: 'Indian Rupee',
-                symbol: '₹',
-                code: 'INR',
-                decimalPlaces: 0, // Typically no decimals for INR salaries
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            },
-            'CAD': {
-                name: 'Canadian Dollar',
-                symbol: 'C$',
-                code: 'CAD',
-                decimalPlaces: 2,
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            },
-            'AUD': {
-                name: 'Australian Dollar',
-                symbol: 'A$',
-                code: 'AUD',
-                decimalPlaces: 2,
-                thousandsSeparator: ',',
-                decimalSeparator: '.',
-                symbolPosition: 'before'
-            }
-        };
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.locale - BCP 47 locale for formatting (default en-US)
+     */
+    constructor(options = {}) {
+        // Locale used to format amounts and to break ties when parsing them
+        this.locale = options.locale || 'en-US';
+
+        // Supported currencies with their properties, from the ISO 4217 table
+        this.supportedCurrencies = {};
+        Object.entries(ISO_4217_CURRENCIES).forEach(([code, info]) => {
+            this.supportedCurrencies[code] = {
+                name: info.name,
+                symbol: info.symbol,
+                code: code,
+                numeric: info.numeric,
+                minorUnits: info.minorUnits,
+                decimalPlaces: info.minorUnits === null ? 2 : info.minorUnits
+            };
+        });
+
+        // Typically no decimals for INR salaries
+        this.supportedCurrencies.INR.decimalPlaces = 0;
+
+        // Cached Intl formatters, keyed by locale, currency and style
+        this.formatters = new Map();
+        this.buildSymbolIndex();
 
         // Approximate exchange rates (in a real app, these would come from an API)
         this.exchangeRates = {
@@ -76,6 +45,10 @@ class CurrencyUtils {
         };
 
         this.lastUpdated = new Date().toISOString();
+
+        // Where the exchange rates came from, shown on reports
+        this.rateSource = 'Built-in approximate rates';
+        this.ratesAsOf = null;
     }
 
     /**
@@ -98,10 +71,46 @@ class CurrencyUtils {
     }
 
     /**
-     * Format amount according to currency rules
+     * Set the locale used for formatting
+     * @param {string} locale - BCP 47 locale (e.g. en-US, de-DE, en-IN)
+     */
+    setLocale(locale) {
+        this.locale = locale || 'en-US';
+    }
+
+    /**
+     * Get a cached Intl currency formatter
+     * @param {string} locale - BCP 47 locale
+     * @param {Object} currency - Currency information
+     * @param {boolean} compact - Use compact notation
+     * @returns {Intl.NumberFormat} Formatter
+     */
+    getFormatter(locale, currency, compact) {
+        const key = `${locale}|${currency.code}|${currency.decimalPlaces}|${compact}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.NumberFormat(locale, compact ? {
+                style: 'currency',
+                currency: currency.code,
+                currencyDisplay: 'narrowSymbol',
+                notation: 'compact',
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 1
+            } : {
+                style: 'currency',
+                currency: currency.code,
+                currencyDisplay: 'narrowSymbol',
+                minimumFractionDigits: currency.decimalPlaces,
+                maximumFractionDigits: currency.decimalPlaces
+            }));
+        }
+        return this.formatters.get(key);
+    }
+
+    /**
+     * Format amount according to currency rules and the locale's separators and symbol placement
      * @param {number} amount - Amount to format
      * @param {string} currencyCode - Currency code
-     * @param {Object} options - Formatting options
+     * @param {Object} options - Formatting options { showSymbol, showCode, compact, wholeUnits, locale }
      * @returns {string} Formatted amount
      */
     formatAmount(amount, currencyCode = 'USD', options = {}) {
@@ -113,39 +122,19 @@ class CurrencyUtils {
         const {
             showSymbol = true,
             showCode = false,
-            compact = false
+            compact = false,
+            wholeUnits = false,
+            locale = this.locale
         } = options;
 
         // Handle compact formatting for large numbers
-        if (compact && amount >= 1000) {
-            return this.formatCompactAmount(amount, currency, showSymbol, showCode);
-        }
-
-        // Format the number
-        const decimalPlaces = currency.decimalPlaces;
-        const formattedNumber = amount.toLocaleString('en-US', {
-            minimumFractionDigits: decimalPlaces,
-            maximumFractionDigits: decimalPlaces
-        });
-
-        // Build the formatted string
-        let result = '';
-        
-        if (showSymbol && currency.symbolPosition === 'before') {
-            result += currency.symbol;
-        }
-        
-        result += formattedNumber;
-        
-        if (showSymbol && currency.symbolPosition === 'after') {
-            result += currency.symbol;
-        }
-        
-        if (showCode) {
-            result += ` ${currency.code}`;
+        if (compact && Math.abs(amount) >= 1000) {
+            return this.formatCompactAmount(amount, currency, showSymbol, showCode, locale);
         }
 
-        return result;
+        // Reports round to whole units whatever the currency's minor units
+        const format = wholeUnits ? { ...currency, decimalPlaces: 0 } : currency;
+        return this.formatWithLocale(amount, format, { showSymbol, showCode, compact: false, locale });
     }
 
     /**
@@ -154,37 +143,35 @@ class CurrencyUtils {
      * @param {Object} currency - Currency information
      * @param {boolean} showSymbol - Whether to show currency symbol
      * @param {boolean} showCode - Whether to show currency code
+     * @param {string} locale - BCP 47 locale
      * @returns {string} Compact formatted amount
      */
-    formatCompactAmount(amount, currency, showSymbol, showCode) {
-        let value = amount;
-        let suffix = '';
-
-        if (value >= 1000000) {
-            value = value / 1000000;
-            suffix = 'M';
-        } else if (value >= 1000) {
-            value = value / 1000;
-            suffix = 'K';
+    formatCompactAmount(amount, currency, showSymbol, showCode, locale = this.locale) {
+        return this.formatWithLocale(amount, currency, { showSymbol, showCode, compact: true, locale });
+    }
+
+    /**
+     * Format with Intl, swapping in the table's symbol so it stays unambiguous
+     * @param {number} amount - Amount to format
+     * @param {Object} currency - Currency information
+     * @param {Object} options - { showSymbol, showCode, compact, locale }
+     * @returns {string} Formatted amount
+     */
+    formatWithLocale(amount, currency, options) {
+        let parts;
+        try {
+            parts = this.getFormatter(options.locale, currency, options.compact).formatToParts(amount);
+        } catch (error) {
+            // Unknown locale or a code Intl rejects
+            parts = this.getFormatter('en-US', { ...currency, code: 'XXX' }, options.compact).formatToParts(amount);
         }
 
-        // Round to 1 decimal place for compact format
-        const rounded = Math.round(value * 10) / 10;
-        const formattedValue = rounded % 1 === 0 ? rounded.toString() : rounded.toFixed(1);
+        let result = parts
+            .map(part => part.type === 'currency' ? (options.showSymbol ? currency.symbol : '') : part.value)
+            .join('')
+            .trim();
 
-        let result = '';
-        
-        if (showSymbol && currency.symbolPosition === 'before') {
-            result += currency.symbol;
-        }
-        
-        result += formattedValue + suffix;
-        
-        if (showSymbol && currency.symbolPosition === 'after') {
-            result += currency.symbol;
-        }
-        
-        if (showCode) {
+        if (options.showCode) {
             result += ` ${currency.code}`;
         }
 
@@ -340,7 +327,16 @@ class CurrencyUtils {
             'AUD': { minimum: 30000, maximum: 700000 }
         };
 
-        return ranges[currencyCode?.toUpperCase()] || { minimum: 0, maximum: Infinity };
+        const code = currencyCode?.toUpperCase();
+        if (ranges[code]) {
+            return ranges[code];
+        }
+
+        // Scale the USD range when there is an exchange rate for the currency
+        const rate = this.exchangeRates[code];
+        return rate
+            ? { minimum: ranges.USD.minimum * rate, maximum: ranges.USD.maximum * rate }
+            : { minimum: 0, maximum: Infinity };
     }
 
     /**
@@ -351,10 +347,33 @@ class CurrencyUtils {
         return Object.entries(this.supportedCurrencies).map(([code, info]) => ({
             code: code,
             name: info.name,
-            symbol: info.symbol
+            symbol: info.symbol,
+            decimalPlaces: info.decimalPlaces
         }));
     }
 
+    /**
+     * Index the currency symbols used for detection, longest first so "C$" wins over "$".
+     * Symbols shared by several currencies only count when ISO_4217_SYMBOL_PREFERENCES names one.
+     */
+    buildSymbolIndex() {
+        const bySymbol = {};
+        Object.values(this.supportedCurrencies).forEach(currency => {
+            if (currency.symbol === currency.code) return;
+            (bySymbol[currency.symbol] = bySymbol[currency.symbol] || []).push(currency.code);
+        });
+
+        this.symbolIndex = Object.entries(bySymbol)
+            .map(([symbol, codes]) => ({
+                symbol,
+                code: codes.length === 1 ? codes[0] : ISO_4217_SYMBOL_PREFERENCES[symbol],
+                // Letter symbols (kr, Rp, R) must not be part of a longer word
+                pattern: new RegExp(`(?<![\\p{L}])${symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}])`, 'u')
+            }))
+            .filter(entry => entry.code)
+            .sort((a, b) => b.symbol.length - a.symbol.length);
+    }
+
     /**
      * Detect currency from a formatted string
      * @param {string} formattedAmount - Formatted amount string
@@ -366,36 +385,101 @@ class CurrencyUtils {
         }
 
         const cleanValue = formattedAmount.trim();
-        
-        // Check for currency symbols and codes
-        for (const [code, info] of Object.entries(this.supportedCurrencies)) {
-            // Check for symbol
-            if (cleanValue.includes(info.symbol)) {
-                return { currency: code, confidence: 0.9, detectedBy: 'symbol' };
-            }
-            
-            // Check for currency code
-            const codeRegex = new RegExp(`\\b${code}\\b`, 'i');
-            if (codeRegex.test(cleanValue)) {
-                return { currency: code, confidence: 0.8, detectedBy: 'code' };
-            }
+
+        // Check for currency codes first - they are unambiguous
+        const codes = cleanValue.match(/(?<![A-Za-z])[A-Z]{3}(?![A-Za-z])/g) || [];
+        const code = codes.find(candidate => this.supportedCurrencies[candidate]);
+        if (code) {
+            return { currency: code, confidence: 0.9, detectedBy: 'code' };
+        }
+
+        // Check for currency symbols
+        const match = this.symbolIndex.find(entry => entry.pattern.test(cleanValue));
+        if (match) {
+            return { currency: match.code, confidence: 0.8, detectedBy: 'symbol' };
         }
 
         // Default to USD if no currency detected
         return { currency: 'USD', confidence: 0.3, detectedBy: 'default' };
     }
 
+    /**
+     * Get a locale's group and decimal separators
+     * @param {string} locale - BCP 47 locale
+     * @returns {Object} { group, decimal }
+     */
+    getLocaleSeparators(locale = this.locale) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(1234567.89);
+        return {
+            group: (parts.find(part => part.type === 'group') || { value: ',' }).value,
+            decimal: (parts.find(part => part.type === 'decimal') || { value: '.' }).value
+        };
+    }
+
+    /**
+     * Parse a number written with any common grouping convention
+     * (1,234.56 / 1.234,56 / 1 234,56 / 1'234.56 / 12,34,567). The last of "." and ","
+     * is the decimal separator; a lone separator followed by exactly three digits is
+     * ambiguous ("1.234") and is read using the locale.
+     * @param {string} value - Number text
+     * @param {string} locale - BCP 47 locale used for ambiguous input
+     * @returns {number} Parsed number, NaN if not a number
+     */
+    parseLocaleNumber(value, locale = this.locale) {
+        let text = String(value).trim();
+
+        const negative = /^\(.*\)$/.test(text) || /^[-\u2212]|[-\u2212]$/.test(text);
+        text = text.replace(/[()\-\u2212+]/g, '');
+
+        // Spaces and apostrophes are only ever group separators
+        text = text.replace(/[\s\u00a0\u202f'\u2019]/g, '');
+        if (!/^[\d.,]*\d[\d.,]*$/.test(text)) {
+            return NaN;
+        }
+
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+        let decimal = null;
+
+        if (lastDot >= 0 && lastComma >= 0) {
+            decimal = lastDot > lastComma ? '.' : ',';
+        } else if (lastDot >= 0 || lastComma >= 0) {
+            const separator = lastDot >= 0 ? '.' : ',';
+            const occurrences = text.split(separator).length - 1;
+            const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+
+            if (occurrences === 1 && digitsAfter !== 3) {
+                decimal = separator;
+            } else if (occurrences === 1) {
+                decimal = this.getLocaleSeparators(locale).decimal === separator ? separator : null;
+            }
+        }
+
+        const [integerPart, fractionPart] = decimal
+            ? [text.slice(0, text.lastIndexOf(decimal)), text.slice(text.lastIndexOf(decimal) + 1)]
+            : [text, ''];
+        const number = parseFloat(`${integerPart.replace(/[.,]/g, '')}.${fractionPart || '0'}`);
+
+        return negative ? -number : number;
+    }
+
     /**
      * Parse a formatted currency string to extract amount and currency
      * @param {string} formattedAmount - Formatted amount string
+     * @param {Object} options - Parsing options
+     * @param {string} options.locale - Locale for ambiguous separators (default this.locale)
+     * @param {string} options.currency - Currency code, when known, instead of detecting it
      * @returns {Object} Parsed result
      */
-    parseFormattedAmount(formattedAmount) {
+    parseFormattedAmount(formattedAmount, options = {}) {
         if (!formattedAmount || typeof formattedAmount !== 'string') {
             throw new Error('Invalid formatted amount');
         }
 
-        const detection = this.detectCurrency(formattedAmount);
+        const locale = options.locale || this.locale;
+        const detection = options.currency && this.isValidCurrency(options.currency)
+            ? { currency: options.currency.toUpperCase(), confidence: 1 }
+            : this.detectCurrency(formattedAmount);
         const currency = detection.currency;
         
         // Remove currency symbols and codes
@@ -406,9 +490,13 @@ class CurrencyUtils {
             cleanValue = cleanValue.replace(new RegExp(`\\b${currency}\\b`, 'gi'), '');
         }
         
-        // Remove formatting and extract number
-        cleanValue = cleanValue.replace(/[,\s]/g, '').trim();
-        const amount = parseFloat(cleanValue);
+        // Drop anything else that isn't part of the number (unrecognized symbols, stray punctuation)
+        cleanValue = cleanValue
+            .replace(/[^\d.,\s\u00a0\u202f'\u2019()\-\u2212+]/g, '')
+            .trim()
+            .replace(/^[.,]+|[.,]+$/g, '');
+        
+        const amount = this.parseLocaleNumber(cleanValue, locale);
         
         if (isNaN(amount)) {
             throw new Error('Unable to parse amount from formatted string');
@@ -417,7 +505,7 @@ class CurrencyUtils {
         return {
             amount: amount,
             currency: currency,
-            formatted: this.formatAmount(amount, currency),
+            formatted: this.formatAmount(amount, currency, { locale }),
             confidence: detection.confidence
         };
     }
@@ -451,12 +539,62 @@ class CurrencyUtils {
     }
 
     /**
-     * Update exchange rates (placeholder for real API integration)
-     * @param {Object} newRates - New exchange rates object
+     * Update exchange rates
+     * @param {Object} newRates - Units of each currency per USD, keyed by currency code
+     * @param {Object} options - Rate provenance
+     * @param {string} options.source - Where the rates came from (e.g. the file name)
+     * @param {string} options.asOf - ISO date the rates are effective from
      */
-    updateExchangeRates(newRates) {
+    updateExchangeRates(newRates, options = {}) {
+        Object.keys(newRates).forEach(code => this.registerCurrency(code));
+
         this.exchangeRates = { ...this.exchangeRates, ...newRates };
         this.lastUpdated = new Date().toISOString();
+
+        if (options.source) {
+            this.rateSource = options.source;
+            this.ratesAsOf = options.asOf || null;
+        }
+    }
+
+    /**
+     * Add a currency that isn't in the ISO 4217 table so it can be converted and formatted
+     * @param {string} currencyCode - ISO 4217 currency code
+     */
+    registerCurrency(currencyCode) {
+        const code = currencyCode?.toUpperCase();
+        if (!code || this.supportedCurrencies[code]) return;
+
+        this.supportedCurrencies[code] = {
+            name: code,
+            symbol: code,
+            code: code,
+            numeric: null,
+            minorUnits: 2,
+            decimalPlaces: 2
+        };
+    }
+
+    /**
+     * Get the currencies that have an exchange rate, for reporting currency choices
+     * @returns {Array} Currency codes
+     */
+    getRatedCurrencies() {
+        return Object.keys(this.exchangeRates).filter(code => this.isValidCurrency(code)).sort();
+    }
+
+    /**
+     * Describe the exchange rates in use for reports
+     * @returns {Object} { source, asOf, rates, description }
+     */
+    getRateInfo() {
+        const asOf = this.ratesAsOf ? new Date(this.ratesAsOf).toLocaleDateString() : null;
+        return {
+            source: this.rateSource,
+            asOf: this.ratesAsOf,
+            rates: { ...this.exchangeRates },
+            description: asOf ? `${this.rateSource}, effective ${asOf}` : this.rateSource
+        };
     }
 }
 
@@ -268,6 +268,24 @@ class DataIntegrityChecker {
                 }
             ],
             
+            // FTE validation (same range the parser accepts)
+            fte: [
+                {
+                    name: 'valid_range',
+                    category: this.categories.RANGE,
+                    severity: this.severity.HIGH,
+                    validate: (value) => {
+                        if (value === null || value === undefined) return true;
+                        return typeof value === 'number' && value > 0 && value <= 1.5;
+                    },
+                    message: 'FTE must be greater than 0 and at most 1.5'
+                }
+            ],
+            
+            // Date validation
+            latestHireDate: this.createDateRules('Latest hire date'),
+            lastSalaryChangeDate: this.createDateRules('Last salary change date'),
+            
             // Time since raise validation
             timeSinceRaise: [
                 {
@@ -285,6 +303,32 @@ class DataIntegrityChecker {
         };
     }
 
+    /**
+     * Rules for an optional date field: a valid date, not in the future
+     * @param {string} label - Field label for messages
+     * @returns {Array} Validation rules
+     */
+    createDateRules(label) {
+        const toDate = value => value instanceof Date ? value : new Date(value);
+        
+        return [
+            {
+                name: 'valid_date',
+                category: this.categories.FORMAT,
+                severity: this.severity.HIGH,
+                validate: (value) => !value || !isNaN(toDate(value).getTime()),
+                message: `${label} is not a valid date`
+            },
+            {
+                name: 'not_in_future',
+                category: this.categories.RANGE,
+                severity: this.severity.MEDIUM,
+                validate: (value) => !value || isNaN(toDate(value).getTime()) || toDate(value) <= new Date(),
+                message: `${label} is in the future`
+            }
+        ];
+    }
+
     /**
      * Initialize business logic validation rules
      */
@@ -306,8 +350,10 @@ class DataIntegrityChecker {
                     
                     if (peers.length === 0) return true;
                     
-                    const avgSalary = peers.reduce((sum, emp) => sum + (emp.salary?.amount || 0), 0) / peers.length;
-                    const expectedComparatio = employee.salary.amount / avgSalary;
+                    // Compare FTE-annualized salaries so part-time employees aren't flagged
+                    const fteSalary = emp => (emp.salary?.amount || 0) / (emp.fte || 1);
+                    const avgSalary = peers.reduce((sum, emp) => sum + fteSalary(emp), 0) / peers.length;
+                    const expectedComparatio = fteSalary(employee) / avgSalary;
                     const difference = Math.abs(employee.comparatio - expectedComparatio);
                     
                     return difference <= 0.3; // Allow 30% variance
@@ -545,6 +591,45 @@ class DataIntegrityChecker {
         return fieldResults;
     }
 
+    /**
+     * Validate one employee's fields, e.g. while the employee is being edited
+     * @param {Object} employee - Employee data
+     * @param {Array} allEmployees - All employees, for rules such as unique IDs
+     * @param {Array} fieldNames - Fields to check (default: every field with rules)
+     * @returns {Array} Issues { field, rule, category, severity, message, value }
+     */
+    validateEmployeeFields(employee, allEmployees = [], fieldNames = Object.keys(this.validationRules)) {
+        const issues = [];
+        
+        fieldNames.forEach(fieldName => {
+            const fieldValue = employee[fieldName];
+            
+            (this.validationRules[fieldName] || []).forEach(rule => {
+                let isValid;
+                let message = rule.message;
+                try {
+                    isValid = rule.validate(fieldValue, employee, allEmployees);
+                } catch (error) {
+                    isValid = false;
+                    message = `Validation error: ${error.message}`;
+                }
+                
+                if (!isValid) {
+                    issues.push({
+                        field: fieldName,
+                        rule: rule.name,
+                        category: rule.category,
+                        severity: rule.severity,
+                        message,
+                        value: fieldValue
+                    });
+                }
+            });
+        });
+        
+        return issues;
+    }
+
     /**
      * Validate business rules
      * @param {Array} employees - Array of employees
@@ -0,0 +1,189 @@
+/**
+ * Data Store
+ *
+ * Central store over the app state. Changes are published on named topics
+ * ('employees', 'orgScope', 'reportingCurrency', ...), and values derived from
+ * the state are defined as selectors that depend on topics or on other
+ * selectors. A selector is computed when first read and recomputed only after
+ * something it depends on changed. Views subscribe to the topics and selectors
+ * they show, and hear about each batch of changes once.
+ *
+ * Change: { topic: 'employees', detail: { reason: 'merge' } }
+ */
+
+// Rounds of changes made by listeners before a flush gives up (guards against listeners feeding each other)
+const DATA_STORE_MAX_FLUSHES = 20;
+
+class DataStore {
+    /**
+     * @param {Object} state - State object the store reads and writes (e.g. AppState)
+     */
+    constructor(state = {}) {
+        this.state = state;
+        this.listeners = [];
+
+        // Selector name -> { dependencies, compute }
+        this.selectors = new Map();
+        // Selector name -> computed value, until a dependency changes
+        this.cache = new Map();
+
+        // Changes not yet delivered to listeners
+        this.pending = [];
+        this.batchDepth = 0;
+        this.flushing = false;
+    }
+
+    /**
+     * Read a state value
+     * @param {string} key - State key
+     * @returns {*} Value
+     */
+    get(key) {
+        return this.state[key];
+    }
+
+    /**
+     * Write a state value and publish the change on the topic of the same name
+     * @param {string} key - State key
+     * @param {*} value - New value
+     * @param {Object} detail - What changed, passed to listeners
+     */
+    set(key, value, detail = {}) {
+        this.state[key] = value;
+        this.emit(key, detail);
+    }
+
+    /**
+     * Define a derived value
+     * @param {string} name - Selector name, usable as a dependency and subscription topic
+     * @param {Array} dependencies - Topics and selectors it's derived from
+     * @param {Function} compute - (state, store) => value
+     */
+    defineSelector(name, dependencies, compute) {
+        this.selectors.set(name, { dependencies, compute });
+        this.cache.delete(name);
+    }
+
+    /**
+     * Read a derived value, computing it if something it depends on changed since it was last read
+     * @param {string} name - Selector name
+     * @returns {*} Value
+     */
+    select(name) {
+        const selector = this.selectors.get(name);
+        if (!selector) {
+            throw new Error(`Unknown data store selector "${name}"`);
+        }
+
+        if (!this.cache.has(name)) {
+            this.cache.set(name, selector.compute(this.state, this));
+        }
+        return this.cache.get(name);
+    }
+
+    /**
+     * Publish a change; listeners hear about it straight away, or at the end of the current batch
+     * @param {string} topic - Topic that changed
+     * @param {Object} detail - What changed, passed to listeners
+     */
+    emit(topic, detail = {}) {
+        this.pending.push({ topic, detail });
+        // Derived values must not be read stale while the batch is still running
+        this.getAffected([topic]).forEach(name => this.cache.delete(name));
+
+        if (this.batchDepth === 0) this.flush();
+    }
+
+    /**
+     * Make several changes and notify listeners once, after all of them
+     * @param {Function} change - Makes the changes
+     * @returns {*} Result of change()
+     */
+    batch(change) {
+        this.batchDepth++;
+        try {
+            return change();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) this.flush();
+        }
+    }
+
+    /**
+     * Topics and selectors affected by changes on some topics - the topics themselves
+     * and every selector depending on them, directly or through other selectors
+     * @param {Array} topics - Changed topics
+     * @returns {Set} Affected topic and selector names
+     */
+    getAffected(topics) {
+        const affected = new Set(topics);
+        let grew = true;
+
+        while (grew) {
+            grew = false;
+            this.selectors.forEach((selector, name) => {
+                if (!affected.has(name) && selector.dependencies.some(dependency => affected.has(dependency))) {
+                    affected.add(name);
+                    grew = true;
+                }
+            });
+        }
+        return affected;
+    }
+
+    /**
+     * Deliver pending changes. Changes listeners make while being notified are
+     * delivered in a following round rather than in the middle of this one.
+     */
+    flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        try {
+            for (let round = 0; this.pending.length > 0; round++) {
+                if (round === DATA_STORE_MAX_FLUSHES) {
+                    console.error('Data store: listeners kept changing data, dropped:', this.pending.map(change => change.topic));
+                    this.pending = [];
+                    break;
+                }
+
+                const changes = this.pending;
+                this.pending = [];
+                const affected = this.getAffected(changes.map(change => change.topic));
+
+                this.listeners.forEach(({ topics, listener }) => {
+                    if (topics && !topics.some(topic => affected.has(topic))) return;
+                    try {
+                        listener(changes, affected);
+                    } catch (error) {
+                        console.error('Data store listener failed:', error);
+                    }
+                });
+            }
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    /**
+     * Subscribe to changes
+     * @param {Array|null} topics - Topics and selectors to hear about (null for every change)
+     * @param {Function} listener - Called with (changes, affected) after each batch touching them
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(topics, listener) {
+        const subscription = { topics, listener };
+        this.listeners.push(subscription);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== subscription);
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DataStore
+    };
+} else {
+    window.DataStore = DataStore;
+}
@@ -2,13 +2,18 @@
  * Data Validator Utility
  * 
  * Handles data validation, duplicate detection, and merging capabilities
- * for employee data processing.
+ * for employee data processing. Duplicate detection compares only records
+ * that share a blocking key and runs in a Web Worker for large files.
  */
 
 class DataValidator {
     constructor() {
         this.duplicates = [];
         this.mergeHistory = [];
+        this.workerUrl = 'src/utils/dataValidatorWorker.js';
+
+        // Name blocks larger than this (very common surnames) are not compared
+        this.maxBlockSize = 500;
     }
 
     /**
@@ -17,44 +22,211 @@ class DataValidator {
      * @returns {Object} Duplicate detection results
      */
     detectDuplicates(employees) {
-        this.duplicates = [];
-        const duplicateGroups = new Map();
-        const processed = new Set();
-
-        for (let i = 0; i < employees.length; i++) {
-            if (processed.has(i)) continue;
+        return this.buildDuplicateResults(employees, this.findDuplicateIndexGroups(employees));
+    }
 
-            const employee = employees[i];
-            const duplicateGroup = [i];
+    /**
+     * Detect duplicates in a Web Worker so large files don't block the page,
+     * falling back to the main thread where workers are unavailable
+     * @param {Array} employees - Array of employee objects
+     * @param {Object} options - { onProgress({ compared, totalComparisons, percent }) }
+     * @returns {Promise<Object>} Duplicate detection results
+     */
+    detectDuplicatesAsync(employees, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const runOnMainThread = () => this.buildDuplicateResults(
+            employees,
+            this.findDuplicateIndexGroups(employees, { onProgress })
+        );
 
-            // Find potential duplicates
-            for (let j = i + 1; j < employees.length; j++) {
-                if (processed.has(j)) continue;
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve().then(runOnMainThread);
+        }
 
-                const otherEmployee = employees[j];
-                const similarity = this.calculateSimilarity(employee, otherEmployee);
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('Duplicate detection worker unavailable, running on the main thread:', error.message);
+                resolve(runOnMainThread());
+                return;
+            }
 
-                if (similarity.isDuplicate) {
-                    duplicateGroup.push(j);
-                    processed.add(j);
+            worker.onmessage = (event) => {
+                const message = event.data || {};
+
+                if (message.type === 'progress') {
+                    onProgress(message);
+                } else if (message.type === 'done') {
+                    worker.terminate();
+                    resolve(this.buildDuplicateResults(employees, message.groups));
+                } else if (message.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(message.message));
                 }
+            };
+
+            worker.onerror = (event) => {
+                // The worker script failed to load or crashed - run here instead
+                event.preventDefault();
+                console.warn('Duplicate detection worker failed, running on the main thread:', event.message);
+                worker.terminate();
+                resolve(runOnMainThread());
+            };
+
+            // Only the compared fields are sent - employee objects can be large
+            worker.postMessage({
+                type: 'detect',
+                employees: employees.map(employee => this.getComparableFields(employee))
+            });
+        });
+    }
+
+    /**
+     * Get the fields duplicate detection compares
+     * @param {Object} employee - Employee object
+     * @returns {Object} Comparable fields
+     */
+    getComparableFields(employee) {
+        return {
+            name: employee.name,
+            title: employee.title,
+            country: employee.country,
+            salary: employee.salary ? { amount: employee.salary.amount } : null,
+            employeeNumber: employee.employeeNumber
+        };
+    }
+
+    /**
+     * Find groups of duplicate records. Only records sharing a blocking key
+     * (see getBlockingKeys) are compared, instead of every pair. Records with
+     * the same employee number are always duplicates; records with different
+     * employee numbers never are.
+     * @param {Array} employees - Array of employee objects
+     * @param {Object} options - { onProgress({ compared, totalComparisons, percent }) }
+     * @returns {Array} Groups as { indices, confidence }, ordered by first index
+     */
+    findDuplicateIndexGroups(employees, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const parent = employees.map((employee, index) => index);
+        const find = index => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
             }
+            return index;
+        };
+        // Employee number of each group root, so a record without one can't
+        // join two records with different numbers
+        const numbers = employees.map(employee => this.normalizeEmployeeNumber(employee.employeeNumber));
+        const groupNumbers = [...numbers];
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return true;
+            if (groupNumbers[rootA] && groupNumbers[rootB] && groupNumbers[rootA] !== groupNumbers[rootB]) return false;
+
+            const root = Math.min(rootA, rootB);
+            parent[Math.max(rootA, rootB)] = root;
+            groupNumbers[root] = groupNumbers[rootA] || groupNumbers[rootB];
+            return true;
+        };
+
+        // Group records into blocks by key
+        const blocks = new Map();
+        employees.forEach((employee, index) => {
+            this.getBlockingKeys(employee).forEach(key => {
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(index);
+            });
+        });
 
-            if (duplicateGroup.length > 1) {
-                const groupId = `dup_${Date.now()}_${i}`;
-                duplicateGroups.set(groupId, {
-                    id: groupId,
-                    indices: duplicateGroup,
-                    employees: duplicateGroup.map(idx => employees[idx]),
-                    confidence: this.calculateGroupConfidence(duplicateGroup.map(idx => employees[idx])),
-                    suggestedMerge: this.suggestMerge(duplicateGroup.map(idx => employees[idx]))
+        // Exact employee number matches take precedence over similarity
+        const numberMatched = new Set();
+        const candidatePairs = new Set();
+        blocks.forEach((indices, key) => {
+            if (indices.length < 2) return;
+
+            if (key.startsWith('num:')) {
+                indices.forEach(index => {
+                    union(indices[0], index);
+                    numberMatched.add(index);
                 });
+                return;
             }
 
-            processed.add(i);
-        }
+            if (indices.length > this.maxBlockSize) {
+                console.warn(`Duplicate detection: skipping ${indices.length}-record block "${key}"`);
+                return;
+            }
 
-        this.duplicates = Array.from(duplicateGroups.values());
+            for (let i = 0; i < indices.length; i++) {
+                for (let j = i + 1; j < indices.length; j++) {
+                    const a = indices[i];
+                    const b = indices[j];
+                    if (numbers[a] && numbers[b]) continue; // Employee numbers decide
+                    candidatePairs.add(a * employees.length + b);
+                }
+            }
+        });
+
+        const totalComparisons = candidatePairs.size;
+        const progressStep = Math.max(1, Math.floor(totalComparisons / 100));
+        let compared = 0;
+
+        candidatePairs.forEach(pair => {
+            const a = Math.floor(pair / employees.length);
+            const b = pair % employees.length;
+
+            if (find(a) !== find(b) && this.calculateSimilarity(employees[a], employees[b]).isDuplicate) {
+                union(a, b);
+            }
+
+            compared++;
+            if (compared % progressStep === 0) {
+                onProgress({ compared, totalComparisons, percent: Math.round((compared / totalComparisons) * 100) });
+            }
+        });
+        onProgress({ compared, totalComparisons, percent: 100 });
+
+        const groups = new Map();
+        employees.forEach((employee, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(index);
+        });
+
+        return Array.from(groups.values())
+            .filter(indices => indices.length > 1)
+            .sort((a, b) => a[0] - b[0])
+            .map(indices => ({
+                indices,
+                confidence: indices.every(index => numberMatched.has(index))
+                    ? 1
+                    : this.calculateGroupConfidence(indices.map(index => employees[index]))
+            }));
+    }
+
+    /**
+     * Build the duplicate detection results from groups of record indices
+     * @param {Array} employees - Array of employee objects
+     * @param {Array} indexGroups - Groups from findDuplicateIndexGroups
+     * @returns {Object} Duplicate detection results
+     */
+    buildDuplicateResults(employees, indexGroups) {
+        const now = Date.now();
+
+        this.duplicates = indexGroups.map(({ indices, confidence }) => {
+            const groupEmployees = indices.map(idx => employees[idx]);
+            return {
+                id: `dup_${now}_${indices[0]}`,
+                indices,
+                employees: groupEmployees,
+                confidence,
+                suggestedMerge: this.suggestMerge(groupEmployees)
+            };
+        });
 
         return {
             duplicateGroups: this.duplicates,
@@ -69,6 +241,89 @@ class DataValidator {
         };
     }
 
+    /**
+     * Get the blocking keys of a record - records are only compared with
+     * records sharing at least one key
+     * @param {Object} employee - Employee object
+     * @returns {Array} Keys: employee number, surname, surname sound and
+     *                  first/last name sounds in either order (catches swapped names),
+     *                  or the whole name for scripts Soundex can't code (Cyrillic, CJK...)
+     */
+    getBlockingKeys(employee) {
+        const keys = [];
+
+        const number = this.normalizeEmployeeNumber(employee.employeeNumber);
+        if (number) keys.push(`num:${number}`);
+
+        const parts = this.getNameParts(employee.name);
+        if (parts.length > 0) {
+            const surname = parts[parts.length - 1];
+            keys.push(`sur:${surname}`);
+            keys.push(`snd:${this.soundex(surname)}`);
+        }
+        if (parts.length > 1) {
+            const codes = [this.soundex(parts[0]), this.soundex(parts[parts.length - 1])].sort();
+            keys.push(`pair:${codes.join('|')}`);
+        }
+        if (parts.length === 0) {
+            const fullName = (employee.name || '').normalize('NFKD').toLowerCase().replace(/\s+/g, ' ').trim();
+            if (fullName) keys.push(`name:${fullName}`);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Split a name into lowercase Latin parts without accents, punctuation or suffixes
+     * (full-width letters fold to Latin; other scripts give no parts)
+     * @param {string} name - Employee name
+     * @returns {Array} Name parts
+     */
+    getNameParts(name) {
+        return (name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(part => part && !['jr', 'sr', 'ii', 'iii', 'iv'].includes(part));
+    }
+
+    /**
+     * Normalize an employee number for exact matching ("00123" and "123" match)
+     * @param {string} value - Employee number
+     * @returns {string} Normalized number, or '' when missing
+     */
+    normalizeEmployeeNumber(value) {
+        const cleaned = (value == null ? '' : String(value)).trim().toUpperCase();
+        return /^\d+$/.test(cleaned) ? cleaned.replace(/^0+(?=\d)/, '') : cleaned;
+    }
+
+    /**
+     * American Soundex code of a word - names that sound alike share a code
+     * @param {string} word - Lowercase word
+     * @returns {string} Four-character code, e.g. "r163" for robert and rupert
+     */
+    soundex(word) {
+        const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+        let result = word[0];
+        let previous = codes[word[0]];
+
+        for (let i = 1; i < word.length && result.length < 4; i++) {
+            const char = word[i];
+            const code = codes[char];
+            if (code && code !== previous) {
+                result += code;
+            }
+            // h and w don't separate letters with the same code; vowels do
+            if (char !== 'h' && char !== 'w') {
+                previous = code;
+            }
+        }
+
+        return result.padEnd(4, '0');
+    }
+
     /**
      * Calculate similarity between two employees
      * @param {Object} emp1 - First employee
@@ -158,8 +413,8 @@ class DataValidator {
      * @returns {string} Cleaned name
      */
     cleanName(name) {
-        return name.toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove punctuation
+        return name.normalize('NFKC').toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '') // Remove punctuation, keeping letters of any script
             .replace(/\s+/g, ' ')    // Normalize spaces
             .trim();
     }
@@ -408,41 +663,157 @@ class DataValidator {
      * Execute merge of duplicate employees
      * @param {string} groupId - ID of the duplicate group
      * @param {Array} employees - Full employee array
-     * @param {Object} mergeDecision - User's merge decision
+     * @param {Object} mergeDecision - User's merge decision: { selections, primaryIndex } (see createMergedRecord)
      * @returns {Array} Updated employee array
      */
-    executeMerge(groupId, employees, mergeDecision) {
+    executeMerge(groupId, employees, mergeDecision = {}) {
         const duplicateGroup = this.duplicates.find(group => group.id === groupId);
         if (!duplicateGroup) {
             throw new Error('Duplicate group not found');
         }
 
-        // Create merged employee
-        const mergedEmployee = mergeDecision.mergedEmployee || duplicateGroup.suggestedMerge.mergedEmployee;
-        
-        // Remove original employees and add merged one
-        const indicesToRemove = duplicateGroup.indices.sort((a, b) => b - a); // Sort descending
-        const updatedEmployees = [...employees];
-
-        // Remove duplicates (in reverse order to maintain indices)
-        for (const index of indicesToRemove) {
-            updatedEmployees.splice(index, 1);
-        }
+        const originals = duplicateGroup.indices.map(index => employees[index]);
+        const baseIndex = originals.indexOf(this.findMostCompleteEmployee(originals));
+        const mergedEmployee = this.createMergedRecord(
+            originals,
+            mergeDecision.selections,
+            mergeDecision.primaryIndex !== undefined ? mergeDecision.primaryIndex : baseIndex
+        );
 
-        // Add merged employee
-        updatedEmployees.push({
-            ...mergedEmployee,
-            id: `merged_${Date.now()}`,
-            mergedFrom: duplicateGroup.indices.map(idx => employees[idx].id),
-            mergedAt: new Date().toISOString()
-        });
+        // Replace the originals with the merged record where the first of them was
+        const removed = new Set(originals);
+        const updatedEmployees = employees.filter(employee => !removed.has(employee));
+        updatedEmployees.splice(Math.min(...duplicateGroup.indices), 0, mergedEmployee);
 
         // Record merge history
         this.mergeHistory.push({
             groupId,
-            originalEmployees: duplicateGroup.employees,
+            action: 'merge',
+            mergedId: mergedEmployee.id,
+            originalEmployees: originals,
             mergedEmployee,
-            mergedAt: new Date().toISOString()
+            mergedAt: mergedEmployee.mergedAt
+        });
+
+        return updatedEmployees;
+    }
+
+    /**
+     * Build the record that replaces merged employees. It keeps the id and employee
+     * number of the primary record, so raises and approvals stay linked to it, and
+     * the originals in its mergeHistory so the merge can be split again.
+     * @param {Array} originals - Records being merged
+     * @param {Object} selections - Field name -> index of the record whose value is kept
+     *     (fields not listed come from the primary record)
+     * @param {number} primaryIndex - Record that provides the id, employee number and unselected fields
+     * @returns {Object} Merged record
+     */
+    createMergedRecord(originals, selections = {}, primaryIndex = 0) {
+        if (!originals || originals.length < 2) {
+            throw new Error('At least two records are needed to merge');
+        }
+
+        const primary = originals[primaryIndex] || originals[0];
+        const merged = structuredClone(primary);
+
+        Object.entries(selections || {}).forEach(([field, sourceIndex]) => {
+            const source = originals[sourceIndex];
+            if (!source) return;
+
+            if (source[field] === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = structuredClone(source[field]);
+            }
+        });
+
+        const mergedAt = new Date().toISOString();
+        merged.id = primary.id;
+        merged.employeeNumber = primary.employeeNumber;
+        merged.isMerged = true;
+        merged.isDuplicate = false;
+        merged.mergedAt = mergedAt;
+        merged.mergedFrom = originals.map(employee => employee.id);
+        merged.mergeHistory = [
+            ...(primary.mergeHistory || []),
+            {
+                action: 'merge',
+                at: mergedAt,
+                mergedFrom: merged.mergedFrom,
+                primaryId: primary.id,
+                originals: originals.map(employee => structuredClone(employee))
+            }
+        ];
+
+        return merged;
+    }
+
+    /**
+     * Whether a record was produced by a merge that can be split again
+     * @param {Object} employee - Employee record
+     * @returns {boolean} Whether splitMergedRecord will work
+     */
+    canSplit(employee) {
+        return !!this.getLastMerge(employee);
+    }
+
+    /**
+     * Latest merge that produced a record
+     * @param {Object} employee - Employee record
+     * @returns {Object|null} Merge history entry with the original records
+     */
+    getLastMerge(employee) {
+        if (!employee || !employee.isMerged || !Array.isArray(employee.mergeHistory)) return null;
+
+        const merges = employee.mergeHistory.filter(entry => entry.action === 'merge' && Array.isArray(entry.originals));
+        return merges.length > 0 ? merges[merges.length - 1] : null;
+    }
+
+    /**
+     * Split a merged record back into the records it was merged from. Edits made to
+     * the merged record after the merge are not carried over to the originals.
+     * @param {Object} mergedRecord - Merged record
+     * @returns {Array} Original records, each with a split entry added to its mergeHistory
+     */
+    splitMergedRecord(mergedRecord) {
+        const merge = this.getLastMerge(mergedRecord);
+        if (!merge) {
+            throw new Error(`${mergedRecord.name || 'This record'} has no merge history to split`);
+        }
+
+        const splitAt = new Date().toISOString();
+        return merge.originals.map(original => {
+            const employee = structuredClone(original);
+            employee.mergeHistory = [
+                ...(employee.mergeHistory || []),
+                { action: 'split', at: splitAt, mergedFrom: merge.mergedFrom, primaryId: merge.primaryId }
+            ];
+            return employee;
+        });
+    }
+
+    /**
+     * Replace a merged record with its originals
+     * @param {Array} employees - Full employee array
+     * @param {Object} mergedRecord - Merged record in the array
+     * @returns {Array} Updated employee array
+     */
+    executeUnmerge(employees, mergedRecord) {
+        const index = employees.indexOf(mergedRecord);
+        if (index === -1) {
+            throw new Error('Merged record not found');
+        }
+
+        const originals = this.splitMergedRecord(mergedRecord);
+        const updatedEmployees = [...employees];
+        updatedEmployees.splice(index, 1, ...originals);
+
+        this.mergeHistory.push({
+            action: 'split',
+            mergedId: mergedRecord.id,
+            originalEmployees: originals,
+            mergedEmployee: mergedRecord,
+            splitAt: new Date().toISOString()
         });
 
         return updatedEmployees;
@@ -495,5 +866,5 @@ class DataValidator {
     }
 }
 
-// Export for use in other modules
-window.DataValidator = DataValidator; 
\ No newline at end of file
+// Export for use in other modules - on the page and inside the duplicate detection worker
+(typeof window !== 'undefined' ? window : self).DataValidator = DataValidator; 
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * Data Validator Worker
+ *
+ * Finds duplicate employee records off the main thread so large uploads
+ * don't freeze the UI. Only the indices of each group are sent back;
+ * DataValidator builds the groups from the page's own employee objects.
+ *
+ * Messages in:  { type: 'detect', employees } - fields from DataValidator.getComparableFields
+ * Messages out: { type: 'progress', compared, totalComparisons, percent },
+ *               { type: 'done', groups }, { type: 'error', message }
+ */
+
+importScripts('dataValidator.js');
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+    if (message.type !== 'detect') return;
+
+    try {
+        const validator = new DataValidator();
+        const groups = validator.findDuplicateIndexGroups(message.employees || [], {
+            onProgress: progress => self.postMessage({ type: 'progress', ...progress })
+        });
+        self.postMessage({ type: 'done', groups });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,473 @@
+/**
+ * Employee Model
+ *
+ * The canonical shape of an employee record and the one adapter components
+ * read it through. Records come from CSVParser (schema below); the model adds
+ * derived getters so no component has to know how a value is stored:
+ *
+ *   const employee = toEmployeeModel(record);
+ *   employee.baseSalary        // annual base pay in the employee's currency
+ *   employee.normalizedSalary  // the same in the reporting currency
+ *   employee.rating            // performance rating 1-5
+ *
+ * Reading a field the model doesn't have (e.g. `currentSalary` or `jobTitle`
+ * from older code) and values that are missing from the data are reported as
+ * data warnings instead of silently computing on undefined.
+ */
+
+// Version of the record shape - bump when CSVParser's output changes and add a step to upgradeRecord
+const EMPLOYEE_SCHEMA_VERSION = 3;
+
+// Fields a parsed record can have (schema version 3)
+const EMPLOYEE_RECORD_FIELDS = [
+    'schemaVersion', 'id', 'rowNumber', 'employeeNumber', 'name', 'title', 'country', 'countryCode',
+    'salary', 'fte', 'timeType', 'scheduledWeeklyHours', 'currencyRateToUSD', 'comparatio',
+    'comparatioMismatch', 'performanceRating', 'futureTalent', 'managerName', 'managerEmployeeNumber',
+    'orgPath', 'location', 'costCenter', 'gradeBand', 'managementLevel', 'jobFunction', 'latestHireDate',
+    'lastSalaryChangeDate', 'timeSinceRaise', 'timeInRole', 'belowRangeMinimum', 'payRange',
+    'rangePosition', 'totalCompensation', 'riskIndicators', 'processedAt',
+    // Set by the app after parsing
+    'normalizedSalary', 'normalizedCompensation', 'isDuplicate', 'isMerged', 'mergedAt',
+    'mergedFrom', 'mergeHistory', 'changeLog', 'proposedRaise'
+];
+
+// Names other code and older sessions use for model fields
+const EMPLOYEE_FIELD_ALIASES = {
+    currentSalary: 'baseSalary',
+    performance: 'rating',
+    jobTitle: 'title',
+    department: 'jobFunction',
+    tenure: 'tenureYears'
+};
+
+// Properties looked up by the runtime and libraries rather than by components
+const IGNORED_PROPERTIES = new Set(['then', 'toJSON', 'constructor', 'nodeType', 'length', '$$typeof', 'prototype']);
+
+class EmployeeModel {
+    /**
+     * @param {Object} record - Employee record from CSVParser
+     * @param {EmployeeAdapter} adapter - Adapter that reports data warnings
+     */
+    constructor(record, adapter) {
+        this.record = record;
+        this.adapter = adapter;
+    }
+
+    get schemaVersion() {
+        return this.record.schemaVersion || 1;
+    }
+
+    get id() {
+        return this.record.id;
+    }
+
+    get employeeNumber() {
+        return this.record.employeeNumber || null;
+    }
+
+    get name() {
+        return this.record.name || '';
+    }
+
+    get title() {
+        return this.record.title || '';
+    }
+
+    get country() {
+        return this.record.country || '';
+    }
+
+    get countryCode() {
+        return this.record.countryCode || null;
+    }
+
+    /**
+     * Currency of the employee's pay
+     */
+    get currency() {
+        return (this.record.salary && this.record.salary.currency) || 'USD';
+    }
+
+    /**
+     * Annual base pay in the employee's currency - the amount the pay range applies to
+     * (Base Pay All Countries when the file has it), or null if the record has no salary
+     */
+    get baseSalary() {
+        const record = this.record;
+        const amount = (record.rangePosition && record.rangePosition.basisAmount) ||
+            (record.salary && record.salary.amount);
+
+        if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+            this.adapter.reportMissing('baseSalary', record, 'no base salary');
+            return null;
+        }
+        return amount;
+    }
+
+    /**
+     * Annual base pay in the reporting currency on the selected salary basis,
+     * or null if it can't be converted
+     */
+    get normalizedSalary() {
+        const record = this.record;
+        if (typeof record.normalizedSalary === 'number' && isFinite(record.normalizedSalary)) {
+            return record.normalizedSalary;
+        }
+
+        // Not normalized yet - salaries already in the reporting currency need no conversion
+        if (record.normalizedSalary === undefined && this.currency === this.adapter.reportingCurrency) {
+            return this.baseSalary;
+        }
+
+        this.adapter.reportMissing('normalizedSalary', record,
+            `a salary that can't be converted to ${this.adapter.reportingCurrency}`);
+        return null;
+    }
+
+    get fte() {
+        const fte = this.record.fte;
+        return typeof fte === 'number' && fte > 0 ? fte : 1;
+    }
+
+    /**
+     * Performance rating 1-5, or null if the employee has no rating
+     */
+    get rating() {
+        const rating = this.record.performanceRating;
+        const numeric = rating && typeof rating === 'object' ? rating.numeric : parseFloat(rating);
+
+        if (typeof numeric !== 'number' || !(numeric >= 1 && numeric <= 5)) {
+            this.adapter.reportMissing('rating', this.record, 'no performance rating');
+            return null;
+        }
+        return numeric;
+    }
+
+    get ratingText() {
+        const rating = this.record.performanceRating;
+        if (!rating) return '';
+        return typeof rating === 'object' ? rating.text || '' : String(rating);
+    }
+
+    /**
+     * Salary ÷ pay range midpoint, calculated from the pay range when there is one
+     */
+    get comparatio() {
+        const record = this.record;
+        const comparatio = (record.rangePosition && record.rangePosition.comparatio) || parseFloat(record.comparatio);
+        return comparatio > 0 ? comparatio : null;
+    }
+
+    /**
+     * Months since the latest hire date
+     */
+    get timeInRole() {
+        return typeof this.record.timeInRole === 'number' ? this.record.timeInRole : null;
+    }
+
+    /**
+     * Years since the latest hire date
+     */
+    get tenureYears() {
+        return this.timeInRole === null ? null : this.timeInRole / 12;
+    }
+
+    /**
+     * Months since the last salary change
+     */
+    get timeSinceRaise() {
+        return typeof this.record.timeSinceRaise === 'number' ? this.record.timeSinceRaise : null;
+    }
+
+    get futureTalent() {
+        return !!this.record.futureTalent;
+    }
+
+    get managerName() {
+        return this.record.managerName || null;
+    }
+
+    /**
+     * Plain copy of the record with the derived values, e.g. for exports
+     */
+    toJSON() {
+        return {
+            ...this.record,
+            schemaVersion: this.schemaVersion,
+            baseSalary: this.baseSalary,
+            currency: this.currency,
+            normalizedSalary: this.normalizedSalary,
+            rating: this.rating,
+            ratingText: this.ratingText
+        };
+    }
+}
+
+// Getters every model has, which aren't stored on the record
+const EMPLOYEE_MODEL_FIELDS = Object.getOwnPropertyNames(EmployeeModel.prototype)
+    .filter(name => name !== 'constructor' && name !== 'toJSON');
+
+class EmployeeAdapter {
+    constructor() {
+        this.reportingCurrency = 'USD';
+        this.models = new WeakMap();
+        this.listeners = [];
+
+        // Data warnings by key: { key, field, message, employees: Set of ids }
+        this.warnings = new Map();
+    }
+
+    /**
+     * Set the currency normalizedSalary is expressed in
+     * @param {string} currency - Reporting currency code
+     */
+    setReportingCurrency(currency) {
+        this.reportingCurrency = currency;
+    }
+
+    /**
+     * Get the model for a record. Models are views - they always read the record's
+     * current values - and are cached, so calling this in a loop is cheap.
+     * @param {Object} record - Employee record (or an object spread from one)
+     * @returns {EmployeeModel} Model
+     */
+    model(record) {
+        if (record instanceof EmployeeModel) {
+            return record;
+        }
+        if (!this.models.has(record)) {
+            this.models.set(record, this.createProxy(new EmployeeModel(record, this)));
+        }
+        return this.models.get(record);
+    }
+
+    /**
+     * Wrap a model so fields it doesn't have are reported instead of read as undefined.
+     * Record fields outside the model's getters are passed through, and spreading a
+     * model gives a plain object with the record's fields and the derived values.
+     */
+    createProxy(model) {
+        const adapter = this;
+        const isModelField = prop => EMPLOYEE_MODEL_FIELDS.includes(prop);
+        const read = prop => isModelField(prop) || prop in model ? model[prop] : model.record[prop];
+
+        return new Proxy(model, {
+            get(target, prop) {
+                if (typeof prop === 'symbol' || prop in target) {
+                    return Reflect.get(target, prop);
+                }
+                if (Object.prototype.hasOwnProperty.call(target.record, prop) || EMPLOYEE_RECORD_FIELDS.includes(prop)) {
+                    return target.record[prop];
+                }
+                if (IGNORED_PROPERTIES.has(prop)) {
+                    return undefined;
+                }
+
+                const alias = EMPLOYEE_FIELD_ALIASES[prop];
+                adapter.reportField(prop, alias);
+                if (!alias) return undefined;
+                return alias in target ? target[alias] : target.record[alias];
+            },
+            set(target, prop, value) {
+                if (isModelField(prop) && !EMPLOYEE_RECORD_FIELDS.includes(prop)) {
+                    throw new TypeError(`Employee ${prop} is derived from the record and can't be set`);
+                }
+                target.record[prop] = value;
+                return true;
+            },
+            ownKeys(target) {
+                return [...new Set([...Reflect.ownKeys(target.record), ...EMPLOYEE_MODEL_FIELDS])];
+            },
+            getOwnPropertyDescriptor(target, prop) {
+                if (!isModelField(prop) && !Object.prototype.hasOwnProperty.call(target.record, prop)) {
+                    return undefined;
+                }
+                return { value: read(prop), enumerable: true, configurable: true, writable: true };
+            }
+        });
+    }
+
+    /**
+     * Get models for a list of records
+     * @param {Array} records - Employee records
+     * @returns {Array} Models
+     */
+    toModels(records) {
+        return (records || []).map(record => this.model(record));
+    }
+
+    /**
+     * Bring a record from an older session or another tool up to the current schema
+     * in place: plain-number salaries, `currentSalary`, `performance` and `jobTitle`
+     * become salary, performanceRating and title (v2), and records saved before cost
+     * centers were read get an empty costCenter, reported as missing (v3)
+     * @param {Object} record - Employee record
+     * @returns {Object} The record
+     */
+    upgradeRecord(record) {
+        const version = record.schemaVersion || 1;
+        if (version >= EMPLOYEE_SCHEMA_VERSION) return record;
+
+        if (version < 2) {
+            this.upgradeToVersion2(record);
+        }
+
+        if (version < 3 && !('costCenter' in record)) {
+            record.costCenter = null;
+            this.reportMissing('costCenter', record, 'no cost center (saved before cost centers were read)');
+        }
+
+        record.schemaVersion = EMPLOYEE_SCHEMA_VERSION;
+        return record;
+    }
+
+    /**
+     * Schema v2: salary and performance rating objects, title instead of jobTitle
+     * @param {Object} record - Employee record
+     */
+    upgradeToVersion2(record) {
+        if (!record.salary || typeof record.salary !== 'object') {
+            const amount = parseFloat(record.salary != null ? record.salary : record.currentSalary);
+            record.salary = isNaN(amount) ? null : { amount, currency: record.currency || 'USD' };
+        }
+        delete record.currentSalary;
+
+        if (!record.performanceRating && record.performance != null) {
+            const numeric = parseFloat(record.performance);
+            record.performanceRating = isNaN(numeric) ? null : { numeric, text: String(record.performance) };
+        } else if (record.performanceRating && typeof record.performanceRating !== 'object') {
+            const numeric = parseFloat(record.performanceRating);
+            record.performanceRating = { numeric: isNaN(numeric) ? null : numeric, text: String(record.performanceRating) };
+        }
+        delete record.performance;
+
+        if (!record.title && record.jobTitle) {
+            record.title = record.jobTitle;
+        }
+        delete record.jobTitle;
+    }
+
+    /**
+     * Upgrade a list of records in place
+     * @param {Array} records - Employee records
+     * @returns {Array} The records
+     */
+    upgradeRecords(records) {
+        (records || []).forEach(record => this.upgradeRecord(record));
+        return records;
+    }
+
+    /**
+     * Report a value that's missing from an employee's data
+     * @param {string} field - Model field
+     * @param {Object} record - Employee record
+     * @param {string} problem - What's wrong, e.g. "no performance rating"
+     */
+    reportMissing(field, record, problem) {
+        this.addWarning(`missing:${field}`, field, record, count =>
+            `${count} employee${count === 1 ? '' : 's'} with ${problem} - left out of figures that need it`);
+    }
+
+    /**
+     * Report code reading a field the model doesn't have
+     * @param {string} field - Field that was read
+     * @param {string} alias - Model field it maps to, if any
+     */
+    reportField(field, alias) {
+        const message = alias
+            ? `Employee field "${field}" was read, but the employee model calls it "${alias}" - using "${alias}"`
+            : `Employee field "${field}" isn't part of the employee model (schema v${EMPLOYEE_SCHEMA_VERSION}) - figures using it may be wrong`;
+        console.warn(message);
+        this.addWarning(`field:${field}`, field, null, () => message);
+    }
+
+    /**
+     * Add or update a data warning; listeners hear about each warning once
+     */
+    addWarning(key, field, record, describe) {
+        let warning = this.warnings.get(key);
+        const isNew = !warning;
+        if (isNew) {
+            warning = { key, field, employees: new Set(), message: '' };
+            this.warnings.set(key, warning);
+        }
+
+        if (record) warning.employees.add(record.id || record.name);
+        warning.message = describe(warning.employees.size);
+
+        if (isNew) this.notify(warning);
+    }
+
+    /**
+     * Current data warnings
+     * @returns {Array} Warnings { key, field, message, count }
+     */
+    getWarnings() {
+        return Array.from(this.warnings.values()).map(warning => ({
+            key: warning.key,
+            field: warning.field,
+            message: warning.message,
+            count: warning.employees.size
+        }));
+    }
+
+    /**
+     * Forget data warnings, e.g. when other data is loaded
+     */
+    clearWarnings() {
+        this.warnings.clear();
+    }
+
+    /**
+     * Subscribe to new data warnings
+     * @param {Function} listener - Called with the warning the first time it occurs
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * Notify listeners of a new warning
+     */
+    notify(warning) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(warning);
+            } catch (error) {
+                console.error('Employee data warning listener failed:', error);
+            }
+        });
+    }
+}
+
+// Shared adapter every component reads employees through
+const employeeAdapter = new EmployeeAdapter();
+
+/**
+ * Get the employee model for a record through the shared adapter
+ * @param {Object} record - Employee record
+ * @returns {EmployeeModel} Model
+ */
+function toEmployeeModel(record) {
+    return employeeAdapter.model(record);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EMPLOYEE_SCHEMA_VERSION,
+        EmployeeModel,
+        EmployeeAdapter,
+        employeeAdapter,
+        toEmployeeModel
+    };
+} else {
+    window.EMPLOYEE_SCHEMA_VERSION = EMPLOYEE_SCHEMA_VERSION;
+    window.EmployeeModel = EmployeeModel;
+    window.EmployeeAdapter = EmployeeAdapter;
+    window.employeeAdapter = employeeAdapter;
+    window.toEmployeeModel = toEmployeeModel;
+}
@@ -2,18 +2,27 @@
  * Export Manager
  * 
  * Comprehensive export system for Team Analyzer data and reports.
- * Supports multiple export formats including Google Sheets, CSV, and PDF.
+ * Supports multiple export formats including Google Sheets, CSV, Excel, and PDF.
  * 
  * Features:
  * - Google Sheets integration
  * - CSV export with custom formatting
- * - PDF report generation
- * - Excel-compatible formats
+ * - Leadership PDF reports with charts, per-country tables and an anonymized appendix (built in, works offline)
+ * - Multi-sheet Excel workbooks with live formulas (built in, works offline)
  * - Batch export capabilities
  * - Export templates and customization
  * - Progress tracking for large exports
  */
 
+// Sheet names in Excel exports - formulas refer to the recommendations sheet by name
+const EXCEL_SHEET_NAMES = {
+    summary: 'Summary',
+    employees: 'Employees',
+    recommendations: 'Recommendations',
+    budgetByCountry: 'Budget by Country',
+    approvals: 'Approvals'
+};
+
 class ExportManager {
     constructor() {
         this.exportFormats = {
@@ -42,6 +51,14 @@ class ExportManager {
         
         this.isGoogleSheetsReady = false;
         this.exportProgress = {};
+        
+        // Currency that amounts are reported in, set per export from the data
+        this.reportingCurrency = 'USD';
+        
+        // Set while a PDF is drawn - its standard fonts can't show every currency symbol
+        this.formattingForPdf = false;
+        
+        this.currencyUtils = null;
     }
 
     /**
@@ -212,47 +229,40 @@ class ExportManager {
     async exportToPDF(data, template, options, exportId) {
         this.updateProgress(exportId, 'preparing', 10);
         
-        // Load jsPDF library if not already loaded
-        await this.loadJsPDF();
+        const report = this.createPdfReport(data, template, options);
         
-        this.updateProgress(exportId, 'generating', 30);
+        this.updateProgress(exportId, 'generating', 60);
         
-        const pdfData = this.prepareDataForTemplate(data, template);
-        const pdf = this.generatePDF(pdfData, template, options);
+        const bytes = report.toBytes();
         
         this.updateProgress(exportId, 'downloading', 90);
         
         const filename = this.generateFilename(template, 'pdf', options);
-        pdf.save(filename);
+        this.downloadFile(bytes, filename, PDF_MIME_TYPE);
         
         this.updateProgress(exportId, 'completed', 100);
-        return { success: true, filename, format: 'PDF' };
+        return { success: true, filename, format: 'PDF', pages: report.pages.length };
     }
 
     /**
      * Export to Excel format
      */
     async exportToExcel(data, template, options, exportId) {
-        this.updateProgress(exportId, 'preparing', 10);
-        
-        // Load SheetJS library if not already loaded
-        await this.loadSheetJS();
-        
         this.updateProgress(exportId, 'processing', 30);
         
-        const excelData = this.prepareDataForTemplate(data, template);
+        const workbook = this.createExcelWorkbook(data, template, options);
         
         this.updateProgress(exportId, 'generating', 60);
         
-        const workbook = this.createExcelWorkbook(excelData, template, options);
+        const bytes = writeXlsxWorkbook(workbook);
         
         this.updateProgress(exportId, 'downloading', 90);
         
         const filename = this.generateFilename(template, 'xlsx', options);
-        XLSX.writeFile(workbook, filename);
+        this.downloadFile(bytes, filename, XLSX_MIME_TYPE);
         
         this.updateProgress(exportId, 'completed', 100);
-        return { success: true, filename, format: 'Excel' };
+        return { success: true, filename, format: 'Excel', sheets: workbook.sheets.map(sheet => sheet.name) };
     }
 
     /**
@@ -280,22 +290,43 @@ class ExportManager {
      * Prepare data based on template
      */
     prepareDataForTemplate(data, template) {
+        this.reportingCurrency = (data.rateInfo && data.rateInfo.reportingCurrency) || 'USD';
+        
+        let prepared;
         switch (template) {
             case this.exportTemplates.EMPLOYEE_DATA:
-                return this.prepareEmployeeData(data);
+                prepared = this.prepareEmployeeData(data);
+                break;
             case this.exportTemplates.SALARY_ANALYSIS:
-                return this.prepareSalaryAnalysis(data);
+                prepared = this.prepareSalaryAnalysis(data);
+                break;
             case this.exportTemplates.RAISE_RECOMMENDATIONS:
-                return this.prepareRaiseRecommendations(data);
+                prepared = this.prepareRaiseRecommendations(data);
+                break;
             case this.exportTemplates.BUDGET_ANALYSIS:
-                return this.prepareBudgetAnalysis(data);
+                prepared = this.prepareBudgetAnalysis(data);
+                break;
             case this.exportTemplates.RISK_ASSESSMENT:
-                return this.prepareRiskAssessment(data);
+                prepared = this.prepareRiskAssessment(data);
+                break;
             case this.exportTemplates.COMPREHENSIVE_REPORT:
-                return this.prepareComprehensiveReport(data);
+                prepared = this.prepareComprehensiveReport(data);
+                break;
             default:
                 return data;
         }
+        
+        prepared.currencyNote = this.getCurrencyNote(data.rateInfo);
+        return prepared;
+    }
+
+    /**
+     * Describe the reporting currency and exchange rate source for report headers
+     */
+    getCurrencyNote(rateInfo) {
+        const source = rateInfo && rateInfo.description ? rateInfo.description : 'Built-in approximate rates';
+        const basis = rateInfo && rateInfo.salaryBasis === 'actual' ? 'actual cost' : 'annualized FTE';
+        return `Amounts in ${this.reportingCurrency} (${basis}). Exchange rates: ${source}`;
     }
 
     /**
@@ -308,30 +339,35 @@ class ExportManager {
             title: 'Employee Data Export',
             timestamp: new Date().toISOString(),
             headers: [
-                'Employee ID', 'Name', 'Email', 'Department', 'Job Title', 
-                'Country', 'Salary', 'Currency', 'Performance Rating', 
-                'Tenure', 'Last Raise Date', 'Manager', 'Future Talent'
+                'Employee ID', 'Name', 'Job Function', 'Job Title', 
+                'Country', 'Salary', 'Currency', `Salary (${this.reportingCurrency})`, 'FTE', 'Performance Rating', 
+                'Time in Role (months)', 'Last Salary Change', 'Manager', 'Future Talent'
             ],
-            rows: employees.map(emp => [
-                emp.id || '',
-                emp.name || '',
-                emp.email || '',
-                emp.department || '',
-                emp.jobTitle || '',
-                emp.country || '',
-                emp.salary || '',
-                emp.currency || 'USD',
-                emp.performanceRating || '',
-                emp.tenure || '',
-                emp.lastRaiseDate || '',
-                emp.manager || '',
-                emp.futureTalent || ''
-            ]),
+            rows: employees.map(toEmployeeModel).map(emp => {
+                const lastChange = this.toExcelDate(emp.lastSalaryChangeDate);
+                return [
+                    emp.employeeNumber || emp.id || '',
+                    emp.name,
+                    emp.jobFunction || '',
+                    emp.title,
+                    emp.country,
+                    emp.baseSalary !== null ? emp.baseSalary : '',
+                    emp.currency,
+                    emp.normalizedSalary !== null ? Math.round(emp.normalizedSalary) : '',
+                    emp.fte,
+                    emp.ratingText,
+                    emp.timeInRole !== null ? emp.timeInRole : '',
+                    lastChange ? lastChange.toISOString().split('T')[0] : '',
+                    emp.managerName || '',
+                    emp.futureTalent ? 'Yes' : 'No'
+                ];
+            }),
             summary: {
                 totalEmployees: employees.length,
-                departments: [...new Set(employees.map(emp => emp.department))].length,
+                jobFunctions: [...new Set(employees.map(emp => emp.jobFunction).filter(Boolean))].length,
                 countries: [...new Set(employees.map(emp => emp.country))].length,
-                avgSalary: employees.reduce((sum, emp) => sum + parseFloat(emp.salary || 0), 0) / employees.length
+                reportingCurrency: this.reportingCurrency,
+                avgSalary: employees.reduce((sum, emp) => sum + (toEmployeeModel(emp).normalizedSalary || 0), 0) / employees.length
             }
         };
     }
@@ -358,27 +394,124 @@ class ExportManager {
      * Prepare raise recommendations for export
      */
     prepareRaiseRecommendations(data) {
-        const { recommendations, budgetImpact } = data;
+        const recommendations = data.raiseRecommendations || data.recommendations || [];
+        const table = this.getRecommendationTable(recommendations, data.rateInfo);
         
         return {
             title: 'Raise Recommendations',
             timestamp: new Date().toISOString(),
+            headers: table.headers,
+            rows: table.rows,
+            summary: this.getBudgetTableSummary(data, recommendations)
+        };
+    }
+    
+    /**
+     * Recommendation rows for tabular exports - local amounts with reporting-currency equivalents
+     * @returns {Object} { headers, rows }
+     */
+    getRecommendationTable(recommendations, rateInfo) {
+        const currency = this.reportingCurrency;
+        const round = value => value === null ? '' : Math.round(value);
+        
+        return {
             headers: [
-                'Employee Name', 'Current Salary', 'Recommended Raise %', 
-                'New Salary', 'Justification', 'Priority', 'Budget Impact'
+                'Employee ID', 'Name', 'Title', 'Country', 'Currency', 'Current Salary', 'Raise %', 'New Salary',
+                `Current Salary (${currency})`, `Raise Amount (${currency})`, `New Salary (${currency})`,
+                'Status', 'Justification'
             ],
-            rows: recommendations.map(rec => [
-                rec.employeeName,
-                this.formatCurrency(rec.currentSalary),
-                `${rec.raisePercentage}%`,
-                this.formatCurrency(rec.newSalary),
-                rec.justification,
-                rec.priority,
-                this.formatCurrency(rec.budgetImpact)
-            ]),
-            budgetSummary: budgetImpact
+            rows: recommendations.map(rec => {
+                const amounts = this.getRecommendationAmounts(rec, rateInfo);
+                return [
+                    rec.employeeNumber || rec.id || '',
+                    rec.name || rec.employeeName || '',
+                    toEmployeeModel(rec).title,
+                    rec.country || '',
+                    amounts.currency,
+                    Math.round(amounts.current),
+                    `${(amounts.percentage * 100).toFixed(1)}%`,
+                    Math.round(amounts.current + amounts.raise),
+                    round(amounts.currentReporting),
+                    round(amounts.raiseReporting),
+                    amounts.rate === null ? '' : Math.round(amounts.currentReporting + amounts.raiseReporting),
+                    rec.status || 'pending',
+                    rec.justification || ''
+                ];
+            })
+        };
+    }
+    
+    /**
+     * Raise budget per country in the reporting currency, with a total row
+     * @returns {Object} { headers, rows }
+     */
+    getCountryBudgetTable(recommendations, rateInfo) {
+        const currency = this.reportingCurrency;
+        const byCountry = {};
+        
+        recommendations.forEach(rec => {
+            const country = rec.country || 'Unknown';
+            const amounts = this.getRecommendationAmounts(rec, rateInfo);
+            if (!byCountry[country]) byCountry[country] = { count: 0, payroll: 0, raises: 0 };
+            byCountry[country].count++;
+            byCountry[country].payroll += amounts.currentReporting || 0;
+            // Rejected raises aren't part of the budget
+            if (rec.status !== 'rejected') byCountry[country].raises += amounts.raiseReporting || 0;
+        });
+        
+        const toRow = (country, totals) => [
+            country,
+            totals.count,
+            Math.round(totals.payroll),
+            Math.round(totals.raises),
+            totals.payroll ? `${(totals.raises / totals.payroll * 100).toFixed(1)}%` : '0.0%',
+            Math.round(totals.payroll + totals.raises)
+        ];
+        const countries = Object.keys(byCountry).sort();
+        const total = countries.reduce((sum, country) => ({
+            count: sum.count + byCountry[country].count,
+            payroll: sum.payroll + byCountry[country].payroll,
+            raises: sum.raises + byCountry[country].raises
+        }), { count: 0, payroll: 0, raises: 0 });
+        
+        return {
+            headers: [
+                'Country', 'Employees', `Current Payroll (${currency})`, `Raise Budget (${currency})`,
+                'Raise % of Payroll', `New Payroll (${currency})`
+            ],
+            rows: [...countries.map(country => toRow(country, byCountry[country])), toRow('Total', total)]
         };
     }
+    
+    /**
+     * Headline budget figures in the reporting currency for tabular exports
+     */
+    getBudgetTableSummary(data, recommendations) {
+        const totals = recommendations.reduce((sum, rec) => {
+            const amounts = this.getRecommendationAmounts(rec, data.rateInfo);
+            if (amounts.rate === null) {
+                sum.missingRates.add(amounts.currency);
+                return sum;
+            }
+            sum.payroll += amounts.currentReporting;
+            if (rec.status !== 'rejected') sum.raises += amounts.raiseReporting;
+            return sum;
+        }, { payroll: 0, raises: 0, missingRates: new Set() });
+        const budget = this.getAllottedBudget(data, totals.payroll);
+        
+        const summary = {
+            reportingCurrency: this.reportingCurrency,
+            recommendations: recommendations.length,
+            currentPayroll: this.formatCurrency(totals.payroll),
+            plannedRaises: this.formatCurrency(totals.raises),
+            raiseBudget: `${this.formatCurrency(budget.amount)} (${budget.source})`,
+            remainingBudget: this.formatCurrency(budget.amount - totals.raises)
+        };
+        if (totals.missingRates.size > 0) {
+            summary.missingRates = `No rate to ${this.reportingCurrency} for ${[...totals.missingRates].join(', ')} - left out of totals`;
+        }
+        return summary;
+    }
 
     /**
      * Convert data to CSV format
@@ -391,7 +524,11 @@ class ExportManager {
         // Add title and metadata
         if (data.title) {
             csv += `"${data.title}"\n`;
-            csv += `"Generated: ${new Date().toLocaleString()}"\n\n`;
+            csv += `"Generated: ${new Date().toLocaleString()}"\n`;
+            if (data.currencyNote) {
+                csv += `"${data.currencyNote.replace(/"/g, '""')}"\n`;
+            }
+            csv += '\n';
         }
         
         // Add headers
@@ -406,6 +543,15 @@ class ExportManager {
             });
         }
         
+        // Further tables, e.g. the recommendations behind a budget
+        (data.sections || []).forEach(section => {
+            csv += `\n"${section.title}"\n`;
+            csv += section.headers.map(header => `"${header}"`).join(delimiter) + '\n';
+            section.rows.forEach(row => {
+                csv += row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(delimiter) + '\n';
+            });
+        });
+        
         // Add summary if available
         if (data.summary) {
             csv += '\n"Summary"\n';
@@ -447,6 +593,30 @@ class ExportManager {
             });
         }
         
+        // Add reporting currency and rate source
+        if (data.currencyNote) {
+            requests.push({
+                updateCells: {
+                    range: {
+                        sheetId: 0,
+                        startRowIndex: 1,
+                        endRowIndex: 2,
+                        startColumnIndex: 0,
+                        endColumnIndex: 1
+                    },
+                    rows: [{
+                        values: [{
+                            userEnteredValue: { stringValue: data.currencyNote },
+                            userEnteredFormat: {
+                                textFormat: { italic: true }
+                            }
+                        }]
+                    }],
+                    fields: 'userEnteredValue,userEnteredFormat'
+                }
+            });
+        }
+        
         // Add headers
         if (data.headers) {
             const headerRow = data.headers.map(header => ({
@@ -541,112 +711,807 @@ class ExportManager {
     }
 
     /**
-     * Generate PDF document
+     * Create the leadership PDF report: cover, executive summary, charts,
+     * per-country tables and an anonymized employee appendix, with page
+     * numbers and a confidentiality footer on every page
+     * @returns {PdfDocument} Report
      */
-    generatePDF(data, template, options) {
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF();
+    createPdfReport(data, template, options = {}) {
+        this.reportingCurrency = (data.rateInfo && data.rateInfo.reportingCurrency) || 'USD';
         
-        let yPosition = 20;
+        const title = this.getReportTitle(template);
+        const doc = new PdfDocument({ title, author: 'Team Analyzer' });
         
-        // Add title
-        if (data.title) {
-            pdf.setFontSize(16);
-            pdf.setFont(undefined, 'bold');
-            pdf.text(data.title, 20, yPosition);
-            yPosition += 15;
+        this.formattingForPdf = true;
+        try {
+            const summary = this.getReportSummary(data);
+            this.drawPdfCover(doc, title, data, summary);
+            this.drawPdfExecutiveSummary(doc, summary, options);
+            if (options.includeCharts !== false) {
+                this.drawPdfCharts(doc, data.charts || []);
+            }
+            this.drawPdfCountryTables(doc, summary);
+            this.drawPdfAppendix(doc, summary);
+        } finally {
+            this.formattingForPdf = false;
         }
         
-        // Add timestamp
-        pdf.setFontSize(10);
-        pdf.setFont(undefined, 'normal');
-        pdf.text(`Generated: ${new Date().toLocaleString()}`, 20, yPosition);
-        yPosition += 20;
-        
-        // Add table if data has headers and rows
-        if (data.headers && data.rows) {
-            pdf.autoTable({
-                head: [data.headers],
-                body: data.rows,
-                startY: yPosition,
-                styles: { fontSize: 8 },
-                headStyles: { fillColor: [200, 200, 200] }
-            });
+        doc.forEachPage((page, pageCount) => {
+            const footerY = doc.height - doc.margin + 16;
+            doc.line(doc.margin, footerY - 6, doc.width - doc.margin, footerY - 6, { color: '#d1d5db' });
+            doc.text(`Confidential – ${title}`, doc.margin, footerY, { size: 8, color: '#6b7280' });
+            doc.text(`Page ${page + 1} of ${pageCount}`, doc.width - doc.margin, footerY, { size: 8, color: '#6b7280', align: 'right' });
+        });
+        
+        return doc;
+    }
+
+    /**
+     * Figures behind the PDF report, in the reporting currency
+     * @returns {Object} { items, employees, payroll, budgetUsed, budget, vpSignOffs, risks, countries, ... }
+     */
+    getReportSummary(data) {
+        const employees = data.employees || [];
+        const recommendations = data.raiseRecommendations || data.recommendations || [];
+        const hasRecommendations = recommendations.length > 0;
+        
+        // Without recommendations the report still covers headcount and payroll
+        const records = hasRecommendations
+            ? recommendations
+            : employees.map(emp => ({ ...emp, recommendation: { percentage: 0 } }));
+        
+        const items = records.map(rec => {
+            const amounts = this.getRecommendationAmounts(rec, data.rateInfo);
+            const active = rec.status !== 'rejected';
+            return {
+                rec,
+                amounts,
+                active,
+                requiresApproval: active && !!(rec.validation && rec.validation.requiresApproval)
+            };
+        });
+        
+        // Anonymized references, in appendix order
+        items.sort((a, b) => (a.rec.country || '').localeCompare(b.rec.country || '') ||
+            (a.rec.title || '').localeCompare(b.rec.title || '') ||
+            (a.rec.name || '').localeCompare(b.rec.name || ''));
+        items.forEach((item, index) => {
+            item.ref = `EMP-${String(index + 1).padStart(3, '0')}`;
+        });
+        
+        const payroll = items.reduce((sum, item) => sum + (item.amounts.currentReporting || 0), 0);
+        const budgetUsed = items.reduce((sum, item) => sum + (item.active ? item.amounts.raiseReporting || 0 : 0), 0);
+        
+        return {
+            items,
+            hasRecommendations,
+            employeeCount: employees.length || items.length,
+            payroll,
+            budgetUsed,
+            budget: this.getAllottedBudget(data, payroll),
+            vpSignOffs: items.filter(item => item.requiresApproval).length,
+            pendingApprovals: (data.approvals || []).filter(item => item.status === 'pending').length,
+            risks: this.getRetentionRisks(items),
+            countries: this.groupReportItemsByCountry(items),
+            missingRates: [...new Set(items.filter(item => item.amounts.rate === null).map(item => item.amounts.currency))],
+            currencyNote: this.getCurrencyNote(data.rateInfo)
+        };
+    }
+
+    /**
+     * Raise budget allotted - the Budget Planning target, else the raise settings' budget % of payroll
+     * @returns {Object} { amount, source }
+     */
+    getAllottedBudget(data, payroll) {
+        const budgetAnalysis = data.budgetAnalysis || {};
+        const target = budgetAnalysis.target;
+        
+        if (target && target.amount > 0) {
+            const rate = this.getRateToReporting(target.currency, data.rateInfo);
+            if (rate !== null) {
+                return { amount: target.amount * rate, source: `Budget Planning target (${this.formatCurrency(target.amount, target.currency)})` };
+            }
         }
         
-        return pdf;
+        const percentage = typeof budgetAnalysis.budgetPercentage === 'number' ? budgetAnalysis.budgetPercentage : 3;
+        return { amount: payroll * percentage / 100, source: `${percentage}% of payroll` };
     }
 
     /**
-     * Create Excel workbook
+     * Highest retention risks among the recommendations, with the reasons behind them
+     * @returns {Object[]} Up to five { item, reasons }
      */
-    createExcelWorkbook(data, template, options) {
-        const workbook = XLSX.utils.book_new();
+    getRetentionRisks(items) {
+        const rank = { critical: 3, high: 2, medium: 1 };
+        
+        return items
+            .filter(item => rank[item.rec.riskLevel])
+            .map(item => {
+                const rec = item.rec;
+                const reasons = [];
+                const rating = toEmployeeModel(rec).rating;
+                const lastChange = this.toExcelDate(rec.lastSalaryChangeDate || rec.lastRaiseDate);
+                
+                if (rating >= 4) reasons.push('high performer');
+                if (rec.futureTalent === true) reasons.push('future talent');
+                if (rec.comparatio && rec.comparatio < 0.8) reasons.push(`paid low in range (comparatio ${rec.comparatio.toFixed(2)})`);
+                if (lastChange) {
+                    const months = Math.floor((Date.now() - lastChange.getTime()) / (30.44 * 24 * 60 * 60 * 1000));
+                    if (months >= 18) reasons.push(`no pay change in ${months} months`);
+                }
+                if (rec.riskIndicators && rec.riskIndicators.includes('flight_risk')) reasons.push('flagged flight risk');
+                
+                return { item, reasons };
+            })
+            .sort((a, b) => rank[b.item.rec.riskLevel] - rank[a.item.rec.riskLevel] ||
+                b.reasons.length - a.reasons.length ||
+                (a.item.rec.comparatio || 1) - (b.item.rec.comparatio || 1))
+            .slice(0, 5);
+    }
+
+    /**
+     * Group report items by country, and within a country by title
+     * @returns {Object[]} [{ country, currency, items, titles: [{ title, items }] }] sorted by country
+     */
+    groupReportItemsByCountry(items) {
+        const countries = {};
         
-        // Create main data sheet
-        const worksheet = XLSX.utils.aoa_to_sheet([]);
+        items.forEach(item => {
+            const country = item.rec.country || 'Unknown';
+            if (!countries[country]) {
+                countries[country] = { country, currency: item.amounts.currency, items: [], titles: {} };
+            }
+            const group = countries[country];
+            const title = toEmployeeModel(item.rec).title || 'Untitled';
+            group.items.push(item);
+            (group.titles[title] = group.titles[title] || []).push(item);
+        });
         
-        let rowIndex = 0;
+        return Object.values(countries)
+            .sort((a, b) => a.country.localeCompare(b.country))
+            .map(group => ({
+                ...group,
+                titles: Object.keys(group.titles).sort().map(title => ({ title, items: group.titles[title] }))
+            }));
+    }
+
+    /**
+     * Totals of a set of report items
+     * @returns {Object} { headcount, current, raise, currentReporting, raiseReporting, averageRaise, vpSignOffs }
+     */
+    sumReportItems(items) {
+        const totals = items.reduce((sum, item) => {
+            sum.current += item.amounts.current;
+            sum.currentReporting += item.amounts.currentReporting || 0;
+            if (item.active) {
+                sum.raise += item.amounts.raise;
+                sum.raiseReporting += item.amounts.raiseReporting || 0;
+                sum.percentage += item.amounts.percentage;
+                sum.active++;
+            }
+            if (item.requiresApproval) sum.vpSignOffs++;
+            return sum;
+        }, { current: 0, raise: 0, currentReporting: 0, raiseReporting: 0, percentage: 0, active: 0, vpSignOffs: 0 });
         
-        // Add title
-        if (data.title) {
-            XLSX.utils.sheet_add_aoa(worksheet, [[data.title]], { origin: `A${rowIndex + 1}` });
-            rowIndex += 2;
+        return {
+            ...totals,
+            headcount: items.length,
+            averageRaise: totals.active ? totals.percentage / totals.active : 0
+        };
+    }
+
+    /**
+     * Cover page
+     */
+    drawPdfCover(doc, title, data, summary) {
+        doc.addPage();
+        doc.rect(0, 0, doc.width, 260, { fill: '#1e3a8a' });
+        doc.text('CONFIDENTIAL', doc.margin, 60, { size: 9, bold: true, color: '#bfdbfe' });
+        doc.text(title, doc.margin, 130, { size: 26, bold: true, color: '#ffffff' });
+        doc.text('Compensation review for leadership', doc.margin, 170, { size: 13, color: '#dbeafe' });
+        
+        doc.y = 300;
+        doc.paragraph(`Prepared ${new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })}`, { size: 12, bold: true, color: '#111827' });
+        doc.paragraph(`${summary.employeeCount} employees in ${summary.countries.length} countries`, { size: 11 });
+        doc.paragraph(summary.currencyNote, { size: 9, color: '#6b7280' });
+        
+        doc.y = doc.contentBottom - 60;
+        doc.paragraph('This report contains individual compensation information. Share it only with people ' +
+            'involved in the compensation review, and do not forward it outside the organization.', { size: 9, color: '#6b7280' });
+    }
+
+    /**
+     * Executive summary - key figures, budget use, narrative and top retention risks
+     */
+    drawPdfExecutiveSummary(doc, summary, options) {
+        doc.addPage();
+        doc.heading('Executive Summary', { size: 20 });
+        
+        const { budget, budgetUsed } = summary;
+        const usedShare = budget.amount > 0 ? budgetUsed / budget.amount : 0;
+        const highRisks = summary.items.filter(item => item.rec.riskLevel === 'high' || item.rec.riskLevel === 'critical').length;
+        
+        // Key figure tiles
+        const tiles = [
+            { label: 'Budget allotted', value: this.formatCurrency(budget.amount), note: budget.source },
+            { label: 'Budget used', value: this.formatCurrency(budgetUsed), note: `${(usedShare * 100).toFixed(1)}% of allotted` },
+            { label: 'Need VP sign-off', value: String(summary.vpSignOffs), note: 'above country thresholds' },
+            { label: 'High retention risk', value: String(highRisks), note: `of ${summary.items.length} employees` }
+        ];
+        const gap = 10;
+        const tileWidth = (doc.contentWidth - gap * (tiles.length - 1)) / tiles.length;
+        tiles.forEach((tile, index) => {
+            const x = doc.margin + index * (tileWidth + gap);
+            doc.rect(x, doc.y, tileWidth, 66, { fill: '#f9fafb', stroke: '#e5e7eb' });
+            doc.text(tile.label.toUpperCase(), x + 8, doc.y + 8, { size: 7, bold: true, color: '#6b7280' });
+            doc.text(tile.value, x + 8, doc.y + 22, { size: 15, bold: true, color: '#111827' });
+            doc.text(tile.note, x + 8, doc.y + 46, { size: 7, color: '#6b7280' });
+        });
+        doc.y += 82;
+        
+        // Budget used vs. allotted
+        const barWidth = doc.contentWidth;
+        const overBudget = budgetUsed > budget.amount;
+        doc.text('Budget used vs. allotted', doc.margin, doc.y, { size: 9, bold: true, color: '#374151' });
+        doc.y += 14;
+        doc.rect(doc.margin, doc.y, barWidth, 12, { fill: '#e5e7eb' });
+        doc.rect(doc.margin, doc.y, barWidth * Math.min(usedShare, 1), 12, { fill: overBudget ? '#dc2626' : '#2563eb' });
+        doc.y += 28;
+        
+        doc.heading('Overview', { size: 13 });
+        this.getReportNarrative(summary).forEach(text => doc.paragraph(text));
+        
+        doc.heading('Top Retention Risks', { size: 13 });
+        if (summary.risks.length === 0) {
+            doc.paragraph('No employees are flagged as a high or medium retention risk.');
+            return;
+        }
+        doc.table({
+            columns: [
+                { header: options.anonymizeData ? 'Employee Ref' : 'Employee', width: 1.3 },
+                { header: 'Title', width: 1.5 },
+                { header: 'Country', width: 0.9 },
+                { header: 'Risk', width: 0.6 },
+                { header: 'Proposed Raise', width: 0.8, align: 'right' },
+                { header: 'Why', width: 2.4 }
+            ],
+            rows: summary.risks.map(({ item, reasons }) => [
+                options.anonymizeData ? item.ref : item.rec.name,
+                toEmployeeModel(item.rec).title,
+                item.rec.country || '',
+                item.rec.riskLevel,
+                `${(item.amounts.percentage * 100).toFixed(1)}%`,
+                reasons.join('; ') || 'risk indicators'
+            ]),
+            wrap: true
+        });
+    }
+
+    /**
+     * Narrative paragraphs for the executive summary
+     * @returns {string[]} Paragraphs
+     */
+    getReportNarrative(summary) {
+        const { budget, budgetUsed, payroll } = summary;
+        const paragraphs = [];
+        
+        if (!summary.hasRecommendations) {
+            paragraphs.push(`Raise recommendations have not been generated yet, so no budget is committed. ` +
+                `Current payroll for the ${summary.employeeCount} employees in scope is ${this.formatCurrency(payroll)}, ` +
+                `and the allotted raise budget is ${this.formatCurrency(budget.amount)} (${budget.source}).`);
+            return paragraphs;
         }
         
-        // Add headers and data
-        if (data.headers && data.rows) {
-            XLSX.utils.sheet_add_aoa(worksheet, [data.headers], { origin: `A${rowIndex + 1}` });
-            rowIndex++;
-            XLSX.utils.sheet_add_aoa(worksheet, data.rows, { origin: `A${rowIndex + 1}` });
+        const difference = budget.amount - budgetUsed;
+        paragraphs.push(`Recommended raises total ${this.formatCurrency(budgetUsed)}, ` +
+            `${payroll ? (budgetUsed / payroll * 100).toFixed(1) : '0.0'}% of the ${this.formatCurrency(payroll)} current payroll. ` +
+            (difference >= 0
+                ? `That leaves ${this.formatCurrency(difference)} of the ${this.formatCurrency(budget.amount)} allotted budget unused.`
+                : `That is ${this.formatCurrency(-difference)} over the ${this.formatCurrency(budget.amount)} allotted budget; raises need to be reduced or the budget increased.`));
+        
+        const largest = [...summary.countries]
+            .map(group => ({ country: group.country, totals: this.sumReportItems(group.items) }))
+            .sort((a, b) => b.totals.raiseReporting - a.totals.raiseReporting)[0];
+        if (largest && largest.totals.raiseReporting > 0) {
+            paragraphs.push(`${largest.country} accounts for the largest share of the raise budget ` +
+                `(${this.formatCurrency(largest.totals.raiseReporting)}, ${(largest.totals.raiseReporting / budgetUsed * 100).toFixed(0)}%), ` +
+                `with an average raise of ${(largest.totals.averageRaise * 100).toFixed(1)}% across ${largest.totals.headcount} employees.`);
         }
         
-        XLSX.utils.book_append_sheet(workbook, worksheet, 'Data');
+        paragraphs.push(summary.vpSignOffs > 0
+            ? `${summary.vpSignOffs} raise${summary.vpSignOffs === 1 ? '' : 's'} exceed${summary.vpSignOffs === 1 ? 's' : ''} the country VP approval threshold and need VP sign-off before ${summary.vpSignOffs === 1 ? 'it is' : 'they are'} communicated` +
+                (summary.pendingApprovals > 0 ? `; ${summary.pendingApprovals} approval${summary.pendingApprovals === 1 ? ' is' : 's are'} awaiting a decision.` : '.')
+            : 'No recommended raise exceeds a country VP approval threshold.');
         
-        // Add summary sheet if available
-        if (data.summary) {
-            const summarySheet = XLSX.utils.json_to_sheet([data.summary]);
-            XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+        if (summary.missingRates.length > 0) {
+            paragraphs.push(`There is no exchange rate to ${this.reportingCurrency} for ${summary.missingRates.join(', ')}; ` +
+                `those employees are left out of ${this.reportingCurrency} totals.`);
         }
         
-        return workbook;
+        return paragraphs;
     }
 
     /**
-     * Load jsPDF library
+     * Charts from the visualization components, two to a page
      */
-    async loadJsPDF() {
-        if (window.jspdf) return;
+    drawPdfCharts(doc, charts) {
+        if (typeof ChartRenderer === 'undefined') return;
+        
+        const images = charts
+            .map(config => ChartRenderer.toImage(config, 720, 330))
+            .filter(Boolean);
+        if (images.length === 0) return;
+        
+        doc.addPage();
+        doc.heading('Charts', { size: 20 });
+        images.forEach(image => {
+            const height = doc.contentWidth * image.height / image.width;
+            doc.ensureSpace(height + 16);
+            doc.image(image, doc.margin, doc.y, doc.contentWidth, height);
+            doc.y += height + 16;
+        });
+    }
+
+    /**
+     * Budget by country, then a table per country by title in local currency
+     */
+    drawPdfCountryTables(doc, summary) {
+        const currency = this.reportingCurrency;
+        const countryTotals = summary.countries.map(group => ({ group, totals: this.sumReportItems(group.items) }));
+        const overall = this.sumReportItems(summary.items);
+        const share = (raise, current) => current ? `${(raise / current * 100).toFixed(1)}%` : '–';
+        
+        doc.addPage();
+        doc.heading('Budget by Country', { size: 20 });
+        doc.table({
+            columns: [
+                { header: 'Country', width: 1.4 },
+                { header: 'Headcount', width: 0.8, align: 'right' },
+                { header: `Payroll (${currency})`, width: 1.2, align: 'right' },
+                { header: `Raise Budget (${currency})`, width: 1.2, align: 'right' },
+                { header: '% of Payroll', width: 0.8, align: 'right' },
+                { header: 'VP Sign-offs', width: 0.8, align: 'right' }
+            ],
+            rows: countryTotals.map(({ group, totals }) => [
+                group.country,
+                totals.headcount,
+                this.formatCurrency(totals.currentReporting),
+                this.formatCurrency(totals.raiseReporting),
+                share(totals.raiseReporting, totals.currentReporting),
+                totals.vpSignOffs
+            ]),
+            totals: [
+                'Total',
+                overall.headcount,
+                this.formatCurrency(overall.currentReporting),
+                this.formatCurrency(overall.raiseReporting),
+                share(overall.raiseReporting, overall.currentReporting),
+                overall.vpSignOffs
+            ]
+        });
         
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
-            script.onload = () => {
-                // Load autoTable plugin
-                const autoTableScript = document.createElement('script');
-                autoTableScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.5.25/jspdf.plugin.autotable.min.js';
-                autoTableScript.onload = resolve;
-                autoTableScript.onerror = reject;
-                document.head.appendChild(autoTableScript);
-            };
-            script.onerror = reject;
-            document.head.appendChild(script);
+        countryTotals.forEach(({ group, totals }) => {
+            doc.heading(`${group.country} (${group.currency})`, { size: 13 });
+            doc.table({
+                columns: [
+                    { header: 'Title', width: 2.2 },
+                    { header: 'Headcount', width: 0.8, align: 'right' },
+                    { header: `Avg Salary (${group.currency})`, width: 1.2, align: 'right' },
+                    { header: 'Avg Raise', width: 0.8, align: 'right' },
+                    { header: `Raise Budget (${group.currency})`, width: 1.2, align: 'right' },
+                    { header: 'VP Sign-offs', width: 0.8, align: 'right' }
+                ],
+                rows: group.titles.map(({ title, items }) => {
+                    const titleTotals = this.sumReportItems(items);
+                    return [
+                        title,
+                        titleTotals.headcount,
+                        this.formatCurrency(titleTotals.current / titleTotals.headcount, group.currency),
+                        `${(titleTotals.averageRaise * 100).toFixed(1)}%`,
+                        this.formatCurrency(titleTotals.raise, group.currency),
+                        titleTotals.vpSignOffs
+                    ];
+                }),
+                totals: [
+                    'Total',
+                    totals.headcount,
+                    this.formatCurrency(totals.current / totals.headcount, group.currency),
+                    `${(totals.averageRaise * 100).toFixed(1)}%`,
+                    this.formatCurrency(totals.raise, group.currency),
+                    totals.vpSignOffs
+                ]
+            });
+        });
+    }
+
+    /**
+     * Employee-level appendix, identified by reference number instead of name
+     */
+    drawPdfAppendix(doc, summary) {
+        doc.addPage();
+        doc.heading('Appendix: Employee Detail', { size: 20 });
+        doc.paragraph('Employees are listed by reference number rather than name, ordered by country and title. ' +
+            'Salaries are in local currency; rejected recommendations show no raise.', { size: 9, color: '#6b7280' });
+        
+        doc.table({
+            size: 7.5,
+            columns: [
+                { header: 'Ref', width: 0.9 },
+                { header: 'Country', width: 1 },
+                { header: 'Title', width: 1.75 },
+                { header: 'Rating', width: 1.1 },
+                { header: 'Comparatio', width: 1.15, align: 'right' },
+                { header: 'Current Salary', width: 1.2, align: 'right' },
+                { header: 'Raise', width: 0.8, align: 'right' },
+                { header: 'New Salary', width: 1.2, align: 'right' },
+                { header: 'Risk', width: 0.8 },
+                { header: 'VP Sign-off', width: 0.8 }
+            ],
+            rows: summary.items.map(item => {
+                const { rec, amounts, active } = item;
+                const raise = active ? amounts.raise : 0;
+                return [
+                    item.ref,
+                    rec.country || '',
+                    toEmployeeModel(rec).title,
+                    this.getRatingText(rec.performanceRating),
+                    typeof rec.comparatio === 'number' ? rec.comparatio.toFixed(2) : '',
+                    this.formatCurrency(amounts.current, amounts.currency),
+                    active ? `${(amounts.percentage * 100).toFixed(1)}%` : 'Rejected',
+                    this.formatCurrency(amounts.current + raise, amounts.currency),
+                    rec.riskLevel || '',
+                    item.requiresApproval ? 'Yes' : ''
+                ];
+            })
+        });
+    }
+
+    /**
+     * Create Excel workbook - one sheet per section of the report. Raise amounts,
+     * new salaries and the budget by country are formulas, so raise percentages
+     * can be edited in Excel and the totals follow.
+     */
+    createExcelWorkbook(data, template, options = {}) {
+        this.reportingCurrency = (data.rateInfo && data.rateInfo.reportingCurrency) || 'USD';
+        
+        const sectionsByTemplate = {
+            [this.exportTemplates.EMPLOYEE_DATA]: ['employees'],
+            [this.exportTemplates.RAISE_RECOMMENDATIONS]: ['recommendations', 'budgetByCountry', 'approvals'],
+            [this.exportTemplates.BUDGET_ANALYSIS]: ['budgetByCountry', 'recommendations'],
+            [this.exportTemplates.COMPREHENSIVE_REPORT]: ['employees', 'recommendations', 'budgetByCountry', 'approvals']
+        };
+        const sections = sectionsByTemplate[template] || ['employees'];
+        const recommendations = data.raiseRecommendations || data.recommendations || [];
+        
+        const sheets = sections.map(section => {
+            switch (section) {
+                case 'recommendations':
+                    return this.createRecommendationsSheet(recommendations, data.rateInfo);
+                case 'budgetByCountry':
+                    return this.createBudgetByCountrySheet(recommendations, data.rateInfo);
+                case 'approvals':
+                    return this.createApprovalsSheet(data.approvals || [], data.rateInfo);
+                default:
+                    return this.createEmployeesSheet(data.employees || []);
+            }
         });
+        
+        sheets.unshift(this.createSummarySheet(data, template, sections));
+        return { sheets };
     }
 
     /**
-     * Load SheetJS library
+     * Summary sheet - report details and headline figures
      */
-    async loadSheetJS() {
-        if (window.XLSX) return;
+    createSummarySheet(data, template, sections) {
+        const employees = data.employees || [];
+        const currency = this.reportingCurrency;
+        const recommendationsSheet = quoteSheetName(EXCEL_SHEET_NAMES.recommendations);
+        const rows = [
+            ['Employees', { value: employees.length, format: 'integer' }],
+            ['Countries', { value: new Set(employees.map(emp => emp.country).filter(Boolean)).size, format: 'integer' }]
+        ];
         
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
+        if (sections.includes('recommendations')) {
+            const recommendations = data.raiseRecommendations || data.recommendations || [];
+            const totals = recommendations.reduce((sum, rec) => {
+                const amounts = this.getRecommendationAmounts(rec, data.rateInfo);
+                sum.payroll += amounts.currentReporting || 0;
+                sum.raises += amounts.raiseReporting || 0;
+                return sum;
+            }, { payroll: 0, raises: 0 });
+            
+            // Payroll and raise budget land on the two rows after the recommendation count
+            const payrollRow = getSheetLayout({ title: true, notes: [null, null], rows }).firstDataRow + rows.length + 1;
+            rows.push(
+                ['Recommendations', { value: recommendations.length, format: 'integer' }],
+                [`Current payroll (${currency})`, { formula: `SUM(${recommendationsSheet}!K:K)`, value: totals.payroll, format: 'currency', currency }],
+                [`Raise budget (${currency})`, { formula: `SUM(${recommendationsSheet}!L:L)`, value: totals.raises, format: 'currency', currency }],
+                ['Raise budget % of payroll', {
+                    formula: `IF(B${payrollRow}=0,0,B${payrollRow + 1}/B${payrollRow})`,
+                    value: totals.payroll ? totals.raises / totals.payroll : 0,
+                    format: 'percent'
+                }]
+            );
+        }
+        
+        return {
+            name: EXCEL_SHEET_NAMES.summary,
+            title: this.getReportTitle(template),
+            notes: [`Generated: ${new Date().toLocaleString()}`, this.getCurrencyNote(data.rateInfo)],
+            columns: [
+                { header: 'Metric', width: 34 },
+                { header: 'Value', width: 22 }
+            ],
+            rows
+        };
+    }
+
+    /**
+     * Employees sheet - one row per employee
+     */
+    createEmployeesSheet(employees) {
+        const currency = this.reportingCurrency;
+        
+        return {
+            name: EXCEL_SHEET_NAMES.employees,
+            columns: [
+                { header: 'Employee ID' },
+                { header: 'Name' },
+                { header: 'Title' },
+                { header: 'Country' },
+                { header: 'Salary', format: 'number' },
+                { header: 'Currency' },
+                { header: `Salary (${currency})`, format: 'currency', currency },
+                { header: 'FTE', format: 'number' },
+                { header: 'Comparatio', format: 'percent' },
+                { header: 'Performance Rating' },
+                { header: 'Future Talent' },
+                { header: 'Manager' },
+                { header: 'Hire Date', format: 'date' },
+                { header: 'Last Salary Change', format: 'date' }
+            ],
+            rows: employees.map(emp => [
+                emp.employeeNumber || emp.id || '',
+                emp.name || '',
+                toEmployeeModel(emp).title,
+                emp.country || '',
+                toEmployeeModel(emp).baseSalary,
+                toEmployeeModel(emp).currency,
+                toEmployeeModel(emp).normalizedSalary,
+                emp.fte || 1,
+                typeof emp.comparatio === 'number' ? emp.comparatio : null,
+                this.getRatingText(emp.performanceRating),
+                emp.futureTalent === true ? 'Yes' : emp.futureTalent === false ? 'No' : (emp.futureTalent || ''),
+                emp.managerName || emp.manager || '',
+                this.toExcelDate(emp.latestHireDate),
+                this.toExcelDate(emp.lastSalaryChangeDate || emp.lastRaiseDate)
+            ])
+        };
+    }
+
+    /**
+     * Recommendations sheet - raise % is an input; raise amount, new salary and
+     * reporting-currency amounts are formulas on it
+     */
+    createRecommendationsSheet(recommendations, rateInfo) {
+        const currency = this.reportingCurrency;
+        const missingRates = new Set();
+        
+        const rows = recommendations.map(rec => {
+            const amounts = this.getRecommendationAmounts(rec, rateInfo);
+            if (amounts.rate === null) missingRates.add(amounts.currency);
+            
+            return [
+                rec.employeeNumber || rec.id || '',
+                rec.name || rec.employeeName || '',
+                toEmployeeModel(rec).title,
+                rec.country || '',
+                amounts.currency,
+                amounts.current,
+                amounts.percentage,
+                { formula: 'F{row}*G{row}', value: amounts.raise },
+                { formula: 'F{row}+H{row}', value: amounts.current + amounts.raise },
+                amounts.rate,
+                { formula: 'F{row}*J{row}', value: amounts.currentReporting },
+                { formula: 'H{row}*J{row}', value: amounts.raiseReporting },
+                rec.status || 'pending',
+                rec.validation && rec.validation.requiresApproval ? 'Yes' : 'No',
+                rec.justification || ''
+            ];
         });
+        
+        return {
+            name: EXCEL_SHEET_NAMES.recommendations,
+            notes: missingRates.size > 0 ? [
+                `No exchange rate to ${currency} for ${[...missingRates].join(', ')} - those amounts are left out of ${currency} totals`
+            ] : [],
+            columns: [
+                { header: 'Employee ID' },
+                { header: 'Name' },
+                { header: 'Title' },
+                { header: 'Country' },
+                { header: 'Currency' },
+                { header: 'Current Salary', format: 'number' },
+                { header: 'Raise %', format: 'percent' },
+                { header: 'Raise Amount', format: 'number' },
+                { header: 'New Salary', format: 'number' },
+                { header: `Rate to ${currency}`, format: 'rate' },
+                { header: `Current Salary (${currency})`, format: 'currency', currency },
+                { header: `Raise Amount (${currency})`, format: 'currency', currency },
+                { header: 'Status' },
+                { header: 'Requires Approval' },
+                { header: 'Justification', width: 60, wrap: true }
+            ],
+            rows
+        };
+    }
+
+    /**
+     * Budget by country sheet - sums the recommendations sheet per country
+     */
+    createBudgetByCountrySheet(recommendations, rateInfo) {
+        const currency = this.reportingCurrency;
+        const source = quoteSheetName(EXCEL_SHEET_NAMES.recommendations);
+        const byCountry = {};
+        
+        recommendations.forEach(rec => {
+            const country = rec.country || 'Unknown';
+            const amounts = this.getRecommendationAmounts(rec, rateInfo);
+            if (!byCountry[country]) byCountry[country] = { count: 0, payroll: 0, raises: 0 };
+            byCountry[country].count++;
+            byCountry[country].payroll += amounts.currentReporting || 0;
+            byCountry[country].raises += amounts.raiseReporting || 0;
+        });
+        
+        const countries = Object.keys(byCountry).sort();
+        const total = countries.reduce((sum, country) => ({
+            count: sum.count + byCountry[country].count,
+            payroll: sum.payroll + byCountry[country].payroll,
+            raises: sum.raises + byCountry[country].raises
+        }), { count: 0, payroll: 0, raises: 0 });
+        
+        return {
+            name: EXCEL_SHEET_NAMES.budgetByCountry,
+            notes: [],
+            columns: [
+                { header: 'Country' },
+                { header: 'Employees', format: 'integer' },
+                { header: `Current Payroll (${currency})`, format: 'currency', currency },
+                { header: `Raise Budget (${currency})`, format: 'currency', currency },
+                { header: 'Raise % of Payroll', format: 'percent' },
+                { header: `New Payroll (${currency})`, format: 'currency', currency }
+            ],
+            rows: countries.map(country => {
+                const totals = byCountry[country];
+                return [
+                    country,
+                    { formula: `COUNTIF(${source}!D:D,A{row})`, value: totals.count },
+                    { formula: `SUMIFS(${source}!K:K,${source}!D:D,A{row})`, value: totals.payroll },
+                    { formula: `SUMIFS(${source}!L:L,${source}!D:D,A{row})`, value: totals.raises },
+                    { formula: 'IF(C{row}=0,0,D{row}/C{row})', value: totals.payroll ? totals.raises / totals.payroll : 0 },
+                    { formula: 'C{row}+D{row}', value: totals.payroll + totals.raises }
+                ];
+            }),
+            totals: [
+                'Total',
+                { formula: 'SUM(B{first}:B{last})', value: total.count },
+                { formula: 'SUM(C{first}:C{last})', value: total.payroll },
+                { formula: 'SUM(D{first}:D{last})', value: total.raises },
+                { formula: 'IF(C{row}=0,0,D{row}/C{row})', value: total.payroll ? total.raises / total.payroll : 0 },
+                { formula: 'SUM(F{first}:F{last})', value: total.payroll + total.raises }
+            ]
+        };
+    }
+
+    /**
+     * Approvals sheet - pending and decided raise approvals
+     */
+    createApprovalsSheet(approvals, rateInfo) {
+        return {
+            name: EXCEL_SHEET_NAMES.approvals,
+            columns: [
+                { header: 'Employee' },
+                { header: 'Title' },
+                { header: 'Country' },
+                { header: 'Currency' },
+                { header: 'Current Salary', format: 'number' },
+                { header: 'Proposed Raise %', format: 'percent' },
+                { header: 'Raise Amount', format: 'number' },
+                { header: 'Urgency' },
+                { header: 'Status' },
+                { header: 'Submitted', format: 'date' },
+                { header: 'Approver' },
+                { header: 'Decision Date', format: 'date' },
+                { header: 'Comments', width: 50, wrap: true }
+            ],
+            rows: approvals.map(item => {
+                const employee = item.employee || {};
+                const amounts = this.getRecommendationAmounts({ ...employee, recommendation: { percentage: item.proposedRaise } }, rateInfo);
+                return [
+                    employee.name || '',
+                    employee.title || '',
+                    employee.country || '',
+                    amounts.currency,
+                    amounts.current,
+                    amounts.percentage,
+                    { formula: 'E{row}*F{row}', value: amounts.raise },
+                    item.urgency || '',
+                    item.status || '',
+                    this.toExcelDate(item.submittedDate),
+                    item.approver || '',
+                    this.toExcelDate(item.approvalDate),
+                    (item.comments || []).map(comment => comment.text).join('; ')
+                ];
+            })
+        };
+    }
+
+    /**
+     * Current salary, raise and reporting-currency amounts for a recommendation
+     * @returns {Object} { currency, current, percentage, raise, rate, currentReporting, raiseReporting }
+     */
+    getRecommendationAmounts(rec, rateInfo) {
+        const model = toEmployeeModel(rec);
+        const current = model.baseSalary || 0;
+        const currency = model.currency;
+        const percentage = rec.recommendation ? rec.recommendation.percentage || 0 : 0;
+        const rate = this.getRateToReporting(currency, rateInfo);
+        const raise = current * percentage;
+        
+        return {
+            currency,
+            current,
+            percentage,
+            raise,
+            rate,
+            currentReporting: rate === null ? null : current * rate,
+            raiseReporting: rate === null ? null : raise * rate
+        };
+    }
+
+    /**
+     * Units of the reporting currency per unit of a currency, from the rates in use
+     * @returns {number|null} Rate, or null when there is no rate
+     */
+    getRateToReporting(currency, rateInfo) {
+        if (currency === this.reportingCurrency) return 1;
+        
+        const rates = (rateInfo && rateInfo.rates) || {};
+        if (!rates[currency] || !rates[this.reportingCurrency]) return null;
+        return rates[this.reportingCurrency] / rates[currency];
+    }
+
+    /**
+     * Title of a report
+     */
+    getReportTitle(template) {
+        const titles = {
+            [this.exportTemplates.EMPLOYEE_DATA]: 'Employee Data Export',
+            [this.exportTemplates.SALARY_ANALYSIS]: 'Salary Analysis Report',
+            [this.exportTemplates.RAISE_RECOMMENDATIONS]: 'Raise Recommendations',
+            [this.exportTemplates.BUDGET_ANALYSIS]: 'Budget Analysis Report',
+            [this.exportTemplates.RISK_ASSESSMENT]: 'Risk Assessment Report',
+            [this.exportTemplates.COMPREHENSIVE_REPORT]: 'Team Analyzer Comprehensive Report'
+        };
+        return titles[template] || 'Team Analyzer Export';
+    }
+
+    /**
+     * Text of a performance rating ({ text } from the parser, or a plain value)
+     */
+    getRatingText(rating) {
+        if (!rating) return '';
+        return typeof rating === 'object' ? rating.text || rating.original || '' : rating;
+    }
+
+    /**
+     * Turn a date or date string (e.g. from a restored session) into a Date for Excel
+     */
+    toExcelDate(value) {
+        if (!value) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
     }
 
     /**
@@ -707,24 +1572,43 @@ class ExportManager {
     }
 
     /**
-     * Format currency value
+     * Format currency value in whole units. In a PDF, currencies whose symbol the
+     * standard fonts can't show (₹, ₪, ...) are written with their ISO code instead.
      */
-    formatCurrency(value) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
+    formatCurrency(value, currency = this.reportingCurrency) {
+        if (!this.currencyUtils && window.CurrencyUtils) {
+            this.currencyUtils = new CurrencyUtils();
+        }
+        
+        if (this.currencyUtils && this.currencyUtils.isValidCurrency(currency)) {
+            const formatted = this.currencyUtils.formatAmount(value, currency, { wholeUnits: true });
+            if (this.formattingForPdf && !isPdfText(formatted)) {
+                return this.currencyUtils.formatAmount(value, currency, { wholeUnits: true, showSymbol: false, showCode: true });
+            }
+            return formatted;
+        }
+        
+        // Not an ISO currency code
+        return `${currency} ${Math.round(value).toLocaleString('en-US')}`;
     }
 
     /**
      * Prepare comprehensive report
      */
     prepareComprehensiveReport(data) {
+        const recommendations = data.raiseRecommendations || data.recommendations || [];
+        const table = this.getRecommendationTable(recommendations, data.rateInfo);
+        
         return {
             title: 'Team Analyzer Comprehensive Report',
             timestamp: new Date().toISOString(),
+            headers: table.headers,
+            rows: table.rows,
+            sections: [{ title: 'Budget by Country', ...this.getCountryBudgetTable(recommendations, data.rateInfo) }],
+            summary: {
+                employees: (data.employees || []).length,
+                ...this.getBudgetTableSummary(data, recommendations)
+            },
             executiveSummary: data.executiveSummary,
             employeeData: this.prepareEmployeeData(data),
             salaryAnalysis: data.salaryAnalysis,
@@ -740,9 +1624,16 @@ class ExportManager {
      * Prepare budget analysis for export
      */
     prepareBudgetAnalysis(data) {
+        const recommendations = data.raiseRecommendations || data.recommendations || [];
+        const table = this.getCountryBudgetTable(recommendations, data.rateInfo);
+        
         return {
             title: 'Budget Analysis Report',
             timestamp: new Date().toISOString(),
+            headers: table.headers,
+            rows: table.rows,
+            sections: [{ title: 'Raise Recommendations', ...this.getRecommendationTable(recommendations, data.rateInfo) }],
+            summary: this.getBudgetTableSummary(data, recommendations),
             currentBudget: data.currentBudget,
             proposedBudget: data.proposedBudget,
             budgetImpact: data.budgetImpact,
@@ -0,0 +1,276 @@
+/**
+ * History Manager
+ *
+ * Undo/redo history for operations that change employee data, raise
+ * decisions or approvals. Each operation is recorded as a command with
+ * apply() and revert(); undo reverts the latest applied command, redo
+ * re-applies it, and goTo() rolls back (or forward) to any point.
+ *
+ * Command: { label: 'Merge 2 duplicate records', apply: () => {...}, revert: () => {...} }
+ */
+
+// Oldest entries are dropped beyond this many
+const HISTORY_LIMIT = 100;
+
+class HistoryManager {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.limit - Maximum entries kept (default 100)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || HISTORY_LIMIT;
+        this.listeners = [];
+
+        this.entries = [];
+        // Number of entries currently applied - entries after it can be redone
+        this.position = 0;
+        // Set while a command is applied or reverted, so nested changes aren't recorded
+        this.replaying = false;
+        // Set while a recorded change runs, so the changes it's made of become one entry
+        this.recording = false;
+        this.nextId = 1;
+    }
+
+    /**
+     * Apply a command and add it to the history
+     * @param {Object} command - { label, apply, revert }
+     * @returns {*} Result of command.apply()
+     */
+    execute(command) {
+        const result = command.apply();
+        this.push(command);
+        return result;
+    }
+
+    /**
+     * Make a change and record it with snapshots of the state before and after,
+     * for changes that are easier to capture than to invert
+     * @param {string} label - Description shown in the history panel
+     * @param {Object} target - { capture: () => state, restore: state => void }
+     * @param {Function} change - Makes the change
+     * @returns {*} Result of change()
+     */
+    recordChange(label, target, change) {
+        if (this.replaying || this.recording) return change();
+
+        const before = target.capture();
+        let result;
+        this.recording = true;
+        try {
+            result = change();
+        } finally {
+            this.recording = false;
+        }
+        const after = target.capture();
+
+        this.push({
+            label,
+            apply: () => target.restore(after),
+            revert: () => target.restore(before)
+        });
+        return result;
+    }
+
+    /**
+     * Add an already applied command to the history, discarding anything that could be redone
+     * @param {Object} command - { label, apply, revert }
+     */
+    push(command) {
+        if (this.replaying || this.recording) return;
+
+        this.entries = this.entries.slice(0, this.position);
+        this.entries.push({
+            id: this.nextId++,
+            label: command.label,
+            timestamp: new Date().toISOString(),
+            apply: command.apply,
+            revert: command.revert
+        });
+
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.position = this.entries.length;
+
+        console.log(`History: ${command.label}`);
+        this.notify('push');
+    }
+
+    /**
+     * Revert the latest applied command
+     * @returns {boolean} Whether a command was reverted
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        const entry = this.entries[this.position - 1];
+        if (!this.replay(entry, 'revert')) return false;
+
+        this.position--;
+        console.log(`Undo: ${entry.label}`);
+        this.notify('undo', entry);
+        return true;
+    }
+
+    /**
+     * Re-apply the latest reverted command
+     * @returns {boolean} Whether a command was re-applied
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const entry = this.entries[this.position];
+        if (!this.replay(entry, 'apply')) return false;
+
+        this.position++;
+        console.log(`Redo: ${entry.label}`);
+        this.notify('redo', entry);
+        return true;
+    }
+
+    /**
+     * Undo or redo until the given number of entries are applied
+     * @param {number} position - 0 rolls back everything, entries.length re-applies everything
+     * @returns {boolean} Whether the position was reached
+     */
+    goTo(position) {
+        const target = Math.max(0, Math.min(position, this.entries.length));
+
+        while (this.position > target) {
+            if (!this.undo()) return false;
+        }
+        while (this.position < target) {
+            if (!this.redo()) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run a command's apply or revert without recording the changes it makes
+     * @returns {boolean} Whether it succeeded
+     */
+    replay(entry, method) {
+        this.replaying = true;
+        try {
+            entry[method]();
+            return true;
+        } catch (error) {
+            console.error(`Failed to ${method === 'apply' ? 'redo' : 'undo'} "${entry.label}":`, error);
+            this.notify('error', entry);
+            return false;
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length;
+    }
+
+    /**
+     * History entries, oldest first
+     * @returns {Array} Entries { id, label, timestamp, applied }
+     */
+    getEntries() {
+        return this.entries.map((entry, index) => ({
+            id: entry.id,
+            label: entry.label,
+            timestamp: entry.timestamp,
+            applied: index < this.position
+        }));
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    /**
+     * Forget all entries, e.g. when other data is loaded
+     */
+    clear() {
+        this.entries = [];
+        this.position = 0;
+        this.notify('clear');
+    }
+
+    /**
+     * Subscribe to history changes
+     * @param {Function} listener - Called with (history, action, entry) after each change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * Notify listeners of a change
+     * @param {string} action - push, undo, redo, clear or error
+     * @param {Object} entry - Entry concerned, if any
+     */
+    notify(action, entry = null) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this, action, entry);
+            } catch (error) {
+                console.error('History listener failed:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Copy an object's own fields, cloning nested data so later in-place changes don't reach the copy
+ * @param {Object} object - Object to snapshot
+ * @param {Array} fields - Fields to copy (default: all own fields)
+ * @returns {Object} Snapshot
+ */
+function snapshotFields(object, fields = Object.keys(object)) {
+    const snapshot = {};
+    fields.forEach(field => {
+        if (Object.prototype.hasOwnProperty.call(object, field)) {
+            snapshot[field] = structuredClone(object[field]);
+        }
+    });
+    return snapshot;
+}
+
+/**
+ * Put a snapshot back on an object in place, keeping the object's identity
+ * @param {Object} object - Object to restore
+ * @param {Object} snapshot - Snapshot from snapshotFields
+ * @param {Array} fields - Fields the snapshot covered (default: all own fields, extra ones are removed)
+ */
+function restoreFields(object, snapshot, fields = Object.keys(object)) {
+    fields.forEach(field => {
+        if (!Object.prototype.hasOwnProperty.call(snapshot, field)) {
+            delete object[field];
+        }
+    });
+    Object.keys(snapshot).forEach(field => {
+        object[field] = structuredClone(snapshot[field]);
+    });
+}
+
+// Shared history for the whole app
+const historyManager = new HistoryManager();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HistoryManager,
+        historyManager,
+        snapshotFields,
+        restoreFields
+    };
+} else {
+    window.HistoryManager = HistoryManager;
+    window.historyManager = historyManager;
+    window.snapshotFields = snapshotFields;
+    window.restoreFields = restoreFields;
+}
@@ -0,0 +1,208 @@
+/**
+ * ISO 4217 Currency Table
+ *
+ * Active ISO 4217 currencies with their numeric code, minor units (decimal
+ * places, null where ISO lists N.A.), English name and display symbol.
+ * Symbols are the local symbol, prefixed where several currencies share one
+ * (A$, CN¥, MX$) so amounts stay unambiguous in multi-currency reports.
+ */
+
+const ISO_4217_CURRENCIES = {
+    AED: { numeric: '784', minorUnits: 2, name: 'UAE Dirham', symbol: 'د.إ' },
+    AFN: { numeric: '971', minorUnits: 2, name: 'Afghani', symbol: '؋' },
+    ALL: { numeric: '008', minorUnits: 2, name: 'Lek', symbol: 'L' },
+    AMD: { numeric: '051', minorUnits: 2, name: 'Armenian Dram', symbol: '֏' },
+    ANG: { numeric: '532', minorUnits: 2, name: 'Netherlands Antillean Guilder', symbol: 'NAƒ' }, // withdrawn 2025, replaced by XCG - kept for older files
+    AOA: { numeric: '973', minorUnits: 2, name: 'Kwanza', symbol: 'Kz' },
+    ARS: { numeric: '032', minorUnits: 2, name: 'Argentine Peso', symbol: 'AR$' },
+    AUD: { numeric: '036', minorUnits: 2, name: 'Australian Dollar', symbol: 'A$' },
+    AWG: { numeric: '533', minorUnits: 2, name: 'Aruban Florin', symbol: 'Afl.' },
+    AZN: { numeric: '944', minorUnits: 2, name: 'Azerbaijan Manat', symbol: '₼' },
+    BAM: { numeric: '977', minorUnits: 2, name: 'Convertible Mark', symbol: 'KM' },
+    BBD: { numeric: '052', minorUnits: 2, name: 'Barbados Dollar', symbol: 'Bds$' },
+    BDT: { numeric: '050', minorUnits: 2, name: 'Taka', symbol: '৳' },
+    BGN: { numeric: '975', minorUnits: 2, name: 'Bulgarian Lev', symbol: 'лв.' }, // withdrawn 2026, replaced by EUR - kept for older files
+    BHD: { numeric: '048', minorUnits: 3, name: 'Bahraini Dinar', symbol: 'BD' },
+    BIF: { numeric: '108', minorUnits: 0, name: 'Burundi Franc', symbol: 'FBu' },
+    BMD: { numeric: '060', minorUnits: 2, name: 'Bermudian Dollar', symbol: 'BD$' },
+    BND: { numeric: '096', minorUnits: 2, name: 'Brunei Dollar', symbol: 'B$' },
+    BOB: { numeric: '068', minorUnits: 2, name: 'Boliviano', symbol: 'Bs' },
+    BOV: { numeric: '984', minorUnits: 2, name: 'Mvdol', symbol: 'BOV' },
+    BRL: { numeric: '986', minorUnits: 2, name: 'Brazilian Real', symbol: 'R$' },
+    BSD: { numeric: '044', minorUnits: 2, name: 'Bahamian Dollar', symbol: 'BS$' },
+    BTN: { numeric: '064', minorUnits: 2, name: 'Ngultrum', symbol: 'Nu.' },
+    BWP: { numeric: '072', minorUnits: 2, name: 'Pula', symbol: 'P' },
+    BYN: { numeric: '933', minorUnits: 2, name: 'Belarusian Ruble', symbol: 'Br' },
+    BZD: { numeric: '084', minorUnits: 2, name: 'Belize Dollar', symbol: 'BZ$' },
+    CAD: { numeric: '124', minorUnits: 2, name: 'Canadian Dollar', symbol: 'C$' },
+    CDF: { numeric: '976', minorUnits: 2, name: 'Congolese Franc', symbol: 'FC' },
+    CHE: { numeric: '947', minorUnits: 2, name: 'WIR Euro', symbol: 'CHE' },
+    CHF: { numeric: '756', minorUnits: 2, name: 'Swiss Franc', symbol: 'CHF' },
+    CHW: { numeric: '948', minorUnits: 2, name: 'WIR Franc', symbol: 'CHW' },
+    CLF: { numeric: '990', minorUnits: 4, name: 'Unidad de Fomento', symbol: 'UF' },
+    CLP: { numeric: '152', minorUnits: 0, name: 'Chilean Peso', symbol: 'CL$' },
+    CNY: { numeric: '156', minorUnits: 2, name: 'Yuan Renminbi', symbol: 'CN¥' },
+    COP: { numeric: '170', minorUnits: 2, name: 'Colombian Peso', symbol: 'COL$' },
+    COU: { numeric: '970', minorUnits: 2, name: 'Unidad de Valor Real', symbol: 'COU' },
+    CRC: { numeric: '188', minorUnits: 2, name: 'Costa Rican Colon', symbol: '₡' },
+    CUP: { numeric: '192', minorUnits: 2, name: 'Cuban Peso', symbol: '$MN' },
+    CVE: { numeric: '132', minorUnits: 2, name: 'Cabo Verde Escudo', symbol: 'Esc' },
+    CZK: { numeric: '203', minorUnits: 2, name: 'Czech Koruna', symbol: 'Kč' },
+    DJF: { numeric: '262', minorUnits: 0, name: 'Djibouti Franc', symbol: 'Fdj' },
+    DKK: { numeric: '208', minorUnits: 2, name: 'Danish Krone', symbol: 'kr.' },
+    DOP: { numeric: '214', minorUnits: 2, name: 'Dominican Peso', symbol: 'RD$' },
+    DZD: { numeric: '012', minorUnits: 2, name: 'Algerian Dinar', symbol: 'DA' },
+    EGP: { numeric: '818', minorUnits: 2, name: 'Egyptian Pound', symbol: 'E£' },
+    ERN: { numeric: '232', minorUnits: 2, name: 'Nakfa', symbol: 'Nfk' },
+    ETB: { numeric: '230', minorUnits: 2, name: 'Ethiopian Birr', symbol: 'Br' },
+    EUR: { numeric: '978', minorUnits: 2, name: 'Euro', symbol: '€' },
+    FJD: { numeric: '242', minorUnits: 2, name: 'Fiji Dollar', symbol: 'FJ$' },
+    FKP: { numeric: '238', minorUnits: 2, name: 'Falkland Islands Pound', symbol: '£' },
+    GBP: { numeric: '826', minorUnits: 2, name: 'Pound Sterling', symbol: '£' },
+    GEL: { numeric: '981', minorUnits: 2, name: 'Lari', symbol: '₾' },
+    GHS: { numeric: '936', minorUnits: 2, name: 'Ghana Cedi', symbol: 'GH₵' },
+    GIP: { numeric: '292', minorUnits: 2, name: 'Gibraltar Pound', symbol: '£' },
+    GMD: { numeric: '270', minorUnits: 2, name: 'Dalasi', symbol: 'D' },
+    GNF: { numeric: '324', minorUnits: 0, name: 'Guinean Franc', symbol: 'FG' },
+    GTQ: { numeric: '320', minorUnits: 2, name: 'Quetzal', symbol: 'Q' },
+    GYD: { numeric: '328', minorUnits: 2, name: 'Guyana Dollar', symbol: 'GY$' },
+    HKD: { numeric: '344', minorUnits: 2, name: 'Hong Kong Dollar', symbol: 'HK$' },
+    HNL: { numeric: '340', minorUnits: 2, name: 'Lempira', symbol: 'L' },
+    HTG: { numeric: '332', minorUnits: 2, name: 'Gourde', symbol: 'G' },
+    HUF: { numeric: '348', minorUnits: 2, name: 'Forint', symbol: 'Ft' },
+    IDR: { numeric: '360', minorUnits: 2, name: 'Rupiah', symbol: 'Rp' },
+    ILS: { numeric: '376', minorUnits: 2, name: 'New Israeli Sheqel', symbol: '₪' },
+    INR: { numeric: '356', minorUnits: 2, name: 'Indian Rupee', symbol: '₹' },
+    IQD: { numeric: '368', minorUnits: 3, name: 'Iraqi Dinar', symbol: 'ع.د' },
+    IRR: { numeric: '364', minorUnits: 2, name: 'Iranian Rial', symbol: '﷼' },
+    ISK: { numeric: '352', minorUnits: 0, name: 'Iceland Krona', symbol: 'kr' },
+    JMD: { numeric: '388', minorUnits: 2, name: 'Jamaican Dollar', symbol: 'J$' },
+    JOD: { numeric: '400', minorUnits: 3, name: 'Jordanian Dinar', symbol: 'JD' },
+    JPY: { numeric: '392', minorUnits: 0, name: 'Yen', symbol: '¥' },
+    KES: { numeric: '404', minorUnits: 2, name: 'Kenyan Shilling', symbol: 'KSh' },
+    KGS: { numeric: '417', minorUnits: 2, name: 'Som', symbol: 'сом' },
+    KHR: { numeric: '116', minorUnits: 2, name: 'Riel', symbol: '៛' },
+    KMF: { numeric: '174', minorUnits: 0, name: 'Comorian Franc', symbol: 'CF' },
+    KPW: { numeric: '408', minorUnits: 2, name: 'North Korean Won', symbol: '₩' },
+    KRW: { numeric: '410', minorUnits: 0, name: 'Won', symbol: '₩' },
+    KWD: { numeric: '414', minorUnits: 3, name: 'Kuwaiti Dinar', symbol: 'KD' },
+    KYD: { numeric: '136', minorUnits: 2, name: 'Cayman Islands Dollar', symbol: 'CI$' },
+    KZT: { numeric: '398', minorUnits: 2, name: 'Tenge', symbol: '₸' },
+    LAK: { numeric: '418', minorUnits: 2, name: 'Lao Kip', symbol: '₭' },
+    LBP: { numeric: '422', minorUnits: 2, name: 'Lebanese Pound', symbol: 'L£' },
+    LKR: { numeric: '144', minorUnits: 2, name: 'Sri Lanka Rupee', symbol: 'Rs' },
+    LRD: { numeric: '430', minorUnits: 2, name: 'Liberian Dollar', symbol: 'L$' },
+    LSL: { numeric: '426', minorUnits: 2, name: 'Loti', symbol: 'L' },
+    LYD: { numeric: '434', minorUnits: 3, name: 'Libyan Dinar', symbol: 'LD' },
+    MAD: { numeric: '504', minorUnits: 2, name: 'Moroccan Dirham', symbol: 'DH' },
+    MDL: { numeric: '498', minorUnits: 2, name: 'Moldovan Leu', symbol: 'L' },
+    MGA: { numeric: '969', minorUnits: 2, name: 'Malagasy Ariary', symbol: 'Ar' },
+    MKD: { numeric: '807', minorUnits: 2, name: 'Denar', symbol: 'ден' },
+    MMK: { numeric: '104', minorUnits: 2, name: 'Kyat', symbol: 'K' },
+    MNT: { numeric: '496', minorUnits: 2, name: 'Tugrik', symbol: '₮' },
+    MOP: { numeric: '446', minorUnits: 2, name: 'Pataca', symbol: 'MOP$' },
+    MRU: { numeric: '929', minorUnits: 2, name: 'Ouguiya', symbol: 'UM' },
+    MUR: { numeric: '480', minorUnits: 2, name: 'Mauritius Rupee', symbol: 'Rs' },
+    MVR: { numeric: '462', minorUnits: 2, name: 'Rufiyaa', symbol: 'Rf' },
+    MWK: { numeric: '454', minorUnits: 2, name: 'Malawi Kwacha', symbol: 'MK' },
+    MXN: { numeric: '484', minorUnits: 2, name: 'Mexican Peso', symbol: 'MX$' },
+    MXV: { numeric: '979', minorUnits: 2, name: 'Mexican Unidad de Inversion (UDI)', symbol: 'MXV' },
+    MYR: { numeric: '458', minorUnits: 2, name: 'Malaysian Ringgit', symbol: 'RM' },
+    MZN: { numeric: '943', minorUnits: 2, name: 'Mozambique Metical', symbol: 'MT' },
+    NAD: { numeric: '516', minorUnits: 2, name: 'Namibia Dollar', symbol: 'N$' },
+    NGN: { numeric: '566', minorUnits: 2, name: 'Naira', symbol: '₦' },
+    NIO: { numeric: '558', minorUnits: 2, name: 'Cordoba Oro', symbol: 'C$' },
+    NOK: { numeric: '578', minorUnits: 2, name: 'Norwegian Krone', symbol: 'kr' },
+    NPR: { numeric: '524', minorUnits: 2, name: 'Nepalese Rupee', symbol: 'Rs' },
+    NZD: { numeric: '554', minorUnits: 2, name: 'New Zealand Dollar', symbol: 'NZ$' },
+    OMR: { numeric: '512', minorUnits: 3, name: 'Rial Omani', symbol: 'RO' },
+    PAB: { numeric: '590', minorUnits: 2, name: 'Balboa', symbol: 'B/.' },
+    PEN: { numeric: '604', minorUnits: 2, name: 'Sol', symbol: 'S/' },
+    PGK: { numeric: '598', minorUnits: 2, name: 'Kina', symbol: 'K' },
+    PHP: { numeric: '608', minorUnits: 2, name: 'Philippine Peso', symbol: '₱' },
+    PKR: { numeric: '586', minorUnits: 2, name: 'Pakistan Rupee', symbol: 'Rs' },
+    PLN: { numeric: '985', minorUnits: 2, name: 'Zloty', symbol: 'zł' },
+    PYG: { numeric: '600', minorUnits: 0, name: 'Guarani', symbol: '₲' },
+    QAR: { numeric: '634', minorUnits: 2, name: 'Qatari Rial', symbol: 'QR' },
+    RON: { numeric: '946', minorUnits: 2, name: 'Romanian Leu', symbol: 'lei' },
+    RSD: { numeric: '941', minorUnits: 2, name: 'Serbian Dinar', symbol: 'дин.' },
+    RUB: { numeric: '643', minorUnits: 2, name: 'Russian Ruble', symbol: '₽' },
+    RWF: { numeric: '646', minorUnits: 0, name: 'Rwanda Franc', symbol: 'FRw' },
+    SAR: { numeric: '682', minorUnits: 2, name: 'Saudi Riyal', symbol: 'SR' },
+    SBD: { numeric: '090', minorUnits: 2, name: 'Solomon Islands Dollar', symbol: 'SI$' },
+    SCR: { numeric: '690', minorUnits: 2, name: 'Seychelles Rupee', symbol: 'SRe' },
+    SDG: { numeric: '938', minorUnits: 2, name: 'Sudanese Pound', symbol: 'SDG' },
+    SEK: { numeric: '752', minorUnits: 2, name: 'Swedish Krona', symbol: 'kr' },
+    SGD: { numeric: '702', minorUnits: 2, name: 'Singapore Dollar', symbol: 'S$' },
+    SHP: { numeric: '654', minorUnits: 2, name: 'Saint Helena Pound', symbol: '£' },
+    SLE: { numeric: '925', minorUnits: 2, name: 'Leone', symbol: 'Le' },
+    SOS: { numeric: '706', minorUnits: 2, name: 'Somali Shilling', symbol: 'Sh.So.' },
+    SRD: { numeric: '968', minorUnits: 2, name: 'Surinam Dollar', symbol: 'Sr$' },
+    SSP: { numeric: '728', minorUnits: 2, name: 'South Sudanese Pound', symbol: 'SS£' },
+    STN: { numeric: '930', minorUnits: 2, name: 'Dobra', symbol: 'Db' },
+    SVC: { numeric: '222', minorUnits: 2, name: 'El Salvador Colon', symbol: '₡' },
+    SYP: { numeric: '760', minorUnits: 2, name: 'Syrian Pound', symbol: 'S£' },
+    SZL: { numeric: '748', minorUnits: 2, name: 'Lilangeni', symbol: 'E' },
+    THB: { numeric: '764', minorUnits: 2, name: 'Baht', symbol: '฿' },
+    TJS: { numeric: '972', minorUnits: 2, name: 'Somoni', symbol: 'SM' },
+    TMT: { numeric: '934', minorUnits: 2, name: 'Turkmenistan New Manat', symbol: 'm' },
+    TND: { numeric: '788', minorUnits: 3, name: 'Tunisian Dinar', symbol: 'DT' },
+    TOP: { numeric: '776', minorUnits: 2, name: 'Pa’anga', symbol: 'T$' },
+    TRY: { numeric: '949', minorUnits: 2, name: 'Turkish Lira', symbol: '₺' },
+    TTD: { numeric: '780', minorUnits: 2, name: 'Trinidad and Tobago Dollar', symbol: 'TT$' },
+    TWD: { numeric: '901', minorUnits: 2, name: 'New Taiwan Dollar', symbol: 'NT$' },
+    TZS: { numeric: '834', minorUnits: 2, name: 'Tanzanian Shilling', symbol: 'TSh' },
+    UAH: { numeric: '980', minorUnits: 2, name: 'Hryvnia', symbol: '₴' },
+    UGX: { numeric: '800', minorUnits: 0, name: 'Uganda Shilling', symbol: 'USh' },
+    USD: { numeric: '840', minorUnits: 2, name: 'US Dollar', symbol: '$' },
+    USN: { numeric: '997', minorUnits: 2, name: 'US Dollar (Next day)', symbol: 'USN' },
+    UYI: { numeric: '940', minorUnits: 0, name: 'Uruguay Peso en Unidades Indexadas (UI)', symbol: 'UYI' },
+    UYU: { numeric: '858', minorUnits: 2, name: 'Peso Uruguayo', symbol: '$U' },
+    UYW: { numeric: '927', minorUnits: 4, name: 'Unidad Previsional', symbol: 'UYW' },
+    UZS: { numeric: '860', minorUnits: 2, name: 'Uzbekistan Sum', symbol: 'soʻm' },
+    VED: { numeric: '926', minorUnits: 2, name: 'Bolívar Soberano', symbol: 'Bs.D' },
+    VES: { numeric: '928', minorUnits: 2, name: 'Bolívar Soberano', symbol: 'Bs.S' },
+    VND: { numeric: '704', minorUnits: 0, name: 'Dong', symbol: '₫' },
+    VUV: { numeric: '548', minorUnits: 0, name: 'Vatu', symbol: 'VT' },
+    WST: { numeric: '882', minorUnits: 2, name: 'Tala', symbol: 'WS$' },
+    XAF: { numeric: '950', minorUnits: 0, name: 'CFA Franc BEAC', symbol: 'FCFA' },
+    XAG: { numeric: '961', minorUnits: null, name: 'Silver', symbol: 'XAG' },
+    XAU: { numeric: '959', minorUnits: null, name: 'Gold', symbol: 'XAU' },
+    XBA: { numeric: '955', minorUnits: null, name: 'Bond Markets Unit European Composite Unit (EURCO)', symbol: 'XBA' },
+    XBB: { numeric: '956', minorUnits: null, name: 'Bond Markets Unit European Monetary Unit (E.M.U.-6)', symbol: 'XBB' },
+    XBC: { numeric: '957', minorUnits: null, name: 'Bond Markets Unit European Unit of Account 9 (E.U.A.-9)', symbol: 'XBC' },
+    XBD: { numeric: '958', minorUnits: null, name: 'Bond Markets Unit European Unit of Account 17 (E.U.A.-17)', symbol: 'XBD' },
+    XCD: { numeric: '951', minorUnits: 2, name: 'East Caribbean Dollar', symbol: 'EC$' },
+    XCG: { numeric: '532', minorUnits: 2, name: 'Caribbean Guilder', symbol: 'Cg' },
+    XDR: { numeric: '960', minorUnits: null, name: 'SDR (Special Drawing Right)', symbol: 'XDR' },
+    XOF: { numeric: '952', minorUnits: 0, name: 'CFA Franc BCEAO', symbol: 'CFA' },
+    XPD: { numeric: '964', minorUnits: null, name: 'Palladium', symbol: 'XPD' },
+    XPF: { numeric: '953', minorUnits: 0, name: 'CFP Franc', symbol: 'CFPF' },
+    XPT: { numeric: '962', minorUnits: null, name: 'Platinum', symbol: 'XPT' },
+    XSU: { numeric: '994', minorUnits: null, name: 'Sucre', symbol: 'XSU' },
+    XTS: { numeric: '963', minorUnits: null, name: 'Codes specifically reserved for testing purposes', symbol: 'XTS' },
+    XUA: { numeric: '965', minorUnits: null, name: 'ADB Unit of Account', symbol: 'XUA' },
+    XXX: { numeric: '999', minorUnits: null, name: 'No currency', symbol: 'XXX' },
+    YER: { numeric: '886', minorUnits: 2, name: 'Yemeni Rial', symbol: 'YR' },
+    ZAR: { numeric: '710', minorUnits: 2, name: 'Rand', symbol: 'R' },
+    ZMW: { numeric: '967', minorUnits: 2, name: 'Zambian Kwacha', symbol: 'ZK' },
+    ZWG: { numeric: '924', minorUnits: 2, name: 'Zimbabwe Gold', symbol: 'ZiG' }
+};
+
+// Currency a shared symbol means when a string has no currency code (e.g. "$" is USD)
+const ISO_4217_SYMBOL_PREFERENCES = {
+    '$': 'USD',
+    '£': 'GBP',
+    '¥': 'JPY',
+    '₩': 'KRW',
+    'C$': 'CAD',
+    '₡': 'CRC'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ISO_4217_CURRENCIES, ISO_4217_SYMBOL_PREFERENCES };
+} else {
+    window.ISO_4217_CURRENCIES = ISO_4217_CURRENCIES;
+    window.ISO_4217_SYMBOL_PREFERENCES = ISO_4217_SYMBOL_PREFERENCES;
+}
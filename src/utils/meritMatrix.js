@@ -0,0 +1,253 @@
+/**
+ * Merit Matrix Utility
+ *
+ * Allocates merit raises from a grid of performance rating against position
+ * in the pay range (quartiles), with optional per-country grids and a solver
+ * that scales the grid to spend a budget target.
+ */
+
+// Grid rows, top to bottom
+const MERIT_MATRIX_RATINGS = [5, 4, 3, 2, 1];
+
+// Grid columns - quartile of the employee's position in their pay range
+const MERIT_MATRIX_QUARTILES = [
+    { key: 'Q1', label: 'Q1', description: 'Bottom quarter of range (or below minimum)' },
+    { key: 'Q2', label: 'Q2', description: 'Second quarter of range' },
+    { key: 'Q3', label: 'Q3', description: 'Third quarter of range' },
+    { key: 'Q4', label: 'Q4', description: 'Top quarter of range (or above maximum)' }
+];
+
+// Default merit grid - raise percentages, rows follow MERIT_MATRIX_RATINGS
+const DEFAULT_MERIT_GRID = [
+    [8.0, 7.0, 6.0, 4.5], // 5 - High Impact Performer
+    [6.0, 5.0, 4.0, 3.0], // 4 - Successful Performer
+    [4.0, 3.5, 2.5, 1.5], // 3 - Evolving Performer
+    [1.5, 1.0, 0.5, 0.0], // 2 - Needs Improvement
+    [0.0, 0.0, 0.0, 0.0]  // 1 - Unsatisfactory
+];
+
+// Upper bound for the budget solver's grid scale
+const MAX_MERIT_MATRIX_SCALE = 10;
+
+/**
+ * Create a merit matrix configuration with the default grid and no country grids
+ */
+function createMeritMatrix() {
+    return {
+        default: DEFAULT_MERIT_GRID.map(row => [...row]),
+        countries: {},
+        solveToBudget: false
+    };
+}
+
+/**
+ * Look up the country policy, which resolves the employee's ISO2 country code
+ */
+function getMeritMatrixPolicy(employee) {
+    const getPolicy = typeof window !== 'undefined'
+        ? window.getCountryPolicy
+        : require('./raiseCalculator.js').getCountryPolicy;
+    return getPolicy(employee);
+}
+
+/**
+ * Read an employee through the shared employee model (employeeModel.js)
+ */
+function getMeritMatrixEmployee(employee) {
+    const toModel = typeof window !== 'undefined'
+        ? window.toEmployeeModel
+        : require('./employeeModel.js').toEmployeeModel;
+    return toModel(employee);
+}
+
+/**
+ * Get the ISO2 country code used to pick an employee's grid
+ */
+function getMeritMatrixCountry(employee) {
+    return employee.countryCode || getMeritMatrixPolicy(employee).countryCode || null;
+}
+
+/**
+ * Get the employee's annual base salary in their own currency
+ */
+function getMeritMatrixSalary(employee) {
+    return getMeritMatrixEmployee(employee).baseSalary || 0;
+}
+
+/**
+ * Get the employee's position in their pay range (0 = minimum, 1 = maximum).
+ * Falls back to comparatio, treating 80%-120% as the range, when there is no pay range.
+ */
+function getRangePositionFraction(employee) {
+    if (employee.rangePosition && typeof employee.rangePosition.penetration === 'number') {
+        return employee.rangePosition.penetration;
+    }
+    
+    const comparatio = parseFloat(employee.comparatio);
+    return comparatio ? (comparatio - 0.8) / 0.4 : null;
+}
+
+/**
+ * Find the grid cell (row and column index) for an employee, or null if
+ * the rating or range position is unknown
+ */
+function getMeritMatrixCell(employee) {
+    const rating = getMeritMatrixEmployee(employee).rating;
+    const position = getRangePositionFraction(employee);
+    
+    const row = MERIT_MATRIX_RATINGS.indexOf(Math.round(rating));
+    if (row < 0 || position === null || isNaN(position)) {
+        return null;
+    }
+    
+    const column = Math.min(Math.max(Math.floor(position * 4), 0), MERIT_MATRIX_QUARTILES.length - 1);
+    return { row, column };
+}
+
+/**
+ * Get the grid that applies to an employee - their country's grid if one exists
+ */
+function getMeritGrid(matrix, employee) {
+    const countryCode = getMeritMatrixCountry(employee);
+    if (countryCode && matrix.countries && matrix.countries[countryCode]) {
+        return { gridKey: countryCode, grid: matrix.countries[countryCode] };
+    }
+    return { gridKey: 'default', grid: matrix.default };
+}
+
+/**
+ * Calculate an employee's merit raise percentage from the matrix, scaled and
+ * capped at the country maximum
+ */
+function calculateMeritRaise(employee, matrix, scale = 1) {
+    const cell = getMeritMatrixCell(employee);
+    const { gridKey, grid } = getMeritGrid(matrix, employee);
+    
+    if (!cell) {
+        return { percent: 0, cell: null, gridKey, gridPercent: null, capped: false };
+    }
+    
+    const gridPercent = parseFloat(grid[cell.row][cell.column]) || 0;
+    const maxPercent = getMeritMatrixPolicy(employee).maxRaise * 100;
+    const percent = Math.max(Math.min(gridPercent * scale, maxPercent), 0);
+    
+    return {
+        percent,
+        cell,
+        gridKey,
+        gridPercent,
+        capped: gridPercent * scale > maxPercent
+    };
+}
+
+/**
+ * Count employees in each grid cell for the heatmap
+ * @returns {Object} { counts: 5x4 array, unplaced }
+ */
+function countMeritMatrixCells(employees) {
+    const counts = MERIT_MATRIX_RATINGS.map(() => MERIT_MATRIX_QUARTILES.map(() => 0));
+    let unplaced = 0;
+    
+    employees.forEach(employee => {
+        const cell = getMeritMatrixCell(employee);
+        if (cell) {
+            counts[cell.row][cell.column]++;
+        } else {
+            unplaced++;
+        }
+    });
+    
+    return { counts, unplaced };
+}
+
+/**
+ * Find the grid scale whose total cost hits the budget target. Cost grows with
+ * the scale (country caps only flatten it), so a bisection search is enough.
+ * @param {Array} employees - Employees
+ * @param {Object} matrix - Merit matrix configuration
+ * @param {number} target - Budget target
+ * @param {Function} costFn - (employee, raisePercent) => cost in the target's currency
+ * @returns {Object} { scale, cost, reachable }
+ */
+function solveMeritMatrixScale(employees, matrix, target, costFn) {
+    const totalCost = scale => employees.reduce((sum, employee) =>
+        sum + costFn(employee, calculateMeritRaise(employee, matrix, scale).percent), 0);
+    
+    const maxCost = totalCost(MAX_MERIT_MATRIX_SCALE);
+    if (maxCost <= target) {
+        // Even the largest scale doesn't spend the budget (grid is empty or capped)
+        return { scale: MAX_MERIT_MATRIX_SCALE, cost: maxCost, reachable: false };
+    }
+    
+    let low = 0;
+    let high = MAX_MERIT_MATRIX_SCALE;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (totalCost(mid) > target) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    
+    return { scale: low, cost: totalCost(low), reachable: true };
+}
+
+/**
+ * Validate a grid of raise percentages
+ */
+function validateMeritGrid(grid) {
+    if (!Array.isArray(grid) || grid.length !== MERIT_MATRIX_RATINGS.length) {
+        throw new Error(`Merit grid must have ${MERIT_MATRIX_RATINGS.length} rating rows`);
+    }
+    
+    grid.forEach((row, rowIndex) => {
+        if (!Array.isArray(row) || row.length !== MERIT_MATRIX_QUARTILES.length) {
+            throw new Error(`Merit grid row ${MERIT_MATRIX_RATINGS[rowIndex]} must have ${MERIT_MATRIX_QUARTILES.length} quartiles`);
+        }
+        row.forEach(value => {
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0 || number > 100) {
+                throw new Error('Merit grid values must be percentages between 0 and 100');
+            }
+        });
+    });
+    
+    return true;
+}
+
+/**
+ * Export the merit matrix functions
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MERIT_MATRIX_RATINGS,
+        MERIT_MATRIX_QUARTILES,
+        DEFAULT_MERIT_GRID,
+        createMeritMatrix,
+        getMeritMatrixCountry,
+        getMeritMatrixSalary,
+        getRangePositionFraction,
+        getMeritMatrixCell,
+        getMeritGrid,
+        calculateMeritRaise,
+        countMeritMatrixCells,
+        solveMeritMatrixScale,
+        validateMeritGrid
+    };
+} else {
+    // Make functions available globally
+    window.MERIT_MATRIX_RATINGS = MERIT_MATRIX_RATINGS;
+    window.MERIT_MATRIX_QUARTILES = MERIT_MATRIX_QUARTILES;
+    window.DEFAULT_MERIT_GRID = DEFAULT_MERIT_GRID;
+    window.createMeritMatrix = createMeritMatrix;
+    window.getMeritMatrixCountry = getMeritMatrixCountry;
+    window.getMeritMatrixSalary = getMeritMatrixSalary;
+    window.getRangePositionFraction = getRangePositionFraction;
+    window.getMeritMatrixCell = getMeritMatrixCell;
+    window.getMeritGrid = getMeritGrid;
+    window.calculateMeritRaise = calculateMeritRaise;
+    window.countMeritMatrixCells = countMeritMatrixCells;
+    window.solveMeritMatrixScale = solveMeritMatrixScale;
+    window.validateMeritGrid = validateMeritGrid;
+}
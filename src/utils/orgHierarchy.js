@@ -0,0 +1,282 @@
+/**
+ * Org Hierarchy Utility
+ *
+ * Builds a management tree from the Manager Employee Number and
+ * Level2-Level12 Full Name columns of the Red Hat compensation report,
+ * with rolled-up headcount, payroll and comparatio per node.
+ */
+
+class OrgHierarchy {
+    /**
+     * @param {Array} employees - Parsed employee objects
+     * @param {Object} options - Options
+     * @param {CurrencyUtils} options.currencyUtils - Used to roll payroll up in the reporting currency
+     * @param {string} options.reportingCurrency - Currency for payroll roll-ups (default USD)
+     */
+    constructor(employees = [], options = {}) {
+        this.currencyUtils = options.currencyUtils || null;
+        this.reportingCurrency = options.reportingCurrency || 'USD';
+
+        this.nodes = new Map();
+        this.roots = [];
+
+        this.build(employees);
+    }
+
+    /**
+     * Build the tree from employee rows
+     * @param {Array} employees - Parsed employee objects
+     */
+    build(employees) {
+        this.nodes.clear();
+        this.roots = [];
+
+        const numberIndex = new Map();
+        const nameIndex = new Map();
+
+        // One node per employee row
+        employees.forEach(employee => {
+            const node = this.createNode(String(employee.id), employee.name, employee);
+            if (employee.employeeNumber) {
+                numberIndex.set(String(employee.employeeNumber), node);
+            }
+        });
+
+        // Level columns use the legal "Last, First" name, which can differ from the
+        // employee's own row, so learn each in-file manager's level name from their reports
+        employees.forEach(employee => {
+            const manager = numberIndex.get(String(employee.managerEmployeeNumber));
+            if (manager && employee.managerName && !nameIndex.has(employee.managerName)) {
+                nameIndex.set(employee.managerName, manager);
+            }
+        });
+
+        employees.forEach(employee => {
+            const node = this.nodes.get(String(employee.id));
+            const manager = numberIndex.get(String(employee.managerEmployeeNumber));
+
+            if (manager && manager !== node) {
+                this.linkNodes(manager, node);
+                return;
+            }
+
+            // Manager is outside the file - rebuild the chain above from the Level columns
+            const path = [...(employee.orgPath || [])];
+            if (employee.managerName && path[path.length - 1] !== employee.managerName) {
+                path.push(employee.managerName);
+            }
+
+            let parent = null;
+            path.forEach((levelName, index) => {
+                const isDirectManager = index === path.length - 1;
+                let levelNode = nameIndex.get(levelName);
+
+                if (!levelNode) {
+                    const id = isDirectManager && employee.managerEmployeeNumber
+                        ? `emp:${employee.managerEmployeeNumber}`
+                        : `org:${levelName}`;
+                    levelNode = this.nodes.get(id) || this.createNode(id, OrgHierarchy.formatName(levelName), null);
+                    nameIndex.set(levelName, levelNode);
+                }
+
+                if (parent && levelNode !== parent) {
+                    this.linkNodes(parent, levelNode);
+                }
+                parent = levelNode;
+            });
+
+            if (parent && parent !== node) {
+                this.linkNodes(parent, node);
+            }
+        });
+
+        this.roots = Array.from(this.nodes.values()).filter(node => !node.parent);
+        this.roots.forEach(root => this.calculateRollups(root, 0));
+    }
+
+    /**
+     * Create and register a tree node
+     * @param {string} id - Node id (employee id, or emp:/org: prefixed id for managers outside the file)
+     * @param {string} name - Display name
+     * @param {Object|null} employee - Employee row, null for managers outside the file
+     * @returns {Object} Node
+     */
+    createNode(id, name, employee) {
+        const node = {
+            id,
+            name,
+            employee,
+            parent: null,
+            children: [],
+            depth: 0,
+            rollup: null
+        };
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    /**
+     * Attach a child to a parent unless it already has one or it would create a cycle
+     * @param {Object} parent - Parent node
+     * @param {Object} child - Child node
+     */
+    linkNodes(parent, child) {
+        if (child.parent) return;
+
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === child) {
+                console.warn(`Org hierarchy: ignoring cycle between ${parent.name} and ${child.name}`);
+                return;
+            }
+        }
+
+        child.parent = parent;
+        parent.children.push(child);
+    }
+
+    /**
+     * Calculate rolled-up metrics for a node's subtree (excluding the node's own row)
+     * @param {Object} node - Tree node
+     * @param {number} depth - Depth of the node
+     * @returns {Object} Roll-up for the node including the node's own row, for its parent
+     */
+    calculateRollups(node, depth) {
+        node.depth = depth;
+
+        const rollup = {
+            headcount: 0,
+            directReports: 0,
+            payroll: 0,
+            comparatioTotal: 0,
+            comparatioCount: 0
+        };
+
+        node.children.sort((a, b) => {
+            // Managers first, then alphabetical
+            const managerDiff = (b.children.length > 0) - (a.children.length > 0);
+            return managerDiff || a.name.localeCompare(b.name);
+        });
+
+        node.children.forEach(child => {
+            const childTotals = this.calculateRollups(child, depth + 1);
+            rollup.headcount += childTotals.headcount;
+            rollup.payroll += childTotals.payroll;
+            rollup.comparatioTotal += childTotals.comparatioTotal;
+            rollup.comparatioCount += childTotals.comparatioCount;
+            if (child.employee) {
+                rollup.directReports++;
+            }
+        });
+
+        node.rollup = {
+            headcount: rollup.headcount,
+            directReports: rollup.directReports,
+            payroll: rollup.payroll,
+            currency: this.reportingCurrency,
+            averageComparatio: rollup.comparatioCount > 0 ? rollup.comparatioTotal / rollup.comparatioCount : null
+        };
+
+        // Totals passed up include this node's own row
+        const totals = { ...rollup };
+        if (node.employee) {
+            totals.headcount++;
+            totals.payroll += this.getReportingSalary(node.employee);
+            if (node.employee.comparatio) {
+                totals.comparatioTotal += node.employee.comparatio;
+                totals.comparatioCount++;
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Get an employee's salary in the reporting currency
+     * @param {Object} employee - Employee object
+     * @returns {number} Salary in reporting currency
+     */
+    getReportingSalary(employee) {
+        const salary = employee.salary;
+        if (!salary || !salary.amount) return 0;
+
+        // Prefer annual base pay (the range basis) over Total Base Pay where the parser captured it
+        const amount = (employee.rangePosition && employee.rangePosition.basisAmount) || salary.amount;
+
+        if (!this.currencyUtils || salary.currency === this.reportingCurrency) {
+            return amount;
+        }
+
+        try {
+            return this.currencyUtils.convertCurrency(amount, salary.currency, this.reportingCurrency).convertedAmount;
+        } catch (error) {
+            console.warn(`Org hierarchy: cannot convert ${salary.currency} payroll for ${employee.name}:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Get a node by id
+     * @param {string} nodeId - Node id
+     * @returns {Object|null} Node
+     */
+    getNode(nodeId) {
+        return this.nodes.get(nodeId) || null;
+    }
+
+    /**
+     * Get the root nodes of the tree
+     * @returns {Array} Root nodes
+     */
+    getRoots() {
+        return this.roots;
+    }
+
+    /**
+     * Get all employees in a manager's subtree (direct and indirect reports)
+     * @param {string} nodeId - Node id
+     * @returns {Array} Employee objects
+     */
+    getSubtreeEmployees(nodeId) {
+        const node = this.getNode(nodeId);
+        if (!node) return [];
+
+        const employees = [];
+        const stack = [...node.children];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current.employee) {
+                employees.push(current.employee);
+            }
+            stack.push(...current.children);
+        }
+        return employees;
+    }
+
+    /**
+     * Get the chain of nodes from the root down to a node
+     * @param {string} nodeId - Node id
+     * @returns {Array} Nodes from root to the given node
+     */
+    getPath(nodeId) {
+        const path = [];
+        for (let node = this.getNode(nodeId); node; node = node.parent) {
+            path.unshift(node);
+        }
+        return path;
+    }
+
+    /**
+     * Convert a "Last, First" name from the Level columns to "First Last"
+     * @param {string} name - Name from the CSV
+     * @returns {string} Display name
+     */
+    static formatName(name) {
+        const parts = (name || '').split(',').map(part => part.trim());
+        if (parts.length >= 2 && parts[0] && parts[1]) {
+            return `${parts.slice(1).join(' ')} ${parts[0]}`;
+        }
+        return (name || '').trim();
+    }
+}
+
+// Export for use in other modules
+window.OrgHierarchy = OrgHierarchy;
@@ -0,0 +1,570 @@
+/**
+ * PDF Writer Utility
+ *
+ * Writes PDF documents without any library, so reports work offline. Text uses
+ * the standard Helvetica fonts every PDF reader has built in (WinAnsi, i.e.
+ * Latin-1 plus curly quotes, dashes, bullets and the euro sign); charts are
+ * embedded as JPEG images. Content streams are stored uncompressed.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page.
+ * Besides drawing primitives the document keeps a cursor (doc.y) for flowing
+ * content - headings, paragraphs and tables move it down and start a new page
+ * when the current one is full.
+ *
+ * Usage:
+ *   const doc = new PdfDocument({ title: 'Compensation Review' });
+ *   doc.addPage();
+ *   doc.heading('Executive Summary');
+ *   doc.paragraph('Recommendations total $120,000 ...');
+ *   doc.table({ columns: [{ header: 'Country' }, { header: 'Budget', align: 'right' }], rows: [['US', '$80,000']] });
+ *   doc.forEachPage((page, count) => doc.text(`Page ${page + 1} of ${count}`, ...));
+ *   const bytes = doc.toBytes();
+ */
+
+// MIME type of .pdf files
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Page sizes in points
+const PDF_PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+
+// Glyph widths (per 1000 units of font size) of ASCII 32-126 in Helvetica and Helvetica-Bold
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes of the characters outside Latin-1, with their widths
+const WIN_ANSI_EXTRAS = {
+    '€': [128, 556], '…': [133, 1000], '‘': [145, 222], '’': [146, 222],
+    '“': [147, 333], '”': [148, 333], '•': [149, 350], '–': [150, 556],
+    '—': [151, 1000], '™': [153, 1000]
+};
+
+// Baseline offset from the top of a line, as a fraction of the font size
+const BASELINE_OFFSET = 0.8;
+
+/**
+ * Convert a '#rrggbb' colour to a PDF colour operand string ("r g b")
+ * @param {string} hex - Colour
+ * @returns {string} Operands, e.g. "0.122 0.161 0.216"
+ */
+function toPdfColor(hex) {
+    const value = parseInt(String(hex || '#000000').replace('#', ''), 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(channel => +(channel / 255).toFixed(3))
+        .join(' ');
+}
+
+/**
+ * Format a number for a content stream (at most two decimals)
+ */
+function formatPdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Map one character to WinAnsi
+ * @returns {string|null} The WinAnsi char, or null when the standard fonts can't show it
+ */
+function toWinAnsiChar(char) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return char;
+    if (code >= 160 && code <= 255) return char;
+    if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+    if (char === '\t' || char === '\n') return ' ';
+    return null;
+}
+
+/**
+ * Map text to WinAnsi - characters the standard fonts can't show become '?'
+ * @param {string} text - Text
+ * @returns {string} One char (code 0-255) per byte
+ */
+function toWinAnsi(text) {
+    let result = '';
+    for (const char of String(text)) {
+        const mapped = toWinAnsiChar(char);
+        result += mapped === null ? '?' : mapped;
+    }
+    return result;
+}
+
+/**
+ * Check whether text can be shown in a PDF without characters becoming '?'
+ * (e.g. ₹ and ₪ are not in WinAnsi)
+ * @param {string} text - Text
+ * @returns {boolean} True when every character maps to WinAnsi
+ */
+function isPdfText(text) {
+    for (const char of String(text)) {
+        if (toWinAnsiChar(char) === null) return false;
+    }
+    return true;
+}
+
+/**
+ * Escape WinAnsi text for a PDF literal string
+ */
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Width of text in points
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {boolean} bold - Helvetica-Bold instead of Helvetica
+ * @returns {number} Width
+ */
+function measurePdfText(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        if (code >= 32 && code <= 126) {
+            units += widths[code - 32];
+        } else if (WIN_ANSI_EXTRAS[char]) {
+            units += WIN_ANSI_EXTRAS[char][1];
+        } else {
+            units += 556;
+        }
+    }
+    return units * size / 1000;
+}
+
+/**
+ * Split text into lines that fit a width, breaking at spaces (and inside
+ * words longer than the width)
+ * @returns {string[]} Lines
+ */
+function wrapPdfText(text, width, size, bold = false) {
+    const lines = [];
+
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measurePdfText(candidate, size, bold) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+
+            // Break words that don't fit on a line by themselves
+            line = '';
+            for (const char of word) {
+                if (line && measurePdfText(line + char, size, bold) > width) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+/**
+ * Shorten text with an ellipsis so it fits a width
+ */
+function truncatePdfText(text, width, size, bold = false) {
+    if (measurePdfText(text, size, bold) <= width) return text;
+
+    let truncated = String(text);
+    while (truncated.length > 1 && measurePdfText(`${truncated}…`, size, bold) > width) {
+        truncated = truncated.slice(0, -1);
+    }
+    return `${truncated}…`;
+}
+
+/**
+ * Decode a base64 data URL (e.g. canvas.toDataURL('image/jpeg')) to bytes
+ * @param {string} dataUrl - Data URL
+ * @returns {Uint8Array} Bytes
+ */
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Convert a string of char codes 0-255 to bytes
+ */
+function latin1ToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 255;
+    }
+    return bytes;
+}
+
+class PdfDocument {
+    /**
+     * @param {Object} options - { size: 'a4' | 'letter', margin, title, author }
+     */
+    constructor(options = {}) {
+        const size = PDF_PAGE_SIZES[options.size] || PDF_PAGE_SIZES.a4;
+        this.width = size.width;
+        this.height = size.height;
+        this.margin = options.margin || 50;
+        this.title = options.title || '';
+        this.author = options.author || '';
+
+        this.pages = [];
+        this.images = [];
+        this.currentPage = -1;
+        this.y = this.margin;
+    }
+
+    /**
+     * Width between the left and right margins
+     */
+    get contentWidth() {
+        return this.width - this.margin * 2;
+    }
+
+    /**
+     * Lowest y flowing content may reach - the bottom margin is left for footers
+     */
+    get contentBottom() {
+        return this.height - this.margin;
+    }
+
+    /**
+     * Start a new page and move the cursor to its top margin
+     * @returns {number} Index of the page
+     */
+    addPage() {
+        this.pages.push({ content: [] });
+        this.currentPage = this.pages.length - 1;
+        this.y = this.margin;
+        return this.currentPage;
+    }
+
+    /**
+     * Start a new page unless the given height still fits below the cursor
+     * @param {number} height - Height needed
+     * @returns {boolean} Whether a page was added
+     */
+    ensureSpace(height) {
+        if (this.currentPage >= 0 && this.y + height <= this.contentBottom) return false;
+        this.addPage();
+        return true;
+    }
+
+    /**
+     * Call back for every page (e.g. to draw footers once the page count is known)
+     * @param {Function} callback - (pageIndex, pageCount) => void; draws on that page
+     */
+    forEachPage(callback) {
+        const current = this.currentPage;
+        this.pages.forEach((page, index) => {
+            this.currentPage = index;
+            callback(index, this.pages.length);
+        });
+        this.currentPage = current;
+    }
+
+    /**
+     * Append operators to the current page's content stream
+     */
+    write(operators) {
+        if (this.currentPage < 0) this.addPage();
+        this.pages[this.currentPage].content.push(operators);
+    }
+
+    /**
+     * Width of text in points
+     */
+    measureText(text, size = 10, bold = false) {
+        return measurePdfText(text, size, bold);
+    }
+
+    /**
+     * Draw one line of text
+     * @param {string} text - Text
+     * @param {number} x - Left edge (or right edge / centre, see align)
+     * @param {number} y - Top of the line
+     * @param {Object} options - { size, bold, color, align: 'left' | 'right' | 'center' }
+     */
+    text(text, x, y, options = {}) {
+        const { size = 10, bold = false, color = '#1f2937', align = 'left' } = options;
+        const width = measurePdfText(text, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        const baseline = this.height - (y + size * BASELINE_OFFSET);
+
+        this.write(`BT /${bold ? 'F2' : 'F1'} ${formatPdfNumber(size)} Tf ${toPdfColor(color)} rg ` +
+            `${formatPdfNumber(left)} ${formatPdfNumber(baseline)} Td (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+    }
+
+    /**
+     * Draw a rectangle
+     * @param {Object} options - { fill, stroke, lineWidth }
+     */
+    rect(x, y, width, height, options = {}) {
+        const { fill, stroke, lineWidth = 0.5 } = options;
+        const ops = [`${formatPdfNumber(x)} ${formatPdfNumber(this.height - y - height)} ${formatPdfNumber(width)} ${formatPdfNumber(height)} re`];
+
+        if (fill) ops.unshift(`${toPdfColor(fill)} rg`);
+        if (stroke) ops.unshift(`${toPdfColor(stroke)} RG ${formatPdfNumber(lineWidth)} w`);
+        ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.write(ops.join(' '));
+    }
+
+    /**
+     * Draw a straight line
+     * @param {Object} options - { color, lineWidth }
+     */
+    line(x1, y1, x2, y2, options = {}) {
+        const { color = '#d1d5db', lineWidth = 0.5 } = options;
+        this.write(`${toPdfColor(color)} RG ${formatPdfNumber(lineWidth)} w ` +
+            `${formatPdfNumber(x1)} ${formatPdfNumber(this.height - y1)} m ${formatPdfNumber(x2)} ${formatPdfNumber(this.height - y2)} l S`);
+    }
+
+    /**
+     * Draw a JPEG image
+     * @param {Object} image - { dataUrl } or { bytes }, with the image's pixel width and height
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width on the page
+     * @param {number} height - Height on the page
+     */
+    image(image, x, y, width, height) {
+        const bytes = image.bytes || dataUrlToBytes(image.dataUrl);
+        this.images.push({ bytes, width: image.width, height: image.height });
+        const name = `Im${this.images.length}`;
+
+        this.write(`q ${formatPdfNumber(width)} 0 0 ${formatPdfNumber(height)} ` +
+            `${formatPdfNumber(x)} ${formatPdfNumber(this.height - y - height)} cm /${name} Do Q`);
+    }
+
+    /**
+     * Flow a heading at the cursor
+     * @param {string} text - Heading
+     * @param {Object} options - { size, color, spaceBefore }
+     */
+    heading(text, options = {}) {
+        const { size = 16, color = '#111827', spaceBefore = 8 } = options;
+
+        // Keep a heading together with at least a few lines of what follows it
+        if (!this.ensureSpace(size * 1.4 + spaceBefore + 60) && this.y > this.margin) {
+            this.y += spaceBefore;
+        }
+        this.text(text, this.margin, this.y, { size, bold: true, color });
+        this.y += size * 1.6;
+    }
+
+    /**
+     * Flow wrapped text at the cursor
+     * @param {string} text - Text; blank lines separate paragraphs
+     * @param {Object} options - { size, bold, color, lineHeight, indent, spaceAfter }
+     */
+    paragraph(text, options = {}) {
+        const { size = 10, bold = false, color = '#374151', lineHeight = 1.45, indent = 0, spaceAfter = 8 } = options;
+        const lines = wrapPdfText(text, this.contentWidth - indent, size, bold);
+
+        lines.forEach(line => {
+            this.ensureSpace(size * lineHeight);
+            if (line) {
+                this.text(line, this.margin + indent, this.y, { size, bold, color });
+            }
+            this.y += size * lineHeight;
+        });
+        this.y += spaceAfter;
+    }
+
+    /**
+     * Flow a bulleted list at the cursor
+     * @param {string[]} items - Items
+     * @param {Object} options - Paragraph options
+     */
+    bullets(items, options = {}) {
+        const size = options.size || 10;
+        items.forEach(item => {
+            this.ensureSpace(size * 1.45);
+            this.text('•', this.margin + 4, this.y, { size, color: options.color || '#374151' });
+            this.paragraph(item, { ...options, indent: 16, spaceAfter: 2 });
+        });
+        this.y += 6;
+    }
+
+    /**
+     * Flow a table at the cursor; rows that don't fit go on the next page
+     * under a repeated header row
+     * @param {Object} table - {
+     *     columns: [{ header, width, align }] - widths are relative and scaled to the content width,
+     *     rows: [[cell, ...]], totals: [cell, ...] (optional, bold),
+     *     size, wrap (wrap long cells instead of truncating them)
+     * }
+     */
+    table(table) {
+        const { columns, rows = [], totals = null, size = 8.5, wrap = false } = table;
+        const padding = 4;
+        const lineHeight = size * 1.3;
+        const relative = columns.map(column => column.width || 1);
+        const scale = this.contentWidth / relative.reduce((sum, width) => sum + width, 0);
+        const widths = relative.map(width => width * scale);
+
+        const layoutRow = (cells, bold, wrapCells) => {
+            const lines = columns.map((column, index) => {
+                const value = cells[index] === null || cells[index] === undefined ? '' : String(cells[index]);
+                const width = widths[index] - padding * 2;
+                return wrapCells && column.wrap !== false
+                    ? wrapPdfText(value, width, size, bold)
+                    : [truncatePdfText(value, width, size, bold)];
+            });
+            return { lines, height: Math.max(...lines.map(cellLines => cellLines.length)) * lineHeight + padding * 2 };
+        };
+
+        const drawRow = (layout, options = {}) => {
+            let x = this.margin;
+            if (options.fill) this.rect(this.margin, this.y, this.contentWidth, layout.height, { fill: options.fill });
+
+            layout.lines.forEach((cellLines, index) => {
+                const align = columns[index].align || 'left';
+                const textX = align === 'right' ? x + widths[index] - padding : x + padding;
+                cellLines.forEach((line, lineIndex) => {
+                    this.text(line, textX, this.y + padding + lineIndex * lineHeight, { size, bold: options.bold, align, color: '#1f2937' });
+                });
+                x += widths[index];
+            });
+
+            if (options.topRule) this.line(this.margin, this.y, this.margin + this.contentWidth, this.y, { color: '#6b7280', lineWidth: 0.8 });
+            this.y += layout.height;
+            this.line(this.margin, this.y, this.margin + this.contentWidth, this.y, { color: '#e5e7eb' });
+        };
+
+        // Headers always wrap, so narrow columns can have long names
+        const header = layoutRow(columns.map(column => column.header), true, true);
+        const drawHeader = () => drawRow(header, { bold: true, fill: '#e5e7eb' });
+
+        this.ensureSpace(header.height + lineHeight + padding * 2);
+        drawHeader();
+
+        rows.forEach(cells => {
+            const layout = layoutRow(cells, false, wrap);
+            if (this.ensureSpace(layout.height)) drawHeader();
+            drawRow(layout);
+        });
+
+        if (totals) {
+            const layout = layoutRow(totals, true, wrap);
+            if (this.ensureSpace(layout.height)) drawHeader();
+            drawRow(layout, { bold: true, topRule: true });
+        }
+
+        this.y += 12;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array} PDF file bytes
+     */
+    toBytes() {
+        if (this.pages.length === 0) this.addPage();
+
+        // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then a page and its content per page
+        const firstImage = 6;
+        const firstPage = firstImage + this.images.length;
+        const pageIds = this.pages.map((page, index) => firstPage + index * 2);
+        const objects = [];
+
+        objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+        objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const creationDate = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+            `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        objects.push(`<< /Title (${escapePdfString(toWinAnsi(this.title))}) /Author (${escapePdfString(toWinAnsi(this.author))}) ` +
+            `/Producer (Team Analyzer) /CreationDate (${creationDate}) >>`);
+
+        this.images.forEach(image => {
+            objects.push({
+                dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+                bytes: image.bytes
+            });
+        });
+
+        const imageResources = this.images.map((image, index) => `/Im${index + 1} ${firstImage + index} 0 R`).join(' ');
+        this.pages.forEach((page, index) => {
+            const content = page.content.join('\n');
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatPdfNumber(this.width)} ${formatPdfNumber(this.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${imageResources ? ` /XObject << ${imageResources} >>` : ''} >> ` +
+                `/Contents ${pageIds[index] + 1} 0 R >>`);
+            objects.push({ dictionary: `<< /Length ${content.length} >>`, bytes: latin1ToBytes(content) });
+        });
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const append = bytes => {
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        append(latin1ToBytes('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'));
+        objects.forEach((object, index) => {
+            offsets.push(length);
+            if (typeof object === 'string') {
+                append(latin1ToBytes(`${index + 1} 0 obj\n${object}\nendobj\n`));
+            } else {
+                append(latin1ToBytes(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`));
+                append(object.bytes);
+                append(latin1ToBytes('\nendstream\nendobj\n'));
+            }
+        });
+
+        const xrefOffset = length;
+        const xref = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        append(latin1ToBytes(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${xref}` +
+            `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`));
+
+        const output = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PDF_MIME_TYPE,
+        PdfDocument,
+        isPdfText,
+        measurePdfText,
+        wrapPdfText
+    };
+} else {
+    window.PDF_MIME_TYPE = PDF_MIME_TYPE;
+    window.PdfDocument = PdfDocument;
+    window.isPdfText = isPdfText;
+}
@@ -2,57 +2,9 @@
  * Raise Calculation Engine
  * 
  * Handles salary raise calculations with country-specific constraints,
- * performance-based recommendations, and approval workflows.
+ * weighted multi-factor raise scoring, and approval workflows.
  */
 
-// Country-specific raise constraints and rules
-const COUNTRY_CONSTRAINTS = {
-    'US': {
-        maxRaise: 0.12, // 12% maximum without VP approval
-        vpApprovalThreshold: 0.12,
-        typicalRange: { min: 0.03, max: 0.08 },
-        currency: 'USD',
-        budgetCycle: 'annual'
-    },
-    'India': {
-        maxRaise: 0.50, // 50% maximum
-        vpApprovalThreshold: 0.25, // VP approval for raises > 25%
-        typicalRange: { min: 0.10, max: 0.20 },
-        currency: 'INR',
-        budgetCycle: 'annual'
-    },
-    'UK': {
-        maxRaise: 0.15, // 15% maximum
-        vpApprovalThreshold: 0.12,
-        typicalRange: { min: 0.03, max: 0.10 },
-        currency: 'GBP',
-        budgetCycle: 'annual'
-    },
-    'Canada': {
-        maxRaise: 0.12, // 12% maximum
-        vpApprovalThreshold: 0.10,
-        typicalRange: { min: 0.03, max: 0.08 },
-        currency: 'CAD',
-        budgetCycle: 'annual'
-    },
-    'Germany': {
-        maxRaise: 0.10, // 10% maximum
-        vpApprovalThreshold: 0.08,
-        typicalRange: { min: 0.02, max: 0.06 },
-        currency: 'EUR',
-        budgetCycle: 'annual'
-    }
-};
-
-// Performance-based raise multipliers
-const PERFORMANCE_MULTIPLIERS = {
-    1: 0.5,   // Below expectations - 50% of typical raise
-    2: 0.75,  // Meets some expectations - 75% of typical raise
-    3: 1.0,   // Meets expectations - 100% of typical raise
-    4: 1.3,   // Exceeds expectations - 130% of typical raise
-    5: 1.6    // Far exceeds expectations - 160% of typical raise
-};
-
 // Risk factors that affect raise recommendations
 const RISK_FACTORS = {
     'flight_risk': 1.2,     // 20% increase for flight risk employees
@@ -61,54 +13,265 @@ const RISK_FACTORS = {
     'recent_raise': 0.7     // 30% decrease for employees with recent raises
 };
 
+// Default weights for the raise scoring model (AppState.raiseSettings)
+const DEFAULT_RAISE_SETTINGS = {
+    performanceWeight: 0.4,
+    timeInRoleWeight: 0.3,
+    timeSinceRaiseWeight: 0.2,
+    comparatioWeight: 0.1,
+    budgetPercentage: 3.0 // Target average raise (%) before country adjustment
+};
+
+// Factors in the raise score - each is scored 0 (least deserving) to 1 (most deserving)
+const RAISE_FACTORS = {
+    performance: {
+        label: 'Performance',
+        weightKey: 'performanceWeight',
+        // Rating 1-5 -> 0-1
+        score: employee => {
+            const rating = getRaiseEmployeeModel(employee).rating;
+            return rating ? { value: `${rating}/5`, score: (rating - 1) / 4 } : null;
+        }
+    },
+    timeInRole: {
+        label: 'Time in role',
+        weightKey: 'timeInRoleWeight',
+        // Months in role, full score at 4 years
+        score: employee => employee.timeInRole == null ? null : {
+            value: `${employee.timeInRole} months`,
+            score: Math.min(employee.timeInRole / 48, 1)
+        }
+    },
+    timeSinceRaise: {
+        label: 'Time since last raise',
+        weightKey: 'timeSinceRaiseWeight',
+        // Months since the last salary change, full score at 2 years
+        score: employee => employee.timeSinceRaise == null ? null : {
+            value: `${employee.timeSinceRaise} months`,
+            score: Math.min(employee.timeSinceRaise / 24, 1)
+        }
+    },
+    comparatio: {
+        label: 'Comparatio',
+        weightKey: 'comparatioWeight',
+        // 80% comparatio or below scores 1, 120% or above scores 0
+        score: employee => {
+            const comparatio = getRaiseEmployeeModel(employee).comparatio;
+            return comparatio ? {
+                value: `${(comparatio * 100).toFixed(0)}%`,
+                score: Math.min(Math.max((1.2 - comparatio) / 0.4, 0), 1)
+            } : null;
+        }
+    }
+};
+
+// Score used for a factor when the employee has no data for it
+const NEUTRAL_FACTOR_SCORE = 0.5;
+
+/**
+ * Read an employee through the shared employee model (employeeModel.js)
+ */
+function getRaiseEmployeeModel(employee) {
+    const toModel = typeof window !== 'undefined'
+        ? window.toEmployeeModel
+        : require('./employeeModel.js').toEmployeeModel;
+    return toModel(employee);
+}
+
+/**
+ * Get the raise policy for an employee from the shared country policy
+ * registry (countryPolicy.js), including any grade band override
+ */
+function getCountryPolicy(employee) {
+    const registry = typeof window !== 'undefined'
+        ? window.countryPolicyRegistry
+        : require('./countryPolicy.js').countryPolicyRegistry;
+    return registry.getPolicyForEmployee(employee);
+}
+
+/**
+ * Calculate the raise percentages needed to reach the employee's pay range
+ * minimum, midpoint and maximum (from the Min/Mid/Max Pay Grade Value columns).
+ * Ranges are full-time, so part-time salaries are compared FTE-annualized.
+ */
+function calculateRangeTargets(employee) {
+    const range = employee.payRange;
+    const salary = (employee.rangePosition && employee.rangePosition.fteAmount) ||
+        getRaiseEmployeeModel(employee).baseSalary;
+    
+    if (!range || !salary) {
+        return null;
+    }
+    
+    return {
+        toMin: Math.max((range.min - salary) / salary, 0),
+        toMid: (range.mid - salary) / salary,
+        toMax: (range.max - salary) / salary
+    };
+}
+
 /**
- * Calculate recommended raise percentage based on performance and constraints
+ * Score an employee on each weighted raise factor. Weights are normalized so
+ * they don't have to add up to 1; factors without data score neutral.
  */
-function calculateRecommendedRaise(employee, countryConstraints) {
-    const { performance, country, tenure, riskIndicators } = employee;
+function calculateRaiseScore(employee, settings = DEFAULT_RAISE_SETTINGS) {
+    const weights = Object.values(RAISE_FACTORS).map(factor => 
+        Math.max(Number(settings[factor.weightKey]) || 0, 0)
+    );
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    
+    const factors = Object.entries(RAISE_FACTORS).map(([key, factor], index) => {
+        const result = factor.score(employee);
+        const weight = totalWeight > 0 ? weights[index] / totalWeight : 1 / weights.length;
+        const score = result ? result.score : NEUTRAL_FACTOR_SCORE;
+        
+        return {
+            key,
+            label: factor.label,
+            value: result ? result.value : 'No data',
+            hasData: !!result,
+            weight,
+            score,
+            weightedScore: weight * score
+        };
+    });
+    
+    return {
+        score: factors.reduce((sum, factor) => sum + factor.weightedScore, 0),
+        factors
+    };
+}
+
+/**
+ * Average raise score across a team, used as the reference score so the merit
+ * budget is the raise for a typical member of that team
+ */
+function calculateAverageRaiseScore(employees, settings = DEFAULT_RAISE_SETTINGS) {
+    if (!employees || employees.length === 0) {
+        return NEUTRAL_FACTOR_SCORE;
+    }
+    
+    const total = employees.reduce((sum, employee) => sum + calculateRaiseScore(employee, settings).score, 0);
+    return total / employees.length || NEUTRAL_FACTOR_SCORE;
+}
+
+/**
+ * Calculate recommended raise percentage from the weighted factor score and constraints.
+ * The merit budget is the raise for an employee scoring the reference score; the raise
+ * scales with score / referenceScore. The budget is first moved into the country's
+ * typical range - a 3% budget becomes 10% in India (typical 10-15%) - and the
+ * breakdown reports it as budgetRaise, baseRaise and budgetAdjustment
+ * ('raised_to_typical_min', 'capped_at_typical_max' or null) so the UI can show it.
+ */
+function calculateRecommendedRaise(employee, countryConstraints = getCountryPolicy(employee), settings = DEFAULT_RAISE_SETTINGS, referenceScore = NEUTRAL_FACTOR_SCORE) {
+    const { riskIndicators } = employee;
+    const adjustments = [];
+    
+    // Start from the merit budget, adjusted to the country's typical range
+    const budgetRaise = (Number(settings.budgetPercentage) || 0) / 100;
+    const baseRaise = Math.min(
+        Math.max(budgetRaise, countryConstraints.typicalRange.min),
+        countryConstraints.typicalRange.max
+    );
+    const budgetAdjustment = baseRaise > budgetRaise ? 'raised_to_typical_min'
+        : baseRaise < budgetRaise ? 'capped_at_typical_max'
+        : null;
     
-    // Start with typical range midpoint for the country
-    const baseRaise = (countryConstraints.typicalRange.min + countryConstraints.typicalRange.max) / 2;
+    // Apply the weighted factor score
+    const { score, factors } = calculateRaiseScore(employee, settings);
+    const scoreMultiplier = score / referenceScore;
+    let recommendedRaise = baseRaise * scoreMultiplier;
     
-    // Apply performance multiplier
-    const performanceMultiplier = PERFORMANCE_MULTIPLIERS[performance] || 1.0;
-    let recommendedRaise = baseRaise * performanceMultiplier;
+    factors.forEach(factor => {
+        factor.contribution = baseRaise * factor.weightedScore / referenceScore;
+    });
     
     // Apply risk factor adjustments
+    const appliedRiskFactors = [];
     if (riskIndicators) {
         riskIndicators.forEach(risk => {
             const multiplier = RISK_FACTORS[risk];
             if (multiplier) {
+                const before = recommendedRaise;
                 recommendedRaise *= multiplier;
+                appliedRiskFactors.push(risk);
+                adjustments.push({ label: `Risk factor: ${risk.replace(/_/g, ' ')}`, contribution: recommendedRaise - before });
             }
         });
     }
     
+    // Apply pay range targets - lift to the range minimum, cap at the range maximum
+    const rangeTargets = calculateRangeTargets(employee);
+    let rangeAdjustment = null;
+    if (rangeTargets) {
+        const before = recommendedRaise;
+        if (recommendedRaise < rangeTargets.toMin) {
+            recommendedRaise = rangeTargets.toMin;
+            rangeAdjustment = 'raised_to_min';
+            adjustments.push({ label: 'Raised to pay range minimum', contribution: recommendedRaise - before });
+        } else if (recommendedRaise > Math.max(rangeTargets.toMax, 0)) {
+            recommendedRaise = Math.max(rangeTargets.toMax, 0);
+            rangeAdjustment = 'capped_at_max';
+            adjustments.push({ label: 'Capped at pay range maximum', contribution: recommendedRaise - before });
+        }
+    }
+    
     // Ensure within country constraints
-    recommendedRaise = Math.min(recommendedRaise, countryConstraints.maxRaise);
+    if (recommendedRaise > countryConstraints.maxRaise) {
+        adjustments.push({
+            label: `Capped at ${countryConstraints.countryName || 'country'} maximum`,
+            contribution: countryConstraints.maxRaise - recommendedRaise
+        });
+        recommendedRaise = countryConstraints.maxRaise;
+    }
     recommendedRaise = Math.max(recommendedRaise, 0); // No negative raises
     
     return {
         percentage: recommendedRaise,
         baseRaise,
-        performanceMultiplier,
-        appliedRiskFactors: riskIndicators || [],
+        score,
+        scoreMultiplier,
+        breakdown: {
+            budgetRaise,
+            baseRaise,
+            budgetAdjustment,
+            typicalRange: countryConstraints.typicalRange,
+            referenceScore,
+            factors,
+            adjustments
+        },
+        appliedRiskFactors,
+        rangeTargets,
+        rangeAdjustment,
+        reachesRangeMin: !rangeTargets || recommendedRaise >= rangeTargets.toMin,
         withinConstraints: recommendedRaise <= countryConstraints.maxRaise,
         requiresApproval: recommendedRaise > countryConstraints.vpApprovalThreshold
     };
 }
 
 /**
- * Calculate new salary and total cost impact
+ * Get the share of base pay an employee receives as variable pay (totalCompensation.js)
+ */
+function getEmployeeVariableRate(employee) {
+    const getRate = typeof window !== 'undefined'
+        ? window.getVariableRate
+        : require('./totalCompensation.js').getVariableRate;
+    return getRate(employee);
+}
+
+/**
+ * Calculate new salary and total cost impact. Variable pay set as a share of
+ * base (variableRate) rises with the salary and is added to the cost.
  */
-function calculateSalaryImpact(currentSalary, raisePercentage, currency = 'USD') {
+function calculateSalaryImpact(currentSalary, raisePercentage, currency = 'USD', variableRate = 0) {
     const raiseAmount = currentSalary * raisePercentage;
     const newSalary = currentSalary + raiseAmount;
+    const variableIncrease = raiseAmount * variableRate;
     
-    // Estimate total cost including benefits (typically 1.3x salary)
+    // Estimate total cost including benefits (typically 1.3x salary) plus variable pay
     const benefitsMultiplier = 1.3;
-    const currentTotalCost = currentSalary * benefitsMultiplier;
-    const newTotalCost = newSalary * benefitsMultiplier;
+    const currentTotalCost = currentSalary * (benefitsMultiplier + variableRate);
+    const newTotalCost = newSalary * (benefitsMultiplier + variableRate);
     const totalCostIncrease = newTotalCost - currentTotalCost;
     
     return {
@@ -116,6 +279,9 @@ function calculateSalaryImpact(currentSalary, raisePercentage, currency = 'USD')
         raiseAmount,
         newSalary,
         raisePercentage,
+        variableRate,
+        variableIncrease,
+        totalCashIncrease: raiseAmount + variableIncrease,
         currentTotalCost,
         newTotalCost,
         totalCostIncrease,
@@ -127,8 +293,8 @@ function calculateSalaryImpact(currentSalary, raisePercentage, currency = 'USD')
  * Validate raise against country constraints
  */
 function validateRaise(employee, raisePercentage) {
-    const country = employee.country || 'US';
-    const constraints = COUNTRY_CONSTRAINTS[country] || COUNTRY_CONSTRAINTS['US'];
+    const constraints = getCountryPolicy(employee);
+    const country = constraints.countryName;
     
     const validation = {
         isValid: true,
@@ -167,11 +333,29 @@ function validateRaise(employee, raisePercentage) {
         );
     }
     
+    // Check raise against the employee's pay range
+    const rangeTargets = calculateRangeTargets(employee);
+    if (rangeTargets) {
+        if (raisePercentage < rangeTargets.toMin) {
+            validation.warnings.push(
+                `Raise of ${(raisePercentage * 100).toFixed(1)}% leaves salary below range minimum (${(rangeTargets.toMin * 100).toFixed(1)}% needed to reach minimum)`
+            );
+        }
+        
+        if (raisePercentage > Math.max(rangeTargets.toMax, 0)) {
+            validation.warnings.push(
+                `Raise of ${(raisePercentage * 100).toFixed(1)}% takes salary above range maximum (headroom: ${(Math.max(rangeTargets.toMax, 0) * 100).toFixed(1)}%)`
+            );
+        }
+    }
+    
     return validation;
 }
 
 /**
- * Calculate raises for a team with budget constraints
+ * Calculate raises for a team with budget constraints. Costs are in each employee's
+ * pay currency; budgetConstraints.toBudgetCurrency(amount, currency) converts them so
+ * the totals can be summed (without it every employee is assumed to share a currency).
  */
 function calculateTeamRaises(employees, budgetConstraints = {}) {
     const results = {
@@ -179,25 +363,32 @@ function calculateTeamRaises(employees, budgetConstraints = {}) {
         totalCurrentCost: 0,
         totalNewCost: 0,
         totalBudgetIncrease: 0,
+        totalVariableIncrease: 0,
         budgetUtilization: 0,
         approvalRequired: [],
         budgetExceeded: false,
         recommendations: []
     };
     
+    const toBudgetCurrency = budgetConstraints.toBudgetCurrency || (amount => amount);
+    
+    // Score against the team average so the merit budget is the typical raise
+    const referenceScore = calculateAverageRaiseScore(employees, budgetConstraints.raiseSettings);
+    
     // Calculate individual raises
     employees.forEach(employee => {
-        const country = employee.country || 'US';
-        const constraints = COUNTRY_CONSTRAINTS[country] || COUNTRY_CONSTRAINTS['US'];
+        const constraints = getCountryPolicy(employee);
         
         // Get recommended raise
-        const recommendation = calculateRecommendedRaise(employee, constraints);
+        const recommendation = calculateRecommendedRaise(employee, constraints, budgetConstraints.raiseSettings, referenceScore);
         
         // Calculate salary impact
+        const model = getRaiseEmployeeModel(employee);
         const impact = calculateSalaryImpact(
-            employee.currentSalary,
+            model.baseSalary || 0,
             recommendation.percentage,
-            employee.currency
+            model.currency,
+            getEmployeeVariableRate(employee)
         );
         
         // Validate raise
@@ -212,8 +403,9 @@ function calculateTeamRaises(employees, budgetConstraints = {}) {
         };
         
         results.employees.push(employeeResult);
-        results.totalCurrentCost += impact.currentTotalCost;
-        results.totalNewCost += impact.newTotalCost;
+        results.totalCurrentCost += toBudgetCurrency(impact.currentTotalCost, impact.currency) || 0;
+        results.totalNewCost += toBudgetCurrency(impact.newTotalCost, impact.currency) || 0;
+        results.totalVariableIncrease += toBudgetCurrency(impact.variableIncrease, impact.currency) || 0;
         
         if (validation.requiresApproval) {
             results.approvalRequired.push(employeeResult);
@@ -250,8 +442,11 @@ function calculateTeamRaises(employees, budgetConstraints = {}) {
 
 /**
  * Generate raise scenarios for budget planning
+ * @param {Array} employees - Employees
+ * @param {number} budgetAmount - Maximum budget increase, in the budget currency
+ * @param {Function} toBudgetCurrency - (amount, currency) => amount in the budget currency, or null if it can't be converted
  */
-function generateRaiseScenarios(employees, budgetAmount) {
+function generateRaiseScenarios(employees, budgetAmount, toBudgetCurrency = amount => amount) {
     const scenarios = {
         conservative: { multiplier: 0.8, name: 'Conservative (80% of recommended)' },
         recommended: { multiplier: 1.0, name: 'Recommended (100% of recommended)' },
@@ -267,21 +462,25 @@ function generateRaiseScenarios(employees, budgetAmount) {
             raiseMultiplier: scenario.multiplier
         }));
         
-        const calculation = calculateTeamRaises(adjustedEmployees, { maxIncrease: budgetAmount });
+        const calculation = calculateTeamRaises(adjustedEmployees, { maxIncrease: budgetAmount, toBudgetCurrency });
         
         // Apply scenario multiplier to recommendations
         calculation.employees.forEach(emp => {
             emp.recommendation.percentage *= scenario.multiplier;
             emp.impact = calculateSalaryImpact(
-                emp.currentSalary,
+                emp.impact.currentSalary,
                 emp.recommendation.percentage,
-                emp.currency
+                emp.impact.currency,
+                emp.impact.variableRate
             );
         });
         
-        // Recalculate totals
-        calculation.totalCurrentCost = calculation.employees.reduce((sum, emp) => sum + emp.impact.currentTotalCost, 0);
-        calculation.totalNewCost = calculation.employees.reduce((sum, emp) => sum + emp.impact.newTotalCost, 0);
+        // Recalculate totals in the budget currency
+        const sumImpact = field => calculation.employees.reduce((sum, emp) =>
+            sum + (toBudgetCurrency(emp.impact[field], emp.impact.currency) || 0), 0);
+        calculation.totalCurrentCost = sumImpact('currentTotalCost');
+        calculation.totalNewCost = sumImpact('newTotalCost');
+        calculation.totalVariableIncrease = sumImpact('variableIncrease');
         calculation.totalBudgetIncrease = calculation.totalNewCost - calculation.totalCurrentCost;
         calculation.budgetUtilization = calculation.totalBudgetIncrease / budgetAmount;
         
@@ -299,9 +498,14 @@ function generateRaiseScenarios(employees, budgetAmount) {
  */
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
-        COUNTRY_CONSTRAINTS,
-        PERFORMANCE_MULTIPLIERS,
         RISK_FACTORS,
+        DEFAULT_RAISE_SETTINGS,
+        RAISE_FACTORS,
+        getRaiseEmployeeModel,
+        getCountryPolicy,
+        calculateRangeTargets,
+        calculateRaiseScore,
+        calculateAverageRaiseScore,
         calculateRecommendedRaise,
         calculateSalaryImpact,
         validateRaise,
@@ -310,9 +514,14 @@ if (typeof module !== 'undefined' && module.exports) {
     };
 } else {
     // Make functions available globally
-    window.COUNTRY_CONSTRAINTS = COUNTRY_CONSTRAINTS;
-    window.PERFORMANCE_MULTIPLIERS = PERFORMANCE_MULTIPLIERS;
     window.RISK_FACTORS = RISK_FACTORS;
+    window.DEFAULT_RAISE_SETTINGS = DEFAULT_RAISE_SETTINGS;
+    window.RAISE_FACTORS = RAISE_FACTORS;
+    window.getRaiseEmployeeModel = getRaiseEmployeeModel;
+    window.getCountryPolicy = getCountryPolicy;
+    window.calculateRangeTargets = calculateRangeTargets;
+    window.calculateRaiseScore = calculateRaiseScore;
+    window.calculateAverageRaiseScore = calculateAverageRaiseScore;
     window.calculateRecommendedRaise = calculateRecommendedRaise;
     window.calculateSalaryImpact = calculateSalaryImpact;
     window.validateRaise = validateRaise;
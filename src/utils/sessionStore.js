@@ -0,0 +1,346 @@
+/**
+ * Session Store Utility
+ *
+ * Persists working sessions (employee data, edits, scenarios, approvals) in
+ * IndexedDB. Session contents are encrypted with AES-GCM using a
+ * non-extractable key that never leaves this browser; only the session name,
+ * timestamps and employee count are stored in the clear so sessions can be
+ * listed without decrypting them.
+ */
+
+class SessionStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'teamAnalyzerSessions';
+        this.dbVersion = 1;
+        this.keyId = 'sessionKey';
+
+        this.db = null;
+        // Pending or loaded key - shared so concurrent first saves don't each generate one
+        this.keyPromise = null;
+
+        // Plaintext of the last save per session, used to skip unchanged autosaves
+        this.lastSaved = new Map();
+    }
+
+    /**
+     * Check whether the browser supports encrypted session storage
+     * @returns {boolean} True if IndexedDB and Web Crypto are available
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' &&
+            !!window.indexedDB &&
+            !!(window.crypto && window.crypto.subtle);
+    }
+
+    /**
+     * Open (and create if needed) the session database
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('keys')) {
+                    db.createObjectStore('keys');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let other tabs wipe or upgrade the database
+                this.db.onversionchange = () => this.close();
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session database is in use by another tab'));
+        });
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.keyPromise = null;
+    }
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runRequest(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Session transaction aborted'));
+        });
+    }
+
+    /**
+     * Get the encryption key, generating it on first use. Every caller awaits the
+     * same load, so two saves racing on first use can't store different keys.
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadKey().catch(error => {
+                // Let the next call try again
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        return this.keyPromise;
+    }
+
+    /**
+     * Read the stored encryption key, or generate and store one
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async loadKey() {
+        let key = await this.runRequest('keys', 'readonly', store => store.get(this.keyId));
+
+        if (!key) {
+            key = await window.crypto.subtle.generateKey(
+                { name: 'AES-GCM', length: 256 },
+                false, // non-extractable
+                ['encrypt', 'decrypt']
+            );
+            await this.runRequest('keys', 'readwrite', store => store.put(key, this.keyId));
+        }
+
+        return key;
+    }
+
+    /**
+     * Encrypt a plaintext string
+     * @param {string} plaintext - Text to encrypt
+     * @returns {Promise<Object>} Encrypted payload { iv, data }
+     */
+    async encrypt(plaintext) {
+        const key = await this.getKey();
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const data = await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(plaintext)
+        );
+        return { iv, data };
+    }
+
+    /**
+     * Decrypt an encrypted payload
+     * @param {Object} payload - Encrypted payload { iv, data }
+     * @returns {Promise<string>} Plaintext
+     */
+    async decrypt(payload) {
+        const key = await this.getKey();
+        const data = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: payload.iv },
+            key,
+            payload.data
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    /**
+     * Save a session, creating it if it doesn't exist
+     * @param {Object} meta - Session metadata { id, name, employeeCount }
+     * @param {Object} state - Session state to encrypt
+     * @returns {Promise<Object>} Saved session metadata
+     */
+    async saveSession(meta, state) {
+        if (!meta || !meta.id) {
+            throw new Error('Session id is required');
+        }
+
+        const plaintext = SessionStore.serialize(state);
+        const existing = await this.getSessionMeta(meta.id);
+
+        const record = {
+            id: meta.id,
+            name: meta.name || (existing && existing.name) || 'Untitled session',
+            employeeCount: meta.employeeCount || 0,
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: existing ? existing.updatedAt : null
+        };
+
+        if (existing && existing.name === record.name && this.lastSaved.get(meta.id) === plaintext) {
+            return record;
+        }
+
+        record.updatedAt = new Date().toISOString();
+        record.payload = await this.encrypt(plaintext);
+
+        await this.runRequest('sessions', 'readwrite', store => store.put(record));
+        this.lastSaved.set(meta.id, plaintext);
+
+        console.log(`Session saved: ${record.name} (${record.employeeCount} employees)`);
+        return SessionStore.toMeta(record);
+    }
+
+    /**
+     * Load and decrypt a session
+     * @param {string} sessionId - Session id
+     * @returns {Promise<Object>} { meta, state }
+     */
+    async loadSession(sessionId) {
+        const record = await this.runRequest('sessions', 'readonly', store => store.get(sessionId));
+        if (!record) {
+            throw new Error('Session not found');
+        }
+
+        let plaintext;
+        try {
+            plaintext = await this.decrypt(record.payload);
+        } catch (error) {
+            throw new Error('Session could not be decrypted in this browser');
+        }
+
+        this.lastSaved.set(sessionId, plaintext);
+
+        return {
+            meta: SessionStore.toMeta(record),
+            state: SessionStore.deserialize(plaintext)
+        };
+    }
+
+    /**
+     * Get session metadata without decrypting it
+     * @param {string} sessionId - Session id
+     * @returns {Promise<Object|null>} Session metadata
+     */
+    async getSessionMeta(sessionId) {
+        const record = await this.runRequest('sessions', 'readonly', store => store.get(sessionId));
+        return record ? SessionStore.toMeta(record) : null;
+    }
+
+    /**
+     * List saved sessions, most recently updated first
+     * @returns {Promise<Array>} Session metadata
+     */
+    async listSessions() {
+        const records = await this.runRequest('sessions', 'readonly', store => store.getAll());
+        return records
+            .map(record => SessionStore.toMeta(record))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    /**
+     * Rename a session
+     * @param {string} sessionId - Session id
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated session metadata
+     */
+    async renameSession(sessionId, name) {
+        const record = await this.runRequest('sessions', 'readonly', store => store.get(sessionId));
+        if (!record) {
+            throw new Error('Session not found');
+        }
+
+        record.name = name;
+        await this.runRequest('sessions', 'readwrite', store => store.put(record));
+        return SessionStore.toMeta(record);
+    }
+
+    /**
+     * Delete a session
+     * @param {string} sessionId - Session id
+     */
+    async deleteSession(sessionId) {
+        await this.runRequest('sessions', 'readwrite', store => store.delete(sessionId));
+        this.lastSaved.delete(sessionId);
+    }
+
+    /**
+     * Delete every session and the encryption key
+     * @returns {Promise<void>}
+     */
+    wipeAll() {
+        this.close();
+        this.lastSaved.clear();
+
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Close other Team Analyzer tabs before wiping local data'));
+        });
+    }
+
+    /**
+     * Generate a unique session id
+     * @returns {string} Session id
+     */
+    static generateId() {
+        return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Strip the encrypted payload from a session record
+     * @param {Object} record - Stored record
+     * @returns {Object} Session metadata
+     */
+    static toMeta(record) {
+        const { payload, ...meta } = record;
+        return meta;
+    }
+
+    /**
+     * Serialize session state to JSON, preserving Date and Map values
+     * @param {Object} state - Session state
+     * @returns {string} JSON string
+     */
+    static serialize(state) {
+        return JSON.stringify(state, function(key, value) {
+            const raw = this[key];
+            if (raw instanceof Date) {
+                return { __type: 'Date', value: isNaN(raw) ? null : raw.toISOString() };
+            }
+            if (raw instanceof Map) {
+                return { __type: 'Map', value: Array.from(raw.entries()) };
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Deserialize session state produced by serialize()
+     * @param {string} json - JSON string
+     * @returns {Object} Session state
+     */
+    static deserialize(json) {
+        return JSON.parse(json, (key, value) => {
+            if (value && value.__type === 'Date') {
+                return value.value ? new Date(value.value) : null;
+            }
+            if (value && value.__type === 'Map') {
+                return new Map(value.value);
+            }
+            return value;
+        });
+    }
+}
+
+// Export for use in other modules
+window.SessionStore = SessionStore;
@@ -10,6 +10,292 @@
  * - User experience validation
  */
 
+// Locales every ISO 4217 currency is formatted and parsed back in
+const CURRENCY_FIXTURE_LOCALES = ['en-US', 'en-GB', 'en-IN', 'de-DE', 'de-CH', 'fr-FR', 'pt-BR', 'ja-JP'];
+
+// Formatted amounts as they appear in spreadsheets from different countries
+const CURRENCY_PARSE_FIXTURES = [
+    { input: '$141,917.00', amount: 141917, currency: 'USD' },
+    { input: '1.234,56 €', amount: 1234.56, currency: 'EUR' },
+    { input: '€1,234.56', amount: 1234.56, currency: 'EUR' },
+    { input: '£85,000', amount: 85000, currency: 'GBP' },
+    { input: '₹68,00,000', amount: 6800000, currency: 'INR' },
+    { input: '¥12,345,678', amount: 12345678, currency: 'JPY' },
+    { input: 'R$ 1.234,56', amount: 1234.56, currency: 'BRL' },
+    { input: '1 234 567,89 Kč', amount: 1234567.89, currency: 'CZK' },
+    { input: '₪1,234.56', amount: 1234.56, currency: 'ILS' },
+    { input: 'S$1,234.56', amount: 1234.56, currency: 'SGD' },
+    { input: 'CN¥1,234.56', amount: 1234.56, currency: 'CNY' },
+    { input: "CHF 1'234.50", amount: 1234.5, currency: 'CHF' },
+    { input: 'C$95,000', amount: 95000, currency: 'CAD' },
+    { input: 'SEK 12 345,50', amount: 12345.5, currency: 'SEK' },
+    { input: 'BD 1.500', amount: 1.5, currency: 'BHD' },
+    { input: '-$1,000', amount: -1000, currency: 'USD' },
+    { input: '1.234', locale: 'de-DE', amount: 1234, currency: 'USD' },
+    { input: '1.234', locale: 'en-US', amount: 1.234, currency: 'USD' }
+];
+
+// CSV text pushed to the tokenizer in chunks, with the records (and their starting lines) expected
+const CSV_TOKENIZER_FIXTURES = [
+    { name: 'Embedded LF', chunks: ['a,b\n1,"x\ny"\n2,z\n'], records: [['a', 'b'], ['1', 'x\ny'], ['2', 'z']], lines: [1, 2, 4] },
+    { name: 'Embedded CRLF', chunks: ['a,b\r\n1,"x\r\ny"\r\n2,z\r\n'], records: [['a', 'b'], ['1', 'x\r\ny'], ['2', 'z']], lines: [1, 2, 4] },
+    { name: 'Bare CR in a quoted last field, LF file', chunks: ['a,b\n1,"x\ry"\n2,z\n'], records: [['a', 'b'], ['1', 'x\ry'], ['2', 'z']], lines: [1, 2, 4] },
+    { name: 'CR closing a quoted field', chunks: ['a,b\n1,"x\r"\n2,z'], records: [['a', 'b'], ['1', 'x\r'], ['2', 'z']], lines: [1, 2, 4] },
+    { name: 'Escaped quotes and delimiters', chunks: ['a,b\n"say ""hi""","1,5"\n'], records: [['a', 'b'], ['say "hi"', '1,5']] },
+    { name: 'Escaped quote split across chunks', chunks: ['a,b\n"x"', '"y",2\n'], records: [['a', 'b'], ['x"y', '2']] },
+    { name: 'CRLF split across chunks', chunks: ['a,b\r', '\n1,2\r', '\n3,4'], records: [['a', 'b'], ['1', '2'], ['3', '4']], lines: [1, 2, 3] },
+    { name: 'Header split across chunks', chunks: ['na', 'me;sal', 'ary\nAsa;1'], records: [['name', 'salary'], ['Asa', '1']] },
+    { name: 'Empty fields', chunks: ['a,b,c\n,,\n'], records: [['a', 'b', 'c'], ['', '', '']] }
+];
+
+// First bytes of a file and the encoding detected from them
+const CSV_ENCODING_FIXTURES = [
+    { name: 'UTF-8 BOM', bytes: [0xEF, 0xBB, 0xBF, 0x61], encoding: 'utf-8', bom: true },
+    { name: 'UTF-16 LE BOM', bytes: [0xFF, 0xFE, 0x61, 0x00], encoding: 'utf-16le', bom: true },
+    { name: 'UTF-16 BE BOM', bytes: [0xFE, 0xFF, 0x00, 0x61], encoding: 'utf-16be', bom: true },
+    { name: 'UTF-8 without BOM', bytes: [0x5A, 0x6F, 0xC3, 0xAB], encoding: 'utf-8', bom: false },
+    { name: 'UTF-8 cut mid-character', bytes: [0x5A, 0x6F, 0xC3], encoding: 'utf-8', bom: false },
+    { name: 'Windows-1252', bytes: [0x4A, 0x6F, 0x73, 0xE9, 0x0A], encoding: 'windows-1252', bom: false }
+];
+
+// Numeric workbook cells, their number format and the text they are read as
+const WORKBOOK_CELL_FIXTURES = [
+    { value: 45306, numFmtId: 14, text: '1/15/2024' },
+    { value: 43844, numFmtId: 14, date1904: true, text: '1/15/2024' },
+    { value: 45306.75, numFmtId: 22, text: '1/15/2024' },
+    { value: 61, numFmtId: 14, text: '3/1/1900' },
+    { value: 0.045, numFmtId: 10, text: '4.5%' },
+    { value: 0.15000000000000002, numFmtId: 0, text: '0.15' },
+    { value: 141917.5, numFmtId: 0, formatCode: 'General', text: '141917.5' },
+    { value: 45306, numFmtId: 164, formatCode: 'dd/mm/yyyy', text: '1/15/2024' },
+    { value: 45306, numFmtId: 165, formatCode: '[$-409]mmmm d, yyyy;@', text: '1/15/2024' },
+    { value: 0.25, numFmtId: 166, formatCode: '0.0%', text: '25%' },
+    { value: 1234.5, numFmtId: 167, formatCode: '[$€-407] #,##0.00;[Red]-#,##0.00', text: '1234.5' },
+    { value: 12, numFmtId: 168, formatCode: '#,##0 "days"', text: '12' },
+    { value: 5, numFmtId: 169, formatCode: '0\\d', text: '5' }
+];
+
+// Small fixed org for the budget allocation tests:
+// CEO > VP Engineering (> 2 engineers, Lead > Developer), VP Sales (> Rep), Assistant
+const BUDGET_ALLOCATION_ORG = [
+    { id: '1', employeeNumber: '1', name: 'CEO', managerEmployeeNumber: null, salary: { amount: 300000, currency: 'USD' } },
+    { id: '2', employeeNumber: '2', name: 'VP Engineering', managerEmployeeNumber: '1', salary: { amount: 200000, currency: 'USD' } },
+    { id: '3', employeeNumber: '3', name: 'VP Sales', managerEmployeeNumber: '1', salary: { amount: 180000, currency: 'USD' } },
+    { id: '4', employeeNumber: '4', name: 'Engineer A', managerEmployeeNumber: '2', salary: { amount: 100000, currency: 'USD' } },
+    { id: '5', employeeNumber: '5', name: 'Engineer B', managerEmployeeNumber: '2', salary: { amount: 100000, currency: 'USD' } },
+    { id: '6', employeeNumber: '6', name: 'Lead', managerEmployeeNumber: '2', salary: { amount: 120000, currency: 'USD' } },
+    { id: '7', employeeNumber: '7', name: 'Developer', managerEmployeeNumber: '6', salary: { amount: 90000, currency: 'USD' } },
+    { id: '8', employeeNumber: '8', name: 'Rep', managerEmployeeNumber: '3', salary: { amount: 80000, currency: 'USD' } },
+    { id: '9', employeeNumber: '9', name: 'Assistant', managerEmployeeNumber: '1', salary: { amount: 60000, currency: 'USD' } }
+];
+
+// US employees for the merit matrix solver: 8% (capped at the US 12% maximum from a
+// scale of 1.5), 2.5% (capped from 4.8), and one with no range position who gets nothing
+const MERIT_SOLVER_EMPLOYEES = [
+    { id: 'm1', name: 'High Q1', countryCode: 'US', salary: { amount: 100000, currency: 'USD' }, performanceRating: { numeric: 5, text: '5' }, rangePosition: { penetration: 0.1 } },
+    { id: 'm2', name: 'Mid Q3', countryCode: 'US', salary: { amount: 80000, currency: 'USD' }, performanceRating: { numeric: 3, text: '3' }, rangePosition: { penetration: 0.6 } },
+    { id: 'm3', name: 'Unplaced', countryCode: 'US', salary: { amount: 90000, currency: 'USD' }, performanceRating: { numeric: 4, text: '4' } }
+];
+
+// Budget targets for those employees with the scale and cost the solver should find
+const MERIT_SOLVER_FIXTURES = [
+    { target: 5000, scale: 0.5, cost: 5000, reachable: true },
+    { target: 16000, scale: 2, cost: 16000, reachable: true },
+    { target: 0, scale: 0, cost: 0, reachable: true },
+    { target: 40000, scale: 10, cost: 21600, reachable: false }
+];
+
+// Salary edits made in the employee editor and the total compensation they must leave behind
+const SALARY_EDIT_FIXTURES = [
+    {
+        name: 'New amount and currency',
+        compensation: { currency: 'USD', basePay: 141917, variablePercent: 0.1, targetBonus: 14191.7, salesTIC: 0, ote: 156108.7 },
+        salary: { amount: 200000, currency: 'EUR' },
+        expected: { currency: 'EUR', basePay: 200000, targetBonus: 20000, salesTIC: 0, ote: 220000 },
+        baseIncrease: 6000
+    },
+    {
+        name: 'Raise for a sales plan, same currency',
+        compensation: { currency: 'GBP', basePay: 80000, variablePercent: 0, targetBonus: 0, salesTIC: 20000, ote: 100000 },
+        salary: { amount: 88000, currency: 'GBP' },
+        expected: { currency: 'GBP', basePay: 88000, targetBonus: 0, salesTIC: 20000, ote: 108000 },
+        baseIncrease: 2640
+    },
+    {
+        name: 'Range basis differs from base pay',
+        compensation: { currency: 'INR', basePay: 2000000, variablePercent: 0.05, targetBonus: 100000, salesTIC: 0, ote: 2100000 },
+        previousAmount: 2500000,
+        salary: { amount: 3000000, currency: 'INR' },
+        expected: { currency: 'INR', basePay: 2400000, targetBonus: 120000, salesTIC: 0, ote: 2520000 },
+        baseIncrease: 72000
+    }
+];
+
+// Variable pay rows: "Variable Comp Amt (FTE)" is quoted at full time, base pay is actual pay
+const COMPENSATION_BASIS_FIXTURES = [
+    {
+        name: 'Full time',
+        row: { fte: 1, basePay: '100000', variablePercent: '10%', variableAmount: '10000' },
+        actual: { bonus: 10000, ote: 110000 },
+        fte: { bonus: 10000, ote: 110000 }
+    },
+    {
+        name: 'Part time (FTE 0.5)',
+        row: { fte: 0.5, basePay: '50000', variablePercent: '10%', variableAmount: '10000' },
+        actual: { bonus: 5000, ote: 55000 },
+        fte: { bonus: 10000, ote: 110000 }
+    },
+    {
+        name: 'Part time, percentage only',
+        row: { fte: 0.5, basePay: '50000', variablePercent: '10%', variableAmount: '' },
+        actual: { bonus: 5000, ote: 55000 },
+        fte: { bonus: 10000, ote: 110000 }
+    }
+];
+
+// Duplicate detection: blocking keys, Soundex codes and the groups found in small files
+const BLOCKING_KEY_FIXTURES = [
+    { name: 'Robert Smith', keys: ['sur:smith', 'snd:s530', 'pair:r163|s530'] },
+    { name: 'José Núñez Jr.', keys: ['sur:nunez', 'snd:n520', 'pair:j200|n520'] },
+    { name: 'Иван  Петров', keys: ['name:иван петров'] },
+    { name: '山田 太郎', keys: ['name:山田 太郎'] },
+    { name: 'דוד לוי', keys: ['name:דוד לוי'] },
+    { name: 'राहुल शर्मा', keys: ['name:राहुल शर्मा'] },
+    { name: 'Ａｎｎａ', keys: ['sur:anna', 'snd:a500'] },
+    { name: 'Ann Lee', employeeNumber: '00123', keys: ['num:123', 'sur:lee', 'snd:l000', 'pair:a500|l000'] },
+    { name: '  ', keys: [] }
+];
+
+const SOUNDEX_FIXTURES = [
+    ['robert', 'r163'], ['rupert', 'r163'], ['ashcraft', 'a261'],
+    ['tymczak', 't522'], ['pfister', 'p236'], ['honeyman', 'h555'], ['lee', 'l000']
+];
+
+const DUPLICATE_GROUP_FIXTURES = [
+    {
+        name: 'Employee number beats a different name',
+        employees: [
+            { name: 'Ann Lee', employeeNumber: '00123', country: 'US' },
+            { name: 'Maria Garcia', employeeNumber: '123', country: 'US' },
+            { name: 'Tom Baker', employeeNumber: '124', country: 'US' }
+        ],
+        groups: [[0, 1]]
+    },
+    {
+        name: 'Different employee numbers are never merged',
+        employees: [
+            { name: 'John Smith', employeeNumber: '1', title: 'Engineer', country: 'US' },
+            { name: 'John Smith', title: 'Engineer', country: 'US' },
+            { name: 'John Smith', employeeNumber: '2', title: 'Engineer', country: 'US' }
+        ],
+        groups: [[0, 1]]
+    },
+    {
+        name: 'Non-Latin names are compared',
+        employees: [
+            { name: 'Иван Петров', title: 'Engineer', country: 'RU' },
+            { name: 'Пётр Иванов', title: 'Engineer', country: 'RU' },
+            { name: 'Иван  Петров', title: 'Engineer', country: 'RU' },
+            { name: '山田 太郎', country: 'JP' },
+            { name: '山田 太郎', country: 'JP' },
+            { name: 'राहुल शर्मा', country: 'IN' }
+        ],
+        groups: [[0, 2], [3, 4]]
+    },
+    {
+        name: 'Blocks over maxBlockSize are skipped',
+        maxBlockSize: 2,
+        employees: [
+            { name: 'John Smith', country: 'US' },
+            { name: 'John Smith', country: 'US' },
+            { name: 'John Smith', country: 'US' },
+            { name: 'Ann Lee', country: 'US' },
+            { name: 'Ann Lee', country: 'US' }
+        ],
+        groups: [[3, 4]]
+    }
+];
+
+// Budget pools: exchange rates are units per USD
+const POOL_RATES = { USD: 1, EUR: 0.9, INR: 80 };
+
+const POOL_CONVERSION_FIXTURES = [
+    { amount: 100, from: 'USD', to: 'INR', expected: 8000 },
+    { amount: 8000, from: 'INR', to: 'USD', expected: 100 },
+    { amount: 90, from: 'EUR', to: 'INR', expected: 8000 },
+    { amount: 100, from: 'USD', to: 'USD', expected: 100 },
+    { amount: 100, from: 'USD', to: 'XYZ', expected: null }
+];
+
+const POOL_UTILIZATION_FIXTURE = {
+    pools: [
+        { key: 'US', name: 'United States', currency: 'USD', amount: 10000 },
+        { key: 'IN', name: 'India', currency: 'INR', amount: 80000 }
+    ],
+    costs: [
+        { employee: { country: 'United States', countryCode: 'US', salary: { amount: 100000, currency: 'USD' } }, amount: 4000, currency: 'USD' },
+        { employee: { country: 'India', countryCode: 'IN', salary: { amount: 2000000, currency: 'INR' } }, amount: 80000, currency: 'INR' },
+        { employee: { country: 'India', countryCode: 'IN', salary: { amount: 50000, currency: 'USD' } }, amount: 100, currency: 'USD' },
+        { employee: { country: 'Germany', countryCode: 'DE', salary: { amount: 60000, currency: 'EUR' } }, amount: 900, currency: 'EUR' }
+    ],
+    // India is overspent (88,000 of 80,000 INR) while the USD total of 11,000 covers 6,100 planned
+    expected: {
+        spent: { US: 4000, IN: 88000 },
+        overspent: ['IN'],
+        unpooled: { headcount: 1, spent: 1000 },
+        rollup: { amount: 11000, spent: 6100, overspent: false }
+    }
+};
+
+// Undo/redo: each step runs on a record whose salary starts at 100
+const HISTORY_STEPS = [
+    { action: 'change', label: 'A', salary: 110, expected: { salary: 110, position: 1, labels: ['A'] } },
+    { action: 'change', label: 'B', salary: 120, expected: { salary: 120, position: 2, labels: ['A', 'B'] } },
+    { action: 'change', label: 'C', salary: 130, expected: { salary: 130, position: 3, labels: ['A', 'B', 'C'] } },
+    { action: 'undo', expected: { salary: 120, position: 2, canRedo: true } },
+    { action: 'redo', expected: { salary: 130, position: 3, canRedo: false } },
+    { action: 'redo', result: false, expected: { salary: 130, position: 3 } },
+    { action: 'goTo', position: 0, expected: { salary: 100, position: 0, canUndo: false } },
+    { action: 'goTo', position: 3, expected: { salary: 130, position: 3 } },
+    { action: 'goTo', position: 1, expected: { salary: 110, position: 1, canRedo: true } },
+    // A new change after undoing discards the entries that could have been redone
+    { action: 'change', label: 'D', salary: 200, expected: { salary: 200, position: 2, labels: ['A', 'D'], canRedo: false } },
+    { action: 'redo', result: false, expected: { salary: 200, position: 2 } },
+    { action: 'undo', expected: { salary: 110, position: 1, canRedo: true } },
+    // Changes made inside a recorded change are part of it, not entries of their own
+    { action: 'change', label: 'E', salary: 150, nested: 160, expected: { salary: 160, position: 2, labels: ['A', 'E'] } },
+    { action: 'undo', expected: { salary: 110, position: 1 } }
+];
+
+// Raise score: default weights are performance 0.4, time in role 0.3, time since raise 0.2, comparatio 0.1
+const RAISE_SCORE_FIXTURES = [
+    {
+        name: 'Default weights',
+        employee: { performanceRating: 5, timeInRole: 24, timeSinceRaise: 24, comparatio: 1.0 },
+        score: 0.4 * 1 + 0.3 * 0.5 + 0.2 * 1 + 0.1 * 0.5
+    },
+    { name: 'No data scores neutral', employee: {}, score: 0.5 },
+    {
+        name: 'Weights are normalized',
+        employee: { performanceRating: 5, timeInRole: 48, comparatio: 1.2 },
+        settings: { performanceWeight: 3, timeInRoleWeight: 0, timeSinceRaiseWeight: 0, comparatioWeight: 1 },
+        score: 0.75 * 1 + 0.25 * 0
+    },
+    {
+        name: 'All weights zero counts factors equally',
+        employee: { performanceRating: 1, timeInRole: 48, timeSinceRaise: 12, comparatio: 0.8 },
+        settings: { performanceWeight: 0, timeInRoleWeight: 0, timeSinceRaiseWeight: 0, comparatioWeight: 0 },
+        score: (0 + 1 + 0.5 + 1) / 4
+    }
+];
+
+// Merit budget moved into the country's typical range, for an employee with a neutral score
+const RAISE_BUDGET_CLAMP_FIXTURES = [
+    { name: '3% in India', budgetPercentage: 3, policy: { typicalRange: { min: 0.10, max: 0.20 }, maxRaise: 0.50, vpApprovalThreshold: 0.25 }, baseRaise: 0.10, adjustment: 'raised_to_typical_min' },
+    { name: '3% in the US', budgetPercentage: 3, policy: { typicalRange: { min: 0.03, max: 0.08 }, maxRaise: 0.12, vpApprovalThreshold: 0.12 }, baseRaise: 0.03, adjustment: null },
+    { name: '10% in the US', budgetPercentage: 10, policy: { typicalRange: { min: 0.03, max: 0.08 }, maxRaise: 0.12, vpApprovalThreshold: 0.12 }, baseRaise: 0.08, adjustment: 'capped_at_typical_max' }
+];
+
 class TestingFramework {
     constructor() {
         this.testResults = [];
@@ -59,6 +345,21 @@ class TestingFramework {
         this.testComponent('CurrencyUtils', window.CurrencyUtils);
         this.testComponent('PerformanceSuggester', window.PerformanceSuggester);
         this.testComponent('DataIntegrityChecker', window.DataIntegrityChecker);
+        
+        await this.testCurrencyUtils();
+        await this.testCSVTokenizer();
+        await this.testXlsxRoundTrip();
+        await this.testWorkbookReader();
+        await this.testPdfWriter();
+        await this.testBudgetAllocation();
+        await this.testMeritMatrixSolver();
+        await this.testSalaryEditRecalculation();
+        await this.testCompensationBasis();
+        await this.testDuplicateDetection();
+        await this.testBudgetPools();
+        await this.testHistoryManager();
+        await this.testSessionKey();
+        await this.testRaiseScoring();
     }
 
     /**
@@ -151,11 +452,1089 @@ class TestingFramework {
                 this.addTestResult('Currency Utils - Validation', 'FAILED', 'Currency validation not working correctly');
             }
             
+            this.testCurrencyFixtures(currencyUtils);
+            
         } catch (error) {
             this.addTestResult('Currency Utils', 'FAILED', `Currency utils test failed: ${error.message}`);
         }
     }
 
+    /**
+     * Test formatting and parsing against the currency fixtures: every ISO 4217
+     * currency round-trips in every fixture locale, and the hand-written strings parse
+     */
+    testCurrencyFixtures(currencyUtils) {
+        const codes = Object.keys(window.ISO_4217_CURRENCIES || {});
+        const failures = [];
+        
+        codes.forEach(code => {
+            const info = currencyUtils.getCurrencyInfo(code);
+            if (!info || info.minorUnits !== ISO_4217_CURRENCIES[code].minorUnits) {
+                failures.push(`${code}: missing or wrong minor units`);
+                return;
+            }
+            
+            const amount = info.decimalPlaces > 0 ? 1234567.89 : 1234568;
+            CURRENCY_FIXTURE_LOCALES.forEach(locale => {
+                const formatted = currencyUtils.formatAmount(amount, code, { locale });
+                const parsed = currencyUtils.parseFormattedAmount(formatted, { locale, currency: code });
+                if (Math.abs(parsed.amount - amount) > 0.001) {
+                    failures.push(`${code} ${locale}: "${formatted}" parsed as ${parsed.amount}`);
+                }
+            });
+        });
+        
+        if (codes.length > 0 && failures.length === 0) {
+            this.addTestResult('Currency Utils - ISO 4217 Round Trip', 'PASSED',
+                `${codes.length} currencies formatted and parsed in ${CURRENCY_FIXTURE_LOCALES.length} locales`);
+        } else {
+            this.addTestResult('Currency Utils - ISO 4217 Round Trip', 'FAILED',
+                codes.length === 0 ? 'ISO 4217 table not loaded' : `${failures.length} failures: ${failures.slice(0, 5).join('; ')}`);
+        }
+        
+        const parseFailures = CURRENCY_PARSE_FIXTURES.filter(fixture => {
+            try {
+                const parsed = currencyUtils.parseFormattedAmount(fixture.input, { locale: fixture.locale });
+                return parsed.currency !== fixture.currency || Math.abs(parsed.amount - fixture.amount) > 0.001;
+            } catch (error) {
+                return true;
+            }
+        });
+        
+        if (parseFailures.length === 0) {
+            this.addTestResult('Currency Utils - Locale Parsing', 'PASSED', `${CURRENCY_PARSE_FIXTURES.length} formatted amounts parsed`);
+        } else {
+            this.addTestResult('Currency Utils - Locale Parsing', 'FAILED',
+                `Could not parse: ${parseFailures.map(fixture => fixture.input).join(', ')}`);
+        }
+    }
+
+    /**
+     * Test the streaming RFC 4180 tokenizer (csvStreamReader.js): embedded newlines,
+     * "" escapes, line breaks and quotes split across chunks, encoding detection,
+     * byte order marks and cancellation
+     */
+    async testCSVTokenizer() {
+        if (!window.CSVTokenizer || !window.streamCSVFile) {
+            this.addTestResult('CSV Tokenizer', 'SKIPPED', 'csvStreamReader.js not loaded');
+            return;
+        }
+        
+        try {
+            const failures = CSV_TOKENIZER_FIXTURES.filter(fixture => {
+                const tokenizer = new CSVTokenizer();
+                const records = fixture.chunks.flatMap(chunk => tokenizer.push(chunk)).concat(tokenizer.flush());
+                const cellsMatch = JSON.stringify(records.map(record => record.cells)) === JSON.stringify(fixture.records);
+                const linesMatch = !fixture.lines || JSON.stringify(records.map(record => record.line)) === JSON.stringify(fixture.lines);
+                return !cellsMatch || !linesMatch;
+            });
+            
+            if (failures.length === 0) {
+                this.addTestResult('CSV Tokenizer - RFC 4180', 'PASSED', `${CSV_TOKENIZER_FIXTURES.length} inputs tokenized`);
+            } else {
+                this.addTestResult('CSV Tokenizer - RFC 4180', 'FAILED', `Wrong records for: ${failures.map(fixture => fixture.name).join(', ')}`);
+            }
+            
+            const encodingFailures = CSV_ENCODING_FIXTURES.filter(fixture => {
+                const detected = detectEncoding(new Uint8Array(fixture.bytes));
+                return detected.encoding !== fixture.encoding || detected.bom !== fixture.bom;
+            });
+            
+            if (encodingFailures.length === 0) {
+                this.addTestResult('CSV Tokenizer - Encoding Detection', 'PASSED', `${CSV_ENCODING_FIXTURES.length} encodings detected`);
+            } else {
+                this.addTestResult('CSV Tokenizer - Encoding Detection', 'FAILED',
+                    `Wrong encoding for: ${encodingFailures.map(fixture => fixture.name).join(', ')}`);
+            }
+            
+            const readAll = async (bytes, chunkSize) => {
+                const records = [];
+                const result = await streamCSVFile(new Blob([new Uint8Array(bytes)]), record => records.push(record.cells), { chunkSize });
+                return { result, records };
+            };
+            // 4-byte slices so the BOM, multi-byte characters and CRLFs straddle slices; the encoding
+            // is sniffed from the first slice, so the Windows-1252 file is read in one
+            const utf8 = await readAll([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode('Name,City\r\n"Zoë","Zürich\r\nHQ"\r\n')], 4);
+            const cp1252 = await readAll([...new TextEncoder().encode('Name\nJos'), 0xE9, 0x0A]);
+            const streamed = JSON.stringify(utf8.records) === JSON.stringify([['Name', 'City'], ['Zoë', 'Zürich\r\nHQ']]) &&
+                utf8.result.bom && utf8.result.complete &&
+                JSON.stringify(cp1252.records) === JSON.stringify([['Name'], ['José']]) && cp1252.result.encoding === 'windows-1252';
+            
+            if (streamed) {
+                this.addTestResult('CSV Tokenizer - Streamed File', 'PASSED', 'BOM stripped and characters decoded across slices');
+            } else {
+                this.addTestResult('CSV Tokenizer - Streamed File', 'FAILED',
+                    `Read ${JSON.stringify(utf8.records)} and ${JSON.stringify(cp1252.records)}`);
+            }
+            
+            let cancelled = false;
+            let recordsBeforeCancel = 0;
+            try {
+                await streamCSVFile(new Blob(['a,b\n1,2\n3,4\n5,6\n7,8\n']), () => recordsBeforeCancel++, {
+                    chunkSize: 4,
+                    isCancelled: () => recordsBeforeCancel > 0
+                });
+            } catch (error) {
+                cancelled = error.cancelled === true && error.name === 'AbortError';
+            }
+            
+            if (cancelled && recordsBeforeCancel < 5) {
+                this.addTestResult('CSV Tokenizer - Cancellation', 'PASSED', `Stopped after ${recordsBeforeCancel} of 5 records`);
+            } else {
+                this.addTestResult('CSV Tokenizer - Cancellation', 'FAILED', 'Reading was not cancelled');
+            }
+        
+        } catch (error) {
+            this.addTestResult('CSV Tokenizer', 'FAILED', `CSV tokenizer test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the XLSX writer (xlsxWriter.js) against the workbook reader (workbookReader.js):
+     * ZIP entries carry the right CRC-32, and sheet names, text, numbers, percentages,
+     * dates and formula results read back as written
+     */
+    async testXlsxRoundTrip() {
+        if (!window.writeXlsxWorkbook || !window.readWorkbook) {
+            this.addTestResult('XLSX Round Trip', 'SKIPPED', 'xlsxWriter.js or workbookReader.js not loaded');
+            return;
+        }
+        
+        try {
+            const bytes = writeXlsxWorkbook({
+                sheets: [
+                    {
+                        name: 'Summary',
+                        title: 'Raise Report',
+                        notes: ['Amounts in USD'],
+                        columns: [{ header: 'Metric' }, { header: 'Value' }],
+                        rows: [['Employees', { value: 2, format: 'integer' }]]
+                    },
+                    {
+                        // Invalid characters become spaces
+                        name: 'Raises: Q1/Q2',
+                        columns: [
+                            { header: 'Name' },
+                            { header: 'Salary', format: 'number' },
+                            { header: 'Raise %', format: 'percent' },
+                            { header: 'Raise', format: 'currency', currency: 'USD' },
+                            { header: 'Effective', format: 'date' },
+                            { header: 'Rate', format: 'rate' }
+                        ],
+                        rows: [
+                            ['Zoë <R&D> "Lead"', 100000, 0.03, { formula: 'B{row}*C{row}', value: 3000 }, new Date(2024, 0, 15), 1.0825],
+                            ['Asa Jones', 141917.5, 0.045, { formula: 'B{row}*C{row}', value: 6386.2875 }, new Date(2024, 6, 1), 0.9]
+                        ],
+                        totals: ['Total', { formula: 'SUM(B{first}:B{last})', value: 241917.5 }, null, { formula: 'SUM(D{first}:D{last})', value: 9386.2875 }]
+                    }
+                ]
+            });
+            
+            // Entries are stored uncompressed - walk the local headers and check each CRC
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const badEntries = [];
+            let entryCount = 0;
+            for (let offset = 0; view.getUint32(offset, true) === 0x04034B50; entryCount++) {
+                const size = view.getUint32(offset + 18, true);
+                const nameLength = view.getUint16(offset + 26, true);
+                const dataStart = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+                if (crc32(bytes.subarray(dataStart, dataStart + size)) !== view.getUint32(offset + 14, true)) {
+                    badEntries.push(new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength)));
+                }
+                offset = dataStart + size;
+            }
+            
+            if (crc32(new TextEncoder().encode('123456789')) === 0xCBF43926 && entryCount === 7 && badEntries.length === 0) {
+                this.addTestResult('XLSX Round Trip - ZIP', 'PASSED', `${entryCount} entries with matching CRC-32`);
+            } else {
+                this.addTestResult('XLSX Round Trip - ZIP', 'FAILED',
+                    `${entryCount} entries, CRC-32 mismatch in: ${badEntries.join(', ') || 'check value'}`);
+            }
+            
+            const workbook = await readWorkbook(bytes);
+            const summary = await workbook.readSheet('Summary');
+            const raises = await workbook.readSheet('Raises Q1 Q2');
+            const expected = {
+                sheets: ['Summary', 'Raises Q1 Q2'],
+                summary: [[1, ['Raise Report']], [2, ['Amounts in USD']], [4, ['Metric', 'Value']], [5, ['Employees', '2']]],
+                raises: [
+                    [1, ['Name', 'Salary', 'Raise %', 'Raise', 'Effective', 'Rate']],
+                    [2, ['Zoë <R&D> "Lead"', '100000', '3%', '3000', '1/15/2024', '1.0825']],
+                    [3, ['Asa Jones', '141917.5', '4.5%', '6386.2875', '7/1/2024', '0.9']],
+                    [4, ['Total', '241917.5', '', '9386.2875', '', '']]
+                ]
+            };
+            const actual = {
+                sheets: workbook.sheets.map(sheet => sheet.name),
+                summary: summary.map(record => [record.line, record.cells]),
+                raises: raises.map(record => [record.line, record.cells])
+            };
+            
+            const mismatches = Object.keys(expected).filter(key => JSON.stringify(actual[key]) !== JSON.stringify(expected[key]));
+            if (mismatches.length === 0) {
+                this.addTestResult('XLSX Round Trip - Values', 'PASSED', 'Sheet names, text, numbers, percentages, dates and formula results read back');
+            } else {
+                this.addTestResult('XLSX Round Trip - Values', 'FAILED',
+                    mismatches.map(key => `${key}: ${JSON.stringify(actual[key])}`).join('; '));
+            }
+            
+            // The formulas themselves, with {row}/{first}/{last} filled in
+            const text = new TextDecoder().decode(bytes);
+            const formulas = ['<f>B2*C2</f>', '<f>B3*C3</f>', '<f>SUM(B2:B3)</f>', '<f>SUM(D2:D3)</f>'];
+            const missing = formulas.filter(formula => !text.includes(formula));
+            if (missing.length === 0) {
+                this.addTestResult('XLSX Round Trip - Formulas', 'PASSED', `${formulas.length} formulas written`);
+            } else {
+                this.addTestResult('XLSX Round Trip - Formulas', 'FAILED', `Missing: ${missing.join(', ')}`);
+            }
+        
+        } catch (error) {
+            this.addTestResult('XLSX Round Trip', 'FAILED', `XLSX round trip test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the workbook reader (workbookReader.js): number format detection,
+     * a hand-built BIFF8 .xls, files it must reject and deflated .xlsx entries
+     */
+    async testWorkbookReader() {
+        if (!window.readWorkbook || !window.getCellKind) {
+            this.addTestResult('Workbook Reader', 'SKIPPED', 'workbookReader.js not loaded');
+            return;
+        }
+        
+        try {
+            const formatFailures = WORKBOOK_CELL_FIXTURES.filter(fixture =>
+                formatCellValue(fixture.value, getCellKind(fixture.numFmtId, fixture.formatCode), fixture.date1904) !== fixture.text);
+            
+            if (formatFailures.length === 0) {
+                this.addTestResult('Workbook Reader - Number Formats', 'PASSED',
+                    `${WORKBOOK_CELL_FIXTURES.length} dates, percentages and numbers read as text`);
+            } else {
+                this.addTestResult('Workbook Reader - Number Formats', 'FAILED',
+                    formatFailures.map(fixture => `${fixture.formatCode || fixture.numFmtId}: ${fixture.value}`).join('; '));
+            }
+            
+            const xls = await readWorkbook(this.createTestXlsWorkbook());
+            const expected = {
+                format: 'xls',
+                sheets: [{ name: 'Staff', hidden: false }, { name: 'Rates', hidden: true }],
+                staff: [
+                    [1, ['Name', 'Salary', 'Start', 'Raise', 'Active', 'Band']],
+                    [2, ['Zoë Ångström', '141917.5', '1/15/2024', '5%', 'TRUE', 'B2']],
+                    [3, ['Asa Jones', '95000', '6/19/2024', '3%', '']]
+                ],
+                rates: [[1, ['EUR', '1.0825']]]
+            };
+            const actual = {
+                format: xls.format,
+                sheets: xls.sheets,
+                staff: (await xls.readSheet('Staff')).map(record => [record.line, record.cells]),
+                rates: (await xls.readSheet('Rates')).map(record => [record.line, record.cells])
+            };
+            
+            const mismatches = Object.keys(expected).filter(key => JSON.stringify(actual[key]) !== JSON.stringify(expected[key]));
+            if (mismatches.length === 0) {
+                this.addTestResult('Workbook Reader - XLS', 'PASSED', 'Sheets, shared strings, numbers, RK values, dates and formula results read');
+            } else {
+                this.addTestResult('Workbook Reader - XLS', 'FAILED',
+                    mismatches.map(key => `${key}: ${JSON.stringify(actual[key])}`).join('; '));
+            }
+            
+            const rejections = [
+                { name: 'Password-protected .xls', bytes: this.createTestXlsWorkbook({ encrypted: true }), error: /password-protected/ },
+                { name: 'Excel 5.0/95 .xls', bytes: this.createTestXlsWorkbook({ streamName: 'Book' }), error: /Excel 5\.0\/95/ },
+                { name: 'CSV text', bytes: new TextEncoder().encode('name,salary\n'), error: /not an Excel workbook/ }
+            ];
+            const accepted = [];
+            for (const rejection of rejections) {
+                try {
+                    await readWorkbook(rejection.bytes);
+                    accepted.push(rejection.name);
+                } catch (error) {
+                    if (!rejection.error.test(error.message)) accepted.push(`${rejection.name} (${error.message})`);
+                }
+            }
+            
+            if (accepted.length === 0) {
+                this.addTestResult('Workbook Reader - Rejected Files', 'PASSED', `${rejections.length} unreadable files rejected with a reason`);
+            } else {
+                this.addTestResult('Workbook Reader - Rejected Files', 'FAILED', `Not rejected as expected: ${accepted.join(', ')}`);
+            }
+            
+            // Excel deflates its entries, unlike xlsxWriter.js
+            if (!window.writeXlsxWorkbook || typeof CompressionStream === 'undefined') {
+                this.addTestResult('Workbook Reader - Deflated XLSX', 'SKIPPED', 'xlsxWriter.js or CompressionStream not available');
+            } else {
+                const xlsx = await readWorkbook(await this.deflateZipArchive(writeXlsxWorkbook({
+                    sheets: [{ name: 'Staff', columns: [{ header: 'Name' }, { header: 'Salary', format: 'number' }], rows: [['Zoë', 1234.5]] }]
+                })));
+                const records = (await xlsx.readSheet('Staff')).map(record => record.cells);
+                
+                if (JSON.stringify(records) === JSON.stringify([['Name', 'Salary'], ['Zoë', '1234.5']])) {
+                    this.addTestResult('Workbook Reader - Deflated XLSX', 'PASSED', 'Deflated entries inflated and read');
+                } else {
+                    this.addTestResult('Workbook Reader - Deflated XLSX', 'FAILED', `Read ${JSON.stringify(records)}`);
+                }
+            }
+        
+        } catch (error) {
+            this.addTestResult('Workbook Reader', 'FAILED', `Workbook reader test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Smoke test the PDF writer (pdfWriter.js): a table long enough to flow over
+     * several pages, with an embedded image, must give a page tree with the right
+     * count and a cross-reference table that points at every object
+     */
+    async testPdfWriter() {
+        if (!window.PdfDocument) {
+            this.addTestResult('PDF Writer', 'SKIPPED', 'pdfWriter.js not loaded');
+            return;
+        }
+        
+        try {
+            const doc = new PdfDocument({ title: 'Compensation Review (draft)', author: 'Zoë Ångström' });
+            doc.addPage();
+            doc.heading('Executive Summary');
+            doc.paragraph('Recommendations total €1,234,567 — see the table below (amounts in USD).');
+            // Bytes above 0x7F, which must be counted as bytes and not characters
+            doc.image({ bytes: new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x80, 0x9F, 0xC3, 0xA9, 0xFF, 0xD9]), width: 2, height: 1 },
+                doc.margin, doc.y, 40, 20);
+            doc.y += 28;
+            doc.table({
+                columns: [{ header: 'Employee', width: 2 }, { header: 'Country' }, { header: 'Raise', align: 'right' }],
+                rows: Array.from({ length: 120 }, (value, index) => [`Employee ${index + 1}`, 'US', `$${(index + 1) * 100}`]),
+                totals: ['Total', '', '$726,000']
+            });
+            doc.forEachPage((page, count) => doc.text(`Page ${page + 1} of ${count}`, doc.width / 2, doc.height - 30, { size: 8, align: 'center' }));
+            
+            const bytes = doc.toBytes();
+            const text = new TextDecoder('latin1').decode(bytes);
+            const problems = [];
+            
+            if (!text.startsWith('%PDF-1.4\n')) problems.push('missing %PDF-1.4 header');
+            if (!text.endsWith('%%EOF\n')) problems.push('missing %%EOF');
+            
+            // Page tree
+            const pageCount = doc.pages.length;
+            const pageObjects = (text.match(/\/Type \/Page /g) || []).length;
+            if (pageCount < 3) problems.push(`table flowed over ${pageCount} pages, expected at least 3`);
+            if (!text.includes(`/Count ${pageCount} >>`)) problems.push(`page tree /Count is not ${pageCount}`);
+            if (pageObjects !== pageCount) problems.push(`${pageObjects} page objects for ${pageCount} pages`);
+            if (!text.includes(`(Page ${pageCount} of ${pageCount})`)) problems.push('footer missing from the last page');
+            
+            // Cross-reference table
+            const startxref = Number((text.match(/startxref\n(\d+)\n%%EOF\n$/) || [])[1]);
+            const xref = text.slice(startxref).match(/^xref\n0 (\d+)\n0000000000 65535 f \n((?:\d{10} 00000 n \n)*)trailer\n/);
+            if (!xref) {
+                problems.push(`no xref table at startxref ${startxref}`);
+            } else {
+                const offsets = xref[2].trim().split('\n').map(entry => Number(entry.slice(0, 10)));
+                if (offsets.length !== Number(xref[1]) - 1) problems.push(`xref lists ${offsets.length} of ${Number(xref[1]) - 1} objects`);
+                offsets.forEach((offset, index) => {
+                    if (!text.startsWith(`${index + 1} 0 obj\n`, offset)) problems.push(`object ${index + 1} not at offset ${offset}`);
+                });
+            }
+            
+            // Every stream is as long as its /Length says
+            const streams = [...text.matchAll(/\/Length (\d+) >>\nstream\n/g)];
+            streams.forEach(match => {
+                const start = match.index + match[0].length;
+                if (!text.startsWith('\nendstream', start + Number(match[1]))) problems.push(`stream at ${start} is not ${match[1]} bytes`);
+            });
+            
+            if (problems.length === 0) {
+                this.addTestResult('PDF Writer', 'PASSED', `${pageCount} pages, ${streams.length} streams and every xref offset checked`);
+            } else {
+                this.addTestResult('PDF Writer', 'FAILED', problems.slice(0, 5).join('; '));
+            }
+            
+            // Report amounts in a currency whose symbol isn't in WinAnsi (₹) fall back to the ISO code
+            if (!window.ExportManager || !window.CurrencyUtils || !window.toEmployeeModel) {
+                this.addTestResult('PDF Writer - Currency Symbols', 'SKIPPED', 'exportManager.js, currencyUtils.js or employeeModel.js not loaded');
+            } else {
+                const employee = {
+                    id: 'pdf-in', name: 'Asha Rao', title: 'Engineer', country: 'India', countryCode: 'IN',
+                    salary: { amount: 2720000, currency: 'INR' }, recommendation: { percentage: 0.05 }, status: 'pending'
+                };
+                const report = new ExportManager().createPdfReport({
+                    employees: [employee],
+                    raiseRecommendations: [employee],
+                    rateInfo: { reportingCurrency: 'USD', rates: { USD: 1, INR: 80 } }
+                }, 'comprehensive_report', { includeCharts: false });
+                const reportText = new TextDecoder('latin1').decode(report.toBytes());
+                
+                if (reportText.includes('2,720,000 INR') && !/\?\d/.test(reportText)) {
+                    this.addTestResult('PDF Writer - Currency Symbols', 'PASSED', 'Rupee amounts written with the INR code');
+                } else {
+                    this.addTestResult('PDF Writer - Currency Symbols', 'FAILED', `Rupee amounts unreadable: ${(reportText.match(/\(([^()]*2,720,000[^()]*)\)/) || [])[1]}`);
+                }
+            }
+        
+        } catch (error) {
+            this.addTestResult('PDF Writer', 'FAILED', `PDF writer test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the top-down budget allocation (budgetAllocation.js) on a small fixed org:
+     * every allocation splits exactly into its sub-orgs and direct pool, rebalancing
+     * keeps the parent's total, and custom amounts can't exceed the parent
+     */
+    async testBudgetAllocation() {
+        if (!window.allocateBudget || !window.OrgHierarchy) {
+            this.addTestResult('Budget Allocation', 'SKIPPED', 'budgetAllocation.js or orgHierarchy.js not loaded');
+            return;
+        }
+        
+        try {
+            const records = BUDGET_ALLOCATION_ORG.map(record => ({ ...record }));
+            const hierarchy = new OrgHierarchy(records);
+            const allocate = (settings, total = 90000) => allocateBudget({
+                hierarchy,
+                topNodeId: null,
+                total,
+                settings,
+                getSalary: employee => employee.salary.amount,
+                getSpend: () => 0
+            });
+            
+            // Sub-orgs plus the direct pool add up to the allocation, and nothing is negative
+            const splitProblems = result => [...result.nodes.values()].flatMap(node => {
+                const children = node.childIds.reduce((sum, childId) => sum + result.nodes.get(childId).amount, 0);
+                const problems = [];
+                if (Math.abs(children + node.direct.amount - node.amount) > 0.01) {
+                    problems.push(`${node.name}: ${children} + ${node.direct.amount} != ${node.amount}`);
+                }
+                if (node.amount < 0 || node.direct.amount < 0) problems.push(`${node.name} is negative`);
+                return problems;
+            });
+            const amountOf = (result, name) => [...result.nodes.values()].find(node => node.name === name).amount;
+            const idOf = name => records.find(record => record.name === name).id;
+            
+            // 9 people: the top keeps the CEO's raise (1/9), the CEO splits 4:1:3 between
+            // VP Engineering's org, VP Sales' org and their own direct reports
+            const byHeadcount = allocate({ methods: {}, custom: {} });
+            const byPayroll = allocate({ methods: { [ALLOCATION_TOP_ID]: 'payroll', '1': 'payroll', '2': 'payroll' }, custom: {} });
+            const expectedAmounts = { CEO: 80000, 'VP Engineering': 40000, 'VP Sales': 10000, Lead: 10000 };
+            const problems = [
+                ...splitProblems(byHeadcount),
+                ...splitProblems(byPayroll),
+                ...Object.entries(expectedAmounts)
+                    .filter(([name, amount]) => Math.abs(amountOf(byHeadcount, name) - amount) > 0.01)
+                    .map(([name, amount]) => `${name} got ${amountOf(byHeadcount, name)}, expected ${amount}`)
+            ];
+            
+            if (problems.length === 0) {
+                this.addTestResult('Budget Allocation - Split', 'PASSED', 'Headcount and payroll splits add up at every level');
+            } else {
+                this.addTestResult('Budget Allocation - Split', 'FAILED', problems.slice(0, 5).join('; '));
+            }
+            
+            // Move budget between the VPs, including all of VP Engineering's
+            const rebalanceProblems = [];
+            [15000, 40000].forEach(amount => {
+                const settings = rebalanceAllocation({ methods: {}, custom: {} }, byHeadcount, idOf('VP Engineering'), idOf('VP Sales'), amount);
+                const result = allocate(settings);
+                rebalanceProblems.push(...splitProblems(result));
+                if (Math.abs(amountOf(result, 'CEO') - 80000) > 0.01 || Math.abs(result.nodes.get('1').direct.amount - 30000) > 0.01) {
+                    rebalanceProblems.push(`moving ${amount} changed the CEO's total or direct pool`);
+                }
+                if (Math.abs(amountOf(result, 'VP Engineering') - (40000 - amount)) > 0.01 ||
+                    Math.abs(amountOf(result, 'VP Sales') - (10000 + amount)) > 0.01) {
+                    rebalanceProblems.push(`moving ${amount} left ${amountOf(result, 'VP Engineering')} / ${amountOf(result, 'VP Sales')}`);
+                }
+            });
+            
+            const invalidMoves = [
+                { name: 'more than the org has', from: 'VP Sales', to: 'VP Engineering', amount: 10001 },
+                { name: 'to a manager who is not a sibling', from: 'VP Engineering', to: 'Lead', amount: 100 },
+                { name: 'a negative amount', from: 'VP Engineering', to: 'VP Sales', amount: -100 }
+            ];
+            invalidMoves.forEach(move => {
+                try {
+                    rebalanceAllocation({ methods: {}, custom: {} }, byHeadcount, idOf(move.from), idOf(move.to), move.amount);
+                    rebalanceProblems.push(`moving ${move.name} was allowed`);
+                } catch (error) {
+                    // Expected
+                }
+            });
+            
+            if (rebalanceProblems.length === 0) {
+                this.addTestResult('Budget Allocation - Rebalance', 'PASSED', 'Moves keep the parent total and no org goes negative');
+            } else {
+                this.addTestResult('Budget Allocation - Rebalance', 'FAILED', rebalanceProblems.slice(0, 5).join('; '));
+            }
+            
+            // Custom amounts: the CEO's 80,000 less VP Sales' 10,000 leaves at most 70,000 for
+            // VP Engineering, taken from the CEO's direct pool
+            const customProblems = [];
+            const custom = allocate(setCustomAllocation({ methods: {}, custom: {} }, byHeadcount, idOf('VP Engineering'), 70000));
+            customProblems.push(...splitProblems(custom));
+            if (Math.abs(amountOf(custom, 'VP Engineering') - 70000) > 0.01 || Math.abs(custom.nodes.get('1').direct.amount) > 0.01) {
+                customProblems.push(`custom 70,000 gave ${amountOf(custom, 'VP Engineering')} and a direct pool of ${custom.nodes.get('1').direct.amount}`);
+            }
+            
+            [70000.01, 80000, -1].forEach(amount => {
+                try {
+                    setCustomAllocation({ methods: {}, custom: {} }, byHeadcount, idOf('VP Engineering'), amount);
+                    customProblems.push(`custom ${amount} for VP Engineering was allowed`);
+                } catch (error) {
+                    // Expected
+                }
+            });
+            
+            // Amounts saved for a larger pool are scaled down rather than overdrawing the parent
+            const shrunk = allocate({ methods: { '1': 'custom' }, custom: { '2': 60000, '3': 20000 } }, 45000);
+            customProblems.push(...splitProblems(shrunk));
+            if (!shrunk.nodes.get('1').overAllocated || Math.abs(amountOf(shrunk, 'VP Engineering') - 30000) > 0.01) {
+                customProblems.push(`saved custom amounts over a shrunk pool gave VP Engineering ${amountOf(shrunk, 'VP Engineering')}`);
+            }
+            
+            if (customProblems.length === 0) {
+                this.addTestResult('Budget Allocation - Custom Amounts', 'PASSED', 'Amounts above what the parent has left are rejected');
+            } else {
+                this.addTestResult('Budget Allocation - Custom Amounts', 'FAILED', customProblems.slice(0, 5).join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('Budget Allocation', 'FAILED', `Budget allocation test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the merit matrix budget solver (meritMatrix.js): the bisection finds the
+     * grid scale that spends the target without going over it, country caps included
+     */
+    async testMeritMatrixSolver() {
+        if (!window.solveMeritMatrixScale || !window.getCountryPolicy || !window.toEmployeeModel) {
+            this.addTestResult('Merit Matrix Solver', 'SKIPPED', 'meritMatrix.js, raiseCalculator.js or employeeModel.js not loaded');
+            return;
+        }
+        
+        try {
+            const matrix = createMeritMatrix();
+            const costFn = (employee, percent) => employee.salary.amount * percent / 100;
+            
+            const failures = MERIT_SOLVER_FIXTURES.filter(fixture => {
+                const result = solveMeritMatrixScale(MERIT_SOLVER_EMPLOYEES, matrix, fixture.target, costFn);
+                return result.reachable !== fixture.reachable ||
+                    Math.abs(result.scale - fixture.scale) > 1e-6 ||
+                    Math.abs(result.cost - fixture.cost) > 0.01 ||
+                    (fixture.reachable && result.cost > fixture.target + 1e-6);
+            });
+            
+            if (failures.length === 0) {
+                this.addTestResult('Merit Matrix Solver', 'PASSED', `${MERIT_SOLVER_FIXTURES.length} budget targets solved without overspending`);
+            } else {
+                this.addTestResult('Merit Matrix Solver', 'FAILED', `Wrong scale or cost for targets: ${failures.map(fixture => fixture.target).join(', ')}`);
+            }
+        
+        } catch (error) {
+            this.addTestResult('Merit Matrix Solver', 'FAILED', `Merit matrix solver test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test that editing a salary (csvParser.js recalculateDerivedFields) rebuilds total
+     * compensation in the new amount and currency, so raise costs use it
+     */
+    async testSalaryEditRecalculation() {
+        if (!window.CSVParser || !window.calculateCompensationChange) {
+            this.addTestResult('Salary Edit Recalculation', 'SKIPPED', 'csvParser.js or totalCompensation.js not loaded');
+            return;
+        }
+        
+        try {
+            const parser = new CSVParser();
+            const fields = ['currency', 'basePay', 'targetBonus', 'salesTIC', 'ote'];
+            
+            const failures = SALARY_EDIT_FIXTURES.filter(fixture => {
+                const previousAmount = fixture.previousAmount || fixture.compensation.basePay;
+                const employee = {
+                    id: 'edit',
+                    name: fixture.name,
+                    salary: { amount: previousAmount, currency: fixture.compensation.currency },
+                    totalCompensation: { ...fixture.compensation }
+                };
+                
+                employee.salary = { ...fixture.salary };
+                parser.recalculateDerivedFields(employee, { previousSalaryAmount: previousAmount });
+                
+                const compensation = employee.totalCompensation;
+                const change = calculateCompensationChange(employee, 0.03);
+                return fields.some(field => typeof fixture.expected[field] === 'number'
+                    ? Math.abs(compensation[field] - fixture.expected[field]) > 0.01
+                    : compensation[field] !== fixture.expected[field]) ||
+                    Math.abs(change.baseIncrease - fixture.baseIncrease) > 0.01 ||
+                    change.currency !== fixture.salary.currency;
+            });
+            
+            if (failures.length === 0) {
+                this.addTestResult('Salary Edit Recalculation', 'PASSED', `${SALARY_EDIT_FIXTURES.length} salary edits carried into total compensation`);
+            } else {
+                this.addTestResult('Salary Edit Recalculation', 'FAILED', `Stale total compensation after: ${failures.map(fixture => fixture.name).join(', ')}`);
+            }
+        
+        } catch (error) {
+            this.addTestResult('Salary Edit Recalculation', 'FAILED', `Salary edit test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test that the target bonus is stored on the same (actual pay) basis as base pay
+     */
+    async testCompensationBasis() {
+        if (!window.CSVParser || !window.getCompensationAmount) {
+            this.addTestResult('Compensation Basis', 'SKIPPED', 'csvParser.js or totalCompensation.js not loaded');
+            return;
+        }
+        
+        try {
+            const parser = new CSVParser();
+            const columnMapping = { 'Base Pay All Countries': 0, 'Variable Comp %': 1, 'Variable Comp Amt (FTE)': 2 };
+            
+            const failures = COMPENSATION_BASIS_FIXTURES.flatMap(fixture => {
+                const { fte, basePay, variablePercent, variableAmount } = fixture.row;
+                const salary = { amount: Number(basePay), currency: 'USD' };
+                const employee = {
+                    fte,
+                    salary,
+                    totalCompensation: parser.parseTotalCompensation([basePay, variablePercent, variableAmount], columnMapping, salary, fte)
+                };
+                
+                return ['actual', 'fte'].flatMap(basis => ['bonus', 'ote']
+                    .filter(view => Math.abs(getCompensationAmount(employee, view, basis) - fixture[basis][view]) > 0.01)
+                    .map(view => `${fixture.name} ${view} (${basis}): ${getCompensationAmount(employee, view, basis)}`));
+            });
+            
+            if (failures.length === 0) {
+                this.addTestResult('Compensation Basis', 'PASSED', `${COMPENSATION_BASIS_FIXTURES.length} rows give the same bonus and OTE on each salary basis`);
+            } else {
+                this.addTestResult('Compensation Basis', 'FAILED', failures.join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('Compensation Basis', 'FAILED', `Compensation basis test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test duplicate detection: blocking keys for every script, Soundex, employee
+     * number precedence in the union-find and the block size cutoff
+     */
+    async testDuplicateDetection() {
+        if (!window.DataValidator) {
+            this.addTestResult('Duplicate Detection', 'SKIPPED', 'dataValidator.js not loaded');
+            return;
+        }
+        
+        try {
+            const validator = new DataValidator();
+            const failures = [];
+            
+            BLOCKING_KEY_FIXTURES.forEach(fixture => {
+                const keys = validator.getBlockingKeys({ name: fixture.name, employeeNumber: fixture.employeeNumber });
+                if (JSON.stringify(keys) !== JSON.stringify(fixture.keys)) {
+                    failures.push(`keys of "${fixture.name}": ${JSON.stringify(keys)}`);
+                }
+            });
+            
+            SOUNDEX_FIXTURES.forEach(([word, code]) => {
+                if (validator.soundex(word) !== code) {
+                    failures.push(`soundex(${word}) = ${validator.soundex(word)}, expected ${code}`);
+                }
+            });
+            
+            const originalWarn = console.warn;
+            console.warn = () => {}; // The cutoff fixture logs its skipped blocks
+            try {
+                DUPLICATE_GROUP_FIXTURES.forEach(fixture => {
+                    const fixtureValidator = new DataValidator();
+                    fixtureValidator.maxBlockSize = fixture.maxBlockSize || fixtureValidator.maxBlockSize;
+                    const groups = fixtureValidator.findDuplicateIndexGroups(fixture.employees).map(group => group.indices);
+                    if (JSON.stringify(groups) !== JSON.stringify(fixture.groups)) {
+                        failures.push(`${fixture.name}: ${JSON.stringify(groups)}`);
+                    }
+                });
+            } finally {
+                console.warn = originalWarn;
+            }
+            
+            if (failures.length === 0) {
+                this.addTestResult('Duplicate Detection', 'PASSED', `${BLOCKING_KEY_FIXTURES.length} names, ${SOUNDEX_FIXTURES.length} Soundex codes and ${DUPLICATE_GROUP_FIXTURES.length} files checked`);
+            } else {
+                this.addTestResult('Duplicate Detection', 'FAILED', failures.join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('Duplicate Detection', 'FAILED', `Duplicate detection test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test budget pool currency conversion and the roll-up of pool spend, including
+     * costs of employees outside every pool
+     */
+    async testBudgetPools() {
+        if (!window.calculatePoolUtilization || !window.toEmployeeModel) {
+            this.addTestResult('Budget Pools', 'SKIPPED', 'budgetPools.js or employeeModel.js not loaded');
+            return;
+        }
+        
+        try {
+            const near = (actual, expected) => actual !== null && Math.abs(actual - expected) < 0.01;
+            const failures = POOL_CONVERSION_FIXTURES
+                .filter(({ amount, from, to, expected }) => expected === null
+                    ? convertPoolAmount(amount, from, to, POOL_RATES) !== null
+                    : !near(convertPoolAmount(amount, from, to, POOL_RATES), expected))
+                .map(({ amount, from, to }) => `${amount} ${from} to ${to} gave ${convertPoolAmount(amount, from, to, POOL_RATES)}`);
+            
+            const { pools, costs, expected } = POOL_UTILIZATION_FIXTURE;
+            const utilization = calculatePoolUtilization(pools, costs, 'country', 'USD', POOL_RATES);
+            
+            Object.entries(expected.spent).forEach(([key, spent]) => {
+                const pool = utilization.pools.find(item => item.key === key);
+                if (!pool || !near(pool.spent, spent)) failures.push(`${key} pool spent ${pool && pool.spent}, expected ${spent}`);
+            });
+            const overspent = utilization.overspent.map(pool => pool.key);
+            if (JSON.stringify(overspent) !== JSON.stringify(expected.overspent)) {
+                failures.push(`overspent pools ${JSON.stringify(overspent)}`);
+            }
+            const unpooled = utilization.unpooled;
+            if (!unpooled || unpooled.headcount !== expected.unpooled.headcount || !near(unpooled.spent, expected.unpooled.spent)) {
+                failures.push(`unpooled costs ${unpooled ? `${unpooled.headcount} employees, ${unpooled.spent}` : 'dropped'}`);
+            }
+            const { rollup } = utilization;
+            if (!near(rollup.amount, expected.rollup.amount) || !near(rollup.spent, expected.rollup.spent) || rollup.overspent !== expected.rollup.overspent) {
+                failures.push(`roll-up ${rollup.spent} of ${rollup.amount} USD`);
+            }
+            
+            if (failures.length === 0) {
+                this.addTestResult('Budget Pools', 'PASSED', `${POOL_CONVERSION_FIXTURES.length} conversions and the roll-up of ${costs.length} raise costs checked`);
+            } else {
+                this.addTestResult('Budget Pools', 'FAILED', failures.join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('Budget Pools', 'FAILED', `Budget pool test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test undo, redo and goTo on recorded changes, and that a new change clears redo
+     */
+    async testHistoryManager() {
+        if (!window.HistoryManager || !window.snapshotFields) {
+            this.addTestResult('History Manager', 'SKIPPED', 'historyManager.js not loaded');
+            return;
+        }
+        
+        try {
+            const history = new HistoryManager();
+            const record = { salary: 100 };
+            const target = {
+                capture: () => snapshotFields(record),
+                restore: snapshot => restoreFields(record, snapshot)
+            };
+            const failures = [];
+            
+            const originalLog = console.log;
+            console.log = () => {}; // Every entry, undo and redo is logged
+            try {
+                HISTORY_STEPS.forEach((step, index) => {
+                    let result;
+                    if (step.action === 'change') {
+                        result = history.recordChange(step.label, target, () => {
+                            record.salary = step.salary;
+                            if (step.nested) history.recordChange('Nested', target, () => { record.salary = step.nested; });
+                            return true;
+                        });
+                    } else {
+                        result = history[step.action](step.position);
+                    }
+                    
+                    const { expected } = step;
+                    const labels = history.getEntries().map(entry => entry.label);
+                    const problems = [
+                        result !== (step.result === undefined ? true : step.result) && `returned ${result}`,
+                        record.salary !== expected.salary && `salary ${record.salary}`,
+                        history.getPosition() !== expected.position && `position ${history.getPosition()}`,
+                        expected.labels && JSON.stringify(labels) !== JSON.stringify(expected.labels) && `entries ${labels.join(', ')}`,
+                        expected.canUndo !== undefined && history.canUndo() !== expected.canUndo && `canUndo ${history.canUndo()}`,
+                        expected.canRedo !== undefined && history.canRedo() !== expected.canRedo && `canRedo ${history.canRedo()}`
+                    ].filter(Boolean);
+                    if (problems.length > 0) failures.push(`step ${index + 1} (${step.action}${step.label ? ` ${step.label}` : ''}): ${problems.join(', ')}`);
+                });
+            
+                // Oldest entries are dropped beyond the limit
+                const limited = new HistoryManager({ limit: 2 });
+                ['A', 'B', 'C'].forEach((label, index) => limited.recordChange(label, target, () => { record.salary = index; }));
+                if (limited.getEntries().map(entry => entry.label).join() !== 'B,C') {
+                    failures.push(`limit of 2 kept ${limited.getEntries().map(entry => entry.label).join(', ')}`);
+                }
+            } finally {
+                console.log = originalLog;
+            }
+            
+            if (failures.length === 0) {
+                this.addTestResult('History Manager', 'PASSED', `${HISTORY_STEPS.length} history steps and the entry limit checked`);
+            } else {
+                this.addTestResult('History Manager', 'FAILED', failures.join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('History Manager', 'FAILED', `History manager test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test that concurrent first saves share one encryption key load
+     */
+    async testSessionKey() {
+        if (!window.SessionStore) {
+            this.addTestResult('Session Key', 'SKIPPED', 'sessionStore.js not loaded');
+            return;
+        }
+        
+        try {
+            const store = new SessionStore({ dbName: 'teamAnalyzerSessionKeyTest' });
+            let loads = 0;
+            store.loadKey = async () => {
+                loads++;
+                await new Promise(resolve => setTimeout(resolve, 0));
+                return { id: loads };
+            };
+            
+            const keys = await Promise.all([store.getKey(), store.getKey(), store.getKey()]);
+            
+            if (loads === 1 && keys.every(key => key === keys[0])) {
+                this.addTestResult('Session Key', 'PASSED', 'Concurrent first saves share one key');
+            } else {
+                this.addTestResult('Session Key', 'FAILED', `${loads} keys loaded for 3 concurrent saves`);
+            }
+        
+        } catch (error) {
+            this.addTestResult('Session Key', 'FAILED', `Session key test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Test the weighted raise score and the merit budget's move into the country's typical range
+     */
+    async testRaiseScoring() {
+        if (!window.calculateRecommendedRaise || !window.toEmployeeModel) {
+            this.addTestResult('Raise Scoring', 'SKIPPED', 'raiseCalculator.js or employeeModel.js not loaded');
+            return;
+        }
+        
+        try {
+            const near = (actual, expected) => Math.abs(actual - expected) < 0.0001;
+            const failures = [];
+            
+            RAISE_SCORE_FIXTURES.forEach(fixture => {
+                const { score } = calculateRaiseScore(fixture.employee, fixture.settings || DEFAULT_RAISE_SETTINGS);
+                if (!near(score, fixture.score)) failures.push(`${fixture.name}: score ${score.toFixed(4)}, expected ${fixture.score}`);
+            });
+            
+            RAISE_BUDGET_CLAMP_FIXTURES.forEach(fixture => {
+                const settings = { ...DEFAULT_RAISE_SETTINGS, budgetPercentage: fixture.budgetPercentage };
+                const recommendation = calculateRecommendedRaise({}, fixture.policy, settings);
+                const { breakdown } = recommendation;
+                if (!near(breakdown.baseRaise, fixture.baseRaise) || !near(recommendation.percentage, fixture.baseRaise) ||
+                    !near(breakdown.budgetRaise, fixture.budgetPercentage / 100) || breakdown.budgetAdjustment !== fixture.adjustment) {
+                    failures.push(`${fixture.name}: ${(breakdown.budgetRaise * 100).toFixed(1)}% to ${(breakdown.baseRaise * 100).toFixed(1)}% (${breakdown.budgetAdjustment})`);
+                }
+            });
+            
+            if (failures.length === 0) {
+                this.addTestResult('Raise Scoring', 'PASSED', `${RAISE_SCORE_FIXTURES.length} scores and ${RAISE_BUDGET_CLAMP_FIXTURES.length} budget adjustments checked`);
+            } else {
+                this.addTestResult('Raise Scoring', 'FAILED', failures.join('; '));
+            }
+        
+        } catch (error) {
+            this.addTestResult('Raise Scoring', 'FAILED', `Raise scoring test failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a small BIFF8 .xls: an OLE compound file whose Workbook stream holds
+     * a worksheet, a chart sheet and a hidden worksheet, in the 1904 date system
+     * @param {Object} options - { encrypted: add a FILEPASS record, streamName: 'Workbook' by default }
+     * @returns {Uint8Array} File contents
+     */
+    createTestXlsWorkbook(options = {}) {
+        const u16 = value => [value & 0xFF, (value >> 8) & 0xFF];
+        const u32 = value => [...u16(value & 0xFFFF), ...u16(value >>> 16)];
+        const f64 = value => {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value, true);
+            return Array.from(new Uint8Array(view.buffer));
+        };
+        const chars = (text, highByte = false) => [...text].flatMap(char =>
+            highByte ? u16(char.charCodeAt(0)) : [char.charCodeAt(0)]);
+        const string = (text, highByte = false) => [...u16(text.length), highByte ? 1 : 0, ...chars(text, highByte)];
+        const rk = (value, hundredths = false) => u32(((value << 2) | 2 | (hundredths ? 1 : 0)) >>> 0);
+        const record = (type, data) => [...u16(type), ...u16(data.length), ...data];
+        const cell = (row, column, xf) => [...u16(row), ...u16(column), ...u16(xf)];
+        const bof = type => record(0x0809, [...u16(0x0600), ...u16(type), ...new Array(12).fill(0)]);
+        const xf = numFmtId => record(0x00E0, [...u16(0), ...u16(numFmtId), ...new Array(16).fill(0)]);
+        
+        // XF 0 is General, 1 a built-in date and 2 a custom 0.0%
+        const staff = [
+            bof(0x0010),
+            record(0x00FD, [...cell(0, 0, 0), ...u32(0)]),
+            record(0x00FD, [...cell(0, 1, 0), ...u32(2)]),
+            record(0x0204, [...cell(0, 2, 0), ...string('Start')]),
+            record(0x0204, [...cell(0, 3, 0), ...string('Raise', true)]),
+            record(0x0204, [...cell(0, 4, 0), ...string('Active')]),
+            record(0x0204, [...cell(0, 5, 0), ...string('Band')]),
+            record(0x00FD, [...cell(1, 0, 0), ...u32(1)]),
+            record(0x0203, [...cell(1, 1, 0), ...f64(141917.5)]),
+            record(0x00BD, [...u16(1), ...u16(2), ...u16(1), ...rk(43844), ...u16(2), ...rk(5, true), ...u16(3)]),
+            record(0x0205, [...cell(1, 4, 0), 1, 0]),
+            // String result of a formula follows in a STRING record
+            record(0x0006, [...cell(1, 5, 0), 0, 0, 0, 0, 0, 0, 0xFF, 0xFF, ...u16(0), ...u32(0), ...u16(0)]),
+            record(0x0207, string('B2')),
+            record(0x0204, [...cell(2, 0, 0), ...string('Asa Jones')]),
+            record(0x027E, [...cell(2, 1, 0), ...rk(95000)]),
+            record(0x0203, [...cell(2, 2, 1), ...f64(44000)]),
+            record(0x0006, [...cell(2, 3, 2), ...f64(0.03), ...u16(0), ...u32(0), ...u16(0)]),
+            record(0x0205, [...cell(2, 4, 0), 0x07, 1]), // #DIV/0!
+            record(0x000A, [])
+        ].flat();
+        const rates = [
+            bof(0x0010),
+            record(0x0204, [...cell(0, 0, 0), ...string('EUR')]),
+            record(0x0203, [...cell(0, 1, 0), ...f64(1.0825)]),
+            record(0x000A, [])
+        ].flat();
+        
+        const globals = (staffOffset, ratesOffset) => [
+            bof(0x0005),
+            ...(options.encrypted ? [record(0x002F, u16(0))] : []),
+            record(0x0022, u16(1)),
+            record(0x041E, [...u16(164), ...string('0.0%')]),
+            xf(0),
+            xf(14),
+            xf(164),
+            record(0x0085, [...u32(staffOffset), 0, 0, 5, 1, ...chars('Staff', true)]),
+            record(0x0085, [...u32(0), 0, 2, 6, 0, ...chars('Chart1')]),
+            record(0x0085, [...u32(ratesOffset), 1, 0, 5, 0, ...chars('Rates')]),
+            // The second string continues in a CONTINUE record, switching to UTF-16
+            record(0x00FC, [...u32(3), ...u32(3), ...string('Name'), ...u16(12), 0, ...chars('Zoë ')]),
+            record(0x003C, [1, ...chars('Ångström', true), ...string('Salary')]),
+            record(0x000A, [])
+        ].flat();
+        
+        const globalsLength = globals(0, 0).length;
+        const stream = [...globals(globalsLength, globalsLength + staff.length), ...staff, ...rates];
+        
+        // Sector 0 holds the FAT, 1 the directory and the stream starts at 2. At the
+        // mini stream cutoff or above, the stream is kept in regular sectors
+        const streamSize = Math.max(stream.length, 4096);
+        const streamSectors = Math.ceil(streamSize / 512);
+        const bytes = new Uint8Array(512 * (3 + streamSectors));
+        const view = new DataView(bytes.buffer);
+        const END_OF_CHAIN = 0xFFFFFFFE;
+        const FREE = 0xFFFFFFFF;
+        
+        bytes.set([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+        view.setUint16(0x18, 0x3E, true);
+        view.setUint16(0x1A, 3, true);
+        view.setUint16(0x1C, 0xFFFE, true);
+        view.setUint16(0x1E, 9, true);
+        view.setUint16(0x20, 6, true);
+        view.setUint32(0x2C, 1, true);
+        view.setUint32(0x30, 1, true);
+        view.setUint32(0x38, 4096, true);
+        view.setUint32(0x3C, END_OF_CHAIN, true);
+        view.setUint32(0x44, END_OF_CHAIN, true);
+        for (let i = 0; i < 109; i++) {
+            view.setUint32(0x4C + i * 4, i === 0 ? 0 : FREE, true);
+        }
+        
+        for (let sector = 0; sector < 128; sector++) {
+            let next = FREE;
+            if (sector === 0) next = 0xFFFFFFFD; // FAT sector
+            else if (sector === 1 || sector === streamSectors + 1) next = END_OF_CHAIN;
+            else if (sector <= streamSectors) next = sector + 1;
+            view.setUint32(512 + sector * 4, next, true);
+        }
+        
+        const setEntry = (index, name, type, start, size) => {
+            const base = 1024 + index * 128;
+            [...name].forEach((char, i) => view.setUint16(base + i * 2, char.charCodeAt(0), true));
+            view.setUint16(base + 0x40, (name.length + 1) * 2, true);
+            bytes[base + 0x42] = type;
+            view.setUint32(base + 0x74, start, true);
+            view.setUint32(base + 0x78, size, true);
+        };
+        setEntry(0, 'Root Entry', 5, END_OF_CHAIN, 0);
+        setEntry(1, options.streamName || 'Workbook', 2, 2, streamSize);
+        
+        bytes.set(stream, 512 * 3);
+        return bytes;
+    }
+
+    /**
+     * Recompress the entries of a stored ZIP archive with DEFLATE
+     * @param {Uint8Array} bytes - Archive with stored entries
+     * @returns {Promise<Uint8Array>} Archive with deflated entries
+     */
+    async deflateZipArchive(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const deflate = async data => new Uint8Array(await new Response(
+            new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+        
+        const parts = [];
+        const moved = new Map(); // Old local header offset -> { offset, size }
+        let offset = 0;
+        let written = 0;
+        
+        while (view.getUint32(offset, true) === 0x04034B50) {
+            const headerLength = 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+            const size = view.getUint32(offset + 18, true);
+            const header = bytes.slice(offset, offset + headerLength);
+            const data = await deflate(bytes.subarray(offset + headerLength, offset + headerLength + size));
+            
+            const headerView = new DataView(header.buffer);
+            headerView.setUint16(8, 8, true);
+            headerView.setUint32(18, data.length, true);
+            moved.set(offset, { offset: written, size: data.length });
+            
+            parts.push(header, data);
+            written += header.length + data.length;
+            offset += headerLength + size;
+        }
+        
+        // Central directory and end record, pointing at the new sizes and offsets
+        const directory = bytes.slice(offset);
+        const directoryView = new DataView(directory.buffer);
+        let entry = 0;
+        while (directoryView.getUint32(entry, true) === 0x02014B50) {
+            const local = moved.get(directoryView.getUint32(entry + 42, true));
+            directoryView.setUint16(entry + 10, 8, true);
+            directoryView.setUint32(entry + 20, local.size, true);
+            directoryView.setUint32(entry + 42, local.offset, true);
+            entry += 46 + directoryView.getUint16(entry + 28, true) + directoryView.getUint16(entry + 30, true)
+                + directoryView.getUint16(entry + 32, true);
+        }
+        directoryView.setUint32(entry + 16, written, true);
+        parts.push(directory);
+        
+        const archive = new Uint8Array(written + directory.length);
+        let position = 0;
+        parts.forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+        return archive;
+    }
+
     /**
      * Test performance suggestions
      */
@@ -0,0 +1,176 @@
+/**
+ * Total Compensation Utility
+ *
+ * Total cash compensation helpers: base pay, target bonus (Variable Comp),
+ * Sales TIC and on-target earnings (OTE), plus the cost of raising either
+ * base pay or the target bonus. Amounts are stored as actual pay - the file's
+ * "Variable Comp Amt (FTE)" is quoted at full time, so the parser scales it by
+ * FTE first - and part-time employees are annualized to full-time equivalent
+ * (FTE) for comparisons.
+ */
+
+// Views the tables and charts can switch between
+const COMPENSATION_VIEWS = {
+    base: { key: 'base', label: 'Base Salary', shortLabel: 'Base' },
+    bonus: { key: 'bonus', label: 'Target Bonus', shortLabel: 'Bonus' },
+    ote: { key: 'ote', label: 'On-Target Earnings (OTE)', shortLabel: 'OTE' }
+};
+
+// Bases salaries can be reported on
+const SALARY_BASES = {
+    fte: { key: 'fte', label: 'Annualized FTE', description: 'part-time pay scaled to full time' },
+    actual: { key: 'actual', label: 'Actual cost', description: 'pay as actually earned' }
+};
+
+// What a scenario raise is applied to
+const RAISE_TARGETS = {
+    base: { key: 'base', label: 'Base salary' },
+    bonus: { key: 'bonus', label: 'Target bonus' }
+};
+
+/**
+ * Get an employee's full-time equivalent (1 = full time)
+ */
+function getFte(employee) {
+    const fte = Number(employee.fte);
+    return fte > 0 ? fte : 1;
+}
+
+/**
+ * Express an actual pay amount on a salary basis - annualized FTE divides by the employee's FTE
+ */
+function prorateAmount(amount, employee, basis = 'actual') {
+    return basis === 'fte' ? amount / getFte(employee) : amount;
+}
+
+/**
+ * Get an employee's total compensation breakdown in their own currency,
+ * deriving it from the salary when the file had no variable pay columns
+ */
+function getTotalCompensation(employee) {
+    if (employee.totalCompensation) {
+        return employee.totalCompensation;
+    }
+
+    const toModel = typeof window !== 'undefined'
+        ? window.toEmployeeModel
+        : require('./employeeModel.js').toEmployeeModel;
+    const model = toModel(employee);
+    const basePay = model.baseSalary || 0;
+
+    return {
+        currency: model.currency,
+        basePay,
+        variablePercent: 0,
+        targetBonus: 0,
+        salesTIC: 0,
+        ote: basePay,
+        baseShareOfOte: null,
+        ticShareOfOte: null
+    };
+}
+
+/**
+ * Get the amount an employee is shown with in a compensation view, on a salary basis
+ */
+function getCompensationAmount(employee, view = 'base', basis = 'actual') {
+    const compensation = getTotalCompensation(employee);
+    let amount;
+
+    switch (view) {
+        case 'bonus':
+            amount = compensation.targetBonus + compensation.salesTIC;
+            break;
+        case 'ote':
+            amount = compensation.ote;
+            break;
+        default:
+            amount = compensation.basePay;
+    }
+
+    return prorateAmount(amount, employee, basis);
+}
+
+/**
+ * Get the share of base pay paid as variable pay (target bonus plus Sales TIC)
+ */
+function getVariableRate(employee) {
+    const compensation = getTotalCompensation(employee);
+    if (!compensation.basePay) return 0;
+
+    return (compensation.targetBonus + compensation.salesTIC) / compensation.basePay;
+}
+
+/**
+ * Calculate the change in total cash when an employee gets a raise.
+ *
+ * A base raise also lifts variable pay, which is set as a percentage of base.
+ * A bonus raise adds the same amount (raise × base) to variable pay instead -
+ * to Sales TIC for people on a sales plan, otherwise to the target bonus.
+ * @param {Object} employee - Employee
+ * @param {number} raiseFraction - Raise as a fraction (0.03 = 3%)
+ * @param {string} raiseTarget - 'base' or 'bonus'
+ * @returns {Object} Increases and new amounts in the employee's currency
+ */
+function calculateCompensationChange(employee, raiseFraction, raiseTarget = 'base') {
+    const compensation = getTotalCompensation(employee);
+    const raise = Number(raiseFraction) || 0;
+
+    let baseIncrease = 0;
+    let bonusIncrease = 0;
+    let ticIncrease = 0;
+
+    if (raiseTarget === 'bonus') {
+        if (compensation.salesTIC > 0) {
+            ticIncrease = compensation.basePay * raise;
+        } else {
+            bonusIncrease = compensation.basePay * raise;
+        }
+    } else {
+        baseIncrease = compensation.basePay * raise;
+        bonusIncrease = compensation.targetBonus * raise;
+        ticIncrease = compensation.salesTIC * raise;
+    }
+
+    const variableIncrease = bonusIncrease + ticIncrease;
+
+    return {
+        currency: compensation.currency,
+        raiseTarget,
+        baseIncrease,
+        variableIncrease,
+        totalCashIncrease: baseIncrease + variableIncrease,
+        newBasePay: compensation.basePay + baseIncrease,
+        newTargetBonus: compensation.targetBonus + bonusIncrease,
+        newSalesTIC: compensation.salesTIC + ticIncrease,
+        newOte: compensation.ote + baseIncrease + variableIncrease
+    };
+}
+
+/**
+ * Export the total compensation functions
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPENSATION_VIEWS,
+        SALARY_BASES,
+        RAISE_TARGETS,
+        getFte,
+        prorateAmount,
+        getTotalCompensation,
+        getCompensationAmount,
+        getVariableRate,
+        calculateCompensationChange
+    };
+} else {
+    // Make functions available globally
+    window.COMPENSATION_VIEWS = COMPENSATION_VIEWS;
+    window.SALARY_BASES = SALARY_BASES;
+    window.RAISE_TARGETS = RAISE_TARGETS;
+    window.getFte = getFte;
+    window.prorateAmount = prorateAmount;
+    window.getTotalCompensation = getTotalCompensation;
+    window.getCompensationAmount = getCompensationAmount;
+    window.getVariableRate = getVariableRate;
+    window.calculateCompensationChange = calculateCompensationChange;
+}
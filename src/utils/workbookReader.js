@@ -0,0 +1,814 @@
+/**
+ * Workbook Reader Utility
+ *
+ * Reads Excel workbooks without any library: .xlsx (a ZIP of XML parts,
+ * inflated with the browser's DecompressionStream) and legacy .xls (BIFF8
+ * records inside an OLE compound file). Sheets come back as the same
+ * { cells, line } records the CSV tokenizer produces, with typed cells turned
+ * into the text a CSV export would contain - dates as M/D/YYYY, percentages
+ * as "15%", plain numbers without thousands separators - so CSVParser's column
+ * mapping and validation apply unchanged. Works on the main thread and in the
+ * CSV parser worker (no DOMParser).
+ */
+
+// File extensions handled as workbooks rather than CSV
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
+
+// MIME types browsers report for Excel files
+const WORKBOOK_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel'
+];
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([
+    14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+    45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58
+]);
+
+// Built-in number formats that display percentages
+const BUILTIN_PERCENT_FORMATS = new Set([9, 10]);
+
+/**
+ * Check whether a file should be read as a workbook
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .xlsx/.xls files
+ */
+function isWorkbookFile(file) {
+    const name = (file.name || '').toLowerCase();
+    return WORKBOOK_EXTENSIONS.some(extension => name.endsWith(extension)) ||
+        WORKBOOK_MIME_TYPES.includes((file.type || '').toLowerCase());
+}
+
+/**
+ * Classify a number format as 'date', 'percent' or 'number'
+ * @param {number} numFmtId - Number format id
+ * @param {string} formatCode - Format code, for custom formats
+ */
+function getCellKind(numFmtId, formatCode) {
+    if (BUILTIN_DATE_FORMATS.has(numFmtId)) return 'date';
+    if (BUILTIN_PERCENT_FORMATS.has(numFmtId)) return 'percent';
+    if (!formatCode) return 'number';
+
+    // Ignore literal text, colours/conditions, escaped characters and padding
+    const code = formatCode
+        .replace(/"[^"]*"/g, '')
+        .replace(/\[[^\]]*\]/g, '')
+        .replace(/[\\_*]./g, '');
+
+    if (/[dmyhs]/i.test(code) && !/general/i.test(code)) return 'date';
+    if (code.includes('%')) return 'percent';
+    return 'number';
+}
+
+/**
+ * Convert an Excel serial date to M/D/YYYY
+ * @param {number} serial - Days since the workbook epoch
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ */
+function excelSerialToDate(serial, date1904 = false) {
+    const days = serial + (date1904 ? 1462 : 0);
+    // Day 0 is 1899-12-30 so that Excel's phantom 1900-02-29 lines up for modern dates
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400) * 1000);
+    return `${date.getUTCMonth() + 1}/${date.getUTCDate()}/${date.getUTCFullYear()}`;
+}
+
+/**
+ * Render a numeric cell the way a CSV export would
+ * @param {number} value - Cell value
+ * @param {string} kind - 'date', 'percent' or 'number'
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ */
+function formatCellValue(value, kind, date1904 = false) {
+    if (typeof value !== 'number' || !isFinite(value)) return '';
+
+    // Trim binary floating point noise (0.15 stored as 0.15000000000000002)
+    const clean = number => Number(number.toPrecision(15));
+
+    if (kind === 'date') return excelSerialToDate(value, date1904);
+    if (kind === 'percent') return `${clean(value * 100)}%`;
+    return String(clean(value));
+}
+
+/**
+ * Turn a sparse row map into ordered { cells, line } records
+ * @param {Map} rows - Row number -> array of cell text
+ */
+function rowsToRecords(rows) {
+    return [...rows.keys()]
+        .sort((a, b) => a - b)
+        .map(line => {
+            const cells = rows.get(line);
+            return { cells: Array.from(cells, cell => cell === undefined ? '' : cell), line };
+        });
+}
+
+/**
+ * Read a workbook from its bytes, detecting the format from the file signature
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Object>} { format, sheets: [{ name, hidden }], readSheet(name) }
+ */
+async function readWorkbook(bytes) {
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B) {
+        return readXLSXWorkbook(bytes);
+    }
+    if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+        return readXLSWorkbook(bytes);
+    }
+    throw new Error('File is not an Excel workbook (.xlsx or .xls)');
+}
+
+// ---------------------------------------------------------------------------
+// .xlsx - ZIP container with SpreadsheetML parts
+// ---------------------------------------------------------------------------
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Map} Entry name -> { method, compressedSize, localHeaderOffset }
+ */
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory record - the last thing in the file, before an optional comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error('Workbook is damaged (ZIP directory not found)');
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = new Map();
+    const decoder = new TextDecoder('utf-8');
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Workbook is damaged (bad ZIP directory entry)');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Inflate raw DEFLATE data with the browser's DecompressionStream
+ */
+async function inflateRaw(data) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read .xlsx files - update it or save the file as CSV');
+    }
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a ZIP entry as text, or null when the archive doesn't contain it
+ */
+async function readZipText(bytes, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = entry.localHeaderOffset;
+    const dataStart = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+    let content;
+    if (entry.method === 0) {
+        content = data;
+    } else if (entry.method === 8) {
+        content = await inflateRaw(data);
+    } else {
+        throw new Error(`Workbook uses an unsupported ZIP compression method (${entry.method})`);
+    }
+
+    return new TextDecoder('utf-8').decode(content);
+}
+
+/**
+ * Read an attribute from the attribute text of an XML tag
+ */
+function getXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    if (!match) return null;
+    return decodeXmlText(match[1] !== undefined ? match[1] : match[2]);
+}
+
+/**
+ * Decode XML entities and SpreadsheetML _xHHHH_ escapes
+ */
+function decodeXmlText(text) {
+    return text
+        .replace(/&(lt|gt|quot|apos|amp|#x[0-9a-fA-F]+|#[0-9]+);/g, (match, entity) => {
+            switch (entity) {
+                case 'lt': return '<';
+                case 'gt': return '>';
+                case 'quot': return '"';
+                case 'apos': return "'";
+                case 'amp': return '&';
+                default:
+                    return String.fromCodePoint(entity[1] === 'x'
+                        ? parseInt(entity.slice(2), 16)
+                        : parseInt(entity.slice(1), 10));
+            }
+        })
+        .replace(/_x([0-9a-fA-F]{4})_/g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+/**
+ * Get the text of a shared or inline string (<si>/<is>), ignoring phonetic runs
+ */
+function getStringItemText(xml) {
+    const text = [];
+    const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    const content = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        text.push(decodeXmlText(match[1]));
+    }
+    return text.join('');
+}
+
+/**
+ * Convert a cell reference's column letters ("AB12") to a zero-based index
+ */
+function getColumnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i);
+    if (!letters) return -1;
+
+    let index = 0;
+    for (const letter of letters[0].toUpperCase()) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Resolve a relationship target against the folder of the part that owns it
+ */
+function resolvePartPath(base, target) {
+    if (target.startsWith('/')) return target.slice(1);
+
+    const parts = base.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * Open an .xlsx workbook
+ * @param {Uint8Array} bytes - File contents
+ */
+async function readXLSXWorkbook(bytes) {
+    const entries = readZipDirectory(bytes);
+
+    const workbookXml = await readZipText(bytes, entries, 'xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Workbook is damaged (xl/workbook.xml not found)');
+    }
+
+    // Sheet name -> part path, through the workbook relationships
+    const relationshipsXml = await readZipText(bytes, entries, 'xl/_rels/workbook.xml.rels') || '';
+    const targets = {};
+    relationshipsXml.replace(/<Relationship\b([^>]*)>/g, (match, attributes) => {
+        targets[getXmlAttribute(attributes, 'Id')] = getXmlAttribute(attributes, 'Target');
+        return match;
+    });
+
+    const sheets = [];
+    workbookXml.replace(/<sheet\b([^>]*)>/g, (match, attributes) => {
+        const target = targets[getXmlAttribute(attributes, 'r:id')];
+        if (target) {
+            sheets.push({
+                name: getXmlAttribute(attributes, 'name'),
+                hidden: (getXmlAttribute(attributes, 'state') || 'visible') !== 'visible',
+                path: resolvePartPath('xl/workbook.xml', target)
+            });
+        }
+        return match;
+    });
+
+    const workbookPr = workbookXml.match(/<workbookPr\b([^>]*)>/);
+    const date1904Value = workbookPr ? getXmlAttribute(workbookPr[1], 'date1904') : null;
+    const date1904 = date1904Value === '1' || date1904Value === 'true';
+
+    // Shared strings
+    const sharedStringsXml = await readZipText(bytes, entries, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = [];
+    const stringPattern = /<si>([\s\S]*?)<\/si>|<si\/>/g;
+    let match;
+    while ((match = stringPattern.exec(sharedStringsXml)) !== null) {
+        sharedStrings.push(match[1] ? getStringItemText(match[1]) : '');
+    }
+
+    // Cell style index -> kind of number format
+    const stylesXml = await readZipText(bytes, entries, 'xl/styles.xml') || '';
+    const formatCodes = {};
+    stylesXml.replace(/<numFmt\b([^>]*)>/g, (tag, attributes) => {
+        formatCodes[getXmlAttribute(attributes, 'numFmtId')] = getXmlAttribute(attributes, 'formatCode');
+        return tag;
+    });
+    const cellXfs = (stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+    const styleKinds = [];
+    cellXfs.replace(/<xf\b([^>]*)>/g, (tag, attributes) => {
+        const numFmtId = parseInt(getXmlAttribute(attributes, 'numFmtId'), 10) || 0;
+        styleKinds.push(getCellKind(numFmtId, formatCodes[numFmtId]));
+        return tag;
+    });
+
+    return {
+        format: 'xlsx',
+        sheets: sheets.map(sheet => ({ name: sheet.name, hidden: sheet.hidden })),
+
+        async readSheet(name) {
+            const sheet = sheets.find(candidate => candidate.name === name);
+            if (!sheet) throw new Error(`Sheet "${name}" not found in workbook`);
+
+            const xml = await readZipText(bytes, entries, sheet.path);
+            if (xml === null) throw new Error(`Sheet "${name}" is missing from the workbook`);
+
+            const rows = new Map();
+            const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+            const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+            let rowMatch;
+            let nextRow = 1;
+
+            while ((rowMatch = rowPattern.exec(xml)) !== null) {
+                const line = parseInt(getXmlAttribute(rowMatch[1], 'r'), 10) || nextRow;
+                nextRow = line + 1;
+                if (!rowMatch[2]) continue;
+
+                const cells = [];
+                let nextColumn = 0;
+                let cellMatch;
+                cellPattern.lastIndex = 0;
+
+                while ((cellMatch = cellPattern.exec(rowMatch[2])) !== null) {
+                    const attributes = cellMatch[1];
+                    const reference = getXmlAttribute(attributes, 'r');
+                    const column = reference ? getColumnIndex(reference) : nextColumn;
+                    nextColumn = column + 1;
+
+                    const body = cellMatch[2] || '';
+                    const type = getXmlAttribute(attributes, 't') || 'n';
+                    const valueMatch = body.match(/<v(?:\s[^>]*)?>([\s\S]*?)<\/v>/);
+                    const value = valueMatch ? decodeXmlText(valueMatch[1]) : '';
+                    let text;
+
+                    switch (type) {
+                        case 's':
+                            text = sharedStrings[parseInt(value, 10)] || '';
+                            break;
+                        case 'inlineStr':
+                            text = getStringItemText((body.match(/<is>([\s\S]*?)<\/is>/) || [])[1] || '');
+                            break;
+                        case 'b':
+                            text = value === '1' ? 'TRUE' : 'FALSE';
+                            break;
+                        case 'e':
+                            text = '';
+                            break;
+                        case 'str':
+                            text = value;
+                            break;
+                        case 'd': {
+                            // ISO 8601 date cell
+                            const match = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+                            text = match ? `${parseInt(match[2], 10)}/${parseInt(match[3], 10)}/${match[1]}` : value;
+                            break;
+                        }
+                        default: {
+                            const style = parseInt(getXmlAttribute(attributes, 's'), 10) || 0;
+                            text = value === '' ? '' : formatCellValue(parseFloat(value), styleKinds[style] || 'number', date1904);
+                        }
+                    }
+
+                    cells[column] = text;
+                }
+
+                rows.set(line, cells);
+            }
+
+            return rowsToRecords(rows);
+        }
+    };
+}
+
+// ---------------------------------------------------------------------------
+// .xls - BIFF8 workbook stream inside an OLE compound file
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a named stream from an OLE compound file
+ * @param {Uint8Array} bytes - File contents
+ * @param {Array} names - Acceptable stream names, first match wins
+ * @returns {Object|null} { name, data } or null when no stream matches
+ */
+function readCompoundStream(bytes, names) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sectorSize = 1 << view.getUint16(0x1E, true);
+    const miniSectorSize = 1 << view.getUint16(0x20, true);
+    const miniStreamCutoff = view.getUint32(0x38, true);
+    const sectorOffset = sector => (sector + 1) * sectorSize;
+    const END_OF_CHAIN = 0xFFFFFFFA; // Anything from here up is a special marker
+
+    // Sector allocation table, located through the DIFAT
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+        const sector = view.getUint32(0x4C + i * 4, true);
+        if (sector < END_OF_CHAIN) fatSectors.push(sector);
+    }
+    let difatSector = view.getUint32(0x44, true);
+    let difatCount = view.getUint32(0x48, true);
+    while (difatCount-- > 0 && difatSector < END_OF_CHAIN) {
+        const base = sectorOffset(difatSector);
+        for (let i = 0; i < sectorSize / 4 - 1; i++) {
+            const sector = view.getUint32(base + i * 4, true);
+            if (sector < END_OF_CHAIN) fatSectors.push(sector);
+        }
+        difatSector = view.getUint32(base + sectorSize - 4, true);
+    }
+
+    const fat = [];
+    fatSectors.forEach(sector => {
+        const base = sectorOffset(sector);
+        for (let i = 0; i < sectorSize / 4 && base + i * 4 + 4 <= bytes.length; i++) {
+            fat.push(view.getUint32(base + i * 4, true));
+        }
+    });
+
+    const readChain = (start, table, readSector) => {
+        const chunks = [];
+        let sector = start;
+        let guard = table.length + 1;
+        while (sector < END_OF_CHAIN && guard-- > 0) {
+            chunks.push(readSector(sector));
+            sector = table[sector];
+        }
+        const data = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, position);
+            position += chunk.length;
+        });
+        return data;
+    };
+    const readSector = sector => bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+
+    // Directory entries
+    const directory = readChain(view.getUint32(0x30, true), fat, readSector);
+    const directoryView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+    const entries = [];
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+        const nameLength = directoryView.getUint16(offset + 0x40, true);
+        let name = '';
+        for (let i = 0; i + 2 < nameLength; i += 2) {
+            name += String.fromCharCode(directoryView.getUint16(offset + i, true));
+        }
+        entries.push({
+            name,
+            type: directory[offset + 0x42],
+            start: directoryView.getUint32(offset + 0x74, true),
+            size: directoryView.getUint32(offset + 0x78, true)
+        });
+    }
+
+    const entry = names
+        .map(name => entries.find(candidate =>
+            candidate.type === 2 && candidate.name.toLowerCase() === name.toLowerCase()))
+        .find(Boolean);
+    if (!entry) return null;
+
+    let data;
+    if (entry.size < miniStreamCutoff) {
+        // Small streams live in the mini stream, held by the root entry
+        const root = entries.find(candidate => candidate.type === 5);
+        const miniStream = readChain(root.start, fat, readSector);
+        const miniFatData = readChain(view.getUint32(0x3C, true), fat, readSector);
+        const miniFatView = new DataView(miniFatData.buffer, miniFatData.byteOffset, miniFatData.byteLength);
+        const miniFat = [];
+        for (let i = 0; i + 4 <= miniFatData.length; i += 4) {
+            miniFat.push(miniFatView.getUint32(i, true));
+        }
+        data = readChain(entry.start, miniFat,
+            sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize));
+    } else {
+        data = readChain(entry.start, fat, readSector);
+    }
+
+    return { name: entry.name, data: data.subarray(0, entry.size) };
+}
+
+/**
+ * Decode BIFF8 character data - compressed (one byte per character) or UTF-16LE
+ */
+function decodeBiffChars(data, offset, count, highByte) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+        text += String.fromCharCode(highByte
+            ? data[offset + i * 2] | (data[offset + i * 2 + 1] << 8)
+            : data[offset + i]);
+    }
+    return text;
+}
+
+/**
+ * Read an XLUnicodeString (16-bit length) from a record
+ */
+function readBiffString(data, offset) {
+    const count = data[offset] | (data[offset + 1] << 8);
+    const highByte = (data[offset + 2] & 0x01) === 1;
+    return decodeBiffChars(data, offset + 3, count, highByte);
+}
+
+/**
+ * Decode an RK number - a compressed integer or the top 30 bits of a double
+ */
+function decodeRK(rk) {
+    let value;
+    if (rk & 0x02) {
+        value = rk >> 2;
+    } else {
+        const buffer = new DataView(new ArrayBuffer(8));
+        buffer.setUint32(0, rk & 0xFFFFFFFC, false);
+        buffer.setUint32(4, 0, false);
+        value = buffer.getFloat64(0, false);
+    }
+    return rk & 0x01 ? value / 100 : value;
+}
+
+/**
+ * Read the shared string table, whose strings may continue across CONTINUE
+ * records. Each continuation of character data starts with a fresh flags byte.
+ * @param {Array} segments - SST record data followed by its CONTINUE records
+ */
+function readSharedStringTable(segments) {
+    const data = new Uint8Array(segments.reduce((sum, segment) => sum + segment.length, 0));
+    const boundaries = new Set();
+    let position = 0;
+    segments.forEach(segment => {
+        data.set(segment, position);
+        position += segment.length;
+        boundaries.add(position);
+    });
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const uniqueCount = view.getUint32(4, true);
+    const strings = [];
+    let offset = 8;
+
+    for (let i = 0; i < uniqueCount && offset + 3 <= data.length; i++) {
+        const count = view.getUint16(offset, true);
+        const flags = data[offset + 2];
+        offset += 3;
+
+        const richRuns = flags & 0x08 ? view.getUint16(offset, true) : 0;
+        if (flags & 0x08) offset += 2;
+        const extSize = flags & 0x04 ? view.getUint32(offset, true) : 0;
+        if (flags & 0x04) offset += 4;
+
+        let highByte = (flags & 0x01) === 1;
+        let text = '';
+        for (let read = 0; read < count && offset < data.length; read++) {
+            if (read > 0 && boundaries.has(offset)) {
+                // Character data split across records - new flags byte
+                highByte = (data[offset] & 0x01) === 1;
+                offset++;
+            }
+            if (highByte) {
+                text += String.fromCharCode(data[offset] | (data[offset + 1] << 8));
+                offset += 2;
+            } else {
+                text += String.fromCharCode(data[offset]);
+                offset++;
+            }
+        }
+
+        offset += richRuns * 4 + extSize;
+        strings.push(text);
+    }
+
+    return strings;
+}
+
+/**
+ * Iterate the BIFF records of a workbook stream from an offset
+ * @param {Uint8Array} data - Workbook stream
+ * @param {number} start - Stream offset to start from
+ * @param {Function} callback - (type, recordData) => false to stop
+ */
+function forEachBiffRecord(data, start, callback) {
+    let offset = start;
+    while (offset + 4 <= data.length) {
+        const type = data[offset] | (data[offset + 1] << 8);
+        const length = data[offset + 2] | (data[offset + 3] << 8);
+        const record = data.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+        if (callback(type, record) === false) break;
+    }
+}
+
+/**
+ * Open a legacy .xls workbook
+ * @param {Uint8Array} bytes - File contents
+ */
+async function readXLSWorkbook(bytes) {
+    const stream = readCompoundStream(bytes, ['Workbook', 'Book', 'EncryptionInfo']);
+    if (!stream) {
+        throw new Error('Workbook is damaged (no workbook stream found)');
+    }
+    if (stream.name === 'EncryptionInfo') {
+        throw new Error('Workbook is password-protected - remove the password in Excel and upload again');
+    }
+    if (stream.name.toLowerCase() === 'book') {
+        throw new Error('Excel 5.0/95 workbooks are not supported - save the file as .xlsx or CSV');
+    }
+
+    const data = stream.data;
+    const sheets = [];
+    const formatCodes = {};
+    const xfFormats = [];
+    let sstSegments = null;
+    let readingSst = false;
+    let date1904 = false;
+    let encrypted = false;
+
+    // Workbook globals substream: sheets, formats, styles and shared strings
+    forEachBiffRecord(data, 0, (type, record) => {
+        const view = new DataView(record.buffer, record.byteOffset, record.byteLength);
+
+        if (type === 0x003C && readingSst) {
+            sstSegments.push(record); // CONTINUE of the shared string table
+            return true;
+        }
+        readingSst = false;
+
+        switch (type) {
+            case 0x0809: // BOF
+                if (view.getUint16(0, true) !== 0x0600) {
+                    throw new Error('Only Excel 97-2003 (BIFF8) .xls workbooks are supported - save the file as .xlsx or CSV');
+                }
+                break;
+            case 0x002F: // FILEPASS
+                encrypted = true;
+                return false;
+            case 0x0022: // DATEMODE
+                date1904 = view.getUint16(0, true) === 1;
+                break;
+            case 0x041E: // FORMAT
+                formatCodes[view.getUint16(0, true)] = readBiffString(record, 2);
+                break;
+            case 0x00E0: // XF
+                xfFormats.push(view.getUint16(2, true));
+                break;
+            case 0x0085: { // BOUNDSHEET
+                const nameLength = record[6];
+                const highByte = (record[7] & 0x01) === 1;
+                if (record[5] === 0) { // Worksheets only, not charts or macros
+                    sheets.push({
+                        name: decodeBiffChars(record, 8, nameLength, highByte),
+                        hidden: record[4] !== 0,
+                        offset: view.getUint32(0, true)
+                    });
+                }
+                break;
+            }
+            case 0x00FC: // SST
+                sstSegments = [record];
+                readingSst = true;
+                break;
+            case 0x000A: // EOF of the globals
+                return false;
+        }
+        return true;
+    });
+
+    const sharedStrings = sstSegments ? readSharedStringTable(sstSegments) : [];
+    if (encrypted) {
+        throw new Error('Workbook is password-protected - remove the password in Excel and upload again');
+    }
+
+    const getKind = xfIndex => {
+        const numFmtId = xfFormats[xfIndex] || 0;
+        return getCellKind(numFmtId, formatCodes[numFmtId]);
+    };
+
+    return {
+        format: 'xls',
+        sheets: sheets.map(sheet => ({ name: sheet.name, hidden: sheet.hidden })),
+
+        async readSheet(name) {
+            const sheet = sheets.find(candidate => candidate.name === name);
+            if (!sheet) throw new Error(`Sheet "${name}" not found in workbook`);
+
+            const rows = new Map();
+            const setCell = (row, column, text) => {
+                if (!rows.has(row + 1)) rows.set(row + 1, []);
+                rows.get(row + 1)[column] = text;
+            };
+            let pendingFormula = null; // Formula whose string result follows in a STRING record
+
+            forEachBiffRecord(data, sheet.offset, (type, record) => {
+                const view = new DataView(record.buffer, record.byteOffset, record.byteLength);
+                const row = record.length >= 4 ? view.getUint16(0, true) : 0;
+                const column = record.length >= 4 ? view.getUint16(2, true) : 0;
+
+                switch (type) {
+                    case 0x00FD: // LABELSST
+                        setCell(row, column, sharedStrings[view.getUint32(6, true)] || '');
+                        break;
+                    case 0x0204: // LABEL
+                        setCell(row, column, readBiffString(record, 6));
+                        break;
+                    case 0x0203: // NUMBER
+                        setCell(row, column, formatCellValue(view.getFloat64(6, true), getKind(view.getUint16(4, true)), date1904));
+                        break;
+                    case 0x027E: // RK
+                        setCell(row, column, formatCellValue(decodeRK(view.getInt32(6, true)), getKind(view.getUint16(4, true)), date1904));
+                        break;
+                    case 0x00BD: { // MULRK - several RK cells in one row
+                        const lastColumn = view.getUint16(record.length - 2, true);
+                        for (let col = column, offset = 4; col <= lastColumn; col++, offset += 6) {
+                            const xfIndex = view.getUint16(offset, true);
+                            setCell(row, col, formatCellValue(decodeRK(view.getInt32(offset + 2, true)), getKind(xfIndex), date1904));
+                        }
+                        break;
+                    }
+                    case 0x0205: // BOOLERR
+                        setCell(row, column, record[7] ? '' : (record[6] ? 'TRUE' : 'FALSE'));
+                        break;
+                    case 0x0006: // FORMULA - cached result
+                        if (view.getUint16(12, true) === 0xFFFF) {
+                            const resultType = record[6];
+                            if (resultType === 0) {
+                                pendingFormula = { row, column };
+                            } else if (resultType === 1) {
+                                setCell(row, column, record[8] ? 'TRUE' : 'FALSE');
+                            }
+                        } else {
+                            setCell(row, column, formatCellValue(view.getFloat64(6, true), getKind(view.getUint16(4, true)), date1904));
+                        }
+                        break;
+                    case 0x0207: // STRING - result of the previous formula
+                        if (pendingFormula) {
+                            setCell(pendingFormula.row, pendingFormula.column, readBiffString(record, 0));
+                            pendingFormula = null;
+                        }
+                        break;
+                    case 0x000A: // EOF of the sheet
+                        return false;
+                }
+                return true;
+            });
+
+            return rowsToRecords(rows);
+        }
+    };
+}
+
+/**
+ * Export the workbook reader
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WORKBOOK_EXTENSIONS,
+        WORKBOOK_MIME_TYPES,
+        isWorkbookFile,
+        getCellKind,
+        excelSerialToDate,
+        formatCellValue,
+        readWorkbook
+    };
+} else {
+    // Make available globally - on the page and inside the parser worker
+    const scope = typeof window !== 'undefined' ? window : self;
+    scope.WORKBOOK_EXTENSIONS = WORKBOOK_EXTENSIONS;
+    scope.WORKBOOK_MIME_TYPES = WORKBOOK_MIME_TYPES;
+    scope.isWorkbookFile = isWorkbookFile;
+    scope.getCellKind = getCellKind;
+    scope.excelSerialToDate = excelSerialToDate;
+    scope.formatCellValue = formatCellValue;
+    scope.readWorkbook = readWorkbook;
+}
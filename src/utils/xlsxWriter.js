@@ -0,0 +1,560 @@
+/**
+ * XLSX Writer Utility
+ *
+ * Writes Excel workbooks without any library, so exports work offline. A
+ * workbook is a ZIP of SpreadsheetML parts; entries are stored uncompressed,
+ * which every spreadsheet application accepts. Supports several sheets, number
+ * and currency formats, bold/filled header rows frozen below a title, autofilter,
+ * column widths and live formulas (recalculated when the file is opened).
+ *
+ * Workbook description:
+ *   {
+ *       sheets: [{
+ *           name: 'Recommendations',
+ *           title: 'Raise Recommendations',          // optional, bold row above the table
+ *           notes: ['Amounts in USD'],                // optional lines under the title
+ *           columns: [{ header: 'Raise %', format: 'percent', width: 10 }],
+ *           rows: [[0.03, { formula: 'F{row}*G{row}', value: 1500 }]],
+ *           totals: ['Total', { formula: 'SUM(H{first}:H{last})' }]  // optional
+ *       }]
+ *   }
+ *
+ * Cells are plain values (string, number, boolean, Date, null) or objects
+ * { value, formula, format, currency, bold }. In formulas {row} is the cell's
+ * own row and {first}/{last} are the first and last data rows.
+ *
+ * Formats: 'text', 'integer', 'number', 'percent', 'rate', 'date', 'currency'
+ * (with a currency code on the column or cell).
+ */
+
+// MIME type of .xlsx files
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Built-in number format ids, and codes for the formats Excel doesn't build in
+const BUILTIN_NUMBER_FORMATS = { general: 0, integer: 3, number: 4, percent: 10, text: 49 };
+const CUSTOM_NUMBER_FORMATS = { rate: '0.0000', date: 'yyyy-mm-dd' };
+
+const MAX_SHEET_NAME_LENGTH = 31;
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 60;
+
+/**
+ * Convert a zero-based column index to its letter (0 -> A, 27 -> AB)
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    let remaining = index + 1;
+    while (remaining > 0) {
+        const digit = (remaining - 1) % 26;
+        letter = String.fromCharCode(65 + digit) + letter;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * Escape text for XML content and attributes, dropping characters XML can't hold
+ * @param {*} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a date to an Excel serial day number (1900 date system)
+ * @param {Date} date - Date
+ * @returns {number} Serial day number
+ */
+function dateToExcelSerial(date) {
+    const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds());
+    return utc / 86400000 + 25569;
+}
+
+/**
+ * Build a number format code that shows a currency symbol, e.g. "$"#,##0
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Format code
+ */
+function getCurrencyFormatCode(currency) {
+    let symbol = currency;
+    try {
+        const part = new Intl.NumberFormat('en-US', { style: 'currency', currency })
+            .formatToParts(0)
+            .find(item => item.type === 'currency');
+        if (part) symbol = part.value;
+    } catch (error) {
+        // Unknown code - show the code itself
+    }
+
+    // Letter symbols (CHF, kr) read better with a space before the amount
+    const prefix = /[A-Za-z]$/.test(symbol) ? `${symbol} ` : symbol;
+    return `"${prefix.replace(/"/g, '')}"#,##0`;
+}
+
+/**
+ * Make sheet names valid and unique - at most 31 characters, none of []:*?/\
+ * @param {Array} names - Requested names
+ * @returns {Array} Sheet names
+ */
+function getSheetNames(names) {
+    const used = new Set();
+    return names.map((name, index) => {
+        const base = String(name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim()
+            .slice(0, MAX_SHEET_NAME_LENGTH) || `Sheet${index + 1}`;
+        let unique = base;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            unique = `${base.slice(0, MAX_SHEET_NAME_LENGTH - String(n).length - 1)} ${n}`;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/**
+ * Quote a sheet name for use in a formula or defined name
+ * @param {string} name - Sheet name
+ * @returns {string} Quoted name, e.g. 'Budget by Country'
+ */
+function quoteSheetName(name) {
+    return `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Get the row numbers of a sheet's title, header and data rows (1-based)
+ * @param {Object} sheet - Sheet description
+ * @returns {Object} { headerRow, firstDataRow, lastDataRow, totalsRow }
+ */
+function getSheetLayout(sheet) {
+    const titleRows = (sheet.title ? 1 : 0) + (sheet.notes || []).length;
+    const headerRow = titleRows > 0 ? titleRows + 2 : 1;
+    const rowCount = (sheet.rows || []).length;
+
+    return {
+        headerRow,
+        firstDataRow: headerRow + 1,
+        lastDataRow: headerRow + Math.max(rowCount, 1),
+        totalsRow: sheet.totals ? headerRow + rowCount + 1 : null
+    };
+}
+
+/**
+ * Collects the distinct cell styles a workbook uses and writes styles.xml
+ */
+class XlsxStyleSheet {
+    constructor() {
+        this.numberFormats = new Map(); // Format code -> id
+        this.cellFormats = [{ numFmtId: 0, fontId: 0, fillId: 0, borderId: 0, wrap: false }];
+        this.cellFormatIndex = new Map([['0|0|0|0|false', 0]]);
+    }
+
+    /**
+     * Get the style index for a cell
+     * @param {Object} style - { format, currency, bold, title, header, totals, wrap }
+     * @returns {number} Index into cellXfs
+     */
+    getStyleIndex(style) {
+        const numFmtId = this.getNumberFormatId(style.format, style.currency);
+        const fontId = style.title ? 2 : (style.bold || style.header || style.totals ? 1 : 0);
+        const fillId = style.header ? 2 : 0;
+        const borderId = style.header ? 1 : (style.totals ? 2 : 0);
+        const wrap = !!style.wrap;
+
+        const key = `${numFmtId}|${fontId}|${fillId}|${borderId}|${wrap}`;
+        if (!this.cellFormatIndex.has(key)) {
+            this.cellFormatIndex.set(key, this.cellFormats.length);
+            this.cellFormats.push({ numFmtId, fontId, fillId, borderId, wrap });
+        }
+        return this.cellFormatIndex.get(key);
+    }
+
+    getNumberFormatId(format, currency) {
+        if (!format) return BUILTIN_NUMBER_FORMATS.general;
+        if (BUILTIN_NUMBER_FORMATS[format] !== undefined) return BUILTIN_NUMBER_FORMATS[format];
+
+        const code = format === 'currency' ? getCurrencyFormatCode(currency || 'USD') : CUSTOM_NUMBER_FORMATS[format];
+        if (!code) return BUILTIN_NUMBER_FORMATS.general;
+
+        if (!this.numberFormats.has(code)) {
+            this.numberFormats.set(code, 164 + this.numberFormats.size);
+        }
+        return this.numberFormats.get(code);
+    }
+
+    toXml() {
+        const numFmts = [...this.numberFormats.entries()]
+            .map(([code, id]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(code)}"/>`)
+            .join('');
+        const borderColor = '<color rgb="FF9CA3AF"/>';
+        const cellXfs = this.cellFormats.map(xf =>
+            `<xf numFmtId="${xf.numFmtId}" fontId="${xf.fontId}" fillId="${xf.fillId}" borderId="${xf.borderId}" xfId="0"` +
+            `${xf.numFmtId ? ' applyNumberFormat="1"' : ''}${xf.fontId ? ' applyFont="1"' : ''}` +
+            `${xf.fillId ? ' applyFill="1"' : ''}${xf.borderId ? ' applyBorder="1"' : ''}` +
+            (xf.wrap ? ' applyAlignment="1"><alignment wrapText="1" vertical="top"/></xf>' : '/>')
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+            (numFmts ? `<numFmts count="${this.numberFormats.size}">${numFmts}</numFmts>` : '') +
+            '<fonts count="3">' +
+            '<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+            '<font><b/><sz val="14"/><name val="Calibri"/><family val="2"/></font>' +
+            '</fonts>' +
+            '<fills count="3">' +
+            '<fill><patternFill patternType="none"/></fill>' +
+            '<fill><patternFill patternType="gray125"/></fill>' +
+            '<fill><patternFill patternType="solid"><fgColor rgb="FFE5E7EB"/><bgColor indexed="64"/></patternFill></fill>' +
+            '</fills>' +
+            '<borders count="3">' +
+            '<border><left/><right/><top/><bottom/><diagonal/></border>' +
+            `<border><left/><right/><top/><bottom style="thin">${borderColor}</bottom><diagonal/></border>` +
+            `<border><left/><right/><top style="thin">${borderColor}</top><bottom/><diagonal/></border>` +
+            '</borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${this.cellFormats.length}">${cellXfs}</cellXfs>` +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+}
+
+/**
+ * Write one cell
+ * @param {string} reference - Cell reference, e.g. B4
+ * @param {*} cell - Cell value or { value, formula, ... }
+ * @param {number} styleIndex - Style index
+ * @param {Object} rows - { row, first, last } for formula placeholders
+ * @returns {string} <c> element, or '' for an empty unstyled cell
+ */
+function writeCell(reference, cell, styleIndex, rows) {
+    const spec = cell !== null && typeof cell === 'object' && !(cell instanceof Date) ? cell : { value: cell };
+    const style = styleIndex ? ` s="${styleIndex}"` : '';
+    let value = spec.value;
+
+    if (value instanceof Date) {
+        value = isNaN(value.getTime()) ? null : dateToExcelSerial(value);
+    }
+
+    if (spec.formula) {
+        const formula = spec.formula
+            .replace(/\{row\}/g, rows.row)
+            .replace(/\{first\}/g, rows.first)
+            .replace(/\{last\}/g, rows.last)
+            .replace(/^=/, '');
+        const cached = value === undefined || value === null ? '' :
+            typeof value === 'number' ? (isFinite(value) ? `<v>${value}</v>` : '') : `<v>${escapeXml(value)}</v>`;
+        const type = typeof value === 'string' ? ' t="str"' : '';
+        return `<c r="${reference}"${style}${type}><f>${escapeXml(formula)}</f>${cached}</c>`;
+    }
+
+    if (value === undefined || value === null || value === '' || (typeof value === 'number' && !isFinite(value))) {
+        return styleIndex ? `<c r="${reference}"${style}/>` : '';
+    }
+    if (typeof value === 'number') {
+        return `<c r="${reference}"${style}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Estimate a column width from its header and values
+ */
+function getColumnWidth(column, index, rows) {
+    if (column.width) return column.width;
+
+    let longest = String(column.header || '').length;
+    rows.slice(0, 500).forEach(row => {
+        const cell = row[index];
+        const value = cell !== null && typeof cell === 'object' && !(cell instanceof Date) ? cell.value : cell;
+        if (value === undefined || value === null) return;
+        const length = typeof value === 'number' ? Math.round(value).toLocaleString('en-US').length + 3 :
+            value instanceof Date ? 10 : String(value).length;
+        longest = Math.max(longest, length);
+    });
+
+    return Math.min(Math.max(longest + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+}
+
+/**
+ * Write a worksheet part
+ * @param {Object} sheet - Sheet description
+ * @param {XlsxStyleSheet} styles - Shared styles
+ * @param {boolean} selected - Whether this is the active sheet
+ * @returns {string} Worksheet XML
+ */
+function writeWorksheet(sheet, styles, selected) {
+    const columns = sheet.columns || [];
+    const rows = sheet.rows || [];
+    const layout = getSheetLayout(sheet);
+    const lastColumn = getColumnLetter(Math.max(columns.length, 1) - 1);
+    const xmlRows = [];
+
+    const addRow = (rowNumber, cells) => {
+        const content = cells.join('');
+        if (content) xmlRows.push(`<row r="${rowNumber}">${content}</row>`);
+    };
+
+    // Title and notes
+    let rowNumber = 1;
+    if (sheet.title) {
+        addRow(rowNumber, [writeCell(`A${rowNumber}`, sheet.title, styles.getStyleIndex({ title: true }), {})]);
+        rowNumber++;
+    }
+    (sheet.notes || []).forEach(note => {
+        addRow(rowNumber, [writeCell(`A${rowNumber}`, note, 0, {})]);
+        rowNumber++;
+    });
+
+    // Header
+    const headerStyle = styles.getStyleIndex({ header: true });
+    addRow(layout.headerRow, columns.map((column, index) =>
+        writeCell(`${getColumnLetter(index)}${layout.headerRow}`, column.header, headerStyle, {})
+    ));
+
+    // Data rows and totals
+    const writeRow = (row, number, extraStyle) => {
+        addRow(number, columns.map((column, index) => {
+            const cell = row[index];
+            const spec = cell !== null && typeof cell === 'object' && !(cell instanceof Date) ? cell : {};
+            const format = spec.format || (typeof (spec.value !== undefined ? spec.value : cell) === 'string' && !spec.formula ? null : column.format);
+            const styleIndex = styles.getStyleIndex({
+                format: format || (cell instanceof Date ? 'date' : null),
+                currency: spec.currency || column.currency,
+                bold: spec.bold,
+                wrap: column.wrap,
+                ...extraStyle
+            });
+            return writeCell(`${getColumnLetter(index)}${number}`, cell, styleIndex, {
+                row: number,
+                first: layout.firstDataRow,
+                last: layout.lastDataRow
+            });
+        }));
+    };
+
+    rows.forEach((row, index) => writeRow(row, layout.firstDataRow + index, {}));
+    if (sheet.totals) {
+        writeRow(sheet.totals, layout.totalsRow, { totals: true });
+    }
+
+    const lastRow = layout.totalsRow || layout.firstDataRow + rows.length - 1;
+    const widths = columns.map((column, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${getColumnWidth(column, index, rows)}" customWidth="1"/>`
+    ).join('');
+    const topLeft = `A${layout.headerRow + 1}`;
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<worksheet xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+        `<dimension ref="A1:${lastColumn}${Math.max(lastRow, layout.headerRow)}"/>` +
+        `<sheetViews><sheetView workbookViewId="0"${selected ? ' tabSelected="1"' : ''}>` +
+        `<pane ySplit="${layout.headerRow}" topLeftCell="${topLeft}" activePane="bottomLeft" state="frozen"/>` +
+        `<selection pane="bottomLeft" activeCell="${topLeft}" sqref="${topLeft}"/>` +
+        '</sheetView></sheetViews>' +
+        '<sheetFormatPr defaultRowHeight="15"/>' +
+        (widths ? `<cols>${widths}</cols>` : '') +
+        `<sheetData>${xmlRows.join('')}</sheetData>` +
+        (columns.length > 0 ? `<autoFilter ref="${getFilterRange(sheet)}"/>` : '') +
+        '</worksheet>';
+}
+
+/**
+ * Range covered by a sheet's autofilter - the header and data rows
+ */
+function getFilterRange(sheet) {
+    const layout = getSheetLayout(sheet);
+    const lastColumn = getColumnLetter(Math.max((sheet.columns || []).length, 1) - 1);
+    const lastRow = Math.max(layout.firstDataRow + (sheet.rows || []).length - 1, layout.headerRow);
+    return `A${layout.headerRow}:${lastColumn}${lastRow}`;
+}
+
+/**
+ * CRC-32 of a byte array, as used by ZIP
+ */
+let crcTable = null;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive with stored (uncompressed) entries
+ * @param {Array} files - { name, content } with string or Uint8Array content
+ * @returns {Uint8Array} ZIP bytes
+ */
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    const writeHeader = (signature, entry, central, localOffset) => {
+        view.setUint32(offset, signature, true);
+        offset += 4;
+        if (central) {
+            view.setUint16(offset, 20, true); // Version made by
+            offset += 2;
+        }
+        view.setUint16(offset, 20, true); // Version needed
+        view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 4, 0, true); // Stored
+        view.setUint16(offset + 6, dosTime, true);
+        view.setUint16(offset + 8, dosDate, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true); // Extra field length
+        offset += 26;
+        if (central) {
+            view.setUint16(offset, 0, true); // Comment length
+            view.setUint16(offset + 2, 0, true); // Disk number
+            view.setUint16(offset + 4, 0, true); // Internal attributes
+            view.setUint32(offset + 6, 0, true); // External attributes
+            view.setUint32(offset + 10, localOffset, true);
+            offset += 14;
+        }
+        bytes.set(entry.name, offset);
+        offset += entry.name.length;
+    };
+
+    const localOffsets = entries.map(entry => {
+        const localOffset = offset;
+        writeHeader(0x04034B50, entry, false);
+        bytes.set(entry.data, offset);
+        offset += entry.data.length;
+        return localOffset;
+    });
+
+    const centralOffset = offset;
+    entries.forEach((entry, index) => writeHeader(0x02014B50, entry, true, localOffsets[index]));
+
+    // End of central directory
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return bytes;
+}
+
+/**
+ * Write a workbook
+ * @param {Object} workbook - { sheets } (see above)
+ * @returns {Uint8Array} .xlsx file bytes
+ */
+function writeXlsxWorkbook(workbook) {
+    const sheets = (workbook.sheets || []).length > 0 ? workbook.sheets : [{ name: 'Sheet1', columns: [], rows: [] }];
+    const names = getSheetNames(sheets.map(sheet => sheet.name));
+    const styles = new XlsxStyleSheet();
+
+    const worksheets = sheets.map((sheet, index) => writeWorksheet(sheet, styles, index === 0));
+
+    // Excel keeps autofilter ranges as hidden per-sheet names
+    const definedNames = sheets.map((sheet, index) => (sheet.columns || []).length === 0 ? '' :
+        `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">` +
+        `${escapeXml(quoteSheetName(names[index]))}!${getFilterRange(sheet).replace(/([A-Z]+)(\d+)/g, '$$$1$$$2')}</definedName>`
+    ).join('');
+
+    const workbookXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+        '<bookViews><workbookView activeTab="0"/></bookViews>' +
+        `<sheets>${names.map((name, index) =>
+            `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+        ).join('')}</sheets>` +
+        (definedNames ? `<definedNames>${definedNames}</definedNames>` : '') +
+        '<calcPr calcId="191029" fullCalcOnLoad="1"/>' +
+        '</workbook>';
+
+    const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        names.map((name, index) =>
+            `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${names.length + 1}" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>';
+
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        names.map((name, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>';
+
+    const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>';
+
+    return createZipArchive([
+        { name: '[Content_Types].xml', content: contentTypes },
+        { name: '_rels/.rels', content: rootRels },
+        { name: 'xl/workbook.xml', content: workbookXml },
+        { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+        { name: 'xl/styles.xml', content: styles.toXml() },
+        ...worksheets.map((xml, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: xml }))
+    ]);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        XLSX_MIME_TYPE,
+        getColumnLetter,
+        getSheetLayout,
+        quoteSheetName,
+        crc32,
+        writeXlsxWorkbook
+    };
+} else {
+    window.XLSX_MIME_TYPE = XLSX_MIME_TYPE;
+    window.getColumnLetter = getColumnLetter;
+    window.getSheetLayout = getSheetLayout;
+    window.quoteSheetName = quoteSheetName;
+    window.crc32 = crc32;
+    window.writeXlsxWorkbook = writeXlsxWorkbook;
+}